@@ -0,0 +1,50 @@
+// __tests__/routes/exports.test.js
+const express = require('express');
+const request = require('supertest');
+const Role = require('../../models/Role');
+const Member = require('../../models/Member');
+const permissions = require('../../services/permissions');
+const { loadPermissions } = require('../../routes/_middleware');
+const memberRoutes = require('../../routes/members');
+
+/** The members routes behind a session logged in with the given role */
+function appAs(role) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.session = { user: { _id: '507f1f77bcf86cd799439011', role } };
+    next();
+  });
+  app.use(loadPermissions);
+  app.use('/', memberRoutes);
+  return app;
+}
+
+describe('List page exports', () => {
+  beforeEach(() => {
+    permissions.clearCache();
+    jest.spyOn(Role, 'find').mockReturnValue({ sort: () => ({ lean: async () => [] }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not let a volunteer download the member list', async () => {
+    const find = jest.spyOn(Member, 'find');
+
+    const res = await request(appAs('volunteer')).get('/members?format=csv');
+
+    expect(res.status).toBe(403);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('should let staff download the member list', async () => {
+    jest.spyOn(Member, 'find').mockReturnValue({ sort: () => ({ lean: () => [{ firstName: 'Ada', lastName: 'Lovelace' }] }) });
+
+    const res = await request(appAs('staff')).get('/members?format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.text).toContain('Lovelace');
+  });
+});
@@ -0,0 +1,49 @@
+// __tests__/routes/routeMap.test.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Keeps routes/_routeMap.js (and so the API reference at /api/docs) in step
+// with the routes server.js actually mounts
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const app = require('../../server');
+const { listRoutes } = require('../../routes/_debugRoutes');
+const { buildSpec, undocumentedRoutes, staleRouteMapEntries } = require('../../utils/openapi');
+
+describe('Route map and API reference', () => {
+  const spec = buildSpec(app, { baseUrl: 'http://localhost:3000' });
+  const operations = Object.entries(spec.paths)
+    .flatMap(([path, methods]) => Object.entries(methods).map(([method, operation]) => ({ path, method, operation })));
+
+  it('should describe every mounted route (add new routes to routes/_routeMap.js)', () => {
+    expect(undocumentedRoutes(app)).toEqual([]);
+  });
+
+  it('should not list routes that are no longer mounted', () => {
+    expect(staleRouteMapEntries(app)).toEqual([]);
+  });
+
+  it('should put every mounted route in the OpenAPI document', () => {
+    const missing = listRoutes(app)
+      .filter(route => !(spec.paths[route.path.replace(/:(\w+)\??/g, '{$1}')] || {})[route.method.toLowerCase()])
+      .map(route => `${route.method} ${route.path}`);
+
+    expect(missing).toEqual([]);
+  });
+
+  it('should declare every path parameter and use unique operation IDs', () => {
+    operations.forEach(({ path, operation }) => {
+      const declared = (operation.parameters || []).filter(p => p.in === 'path').map(p => p.name).sort();
+      const inPath = (path.match(/\{(\w+)\}/g) || []).map(token => token.slice(1, -1)).sort();
+      expect({ path, params: declared }).toEqual({ path, params: inPath });
+    });
+
+    const ids = operations.map(({ operation }) => operation.operationId);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('should describe guarded routes with their permission and token routes with their scope', () => {
+    expect(spec.paths['/members/{id}/delete'].post['x-permissions']).toEqual(['members.delete']);
+    expect(spec.paths['/api/v1/donations'].get.security).toEqual([{ apiToken: [] }]);
+    expect(spec.paths['/api/v1/donations'].get.description).toContain('donations.read');
+    expect(spec.paths['/custom-login'].get.security).toBeUndefined();
+  });
+});
@@ -0,0 +1,132 @@
+// __tests__/services/apiTokens.test.js
+const mongoose = require('mongoose');
+const ApiToken = require('../../models/ApiToken');
+const User = require('../../models/User');
+const Role = require('../../models/Role');
+const permissions = require('../../services/permissions');
+const apiTokens = require('../../services/apiTokens');
+
+const userId = new mongoose.Types.ObjectId();
+const now = new Date('2026-03-02T12:00:00Z');
+const req = { ip: '203.0.113.7' };
+
+function storedToken(fields = {}) {
+  return new ApiToken({
+    name: 'Hours sheet',
+    tokenHash: apiTokens.hashToken('thb_secret'),
+    prefix: 'thb_secret',
+    user: userId,
+    scopes: ['members.read', 'members.address', 'donations.read'],
+    createdBy: userId,
+    lastUsedAt: null,
+    ...fields
+  });
+}
+
+function mockOwner(owner) {
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => owner }) });
+}
+
+describe('API Tokens Service', () => {
+  beforeEach(() => {
+    permissions.clearCache();
+    jest.spyOn(Role, 'find').mockReturnValue({ sort: () => ({ lean: async () => [] }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createToken', () => {
+    it('should store only a hash of the token', async () => {
+      const create = jest.spyOn(ApiToken, 'create').mockImplementation(async doc => doc);
+
+      const { token, record } = await apiTokens.createToken({
+        name: 'Partner tool',
+        scopes: ['donations.read', 'donations.read'],
+        owner: null,
+        createdBy: userId,
+        expiresInDays: 30
+      });
+
+      expect(token).toMatch(/^thb_/);
+      expect(record.tokenHash).toBe(apiTokens.hashToken(token));
+      expect(JSON.stringify(create.mock.calls[0][0])).not.toContain(token);
+      expect(record.scopes).toEqual(['donations.read']);
+      expect(record.user).toBeNull();
+      expect(record.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should only let owners grant scopes their role has', async () => {
+      jest.spyOn(ApiToken, 'create').mockImplementation(async doc => doc);
+      const owner = { _id: userId, role: 'volunteer' };
+
+      await expect(apiTokens.createToken({ name: 'Mine', scopes: ['members.address'], owner, createdBy: userId }))
+        .rejects.toThrow('Your role can\'t read members.address');
+      await expect(apiTokens.createToken({ name: 'Mine', scopes: ['members.write'], owner, createdBy: userId }))
+        .rejects.toThrow('Unknown scope: members.write');
+      await expect(apiTokens.createToken({ name: 'Mine', scopes: [], owner, createdBy: userId }))
+        .rejects.toThrow('Pick at least one thing the token can read');
+
+      const { record } = await apiTokens.createToken({ name: 'Mine', scopes: 'members.read', owner, createdBy: userId });
+      expect(record.user).toBe(userId);
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should limit personal tokens to what the owner\'s role can read now', async () => {
+      jest.spyOn(ApiToken, 'findOne').mockResolvedValue(storedToken());
+      const update = jest.spyOn(ApiToken, 'updateOne').mockResolvedValue({});
+      mockOwner({ _id: userId, role: 'volunteer', status: 'active', firstName: 'Pat', lastName: 'Reader' });
+
+      const result = await apiTokens.authenticate('thb_secret', req, now);
+
+      expect([...result.access.permissions].sort()).toEqual(['donations.read', 'members.read']);
+      expect(result.access.name).toBe('Hours sheet (Pat Reader)');
+      expect(update.mock.calls[0][1].$set).toEqual({ lastUsedAt: now, lastUsedIp: '203.0.113.7' });
+    });
+
+    it('should accept personal tokens of accounts from before access approval', async () => {
+      jest.spyOn(ApiToken, 'findOne').mockResolvedValue(storedToken());
+      jest.spyOn(ApiToken, 'updateOne').mockResolvedValue({});
+      mockOwner({ _id: userId, role: 'staff', firstName: 'Pat', lastName: 'Reader' });
+
+      const result = await apiTokens.authenticate('thb_secret', req, now);
+
+      expect(result.access.permissions).toEqual(new Set(['members.read', 'members.address', 'donations.read']));
+    });
+
+    it('should give integration tokens exactly their scopes', async () => {
+      jest.spyOn(ApiToken, 'findOne').mockResolvedValue(storedToken({ user: null, lastUsedAt: new Date(now - 10 * 1000) }));
+      const update = jest.spyOn(ApiToken, 'updateOne').mockResolvedValue({});
+
+      const result = await apiTokens.authenticate('thb_secret', req, now);
+
+      expect(result.access.permissions).toEqual(new Set(['members.read', 'members.address', 'donations.read']));
+      expect(update).not.toHaveBeenCalled(); // used in the last minute
+    });
+
+    it('should refuse revoked and expired tokens, and tokens of inactive accounts', async () => {
+      const findOne = jest.spyOn(ApiToken, 'findOne');
+      jest.spyOn(ApiToken, 'updateOne').mockResolvedValue({});
+
+      findOne.mockResolvedValue(storedToken({ revokedAt: new Date(now - 1000) }));
+      expect(await apiTokens.authenticate('thb_secret', req, now)).toBeNull();
+
+      findOne.mockResolvedValue(storedToken({ expiresAt: new Date(now - 1000) }));
+      expect(await apiTokens.authenticate('thb_secret', req, now)).toBeNull();
+
+      findOne.mockResolvedValue(storedToken());
+      mockOwner({ _id: userId, role: 'staff', status: 'rejected' });
+      expect(await apiTokens.authenticate('thb_secret', req, now)).toBeNull();
+    });
+
+    it('should not look up values without the token prefix', async () => {
+      const findOne = jest.spyOn(ApiToken, 'findOne');
+
+      expect(await apiTokens.authenticate('abc123', req, now)).toBeNull();
+      expect(await apiTokens.authenticate(undefined, req, now)).toBeNull();
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+});
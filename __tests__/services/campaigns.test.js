@@ -0,0 +1,199 @@
+// __tests__/services/campaigns.test.js
+const mongoose = require('mongoose');
+const Campaign = require('../../models/Campaign');
+const EmailTemplate = require('../../models/EmailTemplate');
+const Member = require('../../models/Member');
+const mailer = require('../../services/mailer');
+const campaigns = require('../../services/campaigns');
+
+// Member.find(...).select(...).lean() resolving to the given rows, one call at a time
+function mockMemberFind(...results) {
+  const find = jest.spyOn(Member, 'find');
+  results.forEach(rows => {
+    find.mockReturnValueOnce({ select: () => ({ lean: () => Promise.resolve(rows) }) });
+  });
+  return find;
+}
+
+describe('Campaigns Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('birthDateRange', () => {
+    const now = new Date('2026-06-15T12:00:00Z');
+
+    it('should include everyone aged minAge through maxAge', () => {
+      const range = campaigns.birthDateRange(5, 10, now);
+      expect(range.$lte.toISOString()).toBe('2021-06-15T12:00:00.000Z');
+      expect(range.$gt.toISOString()).toBe('2015-06-15T12:00:00.000Z');
+    });
+
+    it('should return null when no age is set', () => {
+      expect(campaigns.birthDateRange(undefined, undefined, now)).toBeNull();
+    });
+  });
+
+  describe('buildMemberFilter', () => {
+    it('should exclude deleted members and apply each filter', () => {
+      const ids = [new mongoose.Types.ObjectId()];
+      const filter = campaigns.buildMemberFilter({ memberType: 'child', zipCodes: ['19121', '19122'], minAge: 4 }, ids);
+
+      expect(filter.isDeleted).toEqual({ $ne: true });
+      expect(filter.memberType).toBe('child');
+      expect(filter.zipCode.$regex).toBe('^(19121|19122)');
+      expect(filter.dateOfBirth.$lte).toBeInstanceOf(Date);
+      expect(filter._id).toEqual({ $in: ids });
+    });
+
+    it('should match everyone for an empty segment', () => {
+      expect(campaigns.buildMemberFilter({})).toEqual({ isDeleted: { $ne: true } });
+    });
+  });
+
+  describe('joinNames', () => {
+    it('should join names into a phrase', () => {
+      expect(campaigns.joinNames([])).toBe('');
+      expect(campaigns.joinNames(['Maya'])).toBe('Maya');
+      expect(campaigns.joinNames(['Maya', 'Leo', 'Sam'])).toBe('Maya, Leo and Sam');
+    });
+  });
+
+  describe('messageToHtml', () => {
+    it('should make paragraphs and escape markup but keep placeholders', () => {
+      const html = campaigns.messageToHtml('Hi {{firstName}},\n\nBring <3 books\nand a friend');
+      expect(html).toContain('<p>Hi {{firstName}},</p>');
+      expect(html).toContain('<p>Bring &lt;3 books<br>\nand a friend</p>');
+    });
+  });
+
+  describe('resolveRecipients', () => {
+    it('should reach children through their guardians and email each address once', async () => {
+      const mom = new mongoose.Types.ObjectId();
+      mockMemberFind(
+        [
+          { _id: new mongoose.Types.ObjectId(), firstName: 'Maya', lastName: 'Ruiz', memberType: 'child', guardians: [{ member: mom }], parent: mom },
+          { _id: new mongoose.Types.ObjectId(), firstName: 'Leo', lastName: 'Ruiz', memberType: 'child', guardians: [{ member: mom }] },
+          { _id: mom, firstName: 'Ana', lastName: 'Ruiz', memberType: 'adult', email: 'ana@example.com', emailConsent: { marketing: true } }
+        ],
+        [{ _id: mom, firstName: 'Ana', lastName: 'Ruiz', email: 'ANA@example.com' }]
+      );
+
+      const recipients = await campaigns.resolveRecipients({ includeGuardians: true });
+
+      expect(recipients).toHaveLength(1);
+      expect(recipients[0].email).toBe('ana@example.com');
+      expect(recipients[0].children).toEqual(['Maya', 'Leo']);
+      expect(campaigns.recipientData(recipients[0]).childNames).toBe('Maya and Leo');
+    });
+
+    it('should leave out members who have not opted in to marketing email', async () => {
+      const find = mockMemberFind(
+        [
+          { _id: new mongoose.Types.ObjectId(), firstName: 'Ana', lastName: 'Ruiz', email: 'ana@example.com', emailConsent: { marketing: true } },
+          { _id: new mongoose.Types.ObjectId(), firstName: 'Ben', lastName: 'Cho', email: 'ben@example.com', emailConsent: { marketing: false } },
+          { _id: new mongoose.Types.ObjectId(), firstName: 'Cy', lastName: 'Dee', email: 'cy@example.com' },
+          { _id: new mongoose.Types.ObjectId(), firstName: 'Maya', lastName: 'Ruiz', memberType: 'child', parent: new mongoose.Types.ObjectId() }
+        ],
+        []
+      );
+
+      const recipients = await campaigns.resolveRecipients({});
+
+      expect(recipients.map(r => r.email)).toEqual(['ana@example.com']);
+      expect(find.mock.calls[1][0]['emailConsent.marketing']).toBe(true);
+    });
+
+    it('should leave out children without email when guardians are not included', async () => {
+      const find = mockMemberFind([
+        { _id: new mongoose.Types.ObjectId(), firstName: 'Maya', lastName: 'Ruiz', memberType: 'child', parent: new mongoose.Types.ObjectId() }
+      ]);
+
+      expect(await campaigns.resolveRecipients({ includeGuardians: false })).toEqual([]);
+      expect(find).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('describeSegment', () => {
+    it('should summarize each filter', () => {
+      const programId = new mongoose.Types.ObjectId();
+      expect(campaigns.describeSegment(
+        { memberType: 'child', minAge: 5, visitedWithinDays: 30, programs: [programId] },
+        { [programId.toString()]: 'Story Time' }
+      )).toEqual(['Children', 'Age 5 and up', 'Visited in the last 30 days', 'Enrolled in Story Time']);
+    });
+  });
+
+  describe('sendCampaign', () => {
+    const templateId = new mongoose.Types.ObjectId();
+    const campaign = {
+      _id: new mongoose.Types.ObjectId(),
+      template: templateId,
+      segment: {},
+      ratePerMinute: 60
+    };
+    let updateOne, send;
+
+    beforeEach(() => {
+      updateOne = jest.spyOn(Campaign, 'updateOne').mockResolvedValue({});
+      jest.spyOn(EmailTemplate, 'findById').mockResolvedValue({ _id: templateId, templateKey: 'campaign_x', isActive: true });
+      jest.spyOn(mailer.EmailLog, 'distinct').mockResolvedValue(['Ben@example.com']);
+      jest.spyOn(mailer.EmailLog, 'aggregate').mockResolvedValue([{ _id: 'sent', count: 2 }]);
+      send = jest.spyOn(mailer, 'sendTemplatedEmail').mockResolvedValue({ success: true });
+      mockMemberFind([
+        { _id: new mongoose.Types.ObjectId(), firstName: 'Ana', lastName: 'Ruiz', email: 'ana@example.com', emailConsent: { marketing: true } },
+        { _id: new mongoose.Types.ObjectId(), firstName: 'Ben', lastName: 'Cho', email: 'ben@example.com', emailConsent: { marketing: true } },
+        { _id: new mongoose.Types.ObjectId(), firstName: 'Cy', lastName: 'Dee', email: 'cy@example.com', emailConsent: { marketing: true } }
+      ]);
+    });
+
+    it('should skip addresses already sent to and throttle the rest', async () => {
+      jest.spyOn(Campaign, 'findOneAndUpdate').mockResolvedValue({ status: 'sending' });
+      const sleep = jest.fn().mockResolvedValue();
+
+      const status = await campaigns.sendCampaign(campaign, { sleep });
+
+      expect(status).toBe('sent');
+      expect(send.mock.calls.map(c => c[1])).toEqual(['cy@example.com', 'ana@example.com']);
+      expect(send.mock.calls[0][3]).toEqual(expect.objectContaining({ campaignId: campaign._id.toString() }));
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep).toHaveBeenCalledWith(1000);
+      expect(updateOne.mock.calls.pop()[1].$set).toEqual(expect.objectContaining({ status: 'sent', sentCount: 2 }));
+    });
+
+    it('should carry on past suppressed addresses', async () => {
+      jest.spyOn(Campaign, 'findOneAndUpdate').mockResolvedValue({ status: 'sending' });
+      send.mockResolvedValueOnce({ success: false, skipped: true, suppressed: true });
+
+      const status = await campaigns.sendCampaign(campaign, { sleep: jest.fn().mockResolvedValue() });
+
+      expect(status).toBe('sent');
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop when the campaign is cancelled mid-send', async () => {
+      jest.spyOn(Campaign, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ status: 'sending' })
+        .mockResolvedValueOnce(null);
+
+      const status = await campaigns.sendCampaign(campaign, { sleep: jest.fn().mockResolvedValue() });
+
+      expect(status).toBe('cancelled');
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Campaign model', () => {
+    it('should reject an age range that is backwards', () => {
+      const err = new Campaign({ name: 'Drive', template: new mongoose.Types.ObjectId(), segment: { minAge: 10, maxAge: 5 } }).validateSync();
+      expect(err.errors.segment.message).toBe('Minimum age cannot be more than maximum age');
+    });
+
+    it('should start as an editable draft', () => {
+      const campaign = new Campaign({ name: 'Drive', template: new mongoose.Types.ObjectId() });
+      expect(campaign.status).toBe('draft');
+      expect(campaign.isEditable()).toBe(true);
+      expect(campaign.segment.includeGuardians).toBe(true);
+    });
+  });
+});
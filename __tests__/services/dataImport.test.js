@@ -0,0 +1,402 @@
+// __tests__/services/dataImport.test.js
+const mongoose = require('mongoose');
+const { buildWorkbook } = require('../../utils/spreadsheet');
+const Member = require('../../models/Member');
+const Checkout = require('../../models/Checkout');
+const Visit = require('../../models/Visit');
+const ImportHistory = require('../../models/ImportHistory');
+const dataImport = require('../../services/dataImport');
+
+describe('Data Import Service', () => {
+  const ada = { _id: new mongoose.Types.ObjectId(), firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseIdentifier', () => {
+    it('should split a name followed by an email', () => {
+      expect(dataImport.parseIdentifier('Ada Mary Lovelace Ada@Example.com ')).toEqual({
+        firstName: 'Ada',
+        lastName: 'Mary Lovelace',
+        email: 'ada@example.com'
+      });
+    });
+
+    it('should treat a trailing birthdate as a child', () => {
+      expect(dataImport.parseIdentifier('Sam Lee 04/02/2016')).toEqual({
+        firstName: 'Sam',
+        lastName: 'Lee',
+        email: null,
+        isChild: true
+      });
+    });
+
+    it('should return null for an empty identifier', () => {
+      expect(dataImport.parseIdentifier('  ')).toBeNull();
+    });
+  });
+
+  describe('Excel uploads', () => {
+    /** A members sheet with a title row and a blank row between members */
+    function tallySheet() {
+      const rows = [
+        ['Members signed up at the fair', '', '', ''],
+        ['First Name', 'Last Name', 'Email', 'Date of Birth'],
+        ['Jane', 'Doe', 'jane@example.com', '2015-03-02'],
+        ['', '', '', ''],
+        ['John', 'Roe', '', '']
+      ];
+      // Each column reads its own cell of the row
+      return buildWorkbook([{
+        name: 'Fair',
+        rows,
+        columns: [0, 1, 2, 3].map(index => ({ header: `Column ${index + 1}`, value: row => row[index] }))
+      }]);
+    }
+
+    it('should turn the sheet into CSV on the sheet\'s own row numbers', async () => {
+      const upload = await dataImport.spreadsheetToCSV(await tallySheet(), 'members');
+
+      expect(upload.sheets).toEqual(['Fair']);
+      expect(upload.headerRow).toBe(3);
+
+      const preview = await dataImport.previewImport(upload.content, 'members');
+      expect(preview.columns).toEqual(['firstName', 'lastName', 'email', 'dateOfBirth']);
+      expect(preview.totalRows).toBe(2);
+      expect(preview.validRows).toBe(1);
+      expect(preview.errors).toEqual([expect.objectContaining({ row: 6 })]);
+    });
+
+    it('should reject import types without a template', async () => {
+      await expect(dataImport.spreadsheetToCSV(await tallySheet(), 'knack'))
+        .rejects.toThrow('Unsupported import type');
+    });
+  });
+
+  describe('Knack exports', () => {
+    it('should read JSON records and CSV rows', () => {
+      expect(dataImport.parseKnackExport('{"records":[{"id":"a1"}]}')).toEqual({ format: 'json', records: [{ id: 'a1' }] });
+      expect(dataImport.parseKnackExport('\uFEFFPerson,Date\nAda Lovelace,01/15/2024\n')).toEqual({
+        format: 'csv',
+        records: [{ Person: 'Ada Lovelace', Date: '01/15/2024' }]
+      });
+      expect(() => dataImport.parseKnackExport('{"total_pages":1}')).toThrow('No records found in the Knack export');
+    });
+
+    it('should map a Knack person record to a member', () => {
+      const member = dataImport.mapKnackMember({
+        id: 'p1',
+        field_10_raw: 'Sam',
+        field_11_raw: 'Lee',
+        field_4_raw: { email: 'Sam@Example.com' },
+        field_3_raw: { formatted: '(555) 123-4567' },
+        field_75: '12 Oak St<br />Philadelphia, PA',
+        field_81: '19121',
+        field_358_raw: { date: '03/01/2022' },
+        Birthdate: '04/02/2016'
+      });
+
+      expect(member).toMatchObject({
+        firstName: 'Sam',
+        lastName: 'Lee',
+        email: 'sam@example.com',
+        phone: '(555) 123-4567',
+        address: '12 Oak St, Philadelphia, PA',
+        zipCode: '19121',
+        memberType: 'child'
+      });
+      expect(member.joinedAt).toEqual(new Date(2022, 2, 1));
+    });
+  });
+
+  describe('previewKnackImport', () => {
+    beforeEach(() => {
+      jest.spyOn(Member, 'findOne').mockImplementation(async query => {
+        if (query.email === 'ada@example.com') return ada;
+        if (query.firstName && query.firstName.$regex.test('ada') && query.lastName.$regex.test('LOVELACE')) return ada;
+        return null;
+      });
+    });
+
+    it('should match people, flag unmatched rows and skip visits already recorded', async () => {
+      jest.spyOn(Visit, 'findOne').mockImplementation(async query => (
+        query.visitDate.$gte.getDate() === 16 ? { _id: new mongoose.Types.ObjectId() } : null
+      ));
+      const content = JSON.stringify({
+        records: [
+          { id: 'v1', field_244_raw: [{ identifier: 'Ada Lovelace ada@example.com' }], field_242_raw: { date: '01/15/2024' }, field_243_raw: { hours: '2', minutes: '30', am_pm: 'PM' } },
+          { id: 'v2', field_244_raw: [{ identifier: 'ada lovelace' }], field_242_raw: { date: '01/15/2024' } },
+          { id: 'v3', field_244_raw: [{ identifier: 'Ada Lovelace' }], field_242_raw: { date: '01/16/2024' } },
+          { id: 'v4', field_244_raw: [{ identifier: 'Grace Hopper grace@example.com' }], field_242_raw: { date: '01/15/2024' } },
+          { id: 'v5', field_242_raw: { date: '01/15/2024' } }
+        ]
+      });
+
+      const preview = await dataImport.previewKnackImport(content, 'visits');
+
+      expect(preview).toMatchObject({ totalRows: 5, validRows: 1, invalidRows: 2, skippedRows: 2 });
+      expect(preview.columns).toEqual(['person', 'member', 'visitDate']);
+      expect(preview.sample[0]).toMatchObject({ member: 'Ada Lovelace', visitDate: new Date(2024, 0, 15, 14, 30).toLocaleString() });
+      expect(preview.skipped.map(s => [s.row, s.reason])).toEqual([
+        [2, 'Already has a visit that day'],
+        [3, 'Already has a visit that day']
+      ]);
+      expect(preview.errors.map(e => [e.row, e.errors])).toEqual([
+        [4, ['No member matches "Grace Hopper grace@example.com"']],
+        [5, ['No person on this record']]
+      ]);
+    });
+
+    it('should reject an import type Knack does not have', async () => {
+      await expect(dataImport.previewKnackImport('{"records":[]}', 'programs')).rejects.toThrow('Unsupported Knack import type');
+    });
+  });
+
+  describe('executeImport from Knack', () => {
+    let created;
+
+    beforeEach(() => {
+      created = [];
+      jest.spyOn(Member, 'findOne').mockResolvedValue(ada);
+      jest.spyOn(Checkout, 'findOne').mockImplementation(async query => (query.numberOfBooks === 9 ? {} : null));
+      jest.spyOn(Checkout, 'insertMany').mockImplementation(async docs => {
+        created.push(...docs);
+        return docs;
+      });
+      jest.spyOn(ImportHistory, 'create').mockImplementation(async doc => {
+        const history = new ImportHistory(doc);
+        history.save = jest.fn().mockResolvedValue(history);
+        return history;
+      });
+      jest.spyOn(ImportHistory, 'findOneAndUpdate').mockResolvedValue({});
+    });
+
+    it('should import checkouts from a Knack CSV export and record them for rollback', async () => {
+      const content = [
+        'Person,Date,Black Author Adult,Adult,Black Author Kids,Kids,Board Books,Total Books,Total Weight',
+        'Ada Lovelace ada@example.com,01/15/2024,1,2,0,3,0,6,2.5',
+        'Ada Lovelace ada@example.com,01/16/2024,0,0,0,4,0,,',
+        'Ada Lovelace ada@example.com,01/17/2024,0,0,0,0,0,0,',
+        'Ada Lovelace ada@example.com,01/18/2024,0,0,0,0,0,9,',
+        'Ada Lovelace ada@example.com,not a date,0,1,0,0,0,1,'
+      ].join('\n');
+
+      const result = await dataImport.executeImport(content, 'checkouts', new mongoose.Types.ObjectId(), 'checkouts.csv', { source: 'knack' });
+
+      expect(result.source).toBe('knack');
+      expect(result.status).toBe('completed');
+      expect(result.stats.toObject()).toEqual({ totalRows: 5, successful: 2, failed: 1, skipped: 2, created: 2, updated: 0 });
+      expect(result.errors[0]).toMatchObject({ row: 6, error: 'Missing or invalid date' });
+      expect(result.importedRecords.map(r => [r.model, r.row])).toEqual([['Checkout', 2], ['Checkout', 3]]);
+      expect(result.processedRows).toBe(5);
+      expect(result.fileContent).toBeUndefined();
+
+      expect(created[0]).toMatchObject({
+        member: ada._id,
+        checkoutDate: new Date(2024, 0, 15),
+        numberOfBooks: 6,
+        totalWeight: 2.5,
+        bookCategories: { blackAuthorAdult: { quantity: 1 }, adult: { quantity: 2 }, kids: { quantity: 3 } }
+      });
+      // No total in the export: the categories are added up
+      expect(created[1].numberOfBooks).toBe(4);
+    });
+  });
+
+  describe('update modes', () => {
+    const csv = [
+      'firstName,lastName,email,phone,dateOfBirth,notes',
+      'Ada,Lovelace,ada@example.com,555-0100,1990-12-10,Prefers mornings',
+      'Grace,Hopper,grace@example.com,,,',
+      'Alan,Turing,alan@example.com,555-0199,,'
+    ].join('\n');
+    let ada, alan, created;
+
+    beforeEach(() => {
+      ada = new Member({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '555-0000', dateOfBirth: new Date('1990-12-10') });
+      alan = new Member({ firstName: 'Alan', lastName: 'Turing', email: 'alan@example.com', phone: '555-0199' });
+      [ada, alan].forEach(member => { member.save = jest.fn().mockResolvedValue(member); });
+      created = [];
+
+      const members = [ada, alan];
+      jest.spyOn(Member, 'find').mockImplementation(query => ({
+        limit: async () => members.filter(m => m.email === query.email)
+      }));
+      jest.spyOn(Member, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Member, 'insertMany').mockImplementation(async docs => {
+        created.push(...docs);
+        return docs;
+      });
+      jest.spyOn(ImportHistory, 'create').mockImplementation(async doc => {
+        const history = new ImportHistory(doc);
+        history.save = jest.fn().mockResolvedValue(history);
+        return history;
+      });
+      jest.spyOn(ImportHistory, 'findOneAndUpdate').mockResolvedValue({});
+    });
+
+    it('should only require the match key columns when updating', () => {
+      expect(dataImport.validateRow({ email: 'ada@example.com', phone: '555' }, 'members', { mode: 'update', matchKey: 'email' }).valid).toBe(true);
+      expect(dataImport.validateRow({ email: 'ada@example.com' }, 'members', { mode: 'upsert', matchKey: 'email' }).errors)
+        .toEqual(['Missing required field: firstName', 'Missing required field: lastName']);
+      expect(dataImport.validateRow({ firstName: 'Ada' }, 'members', { mode: 'update', matchKey: 'externalId' }).errors)
+        .toEqual(['Missing required field: externalId']);
+    });
+
+    it('should preview field changes, new records and unchanged rows', async () => {
+      const preview = await dataImport.previewImport(csv, 'members', { mode: 'upsert', matchKey: 'email' });
+
+      expect(preview).toMatchObject({ totalRows: 3, validRows: 2, skippedRows: 1, toCreate: 1, toUpdate: 1 });
+      expect(preview.changes).toEqual([
+        {
+          row: 2,
+          action: 'update',
+          record: 'Ada Lovelace',
+          fields: [
+            { field: 'phone', from: '555-0000', to: '555-0100' },
+            { field: 'notes', from: '', to: 'Prefers mornings' }
+          ]
+        },
+        { row: 3, action: 'create', record: 'Grace Hopper', fields: [] }
+      ]);
+      expect(preview.skipped[0]).toMatchObject({ row: 4, reason: 'No changes to Alan Turing' });
+      expect(ada.save).not.toHaveBeenCalled();
+    });
+
+    it('should leave unmatched rows alone in update-only mode', async () => {
+      const plan = await dataImport.planRow({ firstName: 'Grace', email: 'grace@example.com' }, 'members', { mode: 'update', matchKey: 'email' });
+      expect(plan).toEqual({ action: 'skip', reason: 'No existing record matches' });
+    });
+
+    it('should reject a match key the import type does not have', async () => {
+      await expect(dataImport.previewImport(csv, 'checkouts', { mode: 'update', matchKey: 'email' }))
+        .rejects.toThrow("checkouts can't be matched by email");
+    });
+
+    it('should restore the previous values of updated records on rollback', async () => {
+      const history = await dataImport.executeImport(csv, 'members', new mongoose.Types.ObjectId(), 'members.csv', { mode: 'upsert', matchKey: 'email' });
+
+      expect(history.stats.toObject()).toMatchObject({ successful: 2, created: 1, updated: 1, skipped: 1, failed: 0 });
+      expect(ada.phone).toBe('555-0100');
+      expect(created[0]).toMatchObject({ firstName: 'Grace', memberType: 'adult' });
+      const updated = history.importedRecords.find(r => r.action === 'updated');
+      expect(updated.previous).toEqual({ phone: '555-0000', notes: null });
+
+      jest.spyOn(ImportHistory, 'findById').mockResolvedValue(history);
+      jest.spyOn(Member, 'findById').mockResolvedValue(ada);
+      jest.spyOn(Member, 'findByIdAndDelete').mockResolvedValue({});
+
+      const rollback = await dataImport.rollbackImport(history._id);
+
+      expect(rollback).toEqual({ deleted: 1, restored: 1, errors: [] });
+      expect(ada.phone).toBe('555-0000');
+      expect(ada.notes).toBeUndefined();
+      expect(history.status).toBe('rolled_back');
+    });
+  });
+
+  describe('import jobs', () => {
+    const userId = new mongoose.Types.ObjectId();
+    let created;
+
+    const job = (fileContent, fields = {}) => {
+      const history = new ImportHistory({ importType: 'members', importedBy: userId, status: 'processing', fileContent, ...fields });
+      history.save = jest.fn().mockResolvedValue(history);
+      return history;
+    };
+
+    beforeEach(() => {
+      created = [];
+      jest.spyOn(Member, 'findOne').mockImplementation(async query => created.find(m => m.email === query.email) || null);
+      jest.spyOn(Member, 'insertMany').mockImplementation(async docs => {
+        created.push(...docs);
+        return docs;
+      });
+      jest.spyOn(ImportHistory, 'findOneAndUpdate').mockResolvedValue({});
+    });
+
+    it('should insert in batches and keep a child out of its parent\'s batch', async () => {
+      const history = job([
+        'firstName,lastName,email,parentEmail',
+        'Pat,Parent,pat@example.com,',
+        'Kid,Parent,kid@example.com,pat@example.com',
+        'Sam,Smith,sam@example.com,'
+      ].join('\n'));
+
+      await dataImport.runImport(history, { batchSize: 10 });
+
+      expect(Member.insertMany.mock.calls.map(([docs]) => docs.map(d => d.firstName))).toEqual([['Pat'], ['Kid', 'Sam']]);
+      expect(created[1].parent).toEqual(created[0]._id);
+      expect(history.status).toBe('completed');
+      expect(history.stats.toObject()).toMatchObject({ totalRows: 3, successful: 3, created: 3 });
+      expect(history.importedRecords.map(r => r.row)).toEqual([2, 3, 4]);
+    });
+
+    it('should record rows the database rejects and forget their records', async () => {
+      Member.insertMany.mockImplementation(async docs => {
+        const err = new Error('insertMany failed with 1 Mongoose validation errors');
+        err.results = [docs[0], new Error('Member validation failed: phone: too long')];
+        throw err;
+      });
+      const history = job('firstName,lastName,email\nAda,Lovelace,ada@example.com\nGrace,Hopper,grace@example.com');
+
+      await dataImport.runImport(history);
+
+      expect(history.stats.toObject()).toMatchObject({ successful: 1, failed: 1 });
+      expect(history.errors[0]).toMatchObject({ row: 3, error: 'Member validation failed: phone: too long' });
+      expect(history.importedRecords).toHaveLength(1);
+    });
+
+    it('should stop after the current batch once cancelled', async () => {
+      ImportHistory.findOneAndUpdate.mockResolvedValueOnce({}).mockResolvedValueOnce(null);
+      const history = job('firstName,lastName,email\nA,One,a@example.com\nB,Two,b@example.com\nC,Three,c@example.com');
+
+      await dataImport.runImport(history, { batchSize: 1 });
+
+      expect(history.status).toBe('cancelled');
+      expect(history.processedRows).toBe(1);
+      expect(created).toHaveLength(1);
+      expect(history.fileContent).toBeUndefined();
+    });
+
+    it('should undo a half-written batch and carry on after a restart', async () => {
+      const done = new mongoose.Types.ObjectId();
+      const halfWritten = new mongoose.Types.ObjectId();
+      jest.spyOn(Member, 'findByIdAndDelete').mockResolvedValue({});
+      const history = job('firstName,lastName,email\nA,One,a@example.com\nB,Two,b@example.com\nC,Three,c@example.com', {
+        processedRows: 1,
+        stats: { successful: 1, created: 1 },
+        importedRecords: [
+          { row: 2, model: 'Member', recordId: done },
+          { row: 3, model: 'Member', recordId: halfWritten }
+        ]
+      });
+
+      await dataImport.runImport(history);
+
+      expect(Member.findByIdAndDelete).toHaveBeenCalledTimes(1);
+      expect(Member.findByIdAndDelete).toHaveBeenCalledWith(halfWritten);
+      expect(created.map(m => m.firstName)).toEqual(['B', 'C']);
+      expect(history.importedRecords.map(r => r.row)).toEqual([2, 3, 4]);
+      expect(history.stats.toObject()).toMatchObject({ successful: 3, created: 3 });
+    });
+
+    it('should queue a readable file and reject one that can\'t be imported', async () => {
+      jest.spyOn(ImportHistory, 'create').mockImplementation(async doc => doc);
+
+      const queued = await dataImport.queueImport('firstName,lastName,email\nAda,Lovelace,ada@example.com', 'members', userId, 'members.csv');
+
+      expect(queued).toMatchObject({ status: 'pending', fileContent: expect.any(String), stats: { totalRows: 1 } });
+      await expect(dataImport.queueImport('{"nope":1}', 'visits', userId, 'visits.json', { source: 'knack' }))
+        .rejects.toThrow('No records found in the Knack export');
+      expect(ImportHistory.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only cancel queued or running imports', async () => {
+      ImportHistory.findOneAndUpdate.mockResolvedValue(null);
+      await expect(dataImport.cancelImport(new mongoose.Types.ObjectId()))
+        .rejects.toThrow('Only queued or running imports can be cancelled');
+    });
+  });
+});
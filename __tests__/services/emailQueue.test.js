@@ -0,0 +1,101 @@
+// __tests__/services/emailQueue.test.js
+const mongoose = require('mongoose');
+const EmailJob = require('../../models/EmailJob');
+const emailQueue = require('../../services/emailQueue');
+
+describe('Email Queue Service', () => {
+  describe('backoffDelay', () => {
+    it('should double the delay after each failed attempt', () => {
+      expect(emailQueue.backoffDelay(1)).toBe(60 * 1000);
+      expect(emailQueue.backoffDelay(2)).toBe(2 * 60 * 1000);
+      expect(emailQueue.backoffDelay(4)).toBe(8 * 60 * 1000);
+    });
+
+    it('should cap the delay at six hours', () => {
+      expect(emailQueue.backoffDelay(30)).toBe(6 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('should reject an unknown job kind', async () => {
+      await expect(emailQueue.enqueue('newsletter', 'a@example.com', {})).rejects.toThrow('Unknown email job kind');
+    });
+  });
+
+  describe('processJob', () => {
+    const originalHandler = emailQueue.HANDLERS.checkout_thank_you;
+    let updateOne;
+
+    beforeEach(() => {
+      updateOne = jest.spyOn(EmailJob, 'updateOne').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      emailQueue.HANDLERS.checkout_thank_you = originalHandler;
+      updateOne.mockRestore();
+    });
+
+    const claimedJob = attempts => ({
+      _id: new mongoose.Types.ObjectId(),
+      kind: 'checkout_thank_you',
+      recipient: 'a@example.com',
+      payload: {},
+      attempts,
+      maxAttempts: 5
+    });
+
+    it('should mark the job sent on success', async () => {
+      emailQueue.HANDLERS.checkout_thank_you = jest.fn().mockResolvedValue({ success: true });
+
+      const status = await emailQueue.processJob(claimedJob(1));
+
+      expect(status).toBe('sent');
+      expect(updateOne.mock.calls[0][1].$set.sentAt).toBeInstanceOf(Date);
+    });
+
+    it('should schedule a retry after a failure', async () => {
+      emailQueue.HANDLERS.checkout_thank_you = jest.fn().mockResolvedValue({ success: false, error: 'SMTP timeout' });
+
+      const before = Date.now();
+      const status = await emailQueue.processJob(claimedJob(2));
+      const update = updateOne.mock.calls[0][1].$set;
+
+      expect(status).toBe('pending');
+      expect(update.lastError).toBe('SMTP timeout');
+      expect(update.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2 * 60 * 1000);
+    });
+
+    it('should skip the job without retrying when its template is disabled', async () => {
+      emailQueue.HANDLERS.checkout_thank_you = jest.fn().mockResolvedValue({ success: false, skipped: true, error: 'Template is not active' });
+
+      const status = await emailQueue.processJob(claimedJob(1));
+
+      expect(status).toBe('skipped');
+      expect(updateOne.mock.calls[0][1].$set.nextAttemptAt).toBeUndefined();
+    });
+
+    it('should dead-letter the job after the last attempt', async () => {
+      emailQueue.HANDLERS.checkout_thank_you = jest.fn().mockRejectedValue(new Error('Connection refused'));
+
+      const status = await emailQueue.processJob(claimedJob(5));
+
+      expect(status).toBe('dead');
+      expect(updateOne.mock.calls[0][1].$set.lastError).toBe('Connection refused');
+    });
+  });
+
+  describe('EmailJob model', () => {
+    it('should require a known kind and a recipient', () => {
+      const err = new EmailJob({ kind: 'newsletter' }).validateSync();
+      expect(err.errors.kind).toBeDefined();
+      expect(err.errors.recipient).toBeDefined();
+    });
+
+    it('should default to a pending job due now', () => {
+      const job = new EmailJob({ kind: 'checkout_thank_you', recipient: 'a@example.com' });
+      expect(job.status).toBe('pending');
+      expect(job.attempts).toBe(0);
+      expect(job.nextAttemptAt).toBeInstanceOf(Date);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+// __tests__/services/exports.test.js
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const {
+  csvField,
+  exportFormat,
+  selectColumns,
+  columnChoices,
+  sendExport
+} = require('../../services/exports');
+
+/** A stand-in for an Express response that keeps what's written */
+function fakeResponse() {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.removeHeader = name => { delete res.headers[name.toLowerCase()]; };
+  Object.defineProperty(res, 'headersSent', { get: () => chunks.length > 0 });
+  res.finished = new Promise(resolve => res.on('finish', resolve));
+  res.on('error', () => {});
+  res.body = () => Buffer.concat(chunks);
+  return res;
+}
+
+const columns = [
+  { key: 'date', header: 'Date', value: d => d.donatedAt, type: 'date' },
+  { key: 'donor', header: 'Donor', value: d => d.donor },
+  { key: 'books', header: 'Books', value: d => d.books, type: 'integer' },
+  { key: 'value', header: 'Value ($)', value: d => d.value, type: 'currency' },
+  { key: 'bookDrive', header: 'Book Drive', value: d => d.bookDrive, type: 'boolean' },
+  { key: 'notes', header: 'Notes', value: d => d.notes, optional: true }
+];
+
+const donations = [
+  { donatedAt: new Date(2024, 0, 15, 10, 30), donor: 'Doe, Jane', books: 4, value: 8, bookDrive: false, notes: 'Said "thanks"\nTwice' },
+  { donatedAt: new Date(2024, 1, 2), donor: 'José Núñez', books: 30, value: 0, bookDrive: true, notes: '' }
+];
+
+/** Rows the way a Mongoose query gives them to the export */
+function query(rows) {
+  return {
+    cursor: async function * () {
+      yield * rows;
+    }
+  };
+}
+
+describe('List exports', () => {
+  describe('csvField', () => {
+    it('should quote only fields with commas, quotes or line breaks', () => {
+      expect(csvField('plain')).toBe('plain');
+      expect(csvField('Doe, Jane')).toBe('"Doe, Jane"');
+      expect(csvField('Said "hi"')).toBe('"Said ""hi"""');
+      expect(csvField('one\r\ntwo')).toBe('"one\r\ntwo"');
+      expect(csvField(null)).toBe('');
+      expect(csvField(0)).toBe('0');
+    });
+  });
+
+  describe('columns', () => {
+    it('should default to the non-optional columns', () => {
+      expect(selectColumns(columns).map(c => c.key)).toEqual(['date', 'donor', 'books', 'value', 'bookDrive']);
+    });
+
+    it('should keep the columns asked for, in the list\'s order', () => {
+      expect(selectColumns(columns, 'notes,date,bogus').map(c => c.key)).toEqual(['date', 'notes']);
+      expect(selectColumns(columns, ['books', 'donor']).map(c => c.key)).toEqual(['donor', 'books']);
+      expect(selectColumns(columns, 'bogus')).toHaveLength(5);
+    });
+
+    it('should list every column for the export menu', () => {
+      expect(columnChoices(columns, ['notes'])).toEqual([
+        { key: 'date', header: 'Date', selected: false },
+        { key: 'donor', header: 'Donor', selected: false },
+        { key: 'books', header: 'Books', selected: false },
+        { key: 'value', header: 'Value ($)', selected: false },
+        { key: 'bookDrive', header: 'Book Drive', selected: false },
+        { key: 'notes', header: 'Notes', selected: true }
+      ]);
+    });
+
+    it('should only accept known formats', () => {
+      expect(exportFormat('xlsx')).toBe('xlsx');
+      expect(exportFormat('pdf')).toBeNull();
+      expect(exportFormat('constructor')).toBeNull();
+      expect(exportFormat(undefined)).toBeNull();
+    });
+  });
+
+  describe('sendExport', () => {
+    it('should write RFC 4180 CSV with a byte order mark', async () => {
+      const res = fakeResponse();
+
+      const count = await sendExport(res, {
+        format: 'csv',
+        fileName: 'donations',
+        rows: query(donations),
+        columns,
+        selected: ['date', 'donor', 'value', 'bookDrive', 'notes']
+      });
+      await res.finished;
+
+      expect(count).toBe(2);
+      expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(res.headers['content-disposition']).toMatch(/^attachment; filename="donations-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(res.body().toString('utf8')).toBe(
+        '﻿Date,Donor,Value ($),Book Drive,Notes\r\n' +
+        '2024-01-15,"Doe, Jane",8.00,No,"Said ""thanks""\nTwice"\r\n' +
+        '2024-02-02,José Núñez,0.00,Yes,\r\n'
+      );
+    });
+
+    it('should leave out rows the filter rejects', async () => {
+      const res = fakeResponse();
+
+      const count = await sendExport(res, {
+        format: 'csv',
+        fileName: 'donations',
+        rows: donations,
+        filter: d => d.books > 10,
+        columns,
+        selected: 'donor'
+      });
+      await res.finished;
+
+      expect(count).toBe(1);
+      expect(res.body().toString('utf8')).toBe('﻿Donor\r\nJosé Núñez\r\n');
+    });
+
+    it('should write JSON objects keyed by column', async () => {
+      const res = fakeResponse();
+
+      await sendExport(res, {
+        format: 'json',
+        fileName: 'donations',
+        rows: query(donations),
+        columns,
+        property: 'donations',
+        filters: { donorType: 'person' }
+      });
+      await res.finished;
+
+      const body = JSON.parse(res.body().toString('utf8'));
+      expect(body.filters).toEqual({ donorType: 'person' });
+      expect(body.count).toBe(2);
+      expect(body.donations[0]).toEqual({ date: '2024-01-15', donor: 'Doe, Jane', books: 4, value: 8, bookDrive: false });
+      expect(body.donations[1].bookDrive).toBe(true);
+    });
+
+    it('should write an empty JSON list when nothing matches', async () => {
+      const res = fakeResponse();
+
+      await sendExport(res, { format: 'json', fileName: 'donations', rows: [], columns });
+      await res.finished;
+
+      expect(JSON.parse(res.body().toString('utf8'))).toEqual(expect.objectContaining({ rows: [], count: 0 }));
+    });
+
+    it('should stream a typed workbook with summary sheets', async () => {
+      const res = fakeResponse();
+
+      await sendExport(res, {
+        format: 'xlsx',
+        fileName: 'donations',
+        rows: query([...donations, { ...donations[0], books: 1 }]),
+        columns,
+        sheet: 'Donations',
+        summaries: [{
+          name: 'Donors',
+          key: d => d.donor,
+          start: d => ({ donor: d.donor, books: 0 }),
+          add: (group, d) => { group.books += d.books; },
+          columns: [
+            { header: 'Donor', value: group => group.donor },
+            { header: 'Books', value: group => group.books, type: 'integer' }
+          ]
+        }]
+      });
+      await res.finished;
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(res.body());
+      expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Donations', 'Donors']);
+
+      const sheet = workbook.getWorksheet('Donations');
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['Date', 'Donor', 'Books', 'Value ($)', 'Book Drive']);
+      expect(sheet.getCell('A2').value).toEqual(new Date(Date.UTC(2024, 0, 15)));
+      expect(sheet.getCell('C3').value).toBe(30);
+      expect(sheet.getCell('E3').value).toBe('Yes');
+
+      const donors = workbook.getWorksheet('Donors');
+      expect(donors.getSheetValues().slice(2).map(row => row.slice(1))).toEqual([['Doe, Jane', 5], ['José Núñez', 30]]);
+    });
+
+    it('should cut the download short if reading rows fails part way', async () => {
+      const res = fakeResponse();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = {
+        cursor: async function * () {
+          yield donations[0];
+          throw new Error('cursor lost');
+        }
+      };
+
+      const count = await sendExport(res, { format: 'csv', fileName: 'donations', rows: failing, columns });
+
+      expect(count).toBe(1);
+      expect(res.destroyed).toBe(true);
+      console.error.mockRestore();
+    });
+
+    it('should refuse unknown formats', async () => {
+      await expect(sendExport(fakeResponse(), { format: 'pdf', fileName: 'x', rows: [], columns }))
+        .rejects.toThrow('Unknown export format: pdf');
+    });
+  });
+});
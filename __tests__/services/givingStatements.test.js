@@ -0,0 +1,74 @@
+// __tests__/services/givingStatements.test.js
+const {
+  groupDonationsByDonor,
+  buildStatementData,
+  statementFilename,
+  renderStatementPdf
+} = require('../../services/givingStatements');
+
+describe('Giving Statements Service', () => {
+  const ana = { _id: 'm1', firstName: 'Ana', lastName: 'Rivera', email: 'ana@example.com', address: '12 Oak St' };
+  const school = { _id: 'o1', name: 'Penn Alexander School' };
+
+  const donations = [
+    { member: ana, donationType: 'used', numberOfBooks: 10, valuePerBook: 2, monetaryAmount: 0, donatedAt: new Date('2025-02-01') },
+    { member: ana, donationType: 'new', numberOfBooks: 3, totalValue: 45, monetaryAmount: 50, donatedAt: new Date('2025-06-01'), receiptNumber: 'THB-2025-00003' },
+    { organization: school, donationType: 'used', numberOfBooks: 200, isBookDrive: true, bookDriveName: 'Spring Drive', donatedAt: new Date('2025-04-10') },
+    { donationType: 'used', numberOfBooks: 5, donorName: 'Walk-in', donatedAt: new Date('2025-05-05') }
+  ];
+
+  describe('groupDonationsByDonor', () => {
+    it('should group by member or organization and skip anonymous donations', () => {
+      const groups = groupDonationsByDonor(donations);
+
+      expect(groups.map(g => g.name)).toEqual(['Ana Rivera', 'Penn Alexander School']);
+      expect(groups[0]).toMatchObject({ donorType: 'member', donorId: 'm1', email: 'ana@example.com' });
+      expect(groups[1]).toMatchObject({ donorType: 'organization', email: null });
+    });
+
+    it('should total books, in-kind value and money', () => {
+      const [anaGroup] = groupDonationsByDonor(donations);
+
+      expect(anaGroup.totals).toMatchObject({
+        donationCount: 2,
+        books: 13,
+        inKindValue: 65,
+        monetaryAmount: 50,
+        bookDriveBooks: 0
+      });
+    });
+
+    it('should total book drive books and list drive names', () => {
+      const schoolGroup = groupDonationsByDonor(donations)[1];
+
+      expect(schoolGroup.totals.bookDriveBooks).toBe(200);
+      expect(schoolGroup.totals.bookDrives).toEqual(['Spring Drive']);
+    });
+  });
+
+  describe('buildStatementData', () => {
+    it('should list each donation with its receipt number', () => {
+      const data = buildStatementData(2025, groupDonationsByDonor(donations)[0]);
+
+      expect(data.year).toBe(2025);
+      expect(data.donor.name).toBe('Ana Rivera');
+      expect(data.lines).toHaveLength(2);
+      expect(data.lines[1]).toMatchObject({ description: '3 new books', receiptNumber: 'THB-2025-00003', monetaryAmount: 50 });
+      expect(data.quidProQuoStatement).toMatch(/No services were provided/);
+    });
+  });
+
+  describe('statementFilename', () => {
+    it('should include the year and donor name', () => {
+      const [anaGroup] = groupDonationsByDonor(donations);
+      expect(statementFilename(2025, anaGroup)).toBe('giving-statement-2025-ana-rivera.pdf');
+    });
+  });
+
+  describe('renderStatementPdf', () => {
+    it('should produce a PDF', async () => {
+      const buffer = await renderStatementPdf(buildStatementData(2025, groupDonationsByDonor(donations)[1]));
+      expect(buffer.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
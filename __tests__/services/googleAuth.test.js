@@ -0,0 +1,89 @@
+// __tests__/services/googleAuth.test.js
+const User = require('../../models/User');
+const googleAuth = require('../../services/googleAuth');
+
+function googleProfile(json = {}) {
+  return {
+    id: 'g-123',
+    _json: {
+      email: 'Pat@TreehouseBooks.org',
+      email_verified: true,
+      hd: 'treehousebooks.org',
+      given_name: 'Pat',
+      family_name: 'Reader',
+      ...json
+    }
+  };
+}
+
+const identity = { googleId: 'g-123', email: 'pat@treehousebooks.org', firstName: 'Pat', lastName: 'Reader' };
+
+describe('Google Auth Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.GOOGLE_CLIENT_ID;
+    delete process.env.GOOGLE_CLIENT_SECRET;
+    delete process.env.GOOGLE_HOSTED_DOMAIN;
+  });
+
+  describe('isEnabled', () => {
+    it('should need a client ID, secret and hosted domain', () => {
+      process.env.GOOGLE_CLIENT_ID = 'id';
+      process.env.GOOGLE_CLIENT_SECRET = 'secret';
+      expect(googleAuth.isEnabled()).toBe(false);
+
+      process.env.GOOGLE_HOSTED_DOMAIN = 'TreehouseBooks.org';
+      expect(googleAuth.isEnabled()).toBe(true);
+      expect(googleAuth.getConfig().hostedDomain).toBe('treehousebooks.org');
+    });
+  });
+
+  describe('profileIdentity', () => {
+    it('should accept a verified account in our domain', () => {
+      expect(googleAuth.profileIdentity(googleProfile(), 'treehousebooks.org')).toEqual(identity);
+    });
+
+    it('should refuse other domains and unverified emails', () => {
+      expect(() => googleAuth.profileIdentity(googleProfile({ hd: undefined, email: 'pat@gmail.com' }), 'treehousebooks.org'))
+        .toThrow('@treehousebooks.org');
+      expect(() => googleAuth.profileIdentity(googleProfile({ email: 'pat@evil.example' }), 'treehousebooks.org'))
+        .toThrow('@treehousebooks.org');
+      expect(() => googleAuth.profileIdentity(googleProfile({ email_verified: false }), 'treehousebooks.org'))
+        .toThrow('isn\'t verified');
+    });
+  });
+
+  describe('findOrCreateUser', () => {
+    it('should link the Google ID to an existing account with the same email', async () => {
+      const existing = new User({ email: identity.email, firstName: 'Pat', lastName: 'Reader', password: 'x', role: 'staff' });
+      jest.spyOn(User, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+      const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      const result = await googleAuth.findOrCreateUser(identity, { autoProvision: false });
+
+      expect(result).toEqual({ user: existing, created: false });
+      expect(update).toHaveBeenCalledWith({ _id: existing._id }, { $set: { googleId: 'g-123' } });
+    });
+
+    it('should refuse an account already linked to another Google account', async () => {
+      const existing = new User({ email: identity.email, firstName: 'Pat', lastName: 'Reader', password: 'x', googleId: 'g-999' });
+      jest.spyOn(User, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+      const update = jest.spyOn(User, 'updateOne');
+
+      await expect(googleAuth.findOrCreateUser(identity, { autoProvision: true })).rejects.toThrow('different Google account');
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should only create new users when auto-provisioning is on, as pending volunteers', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(User, 'create').mockImplementation(async fields => fields);
+
+      expect(await googleAuth.findOrCreateUser(identity, { autoProvision: false })).toEqual({ user: null, created: false });
+      expect(create).not.toHaveBeenCalled();
+
+      const result = await googleAuth.findOrCreateUser(identity, { autoProvision: true });
+      expect(result.created).toBe(true);
+      expect(create.mock.calls[0][0]).toMatchObject({ email: identity.email, googleId: 'g-123', role: 'volunteer', status: 'pending' });
+    });
+  });
+});
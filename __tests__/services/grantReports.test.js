@@ -0,0 +1,257 @@
+// __tests__/services/grantReports.test.js
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const Attendance = require('../../models/Attendance');
+const BookDistribution = require('../../models/BookDistribution');
+const Checkout = require('../../models/Checkout');
+const Member = require('../../models/Member');
+const Organization = require('../../models/Organization');
+const Program = require('../../models/Program');
+const SidewalkInventory = require('../../models/SidewalkInventory');
+const TravelingStop = require('../../models/TravelingStop');
+const Visit = require('../../models/Visit');
+const {
+  resolvePeriod,
+  sessionHours,
+  formatMetric,
+  runReport,
+  reportFileName,
+  renderReportPdf,
+  buildReportWorkbook,
+  renderReportCsv
+} = require('../../services/grantReports');
+
+/** Model.find(...).select(...).lean() resolving to rows */
+const found = rows => ({ select: () => ({ lean: async () => rows }) });
+
+/** $group stage of an aggregate pipeline */
+const groupStage = pipeline => pipeline.find(stage => stage.$group).$group;
+
+describe('Grant Reports Service', () => {
+  describe('resolvePeriod', () => {
+    const today = new Date(2026, 1, 10); // 10 Feb 2026
+
+    it('should work out relative periods from today', () => {
+      const days = period => {
+        const { start, end } = resolvePeriod({ period }, today);
+        return [start.toDateString(), end.toDateString()];
+      };
+
+      expect(days('lastWeek')).toEqual(['Mon Feb 02 2026', 'Sun Feb 08 2026']);
+      expect(days('lastMonth')).toEqual(['Thu Jan 01 2026', 'Sat Jan 31 2026']);
+      expect(days('lastQuarter')).toEqual(['Wed Oct 01 2025', 'Wed Dec 31 2025']);
+      expect(days('yearToDate')).toEqual(['Thu Jan 01 2026', 'Tue Feb 10 2026']);
+      expect(days('lastYear')).toEqual(['Wed Jan 01 2025', 'Wed Dec 31 2025']);
+      expect(days('last12Months')).toEqual(['Tue Feb 11 2025', 'Tue Feb 10 2026']);
+    });
+
+    it('should use the dates of a custom period', () => {
+      const period = resolvePeriod({ period: 'custom', startDate: '2025-07-01', endDate: new Date(2025, 8, 30, 15) }, today);
+
+      expect(period.start).toEqual(new Date(2025, 6, 1));
+      expect(period.end).toEqual(new Date(2025, 8, 30));
+      expect(period.label).toBe('July 1, 2025 – September 30, 2025');
+    });
+
+    it('should refuse a custom period without dates', () => {
+      expect(() => resolvePeriod({ period: 'custom' }, today)).toThrow('The report needs a valid start and end date');
+    });
+  });
+
+  describe('sessionHours', () => {
+    it('should read the length of a scheduled session', () => {
+      expect(sessionHours({ startTime: '15:00', endTime: '16:30' })).toBe(1.5);
+      expect(sessionHours({ startTime: '9:00', endTime: '12:00' })).toBe(3);
+    });
+
+    it('should give up on missing or backwards times', () => {
+      expect(sessionHours({ startTime: '15:00' })).toBeNull();
+      expect(sessionHours({ startTime: '17:00', endTime: '15:00' })).toBeNull();
+      expect(sessionHours(undefined)).toBeNull();
+    });
+  });
+
+  describe('formatMetric', () => {
+    it('should show counts, percentages and hours', () => {
+      expect(formatMetric({ unit: 'count', value: 1204 })).toBe('1,204');
+      expect(formatMetric({ unit: 'percent', value: 38.5 })).toBe('38.5%');
+      expect(formatMetric({ unit: 'hours', value: 1 })).toBe('1 hour');
+      expect(formatMetric({ unit: 'percent', value: null })).toBe('—');
+    });
+  });
+
+  describe('runReport', () => {
+    const definition = {
+      name: 'Literacy Fund Q1',
+      period: 'custom',
+      startDate: '2025-01-01',
+      endDate: '2025-03-31',
+      hoursPerSession: 2,
+      metrics: ['attendanceHours', 'booksDistributed', 'childrenServed', 'blackAuthorShare', 'zipCodesReached']
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Checkout, 'aggregate').mockImplementation(async pipeline => (groupStage(pipeline).total
+        ? [{ total: 40 }]
+        : [{ blackAuthorAdult: 5, adult: 10, blackAuthorKids: 10, kids: 15, boardBooks: 0 }]));
+      jest.spyOn(BookDistribution, 'aggregate').mockImplementation(async pipeline => (groupStage(pipeline).total
+        ? [{ total: 100 }]
+        : [{ blackAuthorAdult: 0, adult: 0, blackAuthorKids: 10, kids: 10, boardBooks: 0 }]));
+      jest.spyOn(TravelingStop, 'aggregate').mockResolvedValue([{ total: 12 }]);
+      jest.spyOn(TravelingStop, 'find').mockReturnValue(found([{ stopZipCode: '19121' }, { stopZipCode: '19122-1234' }]));
+      jest.spyOn(SidewalkInventory, 'find').mockReturnValue(found([
+        { startCount: 40, endCount: 10 },
+        { startCount: 5, endCount: 20 } // restocked mid-week: nothing counted
+      ]));
+
+      jest.spyOn(Visit, 'distinct').mockResolvedValue(['m1', 'm2']);
+      jest.spyOn(Checkout, 'distinct').mockResolvedValue(['m2', 'm3']);
+      jest.spyOn(BookDistribution, 'distinct').mockImplementation(async field => (field === 'member' ? ['m4', null] : ['o1']));
+      jest.spyOn(Attendance, 'distinct').mockResolvedValue(['m3']);
+      jest.spyOn(Attendance, 'aggregate').mockResolvedValue([{ _id: 'p1', attended: 4 }, { _id: 'p2', attended: 3 }]);
+
+      jest.spyOn(Member, 'distinct').mockResolvedValue(['m1', 'm3']);
+      jest.spyOn(Member, 'find').mockReturnValue(found([{ zipCode: '19121' }, { zipCode: '19133' }, { zipCode: '' }]));
+      jest.spyOn(Organization, 'find').mockReturnValue(found([{ zipCode: '19121' }]));
+      jest.spyOn(Program, 'find').mockReturnValue(found([
+        { _id: 'p1', name: 'Story Time', classroomSettings: { schedule: { startTime: '15:00', endTime: '16:30' } } },
+        { _id: 'p2', name: 'Book Club' }
+      ]));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should list metrics in the standard order', async () => {
+      const report = await runReport(definition);
+
+      expect(report.name).toBe('Literacy Fund Q1');
+      expect(report.metrics.map(m => m.key)).toEqual(['booksDistributed', 'childrenServed', 'blackAuthorShare', 'zipCodesReached', 'attendanceHours']);
+    });
+
+    it('should total books across every program', async () => {
+      const [books] = (await runReport({ ...definition, metrics: ['booksDistributed'] })).metrics;
+
+      expect(books.value).toBe(182);
+      expect(books.display).toBe('182');
+      expect(books.breakdown.rows.map(r => r.value)).toEqual([40, 100, 12, 30]);
+    });
+
+    it('should only count records inside the period', async () => {
+      await runReport({ ...definition, metrics: ['booksDistributed', 'childrenServed'] });
+
+      const [[pipeline]] = Checkout.aggregate.mock.calls;
+      expect(pipeline[0].$match.checkoutDate).toEqual({ $gte: new Date(2025, 0, 1), $lt: new Date(2025, 3, 1) });
+      expect(pipeline[0].$match.isDeleted).toEqual({ $ne: true });
+      expect(TravelingStop.aggregate.mock.calls[0][0][0].$match.date).toEqual({ $gte: '2025-01-01', $lte: '2025-03-31' });
+      expect(Attendance.distinct).toHaveBeenCalledWith('member', { date: { $gte: '2025-01-01', $lte: '2025-03-31' } });
+    });
+
+    it('should count each child once however they were served', async () => {
+      const [children] = (await runReport({ ...definition, metrics: ['childrenServed'] })).metrics;
+
+      expect(children.value).toBe(2);
+      expect(children.breakdown.rows).toEqual([
+        { label: 'Visits', value: 1 },
+        { label: 'Checkouts', value: 1 },
+        { label: 'Book distributions', value: 0 },
+        { label: 'Programs', value: 1 }
+      ]);
+
+      const [, filter] = Member.distinct.mock.calls[0];
+      expect(filter._id.$in.sort()).toEqual(['m1', 'm2', 'm3', 'm4']);
+      expect(filter.$or).toEqual([{ memberType: 'child' }, { dateOfBirth: { $gt: new Date(2007, 2, 31) } }]);
+    });
+
+    it('should look up the members served once for the whole report', async () => {
+      await runReport({ ...definition, metrics: ['childrenServed', 'zipCodesReached'] });
+
+      expect(Visit.distinct).toHaveBeenCalledTimes(1);
+    });
+
+    it('should work out the Black-author share of categorized books', async () => {
+      const [share] = (await runReport({ ...definition, metrics: ['blackAuthorShare'] })).metrics;
+
+      expect(share.value).toBe(41.7);
+      expect(share.display).toBe('41.7%');
+      expect(share.note).toBe('25 of 60 books with a recorded category.');
+    });
+
+    it('should leave the share blank when no categories were recorded', async () => {
+      Checkout.aggregate.mockResolvedValue([]);
+      BookDistribution.aggregate.mockResolvedValue([]);
+
+      const [share] = (await runReport({ ...definition, metrics: ['blackAuthorShare'] })).metrics;
+
+      expect(share.value).toBeNull();
+      expect(share.display).toBe('—');
+    });
+
+    it('should count ZIP codes from members, stops and organizations', async () => {
+      const [zips] = (await runReport({ ...definition, metrics: ['zipCodesReached'] })).metrics;
+
+      expect(zips.value).toBe(3);
+      expect(zips.breakdown.rows).toEqual([
+        { label: '19121', value: 3 },
+        { label: '19122', value: 1 },
+        { label: '19133', value: 1 }
+      ]);
+    });
+
+    it('should use each program\'s schedule for attendance hours', async () => {
+      const [hours] = (await runReport({ ...definition, metrics: ['attendanceHours'] })).metrics;
+
+      expect(hours.breakdown.rows).toEqual([
+        { label: 'Story Time', value: 6 },
+        { label: 'Book Club', value: 6 }
+      ]);
+      expect(hours.value).toBe(12);
+      expect(hours.display).toBe('12 hours');
+    });
+
+    it('should refuse a report with no metrics', async () => {
+      await expect(runReport({ ...definition, metrics: [] })).rejects.toThrow('Choose at least one metric');
+    });
+
+    it('should render a PDF and a workbook with a sheet per chart', async () => {
+      const report = await runReport(definition);
+
+      const pdf = await renderReportPdf(report);
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+
+      const buffer = await buildReportWorkbook(report);
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      expect(workbook.worksheets.map(sheet => sheet.name)).toEqual([
+        'Summary',
+        'Books distributed',
+        'Unique children served',
+        'Black-author book share',
+        'ZIP codes reached',
+        'Program attendance hours'
+      ]);
+      expect(workbook.getWorksheet('Summary').getCell('B2').value).toBe(182);
+      expect(workbook.getWorksheet('Books distributed').conditionalFormattings[0].rules[0].type).toBe('dataBar');
+
+      // A bar chart on each breakdown sheet
+      const zip = await JSZip.loadAsync(buffer);
+      const charts = zip.file(/^xl\/charts\/chart\d+\.xml$/);
+      expect(charts).toHaveLength(5);
+      expect(await charts.find(file => file.name === 'xl/charts/chart1.xml').async('string'))
+        .toContain("<c:f>'Books distributed'!$B$2:$B$5</c:f>");
+
+      expect(reportFileName(report, 'pdf')).toBe('literacy-fund-q1-2025-01-01-to-2025-03-31.pdf');
+    });
+
+    it('should render a CSV with each headline number followed by its breakdown', async () => {
+      const report = await runReport({ ...definition, metrics: ['booksDistributed', 'blackAuthorShare'] });
+
+      const lines = renderReportCsv(report).toString('utf8').split('\r\n');
+      expect(lines[0]).toBe('\uFEFFMetric,Item,Value,Unit,From,To');
+      expect(lines[1]).toBe('Books distributed,,182,,2025-01-01,2025-03-31');
+      expect(lines[2]).toBe('Books distributed,Checkouts,40,Books,2025-01-01,2025-03-31');
+      expect(lines).toContain('Black-author book share,,41.7,%,2025-01-01,2025-03-31');
+    });
+  });
+});
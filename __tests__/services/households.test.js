@@ -0,0 +1,48 @@
+// __tests__/services/households.test.js
+const mongoose = require('mongoose');
+const Household = require('../../models/Household');
+const { listGuardians } = require('../../services/households');
+
+describe('Households Service', () => {
+  describe('listGuardians', () => {
+    const parent = { _id: new mongoose.Types.ObjectId(), firstName: 'Ana', lastName: 'Rivera' };
+    const grandma = { _id: new mongoose.Types.ObjectId(), firstName: 'Rosa', lastName: 'Rivera' };
+
+    it('should return recorded guardians with their pickup permission', () => {
+      const guardians = listGuardians({
+        parent,
+        guardians: [
+          { member: parent, relationship: 'parent', canPickup: true },
+          { member: grandma, relationship: 'grandparent', canPickup: false }
+        ]
+      });
+
+      expect(guardians).toHaveLength(2);
+      expect(guardians[1].canPickup).toBe(false);
+    });
+
+    it('should fall back to the legacy parent when no guardians are recorded', () => {
+      const guardians = listGuardians({ parent, guardians: [] });
+
+      expect(guardians).toEqual([{ member: parent, relationship: 'parent', canPickup: true }]);
+    });
+
+    it('should skip guardians whose member no longer exists', () => {
+      const guardians = listGuardians({ guardians: [{ member: null, relationship: 'parent' }] });
+
+      expect(guardians).toEqual([]);
+    });
+  });
+
+  describe('Household model', () => {
+    it('should require a name', () => {
+      const err = new Household({}).validateSync();
+      expect(err.errors.name).toBeDefined();
+    });
+
+    it('should reject an invalid zip code', () => {
+      const err = new Household({ name: 'Rivera Household', zipCode: '123' }).validateSync();
+      expect(err.errors.zipCode).toBeDefined();
+    });
+  });
+});
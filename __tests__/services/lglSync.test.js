@@ -0,0 +1,163 @@
+// __tests__/services/lglSync.test.js
+const mongoose = require('mongoose');
+const Donation = require('../../models/Donation');
+const Member = require('../../models/Member');
+const Organization = require('../../models/Organization');
+const SyncHistory = require('../../models/SyncHistory');
+const lglSync = require('../../services/lglSync');
+const { LGL } = require('../../config/lgl');
+const { createStandIn } = require('../../scripts/lglStandIn');
+
+describe('Little Green Light Sync Service', () => {
+  const member = {
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    address: '1 Elm St',
+    zipCode: '19121'
+  };
+  const organization = { _id: new mongoose.Types.ObjectId(), name: 'Elm Street School', email: 'office@elm.example.org' };
+
+  const donation = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    donationType: 'used',
+    donorType: 'person',
+    member,
+    numberOfBooks: 10,
+    valuePerBook: 2,
+    monetaryAmount: 0,
+    donatedAt: new Date(2025, 2, 14, 15, 0),
+    ...fields
+  });
+
+  let standIn, server, client, donations, updates;
+
+  beforeEach(done => {
+    standIn = createStandIn({ apiKey: 'test-key' });
+    server = standIn.listen(0, '127.0.0.1', () => {
+      client = lglSync.createClient({ apiUrl: `http://127.0.0.1:${server.address().port}/api/v1`, apiKey: 'test-key' });
+      done();
+    });
+
+    donations = [];
+    updates = [];
+    jest.spyOn(SyncHistory, 'create').mockImplementation(async doc => {
+      const job = new SyncHistory(doc);
+      job.save = jest.fn().mockResolvedValue(job);
+      return job;
+    });
+    jest.spyOn(Donation, 'find').mockReturnValue({
+      populate: () => ({ populate: () => ({ sort: () => ({ lean: async () => donations }) }) })
+    });
+    [Donation, Member, Organization].forEach(Model => {
+      jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) => {
+        updates.push({ model: Model.modelName, id: filter._id, set: update.$set });
+        return {};
+      });
+    });
+  });
+
+  afterEach(done => {
+    jest.restoreAllMocks();
+    server.close(done);
+  });
+
+  describe('payloads', () => {
+    it('should describe a member or an organization as a constituent', () => {
+      expect(lglSync.constituentPayload(member, 'Member')).toEqual({
+        first_name: 'Ada',
+        last_name: 'Lovelace',
+        external_constituent_id: `member-${member._id}`,
+        email_addresses: [{ address: 'ada@example.com' }],
+        phone_numbers: [],
+        street_addresses: [{ street: '1 Elm St', postal_code: '19121' }]
+      });
+      expect(lglSync.constituentPayload(organization, 'Organization')).toMatchObject({ is_org: true, org_name: 'Elm Street School' });
+    });
+
+    it('should send books as an in-kind gift and money as a cash gift', () => {
+      const gifts = lglSync.giftPayloads(donation({ monetaryAmount: 25, isBookDrive: true, bookDriveName: 'Spring drive' }));
+
+      expect(gifts.map(g => g.field)).toEqual(['inKindGiftId', 'cashGiftId']);
+      expect(gifts[0].payload).toMatchObject({ received_date: '2025-03-14', received_amount: 20, note: '10 used books (book drive: Spring drive)' });
+      expect(gifts[1].payload).toMatchObject({ received_amount: 25, note: 'Monetary donation' });
+    });
+  });
+
+  describe('runSync', () => {
+    it('should create each donor once and save every LGL ID', async () => {
+      donations = [
+        donation(),
+        donation({ monetaryAmount: 50 }),
+        donation({ donorType: 'organization', member: null, organization, donationType: 'new', totalValue: 80 })
+      ];
+
+      const job = await lglSync.runSync({ userId: new mongoose.Types.ObjectId(), client });
+
+      expect(job.status).toBe('completed');
+      expect(job.stats.toObject()).toMatchObject({ totalRows: 3, successful: 3, failed: 0, constituentsCreated: 2, giftsCreated: 4 });
+      expect(standIn.state.constituents).toHaveLength(2);
+      expect(standIn.state.gifts.map(g => g.external_id)).toEqual([
+        `donation-${donations[0]._id}-books`,
+        `donation-${donations[1]._id}-books`,
+        `donation-${donations[1]._id}-cash`,
+        `donation-${donations[2]._id}-books`
+      ]);
+
+      const memberUpdate = updates.find(u => u.model === 'Member');
+      expect(memberUpdate.set['lgl.constituentId']).toBe(String(standIn.state.constituents[0].id));
+      expect(updates.filter(u => u.model === 'Donation' && u.set['lgl.syncedAt'])).toHaveLength(3);
+    });
+
+    it('should only send what an earlier sync missed', async () => {
+      const { id } = await client.createConstituent(lglSync.constituentPayload(member, 'Member'));
+      donations = [donation({
+        member: { ...member, lgl: { constituentId: String(id) } },
+        monetaryAmount: 10,
+        lgl: { inKindGiftId: '77' }
+      })];
+
+      const job = await lglSync.runSync({ userId: new mongoose.Types.ObjectId(), client });
+
+      expect(job.stats.constituentsCreated).toBe(0);
+      expect(standIn.state.gifts).toHaveLength(1);
+      expect(standIn.state.gifts[0]).toMatchObject({ constituent_id: id, external_id: `donation-${donations[0]._id}-cash` });
+    });
+
+    it('should record a failed row and carry on', async () => {
+      const other = { ...member, _id: new mongoose.Types.ObjectId(), firstName: 'Grace' };
+      await client.createConstituent(lglSync.constituentPayload(member, 'Member'));
+      donations = [donation(), donation({ member: other })];
+
+      const job = await lglSync.runSync({ userId: new mongoose.Types.ObjectId(), client });
+
+      expect(job.stats.successful).toBe(1);
+      expect(job.stats.failed).toBe(1);
+      expect(job.rowErrors[0]).toMatchObject({ row: 1, model: 'Donation', error: 'LGL answered 422: External constituent ID has already been taken' });
+      expect(updates.some(u => String(u.id) === String(donations[0]._id))).toBe(false);
+    });
+
+    it('should not call LGL or save anything on a dry run', async () => {
+      donations = [donation(), donation({ monetaryAmount: 5 })];
+
+      const job = await lglSync.runSync({ userId: new mongoose.Types.ObjectId(), dryRun: true });
+
+      expect(job.stats.toObject()).toMatchObject({ successful: 2, constituentsCreated: 1, giftsCreated: 3 });
+      expect(job.pushedRecords.every(record => record.externalId === null)).toBe(true);
+      expect(standIn.state.constituents).toHaveLength(0);
+      expect(updates).toHaveLength(0);
+    });
+
+    it('should fail the whole sync without an API key', async () => {
+      const apiKey = LGL.apiKey;
+      LGL.apiKey = '';
+      await expect(lglSync.runSync({ userId: new mongoose.Types.ObjectId() })).rejects.toThrow('LGL_API_KEY is not set');
+      LGL.apiKey = apiKey;
+
+      const job = await SyncHistory.create.mock.results[0].value;
+      expect(job.status).toBe('failed');
+      expect(job.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+// __tests__/services/loginSecurity.test.js
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const LoginEvent = require('../../models/LoginEvent');
+const SecuritySettings = require('../../models/SecuritySettings');
+const mailer = require('../../services/mailer');
+const loginSecurity = require('../../services/loginSecurity');
+
+const settings = { lockoutThreshold: 5, lockoutMinutes: 15 };
+
+function fakeReq() {
+  return { ip: '203.0.113.7', get: () => 'Mozilla/5.0 Test' };
+}
+
+function fakeUser(fields = {}) {
+  return { _id: new mongoose.Types.ObjectId(), email: 'staff@example.org', firstName: 'Sam', lockoutCount: 0, ...fields };
+}
+
+describe('Login Security Service', () => {
+  beforeEach(() => {
+    jest.spyOn(SecuritySettings, 'getSettings').mockResolvedValue(settings);
+    jest.spyOn(LoginEvent, 'create').mockResolvedValue({});
+    jest.spyOn(mailer, 'sendAccountLockedEmail').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('lockoutDuration', () => {
+    it('should double with each lockout and stop at a day', () => {
+      const minutes = n => loginSecurity.lockoutDuration(n, settings) / 60000;
+      expect(minutes(1)).toBe(15);
+      expect(minutes(2)).toBe(30);
+      expect(minutes(3)).toBe(60);
+      expect(minutes(20)).toBe(24 * 60);
+    });
+  });
+
+  describe('isLocked', () => {
+    it('should only count lockouts that have not run out', () => {
+      const now = new Date('2026-03-01T12:00:00Z');
+      expect(loginSecurity.isLocked({ lockedUntil: null }, now)).toBe(false);
+      expect(loginSecurity.isLocked({ lockedUntil: new Date('2026-03-01T11:59:00Z') }, now)).toBe(false);
+      expect(loginSecurity.isLocked({ lockedUntil: new Date('2026-03-01T12:10:00Z') }, now)).toBe(true);
+      expect(loginSecurity.minutesLeft({ lockedUntil: new Date('2026-03-01T12:09:30Z') }, now)).toBe(10);
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('should count a failure below the limit without locking', async () => {
+      const user = fakeUser();
+      const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ failedLoginAttempts: 2, lockoutCount: 0 });
+
+      const result = await loginSecurity.recordFailure(user, fakeReq());
+
+      expect(result).toEqual({ locked: false });
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(mailer.sendAccountLockedEmail).not.toHaveBeenCalled();
+      expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: user._id, outcome: 'bad_password', causedLockout: false, ipAddress: '203.0.113.7'
+      }));
+    });
+
+    it('should lock at the limit, back off on repeat lockouts and email the owner', async () => {
+      const user = fakeUser({ lockoutCount: 1 });
+      const update = jest.spyOn(User, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ failedLoginAttempts: 5, lockoutCount: 1 })
+        .mockResolvedValueOnce({ failedLoginAttempts: 0, lockoutCount: 2 });
+
+      const before = Date.now();
+      const result = await loginSecurity.recordFailure(user, fakeReq(), 'bad_mfa_code');
+
+      expect(result.locked).toBe(true);
+      expect(result.lockedUntil.getTime() - before).toBeGreaterThanOrEqual(30 * 60000);
+      expect(update.mock.calls[1][0]).toEqual({ _id: user._id, failedLoginAttempts: 5 });
+      expect(update.mock.calls[1][1].$set).toMatchObject({ failedLoginAttempts: 0, lockoutCount: 2 });
+      expect(mailer.sendAccountLockedEmail).toHaveBeenCalledWith('staff@example.org', 'Sam', expect.objectContaining({
+        failedAttempts: 5, ipAddress: '203.0.113.7'
+      }));
+      expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'bad_mfa_code', causedLockout: true }));
+    });
+
+    it('should not lock or email twice when another attempt locked it first', async () => {
+      jest.spyOn(User, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ failedLoginAttempts: 5, lockoutCount: 0 })
+        .mockResolvedValueOnce(null);
+
+      const result = await loginSecurity.recordFailure(fakeUser(), fakeReq());
+
+      expect(result).toEqual({ locked: false });
+      expect(mailer.sendAccountLockedEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('should clear the failure count and backoff', async () => {
+      const user = fakeUser();
+      const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      await loginSecurity.recordSuccess(user, fakeReq(), 'totp');
+
+      expect(update.mock.calls[0][1].$set).toMatchObject({ failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null });
+      expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'success', mfaMethod: 'totp' }));
+    });
+
+    it('should record how the user signed in', async () => {
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      await loginSecurity.recordSuccess(fakeUser(), fakeReq());
+      await loginSecurity.recordSuccess(fakeUser(), fakeReq(), null, 'google');
+
+      expect(LoginEvent.create.mock.calls.map(call => call[0].method)).toEqual(['password', 'google']);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+// __tests__/services/memberMerge.test.js
+const mongoose = require('mongoose');
+const AuditLog = require('../../models/AuditLog');
+const Member = require('../../models/Member');
+const {
+  MEMBER_REFERENCES,
+  normalizePhone,
+  nameSimilarity,
+  scoreMemberPair,
+  countMemberReferences,
+  mergeMembers,
+  undoMerge,
+  DEFAULT_THRESHOLD
+} = require('../../services/memberMerge');
+
+const id = () => new mongoose.Types.ObjectId();
+const same = (a, b) => String(a) === String(b);
+
+/**
+ * The referencing models backed by in-memory collections, enough of the
+ * query API for mergeMembers/undoMerge: equality, $ne, $in and
+ * 'guardians.member' filters; $set (with arrayFilters) and $unset updates.
+ * @param {Object} collections - { Checkout: [docs], ... }
+ * @returns {Object} The collections, updated in place
+ */
+function fakeDatabase(collections) {
+  const fieldValue = (doc, path) => {
+    const [arrayPath, subField] = path.split('.');
+    return subField ? (doc[arrayPath] || []).map(item => item[subField]) : doc[path];
+  };
+  const matches = (doc, filter) => Object.entries(filter).every(([path, expected]) => {
+    const value = fieldValue(doc, path);
+    if (expected && expected.$ne) return !same(value, expected.$ne);
+    if (expected && expected.$in) return expected.$in.some(item => same(item, value));
+    return Array.isArray(value) ? value.some(item => same(item, expected)) : same(value, expected);
+  });
+  const applyUpdate = (doc, update, options = {}) => {
+    Object.entries(update.$set || {}).forEach(([path, value]) => {
+      const [arrayPath, filterName, subField] = path.split('.');
+      if (filterName !== '$[ref]') {
+        doc[path] = value;
+        return;
+      }
+      const wanted = options.arrayFilters[0][`ref.${subField}`];
+      doc[arrayPath].filter(item => same(item[subField], wanted)).forEach(item => { item[subField] = value; });
+    });
+    Object.keys(update.$unset || {}).forEach(path => { delete doc[path]; });
+  };
+
+  new Set(MEMBER_REFERENCES.map(ref => ref.model)).forEach(modelName => {
+    const Model = require(`../../models/${modelName}`);
+    const docs = collections[modelName] = collections[modelName] || [];
+    const where = filter => docs.filter(doc => matches(doc, filter));
+
+    jest.spyOn(Model, 'find').mockImplementation(filter => ({ lean: async () => where(filter).map(doc => ({ ...doc })) }));
+    jest.spyOn(Model, 'exists').mockImplementation(async filter => (where(filter).length > 0 ? { _id: where(filter)[0]._id } : null));
+    jest.spyOn(Model, 'countDocuments').mockImplementation(async filter => where(filter).length);
+    jest.spyOn(Model, 'deleteOne').mockImplementation(async filter => {
+      where(filter).forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    });
+    jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) => {
+      where(filter).slice(0, 1).forEach(doc => applyUpdate(doc, update));
+    });
+    jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update, options) => {
+      where(filter).forEach(doc => applyUpdate(doc, update, options));
+    });
+    jest.spyOn(Model.collection, 'insertOne').mockImplementation(async doc => { docs.push({ ...doc }); });
+  });
+
+  jest.spyOn(Member, 'findById').mockImplementation(async memberId => {
+    const doc = collections.Member.find(member => same(member._id, memberId));
+    return doc ? Member.hydrate(JSON.parse(JSON.stringify(doc))) : null;
+  });
+
+  return collections;
+}
+
+describe('Member Merge Service', () => {
+  describe('normalizePhone', () => {
+    it('should strip formatting and a leading country code', () => {
+      expect(normalizePhone('(555) 123-4567')).toBe('5551234567');
+      expect(normalizePhone('+1 555.123.4567')).toBe('5551234567');
+    });
+
+    it('should return empty string for missing phone', () => {
+      expect(normalizePhone(undefined)).toBe('');
+    });
+  });
+
+  describe('nameSimilarity', () => {
+    it('should treat case and spacing differences as identical', () => {
+      expect(nameSimilarity(' Maria ', 'maria')).toBe(1);
+    });
+
+    it('should score nicknames that are prefixes highly', () => {
+      expect(nameSimilarity('Kat', 'Katherine')).toBeGreaterThanOrEqual(0.85);
+    });
+
+    it('should score unrelated names low', () => {
+      expect(nameSimilarity('Smith', 'Johnson')).toBeLessThan(0.5);
+    });
+  });
+
+  describe('scoreMemberPair', () => {
+    const base = {
+      firstName: 'Jamie',
+      lastName: 'Rivera',
+      dateOfBirth: new Date('2015-04-02'),
+      phone: '555-123-4567',
+      zipCode: '12345'
+    };
+
+    it('should flag the same person entered twice', () => {
+      const { score, reasons } = scoreMemberPair(base, {
+        ...base,
+        firstName: 'jamie',
+        phone: '(555) 123 4567'
+      });
+      expect(score).toBeGreaterThanOrEqual(DEFAULT_THRESHOLD);
+      expect(reasons.length).toBeGreaterThan(0);
+    });
+
+    it('should not flag siblings with different birthdays', () => {
+      const { score } = scoreMemberPair(base, {
+        ...base,
+        firstName: 'Jamal',
+        dateOfBirth: new Date('2017-09-20')
+      });
+      expect(score).toBeLessThan(DEFAULT_THRESHOLD);
+    });
+
+    it('should stay between 0 and 100', () => {
+      const { score } = scoreMemberPair(base, { firstName: 'Pat', lastName: 'Ng', dateOfBirth: new Date('1980-01-01') });
+      expect(score).toBeGreaterThanOrEqual(0);
+      expect(score).toBeLessThanOrEqual(100);
+    });
+  });
+
+  describe('mergeMembers and undoMerge', () => {
+    const userId = id();
+    const programId = id();
+    const survivorId = id();
+    const loserId = id();
+    let db, entries;
+
+    beforeEach(() => {
+      db = fakeDatabase({
+        Member: [
+          { _id: survivorId, firstName: 'Jamie', lastName: 'Rivera', phone: '555-123-4567' },
+          { _id: loserId, firstName: 'Jamie', lastName: 'Rivera', email: 'jamie@example.org' },
+          { _id: id(), firstName: 'Sam', lastName: 'Rivera', parent: loserId, guardians: [{ member: loserId, relationship: 'parent' }] }
+        ],
+        Donation: [
+          { _id: id(), member: loserId, numberOfBooks: 10 },
+          { _id: id(), member: survivorId, numberOfBooks: 4 }
+        ],
+        Checkout: [{ _id: id(), member: loserId, numberOfBooks: 3 }],
+        Visit: [
+          { _id: id(), member: loserId, purpose: 'Browse' },
+          { _id: id(), member: loserId, purpose: 'Story time' }
+        ],
+        // Both records were marked present at the same session
+        Attendance: [
+          { _id: id(), member: loserId, program: programId, date: '2025-03-01' },
+          { _id: id(), member: survivorId, program: programId, date: '2025-03-01' },
+          { _id: id(), member: loserId, program: programId, date: '2025-03-08' }
+        ]
+      });
+
+      entries = [];
+      jest.spyOn(AuditLog, 'create').mockImplementation(async fields => {
+        const entry = { _id: id(), ...fields, save: jest.fn() };
+        entries.push(entry);
+        return entry;
+      });
+      jest.spyOn(AuditLog, 'findById').mockImplementation(async entryId => entries.find(entry => same(entry._id, entryId)));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const owners = modelName => db[modelName].map(doc => String(doc.member));
+    const member = memberId => db.Member.find(doc => same(doc._id, memberId));
+
+    it('should move every record onto the survivor and put them back on undo', async () => {
+      const before = {
+        Donation: owners('Donation'),
+        Checkout: owners('Checkout'),
+        Visit: owners('Visit')
+      };
+
+      const entry = await mergeMembers(survivorId, loserId, userId);
+
+      expect(owners('Donation')).toEqual([String(survivorId), String(survivorId)]);
+      expect(owners('Checkout')).toEqual([String(survivorId)]);
+      expect(owners('Visit')).toEqual([String(survivorId), String(survivorId)]);
+      expect(Object.values(await countMemberReferences(loserId)).every(count => count === 0)).toBe(true);
+
+      const child = db.Member[2];
+      expect(String(child.parent)).toBe(String(survivorId));
+      expect(String(child.guardians[0].member)).toBe(String(survivorId));
+
+      expect(member(loserId)).toEqual(expect.objectContaining({ isDeleted: true, mergedInto: survivorId }));
+      expect(member(loserId).email).toBeUndefined();
+      expect(member(survivorId).email).toBe('jamie@example.org');
+      expect(entry.summary).toContain('7 reference(s) moved, 1 duplicate record(s) removed');
+
+      await undoMerge(entry._id, userId);
+
+      expect(owners('Donation')).toEqual(before.Donation);
+      expect(owners('Checkout')).toEqual(before.Checkout);
+      expect(owners('Visit')).toEqual(before.Visit);
+      expect(String(child.parent)).toBe(String(loserId));
+      expect(String(child.guardians[0].member)).toBe(String(loserId));
+
+      expect(member(loserId).isDeleted).toBe(false);
+      expect(member(loserId).mergedInto).toBeUndefined();
+      expect(member(loserId).email).toBe('jamie@example.org');
+      expect(member(survivorId).email).toBeUndefined();
+      expect(member(survivorId).phone).toBe('555-123-4567');
+      expect(entry.reversedBy).toBe(userId);
+      expect(entry.save).toHaveBeenCalled();
+    });
+
+    it('should drop a loser record the survivor already has, and restore it on undo', async () => {
+      const [collision, kept, moved] = db.Attendance.map(doc => ({ ...doc }));
+
+      const entry = await mergeMembers(survivorId, loserId, userId);
+
+      expect(db.Attendance.map(doc => String(doc._id))).toEqual([String(kept._id), String(moved._id)]);
+      expect(owners('Attendance')).toEqual([String(survivorId), String(survivorId)]);
+      expect(entry.details.removed).toEqual([{ model: 'Attendance', doc: collision }]);
+
+      await undoMerge(entry._id, userId);
+
+      expect(db.Attendance).toHaveLength(3);
+      expect(db.Attendance.find(doc => same(doc._id, collision._id))).toEqual(collision);
+      expect(db.Attendance.find(doc => same(doc._id, kept._id)).member).toBe(survivorId);
+      expect(db.Attendance.find(doc => same(doc._id, moved._id)).member).toEqual(loserId);
+    });
+
+    it('should not undo the same merge twice', async () => {
+      const entry = await mergeMembers(survivorId, loserId, userId);
+      await undoMerge(entry._id, userId);
+
+      await expect(undoMerge(entry._id, userId)).rejects.toThrow('This merge has already been undone');
+    });
+  });
+});
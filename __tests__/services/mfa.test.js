@@ -0,0 +1,118 @@
+// __tests__/services/mfa.test.js
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const SecuritySettings = require('../../models/SecuritySettings');
+const Role = require('../../models/Role');
+const permissions = require('../../services/permissions');
+const mfa = require('../../services/mfa');
+const totp = require('../../utils/totp');
+
+function newUser(fields = {}) {
+  const user = new User({ email: 'staff@example.org', password: 'x', firstName: 'Sam', lastName: 'Lee', role: 'staff', ...fields });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+}
+
+describe('MFA Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('secret encryption', () => {
+    it('should round-trip and not store the secret in the clear', () => {
+      const stored = mfa.encryptSecret('JBSWY3DPEHPK3PXP');
+      expect(stored).not.toContain('JBSWY3DPEHPK3PXP');
+      expect(mfa.decryptSecret(stored)).toBe('JBSWY3DPEHPK3PXP');
+    });
+
+    it('should reject a tampered secret', () => {
+      const [iv, tag, data] = mfa.encryptSecret('JBSWY3DPEHPK3PXP').split('.');
+      const flipped = Buffer.from(data, 'base64url');
+      flipped[0] ^= 1;
+      expect(() => mfa.decryptSecret([iv, tag, flipped.toString('base64url')].join('.'))).toThrow();
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should make unique codes that hash the same however they are typed', () => {
+      const codes = mfa.generateRecoveryCodes();
+      expect(codes).toHaveLength(mfa.RECOVERY_CODE_COUNT);
+      expect(new Set(codes).size).toBe(codes.length);
+      expect(codes[0]).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/);
+      expect(mfa.hashRecoveryCode(codes[0].toUpperCase().replace('-', ' '))).toBe(mfa.hashRecoveryCode(codes[0]));
+    });
+  });
+
+  describe('isRequiredFor', () => {
+    it('should follow the security settings, and never apply to volunteers', async () => {
+      permissions.clearCache();
+      jest.spyOn(Role, 'find').mockReturnValue({ sort: () => ({ lean: async () => [] }) });
+      jest.spyOn(SecuritySettings, 'getSettings').mockResolvedValue({ requireMfaForRoles: ['admin'] });
+
+      expect(await mfa.isRequiredFor('admin')).toBe(true);
+      expect(await mfa.isRequiredFor('staff')).toBe(false);
+      expect(await mfa.isRequiredFor('volunteer')).toBe(false);
+    });
+  });
+
+  describe('enrollment', () => {
+    it('should turn MFA on only after a correct code', async () => {
+      const user = newUser();
+      const { secret, otpauthUrl } = await mfa.beginEnrollment(user);
+
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+      expect(user.mfa.enabled).toBe(false);
+      await expect(mfa.confirmEnrollment(user, '000000')).rejects.toThrow('didn\'t match');
+
+      const codes = await mfa.confirmEnrollment(user, totp.generateCode(secret));
+      expect(user.mfa.enabled).toBe(true);
+      expect(user.mfa.pendingSecret).toBeNull();
+      expect(mfa.decryptSecret(user.mfa.secret)).toBe(secret);
+      expect(user.mfa.recoveryCodes).toEqual(codes.map(mfa.hashRecoveryCode));
+    });
+
+    it('should not restart enrollment once MFA is on', async () => {
+      const user = newUser({ mfa: { enabled: true } });
+      await expect(mfa.beginEnrollment(user)).rejects.toThrow('already turned on');
+    });
+  });
+
+  describe('verifyLogin', () => {
+    const secret = totp.generateSecret();
+    const enrolled = () => newUser({
+      _id: new mongoose.Types.ObjectId(),
+      mfa: { enabled: true, secret: mfa.encryptSecret(secret), recoveryCodes: [mfa.hashRecoveryCode('abcde-fghij'), 'other'] }
+    });
+
+    it('should accept an authenticator code once', async () => {
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await mfa.verifyLogin(enrolled(), totp.generateCode(secret));
+
+      expect(result).toEqual({ method: 'totp', recoveryCodesLeft: 2 });
+      expect(updateOne.mock.calls[0][1].$set['mfa.lastUsedStep']).toBe(totp.timeStep());
+    });
+
+    it('should refuse a code another request already used', async () => {
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      expect(await mfa.verifyLogin(enrolled(), totp.generateCode(secret))).toBeNull();
+    });
+
+    it('should spend a recovery code', async () => {
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await mfa.verifyLogin(enrolled(), 'ABCDE-FGHIJ');
+
+      expect(result).toEqual({ method: 'recovery', recoveryCodesLeft: 1 });
+      expect(updateOne.mock.calls[0][1]).toEqual({ $pull: { 'mfa.recoveryCodes': mfa.hashRecoveryCode('abcde-fghij') } });
+    });
+
+    it('should reject a wrong code without touching the database', async () => {
+      const updateOne = jest.spyOn(User, 'updateOne');
+      const wrong = totp.generateCode(secret) === '000000' ? '111111' : '000000';
+
+      expect(await mfa.verifyLogin(enrolled(), wrong)).toBeNull();
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
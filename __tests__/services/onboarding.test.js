@@ -0,0 +1,135 @@
+// __tests__/services/onboarding.test.js
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Invite = require('../../models/Invite');
+const Role = require('../../models/Role');
+const mailer = require('../../services/mailer');
+const onboarding = require('../../services/onboarding');
+const permissions = require('../../services/permissions');
+
+const admin = { _id: new mongoose.Types.ObjectId(), firstName: 'Ada', lastName: 'Admin' };
+
+function openInvite(fields = {}) {
+  return new Invite({
+    email: 'new@example.org',
+    role: 'staff',
+    tokenHash: onboarding.hashToken('tok'),
+    expiresAt: new Date(Date.now() + 60000),
+    createdBy: admin._id,
+    ...fields
+  });
+}
+
+describe('Onboarding Service', () => {
+  beforeEach(() => {
+    permissions.clearCache();
+    jest.spyOn(Role, 'find').mockReturnValue({ sort: () => ({ lean: async () => [] }) });
+    jest.spyOn(mailer, 'sendInviteEmail').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createInvite', () => {
+    it('should store only a hash of the token and email the link', async () => {
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+      const cancelOld = jest.spyOn(Invite, 'updateMany').mockResolvedValue({});
+      const create = jest.spyOn(Invite, 'create').mockImplementation(async fields => openInvite(fields));
+
+      const { url, emailed } = await onboarding.createInvite({ email: ' New@Example.org ', role: 'staff', invitedBy: admin });
+
+      const token = url.split('/invite/')[1];
+      const stored = create.mock.calls[0][0];
+      expect(stored.email).toBe('new@example.org');
+      expect(stored.tokenHash).toBe(onboarding.hashToken(token));
+      expect(stored.tokenHash).not.toBe(token);
+      expect(stored.expiresAt.getTime() - Date.now()).toBeGreaterThan((onboarding.INVITE_DAYS - 1) * 86400000);
+      expect(cancelOld).toHaveBeenCalledWith(expect.objectContaining({ email: 'new@example.org', usedAt: null }), expect.anything());
+      expect(mailer.sendInviteEmail).toHaveBeenCalledWith('new@example.org', expect.objectContaining({ inviteUrl: url, invitedByName: 'Ada Admin' }));
+      expect(emailed).toBe(true);
+    });
+
+    it('should refuse an address that already has an account, or a made-up role', async () => {
+      jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'x' });
+      await expect(onboarding.createInvite({ email: 'old@example.org', role: 'staff', invitedBy: admin }))
+        .rejects.toThrow('already has an account');
+      await expect(onboarding.createInvite({ email: 'new@example.org', role: 'owner', invitedBy: admin }))
+        .rejects.toThrow('Invalid role');
+    });
+  });
+
+  describe('findOpenInvite', () => {
+    it('should ignore used, cancelled and expired invites', async () => {
+      const find = jest.spyOn(Invite, 'findOne');
+
+      find.mockResolvedValueOnce(openInvite());
+      expect(await onboarding.findOpenInvite('tok')).not.toBeNull();
+      expect(find).toHaveBeenCalledWith({ tokenHash: onboarding.hashToken('tok') });
+
+      find.mockResolvedValueOnce(openInvite({ usedAt: new Date() }));
+      expect(await onboarding.findOpenInvite('tok')).toBeNull();
+      find.mockResolvedValueOnce(openInvite({ revokedAt: new Date() }));
+      expect(await onboarding.findOpenInvite('tok')).toBeNull();
+      find.mockResolvedValueOnce(openInvite({ expiresAt: new Date(Date.now() - 1000) }));
+      expect(await onboarding.findOpenInvite('tok')).toBeNull();
+    });
+  });
+
+  describe('acceptInvite', () => {
+    it('should create an active account with the invite role and email', async () => {
+      const invite = openInvite();
+      jest.spyOn(Invite, 'findOne').mockResolvedValue(invite);
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+      jest.spyOn(Invite, 'findOneAndUpdate').mockResolvedValue(invite);
+      jest.spyOn(Invite, 'updateOne').mockResolvedValue({});
+      const create = jest.spyOn(User, 'create').mockImplementation(async fields => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+
+      const user = await onboarding.acceptInvite('tok', { firstName: 'Nia', lastName: 'New', password: 'secret123', role: 'admin' });
+
+      expect(create.mock.calls[0][0]).toMatchObject({ email: 'new@example.org', role: 'staff', status: 'active', invitedBy: admin._id });
+      expect(user.role).toBe('staff');
+    });
+
+    it('should not create an account when another request used the link first', async () => {
+      jest.spyOn(Invite, 'findOne').mockResolvedValue(openInvite());
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+      jest.spyOn(Invite, 'findOneAndUpdate').mockResolvedValue(null);
+      const create = jest.spyOn(User, 'create');
+
+      await expect(onboarding.acceptInvite('tok', { firstName: 'Nia', lastName: 'New', password: 'secret123' }))
+        .rejects.toThrow('invalid, expired or already used');
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should give the link back if the account could not be created', async () => {
+      const invite = openInvite();
+      jest.spyOn(Invite, 'findOne').mockResolvedValue(invite);
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+      jest.spyOn(Invite, 'findOneAndUpdate').mockResolvedValue(invite);
+      const release = jest.spyOn(Invite, 'updateOne').mockResolvedValue({});
+      jest.spyOn(User, 'create').mockRejectedValue(new Error('db down'));
+
+      await expect(onboarding.acceptInvite('tok', { firstName: 'Nia', lastName: 'New', password: 'secret123' }))
+        .rejects.toThrow('db down');
+      expect(release).toHaveBeenCalledWith({ _id: invite._id }, { $set: { usedAt: null } });
+    });
+  });
+
+  describe('reviewRequest', () => {
+    it('should only act on pending requests and set the chosen role', async () => {
+      const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ email: 'a@example.org', role: 'staff' });
+
+      await onboarding.reviewRequest('u1', true, { role: 'staff', reviewedBy: admin._id });
+      expect(update.mock.calls[0][0]).toEqual({ _id: 'u1', status: 'pending' });
+      expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'active', role: 'staff', reviewedBy: admin._id });
+
+      await onboarding.reviewRequest('u1', false, { reviewedBy: admin._id });
+      expect(update.mock.calls[1][1].$set).toMatchObject({ status: 'rejected' });
+      expect(update.mock.calls[1][1].$set.role).toBeUndefined();
+
+      update.mockResolvedValue(null);
+      await expect(onboarding.reviewRequest('u1', true, { reviewedBy: admin._id })).rejects.toThrow('already reviewed');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// __tests__/services/permissions.test.js
+const mongoose = require('mongoose');
+const Role = require('../../models/Role');
+const User = require('../../models/User');
+const permissions = require('../../services/permissions');
+const { PERMISSION_KEYS } = require('../../config/permissions');
+const { requirePermission } = require('../../routes/_middleware');
+
+function savedRoles(roles) {
+  return jest.spyOn(Role, 'find').mockReturnValue({ sort: () => ({ lean: async () => roles }) });
+}
+
+describe('Permissions Service', () => {
+  beforeEach(() => {
+    permissions.clearCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getAccess', () => {
+    it('should use the registry defaults for built-in roles nobody has edited', async () => {
+      savedRoles([]);
+
+      const volunteer = await permissions.getAccess('volunteer');
+      expect(volunteer.baseRole).toBe('volunteer');
+      expect(volunteer.permissions.has('members.read')).toBe(true);
+      expect(volunteer.permissions.has('members.edit')).toBe(false);
+      expect(volunteer.permissions.has('reports.export')).toBe(false);
+
+      const staff = await permissions.getAccess('staff');
+      expect(staff.permissions.has('reports.export')).toBe(true);
+      expect(staff.permissions.has('users.manage')).toBe(false);
+    });
+
+    it('should use saved permissions, but always give admins everything', async () => {
+      savedRoles([
+        { key: 'staff', name: 'Staff', baseRole: 'staff', permissions: ['members.read'] },
+        { key: 'admin', name: 'Admin', baseRole: 'admin', permissions: [] }
+      ]);
+
+      expect([...(await permissions.getAccess('staff')).permissions]).toEqual(['members.read']);
+      expect((await permissions.getAccess('admin')).permissions.size).toBe(PERMISSION_KEYS.length);
+    });
+
+    it('should resolve custom roles and deny unknown ones', async () => {
+      savedRoles([{ key: 'board_member', name: 'Board Member', baseRole: 'volunteer', permissions: ['donations.read', 'reports.view'] }]);
+
+      const board = await permissions.getAccess('board_member');
+      expect(board).toMatchObject({ role: 'board_member', name: 'Board Member', baseRole: 'volunteer' });
+      expect(board.permissions.has('reports.view')).toBe(true);
+      expect(board.permissions.has('donations.create')).toBe(false);
+
+      const unknown = await permissions.getAccess('owner');
+      expect(unknown.baseRole).toBeNull();
+      expect(unknown.permissions.size).toBe(0);
+    });
+
+    it('should only query the database once per cache period', async () => {
+      const find = savedRoles([]);
+      await permissions.getAccess('staff');
+      await permissions.getAccess('volunteer');
+      expect(find).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createRole / updateRole / deleteRole', () => {
+    it('should start a custom role with its base role permissions', async () => {
+      savedRoles([]);
+      const create = jest.spyOn(Role, 'create').mockImplementation(async fields => fields);
+
+      const role = await permissions.createRole({ name: 'Program Lead', baseRole: 'staff' }, new mongoose.Types.ObjectId());
+
+      expect(role.key).toBe('program_lead');
+      expect(create.mock.calls[0][0].permissions).toContain('programs.manage');
+      await expect(permissions.createRole({ name: 'Staff', baseRole: 'staff' })).rejects.toThrow('already exists');
+    });
+
+    it('should refuse to change admins or save unknown permissions', async () => {
+      savedRoles([]);
+      await expect(permissions.updateRole('admin', { permissions: [] })).rejects.toThrow('every permission');
+      await expect(permissions.updateRole('staff', { permissions: ['members.fly'] })).rejects.toThrow('Unknown permission: members.fly');
+    });
+
+    it('should not delete built-in roles or roles people still have', async () => {
+      await expect(permissions.deleteRole('staff')).rejects.toThrow('can\'t be deleted');
+
+      jest.spyOn(User, 'countDocuments').mockResolvedValue(2);
+      const remove = jest.spyOn(Role, 'findOneAndDelete');
+      await expect(permissions.deleteRole('program_lead')).rejects.toThrow('2 users still have this role');
+      expect(remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('keyFromName', () => {
+    it('should make a safe role key', () => {
+      expect(permissions.keyFromName('Board Member (read-only)')).toBe('board_member_read_only');
+      expect(permissions.keyFromName('2024 Interns')).toBe('role_2024_interns');
+    });
+  });
+
+  describe('requirePermission', () => {
+    function run(middleware, req) {
+      const res = { statusCode: 200 };
+      res.status = jest.fn(code => { res.statusCode = code; return res; });
+      res.send = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      res.locals = {};
+      const next = jest.fn();
+      return middleware(req, res, next).then(() => ({ res, next }));
+    }
+
+    it('should reject permissions that are not in the registry when the route is defined', () => {
+      expect(() => requirePermission('members.fly')).toThrow('unknown permission members.fly');
+      expect(() => requirePermission()).toThrow('(none given)');
+    });
+
+    it('should let a role with every listed permission through and 403 everyone else', async () => {
+      savedRoles([]);
+      const guard = requirePermission('traveling.read', 'reports.export');
+
+      const staff = await run(guard, { session: { user: { role: 'staff' } }, originalUrl: '/traveling-treehouse/export/csv' });
+      expect(staff.next).toHaveBeenCalled();
+
+      const volunteer = await run(guard, { session: { user: { role: 'volunteer' } }, originalUrl: '/traveling-treehouse/export/csv' });
+      expect(volunteer.next).not.toHaveBeenCalled();
+      expect(volunteer.res.statusCode).toBe(403);
+
+      const anonymous = await run(requirePermission('members.read'), { session: {}, originalUrl: '/api/members/search' });
+      expect(anonymous.res.json).toHaveBeenCalledWith({ error: 'Forbidden' });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+// __tests__/services/receipts.test.js
+const {
+  formatReceiptNumber,
+  buildReceiptData,
+  renderReceiptPdf
+} = require('../../services/receipts');
+
+describe('Receipts Service', () => {
+  const donation = {
+    receiptNumber: 'THB-2025-00007',
+    receiptIssuedAt: new Date('2025-03-05'),
+    donatedAt: new Date('2025-03-04'),
+    donationType: 'used',
+    numberOfBooks: 20,
+    valuePerBook: 2,
+    totalValue: 40,
+    monetaryAmount: 25,
+    member: { firstName: 'Ana', lastName: 'Rivera', address: '12 Oak St', zipCode: '19121' }
+  };
+
+  describe('formatReceiptNumber', () => {
+    it('should zero-pad the sequence', () => {
+      expect(formatReceiptNumber(2025, 42)).toBe('THB-2025-00042');
+    });
+  });
+
+  describe('buildReceiptData', () => {
+    it('should list books as non-cash and money as cash', () => {
+      const data = buildReceiptData(donation);
+
+      expect(data.items).toHaveLength(2);
+      expect(data.items[0]).toMatchObject({ kind: 'in-kind', amount: 40 });
+      expect(data.items[0].description).toContain('20 used books');
+      expect(data.items[1]).toMatchObject({ kind: 'cash', amount: 25 });
+    });
+
+    it('should include the quid pro quo statement', () => {
+      const data = buildReceiptData(donation);
+      expect(data.quidProQuoStatement).toMatch(/No services were provided/);
+    });
+
+    it('should name the donor and their address', () => {
+      const data = buildReceiptData(donation);
+      expect(data.donor).toEqual({ name: 'Ana Rivera', addressLines: ['12 Oak St', '19121'] });
+    });
+
+    it('should fall back to an anonymous donor', () => {
+      const data = buildReceiptData({ ...donation, member: null, monetaryAmount: 0 });
+      expect(data.donor.name).toBe('Anonymous Donor');
+      expect(data.items).toHaveLength(1);
+    });
+  });
+
+  describe('renderReceiptPdf', () => {
+    it('should produce a PDF', async () => {
+      const buffer = await renderReceiptPdf(buildReceiptData(donation));
+      expect(buffer.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
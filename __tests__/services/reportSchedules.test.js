@@ -0,0 +1,241 @@
+// __tests__/services/reportSchedules.test.js
+const mongoose = require('mongoose');
+const ReportDefinition = require('../../models/ReportDefinition');
+const ReportDelivery = require('../../models/ReportDelivery');
+const grantReports = require('../../services/grantReports');
+const mailer = require('../../services/mailer');
+const reportSchedules = require('../../services/reportSchedules');
+
+/** ReportDefinition.findOne(...).lean() / find(...).lean() resolving to the given value */
+const lean = value => ({ lean: async () => value });
+
+describe('Report Schedules Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('nextRunAt', () => {
+    const monday9am = new Date(2026, 1, 9, 9, 0); // Mon 9 Feb 2026
+
+    it('should find the next weekly slot', () => {
+      const weekly = { frequency: 'weekly', dayOfWeek: 1, hour: 7 };
+
+      expect(reportSchedules.nextRunAt(weekly, monday9am)).toEqual(new Date(2026, 1, 16, 7));
+      expect(reportSchedules.nextRunAt({ ...weekly, hour: 10 }, monday9am)).toEqual(new Date(2026, 1, 9, 10));
+      expect(reportSchedules.nextRunAt({ ...weekly, dayOfWeek: 5 }, monday9am)).toEqual(new Date(2026, 1, 13, 7));
+    });
+
+    it('should find the next monthly and quarterly slot', () => {
+      expect(reportSchedules.nextRunAt({ frequency: 'monthly', dayOfMonth: 1, hour: 7 }, monday9am))
+        .toEqual(new Date(2026, 2, 1, 7));
+      expect(reportSchedules.nextRunAt({ frequency: 'monthly', dayOfMonth: 15, hour: 7 }, monday9am))
+        .toEqual(new Date(2026, 1, 15, 7));
+      expect(reportSchedules.nextRunAt({ frequency: 'quarterly', dayOfMonth: 1, hour: 7 }, monday9am))
+        .toEqual(new Date(2026, 3, 1, 7));
+      expect(reportSchedules.nextRunAt({ frequency: 'quarterly', dayOfMonth: 5, hour: 7 }, new Date(2025, 11, 20)))
+        .toEqual(new Date(2026, 0, 5, 7));
+    });
+
+    it('should return null when the report is not scheduled', () => {
+      expect(reportSchedules.nextRunAt({ frequency: 'none' }, monday9am)).toBeNull();
+      expect(reportSchedules.nextRunAt(undefined, monday9am)).toBeNull();
+    });
+  });
+
+  describe('describeSchedule', () => {
+    it('should say how often the report is sent', () => {
+      expect(reportSchedules.describeSchedule({ frequency: 'weekly', dayOfWeek: 1, hour: 7 })).toBe('Every Monday at 7:00 AM');
+      expect(reportSchedules.describeSchedule({ frequency: 'monthly', dayOfMonth: 3, hour: 12 })).toBe('Monthly on day 3 at 12:00 PM');
+      expect(reportSchedules.describeSchedule({ frequency: 'none' })).toBe('Not scheduled');
+    });
+  });
+
+  describe('applySchedule', () => {
+    it('should set the schedule and when it next sends', () => {
+      const definition = new ReportDefinition({ name: 'Weekly summary', period: 'lastWeek', metrics: ['booksDistributed'] });
+
+      reportSchedules.applySchedule(definition, {
+        frequency: 'weekly',
+        dayOfWeek: 1,
+        dayOfMonth: 1,
+        hour: 7,
+        recipients: ['director@example.org'],
+        attachments: ['pdf', 'csv']
+      }, new Date(2026, 1, 10, 12));
+
+      expect(definition.schedule.nextRunAt).toEqual(new Date(2026, 1, 16, 7));
+      expect(definition.validateSync()).toBeUndefined();
+    });
+
+    it('should need an address to send a scheduled report to', () => {
+      const definition = new ReportDefinition({ name: 'Weekly summary', metrics: ['booksDistributed'] });
+      reportSchedules.applySchedule(definition, { frequency: 'monthly', dayOfWeek: 1, dayOfMonth: 1, hour: 7, recipients: [], attachments: [] });
+
+      expect(definition.validateSync().errors.schedule.message).toBe('Add at least one email address to send the report to');
+    });
+
+    it('should clear the next send when the schedule is turned off', () => {
+      const definition = new ReportDefinition({
+        name: 'Weekly summary',
+        metrics: ['booksDistributed'],
+        schedule: { frequency: 'weekly', recipients: ['a@example.org'], nextRunAt: new Date() }
+      });
+      reportSchedules.applySchedule(definition, { frequency: 'none', dayOfWeek: 1, dayOfMonth: 1, hour: 7, recipients: ['a@example.org'], attachments: ['pdf'] });
+
+      expect(definition.schedule.nextRunAt).toBeUndefined();
+      expect(definition.schedule.recipients).toEqual(['a@example.org']);
+    });
+  });
+
+  describe('queueDueSchedules', () => {
+    const now = new Date(2026, 1, 16, 7, 1);
+    const slot = new Date(2026, 1, 16, 7);
+    const definition = {
+      _id: new mongoose.Types.ObjectId(),
+      schedule: { frequency: 'weekly', dayOfWeek: 1, hour: 7, recipients: ['a@example.org', 'b@example.org'], attachments: ['pdf'], nextRunAt: slot }
+    };
+
+    it('should queue a delivery and move the schedule on a week', async () => {
+      jest.spyOn(ReportDefinition, 'find').mockReturnValue(lean([definition]));
+      const create = jest.spyOn(ReportDelivery, 'create').mockResolvedValue({});
+      const updateOne = jest.spyOn(ReportDefinition, 'updateOne').mockResolvedValue({});
+
+      expect(await reportSchedules.queueDueSchedules(now)).toBe(1);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        reportDefinition: definition._id,
+        trigger: 'schedule',
+        scheduledFor: slot,
+        recipients: [{ email: 'a@example.org' }, { email: 'b@example.org' }],
+        attachments: ['pdf']
+      }));
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: definition._id, 'schedule.nextRunAt': slot },
+        { $set: { 'schedule.nextRunAt': new Date(2026, 1, 23, 7), 'schedule.lastRunAt': now } }
+      );
+    });
+
+    it('should not queue a slot twice after a restart, but still move on', async () => {
+      jest.spyOn(ReportDefinition, 'find').mockReturnValue(lean([definition]));
+      jest.spyOn(ReportDelivery, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      const updateOne = jest.spyOn(ReportDefinition, 'updateOne').mockResolvedValue({});
+
+      expect(await reportSchedules.queueDueSchedules(now)).toBe(0);
+      expect(updateOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('sendDelivery', () => {
+    const definitionId = new mongoose.Types.ObjectId();
+    const report = {
+      name: 'Weekly summary',
+      description: '',
+      period: { start: new Date(2026, 1, 9), end: new Date(2026, 1, 15), label: 'February 9, 2026 – February 15, 2026' },
+      generatedAt: new Date(),
+      metrics: [{ key: 'booksDistributed', label: 'Books distributed', unit: 'count', value: 120, display: '120', breakdown: { label: 'Program', valueLabel: 'Books', rows: [] } }]
+    };
+    let updateOne, send;
+
+    const delivery = recipients => ({
+      _id: new mongoose.Types.ObjectId(),
+      reportDefinition: definitionId,
+      recipients,
+      attachments: ['pdf', 'csv']
+    });
+
+    beforeEach(() => {
+      jest.spyOn(ReportDefinition, 'findOne').mockReturnValue(lean({
+        _id: definitionId,
+        name: 'Weekly summary',
+        metrics: ['booksDistributed'],
+        schedule: { frequency: 'weekly', dayOfWeek: 1, hour: 7 }
+      }));
+      jest.spyOn(grantReports, 'runReport').mockResolvedValue(report);
+      jest.spyOn(grantReports, 'renderReportPdf').mockResolvedValue(Buffer.from('%PDF-'));
+      updateOne = jest.spyOn(ReportDelivery, 'updateOne').mockResolvedValue({});
+      send = jest.spyOn(mailer, 'sendTemplatedEmail').mockResolvedValue({ success: true });
+    });
+
+    it('should email the report with its attachments to each recipient not yet sent to', async () => {
+      const status = await reportSchedules.sendDelivery(delivery([
+        { email: 'a@example.org', status: 'sent' },
+        { email: 'b@example.org', status: 'pending' }
+      ]));
+
+      expect(status).toBe('sent');
+      expect(send).toHaveBeenCalledTimes(1);
+
+      const [templateKey, email, data, metadata, , attachments] = send.mock.calls[0];
+      expect(templateKey).toBe('scheduled_report');
+      expect(email).toBe('b@example.org');
+      expect(data).toEqual(expect.objectContaining({
+        reportName: 'Weekly summary',
+        periodLabel: 'February 9, 2026 – February 15, 2026',
+        metrics: [{ label: 'Books distributed', display: '120', note: '' }],
+        scheduleLabel: 'Every Monday at 7:00 AM'
+      }));
+      expect(data.reportUrl).toMatch(new RegExp(`/grant-reports/${definitionId}$`));
+      expect(metadata.reportDefinitionId).toBe(definitionId.toString());
+      expect(attachments.map(a => a.filename)).toEqual([
+        'weekly-summary-2026-02-09-to-2026-02-15.pdf',
+        'weekly-summary-2026-02-09-to-2026-02-15.csv'
+      ]);
+      expect(attachments[1].content.toString('utf8')).toContain('Books distributed,,120,');
+
+      expect(updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ 'recipients.email': 'b@example.org' }),
+        { $set: expect.objectContaining({ 'recipients.$.status': 'sent' }) }
+      );
+      expect(updateOne.mock.calls.pop()[1].$set).toEqual(expect.objectContaining({ status: 'sent', lockedAt: null }));
+    });
+
+    it('should mark the delivery partial when some addresses fail', async () => {
+      send
+        .mockResolvedValueOnce({ success: false, error: 'Mailbox full' })
+        .mockResolvedValueOnce({ success: false, skipped: true, suppressed: true, error: 'Address is on the suppression list (bounced)' })
+        .mockResolvedValueOnce({ success: true });
+
+      const status = await reportSchedules.sendDelivery(delivery([
+        { email: 'a@example.org', status: 'pending' },
+        { email: 'b@example.org', status: 'pending' },
+        { email: 'c@example.org', status: 'pending' }
+      ]));
+
+      expect(status).toBe('partial');
+      expect(updateOne.mock.calls.pop()[1].$set).toEqual(expect.objectContaining({ status: 'partial', lastError: '1 of 3 emails failed' }));
+    });
+
+    it('should fail without sending when the report was deleted', async () => {
+      ReportDefinition.findOne.mockReturnValue(lean(null));
+
+      const status = await reportSchedules.sendDelivery(delivery([{ email: 'a@example.org', status: 'pending' }]));
+
+      expect(status).toBe('failed');
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendNow', () => {
+    it('should refuse a report with no addresses', async () => {
+      jest.spyOn(ReportDefinition, 'findOne').mockReturnValue(lean({ _id: 'r1', schedule: { recipients: [] } }));
+
+      await expect(reportSchedules.sendNow('r1', 'u1')).rejects.toThrow('Add at least one email address to send the report to');
+    });
+
+    it('should queue a manual delivery', async () => {
+      jest.spyOn(ReportDefinition, 'findOne').mockReturnValue(lean({ _id: 'r1', schedule: { recipients: ['a@example.org'], attachments: ['xlsx'] } }));
+      jest.spyOn(mailer, 'isEmailConfigured').mockReturnValue(true);
+      const create = jest.spyOn(ReportDelivery, 'create').mockResolvedValue({ _id: 'd1' });
+
+      await reportSchedules.sendNow('r1', 'u1');
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        reportDefinition: 'r1',
+        trigger: 'manual',
+        requestedBy: 'u1',
+        recipients: [{ email: 'a@example.org' }],
+        attachments: ['xlsx']
+      }));
+    });
+  });
+});
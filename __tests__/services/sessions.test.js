@@ -0,0 +1,144 @@
+// __tests__/services/sessions.test.js
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const UserSession = require('../../models/UserSession');
+const Role = require('../../models/Role');
+const SecuritySettings = require('../../models/SecuritySettings');
+const permissions = require('../../services/permissions');
+const sessions = require('../../services/sessions');
+
+const userId = new mongoose.Types.ObjectId();
+const now = new Date('2026-03-02T12:00:00Z');
+const minutesAgo = minutes => new Date(now - minutes * 60 * 1000);
+
+function storedUser(fields = {}) {
+  return {
+    _id: userId,
+    email: 'pat@example.org',
+    firstName: 'Pat',
+    lastName: 'Reader',
+    role: 'staff',
+    status: 'active',
+    passwordChangedAt: null,
+    mfa: { enabled: false },
+    ...fields
+  };
+}
+
+function storedSession(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    sessionId: 'sid-1',
+    user: userId,
+    createdAt: minutesAgo(60),
+    lastSeenAt: minutesAgo(2),
+    endedAt: null,
+    ...fields
+  };
+}
+
+function fakeReq() {
+  return {
+    sessionID: 'sid-1',
+    ip: '203.0.113.7',
+    get: () => 'Mozilla/5.0',
+    session: { user: { _id: userId, email: 'pat@example.org', firstName: 'Pat', lastName: 'Reader', role: 'staff' } }
+  };
+}
+
+function mockLookups({ user = storedUser(), session = storedSession(), idleMinutes = 0 } = {}) {
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => user }) });
+  jest.spyOn(UserSession, 'findOne').mockReturnValue({ lean: async () => session });
+  jest.spyOn(SecuritySettings, 'getSettings').mockResolvedValue({ sessionIdleMinutes: idleMinutes });
+  return jest.spyOn(UserSession, 'updateOne').mockResolvedValue({});
+}
+
+describe('Sessions Service', () => {
+  beforeEach(() => {
+    sessions.clearCache();
+    permissions.clearCache();
+    jest.spyOn(Role, 'find').mockReturnValue({ sort: () => ({ lean: async () => [] }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('check', () => {
+    it('should refresh the role and record when the session was last used', async () => {
+      const update = mockLookups({ user: storedUser({ role: 'volunteer', firstName: 'Patricia' }) });
+      const req = fakeReq();
+
+      const result = await sessions.check(req, now);
+
+      expect(result).toEqual({ ended: false, reason: null });
+      expect(req.session.user).toMatchObject({ role: 'volunteer', firstName: 'Patricia', mfaSetupRequired: false });
+      expect(update.mock.calls[0][1].$set).toMatchObject({ lastSeenAt: now });
+    });
+
+    it('should end sessions that started before a password change', async () => {
+      const update = mockLookups({ user: storedUser({ passwordChangedAt: minutesAgo(10) }) });
+
+      expect(await sessions.check(fakeReq(), now)).toEqual({ ended: true, reason: 'password_changed' });
+      expect(update.mock.calls[0][1].$set).toMatchObject({ endReason: 'password_changed' });
+    });
+
+    it('should end sessions an admin signed out, or for accounts that are no longer active', async () => {
+      mockLookups({ session: storedSession({ endedAt: minutesAgo(1), endReason: 'signed_out' }) });
+      expect((await sessions.check(fakeReq(), now)).reason).toBe('signed_out');
+
+      jest.restoreAllMocks();
+      mockLookups({ user: null });
+      expect((await sessions.check(fakeReq(), now)).reason).toBe('account_closed');
+
+      jest.restoreAllMocks();
+      mockLookups({ user: storedUser({ status: 'rejected' }) });
+      expect((await sessions.check(fakeReq(), now)).reason).toBe('account_closed');
+    });
+
+    it('should keep accounts from before access approval signed in', async () => {
+      const user = storedUser();
+      delete user.status;
+      mockLookups({ user });
+
+      expect(await sessions.check(fakeReq(), now)).toEqual({ ended: false, reason: null });
+    });
+
+    it('should end sessions idle for longer than the idle timeout', async () => {
+      mockLookups({ session: storedSession({ lastSeenAt: minutesAgo(45) }), idleMinutes: 30 });
+      expect(await sessions.check(fakeReq(), now)).toEqual({ ended: true, reason: 'idle' });
+
+      jest.restoreAllMocks();
+      sessions.clearCache();
+      mockLookups({ session: storedSession({ lastSeenAt: minutesAgo(45) }), idleMinutes: 0 });
+      expect((await sessions.check(fakeReq(), now)).ended).toBe(false);
+    });
+  });
+
+  describe('signOutEverywhere', () => {
+    it('should end every open session except the one kept, and remove them from the store', async () => {
+      const find = jest.spyOn(UserSession, 'find').mockReturnValue({
+        select: () => ({ lean: async () => [storedSession({ sessionId: 'sid-2' }), storedSession({ sessionId: 'sid-3' })] })
+      });
+      const updateMany = jest.spyOn(UserSession, 'updateMany').mockResolvedValue({});
+      const store = { destroy: jest.fn((sid, cb) => cb()) };
+
+      const count = await sessions.signOutEverywhere(store, userId, { exceptSessionId: 'sid-1' });
+
+      expect(count).toBe(2);
+      expect(find.mock.calls[0][0]).toEqual({ user: userId, sessionId: { $ne: 'sid-1' }, endedAt: null });
+      expect(updateMany.mock.calls[0][1].$set).toMatchObject({ endReason: 'signed_out' });
+      expect(store.destroy.mock.calls.map(call => call[0])).toEqual(['sid-2', 'sid-3']);
+    });
+  });
+
+  describe('describeDevice', () => {
+    it('should name the browser and system', () => {
+      expect(sessions.describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'))
+        .toBe('Chrome on Windows');
+      expect(sessions.describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1'))
+        .toBe('Safari on iPhone');
+      expect(sessions.describeDevice('')).toBe('Unknown device');
+    });
+  });
+});
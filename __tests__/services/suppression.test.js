@@ -0,0 +1,116 @@
+// __tests__/services/suppression.test.js
+const EmailSuppression = require('../../models/EmailSuppression');
+const Member = require('../../models/Member');
+const suppression = require('../../services/suppression');
+
+// EmailSuppression.findOne(...).lean() resolving to the given entry
+function mockFindOneLean(entry) {
+  return jest.spyOn(EmailSuppression, 'findOne').mockReturnValue({ lean: () => Promise.resolve(entry) });
+}
+
+describe('Suppression Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('unsubscribe tokens', () => {
+    it('should round-trip an address, normalized', () => {
+      const token = suppression.createUnsubscribeToken(' Ana.Ruiz@Example.com ');
+      expect(suppression.verifyUnsubscribeToken(token)).toBe('ana.ruiz@example.com');
+    });
+
+    it('should reject a token whose address was swapped', () => {
+      const token = suppression.createUnsubscribeToken('ana@example.com');
+      const forged = `${Buffer.from('ben@example.com').toString('base64url')}.${token.split('.')[1]}`;
+      expect(suppression.verifyUnsubscribeToken(forged)).toBeNull();
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(suppression.verifyUnsubscribeToken('')).toBeNull();
+      expect(suppression.verifyUnsubscribeToken('abc')).toBeNull();
+      expect(suppression.verifyUnsubscribeToken('abc.def')).toBeNull();
+    });
+
+    it('should build a link under APP_BASE_URL', () => {
+      expect(suppression.unsubscribeUrl('ana@example.com')).toMatch(/\/unsubscribe\/[\w-]+\.[\w-]+$/);
+    });
+  });
+
+  describe('maskEmail', () => {
+    it('should hide most of the local part', () => {
+      expect(suppression.maskEmail('jane.smith@example.com')).toBe('ja***@example.com');
+      expect(suppression.maskEmail('nope')).toBe('***');
+    });
+  });
+
+  describe('isSuppressed', () => {
+    it('should only block marketing email for unsubscribed addresses', async () => {
+      mockFindOneLean({ email: 'ana@example.com', reason: 'unsubscribed', scope: 'marketing' });
+
+      expect(await suppression.isSuppressed('ana@example.com', { marketing: false })).toBeNull();
+      expect(await suppression.isSuppressed('ana@example.com', { marketing: true })).toEqual(expect.objectContaining({ reason: 'unsubscribed' }));
+    });
+
+    it('should block every email for bounced addresses', async () => {
+      const findOne = mockFindOneLean({ email: 'ana@example.com', reason: 'bounced', scope: 'all' });
+
+      expect(await suppression.isSuppressed('ANA@example.com')).toEqual(expect.objectContaining({ reason: 'bounced' }));
+      expect(findOne).toHaveBeenCalledWith({ email: 'ana@example.com' });
+    });
+  });
+
+  describe('suppress', () => {
+    it('should not narrow a bounced address to marketing only', async () => {
+      const existing = { email: 'ana@example.com', reason: 'bounced', scope: 'all' };
+      jest.spyOn(EmailSuppression, 'findOne').mockResolvedValue(existing);
+      const update = jest.spyOn(EmailSuppression, 'findOneAndUpdate');
+
+      expect(await suppression.suppress('ana@example.com', 'unsubscribed')).toBe(existing);
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should widen an unsubscribed address when it bounces', async () => {
+      jest.spyOn(EmailSuppression, 'findOne').mockResolvedValue({ email: 'ana@example.com', reason: 'unsubscribed', scope: 'marketing' });
+      const update = jest.spyOn(EmailSuppression, 'findOneAndUpdate').mockResolvedValue({});
+
+      await suppression.suppress('ana@example.com', 'bounced', { source: 'smtp', detail: '550 No such user' });
+
+      expect(update.mock.calls[0][1].$set).toEqual(expect.objectContaining({ reason: 'bounced', scope: 'all', detail: '550 No such user' }));
+    });
+
+    it('should refuse an unknown reason', async () => {
+      await expect(suppression.suppress('ana@example.com', 'bored')).rejects.toThrow('Unknown suppression reason');
+    });
+  });
+
+  describe('unsubscribe', () => {
+    it('should suppress the address and turn off consent on matching members', async () => {
+      jest.spyOn(EmailSuppression, 'findOne').mockResolvedValue(null);
+      jest.spyOn(EmailSuppression, 'findOneAndUpdate').mockResolvedValue({});
+      const updateMany = jest.spyOn(Member, 'updateMany').mockResolvedValue({});
+
+      const email = await suppression.unsubscribe(suppression.createUnsubscribeToken('ana+books@example.com'));
+
+      expect(email).toBe('ana+books@example.com');
+      const [filter, update] = updateMany.mock.calls[0];
+      expect(filter.email.test('Ana+Books@Example.com')).toBe(true);
+      expect(filter.email.test('anaxbooks@example.com')).toBe(false);
+      expect(update.$set.emailConsent).toEqual(expect.objectContaining({ marketing: false, source: 'unsubscribe' }));
+    });
+
+    it('should do nothing for an invalid token', async () => {
+      const updateMany = jest.spyOn(Member, 'updateMany');
+      expect(await suppression.unsubscribe('bad.token')).toBeNull();
+      expect(updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isPermanentBounce', () => {
+    it('should only count 5xx rejections of the recipient', () => {
+      expect(suppression.isPermanentBounce({ command: 'RCPT TO', responseCode: 550 })).toBe(true);
+      expect(suppression.isPermanentBounce({ command: 'RCPT TO', responseCode: 450 })).toBe(false);
+      expect(suppression.isPermanentBounce({ command: 'CONN', responseCode: 554 })).toBe(false);
+      expect(suppression.isPermanentBounce(new Error('timeout'))).toBe(false);
+    });
+  });
+});
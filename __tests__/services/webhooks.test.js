@@ -0,0 +1,231 @@
+// __tests__/services/webhooks.test.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const webhooks = require('../../services/webhooks');
+
+describe('Webhooks Service', () => {
+  const subscription = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Newsletter',
+    url: 'https://example.org/hooks',
+    secret: 'whsec_test',
+    events: ['member.created'],
+    active: true,
+    includeAddresses: false,
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('signatureHeader', () => {
+    it('should sign the timestamp and body with the secret', () => {
+      const body = JSON.stringify({ id: 'abc' });
+      const header = webhooks.signatureHeader('whsec_test', body, new Date(1700000000000));
+      const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+      expect(header).toBe(`t=1700000000,v1=${expected}`);
+    });
+  });
+
+  describe('validateUrl', () => {
+    const originalEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+    });
+
+    it('should reject something that is not a URL', () => {
+      expect(() => webhooks.validateUrl('example.org')).toThrow('full web address');
+    });
+
+    it('should only allow https in production', () => {
+      process.env.NODE_ENV = 'production';
+      expect(() => webhooks.validateUrl('http://example.org/hooks')).toThrow('https://');
+      expect(webhooks.validateUrl('https://example.org/hooks')).toBe('https://example.org/hooks');
+    });
+  });
+
+  describe('validateEvents', () => {
+    it('should require a known event', () => {
+      expect(() => webhooks.validateEvents([])).toThrow('at least one event');
+      expect(() => webhooks.validateEvents(['member.deleted'])).toThrow('Unknown event: member.deleted');
+      expect(webhooks.validateEvents('visit.created')).toEqual(['visit.created']);
+    });
+  });
+
+  describe('recordCreated', () => {
+    it('should queue one delivery per subscription to the event', async () => {
+      const subscriptions = [subscription(), subscription({ includeAddresses: true })];
+      const find = jest.spyOn(WebhookSubscription, 'find').mockReturnValue({ lean: async () => subscriptions });
+      const insertMany = jest.spyOn(WebhookDelivery, 'insertMany').mockResolvedValue([]);
+
+      const member = { _id: new mongoose.Types.ObjectId(), firstName: 'Ada', address: '1 Elm St', isDeleted: false, __v: 0 };
+      const queued = await webhooks.recordCreated('Member', member);
+
+      expect(queued).toBe(2);
+      expect(find).toHaveBeenCalledWith({ active: true, events: 'member.created' });
+      const [withoutAddress, withAddress] = insertMany.mock.calls[0][0];
+      expect(withoutAddress.payload.event).toBe('member.created');
+      expect(withoutAddress.payload.id).toBe(withAddress.payload.id);
+      expect(withoutAddress.payload.data).toEqual({ _id: member._id.toString(), firstName: 'Ada' });
+      expect(withAddress.payload.data.address).toBe('1 Elm St');
+    });
+
+    it('should only send the fields listed for the event', async () => {
+      jest.spyOn(WebhookSubscription, 'find').mockReturnValue({ lean: async () => [subscription({ includeAddresses: true })] });
+      const insertMany = jest.spyOn(WebhookDelivery, 'insertMany').mockResolvedValue([]);
+
+      const member = {
+        _id: new mongoose.Types.ObjectId(),
+        firstName: 'Milo',
+        lastName: 'Reyes',
+        email: 'milo@example.org',
+        zipCode: '19104',
+        memberType: 'child',
+        address: '1 Elm St',
+        phone: '215-555-0100',
+        dateOfBirth: new Date('2017-04-02'),
+        guardians: [{ member: new mongoose.Types.ObjectId(), relationship: 'mother' }],
+        emergencyContact: { name: 'Rosa Reyes', phone: '215-555-0199' },
+        notes: 'Peanut allergy'
+      };
+      await webhooks.recordCreated('Member', member);
+
+      const { data } = insertMany.mock.calls[0][0][0].payload;
+      expect(data).toEqual({
+        _id: member._id.toString(),
+        firstName: 'Milo',
+        lastName: 'Reyes',
+        email: 'milo@example.org',
+        zipCode: '19104',
+        memberType: 'child',
+        address: '1 Elm St'
+      });
+      expect(data).not.toHaveProperty('phone');
+      expect(data).not.toHaveProperty('dateOfBirth');
+    });
+
+    it('should ignore models without an event', async () => {
+      const find = jest.spyOn(WebhookSubscription, 'find');
+
+      expect(await webhooks.recordCreated('Organization', { _id: 'x' })).toBe(0);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('should queue nothing when no one subscribes', async () => {
+      jest.spyOn(WebhookSubscription, 'find').mockReturnValue({ lean: async () => [] });
+      const insertMany = jest.spyOn(WebhookDelivery, 'insertMany');
+
+      expect(await webhooks.recordCreated('Donation', { _id: 'x' })).toBe(0);
+      expect(insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processDelivery', () => {
+    let updateOne;
+
+    beforeEach(() => {
+      updateOne = jest.spyOn(WebhookDelivery, 'updateOne').mockResolvedValue({});
+    });
+
+    const claimedDelivery = attempts => ({
+      _id: new mongoose.Types.ObjectId(),
+      subscription: new mongoose.Types.ObjectId(),
+      event: 'member.created',
+      payload: { id: 'evt', event: 'member.created', data: {} },
+      attempts,
+      maxAttempts: 8
+    });
+
+    const withSubscription = sub => jest.spyOn(WebhookSubscription, 'findById').mockReturnValue({ lean: async () => sub });
+
+    it('should send a signed request and mark it delivered on a 2xx', async () => {
+      withSubscription(subscription());
+      const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 204, data: '' });
+
+      const delivery = claimedDelivery(1);
+      const status = await webhooks.processDelivery(delivery);
+
+      expect(status).toBe('delivered');
+      const [url, body, options] = post.mock.calls[0];
+      expect(url).toBe('https://example.org/hooks');
+      expect(JSON.parse(body)).toEqual(delivery.payload);
+      expect(options.headers['X-TreeHouse-Event']).toBe('member.created');
+      expect(options.headers['X-TreeHouse-Signature']).toMatch(/^t=\d+,v1=[a-f0-9]{64}$/);
+      expect(updateOne.mock.calls[0][1].$set.deliveredAt).toBeInstanceOf(Date);
+    });
+
+    it('should schedule a retry after an error response', async () => {
+      withSubscription(subscription());
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 500, data: 'Oops' });
+
+      const before = Date.now();
+      const status = await webhooks.processDelivery(claimedDelivery(3));
+      const update = updateOne.mock.calls[0][1].$set;
+
+      expect(status).toBe('pending');
+      expect(update.lastError).toBe('HTTP 500');
+      expect(update.responseBody).toBe('Oops');
+      expect(update.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 4 * 60 * 1000);
+    });
+
+    it('should give up after the last attempt', async () => {
+      withSubscription(subscription());
+      jest.spyOn(axios, 'post').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const status = await webhooks.processDelivery(claimedDelivery(8));
+
+      expect(status).toBe('dead');
+      expect(updateOne.mock.calls[0][1].$set.lastError).toBe('connect ECONNREFUSED');
+    });
+
+    it('should not send for a paused or deleted subscription', async () => {
+      const post = jest.spyOn(axios, 'post');
+
+      withSubscription(subscription({ active: false }));
+      expect(await webhooks.processDelivery(claimedDelivery(1))).toBe('dead');
+
+      withSubscription(null);
+      expect(await webhooks.processDelivery(claimedDelivery(1))).toBe('dead');
+      expect(updateOne.mock.calls[1][1].$set.lastError).toBe('The subscription was deleted');
+
+      expect(post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redeliver', () => {
+    it('should queue a copy of the event with the same id', async () => {
+      const original = {
+        _id: new mongoose.Types.ObjectId(),
+        subscription: new mongoose.Types.ObjectId(),
+        event: 'donation.created',
+        eventId: 'evt-1',
+        payload: { id: 'evt-1' },
+        status: 'dead'
+      };
+      jest.spyOn(WebhookDelivery, 'findOne').mockReturnValue({ lean: async () => original });
+      const create = jest.spyOn(WebhookDelivery, 'create').mockImplementation(async doc => doc);
+
+      const userId = new mongoose.Types.ObjectId();
+      await webhooks.redeliver(original._id, userId);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        eventId: 'evt-1',
+        payload: { id: 'evt-1' },
+        redeliveryOf: original._id,
+        redeliveredBy: userId
+      }));
+    });
+
+    it('should not redeliver a delivery that is still queued', async () => {
+      jest.spyOn(WebhookDelivery, 'findOne').mockReturnValue({ lean: async () => null });
+
+      expect(await webhooks.redeliver(new mongoose.Types.ObjectId(), null)).toBeNull();
+    });
+  });
+});
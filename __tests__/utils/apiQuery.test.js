@@ -0,0 +1,102 @@
+// __tests__/utils/apiQuery.test.js
+const mongoose = require('mongoose');
+const { parseListQuery, pagination, MAX_LIMIT } = require('../../utils/apiQuery');
+
+const donations = {
+  filters: { member: 'id', isBookDrive: 'boolean', numberOfBooks: 'number', donorType: 'string' },
+  dateField: 'donatedAt',
+  sortable: ['donatedAt', 'numberOfBooks'],
+  defaultSort: '-donatedAt',
+  search: ['notes']
+};
+
+const stops = {
+  filters: {},
+  dateField: 'date',
+  dateType: 'day',
+  sortable: ['date'],
+  defaultSort: '-date'
+};
+
+describe('API list queries', () => {
+  describe('parseListQuery', () => {
+    it('should default to the first page, the default sort and no filter', () => {
+      expect(parseListQuery({}, donations)).toEqual({
+        filter: {},
+        sort: { donatedAt: -1, _id: 1 },
+        page: 1,
+        limit: 50,
+        skip: 0
+      });
+    });
+
+    it('should cast filters to their field types', () => {
+      const member = new mongoose.Types.ObjectId().toString();
+      const { filter } = parseListQuery({ member, isBookDrive: 'false', numberOfBooks: '12', donorType: 'member' }, donations);
+
+      expect(filter.member).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(filter.member.toString()).toBe(member);
+      expect(filter).toMatchObject({ isBookDrive: false, numberOfBooks: 12, donorType: 'member' });
+    });
+
+    it('should ignore parameters that are not filters', () => {
+      expect(parseListQuery({ totalValue: '5', isDeleted: 'true' }, donations).filter).toEqual({});
+    });
+
+    it('should reject bad values and operators with a 400', () => {
+      const cases = [
+        { member: 'nope' },
+        { isBookDrive: 'yes' },
+        { numberOfBooks: 'ten' },
+        { donorType: { $ne: 'member' } },
+        { donorType: ['a', 'b'] }
+      ];
+      cases.forEach(query => {
+        expect(() => parseListQuery(query, donations)).toThrow(expect.objectContaining({ status: 400 }));
+      });
+    });
+
+    it('should turn from/to into an inclusive date range', () => {
+      const { filter } = parseListQuery({ from: '2025-01-01', to: '2025-01-31' }, donations);
+
+      expect(filter.donatedAt).toEqual({
+        $gte: new Date('2025-01-01T00:00:00.000Z'),
+        $lt: new Date('2025-02-01T00:00:00.000Z')
+      });
+    });
+
+    it('should compare day-string fields as strings', () => {
+      const { filter } = parseListQuery({ from: '2025-06-01', to: '2025-06-30' }, stops);
+      expect(filter.date).toEqual({ $gte: '2025-06-01', $lte: '2025-06-30' });
+      expect(() => parseListQuery({ from: '6/1/2025' }, stops)).toThrow('from must be a date like 2025-01-31');
+    });
+
+    it('should only sort on listed fields', () => {
+      expect(parseListQuery({ sort: 'numberOfBooks' }, donations).sort).toEqual({ numberOfBooks: 1, _id: 1 });
+      expect(() => parseListQuery({ sort: 'notes' }, donations)).toThrow('sort must be one of: donatedAt, numberOfBooks');
+    });
+
+    it('should page within the limit bounds', () => {
+      expect(parseListQuery({ page: '3', limit: '20' }, donations)).toMatchObject({ page: 3, limit: 20, skip: 40 });
+      expect(() => parseListQuery({ limit: String(MAX_LIMIT + 1) }, donations)).toThrow(`limit must be between 1 and ${MAX_LIMIT}`);
+      expect(() => parseListQuery({ page: '0' }, donations)).toThrow('page must be 1 or more');
+      expect(() => parseListQuery({ page: '1.5' }, donations)).toThrow('page must be 1 or more');
+    });
+
+    it('should search with the text escaped, and only where supported', () => {
+      const { filter } = parseListQuery({ q: 'a.b(' }, donations);
+      const pattern = filter.$or[0].notes;
+
+      expect(pattern.test('A.B( drive')).toBe(true);
+      expect(pattern.test('axb(')).toBe(false);
+      expect(() => parseListQuery({ q: 'x' }, stops)).toThrow('q isn\'t supported here');
+    });
+  });
+
+  describe('pagination', () => {
+    it('should count the pages', () => {
+      expect(pagination(2, 50, 101)).toEqual({ page: 2, limit: 50, total: 101, pages: 3 });
+      expect(pagination(1, 50, 0).pages).toBe(0);
+    });
+  });
+});
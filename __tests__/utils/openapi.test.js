@@ -0,0 +1,91 @@
+// __tests__/utils/openapi.test.js
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const { requirePermission, ensureAuthenticated } = require('../../routes/_middleware');
+const { buildSpec, undocumentedRoutes, staleRouteMapEntries } = require('../../utils/openapi');
+
+function testApp() {
+  const app = express();
+  const router = express.Router();
+  const ok = (req, res) => res.end();
+
+  router.post('/widgets',
+    requirePermission('members.create'),
+    [
+      body('name').trim().isLength({ min: 2, max: 40 }).withMessage('Name must be 2-40 characters'),
+      body('count').optional({ checkFalsy: true }).isInt({ min: 0, max: 10 }),
+      body('kind').isIn(['small', 'large']),
+      body('owner.email').optional().isEmail(),
+      body('parts.*.label').notEmpty()
+    ],
+    ok);
+  router.get('/widgets/:id', ensureAuthenticated, param('id').isMongoId(), query('full').optional().isBoolean(), ok);
+  router.get('/widgets/secret', ok);
+  router.get('/public', ok);
+  app.use('/', router);
+  return app;
+}
+
+const routeMap = {
+  Widgets: {
+    'POST /widgets': 'Create a widget',
+    'GET /widgets/:id': 'One widget',
+    'GET /public': 'Public page',
+    'GET /gone': 'Removed page'
+  }
+};
+
+describe('OpenAPI document', () => {
+  const app = testApp();
+  const spec = buildSpec(app, { baseUrl: 'https://example.org', routeMap });
+
+  it('should read request bodies from express-validator chains', () => {
+    const operation = spec.paths['/widgets'].post;
+    const schema = operation.requestBody.content['application/x-www-form-urlencoded'].schema;
+
+    expect(operation).toMatchObject({ tags: ['Widgets'], summary: 'Create a widget', operationId: 'postWidgets' });
+    expect(schema.required).toEqual(['name', 'kind']);
+    expect(schema.properties.name).toEqual({
+      type: 'string', minLength: 2, maxLength: 40, description: 'Name must be 2-40 characters'
+    });
+    expect(schema.properties.count).toEqual({ type: 'integer', minimum: 0, maximum: 10 });
+    expect(schema.properties.kind.enum).toEqual(['small', 'large']);
+    expect(schema.properties.owner.properties.email).toEqual({ type: 'string', format: 'email' });
+    expect(schema.properties.parts).toMatchObject({ type: 'array', items: { required: ['label'] } });
+  });
+
+  it('should read path and query parameters', () => {
+    const parameters = spec.paths['/widgets/{id}'].get.parameters;
+
+    expect(parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' } },
+      { name: 'full', in: 'query', required: false, schema: { type: 'boolean' } }
+    ]);
+  });
+
+  it('should say who can call each route', () => {
+    expect(spec.paths['/widgets'].post).toMatchObject({
+      security: [{ session: [] }],
+      'x-permissions': ['members.create'],
+      responses: { 302: expect.any(Object), 403: expect.any(Object) }
+    });
+    expect(spec.paths['/widgets/{id}'].get.security).toEqual([{ session: [] }]);
+    expect(spec.paths['/public'].get.security).toBeUndefined();
+  });
+
+  it('should leave out routes the route map does not describe, and report them', () => {
+    expect(spec.paths['/widgets/secret']).toBeUndefined();
+    expect(undocumentedRoutes(app, routeMap)).toEqual(['GET /widgets/secret']);
+    expect(staleRouteMapEntries(app, routeMap)).toEqual(['GET /gone']);
+  });
+
+  it('should describe /api/v1 records from their models, without internal fields', () => {
+    const member = spec.components.schemas.Member;
+
+    expect(member.properties.firstName).toEqual({ type: 'string' });
+    expect(member.properties.household).toMatchObject({ description: 'Household ID' });
+    expect(member.properties.address.description).toBe('Only included for tokens with members.address');
+    expect(member.properties.isDeleted).toBeUndefined();
+    expect(member.properties.__v).toBeUndefined();
+  });
+});
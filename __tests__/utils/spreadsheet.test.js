@@ -0,0 +1,195 @@
+// __tests__/utils/spreadsheet.test.js
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const {
+  cellText,
+  normalizeHeader,
+  detectHeaderRow,
+  readSheet,
+  typedValue,
+  buildWorkbook
+} = require('../../utils/spreadsheet');
+
+/** A workbook with one sheet per entry, each a list of rows */
+async function workbookOf(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    const worksheet = workbook.addWorksheet(name);
+    rows.forEach((row, index) => {
+      if (row) worksheet.getRow(index + 1).values = row;
+    });
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+describe('Spreadsheets', () => {
+  describe('cellText', () => {
+    it('should write dates as YYYY-MM-DD, with the time if there is one', () => {
+      expect(cellText(new Date(Date.UTC(2024, 0, 15)))).toBe('2024-01-15');
+      expect(cellText(new Date(Date.UTC(2024, 0, 15, 14, 30)))).toBe('2024-01-15 14:30');
+    });
+
+    it('should use formula results, rich text and hyperlink text', () => {
+      expect(cellText({ formula: 'A1+1', result: 6 })).toBe('6');
+      expect(cellText({ richText: [{ text: 'Jane ' }, { text: 'Doe' }] })).toBe('Jane Doe');
+      expect(cellText({ text: 'jane@example.com', hyperlink: 'mailto:jane@example.com' })).toBe('jane@example.com');
+      expect(cellText(null)).toBe('');
+    });
+  });
+
+  describe('detectHeaderRow', () => {
+    it('should pick the row naming the most expected columns', () => {
+      const table = [
+        { number: 1, cells: ['Spring tally sheet'] },
+        { number: 3, cells: ['First Name', 'Last Name', 'Email'] },
+        { number: 4, cells: ['Jane', 'Doe', 'jane@example.com'] }
+      ];
+
+      expect(detectHeaderRow(table, ['firstName', 'lastName', 'email'])).toBe(3);
+    });
+
+    it('should fall back to the first full-width row of text', () => {
+      const table = [
+        { number: 1, cells: ['Spring tally sheet'] },
+        { number: 2, cells: ['Name', 'Books'] },
+        { number: 3, cells: ['Jane', '4'] }
+      ];
+
+      expect(detectHeaderRow(table)).toBe(2);
+      expect(detectHeaderRow([])).toBeNull();
+    });
+  });
+
+  describe('readSheet', () => {
+    it('should find the header below a title and rename matching headers', async () => {
+      const buffer = await workbookOf({
+        Notes: [],
+        Members: [
+          ['Members signed up at the fair'],
+          null,
+          ['First Name', 'last_name', 'E-mail', 'Favourite'],
+          ['Jane', 'Doe', 'jane@example.com', 'Dogs'],
+          null,
+          ['John', 'Roe', 'john@example.com']
+        ]
+      });
+
+      const table = await readSheet(buffer, { columns: ['firstName', 'lastName', 'email'] });
+
+      expect(table.sheets).toEqual(['Notes', 'Members']);
+      expect(table.sheet).toBe('Members');
+      expect(table.headerRow).toBe(3);
+      expect(table.headers).toEqual(['firstName', 'lastName', 'email', 'Favourite']);
+      expect(table.rows).toEqual([
+        { number: 4, cells: ['Jane', 'Doe', 'jane@example.com', 'Dogs'] },
+        { number: 5, cells: [] },
+        { number: 6, cells: ['John', 'Roe', 'john@example.com'] }
+      ]);
+    });
+
+    it('should use the sheet and header row given', async () => {
+      const buffer = await workbookOf({
+        First: [['a', 'b'], ['1', '2']],
+        Second: [['Name', 'Books'], ['Totals', 'Count'], ['Jane', 4]]
+      });
+
+      const table = await readSheet(buffer, { sheet: 'Second', headerRow: '2' });
+
+      expect(table.headers).toEqual(['Totals', 'Count']);
+      expect(table.rows).toEqual([{ number: 3, cells: ['Jane', '4'] }]);
+    });
+
+    it('should explain a missing sheet, an empty header row or a bad file', async () => {
+      const buffer = await workbookOf({ Members: [['Name'], ['Jane']] });
+
+      await expect(readSheet(buffer, { sheet: 'Visits' })).rejects.toThrow('The spreadsheet has no sheet called "Visits"');
+      await expect(readSheet(buffer, { headerRow: 5 })).rejects.toThrow('Row 5 of the "Members" sheet is empty');
+      await expect(readSheet(Buffer.from('not a workbook'))).rejects.toThrow("Couldn't read the spreadsheet");
+    });
+  });
+
+  describe('typedValue', () => {
+    it('should keep the local calendar day of dates', () => {
+      expect(typedValue('2024-01-15', 'date')).toEqual(new Date(Date.UTC(2024, 0, 15)));
+      expect(typedValue(new Date(2024, 0, 15, 23, 45), 'date')).toEqual(new Date(Date.UTC(2024, 0, 15)));
+      expect(typedValue(new Date(2024, 0, 15, 23, 45), 'datetime')).toEqual(new Date(Date.UTC(2024, 0, 15, 23, 45)));
+    });
+
+    it('should turn numbers into numbers and leave anything else as text', () => {
+      expect(typedValue('12.50', 'currency')).toBe(12.5);
+      expect(typedValue('lots', 'integer')).toBe('lots');
+      expect(typedValue('not a date', 'date')).toBe('not a date');
+      expect(typedValue(42, undefined)).toBe('42');
+      expect(typedValue(false, 'boolean')).toBe('No');
+      expect(typedValue('', 'number')).toBeNull();
+    });
+  });
+
+  describe('buildWorkbook', () => {
+    it('should write typed columns that read back the same', async () => {
+      const buffer = await buildWorkbook([{
+        name: 'Donations: 2024',
+        rows: [
+          { date: '2024-01-15', name: 'Jane Doe', books: 4, value: 8 },
+          { date: '2024-02-01', name: 'Lincoln Elementary', books: 30, value: 0 }
+        ],
+        columns: [
+          { header: 'Date', value: row => row.date, type: 'date' },
+          { header: 'Donor', value: row => row.name },
+          { header: 'Books', value: row => row.books, type: 'integer' },
+          { header: 'Value', value: row => row.value, type: 'currency' }
+        ]
+      }]);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      const worksheet = workbook.worksheets[0];
+
+      expect(worksheet.name).toBe('Donations  2024');
+      expect(worksheet.getRow(1).font.bold).toBe(true);
+      expect(worksheet.getCell('A2').value).toEqual(new Date(Date.UTC(2024, 0, 15)));
+      expect(worksheet.getCell('A2').numFmt).toBe('yyyy-mm-dd');
+      expect(worksheet.getCell('C3').value).toBe(30);
+      expect(worksheet.getCell('D2').numFmt).toBe('"$"#,##0.00');
+
+      const table = await readSheet(buffer);
+      expect(table.headers).toEqual(['Date', 'Donor', 'Books', 'Value']);
+      expect(table.rows[0].cells).toEqual(['2024-01-15', 'Jane Doe', '4', '8']);
+    });
+
+    it('should add a bar chart of a sheet\'s own cells', async () => {
+      const columns = [
+        { header: 'Program', value: row => row.label },
+        { header: 'Books', value: row => row.value, type: 'number' }
+      ];
+      const buffer = await buildWorkbook([
+        { name: 'Summary', rows: [{ label: 'Total', value: 12 }], columns },
+        { name: 'Kids & teens', rows: [{ label: 'Story <Time>', value: 5 }, { label: 'Book Club', value: 7 }], columns, chart: { title: 'Books' } }
+      ]);
+
+      const zip = await JSZip.loadAsync(buffer);
+      const chart = await zip.file('xl/charts/chart1.xml').async('string');
+      expect(chart).toContain('<c:barChart><c:barDir val="bar"/>');
+      expect(chart).toContain("<c:f>'Kids &amp; teens'!$A$2:$A$3</c:f>");
+      expect(chart).toContain("<c:f>'Kids &amp; teens'!$B$2:$B$3</c:f>");
+      expect(chart).toContain('<c:pt idx="0"><c:v>Story &lt;Time&gt;</c:v></c:pt>');
+      expect(chart).toContain('<c:pt idx="1"><c:v>7</c:v></c:pt>');
+
+      expect(await zip.file('xl/worksheets/sheet2.xml').async('string')).toMatch(/<drawing r:id="rId1"\/><\/worksheet>$/);
+      expect(await zip.file('xl/worksheets/_rels/sheet2.xml.rels').async('string')).toContain('Target="../drawings/drawing1.xml"');
+      expect(await zip.file('xl/drawings/_rels/drawing1.xml.rels').async('string')).toContain('Target="../charts/chart1.xml"');
+      expect(await zip.file('[Content_Types].xml').async('string')).toContain('PartName="/xl/charts/chart1.xml"');
+      expect(zip.file('xl/worksheets/_rels/sheet1.xml.rels')).toBeNull();
+
+      // Still a workbook ExcelJS (and so Excel) can open
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      expect(workbook.getWorksheet('Kids & teens').getCell('B3').value).toBe(7);
+    });
+  });
+
+  it('should match headers ignoring case, spaces and punctuation', () => {
+    expect(normalizeHeader('First Name')).toBe('firstname');
+    expect(normalizeHeader('e-mail_2')).toBe('email2');
+  });
+});
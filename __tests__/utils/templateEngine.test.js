@@ -0,0 +1,107 @@
+// __tests__/utils/templateEngine.test.js
+const { render, validate, escapeHtml } = require('../../utils/templateEngine');
+const EmailTemplate = require('../../models/EmailTemplate');
+
+describe('Template Engine', () => {
+  describe('values', () => {
+    it('should escape placeholder values in HTML mode', () => {
+      const html = render('<p>{{name}}</p>', { name: '<script>alert("x")</script>' }, { escape: true });
+      expect(html).toBe('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+    });
+
+    it('should leave triple-brace values unescaped', () => {
+      expect(render('{{{sig}}}', { sig: '<b>Staff</b>' }, { escape: true })).toBe('<b>Staff</b>');
+    });
+
+    it('should not escape values in plain text mode', () => {
+      expect(render('Hi {{name}}', { name: 'Tom & Jerry' })).toBe('Hi Tom & Jerry');
+    });
+
+    it('should read nested values and render missing ones as empty', () => {
+      expect(render('{{donor.name}}|{{donor.phone}}|{{missing.deep}}', { donor: { name: 'Ana' } })).toBe('Ana||');
+    });
+
+    it('should not read inherited properties', () => {
+      expect(render('{{toString}}', {})).toBe('');
+    });
+  });
+
+  describe('conditionals', () => {
+    it('should render the matching branch of #if / else', () => {
+      const source = '{{#if receiptNumber}}Receipt {{receiptNumber}}{{else}}No receipt{{/if}}';
+      expect(render(source, { receiptNumber: 'R-2026-0001' })).toBe('Receipt R-2026-0001');
+      expect(render(source, { receiptNumber: '' })).toBe('No receipt');
+    });
+
+    it('should treat empty arrays as false', () => {
+      expect(render('{{#if genres}}yes{{else}}no{{/if}}', { genres: [] })).toBe('no');
+    });
+
+    it('should compare values with == and !=', () => {
+      const source = '{{#if type == "used"}}used{{/if}}{{#if count != 1}}s{{/if}}';
+      expect(render(source, { type: 'used', count: 2 })).toBe('useds');
+      expect(render(source, { type: 'new', count: '1' })).toBe('');
+    });
+
+    it('should negate with #unless', () => {
+      expect(render('{{#unless notes}}No notes{{/unless}}', {})).toBe('No notes');
+    });
+  });
+
+  describe('loops', () => {
+    it('should repeat #each for every item with @index and @last', () => {
+      const source = '{{#each genres}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{/each}}';
+      expect(render(source, { genres: ['Fiction', 'Poetry'] })).toBe('0:Fiction, 1:Poetry');
+    });
+
+    it('should look up item fields before outer values', () => {
+      const source = '{{#each books}}{{title}} for {{donorName}};{{/each}}';
+      expect(render(source, { donorName: 'Ana', books: [{ title: 'Dune' }] })).toBe('Dune for Ana;');
+    });
+
+    it('should render the else branch of an empty list', () => {
+      expect(render('{{#each books}}x{{else}}none{{/each}}', { books: [] })).toBe('none');
+    });
+  });
+
+  describe('validate', () => {
+    it('should accept a valid template', () => {
+      expect(validate('{{! note }}{{#if a}}{{b}}{{/if}}')).toBeNull();
+    });
+
+    it('should report unclosed and mismatched blocks with a line number', () => {
+      expect(validate('line one\n{{#if a}}')).toBe('"{{#if}}" is never closed (line 2)');
+      expect(validate('{{#if a}}{{/each}}')).toMatch(/Unexpected "\{\{\/each\}\}"/);
+    });
+
+    it('should reject unknown blocks and expressions', () => {
+      expect(validate('{{#with donor}}{{/with}}')).toMatch(/Unknown block/);
+      expect(validate('{{ name.toUpperCase() }}')).toMatch(/Invalid placeholder/);
+    });
+
+    it('should reject prototype paths', () => {
+      expect(validate('{{constructor.name}}')).toMatch(/Invalid placeholder/);
+      expect(validate('{{#each __proto__}}{{/each}}')).toMatch(/Invalid placeholder/);
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('should escape quotes and ampersands', () => {
+      expect(escapeHtml(`Tom & "Jerry's"`)).toBe('Tom &amp; &quot;Jerry&#39;s&quot;');
+    });
+  });
+
+  describe('built-in email templates', () => {
+    const keys = ['donation_thank_you', 'checkout_receipt', 'welcome_member', 'visitor_checkin', 'password_reset', 'annual_giving_statement', 'scheduled_report'];
+
+    it.each(keys)('should parse and render %s with its sample data', key => {
+      const template = EmailTemplate.getDefault(key);
+      expect(template).toBeDefined();
+
+      ['subject', 'htmlBody', 'textBody'].forEach(field => {
+        expect(validate(template[field])).toBeNull();
+      });
+      expect(render(template.htmlBody, EmailTemplate.getSampleData(key), { escape: true })).not.toMatch(/\{\{/);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+// __tests__/utils/totp.test.js
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890" as base32)
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  describe('base32', () => {
+    it('should round-trip bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 255, 17, 42]);
+      expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should match the RFC 4648 example and ignore case and spaces', () => {
+      expect(totp.base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(totp.base32Decode('mzxw 6ytb oi').toString()).toBe('foobar');
+    });
+
+    it('should reject characters outside the alphabet', () => {
+      expect(() => totp.base32Decode('MZ1W')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 test vectors (last 6 digits)', () => {
+      expect(totp.generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(totp.generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+      expect(totp.generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+      expect(totp.generateCode(RFC_SECRET, 20000000000 * 1000)).toBe('353130');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1111111109 * 1000;
+
+    it('should accept the current code and one step either side', () => {
+      const step = totp.timeStep(now);
+      expect(totp.verifyCode(RFC_SECRET, '081804', { now })).toBe(step);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, now - 30000), { now })).toBe(step - 1);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, now + 30000), { now })).toBe(step + 1);
+    });
+
+    it('should reject codes from too long ago', () => {
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, now - 90000), { now })).toBeNull();
+    });
+
+    it('should refuse a code that was already used', () => {
+      const step = totp.timeStep(now);
+      expect(totp.verifyCode(RFC_SECRET, '081804', { now, lastUsedStep: step })).toBeNull();
+    });
+
+    it('should ignore spaces and reject anything that is not 6 digits', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081 804', { now })).not.toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, '81804', { now })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+    });
+  });
+
+  describe('otpauthUrl', () => {
+    it('should describe the account for authenticator apps', () => {
+      const url = totp.otpauthUrl('JBSWY3DPEHPK3PXP', 'ana@example.org');
+      expect(url).toMatch(/^otpauth:\/\/totp\/TreeHouse%20Books%3Aana%40example\.org\?/);
+      expect(url).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(url).toContain('issuer=TreeHouse+Books');
+    });
+  });
+});
@@ -0,0 +1,19 @@
+// config/lgl.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Little Green Light
+// Connection and gift settings for the donor sync (services/lglSync.js).
+// The IDs come from the LGL account (Settings → Gift Types / Funds); leave one
+// unset and LGL uses the account's default.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const LGL = {
+  // Point at scripts/lglStandIn.js to try a sync without touching real data
+  apiUrl: (process.env.LGL_API_URL || 'https://api.littlegreenlight.com/api/v1').replace(/\/+$/, ''),
+  apiKey: process.env.LGL_API_KEY || '',
+
+  cashGiftTypeId: process.env.LGL_CASH_GIFT_TYPE_ID || '',
+  inKindGiftTypeId: process.env.LGL_IN_KIND_GIFT_TYPE_ID || '',
+  fundId: process.env.LGL_FUND_ID || ''
+};
+
+module.exports = { LGL };
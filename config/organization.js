@@ -0,0 +1,33 @@
+// config/organization.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Organization Identity
+// Legal details printed on donation receipts and giving statements.
+// Override per deployment with environment variables; ORG_EIN must be set
+// before receipts are sent to donors.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ORGANIZATION = {
+  legalName: process.env.ORG_LEGAL_NAME || 'Tree House Books',
+  ein: process.env.ORG_EIN || '',
+  addressLines: (process.env.ORG_ADDRESS || '1430 W. Susquehanna Avenue|Philadelphia, PA 19121').split('|'),
+  phone: process.env.ORG_PHONE || '(215) 236-1760',
+  website: process.env.ORG_WEBSITE || 'www.treehousebooks.org',
+  email: process.env.ORG_EMAIL || 'emma@treehousebooks.org',
+
+  // Person who signs receipts, and an optional signature image (PNG/JPEG path)
+  signerName: process.env.RECEIPT_SIGNER_NAME || 'Emma Goldstein',
+  signerTitle: process.env.RECEIPT_SIGNER_TITLE || 'Giving Library Manager',
+  signatureImage: process.env.RECEIPT_SIGNATURE_IMAGE || ''
+};
+
+// Required IRS wording - matches the footer of the donation thank-you email
+const TAX_STATEMENT = `${ORGANIZATION.legalName} is a 501(c)(3) charitable organization, and your gift is fully tax-deductible.`;
+const QUID_PRO_QUO_STATEMENT = 'No services were provided or benefits received for this contribution.';
+const STATEMENT_QUID_PRO_QUO = 'No services were provided or benefits received for any of these contributions.';
+
+module.exports = {
+  ORGANIZATION,
+  TAX_STATEMENT,
+  QUID_PRO_QUO_STATEMENT,
+  STATEMENT_QUID_PRO_QUO
+};
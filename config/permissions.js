@@ -0,0 +1,156 @@
+// config/permissions.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Permission Registry
+// Every permission a route or view can check, grouped for the role editor at
+// /admin/roles. Routes guard themselves with requirePermission('members.edit')
+// (routes/_middleware.js); views use can('members.edit').
+//
+// Roles map to permissions in the Role collection (see services/permissions.js).
+// `roles` below is only the starting point for the three built-in roles,
+// used until an admin saves a change on /admin/roles. Admins always have every
+// permission so nobody can lock the organization out of its own settings.
+//
+// Adding a permission: add it here with the built-in roles that should have
+// it, then guard the route. Built-in roles already saved by an admin won't
+// pick it up automatically - they'll need to tick it on /admin/roles.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Built-in roles. Custom roles pick one of these as their "base role", which
+// decides the dashboard layout, the announcements they see and whether a
+// two-step login requirement applies to them.
+const BUILT_IN_ROLES = {
+  volunteer: { name: 'Volunteer', description: 'Front desk: check-ins, checkouts, donations and new members' },
+  staff: { name: 'Staff', description: 'Runs programs, outreach, email and imports' },
+  admin: { name: 'Admin', description: 'Everything, including users and security settings' }
+};
+
+const V = 'volunteer';
+const S = 'staff';
+const A = 'admin';
+
+const PERMISSIONS = [
+  // Members & households
+  { key: 'members.read', group: 'Members', label: 'View members and households', roles: [V, S, A] },
+  { key: 'members.create', group: 'Members', label: 'Add members', roles: [V, S, A] },
+  { key: 'members.address', group: 'Members', label: 'Record home addresses', roles: [S, A] },
+  { key: 'members.edit', group: 'Members', label: 'Edit members', roles: [A] },
+  { key: 'members.delete', group: 'Members', label: 'Delete and restore members', roles: [A] },
+  { key: 'members.merge', group: 'Members', label: 'Find and merge duplicate members', roles: [A] },
+  { key: 'households.edit', group: 'Members', label: 'Create and change households, guardians and pickups', roles: [S, A] },
+  { key: 'households.delete', group: 'Members', label: 'Delete households', roles: [A] },
+
+  // Front desk
+  { key: 'visits.create', group: 'Front Desk', label: 'Check in visitors', roles: [V, S, A] },
+  { key: 'visits.read', group: 'Front Desk', label: 'View visits', roles: [V, S, A] },
+  { key: 'visits.edit', group: 'Front Desk', label: 'Edit visits', roles: [A] },
+  { key: 'visits.delete', group: 'Front Desk', label: 'Delete visits', roles: [A] },
+  { key: 'checkouts.read', group: 'Front Desk', label: 'View book checkouts', roles: [V, S, A] },
+  { key: 'checkouts.create', group: 'Front Desk', label: 'Record book checkouts', roles: [V, S, A] },
+  { key: 'checkouts.edit', group: 'Front Desk', label: 'Edit book checkouts', roles: [A] },
+  { key: 'checkouts.delete', group: 'Front Desk', label: 'Delete book checkouts', roles: [A] },
+  { key: 'frontdesk.use', group: 'Front Desk', label: 'Switch a computer into front desk mode', roles: [V, S, A] },
+
+  // Donations
+  { key: 'donations.read', group: 'Donations', label: 'View donations', roles: [V, S, A] },
+  { key: 'donations.create', group: 'Donations', label: 'Record donations', roles: [V, S, A] },
+  { key: 'donations.receipts', group: 'Donations', label: 'Download donation receipts', roles: [S, A] },
+  { key: 'donations.edit', group: 'Donations', label: 'Edit donations', roles: [A] },
+  { key: 'donations.delete', group: 'Donations', label: 'Delete donations', roles: [A] },
+  { key: 'donations.statements', group: 'Donations', label: 'Send year-end giving statements', roles: [A] },
+
+  // Organizations
+  { key: 'organizations.read', group: 'Organizations', label: 'View organizations', roles: [V, S, A] },
+  { key: 'organizations.create', group: 'Organizations', label: 'Add organizations', roles: [V, S, A] },
+  { key: 'organizations.edit', group: 'Organizations', label: 'Edit organizations', roles: [A] },
+  { key: 'organizations.delete', group: 'Organizations', label: 'Delete and restore organizations', roles: [A] },
+
+  // Programs & outreach
+  { key: 'programs.read', group: 'Programs & Outreach', label: 'View programs, attendees and attendance', roles: [S, A] },
+  { key: 'programs.manage', group: 'Programs & Outreach', label: 'Create programs, enroll attendees, take attendance, run classrooms', roles: [S, A] },
+  { key: 'metrics.read', group: 'Programs & Outreach', label: 'View program metrics', roles: [S, A] },
+  { key: 'metrics.record', group: 'Programs & Outreach', label: 'Define metrics and record values', roles: [S, A] },
+  { key: 'distributions.read', group: 'Programs & Outreach', label: 'View book distributions', roles: [S, A] },
+  { key: 'distributions.create', group: 'Programs & Outreach', label: 'Record book distributions', roles: [S, A] },
+  { key: 'distributions.edit', group: 'Programs & Outreach', label: 'Edit and delete book distributions', roles: [A] },
+  { key: 'sidewalk.read', group: 'Programs & Outreach', label: 'View Sidewalk Books inventory', roles: [S, A] },
+  { key: 'sidewalk.edit', group: 'Programs & Outreach', label: 'Record Sidewalk Books inventory', roles: [S, A] },
+  { key: 'traveling.read', group: 'Programs & Outreach', label: 'View Traveling Tree House stops', roles: [S, A] },
+  { key: 'traveling.edit', group: 'Programs & Outreach', label: 'Add, edit and delete Traveling Tree House stops', roles: [S, A] },
+
+  // Email
+  { key: 'campaigns.manage', group: 'Email', label: 'Write and send email campaigns', roles: [S, A] },
+  { key: 'email.templates', group: 'Email', label: 'Edit email templates', roles: [S, A] },
+  { key: 'email.logs', group: 'Email', label: 'View email logs and retry failed emails', roles: [S, A] },
+  { key: 'email.suppressions', group: 'Email', label: 'Manage the do-not-email list', roles: [S, A] },
+  { key: 'messages.send', group: 'Email', label: 'Send staff messages and announcements', roles: [S, A] },
+
+  // Data & reports
+  { key: 'imports.run', group: 'Data & Reports', label: 'Import data and roll back imports', roles: [S, A] },
+  { key: 'reports.export', group: 'Data & Reports', label: 'Export data (CSV, JSON)', roles: [S, A] },
+  { key: 'reports.view', group: 'Data & Reports', label: 'See organization-wide charts and totals', roles: [A] },
+  { key: 'reports.build', group: 'Data & Reports', label: 'Build, save and download grant impact reports', roles: [S, A] },
+  { key: 'reports.schedule', group: 'Data & Reports', label: 'Email grant reports on a schedule, or send them now', roles: [S, A] },
+  { key: 'audit.read', group: 'Data & Reports', label: 'View record change history', roles: [A] },
+  { key: 'api.tokens', group: 'Data & Reports', label: 'Create personal API tokens', roles: [S, A] },
+  { key: 'api.integrations', group: 'Data & Reports', label: 'Create and revoke API tokens for integrations', roles: [A] },
+  { key: 'api.docs', group: 'Data & Reports', label: 'View the API reference', roles: [A] },
+  { key: 'webhooks.manage', group: 'Data & Reports', label: 'Manage webhooks', roles: [A] },
+  { key: 'lgl.sync', group: 'Data & Reports', label: 'Send donations to Little Green Light', roles: [A] },
+
+  // Account & administration
+  { key: 'account.mfa', group: 'Administration', label: 'Use two-step login', roles: [S, A] },
+  { key: 'users.manage', group: 'Administration', label: 'Invite, approve and manage users', roles: [A] },
+  { key: 'roles.manage', group: 'Administration', label: 'Edit roles and permissions', roles: [A] },
+  { key: 'security.manage', group: 'Administration', label: 'Change security settings', roles: [A] }
+];
+
+const PERMISSION_KEYS = PERMISSIONS.map(p => p.key);
+
+// Permissions an API token can be given (its "scopes"). The /api/v1 JSON API
+// is read-only; members.address adds home addresses to member records.
+const API_SCOPES = [
+  'members.read',
+  'members.address',
+  'checkouts.read',
+  'donations.read',
+  'visits.read',
+  'programs.read',
+  'traveling.read',
+  'distributions.read',
+  'sidewalk.read'
+];
+
+/**
+ * Permissions a built-in role starts with
+ * @param {String} role - 'volunteer', 'staff' or 'admin'
+ * @returns {Array<String>}
+ */
+function defaultPermissionsFor(role) {
+  return PERMISSIONS.filter(p => p.roles.includes(role)).map(p => p.key);
+}
+
+/**
+ * Permissions grouped for display, in registry order
+ * @returns {Array<{group: String, permissions: Array}>}
+ */
+function groupedPermissions() {
+  const groups = [];
+  PERMISSIONS.forEach(permission => {
+    let group = groups.find(g => g.group === permission.group);
+    if (!group) {
+      group = { group: permission.group, permissions: [] };
+      groups.push(group);
+    }
+    group.permissions.push(permission);
+  });
+  return groups;
+}
+
+module.exports = {
+  BUILT_IN_ROLES,
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  API_SCOPES,
+  defaultPermissionsFor,
+  groupedPermissions
+};
@@ -0,0 +1,67 @@
+// models/ApiToken.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// API Tokens
+// Bearer tokens for the /api/v1 JSON API (see services/apiTokens.js).
+//
+//   • Personal tokens belong to a user (`user` set), made on
+//     /account/api-tokens. They can never do more than the user's role can
+//     right now, and stop working if the account is no longer active.
+//   • Integration tokens (`user` null) are made by an admin on
+//     /admin/api-tokens for a partner's tool or a shared spreadsheet.
+//
+// Either way `scopes` lists what the token may read (API_SCOPES in
+// config/permissions.js). Only a SHA-256 hash of the token is stored - it's
+// shown once, when it's created.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { API_SCOPES } = require('../config/permissions');
+
+const ApiTokenSchema = new Schema({
+  // What it's for, e.g. "Volunteer hours sheet"
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+
+  tokenHash: { type: String, required: true, unique: true },
+
+  // Start of the token, so people can tell their tokens apart
+  prefix: { type: String, required: true },
+
+  // Owner of a personal token; null for integration tokens
+  user: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+
+  scopes: {
+    type: [{ type: String, enum: API_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'Pick at least one thing the token can read']
+  },
+
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // null = never expires
+  expiresAt: { type: Date, default: null },
+
+  // Updated at most once a minute
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+}, {
+  timestamps: true
+});
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+ApiTokenSchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+
+// ─── Instance Methods ────────────────────────────────────────────────────────
+
+/**
+ * Whether the token still works
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+ApiTokenSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema);
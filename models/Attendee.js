@@ -23,7 +23,10 @@ const AttendeeSchema = new Schema({
   email:       { type: String },
   phone:       { type: String },
 
-  joinedAt:  { type: Date, default: Date.now }
+  joinedAt:  { type: Date, default: Date.now },
+
+  // ID from another system, set by data imports and used to match rows on re-import
+  externalId: { type: String }
 });
 
 // ─── Indexes ─────────────────────────────────────────────────────────────────
@@ -35,5 +38,7 @@ AttendeeSchema.index({ program: 1, joinedAt: -1 });
 AttendeeSchema.index({ member: 1 });
 // Index for parent member lookups
 AttendeeSchema.index({ parentMember: 1 });
+// Index for matching import rows by external ID
+AttendeeSchema.index({ externalId: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Attendee', AttendeeSchema);
@@ -12,7 +12,7 @@ const AuditLogSchema = new Schema({
   modelName: {
     type: String,
     required: true,
-    enum: ['Member', 'Donation', 'Checkout', 'Program', 'User', 'TravelingStop', 'Organization', 'Visit', 'BookDistribution', 'SidewalkBooksWeek']
+    enum: ['Member', 'Donation', 'Checkout', 'Program', 'User', 'TravelingStop', 'Organization', 'Visit', 'BookDistribution', 'SidewalkBooksWeek', 'Household', 'Campaign', 'Invite', 'Role', 'ApiToken', 'WebhookSubscription']
   },
 
   // The ID of the record that was changed
@@ -25,7 +25,7 @@ const AuditLogSchema = new Schema({
   action: {
     type: String,
     required: true,
-    enum: ['create', 'update', 'delete', 'restore']
+    enum: ['create', 'update', 'delete', 'restore', 'merge', 'unmerge']
   },
 
   // Who performed the action
@@ -61,6 +61,26 @@ const AuditLogSchema = new Schema({
   timestamp: {
     type: Date,
     default: Date.now
+  },
+
+  // ─── Merge Fields ───────────────────────────────────────────────────────────
+  // The other record involved (e.g. the member that was merged away)
+  relatedRecordId: {
+    type: Schema.Types.ObjectId
+  },
+
+  // Everything needed to reverse a merge (moved reference IDs, removed records)
+  details: {
+    type: Schema.Types.Mixed
+  },
+
+  // Set when a merge has been undone
+  reversedAt: {
+    type: Date
+  },
+  reversedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
   }
 });
 
@@ -77,4 +97,7 @@ AuditLogSchema.index({ timestamp: -1 });
 // Query by action type
 AuditLogSchema.index({ action: 1, timestamp: -1 });
 
+// Query merges involving a record as the merged-away member
+AuditLogSchema.index({ relatedRecordId: 1 }, { sparse: true });
+
 module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,95 @@
+// models/Campaign.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Email Campaign
+// A one-off announcement (book drive, story time...) sent to a segment of
+// members built from filters. The send itself is done by the worker in
+// services/campaigns.js; every recipient gets an EmailLog row tagged with
+// metadata.campaignId, which is where per-recipient status lives.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// ─── Segment ─────────────────────────────────────────────────────────────────
+// Every filter that is set must match (AND). An empty segment means every
+// member with an email address.
+const SegmentSchema = new Schema({
+  memberType:        { type: String, enum: ['', 'adult', 'child'], default: '' },
+  zipCodes:          [{ type: String, trim: true }],  // 5-digit ZIPs; ZIP+4 addresses match too
+  minAge:            { type: Number, min: 0, max: 120 },
+  maxAge:            { type: Number, min: 0, max: 120 },
+  visitedWithinDays: { type: Number, min: 1 },        // Checked in at least once in the last N days
+  programs:          [{ type: Schema.Types.ObjectId, ref: 'Program' }],  // Enrolled (via Attendee) in any of these
+
+  // Children without their own email are reached through their guardians
+  includeGuardians:  { type: Boolean, default: true }
+}, { _id: false });
+
+// ─── Schema Definition ───────────────────────────────────────────────────────
+const CampaignSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [200, 'Campaign name cannot exceed 200 characters']
+  },
+
+  // A campaign-category EmailTemplate (see EmailTemplate.category)
+  template: { type: Schema.Types.ObjectId, ref: 'EmailTemplate', required: [true, 'Choose an email template'] },
+
+  segment: { type: SegmentSchema, default: () => ({}) },
+
+  // draft → scheduled → sending → sent
+  //                   ↘ cancelled         ↘ failed (e.g. template disabled mid-send)
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'draft'
+  },
+
+  scheduledAt: { type: Date },
+  startedAt:   { type: Date },
+  completedAt: { type: Date },
+  lockedAt:    { type: Date },   // Heartbeat from the worker while sending
+
+  // Delivery throttle so a big send doesn't trip the SMTP provider's limits
+  ratePerMinute: {
+    type: Number,
+    default: 30,
+    min: [1, 'Send rate must be at least 1 email per minute'],
+    max: [600, 'Send rate cannot exceed 600 emails per minute']
+  },
+
+  // Totals from the last send (live numbers come from EmailLog)
+  recipientCount: { type: Number, default: 0 },
+  sentCount:      { type: Number, default: 0 },
+  failedCount:    { type: Number, default: 0 },
+  lastError:      { type: String },
+
+  // ─── Audit & Soft Delete Fields ─────────────────────────────────────────────
+  createdBy:  { type: Schema.Types.ObjectId, ref: 'User' },
+  updatedBy:  { type: Schema.Types.ObjectId, ref: 'User' },
+  isDeleted:  { type: Boolean, default: false },
+  deletedAt:  { type: Date },
+  deletedBy:  { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+CampaignSchema.path('segment').validate(function(segment) {
+  if (!segment || segment.minAge == null || segment.maxAge == null) return true;
+  return segment.minAge <= segment.maxAge;
+}, 'Minimum age cannot be more than maximum age');
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+CampaignSchema.index({ status: 1, scheduledAt: 1 });
+CampaignSchema.index({ createdAt: -1 });
+
+// ─── Methods ─────────────────────────────────────────────────────────────────
+// Only campaigns that haven't started can be edited
+CampaignSchema.methods.isEditable = function() {
+  return this.status === 'draft' || this.status === 'scheduled';
+};
+
+module.exports = mongoose.model('Campaign', CampaignSchema);
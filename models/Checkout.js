@@ -46,6 +46,9 @@ const CheckoutSchema = new Schema({
   checkoutDate:  { type: Date, default: Date.now },
   recordedBy:    { type: Schema.Types.ObjectId, ref: 'User' },
 
+  // ID from another system, set by data imports and used to match rows on re-import
+  externalId:    { type: String },
+
   // ─── Audit & Soft Delete Fields ─────────────────────────────────────────────
   updatedBy:     { type: Schema.Types.ObjectId, ref: 'User' },
   updatedAt:     { type: Date },
@@ -61,5 +64,7 @@ CheckoutSchema.index({ member: 1, checkoutDate: -1 });
 CheckoutSchema.index({ checkoutDate: -1 });
 // Index for soft delete filtering
 CheckoutSchema.index({ isDeleted: 1 });
+// Index for matching import rows by external ID
+CheckoutSchema.index({ externalId: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Checkout', CheckoutSchema);
@@ -0,0 +1,31 @@
+// models/Counter.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Named Sequence Counters
+// Atomically incremented numbers (e.g. donation receipt numbers).
+// The _id is the sequence name, e.g. "donationReceipt-2025".
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CounterSchema = new Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+// ─── Static Methods ──────────────────────────────────────────────────────────
+/**
+ * Atomically increment a sequence and return the new value
+ * @param {String} name - Sequence name
+ * @returns {Promise<Number>} Next value (starts at 1)
+ */
+CounterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -32,6 +32,23 @@ const DonationSchema = new Schema({
   donatedAt:      { type: Date, default: Date.now },
   recordedBy:     { type: Schema.Types.ObjectId, ref: 'User' },
 
+  // ─── Tax Receipt ────────────────────────────────────────────────────────────
+  // Assigned the first time a receipt is generated, then reused for reprints
+  receiptNumber:   { type: String, unique: true, sparse: true },
+  receiptIssuedAt: { type: Date },
+
+  // ─── Little Green Light ─────────────────────────────────────────────────────
+  // Gift IDs in LGL (books and money are separate gifts there). syncedAt is set
+  // once every gift is pushed; see services/lglSync.js
+  lgl: {
+    inKindGiftId: { type: String },
+    cashGiftId:   { type: String },
+    syncedAt:     { type: Date }
+  },
+
+  // ID from another system, set by data imports and used to match rows on re-import
+  externalId:     { type: String },
+
   // ─── Audit & Soft Delete Fields ─────────────────────────────────────────────
   updatedBy:      { type: Schema.Types.ObjectId, ref: 'User' },
   updatedAt:      { type: Date },
@@ -45,6 +62,8 @@ const DonationSchema = new Schema({
 DonationSchema.index({ member: 1, donatedAt: -1 });
 // Index for date-based queries (used in admin analytics/charts)
 DonationSchema.index({ donatedAt: -1 });
+// Index for matching import rows by external ID
+DonationSchema.index({ externalId: 1 }, { sparse: true });
 // Index for soft delete filtering
 DonationSchema.index({ isDeleted: 1 });
 
@@ -0,0 +1,56 @@
+// models/EmailJob.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Outbound Email Queue
+// One document per email waiting to go out. The worker in services/emailQueue.js
+// claims due jobs, sends them, and reschedules failures with exponential
+// backoff. After maxAttempts a job is parked as "dead" until an admin retries
+// it from /admin/email-logs.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const EmailJobSchema = new Schema({
+  // Which mailer function sends this job (see HANDLERS in services/emailQueue.js)
+  kind: {
+    type: String,
+    required: true,
+    enum: ['checkout_thank_you', 'donation_thank_you', 'welcome_member', 'visitor_checkin', 'templated']
+  },
+
+  recipient: { type: String, required: true },
+
+  // Arguments for the mailer function - plain JSON only
+  payload: { type: Schema.Types.Mixed, default: {} },
+
+  // pending → processing → sent
+  //                     ↘ pending (retry scheduled) … → dead
+  //                     ↘ skipped (template disabled - nothing to send)
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'skipped', 'dead'],
+    default: 'pending'
+  },
+
+  attempts:      { type: Number, default: 0 },
+  maxAttempts:   { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt:      { type: Date },   // When a worker claimed the job
+  lastError:     { type: String },
+  sentAt:        { type: Date },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+EmailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailJobSchema.index({ createdAt: -1 });
+
+// ─── Pre-save Hook ───────────────────────────────────────────────────────────
+EmailJobSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('EmailJob', EmailJobSchema);
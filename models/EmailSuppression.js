@@ -0,0 +1,59 @@
+// models/EmailSuppression.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Email Suppression List
+// Addresses we must not email. services/mailer.js checks this list before
+// every send and logs a "skipped" EmailLog instead of sending.
+//
+//   unsubscribed  Clicked an unsubscribe link - no more marketing email, but
+//                 receipts and password resets still go out (scope 'marketing')
+//   bounced       The mail server rejected the address (scope 'all')
+//   complained    Marked our email as spam (scope 'all')
+//   manual        Added by staff, e.g. on request by phone (scope 'all')
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const REASON_SCOPES = {
+  unsubscribed: 'marketing',
+  bounced: 'all',
+  complained: 'all',
+  manual: 'all'
+};
+
+const EmailSuppressionSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+
+  reason: {
+    type: String,
+    enum: Object.keys(REASON_SCOPES),
+    required: true
+  },
+
+  // Which email is blocked: only marketing (campaigns) or everything
+  scope: {
+    type: String,
+    enum: ['marketing', 'all'],
+    required: true
+  },
+
+  // How it got here: 'unsubscribe_link', 'smtp', 'staff'
+  source: { type: String, trim: true },
+
+  // Bounce message or staff note
+  detail: { type: String, trim: true, maxlength: 1000 },
+
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+EmailSuppressionSchema.statics.REASON_SCOPES = REASON_SCOPES;
+
+module.exports = mongoose.model('EmailSuppression', EmailSuppressionSchema);
@@ -53,6 +53,15 @@ const emailTemplateSchema = new mongoose.Schema({
     type: String
   },
 
+  // 'system' templates are sent by the app when something happens (a donation,
+  // a checkout...). 'campaign' templates are written by staff for bulk
+  // announcements - see models/Campaign.js.
+  category: {
+    type: String,
+    enum: ['system', 'campaign'],
+    default: 'system'
+  },
+
   // Whether this template is active (can be disabled without deleting)
   isActive: {
     type: Boolean,
@@ -81,12 +90,103 @@ emailTemplateSchema.statics.getByKey = async function(templateKey) {
 
 // Static method to get all templates
 emailTemplateSchema.statics.getAllTemplates = async function() {
-  return this.find().sort({ name: 1 });
+  return this.find().sort({ category: -1, name: 1 }); // system templates first
+};
+
+// Emails that must always go out. While one of these is disabled (or not
+// seeded yet) the built-in default below is sent instead; every other
+// template is simply not sent while disabled.
+emailTemplateSchema.statics.ALWAYS_SENT = ['donation_thank_you', 'checkout_receipt', 'password_reset', 'account_locked', 'user_invite', 'annual_giving_statement', 'scheduled_report'];
+
+/**
+ * Built-in version of a template
+ * @param {string} templateKey - Template identifier
+ * @returns {object|null} Default subject/htmlBody/textBody etc., or null if there is none
+ */
+emailTemplateSchema.statics.getDefault = function(templateKey) {
+  return defaultTemplates().find(t => t.templateKey === templateKey) || null;
+};
+
+// Placeholders filled in for every campaign recipient (services/campaigns.js)
+emailTemplateSchema.statics.CAMPAIGN_PLACEHOLDERS = [
+  { placeholder: '{{firstName}}', description: 'Recipient\'s first name' },
+  { placeholder: '{{lastName}}', description: 'Recipient\'s last name' },
+  { placeholder: '{{fullName}}', description: 'Recipient\'s full name' },
+  { placeholder: '{{childNames}}', description: 'Children in the segment this guardian is receiving the email for (e.g. "Maya and Leo")' },
+  { placeholder: '{{unsubscribeUrl}}', description: 'Unsubscribe link (added to the bottom of the email automatically if not used)' }
+];
+
+const CAMPAIGN_SAMPLE_DATA = {
+  firstName: 'Jane',
+  lastName: 'Smith',
+  fullName: 'Jane Smith',
+  email: 'jane.smith@example.com',
+  childNames: 'Maya and Leo',
+  children: ['Maya', 'Leo'],
+  unsubscribeUrl: 'http://localhost:3000/unsubscribe/sample'
 };
 
-// Static method to seed default templates
-emailTemplateSchema.statics.seedDefaults = async function() {
-  const defaults = [
+/**
+ * Sample placeholder data used to preview a template
+ * Templates without a built-in version are campaign templates, which get
+ * sample recipient data.
+ * @param {string} templateKey - Template identifier
+ * @returns {object}
+ */
+emailTemplateSchema.statics.getSampleData = function(templateKey) {
+  const template = this.getDefault(templateKey);
+  return template ? template.sampleData : CAMPAIGN_SAMPLE_DATA;
+};
+
+/**
+ * Seed default templates
+ * Adds any that are missing. Existing templates keep their content once an
+ * admin has edited them (lastModifiedBy is set) - only the descriptions and
+ * placeholder lists are refreshed - unless options.reset is set.
+ * @param {object} options
+ * @param {boolean} options.reset - Overwrite every template with the built-in version
+ */
+emailTemplateSchema.statics.seedDefaults = async function(options = {}) {
+  for (const template of defaultTemplates()) {
+    const fields = { ...template };
+    delete fields.sampleData;
+    const existing = await this.findOne({ templateKey: fields.templateKey });
+
+    if (!existing) {
+      await this.create(fields);
+      continue;
+    }
+
+    const update = {
+      description: fields.description,
+      triggerEvent: fields.triggerEvent,
+      availablePlaceholders: fields.availablePlaceholders
+    };
+    if (options.reset || !existing.lastModifiedBy) {
+      Object.assign(update, {
+        name: fields.name,
+        subject: fields.subject,
+        htmlBody: fields.htmlBody,
+        textBody: fields.textBody,
+        isActive: fields.isActive
+      });
+    }
+    if (options.reset) {
+      update.lastModifiedBy = null;
+    }
+    await this.updateOne({ _id: existing._id }, { $set: update });
+  }
+
+  console.log('Email templates seeded successfully');
+};
+
+// ─── Built-in Templates ───────────────────────────────────────────────────────
+// Seeded into the database for admins to edit, and sent as-is for the
+// ALWAYS_SENT templates when the database copy is disabled or missing.
+// sampleData fills the placeholders on the edit page's preview.
+// Syntax reference: utils/templateEngine.js
+function defaultTemplates() {
+  return [
     // ─── DONATION THANK YOU ─────────────────────────────────────────────────────
     {
       templateKey: 'donation_thank_you',
@@ -110,7 +210,7 @@ emailTemplateSchema.statics.seedDefaults = async function() {
     <div class="content">
       <p>Dear {{donorName}},</p>
 
-      <p>Thank you so much for supporting Tree House Books and our Books in Every Home campaign with your donation of {{bookCount}} books {{valueDescription}}.</p>
+      <p>Thank you so much for supporting Tree House Books and our Books in Every Home campaign with your donation of {{bookCount}} books{{#if isUsed}}{{#if valuePerBook}} that you valued {{valuePerBook}} per book{{/if}}{{else}}{{#if totalValue}} valued at {{totalValue}}{{/if}}{{/if}}.</p>
 
       <p>Without you we truly could not fulfill our goal of creating and sustaining a community of readers, writers, and thinkers. The books that you have so generously donated will find their way into the homes of families and children, changing lives through reading and mitigating the Philadelphia literacy crisis.</p>
 
@@ -131,6 +231,7 @@ emailTemplateSchema.statics.seedDefaults = async function() {
       </div>
 
       <div class="footer">
+        {{#if receiptNumber}}<p>Your tax receipt ({{receiptNumber}}) is attached.</p>{{/if}}
         <p>Tree House Books is a 501(c)(3) charitable organization, and your gift is fully tax-deductible. No services were provided or benefits received for this contribution.</p>
       </div>
     </div>
@@ -139,7 +240,7 @@ emailTemplateSchema.statics.seedDefaults = async function() {
 </html>`,
       textBody: `Dear {{donorName}},
 
-Thank you so much for supporting Tree House Books and our Books in Every Home campaign with your donation of {{bookCount}} books {{valueDescription}}.
+Thank you so much for supporting Tree House Books and our Books in Every Home campaign with your donation of {{bookCount}} books{{#if isUsed}}{{#if valuePerBook}} that you valued {{valuePerBook}} per book{{/if}}{{else}}{{#if totalValue}} valued at {{totalValue}}{{/if}}{{/if}}.
 
 Without you we truly could not fulfill our goal of creating and sustaining a community of readers, writers, and thinkers. The books that you have so generously donated will find their way into the homes of families and children, changing lives through reading and mitigating the Philadelphia literacy crisis.
 
@@ -156,14 +257,120 @@ Philadelphia, PA 19121
 (215) 236-1760 - office
 Tree House Books Online
 Growing and sustaining a community of readers, writers, and thinkers
-
+{{#if receiptNumber}}
+Your tax receipt ({{receiptNumber}}) is attached.
+{{/if}}
 Tree House Books is a 501(c)(3) charitable organization, and your gift is fully tax-deductible. No services were provided or benefits received for this contribution.`,
       availablePlaceholders: [
         { placeholder: '{{donorName}}', description: 'Full name of the donor or organization name' },
         { placeholder: '{{bookCount}}', description: 'Total number of books donated' },
+        { placeholder: '{{#if isUsed}}...{{else}}...{{/if}}', description: 'Show text only for used (or, after else, new) book donations' },
+        { placeholder: '{{valuePerBook}}', description: 'Donor-stated value per used book (e.g., "$2")' },
+        { placeholder: '{{totalValue}}', description: 'Stated total value of new books (e.g., "$50.00")' },
         { placeholder: '{{valueDescription}}', description: 'Value description (e.g., "that you valued $1 per book" for used, or "Valued at $50.00" for new)' },
+        { placeholder: '{{receiptNumber}}', description: 'Tax receipt number, if a receipt is attached' },
         { placeholder: '{{donationDate}}', description: 'Date the donation was made' }
       ],
+      sampleData: {
+        donorName: 'Jane Smith',
+        bookCount: 25,
+        donationType: 'used',
+        isUsed: true,
+        valuePerBook: '$2',
+        totalValue: '$50.00',
+        valueDescription: 'that you valued $2 per book',
+        receiptNumber: 'THB-2025-00042',
+        donationDate: 'March 4, 2025'
+      },
+      isActive: true
+    },
+
+    // ─── ANNUAL GIVING STATEMENT ────────────────────────────────────────────────
+    {
+      templateKey: 'annual_giving_statement',
+      name: 'Annual Giving Statement',
+      description: 'Sent each January with a PDF summary of everything a donor gave the previous year',
+      triggerEvent: 'When an admin sends year-end giving statements',
+      subject: 'Your {{year}} giving statement from Tree House Books',
+      htmlBody: `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .content { padding: 20px; }
+    .summary { background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 15px 0; }
+    .signature { margin-top: 30px; }
+    .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="content">
+      <p>Dear {{donorName}},</p>
+
+      <p>Thank you for everything you gave to Tree House Books in {{year}}. Your consolidated giving statement is attached for your tax records.</p>
+
+      <div class="summary">
+        <p><strong>{{year}} at a glance:</strong></p>
+        <ul>
+          <li>Donations: {{donationCount}}</li>
+          <li>Books donated: {{totalBooks}}</li>
+          <li>Donor-stated value of books: {{inKindValue}}</li>
+          {{#if monetaryAmount}}<li>Monetary gifts: {{monetaryAmount}}</li>{{/if}}
+        </ul>
+      </div>
+
+      <p>Your generosity puts books into the homes of families and children across Philadelphia. As always, do not hesitate to reach out to <a href="mailto:emma@treehousebooks.org">emma@treehousebooks.org</a> with any questions!</p>
+
+      <div class="signature">
+        <p>With gratitude,<br>
+        <strong>Emma Goldstein</strong><br>
+        Giving Library Manager<br>
+        Tree House Books</p>
+      </div>
+
+      <div class="footer">
+        <p>Tree House Books is a 501(c)(3) charitable organization, and your gift is fully tax-deductible. No services were provided or benefits received for these contributions.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`,
+      textBody: `Dear {{donorName}},
+
+Thank you for everything you gave to Tree House Books in {{year}}. Your consolidated giving statement is attached for your tax records.
+
+{{year}} at a glance:
+- Donations: {{donationCount}}
+- Books donated: {{totalBooks}}
+- Donor-stated value of books: {{inKindValue}}
+{{#if monetaryAmount}}- Monetary gifts: {{monetaryAmount}}
+{{/if}}
+Your generosity puts books into the homes of families and children across Philadelphia. As always, do not hesitate to reach out to emma@treehousebooks.org with any questions!
+
+With gratitude,
+Emma Goldstein
+Giving Library Manager
+Tree House Books
+
+Tree House Books is a 501(c)(3) charitable organization, and your gift is fully tax-deductible. No services were provided or benefits received for these contributions.`,
+      availablePlaceholders: [
+        { placeholder: '{{donorName}}', description: 'Full name of the donor or organization name' },
+        { placeholder: '{{year}}', description: 'Calendar year the statement covers' },
+        { placeholder: '{{donationCount}}', description: 'Number of donations that year' },
+        { placeholder: '{{totalBooks}}', description: 'Total books donated that year' },
+        { placeholder: '{{inKindValue}}', description: 'Donor-stated value of donated books (e.g., "$120.00")' },
+        { placeholder: '{{monetaryAmount}}', description: 'Total monetary gifts (blank if none)' }
+      ],
+      sampleData: {
+        donorName: 'Jane Smith',
+        year: 2025,
+        donationCount: 3,
+        totalBooks: 60,
+        inKindValue: '$120.00',
+        monetaryAmount: '$50.00'
+      },
       isActive: true
     },
 
@@ -232,6 +439,11 @@ The TreeHouse Books Team`,
         { placeholder: '{{memberEmail}}', description: 'Email address of the member' },
         { placeholder: '{{joinDate}}', description: 'Date they became a member' }
       ],
+      sampleData: {
+        memberName: 'John Doe',
+        memberEmail: 'john.doe@example.com',
+        joinDate: 'March 4, 2025'
+      },
       isActive: false
     },
 
@@ -298,6 +510,11 @@ The TreeHouse Books Team`,
         { placeholder: '{{visitDate}}', description: 'Date of the visit' },
         { placeholder: '{{visitTime}}', description: 'Time of check-in' }
       ],
+      sampleData: {
+        visitorName: 'Alex Johnson',
+        visitDate: 'Tuesday, March 4, 2025',
+        visitTime: '2:30 PM'
+      },
       isActive: false
     },
 
@@ -336,7 +553,8 @@ The TreeHouse Books Team`,
         <ul>
           <li>Date: {{checkoutDate}}</li>
           <li>Number of Books: {{bookCount}}</li>
-          <li>Categories: {{categories}}</li>
+          {{#if genres}}<li>Categories: {{#each genres}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}</li>{{/if}}
+          {{#if weight}}<li>Weight: {{weight}} lbs</li>{{/if}}
         </ul>
       </div>
 
@@ -358,8 +576,9 @@ Here's a summary of your book checkout today.
 Checkout Details:
 - Date: {{checkoutDate}}
 - Number of Books: {{bookCount}}
-- Categories: {{categories}}
-
+{{#if genres}}- Categories: {{#each genres}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+{{/if}}{{#if weight}}- Weight: {{weight}} lbs
+{{/if}}
 Enjoy your reading! There are no due dates at TreeHouse Books - keep the books as long as you'd like, or return them when you're done so others can enjoy them too.
 
 Happy reading,
@@ -368,21 +587,269 @@ The TreeHouse Books Team`,
         { placeholder: '{{memberName}}', description: 'Name of the member checking out' },
         { placeholder: '{{bookCount}}', description: 'Total number of books checked out' },
         { placeholder: '{{checkoutDate}}', description: 'Date of the checkout' },
-        { placeholder: '{{categories}}', description: 'Book categories checked out' }
+        { placeholder: '{{categories}}', description: 'Book categories checked out, comma-separated' },
+        { placeholder: '{{#each genres}}{{this}}{{/each}}', description: 'Loop over the book categories one at a time' },
+        { placeholder: '{{weight}}', description: 'Total weight in lbs (blank if not recorded)' }
       ],
-      isActive: false
-    }
-  ];
+      sampleData: {
+        memberName: 'John',
+        bookCount: 5,
+        checkoutDate: 'March 4, 2025',
+        categories: "Fiction, Children's Books, Biography",
+        genres: ['Fiction', "Children's Books", 'Biography'],
+        weight: 4.5
+      },
+      isActive: true
+    },
 
-  for (const template of defaults) {
-    await this.findOneAndUpdate(
-      { templateKey: template.templateKey },
-      template,
-      { upsert: true, new: true }
-    );
-  }
+    // ─── PASSWORD RESET ─────────────────────────────────────────────────────────
+    {
+      templateKey: 'password_reset',
+      name: 'Password Reset',
+      description: 'Sent when a user (or an admin on their behalf) requests a password reset',
+      triggerEvent: 'When a password reset is requested',
+      subject: 'Password Reset Request - TreeHouse Books',
+      htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #2c5f2d;">Password Reset Request</h2>
+  <p>Hi {{firstName}},</p>
+  <p>You requested a password reset for your TreeHouse Books account.</p>
+  <p>Click the button below to reset your password:</p>
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="{{resetUrl}}"
+       style="background-color: #2c5f2d; color: white; padding: 12px 24px;
+              text-decoration: none; border-radius: 4px; display: inline-block;">
+      Reset Password
+    </a>
+  </div>
+  <p style="color: #666; font-size: 14px;">
+    Or copy and paste this link into your browser:<br>
+    <a href="{{resetUrl}}">{{resetUrl}}</a>
+  </p>
+  <p style="color: #666; font-size: 14px;">
+    <strong>This link expires in {{expiresIn}}.</strong>
+  </p>
+  <p style="color: #666; font-size: 14px;">
+    If you didn't request this reset, please ignore this email. Your password will remain unchanged.
+  </p>
+  <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+  <p style="color: #999; font-size: 12px; text-align: center;">
+    TreeHouse Books Dashboard<br>
+    This is an automated message, please do not reply.
+  </p>
+</div>`,
+      textBody: `Hi {{firstName}},
+
+You requested a password reset for your TreeHouse Books account.
+
+Click this link to reset your password:
+{{resetUrl}}
+
+This link expires in {{expiresIn}}.
+
+If you didn't request this reset, please ignore this email. Your password will remain unchanged.
+
+TreeHouse Books Dashboard`,
+      availablePlaceholders: [
+        { placeholder: '{{firstName}}', description: "User's first name" },
+        { placeholder: '{{resetUrl}}', description: 'Link to the reset page - must be included' },
+        { placeholder: '{{expiresIn}}', description: 'How long the link works (e.g., "1 hour")' }
+      ],
+      sampleData: {
+        firstName: 'Jane',
+        resetUrl: 'https://example.org/reset-password?token=sample-token',
+        expiresIn: '1 hour'
+      },
+      isActive: true
+    },
 
-  console.log('Email templates seeded successfully');
-};
+    // ─── ACCOUNT LOCKED ─────────────────────────────────────────────────────────
+    {
+      templateKey: 'account_locked',
+      name: 'Account Locked Alert',
+      description: 'Sent to a user when too many failed logins lock their account',
+      triggerEvent: 'When an account is locked after failed logins',
+      subject: 'Your TreeHouse Books account was locked',
+      htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #b02a37;">Your account was locked</h2>
+  <p>Hi {{firstName}},</p>
+  <p>
+    There were {{failedAttempts}} failed attempts to log in to your TreeHouse Books account,
+    so we've locked it until <strong>{{lockedUntil}}</strong>.
+  </p>
+  <p style="color: #666; font-size: 14px;">
+    Last attempt from IP address {{ipAddress}}{{#if userAgent}} ({{userAgent}}){{/if}}.
+  </p>
+  <p>
+    <strong>If this was you</strong>, wait until then and try again, or reset your password now to unlock it.
+    <strong>If it wasn't</strong>, someone may be guessing your password - please reset it.
+  </p>
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="{{resetUrl}}"
+       style="background-color: #2c5f2d; color: white; padding: 12px 24px;
+              text-decoration: none; border-radius: 4px; display: inline-block;">
+      Reset Password
+    </a>
+  </div>
+  <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+  <p style="color: #999; font-size: 12px; text-align: center;">
+    TreeHouse Books Dashboard<br>
+    This is an automated message, please do not reply.
+  </p>
+</div>`,
+      textBody: `Hi {{firstName}},
+
+There were {{failedAttempts}} failed attempts to log in to your TreeHouse Books account, so we've locked it until {{lockedUntil}}.
+
+Last attempt from IP address {{ipAddress}}{{#if userAgent}} ({{userAgent}}){{/if}}.
+
+If this was you, wait until then and try again, or reset your password now to unlock it. If it wasn't, someone may be guessing your password - please reset it:
+{{resetUrl}}
+
+TreeHouse Books Dashboard`,
+      availablePlaceholders: [
+        { placeholder: '{{firstName}}', description: "User's first name" },
+        { placeholder: '{{failedAttempts}}', description: 'Failed attempts in a row that caused the lock' },
+        { placeholder: '{{lockedUntil}}', description: 'When the lock ends (date and time)' },
+        { placeholder: '{{ipAddress}}', description: 'IP address of the last failed attempt' },
+        { placeholder: '{{userAgent}}', description: 'Browser of the last failed attempt' },
+        { placeholder: '{{resetUrl}}', description: 'Link to the forgot-password page' }
+      ],
+      sampleData: {
+        firstName: 'Jane',
+        failedAttempts: 5,
+        lockedUntil: 'March 4, 2025 at 3:45 PM',
+        ipAddress: '203.0.113.7',
+        userAgent: 'Chrome on Windows',
+        resetUrl: 'https://example.org/forgot-password'
+      },
+      isActive: true
+    },
+    {
+      templateKey: 'user_invite',
+      name: 'User Invite',
+      description: 'Sent when an admin invites someone to create a dashboard account',
+      triggerEvent: 'When an admin sends an invite from Manage Users',
+      subject: "You're invited to the TreeHouse Books dashboard",
+      htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #2c5f2d;">You're invited!</h2>
+  <p>Hello,</p>
+  <p>
+    {{invitedByName}} invited you to join the TreeHouse Books dashboard as a <strong>{{role}}</strong>.
+    Use the button below to set up your account.
+  </p>
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="{{inviteUrl}}"
+       style="background-color: #2c5f2d; color: white; padding: 12px 24px;
+              text-decoration: none; border-radius: 4px; display: inline-block;">
+      Create My Account
+    </a>
+  </div>
+  <p style="color: #666; font-size: 14px;">
+    The link works once and expires on {{expiresAt}}. If you weren't expecting this, you can ignore this email.
+  </p>
+  <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+  <p style="color: #999; font-size: 12px; text-align: center;">
+    TreeHouse Books Dashboard<br>
+    This is an automated message, please do not reply.
+  </p>
+</div>`,
+      textBody: `Hello,
+
+{{invitedByName}} invited you to join the TreeHouse Books dashboard as a {{role}}. Set up your account here:
+{{inviteUrl}}
+
+The link works once and expires on {{expiresAt}}. If you weren't expecting this, you can ignore this email.
+
+TreeHouse Books Dashboard`,
+      availablePlaceholders: [
+        { placeholder: '{{invitedByName}}', description: 'Name of the admin who sent the invite' },
+        { placeholder: '{{role}}', description: 'Role the new account will have' },
+        { placeholder: '{{inviteUrl}}', description: 'Single-use link to create the account' },
+        { placeholder: '{{expiresAt}}', description: 'When the link stops working (date)' }
+      ],
+      sampleData: {
+        invitedByName: 'Jane Smith',
+        role: 'staff',
+        inviteUrl: 'https://example.org/invite/sample',
+        expiresAt: 'March 11, 2025'
+      },
+      isActive: true
+    },
+
+    // ─── SCHEDULED GRANT REPORT ─────────────────────────────────────────────────
+    {
+      templateKey: 'scheduled_report',
+      name: 'Scheduled Grant Report',
+      description: 'A saved grant report\'s numbers, with the report attached as PDF, CSV or Excel',
+      triggerEvent: 'When a scheduled grant report is due, or staff click Send now',
+      subject: '{{reportName}}: {{periodLabel}}',
+      htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #2B7A78; margin-bottom: 4px;">{{reportName}}</h2>
+  <p style="color: #666; margin-top: 0;">{{periodLabel}}</p>
+  {{#if description}}<p>{{description}}</p>{{/if}}
+  <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+    {{#each metrics}}
+    <tr>
+      <td style="padding: 10px 8px; border-bottom: 1px solid #eee;">
+        {{label}}
+        {{#if note}}<br><span style="color: #999; font-size: 12px;">{{note}}</span>{{/if}}
+      </td>
+      <td style="padding: 10px 8px; border-bottom: 1px solid #eee; text-align: right; font-size: 20px; font-weight: bold; color: #2B7A78;">{{display}}</td>
+    </tr>
+    {{/each}}
+  </table>
+  {{#if attachmentNames}}<p style="color: #666; font-size: 14px;">Attached: {{attachmentNames}}</p>{{/if}}
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="{{reportUrl}}"
+       style="background-color: #2B7A78; color: white; padding: 12px 24px;
+              text-decoration: none; border-radius: 4px; display: inline-block;">
+      Open the Report
+    </a>
+  </div>
+  <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+  <p style="color: #999; font-size: 12px; text-align: center;">
+    TreeHouse Books Dashboard - {{scheduleLabel}}<br>
+    To change who gets this email, edit the report's schedule.
+  </p>
+</div>`,
+      textBody: `{{reportName}}
+{{periodLabel}}
+{{#if description}}
+{{description}}
+{{/if}}
+{{#each metrics}}- {{label}}: {{display}}
+{{/each}}
+{{#if attachmentNames}}Attached: {{attachmentNames}}
+{{/if}}
+Open the report: {{reportUrl}}
+
+TreeHouse Books Dashboard - {{scheduleLabel}}
+To change who gets this email, edit the report's schedule.`,
+      availablePlaceholders: [
+        { placeholder: '{{reportName}}', description: 'Name of the saved report' },
+        { placeholder: '{{description}}', description: 'The report\'s description (may be blank)' },
+        { placeholder: '{{periodLabel}}', description: 'Dates the report covers (e.g. "January 1, 2025 – March 31, 2025")' },
+        { placeholder: '{{#each metrics}}', description: 'Each metric: {{label}}, {{display}} (the formatted number) and {{note}}' },
+        { placeholder: '{{attachmentNames}}', description: 'File names of the attached report' },
+        { placeholder: '{{reportUrl}}', description: 'Link to the report in the dashboard' },
+        { placeholder: '{{scheduleLabel}}', description: 'How often it is sent (e.g. "Every Monday at 7:00 AM")' }
+      ],
+      sampleData: {
+        reportName: 'Literacy Fund - weekly update',
+        description: 'Numbers for the Literacy Fund grant',
+        periodLabel: 'March 3, 2025 – March 9, 2025',
+        metrics: [
+          { label: 'Books distributed', display: '1,204' },
+          { label: 'Unique children served', display: '312' },
+          { label: 'Black-author book share', display: '38.5%', note: '420 of 1,091 books with a recorded category.' }
+        ],
+        attachmentNames: 'literacy-fund-weekly-update-2025-03-03-to-2025-03-09.pdf',
+        reportUrl: 'https://example.org/grant-reports/sample',
+        scheduleLabel: 'Every Monday at 7:00 AM'
+      },
+      isActive: true
+    }
+  ];
+}
 
 module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
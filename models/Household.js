@@ -0,0 +1,108 @@
+// models/Household.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Household Model
+// Groups the adults and children who live together and owns their shared
+// address, ZIP code and phone. Members point at their household via
+// Member.household; guardianship (who may pick up which child) lives on the
+// child's Member.guardians list.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// ─── Guardian Relationship Types ─────────────────────────────────────────────
+const RELATIONSHIP_TYPES = ['parent', 'step_parent', 'grandparent', 'legal_guardian', 'foster_parent', 'sibling', 'other_relative', 'other'];
+
+// ─── Schema Definition ───────────────────────────────────────────────────────
+const HouseholdSchema = new Schema({
+  // Display name, e.g. "Rivera Household"
+  name: {
+    type: String,
+    required: [true, 'Household name is required'],
+    trim: true,
+    maxlength: [200, 'Household name cannot exceed 200 characters']
+  },
+
+  // Shared contact info - copied onto each member when it changes
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Address cannot exceed 500 characters']
+  },
+
+  zipCode: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        if (!v) return true; // Optional field
+        return /^\d{5}(-\d{4})?$/.test(v);
+      },
+      message: props => `${props.value} is not a valid ZIP code`
+    }
+  },
+
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone cannot exceed 20 characters']
+  },
+
+  // Main adult to contact for the household
+  primaryContact: {
+    type: Schema.Types.ObjectId,
+    ref: 'Member'
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+
+  // Metadata
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // ─── Audit & Soft Delete Fields ─────────────────────────────────────────────
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+HouseholdSchema.index({ name: 1 });
+HouseholdSchema.index({ isDeleted: 1 });
+
+// ─── Pre-save Hook ───────────────────────────────────────────────────────────
+HouseholdSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// ─── Static Properties ───────────────────────────────────────────────────────
+HouseholdSchema.statics.RELATIONSHIP_TYPES = RELATIONSHIP_TYPES;
+
+module.exports = mongoose.model('Household', HouseholdSchema);
@@ -7,7 +7,7 @@ const ImportHistorySchema = new Schema({
   // Import metadata
   importType: {
     type: String,
-    enum: ['members', 'checkouts', 'donations', 'programs', 'attendees', 'metrics'],
+    enum: ['members', 'checkouts', 'donations', 'programs', 'attendees', 'metrics', 'visits'],
     required: true
   },
 
@@ -24,12 +24,27 @@ const ImportHistorySchema = new Schema({
   // Original filename
   fileName: { type: String },
 
+  // The uploaded file, kept until the import finishes so the worker can run
+  // (or resume) it. Large, so it's only loaded when asked for
+  fileContent: { type: String, select: false },
+
+  // CSV import mode, and how rows were matched to existing records in the
+  // update modes (see services/dataImport.js)
+  mode: {
+    type: String,
+    enum: ['create', 'update', 'upsert'],
+    default: 'create'
+  },
+  matchKey: { type: String },
+
   // Import statistics
   stats: {
     totalRows: { type: Number, default: 0 },
     successful: { type: Number, default: 0 },
     failed: { type: Number, default: 0 },
-    skipped: { type: Number, default: 0 }
+    skipped: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 }
   },
 
   // Errors encountered
@@ -39,19 +54,28 @@ const ImportHistorySchema = new Schema({
     error: { type: String }
   }],
 
-  // Successfully imported record IDs (for rollback)
+  // Successfully imported record IDs (for rollback). Updated records keep
+  // the values they had before the import, by field
   importedRecords: [{
+    row: { type: Number },
     model: { type: String },
-    recordId: { type: Schema.Types.ObjectId }
+    recordId: { type: Schema.Types.ObjectId },
+    action: { type: String, enum: ['created', 'updated'], default: 'created' },
+    previous: { type: Schema.Types.Mixed }
   }],
 
-  // Import status
+  // pending → processing → completed → rolled_back
+  //                      ↘ failed / cancelled (what was imported can still be rolled back)
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'rolled_back'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'rolled_back'],
     default: 'pending'
   },
 
+  // Rows done so far; a resumed import carries on from here
+  processedRows: { type: Number, default: 0 },
+  lockedAt: { type: Date },   // Heartbeat from the worker while processing
+
   // Timestamps
   startedAt: { type: Date, default: Date.now },
   completedAt: { type: Date },
@@ -64,5 +88,6 @@ const ImportHistorySchema = new Schema({
 ImportHistorySchema.index({ importedBy: 1, startedAt: -1 });
 ImportHistorySchema.index({ importType: 1, status: 1 });
 ImportHistorySchema.index({ startedAt: -1 });
+ImportHistorySchema.index({ status: 1, startedAt: 1 });
 
 module.exports = mongoose.model('ImportHistory', ImportHistorySchema);
@@ -0,0 +1,60 @@
+// models/Invite.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// User Invites
+// Single-use links an admin sends from /admin/users so someone can create an
+// account with a preset role (see services/onboarding.js). Only a SHA-256 hash of
+// the token is stored - the link itself is emailed and shown to the admin once.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const InviteSchema = new Schema({
+  // Who the invite is for; the account is created with this address
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+
+  // Role key (see models/Role.js)
+  role: {
+    type: String,
+    required: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  expiresAt: { type: Date, required: true },
+
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Set once the link is used (or cancelled) so it can't be used again
+  usedAt: { type: Date, default: null },
+  usedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  revokedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+// Open invites on /admin/users
+InviteSchema.index({ usedAt: 1, revokedAt: 1, expiresAt: -1 });
+
+// ─── Instance Methods ────────────────────────────────────────────────────────
+
+/**
+ * Whether the link can still be used
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+InviteSchema.methods.isOpen = function(now = new Date()) {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Invite', InviteSchema);
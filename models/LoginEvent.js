@@ -0,0 +1,50 @@
+// models/LoginEvent.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Login Events
+// One row per login attempt, successful or not (services/loginSecurity.js).
+// Shown per user on /admin/users. Rows are removed after a year.
+//
+//   success        Logged in
+//   bad_password   Wrong password for a real account
+//   unknown_user   No account with that email (user is null)
+//   locked         Attempt while the account was locked (password not checked)
+//   bad_mfa_code   Right password, wrong two-step login code
+//   not_approved   Right password, but the account is pending or rejected
+//   sso_rejected   Google account outside our domain, unverified, or with
+//                  no dashboard account
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const OUTCOMES = ['success', 'bad_password', 'unknown_user', 'locked', 'bad_mfa_code', 'not_approved', 'sso_rejected'];
+
+const LoginEventSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+
+  // What was typed in the email box
+  email: { type: String, trim: true, lowercase: true },
+
+  outcome: { type: String, enum: OUTCOMES, required: true },
+
+  // Email + password, or Google sign-in
+  method: { type: String, enum: ['password', 'google'], default: 'password' },
+
+  // How the second step was passed ('totp' or 'recovery'), for successful MFA logins
+  mfaMethod: { type: String, enum: ['totp', 'recovery', null], default: null },
+
+  // This attempt locked the account
+  causedLockout: { type: Boolean, default: false },
+
+  ipAddress: String,
+  userAgent: { type: String, maxlength: 500 },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+LoginEventSchema.index({ user: 1, createdAt: -1 });
+LoginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+LoginEventSchema.statics.OUTCOMES = OUTCOMES;
+
+module.exports = mongoose.model('LoginEvent', LoginEventSchema);
@@ -1,6 +1,10 @@
 // models/Member.js
 const mongoose = require('mongoose');
 const Schema   = mongoose.Schema;
+const Household = require('./Household');
+
+// Where a member's email consent was last recorded
+const CONSENT_SOURCES = ['kiosk', 'signup', 'import', 'staff', 'unsubscribe'];
 
 const MemberSchema = new Schema({
   firstName:   { type: String, required: true },
@@ -27,6 +31,23 @@ const MemberSchema = new Schema({
   grade:       { type: String },
   school:      { type: String },
 
+  // ─── Household & Guardians ──────────────────────────────────────────────────
+  // Household this member lives in (owns the shared address/ZIP/phone)
+  household:   { type: Schema.Types.ObjectId, ref: 'Household' },
+
+  // For children: every adult responsible for them. `parent` above stays set
+  // to the primary guardian so older screens and reports keep working.
+  guardians: [{
+    _id: false,
+    member:       { type: Schema.Types.ObjectId, ref: 'Member', required: true },
+    relationship: {
+      type: String,
+      enum: Household.RELATIONSHIP_TYPES,
+      default: 'parent'
+    },
+    canPickup:    { type: Boolean, default: true }
+  }],
+
   // Emergency contact (if different from parent member)
   emergencyContact: {
     name:  { type: String },
@@ -34,6 +55,15 @@ const MemberSchema = new Schema({
     relationship: { type: String }
   },
 
+  // ─── Email Consent ──────────────────────────────────────────────────────────
+  // Campaigns only go to members who opted in to marketing email. Receipts,
+  // password resets and other transactional email don't need consent.
+  emailConsent: {
+    marketing: { type: Boolean, default: false },
+    updatedAt: { type: Date },
+    source:    { type: String, enum: CONSENT_SOURCES }
+  },
+
   // Medical/special needs notes
   notes:       { type: String },
 
@@ -43,6 +73,16 @@ const MemberSchema = new Schema({
   // Flag to prompt for email on next check-in (set when child becomes adult)
   needsEmailPrompt: { type: Boolean, default: false },
 
+  // ─── Little Green Light ─────────────────────────────────────────────────────
+  // Set by services/lglSync.js once this donor exists in LGL
+  lgl: {
+    constituentId: { type: String },
+    syncedAt:      { type: Date }
+  },
+
+  // ID from another system, set by data imports and used to match rows on re-import
+  externalId:  { type: String },
+
   // ─── Audit & Soft Delete Fields ─────────────────────────────────────────────
   // Track who last updated this record
   updatedBy:   { type: Schema.Types.ObjectId, ref: 'User' },
@@ -51,7 +91,12 @@ const MemberSchema = new Schema({
   // Soft delete fields (record is hidden but not permanently deleted)
   isDeleted:   { type: Boolean, default: false },
   deletedAt:   { type: Date },
-  deletedBy:   { type: Schema.Types.ObjectId, ref: 'User' }
+  deletedBy:   { type: Schema.Types.ObjectId, ref: 'User' },
+
+  // ─── Duplicate Merge Fields ─────────────────────────────────────────────────
+  // Set on the soft-deleted record when it was merged into another member
+  mergedInto:  { type: Schema.Types.ObjectId, ref: 'Member' },
+  mergedAt:    { type: Date }
 });
 
 // ─── Indexes ─────────────────────────────────────────────────────────────────
@@ -62,10 +107,16 @@ MemberSchema.index({ lastName: 1, firstName: 1 });
 MemberSchema.index({ joinedAt: -1 }); // -1 = descending (newest first)
 // Add index for parent lookups (find all children of a parent)
 MemberSchema.index({ parent: 1 });
+// Add index for household lookups (find all members of a household)
+MemberSchema.index({ household: 1 });
+// Add index for guardian lookups (find all children an adult is responsible for)
+MemberSchema.index({ 'guardians.member': 1 });
 // Add index for member type filtering
 MemberSchema.index({ memberType: 1 });
 // Add index for soft delete filtering
 MemberSchema.index({ isDeleted: 1 });
+// Add index for matching import rows by external ID
+MemberSchema.index({ externalId: 1 }, { sparse: true });
 // Add index for dateOfBirth (used for age-based filtering)
 MemberSchema.index({ dateOfBirth: 1 });
 // Compound index for efficient child age queries
@@ -88,6 +139,19 @@ MemberSchema.virtual('age').get(function() {
 MemberSchema.set('toJSON', { virtuals: true });
 MemberSchema.set('toObject', { virtuals: true });
 
+// ─── Static: Consent Record ──────────────────────────────────────────────────
+MemberSchema.statics.CONSENT_SOURCES = CONSENT_SOURCES;
+
+/**
+ * Value for emailConsent, stamped with the time and where it came from
+ * @param {boolean} marketing - Opted in to marketing email
+ * @param {string} source - One of CONSENT_SOURCES
+ * @returns {{marketing: boolean, updatedAt: Date, source: string}}
+ */
+MemberSchema.statics.buildConsent = function(marketing, source) {
+  return { marketing: Boolean(marketing), updatedAt: new Date(), source };
+};
+
 // ─── Static: Get date cutoff for age filter ─────────────────────────────────
 MemberSchema.statics.getDateCutoffForAge = function(maxAge) {
   const cutoff = new Date();
@@ -4,7 +4,7 @@ const { Schema } = mongoose;
 const notificationSchema = new Schema({
   title: String,
   body: String,
-  senderRole: { type: String, enum: ['admin', 'staff'], required: true },
+  senderRole: { type: String, enum: ['admin', 'staff', 'volunteer'], required: true },
   senderId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   targetRoles: [{
     type: String,
@@ -112,6 +112,12 @@ const OrganizationSchema = new Schema({
     default: true
   },
 
+  // Set by services/lglSync.js once this donor exists in Little Green Light
+  lgl: {
+    constituentId: { type: String },
+    syncedAt: { type: Date }
+  },
+
   // Metadata
   createdBy: {
     type: Schema.Types.ObjectId,
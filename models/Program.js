@@ -42,11 +42,17 @@ const ProgramSchema = new Schema({
   // Program status
   active: { type: Boolean, default: true },
 
+  // ID from another system, set by data imports and used to match rows on re-import
+  externalId: { type: String },
+
   // Timestamps
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Index for matching import rows by external ID
+ProgramSchema.index({ externalId: 1 }, { sparse: true });
+
 // Update timestamp on save
 ProgramSchema.pre('save', function(next) {
   this.updatedAt = new Date();
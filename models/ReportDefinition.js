@@ -0,0 +1,182 @@
+// models/ReportDefinition.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Grant Report Definition
+// A saved impact report for grant writers and funders: which metrics to show
+// and over which dates. Periods other than "custom" are relative (last
+// quarter, year to date...), so a saved report always covers the latest
+// period when it's run again. The numbers themselves are worked out by
+// services/grantReports.js each time the report is run - nothing is cached.
+// A report can also be emailed on a schedule (weekly, monthly, quarterly);
+// services/reportSchedules.js sends it and keeps each send as a
+// ReportDelivery.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// ─── Metrics ─────────────────────────────────────────────────────────────────
+// Order here is the order they appear in a report
+const METRICS = [
+  {
+    key: 'booksDistributed',
+    label: 'Books distributed',
+    description: 'Checkouts, book distributions, Traveling Tree House stops and Sidewalk Books'
+  },
+  {
+    key: 'childrenServed',
+    label: 'Unique children served',
+    description: 'Children who visited, checked out or were given books, or attended a program - each counted once'
+  },
+  {
+    key: 'blackAuthorShare',
+    label: 'Black-author book share',
+    description: 'Share of books by Black authors, from the categories recorded on checkouts and distributions'
+  },
+  {
+    key: 'zipCodesReached',
+    label: 'ZIP codes reached',
+    description: 'ZIP codes of Traveling Tree House stops, members served and organizations given books'
+  },
+  {
+    key: 'attendanceHours',
+    label: 'Program attendance hours',
+    description: 'Program attendance multiplied by each program\'s session length'
+  }
+];
+
+const METRIC_KEYS = METRICS.map(m => m.key);
+
+// ─── Periods ─────────────────────────────────────────────────────────────────
+const PERIODS = {
+  lastWeek: 'Last week',
+  lastMonth: 'Last month',
+  lastQuarter: 'Last quarter',
+  yearToDate: 'Year to date',
+  lastYear: 'Last calendar year',
+  last12Months: 'Last 12 months',
+  custom: 'Custom dates'
+};
+
+// ─── Email Schedule ──────────────────────────────────────────────────────────
+// Times are the server's local time. Quarterly reports go out in January,
+// April, July and October.
+const FREQUENCIES = {
+  none: 'Not scheduled',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  quarterly: 'Quarterly'
+};
+
+const ATTACHMENT_FORMATS = {
+  pdf: 'PDF',
+  csv: 'CSV',
+  xlsx: 'Excel'
+};
+
+const ScheduleSchema = new Schema({
+  frequency: {
+    type: String,
+    enum: { values: Object.keys(FREQUENCIES), message: '{VALUE} is not a valid schedule' },
+    default: 'none'
+  },
+  dayOfWeek:  { type: Number, min: 0, max: 6, default: 1 },   // Weekly: 0 = Sunday
+  dayOfMonth: {                                               // Monthly and quarterly
+    type: Number,
+    default: 1,
+    min: [1, 'Choose a day of the month from 1 to 28'],
+    max: [28, 'Choose a day of the month from 1 to 28']
+  },
+  hour:       { type: Number, min: 0, max: 23, default: 7 },
+
+  // Also who "Send now" emails
+  recipients: [{ type: String, trim: true, lowercase: true }],
+  attachments: {
+    type: [{ type: String, enum: { values: Object.keys(ATTACHMENT_FORMATS), message: '{VALUE} is not an attachment format' } }],
+    default: () => ['pdf']
+  },
+
+  nextRunAt: { type: Date },   // Set from the fields above whenever they change
+  lastRunAt: { type: Date }
+}, { _id: false });
+
+// ─── Schema Definition ───────────────────────────────────────────────────────
+const ReportDefinitionSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Report name is required'],
+    trim: true,
+    maxlength: [200, 'Report name cannot exceed 200 characters']
+  },
+
+  // e.g. the funder or grant it's for
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  period: {
+    type: String,
+    enum: { values: Object.keys(PERIODS), message: '{VALUE} is not a valid report period' },
+    default: 'lastQuarter'
+  },
+
+  // Only used when period is "custom" (both days included)
+  startDate: { type: Date },
+  endDate:   { type: Date },
+
+  metrics: {
+    type: [{ type: String, enum: { values: METRIC_KEYS, message: '{VALUE} is not a report metric' } }],
+    validate: {
+      validator: metrics => metrics.length > 0,
+      message: 'Choose at least one metric'
+    }
+  },
+
+  // Session length for programs without a schedule, for attendance hours
+  hoursPerSession: {
+    type: Number,
+    default: 1,
+    min: [0.25, 'Session length must be at least a quarter hour'],
+    max: [12, 'Session length cannot exceed 12 hours']
+  },
+
+  schedule: { type: ScheduleSchema, default: () => ({}) },
+
+  // ─── Audit & Soft Delete Fields ─────────────────────────────────────────────
+  createdBy:  { type: Schema.Types.ObjectId, ref: 'User' },
+  updatedBy:  { type: Schema.Types.ObjectId, ref: 'User' },
+  isDeleted:  { type: Boolean, default: false },
+  deletedAt:  { type: Date },
+  deletedBy:  { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+ReportDefinitionSchema.path('period').validate(function(period) {
+  if (period !== 'custom') return true;
+  return Boolean(this.startDate && this.endDate);
+}, 'Custom reports need a start and end date');
+
+ReportDefinitionSchema.path('endDate').validate(function(endDate) {
+  if (!endDate || !this.startDate) return true;
+  return this.startDate <= endDate;
+}, 'The start date cannot be after the end date');
+
+ReportDefinitionSchema.path('schedule').validate(function(schedule) {
+  if (!schedule || schedule.frequency === 'none') return true;
+  return schedule.recipients.length > 0;
+}, 'Add at least one email address to send the report to');
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+ReportDefinitionSchema.index({ isDeleted: 1, name: 1 });
+ReportDefinitionSchema.index({ 'schedule.frequency': 1, 'schedule.nextRunAt': 1 });
+
+ReportDefinitionSchema.statics.METRICS = METRICS;
+ReportDefinitionSchema.statics.METRIC_KEYS = METRIC_KEYS;
+ReportDefinitionSchema.statics.PERIODS = PERIODS;
+ReportDefinitionSchema.statics.FREQUENCIES = FREQUENCIES;
+ReportDefinitionSchema.statics.ATTACHMENT_FORMATS = ATTACHMENT_FORMATS;
+
+module.exports = mongoose.model('ReportDefinition', ReportDefinitionSchema);
@@ -0,0 +1,60 @@
+// models/ReportDelivery.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Grant Report Delivery
+// One emailing of a saved grant report - on the report's schedule, or from
+// the "Send now" button. Deliveries are queued here and sent by the worker in
+// services/reportSchedules.js. Each recipient's result is kept on the
+// delivery, so these documents are the report's delivery history.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RecipientSchema = new Schema({
+  email:  { type: String, required: true },
+  status: { type: String, enum: ['pending', 'sent', 'failed', 'skipped'], default: 'pending' },
+  error:  { type: String },
+  sentAt: { type: Date }
+}, { _id: false });
+
+// ─── Schema Definition ───────────────────────────────────────────────────────
+const ReportDeliverySchema = new Schema({
+  reportDefinition: { type: Schema.Types.ObjectId, ref: 'ReportDefinition', required: true },
+
+  trigger: { type: String, enum: ['schedule', 'manual'], default: 'schedule' },
+
+  // The schedule slot this delivery is for - one delivery per slot, even if
+  // the server restarts while queueing it. Not set for "Send now".
+  scheduledFor: { type: Date },
+
+  // queued → sending → sent
+  //                  ↘ partial (some addresses failed) / failed
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'partial', 'failed'],
+    default: 'queued'
+  },
+
+  recipients:  [RecipientSchema],
+  attachments: [{ type: String }],   // pdf, csv, xlsx
+  periodLabel: { type: String },     // Filled in when the report is run
+
+  lockedAt:    { type: Date },       // Heartbeat from the worker while sending
+  startedAt:   { type: Date },
+  completedAt: { type: Date },
+  lastError:   { type: String },
+
+  requestedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+ReportDeliverySchema.index({ status: 1, createdAt: 1 });
+ReportDeliverySchema.index({ reportDefinition: 1, createdAt: -1 });
+ReportDeliverySchema.index(
+  { reportDefinition: 1, scheduledFor: 1 },
+  { unique: true, partialFilterExpression: { scheduledFor: { $exists: true } } }
+);
+
+module.exports = mongoose.model('ReportDelivery', ReportDeliverySchema);
@@ -0,0 +1,50 @@
+// models/Role.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Roles
+// Which permissions (config/permissions.js) each role has. User.role holds a
+// role key.
+//
+// The three built-in roles (volunteer, staff, admin) only get a document once
+// an admin edits them on /admin/roles; until then the defaults in
+// config/permissions.js apply. Custom roles ("Program Lead", "Board Member -
+// read only") are always stored here and name a built-in baseRole, which
+// decides their dashboard, announcements and two-step login requirement.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { BUILT_IN_ROLES, PERMISSION_KEYS } = require('../config/permissions');
+
+const RoleSchema = new Schema({
+  // Stored in User.role, e.g. 'program_lead'
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Role key must be 2-40 lowercase letters, numbers or underscores']
+  },
+
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  description: { type: String, trim: true, maxlength: 200, default: '' },
+
+  baseRole: {
+    type: String,
+    enum: Object.keys(BUILT_IN_ROLES),
+    required: true
+  },
+
+  permissions: {
+    type: [{ type: String, enum: PERMISSION_KEYS }],
+    default: []
+  },
+
+  builtIn: { type: Boolean, default: false },
+
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,73 @@
+// models/SecuritySettings.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Security Settings
+// App-wide security options admins change at /admin/security. There is one
+// document, with _id "security"; getSettings() fills in defaults until an admin
+// saves the page for the first time.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Roles that can use two-step login
+const MFA_ROLES = ['staff', 'admin'];
+
+const SETTINGS_ID = 'security';
+
+const DEFAULTS = {
+  requireMfaForRoles: [],
+  lockoutThreshold: 5,
+  lockoutMinutes: 15,
+  sessionIdleMinutes: 0
+};
+
+const SecuritySettingsSchema = new Schema({
+  _id: { type: String, default: SETTINGS_ID },
+
+  // Roles that must set up two-step login before they can use the app
+  requireMfaForRoles: {
+    type: [{ type: String, enum: MFA_ROLES }],
+    default: []
+  },
+
+  // Failed logins in a row that lock an account
+  lockoutThreshold: { type: Number, default: DEFAULTS.lockoutThreshold, min: 3, max: 20 },
+
+  // Length of the first lockout; each further lockout doubles it (up to a day)
+  lockoutMinutes: { type: Number, default: DEFAULTS.lockoutMinutes, min: 1, max: 240 },
+
+  // Log out a browser nobody has used for this long (0 = only after 14 days)
+  sessionIdleMinutes: { type: Number, default: DEFAULTS.sessionIdleMinutes, min: 0, max: 10080 },
+
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// ─── Static Methods ──────────────────────────────────────────────────────────
+SecuritySettingsSchema.statics.MFA_ROLES = MFA_ROLES;
+
+/**
+ * Current settings, with defaults if none were saved yet
+ * @returns {Promise<Object>}
+ */
+SecuritySettingsSchema.statics.getSettings = async function() {
+  const settings = await this.findById(SETTINGS_ID).lean();
+  return { _id: SETTINGS_ID, ...DEFAULTS, ...settings };
+};
+
+/**
+ * Save settings
+ * @param {Object} changes - Fields to set
+ * @param {ObjectId} userId - Admin saving them
+ * @returns {Promise<Object>} The saved settings
+ */
+SecuritySettingsSchema.statics.updateSettings = function(changes, userId) {
+  return this.findByIdAndUpdate(
+    SETTINGS_ID,
+    { $set: { ...changes, updatedBy: userId } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('SecuritySettings', SecuritySettingsSchema);
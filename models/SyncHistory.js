@@ -0,0 +1,68 @@
+// models/SyncHistory.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Track every push to an outside system, like ImportHistory does for imports
+const SyncHistorySchema = new Schema({
+  // Where the records went
+  target: {
+    type: String,
+    enum: ['lgl'],
+    required: true
+  },
+
+  // Who ran the sync
+  runBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // A dry run works out what would be sent without sending it
+  dryRun: { type: Boolean, default: false },
+
+  // Donation date range that was synced (to is exclusive)
+  options: {
+    from: { type: Date },
+    to: { type: Date }
+  },
+
+  // Sync statistics (one row per donation)
+  stats: {
+    totalRows: { type: Number, default: 0 },
+    successful: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    constituentsCreated: { type: Number, default: 0 },
+    giftsCreated: { type: Number, default: 0 }
+  },
+
+  // Errors encountered ("errors" is reserved on Mongoose documents)
+  rowErrors: [{
+    row: { type: Number },
+    model: { type: String },
+    recordId: { type: Schema.Types.ObjectId },
+    error: { type: String }
+  }],
+
+  // Everything sent (or, for a dry run, that would have been sent)
+  pushedRecords: [{
+    row: { type: Number },
+    model: { type: String },
+    recordId: { type: Schema.Types.ObjectId },
+    externalId: { type: String },
+    payload: { type: Schema.Types.Mixed }
+  }],
+
+  // Sync status
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+
+  // Timestamps
+  startedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date }
+});
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+SyncHistorySchema.index({ target: 1, startedAt: -1 });
+
+module.exports = mongoose.model('SyncHistory', SyncHistorySchema);
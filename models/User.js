@@ -26,12 +26,34 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Role key - a built-in role or a custom one from the Role collection
   role: {
     type: String,
-    enum: ['volunteer', 'staff', 'admin'],
     default: 'volunteer'
   },
 
+  // ─── Access Approval ────────────────────────────────────────────────────────
+  // People who ask for access at /custom-signup start as 'pending' and can't
+  // log in until an admin approves them on /admin/users; accounts made from an
+  // invite link start 'active'. 'rejected' accounts can never log in.
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'rejected'],
+    default: 'active'
+  },
+  // Why they want access (from the request form)
+  accessRequestNote: { type: String, default: '' },
+  // Admin who approved/rejected the request, or who sent the invite
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: { type: Date, default: null },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  // ─── Google Sign-In ─────────────────────────────────────────────────────────
+  // Google account ID, linked the first time the user signs in with Google
+  // (services/googleAuth.js). Left unset - not null - for everyone else, so
+  // the sparse unique index skips them.
+  googleId: { type: String, unique: true, sparse: true },
+
   // ─── Password Recovery Fields ───────────────────────────────────────────────
   // When a user requests password reset, we generate a random token and store it here.
   // The token is sent via email in a reset link: /reset-password?token=xyz123
@@ -45,6 +67,36 @@ const UserSchema = new mongoose.Schema({
     default: null
   },
 
+  // ─── Failed Login Lockout ───────────────────────────────────────────────────
+  // Failed attempts in a row; reset by a successful login. Reaching the limit
+  // in /admin/security locks the account until lockedUntil, for longer each
+  // time (lockoutCount) until the user logs in successfully.
+  // See services/loginSecurity.js.
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockoutCount: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  lastLoginAt: { type: Date, default: null },
+
+  // ─── Sessions ───────────────────────────────────────────────────────────────
+  // Set whenever the password changes. Sessions that started before it are
+  // signed out on their next request (see services/sessions.js).
+  passwordChangedAt: { type: Date, default: null },
+
+  // ─── Two-Step Login (MFA) ───────────────────────────────────────────────────
+  // Authenticator app codes for staff and admin (see services/mfa.js).
+  // Secrets are encrypted; recovery codes are stored as SHA-256 hashes and
+  // removed once used.
+  mfa: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    // Set while the user is scanning the QR code, until they confirm a code
+    pendingSecret: { type: String, default: null },
+    recoveryCodes: { type: [String], default: [] },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: { type: Number, default: null },
+    enabledAt: { type: Date, default: null }
+  },
+
   createdAt: {
     type: Date,
     default: Date.now
@@ -55,6 +107,8 @@ const UserSchema = new mongoose.Schema({
 // Email is already unique (which creates an index automatically)
 // Add index for password reset token lookups
 UserSchema.index({ resetToken: 1 }, { sparse: true }); // sparse: only index docs with resetToken
+// Pending access requests on /admin/users
+UserSchema.index({ status: 1, createdAt: -1 });
 
 // ─── Instance Methods ────────────────────────────────────────────────────────
 
@@ -72,6 +126,9 @@ UserSchema.pre('save', async function(next) {
   // Only hash password if it's new or has been modified
   if (!this.isModified('password')) return next();
 
+  // Existing sessions end once the password changes
+  if (!this.isNew) this.passwordChangedAt = new Date();
+
   try {
     // Generate salt and hash password (10 rounds is standard for bcrypt)
     const salt = await bcrypt.genSalt(10);
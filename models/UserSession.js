@@ -0,0 +1,48 @@
+// models/UserSession.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// User Sessions
+// One row per logged-in browser, next to the express-session data in the
+// `sessions` collection (which can't be searched by user). Lets admins see
+// where someone is signed in on /admin/users and sign them out
+// (services/sessions.js). Rows are removed 30 days after they were last used.
+//
+// endReason:
+//   logout          The user logged out
+//   signed_out      An admin (or the user) used "Sign out"
+//   idle            Nothing happened for longer than the idle timeout
+//   password_changed  The password changed after this session started
+//   account_closed  The account was deleted, rejected or is no longer active
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const END_REASONS = ['logout', 'signed_out', 'idle', 'password_changed', 'account_closed'];
+
+const UserSessionSchema = new Schema({
+  // express-session ID (req.sessionID). Never shown on a page.
+  sessionId: { type: String, required: true, unique: true },
+
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Email + password, or Google sign-in
+  method: { type: String, enum: ['password', 'google'], default: 'password' },
+
+  ipAddress: String,
+  userAgent: { type: String, maxlength: 500 },
+
+  createdAt: { type: Date, default: Date.now },
+  // Updated at most once a minute
+  lastSeenAt: { type: Date, default: Date.now },
+
+  endedAt: { type: Date, default: null },
+  endReason: { type: String, enum: [...END_REASONS, null], default: null },
+  endedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+UserSessionSchema.index({ user: 1, endedAt: 1, lastSeenAt: -1 });
+UserSessionSchema.index({ lastSeenAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+UserSessionSchema.statics.END_REASONS = END_REASONS;
+
+module.exports = mongoose.model('UserSession', UserSessionSchema);
@@ -0,0 +1,58 @@
+// models/WebhookDelivery.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Webhook Deliveries
+// One document per event per subscription - the delivery log on
+// /admin/webhooks. The worker in services/webhooks.js works through them like
+// the email queue does: a failed POST is retried with exponential backoff, and
+// after maxAttempts the delivery is "dead" until an admin redelivers it.
+//
+// `payload` is exactly what's sent, so a redelivery (a new document with
+// redeliveryOf set) sends the same event again, with the same eventId for the
+// receiver to spot duplicates. Deliveries are removed after 90 days.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RETENTION_DAYS = 90;
+
+const WebhookDeliverySchema = new Schema({
+  subscription: { type: Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+
+  // 'ping' is the "Send test" button; everything else is from EVENTS
+  event: { type: String, required: true },
+  eventId: { type: String, required: true },
+
+  payload: { type: Schema.Types.Mixed, required: true },
+
+  // pending → processing → delivered
+  //                     ↘ pending (retry scheduled) … → dead
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'delivered', 'dead'],
+    default: 'pending'
+  },
+
+  attempts:      { type: Number, default: 0 },
+  maxAttempts:   { type: Number, default: 8 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt:      { type: Date },   // When a worker claimed it
+
+  // Last attempt
+  responseStatus: { type: Number },
+  responseBody:   { type: String },  // First 1,000 characters
+  durationMs:     { type: Number },
+  lastError:      { type: String },
+
+  deliveredAt: { type: Date },
+
+  redeliveryOf: { type: Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+  redeliveredBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
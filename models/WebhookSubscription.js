@@ -0,0 +1,80 @@
+// models/WebhookSubscription.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Webhook Subscriptions
+// An outside system (newsletter tool, CRM) that wants to hear about new
+// records. Admins set them up on /admin/webhooks; services/webhooks.js sends
+// each subscribed event as a signed JSON POST to `url`.
+//
+// `secret` signs every delivery (X-TreeHouse-Signature). It's needed to sign,
+// so unlike API tokens it's stored as-is - it's only shown when it's made or
+// rotated.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Events a subscription can pick. Each is sent when auditLogger.logCreate()
+// records a new record of `model`. Only `fields` go to the outside system -
+// anything added to a model stays private until it's listed here.
+// `addressFields` are sent only to subscriptions with includeAddresses on.
+const EVENTS = {
+  'member.created': {
+    model: 'Member',
+    label: 'New member',
+    fields: ['_id', 'firstName', 'lastName', 'email', 'zipCode', 'memberType', 'emailConsent', 'joinedAt'],
+    addressFields: ['address']
+  },
+  'donation.created': {
+    model: 'Donation',
+    label: 'Donation recorded',
+    fields: [
+      '_id', 'donationType', 'donorType', 'donorName', 'member', 'organization', 'numberOfBooks',
+      'valuePerBook', 'totalValue', 'monetaryAmount', 'isBookDrive', 'bookDriveName', 'donatedAt', 'receiptNumber'
+    ]
+  },
+  'visit.created': {
+    model: 'Visit',
+    label: 'Visitor checked in',
+    fields: ['_id', 'member', 'visitDate', 'purpose']
+  },
+  'travelingStop.created': {
+    model: 'TravelingStop',
+    label: 'Traveling Tree House stop recorded',
+    fields: [
+      '_id', 'organization', 'date', 'stopName', 'stopType', 'stopAddress', 'stopZipCode', 'booksDistributed',
+      'contactMethod', 'howHeardAboutUs', 'didWeReadToThem', 'daycareSettings', 'branchSettings',
+      'communityEventSettings', 'notes', 'createdAt'
+    ]
+  }
+};
+
+const WebhookSubscriptionSchema = new Schema({
+  // Who's listening, e.g. "Newsletter tool"
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+
+  url: { type: String, required: true, trim: true },
+
+  secret: { type: String, required: true },
+
+  events: {
+    type: [{ type: String, enum: Object.keys(EVENTS) }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Pick at least one event'
+    }
+  },
+
+  // Paused subscriptions get nothing (events aren't saved up for later)
+  active: { type: Boolean, default: true },
+
+  // Member home addresses are left out unless this is on
+  includeAddresses: { type: Boolean, default: false },
+
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+WebhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+WebhookSubscriptionSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
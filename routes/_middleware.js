@@ -1,5 +1,11 @@
+const { PERMISSION_KEYS } = require('../config/permissions');
+const permissions = require('../services/permissions');
+const sessions = require('../services/sessions');
+const apiTokens = require('../services/apiTokens');
+const { exportFormat } = require('../services/exports');
+
 /**
- * Any authenticated user allowed (volunteer, staff, admin).
+ * Any authenticated user allowed.
  */
 function ensureAuthenticated(req, res, next) {
   if (req.session?.user) return next();
@@ -7,30 +13,126 @@ function ensureAuthenticated(req, res, next) {
 }
 
 /**
- * Volunteer, staff, or admin allowed.
+ * Middleware: Keep a logged-in session up to date (services/sessions.js).
+ * Refreshes the role in req.session.user, and logs the browser out if the
+ * session was signed out, timed out, or outlived a password change.
+ * Mounted once in server.js, before loadPermissions.
  */
-function ensureVolunteerOrHigher(req, res, next) {
-  const role = req.session.user?.role;
-  if (role === 'volunteer' || role === 'staff' || role === 'admin') return next();
-  return res.status(403).send('Forbidden');
+async function checkSession(req, res, next) {
+  if (!req.session?.user) return next();
+
+  try {
+    const { ended, reason } = await sessions.check(req);
+    if (!ended) return next();
+
+    const message = sessions.END_MESSAGES[reason];
+    req.session.destroy(() => {
+      if (req.originalUrl.startsWith('/api/')) {
+        return res.status(401).json({ error: message });
+      }
+      res.redirect(`/custom-login?error=${encodeURIComponent(message)}`);
+    });
+  } catch (err) {
+    next(err);
+  }
 }
 
 /**
- * Only staff or admin allowed.
+ * Middleware: Work out what the logged-in user's role can do.
+ * Sets req.access ({ role, name, baseRole, permissions }) and the can()
+ * helper views use to show or hide buttons: <% if (can('members.edit')) { %>
+ * Mounted once in server.js; requirePermission() loads it itself if needed.
  */
-function ensureStaffOrAdmin(req, res, next) {
-  const role = req.session.user?.role;
-  if (role === 'staff' || role === 'admin') return next();
-  return res.status(403).send('Forbidden');
+async function loadPermissions(req, res, next) {
+  try {
+    req.access = req.session?.user
+      ? await permissions.getAccess(req.session.user.role)
+      : { role: null, name: null, baseRole: null, permissions: new Set() };
+    res.locals.can = key => req.access.permissions.has(key);
+    res.locals.access = req.access;
+    next();
+  } catch (err) {
+    next(err);
+  }
 }
 
 /**
- * Only admin allowed.
+ * Middleware: API token authentication for /api/v1 (services/apiTokens.js).
+ * Reads "Authorization: Bearer <token>" and replaces req.access with what
+ * the token can read, so requirePermission() works the same as for
+ * logged-in users. Session cookies aren't accepted - a token is required.
  */
-function ensureAdmin(req, res, next) {
-  const role = req.session.user?.role;
-  if (role === 'admin') return next();
-  return res.status(403).send('Forbidden');
+async function authenticateApiToken(req, res, next) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'An API token is required (Authorization: Bearer <token>)' });
+  }
+
+  try {
+    const result = await apiTokens.authenticate(token.trim(), req);
+    if (!result) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'This API token is invalid, expired or revoked' });
+    }
+
+    req.apiToken = result.record;
+    req.access = result.access;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Middleware factory: Only users whose role has every listed permission.
+ * Anyone else gets a 403 (JSON for /api/ requests).
+ *
+ * @param {...String} keys - Permissions from config/permissions.js
+ * @returns {Function} Express middleware
+ * @example router.post('/members/:id/delete', requirePermission('members.delete'), ...)
+ */
+function requirePermission(...keys) {
+  const unknown = keys.filter(key => !PERMISSION_KEYS.includes(key));
+  if (keys.length === 0 || unknown.length > 0) {
+    // Caught at startup, not on the first request
+    throw new Error(`requirePermission: unknown permission ${unknown.join(', ') || '(none given)'}`);
+  }
+
+  async function checkPermission(req, res, next) {
+    try {
+      if (!req.access) {
+        await new Promise((resolve, reject) => loadPermissions(req, res, err => (err ? reject(err) : resolve())));
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    if (keys.every(key => req.access.permissions.has(key))) {
+      return next();
+    }
+
+    if (req.originalUrl.startsWith('/api/')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    return res.status(403).send('Forbidden');
+  }
+
+  // Read by the API reference (utils/openapi.js)
+  checkPermission.permissions = keys;
+  return checkPermission;
+}
+
+/**
+ * Middleware: List pages that download themselves with ?format=csv|xlsx|json
+ * (services/exports.js). Showing the page needs only the route's own
+ * permission; exporting it needs reports.export as well.
+ */
+const checkExportPermission = requirePermission('reports.export');
+
+function requireExportPermission(req, res, next) {
+  if (!exportFormat(req.query.format)) return next();
+  return checkExportPermission(req, res, next);
 }
 
 /**
@@ -92,8 +194,9 @@ function isRouteAllowedInFrontDesk(path) {
 
     // Prefix match for nested routes (e.g., /members/123 matches /members)
     if (normalizedPath.startsWith(allowed + '/')) {
-      // Special case: block edit/delete routes in front desk mode
-      if (normalizedPath.includes('/edit') || normalizedPath.includes('/delete')) {
+      // Special case: block edit/delete/merge routes in front desk mode
+      if (normalizedPath.includes('/edit') || normalizedPath.includes('/delete') ||
+          normalizedPath.includes('/merge') || normalizedPath.includes('/duplicates')) {
         return false;
       }
       return true;
@@ -123,11 +226,37 @@ function ensureFrontDeskAllowed(req, res, next) {
   return res.redirect('/dashboard');
 }
 
+/**
+ * Routes a user who still has to set up two-step login can use
+ */
+const MFA_SETUP_ALLOWED_ROUTES = ['/account/mfa', '/logout', '/css', '/js', '/images', '/healthz', '/favicon.ico'];
+
+/**
+ * Middleware: Keep users who must set up two-step login on the setup page.
+ * req.session.user.mfaSetupRequired is set at login (routes/login.js) and
+ * cleared once enrollment is finished.
+ */
+function ensureMfaEnrolled(req, res, next) {
+  if (!req.session?.user?.mfaSetupRequired) {
+    return next();
+  }
+
+  const path = req.path.replace(/\/$/, '') || '/';
+  if (MFA_SETUP_ALLOWED_ROUTES.some(allowed => path === allowed || path.startsWith(allowed + '/'))) {
+    return next();
+  }
+
+  return res.redirect('/account/mfa');
+}
+
 module.exports = {
   ensureAuthenticated,
-  ensureVolunteerOrHigher,
-  ensureStaffOrAdmin,
-  ensureAdmin,
+  checkSession,
+  loadPermissions,
+  authenticateApiToken,
+  requirePermission,
+  requireExportPermission,
   ensureFrontDeskAllowed,
+  ensureMfaEnrolled,
   FRONT_DESK_ALLOWED_ROUTES
 };
\ No newline at end of file
@@ -1,125 +1,341 @@
 /**
- * ROUTE MAP - Complete list of all routes in the application
- * This file is for reference and debugging only
- * Last updated: 2025-10-17
+ * ROUTE MAP - every route in the application, grouped and described
+ *
+ * This is where the API reference (/api/docs) gets its groups and summaries;
+ * the rest - parameters, request bodies, permissions - is read from the
+ * routers and their express-validator chains (utils/openapi.js).
+ *
+ * __tests__/routes/routeMap.test.js fails when a mounted route is missing
+ * here, or a route listed here isn't mounted. When you add a route, add a
+ * line to its group: 'METHOD /path/:param': 'What it does'.
  */
 
 module.exports = {
   // Authentication & Login
-  auth: [
-    'GET  /login',
-    'GET  /signup',
-    'POST /signup',
-    'GET  /logout'
-  ],
+  'Authentication': {
+    'GET /custom-login': 'Login page',
+    'POST /login': 'Log in with email and password',
+    'GET /login/mfa': 'Second login step: ask for an authenticator or recovery code',
+    'POST /login/mfa': 'Check the two-step code and finish logging in',
+    'GET /auth/google': 'Start Google sign-in (organization accounts only)',
+    'GET /auth/google/callback': 'Finish Google sign-in',
+    'GET /logout': 'Log out',
+    'GET /custom-signup': 'Access request form',
+    'POST /register': 'Request access (waits for admin approval)',
+    'GET /invite/:token': 'Sign-up form for an invite link',
+    'POST /invite/:token': 'Create the invited account',
+    'GET /forgot-password': 'Forgot password form',
+    'POST /forgot-password': 'Email a password reset link',
+    'GET /reset-password': 'Password reset form (from the emailed link)',
+    'POST /reset-password': 'Set a new password'
+  },
+
+  // Your Account
+  'Account': {
+    'GET /account/mfa': 'Two-step login settings',
+    'POST /account/mfa/setup': 'Start setting up an authenticator app',
+    'POST /account/mfa/enable': 'Confirm the first code and turn on two-step login',
+    'POST /account/mfa/recovery-codes': 'Make new recovery codes',
+    'POST /account/mfa/disable': 'Turn off two-step login',
+    'GET /account/api-tokens': 'Your personal API tokens',
+    'POST /account/api-tokens': 'Create a personal API token',
+    'POST /account/api-tokens/:id/revoke': 'Revoke one of your API tokens'
+  },
 
   // Dashboard & Main
-  dashboard: [
-    'GET  /',
-    'GET  /dashboard'
-  ],
+  'Dashboard': {
+    'GET /': 'Home page',
+    'GET /dashboard': 'Dashboard',
+    'POST /front-desk/enter': 'Switch this browser to front desk mode',
+    'GET /front-desk/exit': 'Confirm leaving front desk mode',
+    'POST /front-desk/exit': 'Leave front desk mode (password required)',
+    'GET /api/dashboard/preferences': 'Your dashboard layout (JSON)',
+    'POST /api/dashboard/preferences/widget-visibility': 'Show or hide a dashboard widget (JSON)',
+    'POST /api/dashboard/preferences/widget-order': 'Reorder dashboard widgets (JSON)',
+    'POST /api/dashboard/preferences/chart-type': 'Change a widget\'s chart type (JSON)',
+    'POST /api/dashboard/preferences/reset': 'Reset your dashboard layout (JSON)',
+    'POST /notifications': 'Post an announcement',
+    'POST /notifications/:id/acknowledge': 'Dismiss an announcement',
+    'POST /messages': 'Send a staff message'
+  },
 
   // Members Management
-  members: [
-    'GET  /members',
-    'GET  /members/new',
-    'POST /members/create',
-    'GET  /members/:id',
-    'GET  /members/search'
-  ],
-
-  // Programs Management
-  programs: [
-    'GET  /programs',
-    'GET  /programs/new',
-    'POST /programs/create',
-    'GET  /programs/:id'
-  ],
-
-  // Attendees Management
-  attendees: [
-    'GET  /attendees',
-    'GET  /attendees/new/:programId',
-    'POST /attendees/create',
-    'GET  /attendees/:id'
-  ],
-
-  // Attendance Tracking
-  attendance: [
-    'GET  /attendance',
-    'GET  /attendance/form',
-    'POST /attendance/record'
-  ],
+  'Members': {
+    'GET /members': 'List members',
+    'GET /members/new': 'New member form',
+    'POST /members': 'Create a member',
+    'GET /members/search': 'Search members (JSON)',
+    'GET /api/members/search': 'Search members for autocomplete (JSON)',
+    'GET /members/duplicates': 'Likely duplicate members',
+    'GET /members/merge': 'Compare two members before merging',
+    'POST /members/merge': 'Merge one member into another',
+    'POST /members/merge/:logId/undo': 'Undo a merge',
+    'GET /members/:id': 'Member details and history',
+    'GET /members/:id/edit': 'Edit member form',
+    'POST /members/:id': 'Update a member',
+    'POST /members/:id/delete': 'Delete a member',
+    'POST /members/:id/restore': 'Restore a deleted member',
+    'GET /members/:id/history': 'Change history for a member (JSON)'
+  },
 
-  // Classroom Programs
-  classroom: [
-    'GET  /classroom/setup',
-    'POST /classroom/create',
-    'GET  /classroom/:id/manage',
-    'POST /classroom/:id/add-student',
-    'GET  /classroom/:id/tracker',
-    'POST /classroom/:id/tracker/submit',
-    'POST /classroom/:id/sync-members'
-  ],
+  // Households & Guardians
+  'Households': {
+    'GET /households': 'List households',
+    'POST /households': 'Create an empty household',
+    'POST /members/:id/household': 'Start a household from a member and their family',
+    'GET /households/:id': 'Household members, guardians and totals',
+    'POST /households/:id': 'Update a household\'s name and contact info',
+    'POST /households/:id/delete': 'Delete a household',
+    'POST /households/:id/members': 'Add a member to a household',
+    'POST /households/:id/members/:memberId/remove': 'Remove a member from a household',
+    'POST /households/:id/guardians': 'Add or update a child\'s guardian',
+    'POST /households/:id/guardians/remove': 'Remove a child\'s guardian'
+  },
+
+  // Book Checkouts
+  'Checkouts': {
+    'GET /checkouts': 'List checkouts',
+    'GET /checkouts/new': 'New checkout form',
+    'POST /checkouts': 'Record a checkout',
+    'GET /checkouts/:id/edit': 'Edit checkout form',
+    'POST /checkouts/:id/edit': 'Update a checkout',
+    'POST /checkouts/:id/delete': 'Delete a checkout'
+  },
 
   // Book Donations
-  donations: [
-    'GET  /donations',
-    'GET  /donations/new',
-    'GET  /members/:memberId/donations/new',
-    'POST /donations/create'
-  ],
+  'Donations': {
+    'GET /donations': 'List donations',
+    'GET /donations/new': 'New donation form',
+    'GET /members/:memberId/donations/new': 'New donation form for a member',
+    'POST /donations': 'Record a donation',
+    'POST /members/:memberId/donations': 'Record a donation from a member',
+    'GET /donations/:id/receipt': 'Download the donation\'s tax receipt (PDF)',
+    'GET /donations/:id/edit': 'Edit donation form',
+    'POST /donations/:id/edit': 'Update a donation',
+    'POST /donations/:id/delete': 'Delete a donation',
+    'GET /admin/giving-statements': 'Donors and statement status for a year',
+    'GET /admin/giving-statements/:year/:donorType/:donorId': 'One donor\'s giving statement (PDF)',
+    'POST /admin/giving-statements/:year/send': 'Email giving statements to every donor'
+  },
 
-  // Book Checkouts
-  checkouts: [
-    'GET  /checkouts',
-    'POST /checkouts/create',
-    'POST /checkouts/:id/return'
-  ],
+  // Visits
+  'Visits': {
+    'GET /visitor-checkin': 'Visitor check-in form',
+    'POST /visitor-checkin': 'Check in a visitor',
+    'GET /visitor-checkin/email-signup': 'Email sign-up form for a new adult member',
+    'POST /visitor-checkin/email-signup': 'Save a new adult member\'s email',
+    'GET /visits': 'List visits',
+    'GET /api/visits/recent': 'Recent visits (JSON)',
+    'GET /visits/:id/edit': 'Edit visit form',
+    'POST /visits/:id/edit': 'Update a visit',
+    'POST /visits/:id/delete': 'Delete a visit'
+  },
+
+  // Programs, Attendees & Attendance
+  'Programs': {
+    'GET /programs': 'List programs',
+    'GET /programs/new': 'New program form',
+    'POST /programs': 'Create a program',
+    'GET /programs/:id': 'Program details',
+    'GET /programs/:programId/attendees': 'List a program\'s attendees',
+    'GET /programs/:programId/attendees/new': 'New attendee form',
+    'POST /programs/:programId/attendees': 'Add an attendee to a program',
+    'GET /programs/:programId/attendees/:id': 'Attendee details',
+    'GET /attendance': 'Go to the attendance form',
+    'GET /attendance/new': 'Pick a program to take attendance for',
+    'GET /programs/:programId/attendance': 'Attendance for a program on a date',
+    'POST /programs/:programId/attendance': 'Save attendance for a program',
+    'GET /metrics/overview': 'Program metrics overview',
+    'POST /programs/:programId/metrics': 'Add a metric to a program',
+    'POST /programs/:programId/metrics/data': 'Record metric values for a member'
+  },
+
+  // Classroom Programs
+  'Classroom': {
+    'GET /classroom/setup': 'New classroom program form',
+    'POST /classroom/create': 'Create a classroom program',
+    'GET /classroom/:id/manage': 'Manage a classroom\'s students',
+    'POST /classroom/:id/add-student': 'Add a student to a classroom',
+    'GET /classroom/:id/tracker': 'Classroom reading tracker',
+    'POST /classroom/:id/tracker/submit': 'Save the reading tracker',
+    'POST /classroom/:id/sync-members': 'Create member records for a classroom\'s students'
+  },
+
+  // Traveling Tree House
+  'Traveling Tree House': {
+    'GET /traveling-treehouse': 'List stops',
+    'GET /traveling-treehouse/dashboard': 'Traveling Tree House dashboard',
+    'GET /traveling-treehouse/export/:format': 'Download stops as CSV, Excel (xlsx) or JSON',
+    'GET /traveling-treehouse/new': 'New stop form',
+    'POST /traveling-treehouse': 'Record a stop',
+    'GET /traveling-treehouse/:id': 'Stop details',
+    'GET /traveling-treehouse/:id/edit': 'Edit stop form',
+    'POST /traveling-treehouse/:id': 'Update a stop',
+    'POST /traveling-treehouse/:id/delete': 'Delete a stop'
+  },
+
+  // Book Distribution
+  'Book Distribution': {
+    'GET /book-distribution': 'List book distributions',
+    'GET /book-distribution/new': 'New book distribution form',
+    'POST /book-distribution': 'Record a book distribution',
+    'GET /book-distribution/:id/edit': 'Edit book distribution form',
+    'POST /book-distribution/:id/edit': 'Update a book distribution',
+    'POST /book-distribution/:id/delete': 'Delete a book distribution'
+  },
+
+  // Organizations
+  'Organizations': {
+    'GET /organizations': 'List organizations',
+    'GET /organizations/new': 'New organization form',
+    'POST /organizations': 'Create an organization',
+    'GET /organizations/search': 'Search organizations (JSON)',
+    'GET /organizations/:id': 'Organization details',
+    'GET /organizations/:id/edit': 'Edit organization form',
+    'POST /organizations/:id': 'Update an organization',
+    'POST /organizations/:id/delete': 'Delete an organization',
+    'POST /organizations/:id/restore': 'Restore a deleted organization',
+    'GET /organizations/:id/history': 'Change history for an organization (JSON)',
+    'GET /api/organizations/search': 'Search organizations for autocomplete (JSON)',
+    'GET /api/organizations/:id': 'One organization (JSON)',
+    'POST /api/organizations': 'Create an organization from a form popup (JSON)'
+  },
+
+  // Sidewalk Books
+  'Sidewalk Books': {
+    'GET /sidewalk': 'Sidewalk inventory dashboard',
+    'GET /sidewalk/api/sync': 'Check formula sync across categories (JSON)',
+    'GET /sidewalk/:category': 'Weekly records for a category',
+    'GET /sidewalk/:category/new': 'New weekly record form',
+    'POST /sidewalk/:category': 'Create a weekly record',
+    'GET /sidewalk/:category/:id/edit': 'Edit weekly record form',
+    'POST /sidewalk/:category/:id': 'Update a weekly record',
+    'GET /sidewalk-books': 'Old Sidewalk Books page (redirects)',
+    'GET /sidewalk-books/new': 'Old new-record link (redirects)',
+    'GET /sidewalk-books/:id/edit': 'Old edit link (redirects)'
+  },
 
   // Data Import
-  dataImport: [
-    'GET  /data-import',
-    'POST /data-import/members',
-    'POST /data-import/books',
-    'GET  /data-import/history'
-  ],
-
-  // Metrics & Reports
-  metrics: [
-    'GET  /metrics',
-    'GET  /metrics/overview'
-  ],
+  'Data Import': {
+    'GET /import': 'Import page',
+    'GET /import/template/:type': 'Download a CSV template',
+    'POST /import/preview': 'Upload a CSV and preview the import',
+    'POST /import/execute': 'Start an import (it runs in the background)',
+    'GET /import/history': 'Past imports',
+    'GET /import/history/:id': 'One import\'s details',
+    'GET /import/history/:id/progress': 'A running import\'s progress',
+    'POST /import/cancel/:id': 'Cancel a queued or running import',
+    'POST /import/rollback/:id': 'Roll back an import'
+  },
+
+  // Grant Reports
+  'Grant Reports': {
+    'GET /grant-reports': 'Saved grant reports',
+    'GET /grant-reports/new': 'Report builder',
+    'GET /grant-reports/run': 'Run the builder\'s choices without saving',
+    'GET /grant-reports/export/:format': 'Download an unsaved report as PDF or Excel (xlsx)',
+    'POST /grant-reports': 'Save a report',
+    'GET /grant-reports/:id': 'Run a saved report, with charts',
+    'GET /grant-reports/:id/export/:format': 'Download a saved report as PDF or Excel (xlsx)',
+    'GET /grant-reports/:id/edit': 'Edit report form',
+    'POST /grant-reports/:id': 'Update a saved report',
+    'POST /grant-reports/:id/delete': 'Delete a saved report',
+    'GET /grant-reports/:id/schedule': 'Email schedule and delivery history',
+    'POST /grant-reports/:id/schedule': 'Save the email schedule',
+    'POST /grant-reports/:id/send': 'Email the report to its recipients now'
+  },
+
+  // Email
+  'Email': {
+    'GET /admin/email-templates': 'List email templates',
+    'GET /admin/email-templates/seed': 'Add any missing default templates',
+    'GET /admin/email-templates/:id/edit': 'Edit an email template',
+    'POST /admin/email-templates/:id': 'Save an email template',
+    'POST /admin/email-templates/:id/preview': 'Preview unsaved template edits',
+    'POST /admin/email-templates/:id/toggle': 'Turn an email template on or off',
+    'GET /admin/email-logs': 'Email send log',
+    'POST /admin/email-jobs/:id/retry': 'Retry a failed email',
+    'POST /admin/email-logs/retry-failed': 'Retry every failed email',
+    'GET /admin/email-suppressions': 'Addresses we don\'t email',
+    'POST /admin/email-suppressions': 'Stop emailing an address',
+    'POST /admin/email-suppressions/:id/delete': 'Allow emailing an address again',
+    'GET /unsubscribe/:token': 'Unsubscribe page',
+    'POST /unsubscribe/:token': 'Unsubscribe (including one-click from the mail app)',
+    'GET /campaigns': 'List email campaigns',
+    'GET /campaigns/new': 'New campaign form',
+    'POST /campaigns/recipient-count': 'Count a campaign\'s recipients (JSON)',
+    'POST /campaigns': 'Create a draft campaign',
+    'GET /campaigns/:id': 'Campaign preview, recipients and status',
+    'GET /campaigns/:id/edit': 'Edit campaign form',
+    'POST /campaigns/:id': 'Update a campaign',
+    'POST /campaigns/:id/schedule': 'Send a campaign now or later',
+    'POST /campaigns/:id/cancel': 'Unschedule or stop a campaign',
+    'POST /campaigns/:id/delete': 'Delete a campaign'
+  },
 
   // Admin Functions
-  admin: [
-    'GET  /admin',
-    'GET  /admin/users',
-    'POST /admin/users/create',
-    'GET  /admin/users/:id/edit',
-    'POST /admin/users/:id/update',
-    'POST /admin/users/:id/delete'
-  ],
-
-  // Password Reset
-  passwordReset: [
-    'GET  /forgot-password',
-    'POST /forgot-password',
-    'GET  /reset-password/:token',
-    'POST /reset-password/:token'
-  ],
-
-  // Notifications & Messages
-  notifications: [
-    'GET  /notifications'
-  ],
-  messages: [
-    'GET  /messages'
-  ],
-
-  // Dashboard Preferences
-  dashboardPreferences: [
-    'GET  /dashboard-preferences',
-    'POST /dashboard-preferences/save'
-  ]
+  'Admin': {
+    'GET /admin': 'Admin home (goes to users)',
+    'GET /admin/users': 'Users, invites and access requests',
+    'POST /admin/users/:id': 'Change a user\'s role',
+    'POST /admin/users/:id/reset-password': 'Email a user a password reset link',
+    'POST /admin/users/:id/reset-mfa': 'Turn off a user\'s two-step login',
+    'POST /admin/users/:id/unlock': 'Unlock a locked-out user',
+    'POST /admin/users/:id/sessions/sign-out': 'Sign a user out everywhere',
+    'POST /admin/users/:id/sessions/:sessionId/sign-out': 'Sign a user out of one browser',
+    'POST /admin/users/:id/approve': 'Approve an access request',
+    'POST /admin/users/:id/reject': 'Turn down an access request',
+    'POST /admin/invites': 'Invite someone by email',
+    'POST /admin/invites/:id/revoke': 'Cancel an invite',
+    'GET /admin/roles': 'Roles and permissions',
+    'POST /admin/roles': 'Create a custom role',
+    'POST /admin/roles/:key': 'Save a role',
+    'POST /admin/roles/:key/delete': 'Delete a custom role',
+    'GET /admin/security': 'Security settings',
+    'POST /admin/security': 'Save security settings',
+    'GET /admin/api-tokens': 'Integration tokens, and everyone\'s personal tokens',
+    'POST /admin/api-tokens': 'Create an integration token',
+    'POST /admin/api-tokens/:id/revoke': 'Revoke any API token',
+    'GET /admin/webhooks': 'Webhook subscriptions and recent deliveries',
+    'POST /admin/webhooks': 'Add a webhook subscription',
+    'POST /admin/webhooks/:id': 'Change a webhook subscription',
+    'POST /admin/webhooks/:id/delete': 'Remove a webhook subscription',
+    'POST /admin/webhooks/:id/secret': 'Give a webhook a new signing secret',
+    'POST /admin/webhooks/:id/ping': 'Send a test event to a webhook',
+    'POST /admin/webhooks/deliveries/:id/redeliver': 'Send a webhook delivery again',
+    'GET /admin/lgl': 'Little Green Light connection, donations waiting and recent syncs',
+    'POST /admin/lgl/sync': 'Send donations and their donors to Little Green Light (or a dry run)',
+    'GET /admin/lgl/syncs/:id': 'What one Little Green Light sync sent, and its errors',
+    'GET /api/docs': 'This API reference',
+    'GET /api/docs/openapi.json': 'The API reference as an OpenAPI document'
+  },
+
+  // JSON API v1 (API token required)
+  'API v1': {
+    'GET /api/v1': 'The token\'s name and the resources it can read',
+    'GET /api/v1/members': 'List members',
+    'GET /api/v1/members/:id': 'One member',
+    'GET /api/v1/checkouts': 'List checkouts',
+    'GET /api/v1/checkouts/:id': 'One checkout',
+    'GET /api/v1/donations': 'List donations',
+    'GET /api/v1/donations/:id': 'One donation',
+    'GET /api/v1/visits': 'List visits',
+    'GET /api/v1/visits/:id': 'One visit',
+    'GET /api/v1/programs': 'List programs',
+    'GET /api/v1/programs/:id': 'One program',
+    'GET /api/v1/attendance': 'List attendance records',
+    'GET /api/v1/attendance/:id': 'One attendance record',
+    'GET /api/v1/traveling-stops': 'List Traveling Tree House stops',
+    'GET /api/v1/traveling-stops/:id': 'One Traveling Tree House stop',
+    'GET /api/v1/distributions': 'List book distributions',
+    'GET /api/v1/distributions/:id': 'One book distribution',
+    'GET /api/v1/sidewalk-inventory': 'List sidewalk inventory weeks',
+    'GET /api/v1/sidewalk-inventory/:id': 'One sidewalk inventory week'
+  },
+
+  // Server
+  'System': {
+    'GET /healthz': 'Health check',
+    'GET /favicon.ico': 'Empty favicon (stops 404s)'
+  }
 };
@@ -1,44 +1,72 @@
 // routes/admin.js
 const express = require('express');
 const crypto  = require('crypto');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
 const router  = express.Router();
 const User    = require('../models/User');
 const EmailTemplate = require('../models/EmailTemplate');
-const { sendPasswordResetEmail, getEmailLogs, seedEmailTemplates } = require('../services/mailer');
-
-// Middleware to ensure only admins can hit these routes
-function ensureAdmin(req, res, next) {
-  if (req.session?.user?.role === 'admin') {
-    return next();
-  }
-  return res.status(403).send("Forbidden: You are not an admin");
-}
-
-// Middleware to allow staff OR admin access
-function ensureStaffOrAdmin(req, res, next) {
-  const role = req.session?.user?.role;
-  if (role === 'admin' || role === 'staff') {
-    return next();
-  }
-  return res.status(403).send("Forbidden: Staff or admin access required");
-}
+const EmailJob = require('../models/EmailJob');
+const SecuritySettings = require('../models/SecuritySettings');
+const { sendPasswordResetEmail, getEmailLogs, seedEmailTemplates, renderTemplate } = require('../services/mailer');
+const templateEngine = require('../utils/templateEngine');
+const emailQueue = require('../services/emailQueue');
+const suppression = require('../services/suppression');
+const EmailSuppression = require('../models/EmailSuppression');
+const mfa = require('../services/mfa');
+const loginSecurity = require('../services/loginSecurity');
+const sessions = require('../services/sessions');
+const onboarding = require('../services/onboarding');
+const auditLogger = require('../utils/auditLogger');
+const permissions = require('../services/permissions');
+const { BUILT_IN_ROLES, groupedPermissions } = require('../config/permissions');
+const { requirePermission } = require('./_middleware');
 
 // GET /admin — admin dashboard (redirect to users for now)
-router.get('/admin', ensureAdmin, (req, res) => {
+router.get('/admin', requirePermission('users.manage'), (req, res) => {
   res.redirect('/admin/users');
 });
 
 // GET /admin/users — list everyone
-router.get('/admin/users', ensureAdmin, async (req, res, next) => {
+router.get('/admin/users', requirePermission('users.manage'), async (req, res, next) => {
   try {
-    const users   = await User.find().lean();
+    // Pending access requests are listed separately, above the users table
+    const users   = await User.find({ status: { $ne: 'pending' } }).lean();
+    const pendingRequests = await onboarding.getPendingRequests();
+    const invites = await onboarding.getOpenInvites();
+    const settings = await SecuritySettings.getSettings();
+    const loginEvents = await loginSecurity.getRecentEventsByUser(users.map(u => u._id));
+    const activeSessions = await sessions.getActiveSessionsByUser(users.map(u => u._id));
+    const roles = await permissions.getRoles();
+    // Roles that must use two-step login (custom roles follow their base role)
+    const mfaRequiredRoles = roles
+      .filter(role => role.permissions.includes('account.mfa') && settings.requireMfaForRoles.includes(role.baseRole))
+      .map(role => role.key);
+
+    // A new invite link is shown once, in case the email didn't arrive
+    const inviteLink = req.session.inviteLink || null;
+    delete req.session.inviteLink;
+
     const success = req.session.success;
+    const error = req.session.error;
     delete req.session.success;
+    delete req.session.error;
     res.render('adminUsers', {
       currentUser: req.session.user,
       user: req.session.user,
       users,
-      success
+      pendingRequests,
+      invites,
+      inviteLink,
+      inviteDays: onboarding.INVITE_DAYS,
+      loginEvents,
+      activeSessions,
+      currentSessionId: req.sessionID,
+      now: new Date(),
+      roles,
+      mfaRequiredRoles,
+      success,
+      error
     });
   } catch (err) {
     next(err);
@@ -46,10 +74,14 @@ router.get('/admin/users', ensureAdmin, async (req, res, next) => {
 });
 
 // POST /admin/users/:id — change one user’s role
-router.post('/admin/users/:id', ensureAdmin, async (req, res, next) => {
+router.post('/admin/users/:id', requirePermission('users.manage'), async (req, res, next) => {
   try {
     const userId  = req.params.id;
-    const newRole = req.body.role; // "volunteer", "staff", or "admin"
+    const newRole = req.body.role; // Role key, built-in or custom
+    if (!await permissions.roleExists(newRole)) {
+      req.session.error = 'Failed to update role: Invalid role';
+      return res.redirect('/admin/users');
+    }
 
     // 1) Update in the database
     const updated = await User.findByIdAndUpdate(
@@ -63,6 +95,7 @@ router.post('/admin/users/:id', ensureAdmin, async (req, res, next) => {
     }
 
     // 2) If *you* changed *your own* role, sync your session immediately
+    //    (everyone else's sessions pick it up on their next request - see checkSession)
     const meId = req.session.user._id.toString();
     if (meId === updated._id.toString()) {
       req.session.user.role = updated.role;
@@ -72,7 +105,8 @@ router.post('/admin/users/:id', ensureAdmin, async (req, res, next) => {
     }
 
     // 3) Otherwise, flash and go back to Manage Users
-    req.session.success = `${updated.email || updated.firstName} is now a ${updated.role}`;
+    const role = await permissions.getRole(updated.role);
+    req.session.success = `${updated.email || updated.firstName} is now a ${role.name}`;
     res.redirect('/admin/users');
 
   } catch (err) {
@@ -91,7 +125,7 @@ router.post('/admin/users/:id', ensureAdmin, async (req, res, next) => {
 //
 // NOTE: This does NOT set a temporary password - it uses the same secure
 // email-based reset flow that users can self-initiate via /forgot-password
-router.post('/admin/users/:id/reset-password', ensureAdmin, async (req, res, next) => {
+router.post('/admin/users/:id/reset-password', requirePermission('users.manage'), async (req, res, next) => {
   try {
     const userId = req.params.id;
 
@@ -138,7 +172,7 @@ router.post('/admin/users/:id/reset-password', ensureAdmin, async (req, res, nex
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // GET /admin/email-templates - List all email templates (staff and admin can access)
-router.get('/admin/email-templates', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/admin/email-templates', requirePermission('email.templates'), async (req, res, next) => {
   try {
     const templates = await EmailTemplate.getAllTemplates();
 
@@ -160,8 +194,8 @@ router.get('/admin/email-templates', ensureStaffOrAdmin, async (req, res, next)
 });
 
 // GET /admin/email-templates/seed - Seed default templates (admin only for safety)
-router.get('/admin/email-templates/seed', ensureStaffOrAdmin, async (req, res) => {
-  const result = await seedEmailTemplates();
+router.get('/admin/email-templates/seed', requirePermission('email.templates'), async (req, res) => {
+  const result = await seedEmailTemplates({ reset: true });
 
   if (result.success) {
     req.session.success = 'Default email templates seeded successfully';
@@ -173,7 +207,7 @@ router.get('/admin/email-templates/seed', ensureStaffOrAdmin, async (req, res) =
 });
 
 // GET /admin/email-templates/:id/edit - Edit template form (staff and admin can access)
-router.get('/admin/email-templates/:id/edit', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/admin/email-templates/:id/edit', requirePermission('email.templates'), async (req, res, next) => {
   try {
     const template = await EmailTemplate.findById(req.params.id).lean();
 
@@ -189,6 +223,7 @@ router.get('/admin/email-templates/:id/edit', ensureStaffOrAdmin, async (req, re
     res.render('adminEmailTemplateEdit', {
       user: req.session.user,
       template,
+      alwaysSent: EmailTemplate.ALWAYS_SENT.includes(template.templateKey),
       error
     });
   } catch (err) {
@@ -197,7 +232,7 @@ router.get('/admin/email-templates/:id/edit', ensureStaffOrAdmin, async (req, re
 });
 
 // POST /admin/email-templates/:id - Update template (staff and admin can access)
-router.post('/admin/email-templates/:id', ensureStaffOrAdmin, async (req, res, next) => {
+router.post('/admin/email-templates/:id', requirePermission('email.templates'), async (req, res, next) => {
   try {
     const { name, subject, htmlBody, textBody, isActive } = req.body;
 
@@ -208,6 +243,16 @@ router.post('/admin/email-templates/:id', ensureStaffOrAdmin, async (req, res, n
       return res.redirect('/admin/email-templates');
     }
 
+    // Refuse to save a template that would fail when the email is sent
+    const fields = { 'Subject': subject, 'HTML body': htmlBody, 'Plain text body': textBody };
+    for (const [label, source] of Object.entries(fields)) {
+      const syntaxError = templateEngine.validate(source);
+      if (syntaxError) {
+        req.session.error = `${label}: ${syntaxError}. Your changes were not saved.`;
+        return res.redirect(`/admin/email-templates/${template._id}/edit`);
+      }
+    }
+
     // Update fields
     template.name = name;
     template.subject = subject;
@@ -225,8 +270,32 @@ router.post('/admin/email-templates/:id', ensureStaffOrAdmin, async (req, res, n
   }
 });
 
+// POST /admin/email-templates/:id/preview - Render unsaved edits with sample data (staff and admin)
+router.post('/admin/email-templates/:id/preview', requirePermission('email.templates'), async (req, res, next) => {
+  try {
+    const template = await EmailTemplate.findById(req.params.id).lean();
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { subject = '', htmlBody = '', textBody = '' } = req.body;
+    const sampleData = EmailTemplate.getSampleData(template.templateKey);
+
+    try {
+      const rendered = renderTemplate({ subject, htmlBody, textBody }, sampleData);
+      res.json({ subject: rendered.subject, html: rendered.htmlBody, text: rendered.textBody });
+    } catch (err) {
+      if (!(err instanceof templateEngine.TemplateSyntaxError)) throw err;
+      res.json({ error: err.message });
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
 // POST /admin/email-templates/:id/toggle - Toggle template active status (staff and admin)
-router.post('/admin/email-templates/:id/toggle', ensureStaffOrAdmin, async (req, res, next) => {
+router.post('/admin/email-templates/:id/toggle', requirePermission('email.templates'), async (req, res, next) => {
   try {
     const template = await EmailTemplate.findById(req.params.id);
 
@@ -248,7 +317,7 @@ router.post('/admin/email-templates/:id/toggle', ensureStaffOrAdmin, async (req,
 });
 
 // GET /admin/email-logs - View email send logs (staff and admin can access)
-router.get('/admin/email-logs', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/admin/email-logs', requirePermission('email.logs'), async (req, res, next) => {
   try {
     const { status, templateKey, limit } = req.query;
 
@@ -261,17 +330,477 @@ router.get('/admin/email-logs', ensureStaffOrAdmin, async (req, res, next) => {
     // Get unique template keys for filter dropdown
     const templates = await EmailTemplate.getAllTemplates();
 
+    // Current state of the queue jobs behind these log rows
+    const jobIds = [...new Set(logs.map(l => l.metadata && l.metadata.emailJobId).filter(Boolean))];
+    const jobs = await EmailJob.find({ _id: { $in: jobIds } }).select('status attempts maxAttempts nextAttemptAt').lean();
+    const jobsById = {};
+    jobs.forEach(j => { jobsById[j._id.toString()] = j; });
+
+    const queueStats = await emailQueue.getQueueStats();
+
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
     res.render('adminEmailLogs', {
       user: req.session.user,
       logs,
       templates,
-      filters: { status, templateKey, limit }
+      jobsById,
+      queueStats,
+      filters: { status, templateKey, limit },
+      success,
+      error
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/email-jobs/:id/retry - Send a failed queued email again
+router.post('/admin/email-jobs/:id/retry', requirePermission('email.logs'), async (req, res) => {
+  try {
+    const job = await emailQueue.retryJob(req.params.id);
+    if (job) {
+      req.session.success = `Email to ${job.recipient} queued for another attempt`;
+    } else {
+      req.session.error = 'That email has already been sent or is being sent';
+    }
+  } catch (err) {
+    console.error('Error retrying email job:', err);
+    req.session.error = 'Failed to retry email: ' + err.message;
+  }
+  res.redirect('/admin/email-logs');
+});
+
+// POST /admin/email-logs/retry-failed - Retry every email the queue gave up on
+router.post('/admin/email-logs/retry-failed', requirePermission('email.logs'), async (req, res) => {
+  try {
+    const count = await emailQueue.retryAllFailed();
+    req.session.success = count > 0
+      ? `${count} failed email${count === 1 ? '' : 's'} queued for another attempt`
+      : 'No failed emails to retry';
+  } catch (err) {
+    console.error('Error retrying failed emails:', err);
+    req.session.error = 'Failed to retry emails: ' + err.message;
+  }
+  res.redirect('/admin/email-logs');
+});
+
+// ─── POST /admin/users/:id/reset-mfa ─────────────────────────────────────────
+// Turn off a user's two-step login (lost or replaced phone). If their role
+// requires it they'll be asked to set it up again at their next login.
+router.post('/admin/users/:id/reset-mfa', requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const updated = await mfa.disable(req.params.id);
+    if (!updated) {
+      req.session.success = 'User not found';
+      return res.redirect('/admin/users');
+    }
+
+    await auditLogger.logUpdate('User', updated._id, { mfaEnabled: true }, { mfaEnabled: false }, req.session.user._id);
+    req.session.success = `Two-step login reset for ${updated.email}`;
+    res.redirect('/admin/users');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── POST /admin/users/:id/unlock ────────────────────────────────────────────
+// Lift a lockout from failed logins before it runs out
+router.post('/admin/users/:id/unlock', requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const before = await User.findById(req.params.id).lean();
+    if (!before) {
+      req.session.success = 'User not found';
+      return res.redirect('/admin/users');
+    }
+
+    await loginSecurity.unlock(before._id);
+    await auditLogger.logUpdate('User', before._id, { lockedUntil: before.lockedUntil }, { lockedUntil: null }, req.session.user._id);
+    req.session.success = `Unlocked ${before.email}`;
+    res.redirect('/admin/users');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── POST /admin/users/:id/sessions/sign-out ─────────────────────────────────
+// Sign a user out of every browser (lost laptop, shared computer). Signing
+// yourself out keeps the browser you're using.
+router.post('/admin/users/:id/sessions/sign-out', requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const target = await User.findById(req.params.id).lean();
+    if (!target) {
+      req.session.success = 'User not found';
+      return res.redirect('/admin/users');
+    }
+
+    const isMe = target._id.toString() === req.session.user._id.toString();
+    const count = await sessions.signOutEverywhere(req.sessionStore, target._id, {
+      endedBy: req.session.user._id,
+      exceptSessionId: isMe ? req.sessionID : null
+    });
+
+    await auditLogger.logUpdate('User', target._id, { activeSessions: count }, { activeSessions: 0 }, req.session.user._id);
+    req.session.success = isMe
+      ? `Signed out of ${count} other session${count === 1 ? '' : 's'}`
+      : `Signed ${target.email} out of ${count} session${count === 1 ? '' : 's'}`;
+    res.redirect('/admin/users');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── POST /admin/users/:id/sessions/:sessionId/sign-out ──────────────────────
+// Sign out one browser
+router.post('/admin/users/:id/sessions/:sessionId/sign-out', requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const target = await User.findById(req.params.id).lean();
+    if (!target || !mongoose.isValidObjectId(req.params.sessionId)) {
+      req.session.success = 'Session not found';
+      return res.redirect('/admin/users');
+    }
+
+    const count = await sessions.signOutSession(req.sessionStore, target._id, req.params.sessionId, req.session.user._id);
+    if (count > 0) {
+      await auditLogger.logUpdate('User', target._id, { activeSessions: 1 }, { activeSessions: 0 }, req.session.user._id);
+    }
+    req.session.success = count > 0
+      ? `Signed ${target.email} out of that session`
+      : 'That session had already ended';
+    res.redirect('/admin/users');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INVITES & ACCESS REQUESTS (Admin only)
+// New accounts come from a single-use invite link or from an access request
+// an admin approves (see services/onboarding.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// POST /admin/invites - Invite someone by email with a preset role
+// (the email is normalized the same way POST /login does, so they can log in with it)
+router.post('/admin/invites', requirePermission('users.manage'), [
+  body('email').trim().isEmail().withMessage('Please enter a valid email address').normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.session.error = errors.array()[0].msg;
+    return res.redirect('/admin/users');
+  }
+
+  try {
+    const { invite, url, emailed } = await onboarding.createInvite({
+      email: req.body.email,
+      role: req.body.role,
+      invitedBy: req.session.user
+    });
+    await auditLogger.logCreate('Invite', { _id: invite._id, email: invite.email, role: invite.role, expiresAt: invite.expiresAt }, req.session.user._id);
+
+    req.session.inviteLink = url;
+    req.session.success = emailed
+      ? `Invite sent to ${invite.email}`
+      : `Invite created for ${invite.email}, but the email couldn't be sent - copy the link below and send it yourself`;
+  } catch (err) {
+    console.error('Error creating invite:', err);
+    req.session.error = 'Failed to create invite: ' + err.message;
+  }
+  res.redirect('/admin/users');
+});
+
+// POST /admin/invites/:id/revoke - Cancel an unused invite
+router.post('/admin/invites/:id/revoke', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const invite = await onboarding.revokeInvite(req.params.id);
+    if (!invite) {
+      req.session.error = 'Invite not found or already used';
+      return res.redirect('/admin/users');
+    }
+
+    await auditLogger.logUpdate('Invite', invite._id, { revokedAt: null }, { revokedAt: invite.revokedAt }, req.session.user._id);
+    req.session.success = `Invite for ${invite.email} cancelled`;
+  } catch (err) {
+    console.error('Error cancelling invite:', err);
+    req.session.error = 'Failed to cancel invite: ' + err.message;
+  }
+  res.redirect('/admin/users');
+});
+
+// POST /admin/users/:id/approve - Approve an access request with a role
+router.post('/admin/users/:id/approve', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const approved = await onboarding.reviewRequest(req.params.id, true, {
+      role: req.body.role,
+      reviewedBy: req.session.user._id
+    });
+
+    await auditLogger.logUpdate('User', approved._id, { status: 'pending' }, { status: 'active', role: approved.role }, req.session.user._id);
+    req.session.success = `${approved.email} can now log in as a ${approved.role}`;
+  } catch (err) {
+    console.error('Error approving access request:', err);
+    req.session.error = 'Failed to approve request: ' + err.message;
+  }
+  res.redirect('/admin/users');
+});
+
+// POST /admin/users/:id/reject - Turn down an access request
+router.post('/admin/users/:id/reject', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const rejected = await onboarding.reviewRequest(req.params.id, false, {
+      reviewedBy: req.session.user._id
+    });
+
+    await auditLogger.logUpdate('User', rejected._id, { status: 'pending' }, { status: 'rejected' }, req.session.user._id);
+    req.session.success = `Access request from ${rejected.email} rejected`;
+  } catch (err) {
+    console.error('Error rejecting access request:', err);
+    req.session.error = 'Failed to reject request: ' + err.message;
+  }
+  res.redirect('/admin/users');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ROLES & PERMISSIONS
+// Which permissions each role has, and custom roles such as "Program Lead".
+// The permission list itself is in config/permissions.js.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// GET /admin/roles - Permission matrix for every role
+router.get('/admin/roles', requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const roles = await permissions.getRoles();
+    const userCounts = await permissions.countUsersByRole();
+
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('adminRoles', {
+      user: req.session.user,
+      roles,
+      userCounts,
+      permissionGroups: groupedPermissions(),
+      builtInRoles: BUILT_IN_ROLES,
+      success,
+      error
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/roles - Create a custom role (starts with its base role's permissions)
+router.post('/admin/roles', requirePermission('roles.manage'), [
+  body('name').trim().isLength({ min: 2, max: 60 }).withMessage('Role name must be 2-60 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be 200 characters or less'),
+  body('baseRole').isIn(Object.keys(BUILT_IN_ROLES)).withMessage('Pick a base role')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.session.error = errors.array().map(e => e.msg).join(', ');
+    return res.redirect('/admin/roles');
+  }
+
+  try {
+    const role = await permissions.createRole(req.body, req.session.user._id);
+    await auditLogger.logCreate('Role', role.toObject(), req.session.user._id);
+    req.session.success = `Role "${role.name}" created - adjust its permissions below`;
+  } catch (err) {
+    console.error('Error creating role:', err);
+    req.session.error = 'Failed to create role: ' + err.message;
+  }
+  res.redirect('/admin/roles');
+});
+
+// POST /admin/roles/:key - Save a role's permissions (and name/base role for custom roles)
+router.post('/admin/roles/:key', requirePermission('roles.manage'), [
+  body('name').optional().trim().isLength({ min: 2, max: 60 }).withMessage('Role name must be 2-60 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be 200 characters or less')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.session.error = errors.array().map(e => e.msg).join(', ');
+    return res.redirect('/admin/roles');
+  }
+
+  try {
+    const before = await permissions.getRole(req.params.key);
+    const role = await permissions.updateRole(req.params.key, {
+      permissions: req.body.permissions,
+      name: req.body.name,
+      description: req.body.description,
+      baseRole: req.body.baseRole
+    }, req.session.user._id);
+
+    await auditLogger.logUpdate(
+      'Role',
+      role._id,
+      { name: before.name, baseRole: before.baseRole, permissions: before.permissions.join(', ') },
+      { name: role.name, baseRole: role.baseRole, permissions: role.permissions.join(', ') },
+      req.session.user._id
+    );
+    req.session.success = `Permissions for "${role.name}" saved`;
+  } catch (err) {
+    console.error('Error saving role:', err);
+    req.session.error = 'Failed to save role: ' + err.message;
+  }
+  res.redirect('/admin/roles');
+});
+
+// POST /admin/roles/:key/delete - Delete a custom role nobody has
+router.post('/admin/roles/:key/delete', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await permissions.deleteRole(req.params.key);
+    await auditLogger.logDelete('Role', role._id, req.session.user._id, role.toObject());
+    req.session.success = `Role "${role.name}" deleted`;
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    req.session.error = 'Failed to delete role: ' + err.message;
+  }
+  res.redirect('/admin/roles');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SECURITY SETTINGS (Admin only)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// GET /admin/security - Security settings
+router.get('/admin/security', requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    const settings = await SecuritySettings.getSettings();
+
+    // Who in each role has two-step login on
+    const counts = await User.aggregate([
+      { $match: { role: { $in: SecuritySettings.MFA_ROLES } } },
+      { $group: { _id: '$role', total: { $sum: 1 }, enrolled: { $sum: { $cond: ['$mfa.enabled', 1, 0] } } } }
+    ]);
+    const mfaCounts = {};
+    counts.forEach(c => { mfaCounts[c._id] = c; });
+
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('adminSecurity', {
+      user: req.session.user,
+      settings,
+      mfaRoles: SecuritySettings.MFA_ROLES,
+      mfaCounts,
+      success,
+      error
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/security - Save security settings
+router.post('/admin/security', requirePermission('security.manage'), async (req, res) => {
+  try {
+    const roles = [].concat(req.body.requireMfaForRoles || [])
+      .filter(role => SecuritySettings.MFA_ROLES.includes(role));
+
+    const lockoutThreshold = parseInt(req.body.lockoutThreshold, 10);
+    const lockoutMinutes = parseInt(req.body.lockoutMinutes, 10);
+    const sessionIdleMinutes = parseInt(req.body.sessionIdleMinutes, 10);
+    if (!(lockoutThreshold >= 3 && lockoutThreshold <= 20)) {
+      req.session.error = 'Failed logins before lockout must be between 3 and 20';
+      return res.redirect('/admin/security');
+    }
+    if (!(lockoutMinutes >= 1 && lockoutMinutes <= 240)) {
+      req.session.error = 'Lockout length must be between 1 and 240 minutes';
+      return res.redirect('/admin/security');
+    }
+    if (!(sessionIdleMinutes === 0 || (sessionIdleMinutes >= 5 && sessionIdleMinutes <= 10080))) {
+      req.session.error = 'Idle timeout must be 0 (off) or between 5 minutes and 7 days (10080 minutes)';
+      return res.redirect('/admin/security');
+    }
+
+    await SecuritySettings.updateSettings(
+      { requireMfaForRoles: roles, lockoutThreshold, lockoutMinutes, sessionIdleMinutes },
+      req.session.user._id
+    );
+    sessions.clearCache();
+    req.session.success = roles.length > 0
+      ? `Settings saved. Two-step login is now required for ${roles.join(' and ')} accounts, starting at their next login`
+      : 'Settings saved. Two-step login is optional for everyone';
+  } catch (err) {
+    console.error('Error saving security settings:', err);
+    req.session.error = 'Failed to save settings: ' + err.message;
+  }
+  res.redirect('/admin/security');
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EMAIL SUPPRESSION LIST (Staff and Admin)
+// Addresses that are never emailed (bounced, complained, added by staff) or
+// only get account emails (unsubscribed). See services/suppression.js.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// GET /admin/email-suppressions - List suppressed addresses
+router.get('/admin/email-suppressions', requirePermission('email.suppressions'), async (req, res, next) => {
+  try {
+    const { search, reason } = req.query;
+    const entries = await suppression.getSuppressions({ search, reason });
+
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('adminEmailSuppressions', {
+      user: req.session.user,
+      entries,
+      reasons: Object.keys(EmailSuppression.REASON_SCOPES),
+      filters: { search, reason },
+      success,
+      error
     });
   } catch (err) {
     next(err);
   }
 });
 
+// POST /admin/email-suppressions - Stop emailing an address (e.g. asked by phone)
+router.post('/admin/email-suppressions', requirePermission('email.suppressions'), async (req, res) => {
+  const email = (req.body.email || '').trim();
+  const note = (req.body.detail || '').trim();
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    req.session.error = 'Please enter a valid email address';
+    return res.redirect('/admin/email-suppressions');
+  }
+
+  try {
+    await suppression.suppress(email, 'manual', { source: 'staff', detail: note || undefined, userId: req.session.user._id });
+    req.session.success = `${email} will no longer be emailed`;
+  } catch (err) {
+    console.error('Error adding suppression:', err);
+    req.session.error = 'Failed to add address: ' + err.message;
+  }
+  res.redirect('/admin/email-suppressions');
+});
+
+// POST /admin/email-suppressions/:id/delete - Allow emailing an address again
+router.post('/admin/email-suppressions/:id/delete', requirePermission('email.suppressions'), async (req, res) => {
+  try {
+    const entry = await suppression.removeSuppression(req.params.id);
+    req.session.success = entry
+      ? `${entry.email} removed from the suppression list`
+      : 'Address was already removed';
+  } catch (err) {
+    console.error('Error removing suppression:', err);
+    req.session.error = 'Failed to remove address: ' + err.message;
+  }
+  res.redirect('/admin/email-suppressions');
+});
+
 module.exports = router;
 
 
@@ -2,10 +2,10 @@
 const express = require('express');
 const router  = express.Router();
 const User    = require('../models/User');
-const { ensureAdmin } = require('./_middleware');
+const { requirePermission } = require('./_middleware');
 
 // 1) List all users
-router.get('/admin/users', ensureAdmin, async (req, res) => {
+router.get('/admin/users', requirePermission('users.manage'), async (req, res) => {
   const users = await User.find().sort('firstName lastName').lean();
   res.render('adminUsersList', {
     user:  req.session.user,
@@ -14,7 +14,7 @@ router.get('/admin/users', ensureAdmin, async (req, res) => {
 });
 
 // 2) Edit form
-router.get('/admin/users/:id/edit', ensureAdmin, async (req, res) => {
+router.get('/admin/users/:id/edit', requirePermission('users.manage'), async (req, res) => {
   const u = await User.findById(req.params.id).lean();
   if (!u) return res.status(404).send('User not found');
   res.render('adminUserEdit', {
@@ -25,7 +25,7 @@ router.get('/admin/users/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // 3) Handle update
-router.post('/admin/users/:id', ensureAdmin, async (req, res) => {
+router.post('/admin/users/:id', requirePermission('users.manage'), async (req, res) => {
   const { role } = req.body;
   await User.findByIdAndUpdate(req.params.id, { role });
   req.session.success = 'User role updated';
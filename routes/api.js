@@ -5,10 +5,10 @@ const express = require('express');
 const router = express.Router();
 const Member = require('../models/Member');
 const Organization = require('../models/Organization');
-const { ensureVolunteerOrHigher } = require('./_middleware');
+const { requirePermission } = require('./_middleware');
 
 // Search members by name or email (for autocomplete)
-router.get('/api/members/search', ensureVolunteerOrHigher, async (req, res) => {
+router.get('/api/members/search', requirePermission('members.read'), async (req, res) => {
   try {
     const query = req.query.q || '';
     const memberType = req.query.memberType; // Optional filter: 'adult' or 'child'
@@ -146,7 +146,7 @@ router.get('/api/members/search', ensureVolunteerOrHigher, async (req, res) => {
 });
 
 // Search organizations by name (for autocomplete)
-router.get('/api/organizations/search', ensureVolunteerOrHigher, async (req, res) => {
+router.get('/api/organizations/search', requirePermission('organizations.read'), async (req, res) => {
   try {
     const query = req.query.q || '';
 
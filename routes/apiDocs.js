@@ -0,0 +1,36 @@
+// routes/apiDocs.js
+// ═════════════════════════════════════════════════════════════════════════════
+// API DOCS - interactive reference for every route (utils/openapi.js)
+// ═════════════════════════════════════════════════════════════════════════════
+//
+// 1. GET /api/docs               — Swagger UI
+// 2. GET /api/docs/openapi.json  — the OpenAPI document it reads
+//
+// The document is built from the mounted routes the first time it's asked
+// for; routes don't change while the server runs.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const router = express.Router();
+const { buildSpec } = require('../utils/openapi');
+const { requirePermission } = require('./_middleware');
+
+let spec = null;
+
+// ─── 1. GET /api/docs ────────────────────────────────────────────────────────
+router.get('/api/docs', requirePermission('api.docs'), (req, res) => {
+  res.render('apiDocs', { user: req.session.user });
+});
+
+// ─── 2. GET /api/docs/openapi.json ───────────────────────────────────────────
+router.get('/api/docs/openapi.json', requirePermission('api.docs'), (req, res, next) => {
+  try {
+    spec = spec || buildSpec(req.app);
+    res.json(spec);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+// routes/apiTokens.js
+// ═════════════════════════════════════════════════════════════════════════════
+// API TOKENS - create and revoke tokens for the /api/v1 JSON API
+// ═════════════════════════════════════════════════════════════════════════════
+//
+// Personal tokens (any role with api.tokens) act for their owner and can only
+// read what the owner's role can. Integration tokens (api.integrations) are
+// for partner tools and shared sheets. See services/apiTokens.js.
+//
+// 1. GET  /account/api-tokens              — your tokens
+// 2. POST /account/api-tokens              — create a personal token
+// 3. POST /account/api-tokens/:id/revoke   — revoke one of your tokens
+// 4. GET  /admin/api-tokens                — integration tokens, and everyone's personal tokens
+// 5. POST /admin/api-tokens                — create an integration token
+// 6. POST /admin/api-tokens/:id/revoke     — revoke any token
+//
+// A new token is shown once, on the page you're sent back to.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const apiTokens = require('../services/apiTokens');
+const auditLogger = require('../utils/auditLogger');
+const { PERMISSIONS, API_SCOPES } = require('../config/permissions');
+const { requirePermission } = require('./_middleware');
+
+// Scope checkboxes, labelled like the role editor
+const SCOPE_OPTIONS = API_SCOPES.map(key => ({ key, label: PERMISSIONS.find(p => p.key === key).label }));
+
+const tokenValidators = [
+  body('name').trim().isLength({ min: 2, max: 80 }).withMessage('Name must be 2-80 characters'),
+  body('expiresInDays').optional({ checkFalsy: true }).isInt({ min: 1, max: 730 }).withMessage('Expiry must be between 1 and 730 days')
+];
+
+/**
+ * Render the token page with its one-time messages
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} locals - mode ('personal' or 'integration'), tokens, ...
+ */
+function renderTokens(req, res, locals) {
+  const newToken = req.session.newApiToken || null;
+  const success = req.session.success;
+  const error = req.session.error;
+  delete req.session.newApiToken;
+  delete req.session.success;
+  delete req.session.error;
+
+  res.render('apiTokens', {
+    user: req.session.user,
+    scopeOptions: SCOPE_OPTIONS,
+    apiBaseUrl: `${process.env.APP_BASE_URL || 'http://localhost:3000'}/api/v1`,
+    newToken,
+    now: new Date(),
+    success,
+    error,
+    ...locals
+  });
+}
+
+/**
+ * Create a token from the form and remember it for the next page
+ * @param {Object} req - Express request
+ * @param {Object} owner - Session user for a personal token, null for an integration token
+ */
+async function createFromForm(req, owner) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new Error(errors.array().map(e => e.msg).join(', '));
+  }
+
+  const { token, record } = await apiTokens.createToken({
+    name: req.body.name,
+    scopes: req.body.scopes,
+    owner,
+    createdBy: req.session.user._id,
+    expiresInDays: req.body.expiresInDays || null
+  });
+
+  await auditLogger.logCreate('ApiToken', {
+    _id: record._id,
+    name: record.name,
+    user: record.user,
+    scopes: record.scopes,
+    expiresAt: record.expiresAt
+  }, req.session.user._id);
+
+  req.session.newApiToken = { name: record.name, token };
+  req.session.success = `Token "${record.name}" created. Copy it now - it won't be shown again.`;
+}
+
+// ─── 1. GET /account/api-tokens ──────────────────────────────────────────────
+router.get('/account/api-tokens', requirePermission('api.tokens'), async (req, res, next) => {
+  try {
+    const tokens = await apiTokens.listTokens({ user: req.session.user._id });
+    renderTokens(req, res, {
+      mode: 'personal',
+      tokens,
+      // Your role's permissions cap what a personal token can read
+      allowedScopes: API_SCOPES.filter(scope => req.access.permissions.has(scope))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── 2. POST /account/api-tokens ─────────────────────────────────────────────
+router.post('/account/api-tokens', requirePermission('api.tokens'), tokenValidators, async (req, res) => {
+  try {
+    await createFromForm(req, req.session.user);
+  } catch (err) {
+    console.error('Error creating API token:', err);
+    req.session.error = 'Failed to create token: ' + err.message;
+  }
+  res.redirect('/account/api-tokens');
+});
+
+// ─── 3. POST /account/api-tokens/:id/revoke ──────────────────────────────────
+router.post('/account/api-tokens/:id/revoke', requirePermission('api.tokens'), async (req, res) => {
+  try {
+    const token = await apiTokens.revokeToken(req.params.id, req.session.user._id, { ownerId: req.session.user._id });
+    if (!token) {
+      req.session.error = 'Token not found';
+    } else {
+      await auditLogger.logUpdate('ApiToken', token._id, { revokedAt: null }, { revokedAt: token.revokedAt }, req.session.user._id);
+      req.session.success = `Token "${token.name}" revoked`;
+    }
+  } catch (err) {
+    console.error('Error revoking API token:', err);
+    req.session.error = 'Failed to revoke token: ' + err.message;
+  }
+  res.redirect('/account/api-tokens');
+});
+
+// ─── 4. GET /admin/api-tokens ────────────────────────────────────────────────
+router.get('/admin/api-tokens', requirePermission('api.integrations'), async (req, res, next) => {
+  try {
+    const tokens = await apiTokens.listTokens({ user: null });
+    const personalTokens = await apiTokens.listTokens({ user: { $ne: null } });
+    renderTokens(req, res, {
+      mode: 'integration',
+      tokens,
+      personalTokens,
+      allowedScopes: API_SCOPES
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── 5. POST /admin/api-tokens ───────────────────────────────────────────────
+router.post('/admin/api-tokens', requirePermission('api.integrations'), tokenValidators, async (req, res) => {
+  try {
+    await createFromForm(req, null);
+  } catch (err) {
+    console.error('Error creating API token:', err);
+    req.session.error = 'Failed to create token: ' + err.message;
+  }
+  res.redirect('/admin/api-tokens');
+});
+
+// ─── 6. POST /admin/api-tokens/:id/revoke ────────────────────────────────────
+router.post('/admin/api-tokens/:id/revoke', requirePermission('api.integrations'), async (req, res) => {
+  try {
+    const token = await apiTokens.revokeToken(req.params.id, req.session.user._id);
+    if (!token) {
+      req.session.error = 'Token not found';
+    } else {
+      await auditLogger.logUpdate('ApiToken', token._id, { revokedAt: null }, { revokedAt: token.revokedAt }, req.session.user._id);
+      req.session.success = `Token "${token.name}" revoked`;
+    }
+  } catch (err) {
+    console.error('Error revoking API token:', err);
+    req.session.error = 'Failed to revoke token: ' + err.message;
+  }
+  res.redirect('/admin/api-tokens');
+});
+
+module.exports = router;
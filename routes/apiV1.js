@@ -0,0 +1,218 @@
+// routes/apiV1.js
+// ═════════════════════════════════════════════════════════════════════════════
+// JSON API v1 - read-only access for spreadsheets and partner tools
+// ═════════════════════════════════════════════════════════════════════════════
+//
+// Every request needs an API token (services/apiTokens.js):
+//
+//   curl -H "Authorization: Bearer thb_..." https://<host>/api/v1/donations?from=2025-01-01
+//
+// 1. GET /api/v1                     — the token's name and what it can read
+// 2. GET /api/v1/<resource>          — a page of records: { data, pagination }
+// 3. GET /api/v1/<resource>/:id      — one record: { data }
+//
+// Resources and the scope each needs are in RESOURCES below. Lists take
+// ?page, ?limit, ?sort, ?from/?to and per-resource filters (utils/apiQuery.js).
+// Deleted (and merged) records are never returned. Member home addresses are
+// only included for tokens with members.address, like on the member pages.
+//
+// Errors are JSON: { error: "..." } with 400, 401, 403 or 404.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Member = require('../models/Member');
+const Checkout = require('../models/Checkout');
+const Donation = require('../models/Donation');
+const Visit = require('../models/Visit');
+const Program = require('../models/Program');
+const Attendance = require('../models/Attendance');
+const TravelingStop = require('../models/TravelingStop');
+const BookDistribution = require('../models/BookDistribution');
+const SidewalkInventory = require('../models/SidewalkInventory');
+const { parseListQuery, pagination } = require('../utils/apiQuery');
+const { authenticateApiToken, requirePermission } = require('./_middleware');
+
+// Never sent: soft-delete bookkeeping and Mongoose internals
+const ALWAYS_HIDDEN = ['__v', 'isDeleted', 'deletedAt', 'deletedBy'];
+
+// URL name → how to read it. softDelete resources skip isDeleted records.
+const RESOURCES = {
+  members: {
+    model: Member,
+    permission: 'members.read',
+    softDelete: true,
+    filters: { memberType: 'string', zipCode: 'string', household: 'id', school: 'string', grade: 'string' },
+    dateField: 'joinedAt',
+    sortable: ['lastName', 'firstName', 'joinedAt', 'zipCode'],
+    defaultSort: 'lastName',
+    search: ['firstName', 'lastName', 'email'],
+    // Same rule as the member pages
+    hidden: access => (access.permissions.has('members.address') ? [] : ['address'])
+  },
+  checkouts: {
+    model: Checkout,
+    permission: 'checkouts.read',
+    softDelete: true,
+    filters: { member: 'id' },
+    dateField: 'checkoutDate',
+    sortable: ['checkoutDate', 'numberOfBooks', 'totalWeight'],
+    defaultSort: '-checkoutDate'
+  },
+  donations: {
+    model: Donation,
+    permission: 'donations.read',
+    softDelete: true,
+    filters: { donationType: 'string', donorType: 'string', member: 'id', organization: 'id', isBookDrive: 'boolean' },
+    dateField: 'donatedAt',
+    sortable: ['donatedAt', 'numberOfBooks', 'totalValue', 'monetaryAmount'],
+    defaultSort: '-donatedAt'
+  },
+  visits: {
+    model: Visit,
+    permission: 'visits.read',
+    filters: { member: 'id', purpose: 'string' },
+    dateField: 'visitDate',
+    sortable: ['visitDate'],
+    defaultSort: '-visitDate'
+  },
+  programs: {
+    model: Program,
+    permission: 'programs.read',
+    filters: { active: 'boolean', templateType: 'string' },
+    dateField: 'createdAt',
+    sortable: ['name', 'createdAt'],
+    defaultSort: 'name',
+    search: ['name', 'description']
+  },
+  attendance: {
+    model: Attendance,
+    permission: 'programs.read',
+    filters: { program: 'id', member: 'id' },
+    dateField: 'date',
+    dateType: 'day',
+    sortable: ['date'],
+    defaultSort: '-date'
+  },
+  'traveling-stops': {
+    model: TravelingStop,
+    permission: 'traveling.read',
+    filters: { stopType: 'string', stopZipCode: 'string', organization: 'id' },
+    dateField: 'date',
+    dateType: 'day',
+    sortable: ['date', 'stopName', 'booksDistributed'],
+    defaultSort: '-date',
+    search: ['stopName', 'stopAddress']
+  },
+  distributions: {
+    model: BookDistribution,
+    permission: 'distributions.read',
+    filters: { recipientType: 'string', member: 'id', organization: 'id' },
+    dateField: 'eventDate',
+    sortable: ['eventDate', 'totalBooks'],
+    defaultSort: '-eventDate',
+    search: ['eventName', 'location']
+  },
+  'sidewalk-inventory': {
+    model: SidewalkInventory,
+    permission: 'sidewalk.read',
+    filters: { category: 'string', location: 'string' },
+    dateField: 'weekStart',
+    sortable: ['weekStart', 'category'],
+    defaultSort: '-weekStart'
+  }
+};
+
+/**
+ * Fields to leave out of a resource's records for this token
+ * @param {Object} resource
+ * @param {Object} access - req.access
+ * @returns {String} Mongoose projection, e.g. '-__v -address'
+ */
+function projection(resource, access) {
+  const hidden = [...ALWAYS_HIDDEN, ...(resource.hidden ? resource.hidden(access) : [])];
+  return hidden.map(field => `-${field}`).join(' ');
+}
+
+/**
+ * Send an error as JSON - 400s carry a message for the caller, anything
+ * else is logged
+ * @param {Object} res - Express response
+ * @param {Error} err
+ */
+function sendError(res, err) {
+  if (err.status === 400) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error('API error:', err);
+  res.status(500).json({ error: 'Something went wrong' });
+}
+
+/**
+ * Base filter for a resource (skips deleted records)
+ * @param {Object} resource
+ * @returns {Object}
+ */
+function baseFilter(resource) {
+  return resource.softDelete ? { isDeleted: { $ne: true } } : {};
+}
+
+// Everything under /api/v1 needs a token
+router.use('/api/v1', authenticateApiToken);
+
+// ─── 1. GET /api/v1 ──────────────────────────────────────────────────────────
+router.get('/api/v1', (req, res) => {
+  res.json({
+    token: { name: req.access.name, scopes: [...req.access.permissions] },
+    resources: Object.keys(RESOURCES).filter(name => req.access.permissions.has(RESOURCES[name].permission))
+  });
+});
+
+// ─── 2 & 3. GET /api/v1/<resource> and /api/v1/<resource>/:id ───────────────
+Object.entries(RESOURCES).forEach(([name, resource]) => {
+  router.get(`/api/v1/${name}`, requirePermission(resource.permission), async (req, res) => {
+    try {
+      const { filter, sort, page, limit, skip } = parseListQuery(req.query, resource);
+      const query = { ...filter, ...baseFilter(resource) };
+
+      const [data, total] = await Promise.all([
+        resource.model.find(query).select(projection(resource, req.access)).sort(sort).skip(skip).limit(limit).lean(),
+        resource.model.countDocuments(query)
+      ]);
+
+      res.json({ data, pagination: pagination(page, limit, total) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get(`/api/v1/${name}/:id`, requirePermission(resource.permission), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      const record = await resource.model.findOne({ _id: req.params.id, ...baseFilter(resource) })
+        .select(projection(resource, req.access))
+        .lean();
+      if (!record) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      res.json({ data: record });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+});
+
+// Unknown /api/v1 URLs
+router.use('/api/v1', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+module.exports = router;
+module.exports.RESOURCES = RESOURCES;
+module.exports.ALWAYS_HIDDEN = ALWAYS_HIDDEN;
@@ -3,15 +3,15 @@ const router     = express.Router();
 const Attendance = require('../models/Attendance');
 const Attendee   = require('../models/Attendee');
 const Program    = require('../models/Program');
-const { ensureStaffOrAdmin } = require('./_middleware');
+const { requirePermission } = require('./_middleware');
 
 // Redirect /attendance to /attendance/new
-router.get('/attendance', ensureStaffOrAdmin, (req, res) => {
+router.get('/attendance', requirePermission('programs.manage'), (req, res) => {
   res.redirect('/attendance/new');
 });
 
 // Show attendance form - select program first
-router.get('/attendance/new', ensureStaffOrAdmin, async (req, res) => {
+router.get('/attendance/new', requirePermission('programs.manage'), async (req, res) => {
   try {
     const programs = await Program.find().sort({ name: 1 }).lean();
     res.render('selectProgramForAttendance', { user: req.session.user, programs });
@@ -22,7 +22,7 @@ router.get('/attendance/new', ensureStaffOrAdmin, async (req, res) => {
 });
 
 // Show attendance for a program on a given date
-router.get('/programs/:programId/attendance', ensureStaffOrAdmin, async (req, res) => {
+router.get('/programs/:programId/attendance', requirePermission('programs.manage'), async (req, res) => {
   const attendees = await Attendee.find({ program: req.params.programId })
     .populate('program', 'name')
     .lean();
@@ -43,7 +43,7 @@ router.get('/programs/:programId/attendance', ensureStaffOrAdmin, async (req, re
 });
 
 // Submit attendance (bulk)
-router.post('/programs/:programId/attendance', ensureStaffOrAdmin, async (req, res) => {
+router.post('/programs/:programId/attendance', requirePermission('programs.manage'), async (req, res) => {
   const { date, attended } = req.body;
   // attended = array of attendee IDs present
   const dt = new Date(date);
@@ -2,16 +2,16 @@ const express   = require('express');
 const router    = express.Router();
 const Program   = require('../models/Program');
 const Attendee  = require('../models/Attendee');
-const { ensureStaffOrAdmin } = require('./_middleware');
+const { requirePermission } = require('./_middleware');
 
 // Form to register a new attendee under a program
-router.get('/programs/:programId/attendees/new', ensureStaffOrAdmin, async (req, res) => {
+router.get('/programs/:programId/attendees/new', requirePermission('programs.manage'), async (req, res) => {
   const program = await Program.findById(req.params.programId).lean();
   res.render('newAttendee', { user: req.session.user, program });
 });
 
 // Handle attendee creation
-router.post('/programs/:programId/attendees', ensureStaffOrAdmin, async (req, res) => {
+router.post('/programs/:programId/attendees', requirePermission('programs.manage'), async (req, res) => {
   const { firstName, lastName } = req.body;
   await Attendee.create({
     program:   req.params.programId,
@@ -23,13 +23,13 @@ router.post('/programs/:programId/attendees', ensureStaffOrAdmin, async (req, re
 });
 
 // List attendees of a program
-router.get('/programs/:programId/attendees', ensureStaffOrAdmin, async (req, res) => {
+router.get('/programs/:programId/attendees', requirePermission('programs.read'), async (req, res) => {
   const attendees = await Attendee.find({ program: req.params.programId }).lean();
   res.render('attendeesList', { user: req.session.user, attendees });
 });
 
 // View single attendee (you’ll embed attendance & metrics here next)
-router.get('/programs/:programId/attendees/:id', ensureStaffOrAdmin, async (req, res) => {
+router.get('/programs/:programId/attendees/:id', requirePermission('programs.read'), async (req, res) => {
   const attendee = await Attendee.findById(req.params.id).lean();
   // We'll pull attendance & metric data into the next step
   res.render('attendeeDetails', { user: req.session.user, attendee });
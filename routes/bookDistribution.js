@@ -5,26 +5,88 @@ const router = express.Router();
 const BookDistribution = require('../models/BookDistribution');
 const Member = require('../models/Member');
 const Organization = require('../models/Organization');
-
-// Middleware: staff or admin only
-function ensureStaffOrAdmin(req, res, next) {
-  const role = req.session.user?.role;
-  if (role === 'staff' || role === 'admin') return next();
-  res.status(403).send('Forbidden');
-}
-
-function ensureAdmin(req, res, next) {
-  if (req.session.user?.role === 'admin') return next();
-  res.status(403).send('Forbidden - Admin only');
+const { requirePermission, requireExportPermission } = require('./_middleware');
+const { exportFormat, columnChoices, sendExport } = require('../services/exports');
+
+// ─── Exports (services/exports.js) ───────────────────────────────────────────
+
+const personName = person => (person ? `${person.firstName} ${person.lastName}` : '');
+const recipientName = d => personName(d.member) || d.organization?.name || '';
+
+// Books per category, off unless picked in the export menu
+const CATEGORY_COLUMNS = [
+  ['blackAuthorAdult', 'Black Author Adult'],
+  ['adult', 'Adult'],
+  ['blackAuthorKids', 'Black Author Kids'],
+  ['kids', 'Kids'],
+  ['boardBooks', 'Board Books']
+].map(([category, label]) => ({
+  key: category,
+  header: `${label} Books`,
+  value: d => d.bookCategories?.[category]?.quantity || 0,
+  type: 'integer',
+  optional: true
+}));
+
+const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', value: d => d.eventDate, type: 'date' },
+  { key: 'eventName', header: 'Event Name', value: d => d.eventName, width: 28 },
+  { key: 'recipientType', header: 'Recipient Type', value: d => d.recipientType || 'unknown' },
+  { key: 'recipient', header: 'Recipient', value: recipientName, width: 28 },
+  { key: 'location', header: 'Location', value: d => d.location, width: 28 },
+  { key: 'books', header: 'Books', value: d => d.totalBooks || 0, type: 'integer' },
+  ...CATEGORY_COLUMNS,
+  { key: 'notes', header: 'Notes', value: d => d.notes, width: 40 },
+  { key: 'recordedBy', header: 'Recorded By', value: d => personName(d.recordedBy) }
+];
+
+// Excel exports add the distributions totalled per recipient
+const RECIPIENT_SUMMARY = {
+  name: 'Recipients',
+  key: d => (d.member || d.organization)?._id?.toString(),
+  start: d => ({
+    name: recipientName(d),
+    type: d.member ? 'Person' : 'Organization',
+    distributions: 0, books: 0,
+    first: d.eventDate, last: d.eventDate
+  }),
+  add: (recipient, d) => {
+    recipient.distributions++;
+    recipient.books += d.totalBooks || 0;
+    // Distributions are newest first
+    recipient.first = d.eventDate;
+  },
+  columns: [
+    { header: 'Recipient', value: recipient => recipient.name, width: 28 },
+    { header: 'Type', value: recipient => recipient.type },
+    { header: 'Distributions', value: recipient => recipient.distributions, type: 'integer' },
+    { header: 'Books', value: recipient => recipient.books, type: 'integer' },
+    { header: 'First Distribution', value: recipient => recipient.first, type: 'date' },
+    { header: 'Last Distribution', value: recipient => recipient.last, type: 'date' }
+  ]
+};
+
+/**
+ * Does a distribution match the list's search (location, event or recipient)?
+ * @param {Object} d - Distribution with member and organization populated
+ * @param {String} searchLower - Lowercased search text
+ * @returns {Boolean}
+ */
+function matchesSearch(d, searchLower) {
+  if (d.location && d.location.toLowerCase().includes(searchLower)) return true;
+  if (d.eventName && d.eventName.toLowerCase().includes(searchLower)) return true;
+  if (d.member && personName(d.member).toLowerCase().includes(searchLower)) return true;
+  return Boolean(d.organization?.name?.toLowerCase().includes(searchLower));
 }
 
 // GET /book-distribution - List all distributions with pagination
-router.get('/book-distribution', ensureStaffOrAdmin, async (req, res) => {
+// ?format=csv|xlsx|json downloads every matching distribution instead
+router.get('/book-distribution', requirePermission('distributions.read'), requireExportPermission, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
-    const format = req.query.format; // 'csv' for export
+    const format = exportFormat(req.query.format);
     const search = req.query.search || '';
     const dateFrom = req.query.dateFrom;
     const dateTo = req.query.dateTo;
@@ -37,37 +99,39 @@ router.get('/book-distribution', ensureStaffOrAdmin, async (req, res) => {
       if (dateTo) query.eventDate.$lte = new Date(dateTo + 'T23:59:59');
     }
 
-    const totalDistributions = await BookDistribution.countDocuments(query);
-    const totalPages = Math.ceil(totalDistributions / limit);
-
-    // For CSV export, get all matching records
-    const fetchLimit = format === 'csv' ? 0 : limit;
-    const fetchSkip = format === 'csv' ? 0 : skip;
-
-    let distributions = await BookDistribution.find(query)
+    const populated = () => BookDistribution.find(query)
       .populate('member', 'firstName lastName')
       .populate('organization', 'name')
       .populate('recordedBy', 'firstName lastName')
-      .sort({ eventDate: -1 })
-      .skip(fetchSkip)
-      .limit(fetchLimit || undefined)
+      .sort({ eventDate: -1 });
+
+    // Export every matching distribution
+    if (format) {
+      return await sendExport(res, {
+        format,
+        fileName: 'distributions',
+        rows: populated().lean(),
+        filter: search ? d => matchesSearch(d, search.toLowerCase()) : null,
+        columns: EXPORT_COLUMNS,
+        selected: req.query.columns,
+        sheet: 'Distributions',
+        property: 'distributions',
+        summaries: [RECIPIENT_SUMMARY],
+        filters: { search, dateFrom, dateTo }
+      });
+    }
+
+    const totalDistributions = await BookDistribution.countDocuments(query);
+    const totalPages = Math.ceil(totalDistributions / limit);
+
+    let distributions = await populated()
+      .skip(skip)
+      .limit(limit)
       .lean();
 
     // Post-query filtering for location/name search
     if (search) {
-      const searchLower = search.toLowerCase();
-      distributions = distributions.filter(d => {
-        if (d.location && d.location.toLowerCase().includes(searchLower)) return true;
-        if (d.eventName && d.eventName.toLowerCase().includes(searchLower)) return true;
-        if (d.member) {
-          const fullName = `${d.member.firstName} ${d.member.lastName}`.toLowerCase();
-          if (fullName.includes(searchLower)) return true;
-        }
-        if (d.organization && d.organization.name && d.organization.name.toLowerCase().includes(searchLower)) {
-          return true;
-        }
-        return false;
-      });
+      distributions = distributions.filter(d => matchesSearch(d, search.toLowerCase()));
     }
 
     // Calculate stats for the current view
@@ -75,36 +139,6 @@ router.get('/book-distribution', ensureStaffOrAdmin, async (req, res) => {
       totalBooks: distributions.reduce((sum, d) => sum + (d.totalBooks || 0), 0)
     };
 
-    // CSV Export
-    if (format === 'csv') {
-      const csvRows = [
-        ['Date', 'Event Name', 'Recipient Type', 'Recipient', 'Location', 'Books', 'Notes', 'Recorded By'].join(',')
-      ];
-      distributions.forEach(d => {
-        let recipientName = '';
-        if (d.member) {
-          recipientName = `${d.member.firstName} ${d.member.lastName}`;
-        } else if (d.organization) {
-          recipientName = d.organization.name;
-        }
-        const recordedBy = d.recordedBy ? `${d.recordedBy.firstName} ${d.recordedBy.lastName}` : '';
-        csvRows.push([
-          new Date(d.eventDate).toLocaleDateString(),
-          `"${(d.eventName || '').replace(/"/g, '""')}"`,
-          d.recipientType || 'unknown',
-          `"${recipientName}"`,
-          `"${(d.location || '').replace(/"/g, '""')}"`,
-          d.totalBooks || 0,
-          `"${(d.notes || '').replace(/"/g, '""')}"`,
-          `"${recordedBy}"`
-        ].join(','));
-      });
-
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="distributions-${new Date().toISOString().split('T')[0]}.csv"`);
-      return res.send(csvRows.join('\n'));
-    }
-
     // Get flash messages
     const success = req.session.success;
     const error = req.session.error;
@@ -122,6 +156,7 @@ router.get('/book-distribution', ensureStaffOrAdmin, async (req, res) => {
       search,
       dateFrom: dateFrom || '',
       dateTo: dateTo || '',
+      exportColumns: columnChoices(EXPORT_COLUMNS),
       success,
       error
     });
@@ -132,7 +167,7 @@ router.get('/book-distribution', ensureStaffOrAdmin, async (req, res) => {
 });
 
 // GET /book-distribution/new - Show form
-router.get('/book-distribution/new', ensureStaffOrAdmin, (req, res) => {
+router.get('/book-distribution/new', requirePermission('distributions.create'), (req, res) => {
   // Get flash messages
   const success = req.session.success;
   const error = req.session.error;
@@ -149,7 +184,7 @@ router.get('/book-distribution/new', ensureStaffOrAdmin, (req, res) => {
 // POST /book-distribution - Create distribution record
 router.post(
   '/book-distribution',
-  ensureStaffOrAdmin,
+  requirePermission('distributions.create'),
   [
     body('recipientType')
       .trim()
@@ -244,7 +279,7 @@ router.post(
 );
 
 // GET /book-distribution/:id/edit - Edit distribution form (Admin only)
-router.get('/book-distribution/:id/edit', ensureAdmin, async (req, res) => {
+router.get('/book-distribution/:id/edit', requirePermission('distributions.edit'), async (req, res) => {
   try {
     const distribution = await BookDistribution.findById(req.params.id)
       .populate('member', 'firstName lastName')
@@ -268,7 +303,7 @@ router.get('/book-distribution/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // POST /book-distribution/:id/edit - Update distribution (Admin only)
-router.post('/book-distribution/:id/edit', ensureAdmin, async (req, res) => {
+router.post('/book-distribution/:id/edit', requirePermission('distributions.edit'), async (req, res) => {
   try {
     const { eventName, eventDate, totalBooks, notes } = req.body;
 
@@ -294,7 +329,7 @@ router.post('/book-distribution/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // POST /book-distribution/:id/delete - Delete distribution (Admin only)
-router.post('/book-distribution/:id/delete', ensureAdmin, async (req, res) => {
+router.post('/book-distribution/:id/delete', requirePermission('distributions.edit'), async (req, res) => {
   try {
     await BookDistribution.findByIdAndDelete(req.params.id);
     req.session.success = 'Distribution deleted successfully';
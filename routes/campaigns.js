@@ -0,0 +1,409 @@
+// routes/campaigns.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const Campaign = require('../models/Campaign');
+const EmailTemplate = require('../models/EmailTemplate');
+const Program = require('../models/Program');
+const campaigns = require('../services/campaigns');
+const auditLogger = require('../utils/auditLogger');
+const { requirePermission } = require('./_middleware');
+
+// Validation rules for the campaign form
+const campaignValidationRules = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Campaign name is required')
+    .isLength({ max: 200 }).withMessage('Name must be less than 200 characters'),
+
+  body('templateMode')
+    .isIn(['existing', 'compose']).withMessage('Choose an email template or write a new one'),
+
+  body('templateId')
+    .if(body('templateMode').equals('existing'))
+    .isMongoId().withMessage('Choose an email template'),
+
+  body('subject')
+    .if(body('templateMode').equals('compose'))
+    .trim()
+    .notEmpty().withMessage('Subject line is required')
+    .isLength({ max: 200 }).withMessage('Subject must be less than 200 characters'),
+
+  body('message')
+    .if(body('templateMode').equals('compose'))
+    .trim()
+    .notEmpty().withMessage('Message is required'),
+
+  body('zipCodes')
+    .optional({ checkFalsy: true })
+    .matches(/^\s*\d{5}(\s*[,\s]\s*\d{5})*\s*$/).withMessage('ZIP codes must be 5 digits, separated by commas'),
+
+  body('minAge')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0, max: 120 }).withMessage('Minimum age must be between 0 and 120'),
+
+  body('maxAge')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0, max: 120 }).withMessage('Maximum age must be between 0 and 120'),
+
+  body('visitedWithinDays')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 3650 }).withMessage('Visited within must be between 1 and 3650 days'),
+
+  body('ratePerMinute')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 600 }).withMessage('Send rate must be between 1 and 600 emails per minute')
+];
+
+/**
+ * Campaign.segment from the form fields
+ */
+function segmentFromBody(data) {
+  const toNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+
+  return {
+    memberType: data.memberType || '',
+    zipCodes: String(data.zipCodes || '').split(/[\s,]+/).filter(Boolean),
+    minAge: toNumber(data.minAge),
+    maxAge: toNumber(data.maxAge),
+    visitedWithinDays: toNumber(data.visitedWithinDays),
+    programs: [].concat(data.programs || []).filter(id => mongoose.isValidObjectId(id)),
+    includeGuardians: data.includeGuardians === 'true'
+  };
+}
+
+/**
+ * Programs and templates to choose from on the campaign form
+ * @param {Object} campaign - Campaign being edited (its template is always listed)
+ */
+async function formOptions(campaign) {
+  const [programs, templates] = await Promise.all([
+    Program.find({ active: { $ne: false } }).select('name').sort('name').lean(),
+    campaigns.getCampaignTemplates(campaign ? campaign.template : null)
+  ]);
+  return { programs, templates };
+}
+
+/**
+ * Create a template from the compose fields, or use the one picked
+ * @returns {Promise<ObjectId>} EmailTemplate ID
+ */
+async function templateFromBody(data, userId) {
+  if (data.templateMode === 'compose') {
+    const template = await campaigns.composeTemplate({
+      name: data.name,
+      subject: data.subject,
+      message: data.message
+    }, userId);
+    return template._id;
+  }
+
+  const template = await EmailTemplate.findOne({ _id: data.templateId, category: 'campaign' });
+  if (!template) {
+    throw new Error('Email template not found');
+  }
+  return template._id;
+}
+
+// 1. GET /campaigns — all campaigns, newest first
+router.get('/campaigns', requirePermission('campaigns.manage'), async (req, res) => {
+  try {
+    const campaignList = await Campaign.find({ isDeleted: { $ne: true } })
+      .populate('template', 'name subject')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    // Get flash messages
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('campaignsList', {
+      user: req.session.user,
+      campaigns: campaignList,
+      success,
+      error
+    });
+  } catch (err) {
+    console.error('Error loading campaigns:', err);
+    req.session.error = 'Failed to load campaigns';
+    res.redirect('/dashboard');
+  }
+});
+
+// 2. GET /campaigns/new — campaign form
+router.get('/campaigns/new', requirePermission('campaigns.manage'), async (req, res) => {
+  try {
+    res.render('campaignForm', {
+      user: req.session.user,
+      campaign: null,
+      values: { templateMode: 'compose', includeGuardians: 'true', ratePerMinute: 30 },
+      ...(await formOptions()),
+      error: null
+    });
+  } catch (err) {
+    console.error('Error loading campaign form:', err);
+    req.session.error = 'Failed to load campaign form';
+    res.redirect('/campaigns');
+  }
+});
+
+// 3. POST /campaigns/recipient-count — live recipient count for the form (JSON)
+router.post('/campaigns/recipient-count', requirePermission('campaigns.manage'), async (req, res) => {
+  try {
+    const recipients = await campaigns.resolveRecipients(segmentFromBody(req.body));
+    res.json({ count: recipients.length });
+  } catch (err) {
+    console.error('Error counting campaign recipients:', err);
+    res.status(500).json({ error: 'Could not count recipients' });
+  }
+});
+
+// 4. POST /campaigns — create a draft
+router.post('/campaigns', requirePermission('campaigns.manage'), campaignValidationRules, async (req, res) => {
+  const errors = validationResult(req);
+  const renderForm = async error => res.render('campaignForm', {
+    user: req.session.user,
+    campaign: null,
+    values: req.body,
+    ...(await formOptions()),
+    error
+  });
+
+  if (!errors.isEmpty()) {
+    return renderForm(errors.array()[0].msg);
+  }
+
+  try {
+    const campaign = new Campaign({
+      name: req.body.name,
+      segment: segmentFromBody(req.body),
+      ratePerMinute: req.body.ratePerMinute || undefined,
+      createdBy: req.session.user._id
+    });
+
+    // Check the campaign before composing a template for it
+    const validationError = campaign.validateSync(['segment', 'ratePerMinute']);
+    if (validationError) {
+      return renderForm(Object.values(validationError.errors)[0].message);
+    }
+
+    campaign.template = await templateFromBody(req.body, req.session.user._id);
+    await campaign.save();
+    await auditLogger.logCreate('Campaign', campaign, req.session.user._id);
+
+    req.session.success = 'Campaign saved as a draft - check the preview, then schedule it';
+    res.redirect(`/campaigns/${campaign._id}`);
+  } catch (err) {
+    console.error('Error creating campaign:', err);
+    return renderForm('Failed to create campaign: ' + err.message);
+  }
+});
+
+// 5. GET /campaigns/:id — preview, recipients and per-recipient status
+router.get('/campaigns/:id', requirePermission('campaigns.manage'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ _id: req.params.id, isDeleted: { $ne: true } })
+      .populate('template')
+      .populate('createdBy', 'firstName lastName')
+      .lean();
+
+    if (!campaign) {
+      req.session.error = 'Campaign not found';
+      return res.redirect('/campaigns');
+    }
+
+    const programs = await Program.find({ _id: { $in: campaign.segment.programs || [] } }).select('name').lean();
+    const programNames = {};
+    programs.forEach(p => { programNames[p._id.toString()] = p.name; });
+
+    const preview = await campaigns.previewCampaign(campaign);
+    const stats = await campaigns.getCampaignStats(campaign._id);
+    const recipientLog = await campaigns.getRecipientLog(campaign._id, { status: req.query.status });
+
+    // Get flash messages
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('campaignDetails', {
+      user: req.session.user,
+      campaign,
+      segmentLines: campaigns.describeSegment(campaign.segment, programNames),
+      preview,
+      stats,
+      recipientLog,
+      statusFilter: req.query.status || '',
+      success,
+      error
+    });
+  } catch (err) {
+    console.error('Error loading campaign:', err);
+    req.session.error = 'Failed to load campaign';
+    res.redirect('/campaigns');
+  }
+});
+
+// 6. GET /campaigns/:id/edit — edit a campaign that hasn't started sending
+router.get('/campaigns/:id/edit', requirePermission('campaigns.manage'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+
+    if (!campaign) {
+      req.session.error = 'Campaign not found';
+      return res.redirect('/campaigns');
+    }
+    if (!campaign.isEditable()) {
+      req.session.error = 'This campaign has already been sent and can no longer be edited';
+      return res.redirect(`/campaigns/${campaign._id}`);
+    }
+
+    const segment = campaign.segment || {};
+    res.render('campaignForm', {
+      user: req.session.user,
+      campaign,
+      values: {
+        name: campaign.name,
+        templateMode: 'existing',
+        templateId: campaign.template.toString(),
+        memberType: segment.memberType,
+        zipCodes: (segment.zipCodes || []).join(', '),
+        minAge: segment.minAge,
+        maxAge: segment.maxAge,
+        visitedWithinDays: segment.visitedWithinDays,
+        programs: (segment.programs || []).map(String),
+        includeGuardians: segment.includeGuardians ? 'true' : '',
+        ratePerMinute: campaign.ratePerMinute
+      },
+      ...(await formOptions(campaign)),
+      error: null
+    });
+  } catch (err) {
+    console.error('Error loading campaign for edit:', err);
+    req.session.error = 'Failed to load campaign';
+    res.redirect('/campaigns');
+  }
+});
+
+// 7. POST /campaigns/:id — update a campaign that hasn't started sending
+router.post('/campaigns/:id', requirePermission('campaigns.manage'), campaignValidationRules, async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+
+    if (!campaign) {
+      req.session.error = 'Campaign not found';
+      return res.redirect('/campaigns');
+    }
+    if (!campaign.isEditable()) {
+      req.session.error = 'This campaign has already been sent and can no longer be edited';
+      return res.redirect(`/campaigns/${campaign._id}`);
+    }
+
+    const renderForm = async error => res.render('campaignForm', {
+      user: req.session.user,
+      campaign,
+      values: req.body,
+      ...(await formOptions(campaign)),
+      error
+    });
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return renderForm(errors.array()[0].msg);
+    }
+
+    const original = campaign.toObject();
+    campaign.name = req.body.name;
+    campaign.segment = segmentFromBody(req.body);
+    campaign.ratePerMinute = req.body.ratePerMinute || 30;
+    campaign.updatedBy = req.session.user._id;
+
+    const validationError = campaign.validateSync(['segment', 'ratePerMinute']);
+    if (validationError) {
+      return renderForm(Object.values(validationError.errors)[0].message);
+    }
+
+    campaign.template = await templateFromBody(req.body, req.session.user._id);
+    await campaign.save();
+    await auditLogger.logUpdate('Campaign', campaign._id, original, campaign, req.session.user._id);
+
+    req.session.success = 'Campaign updated';
+    res.redirect(`/campaigns/${campaign._id}`);
+  } catch (err) {
+    console.error('Error updating campaign:', err);
+    req.session.error = 'Failed to update campaign: ' + err.message;
+    res.redirect(`/campaigns/${req.params.id}/edit`);
+  }
+});
+
+// 8. POST /campaigns/:id/schedule — send now or at a chosen time
+router.post('/campaigns/:id/schedule', requirePermission('campaigns.manage'), async (req, res) => {
+  let sendAt = null;
+  if (req.body.sendAt) {
+    sendAt = new Date(req.body.sendAt);
+    if (isNaN(sendAt.getTime())) {
+      req.session.error = 'Invalid send time';
+      return res.redirect(`/campaigns/${req.params.id}`);
+    }
+  }
+
+  try {
+    const campaign = await campaigns.scheduleCampaign(req.params.id, sendAt, req.session.user._id);
+    req.session.success = sendAt && sendAt > new Date()
+      ? `Campaign scheduled for ${campaign.scheduledAt.toLocaleString('en-US')}`
+      : 'Campaign is sending - refresh to follow its progress';
+  } catch (err) {
+    console.error('Error scheduling campaign:', err);
+    req.session.error = 'Failed to schedule campaign: ' + err.message;
+  }
+  res.redirect(`/campaigns/${req.params.id}`);
+});
+
+// 9. POST /campaigns/:id/cancel — unschedule, or stop a send in progress
+router.post('/campaigns/:id/cancel', requirePermission('campaigns.manage'), async (req, res) => {
+  try {
+    const campaign = await campaigns.cancelCampaign(req.params.id, req.session.user._id);
+    req.session.success = campaign.status === 'draft'
+      ? 'Campaign unscheduled - it is a draft again'
+      : 'Campaign cancelled - no more emails will be sent';
+  } catch (err) {
+    console.error('Error cancelling campaign:', err);
+    req.session.error = 'Failed to cancel campaign: ' + err.message;
+  }
+  res.redirect(`/campaigns/${req.params.id}`);
+});
+
+// 10. POST /campaigns/:id/delete — soft delete a campaign that isn't sending
+router.post('/campaigns/:id/delete', requirePermission('campaigns.manage'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+
+    if (!campaign) {
+      req.session.error = 'Campaign not found';
+      return res.redirect('/campaigns');
+    }
+    if (campaign.status === 'scheduled' || campaign.status === 'sending') {
+      req.session.error = 'Cancel the campaign before deleting it';
+      return res.redirect(`/campaigns/${campaign._id}`);
+    }
+
+    campaign.isDeleted = true;
+    campaign.deletedAt = new Date();
+    campaign.deletedBy = req.session.user._id;
+    await campaign.save();
+    await auditLogger.logDelete('Campaign', campaign._id, req.session.user._id);
+
+    req.session.success = `"${campaign.name}" deleted`;
+    res.redirect('/campaigns');
+  } catch (err) {
+    console.error('Error deleting campaign:', err);
+    req.session.error = 'Failed to delete campaign: ' + err.message;
+    res.redirect(`/campaigns/${req.params.id}`);
+  }
+});
+
+module.exports = router;
@@ -11,7 +11,8 @@
 // 2. Member has a valid email address in their profile
 //
 // If email sending fails, the checkout is still recorded successfully.
-// Emails are non-critical and failures are logged but don't block the operation.
+// Emails go through the outbound queue (services/emailQueue.js), which
+// retries failed sends - see /admin/email-logs for anything that gave up.
 //
 // See services/mailer.js for email configuration instructions.
 //
@@ -22,17 +23,77 @@ const { body, validationResult } = require('express-validator');
 const router   = express.Router();
 const Member   = require('../models/Member');
 const Checkout = require('../models/Checkout');
-const { sendCheckoutThankYouEmail } = require('../services/mailer');
-const { ensureVolunteerOrHigher, ensureAdmin } = require('./_middleware');
+const emailQueue = require('../services/emailQueue');
+const { requirePermission, requireExportPermission } = require('./_middleware');
+const { exportFormat, columnChoices, sendExport } = require('../services/exports');
+
+// ─── Exports (services/exports.js) ───────────────────────────────────────────
+
+const personName = person => (person ? `${person.firstName} ${person.lastName}` : '');
+const checkoutWeight = c => c.weight || c.totalWeight || 0;
+
+const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', value: c => c.checkoutDate, type: 'date' },
+  { key: 'member', header: 'Member Name', value: c => personName(c.member) || 'Unknown', width: 24 },
+  { key: 'email', header: 'Member Email', value: c => c.member?.email, width: 28 },
+  { key: 'books', header: 'Books', value: c => c.numberOfBooks || 0, type: 'integer' },
+  { key: 'weight', header: 'Weight (lbs)', value: checkoutWeight, type: 'number' },
+  { key: 'genres', header: 'Genres', value: c => (c.genres || []).join('; '), width: 28, optional: true },
+  { key: 'monetary', header: 'Monetary Donation ($)', value: c => c.monetaryDonation || 0, type: 'currency', optional: true },
+  { key: 'recordedBy', header: 'Recorded By', value: c => personName(c.recordedBy) }
+];
+
+// Excel exports add the checkouts totalled per member
+const MEMBER_SUMMARY = {
+  name: 'Members',
+  key: c => c.member?._id?.toString(),
+  start: c => ({
+    name: personName(c.member),
+    email: c.member.email,
+    checkouts: 0, books: 0, weight: 0,
+    first: c.checkoutDate, last: c.checkoutDate
+  }),
+  add: (member, c) => {
+    member.checkouts++;
+    member.books += c.numberOfBooks || 0;
+    member.weight += checkoutWeight(c);
+    // Checkouts are newest first
+    member.first = c.checkoutDate;
+  },
+  columns: [
+    { header: 'Member Name', value: member => member.name, width: 24 },
+    { header: 'Member Email', value: member => member.email, width: 28 },
+    { header: 'Checkouts', value: member => member.checkouts, type: 'integer' },
+    { header: 'Books', value: member => member.books, type: 'integer' },
+    { header: 'Weight (lbs)', value: member => member.weight, type: 'number' },
+    { header: 'First Checkout', value: member => member.first, type: 'date' },
+    { header: 'Last Checkout', value: member => member.last, type: 'date' }
+  ]
+};
+
+/**
+ * Does a checkout's member match the list's search (name or email)?
+ * @param {Object} c - Checkout with member populated
+ * @param {String} searchLower - Lowercased search text
+ * @returns {Boolean}
+ */
+function matchesSearch(c, searchLower) {
+  return Boolean(c.member && (
+    c.member.firstName?.toLowerCase().includes(searchLower) ||
+    c.member.lastName?.toLowerCase().includes(searchLower) ||
+    c.member.email?.toLowerCase().includes(searchLower)
+  ));
+}
 
 // GET /checkouts - List all checkouts with pagination
-router.get('/checkouts', ensureVolunteerOrHigher, async (req, res) => {
+// ?format=csv|xlsx|json downloads every matching checkout instead
+router.get('/checkouts', requirePermission('checkouts.read'), requireExportPermission, async (req, res) => {
   try {
     // Pagination params
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
-    const format = req.query.format; // 'csv' for export
+    const format = exportFormat(req.query.format);
 
     // Search/filter params
     const search = req.query.search || '';
@@ -48,6 +109,27 @@ router.get('/checkouts', ensureVolunteerOrHigher, async (req, res) => {
       if (dateTo) query.checkoutDate.$lte = new Date(dateTo + 'T23:59:59');
     }
 
+    const populated = () => Checkout.find(query)
+      .populate('member', 'firstName lastName email')
+      .populate('recordedBy', 'firstName lastName')
+      .sort({ checkoutDate: -1 });
+
+    // Export every matching checkout
+    if (format) {
+      return await sendExport(res, {
+        format,
+        fileName: 'checkouts',
+        rows: populated().lean(),
+        filter: search ? c => matchesSearch(c, search.toLowerCase()) : null,
+        columns: EXPORT_COLUMNS,
+        selected: req.query.columns,
+        sheet: 'Checkouts',
+        property: 'checkouts',
+        summaries: [MEMBER_SUMMARY],
+        filters: { search, dateFrom, dateTo }
+      });
+    }
+
     // Get total count for pagination
     const totalCheckouts = await Checkout.countDocuments(query);
     const totalPages = Math.ceil(totalCheckouts / limit);
@@ -65,53 +147,15 @@ router.get('/checkouts', ensureVolunteerOrHigher, async (req, res) => {
     ]);
     const stats = statsAggregation[0] || { totalBooks: 0, totalWeight: 0 };
 
-    // For CSV export, get all matching records (no pagination)
-    const fetchLimit = format === 'csv' ? 0 : limit;
-    const fetchSkip = format === 'csv' ? 0 : skip;
-
     // Fetch checkouts
-    let checkouts = await Checkout.find(query)
-      .populate('member', 'firstName lastName email')
-      .populate('recordedBy', 'firstName lastName')
-      .sort({ checkoutDate: -1 })
-      .skip(fetchSkip)
-      .limit(fetchLimit || undefined)
+    let checkouts = await populated()
+      .skip(skip)
+      .limit(limit)
       .lean();
 
     // Filter by member name if search provided (post-query for populated fields)
     if (search) {
-      const searchLower = search.toLowerCase();
-      checkouts = checkouts.filter(c =>
-        c.member && (
-          c.member.firstName?.toLowerCase().includes(searchLower) ||
-          c.member.lastName?.toLowerCase().includes(searchLower) ||
-          c.member.email?.toLowerCase().includes(searchLower)
-        )
-      );
-    }
-
-    // CSV Export
-    if (format === 'csv') {
-      const csvRows = [
-        ['Date', 'Member Name', 'Member Email', 'Books', 'Weight (lbs)', 'Recorded By'].join(',')
-      ];
-      checkouts.forEach(c => {
-        const memberName = c.member ? `${c.member.firstName} ${c.member.lastName}` : 'Unknown';
-        const memberEmail = c.member?.email || '';
-        const recordedBy = c.recordedBy ? `${c.recordedBy.firstName} ${c.recordedBy.lastName}` : '';
-        csvRows.push([
-          new Date(c.checkoutDate).toLocaleDateString(),
-          `"${memberName}"`,
-          memberEmail,
-          c.numberOfBooks || 0,
-          (c.weight || c.totalWeight || 0).toFixed(1),
-          `"${recordedBy}"`
-        ].join(','));
-      });
-
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="checkouts-${new Date().toISOString().split('T')[0]}.csv"`);
-      return res.send(csvRows.join('\n'));
+      checkouts = checkouts.filter(c => matchesSearch(c, search.toLowerCase()));
     }
 
     res.render('checkoutsList', {
@@ -130,7 +174,8 @@ router.get('/checkouts', ensureVolunteerOrHigher, async (req, res) => {
         search,
         dateFrom,
         dateTo
-      }
+      },
+      exportColumns: columnChoices(EXPORT_COLUMNS)
     });
   } catch (err) {
     console.error('Error fetching checkouts:', err);
@@ -139,7 +184,7 @@ router.get('/checkouts', ensureVolunteerOrHigher, async (req, res) => {
 });
 
 // GET form to create new checkout
-router.get('/checkouts/new', ensureVolunteerOrHigher, async (req, res) => {
+router.get('/checkouts/new', requirePermission('checkouts.create'), async (req, res) => {
   try {
     // Don't load all members - use search instead
     res.render('newCheckout', { user: req.session.user });
@@ -152,7 +197,7 @@ router.get('/checkouts/new', ensureVolunteerOrHigher, async (req, res) => {
 // POST create a checkout
 router.post(
   '/checkouts',
-  ensureVolunteerOrHigher,
+  requirePermission('checkouts.create'),
   [
     // Validation rules
     body('memberId')
@@ -251,13 +296,17 @@ router.post(
       // 2. Fetch member details for email
       const member = await Member.findById(memberId).lean();
 
-      // 3. Send thank-you email (non-blocking, fails silently if email not configured)
+      // 3. Queue thank-you email (the worker sends it and retries on failure)
       if (member && member.email) {
-        sendCheckoutThankYouEmail(member.email, member.firstName, {
-          numberOfBooks: checkoutData.numberOfBooks,
-          weight: checkoutData.weight
+        await emailQueue.enqueue('checkout_thank_you', member.email, {
+          firstName: member.firstName,
+          details: {
+            memberId: member._id.toString(),
+            numberOfBooks: checkoutData.numberOfBooks,
+            weight: checkoutData.weight
+          }
         }).catch(err => {
-          console.error('Email sending failed (non-critical):', err.message);
+          console.error('Failed to queue checkout thank-you email (non-critical):', err.message);
         });
       }
 
@@ -277,7 +326,7 @@ router.post(
 );
 
 // GET /checkouts/:id/edit - Edit checkout form (Admin only)
-router.get('/checkouts/:id/edit', ensureAdmin, async (req, res) => {
+router.get('/checkouts/:id/edit', requirePermission('checkouts.edit'), async (req, res) => {
   try {
     const checkout = await Checkout.findById(req.params.id)
       .populate('member', 'firstName lastName email')
@@ -300,7 +349,7 @@ router.get('/checkouts/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // POST /checkouts/:id/edit - Update checkout (Admin only)
-router.post('/checkouts/:id/edit', ensureAdmin, async (req, res) => {
+router.post('/checkouts/:id/edit', requirePermission('checkouts.edit'), async (req, res) => {
   try {
     const { weight, checkoutDate, bookCategories, monetaryDonation } = req.body;
 
@@ -344,7 +393,7 @@ router.post('/checkouts/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // POST /checkouts/:id/delete - Delete checkout (Admin only)
-router.post('/checkouts/:id/delete', ensureAdmin, async (req, res) => {
+router.post('/checkouts/:id/delete', requirePermission('checkouts.delete'), async (req, res) => {
   try {
     await Checkout.findByIdAndDelete(req.params.id);
     req.session.success = 'Checkout deleted successfully';
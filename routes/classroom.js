@@ -8,7 +8,7 @@ const Member = require('../models/Member');
 const MetricValue = require('../models/MetricValue');
 const MetricDef = require('../models/MetricDefinition');
 const Attendance = require('../models/Attendance');
-const { ensureStaffOrAdmin } = require('./_middleware');
+const { requirePermission } = require('./_middleware');
 const {
   initializeClassroomMetrics,
   addStudentToClassroom,
@@ -20,7 +20,7 @@ const {
  * GET /classroom/setup
  * Classroom program setup wizard
  */
-router.get('/classroom/setup', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/classroom/setup', requirePermission('programs.manage'), async (req, res, next) => {
   try {
     const user = req.session.user;
     res.render('classroomSetup', { user });
@@ -34,7 +34,7 @@ router.get('/classroom/setup', ensureStaffOrAdmin, async (req, res, next) => {
  * Create new classroom program with template
  */
 router.post('/classroom/create',
-  ensureStaffOrAdmin,
+  requirePermission('programs.manage'),
   [
     body('name').trim().notEmpty().withMessage('Program name is required'),
     body('description').optional().trim(),
@@ -87,7 +87,7 @@ router.post('/classroom/create',
  * GET /classroom/:id/manage
  * Classroom management dashboard
  */
-router.get('/classroom/:id/manage', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/classroom/:id/manage', requirePermission('programs.manage'), async (req, res, next) => {
   try {
     const user = req.session.user;
     const programId = req.params.id;
@@ -125,7 +125,7 @@ router.get('/classroom/:id/manage', ensureStaffOrAdmin, async (req, res, next) =
  * Add student to classroom program
  */
 router.post('/classroom/:id/add-student',
-  ensureStaffOrAdmin,
+  requirePermission('programs.manage'),
   [
     body('firstName').trim().notEmpty().withMessage('First name is required'),
     body('lastName').trim().notEmpty().withMessage('Last name is required'),
@@ -178,7 +178,7 @@ router.post('/classroom/:id/add-student',
  * GET /classroom/:id/tracker
  * Daily attendance and metric tracking interface
  */
-router.get('/classroom/:id/tracker', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/classroom/:id/tracker', requirePermission('programs.manage'), async (req, res, next) => {
   try {
     const user = req.session.user;
     const programId = req.params.id;
@@ -233,7 +233,7 @@ router.get('/classroom/:id/tracker', ensureStaffOrAdmin, async (req, res, next)
  * POST /classroom/:id/tracker/submit
  * Submit bulk attendance and metrics for a date
  */
-router.post('/classroom/:id/tracker/submit', ensureStaffOrAdmin, async (req, res, next) => {
+router.post('/classroom/:id/tracker/submit', requirePermission('programs.manage'), async (req, res, next) => {
   try {
     const programId = req.params.id;
     const { date, attendance, metrics } = req.body;
@@ -299,7 +299,7 @@ router.post('/classroom/:id/tracker/submit', ensureStaffOrAdmin, async (req, res
  * POST /classroom/:id/sync-members
  * Bulk sync all attendees to members database
  */
-router.post('/classroom/:id/sync-members', ensureStaffOrAdmin, async (req, res, next) => {
+router.post('/classroom/:id/sync-members', requirePermission('programs.manage'), async (req, res, next) => {
   try {
     const programId = req.params.id;
     const results = await bulkSyncAttendeesToMembers(programId);
@@ -13,17 +13,13 @@ const MetricValue         = require('../models/MetricValue');
 const MetricDef           = require('../models/MetricDefinition');
 const Visit               = require('../models/Visit');
 const User                = require('../models/User');
-
-/**
- * Only allow logged-in users to see any dashboard.
- */
-function ensureAuthenticated(req, res, next) {
-  if (req.session?.user) return next();
-  return res.redirect('/custom-login');
-}
+const { ensureAuthenticated, requirePermission } = require('./_middleware');
 
 router.get('/dashboard', ensureAuthenticated, async (req, res) => {
   const user    = req.session.user;
+  const can     = key => req.access.permissions.has(key);
+  // Custom roles get the dashboard and announcements of their base role
+  const role    = req.access.baseRole;
   const success = req.session.success;
   delete req.session.success;
 
@@ -38,12 +34,12 @@ router.get('/dashboard', ensureAuthenticated, async (req, res) => {
   const notificationLimit = 10;
   const totalNotifications = await Notification.countDocuments({
     acknowledgedBy: { $ne: user._id },
-    targetRoles:    user.role
+    targetRoles:    role
   });
 
   const notifications = await Notification.find({
     acknowledgedBy: { $ne: user._id },
-    targetRoles:    user.role
+    targetRoles:    role
   })
     .sort({ createdAt: -1 })
     .limit(notificationLimit)
@@ -52,9 +48,9 @@ router.get('/dashboard', ensureAuthenticated, async (req, res) => {
 
   const hasMoreNotifications = totalNotifications > notificationLimit;
 
-  // 2. Load messages & user list (staff/admin only, with pagination info)
+  // 2. Load messages & user list (message senders only, with pagination info)
   let messages = [], userList = [], hasMoreMessages = false;
-  if (['staff','admin'].includes(user.role)) {
+  if (can('messages.send')) {
     const messageLimit = 10;
     const totalMessages = await Message.countDocuments({
       $or: [
@@ -89,19 +85,19 @@ router.get('/dashboard', ensureAuthenticated, async (req, res) => {
   stats.totalPrograms = await Program.countDocuments();
   stats.totalCheckouts = await Checkout.countDocuments();
 
-  // Staff and admin get member counts
-  if (['staff','admin'].includes(user.role)) {
+  // Member counts for anyone who can see members
+  if (can('members.read')) {
     stats.totalMembers = await Member.countDocuments();
   }
 
-  // Only admin gets user counts
-  if (user.role === 'admin') {
+  // User counts for user managers
+  if (can('users.manage')) {
     stats.totalUsers = await require('../models/User').countDocuments();
   }
 
-  // 4. Get metrics summary (staff/admin only)
+  // 4. Get metrics summary (metrics viewers only)
   let recentMetrics = [];
-  if (['staff','admin'].includes(user.role)) {
+  if (can('metrics.read')) {
     // Get recent metric values across all programs
     recentMetrics = await MetricValue.find()
       .sort({ createdAt: -1 })
@@ -125,9 +121,9 @@ router.get('/dashboard', ensureAuthenticated, async (req, res) => {
 
   let programCount = stats.totalPrograms;
 
-  // 6. Prepare chart data (admin only)
+  // 6. Prepare chart data (organization-wide reports only)
   let monthLabels = [], checkoutCounts = [], donationCounts = [], memberCounts = [], programStats = [];
-  if (user.role === 'admin') {
+  if (can('reports.view')) {
     const now = new Date();
     // Build 12-month array
     const months = Array.from({ length: 12 }, (_, i) =>
@@ -188,7 +184,7 @@ console.log({ monthLabels, checkoutCounts, donationCounts, memberCounts, program
   // Check if front desk mode is active
   if (req.session.frontDeskMode) {
     templateName = 'dashboardFrontDesk';
-  } else if (user.role === 'admin' && requestedView) {
+  } else if (role === 'admin' && requestedView) {
     // Admins can view any dashboard
     templateName = requestedView === 'admin' ? 'dashboardAdmin'
                  : requestedView === 'staff' ? 'dashboardStaff'
@@ -196,8 +192,8 @@ console.log({ monthLabels, checkoutCounts, donationCounts, memberCounts, program
                  : 'dashboardAdmin'; // Default to admin view for invalid requests
   } else {
     // Normal users see their role-based dashboard
-    templateName = user.role === 'admin' ? 'dashboardAdmin'
-                 : user.role === 'staff' ? 'dashboardStaff'
+    templateName = role === 'admin' ? 'dashboardAdmin'
+                 : role === 'staff' ? 'dashboardStaff'
                  : 'dashboardVolunteer';
   }
 
@@ -224,8 +220,8 @@ console.log({ monthLabels, checkoutCounts, donationCounts, memberCounts, program
     frontDeskMode: req.session.frontDeskMode || false
   };
 
-  // Add admin-specific chart data if admin
-  if (user.role === 'admin') {
+  // Add chart data for organization-wide reports
+  if (can('reports.view')) {
     dashboardData.monthLabels = monthLabels;
     dashboardData.checkoutCounts = checkoutCounts;
     dashboardData.donationCounts = donationCounts;
@@ -240,16 +236,9 @@ console.log({ monthLabels, checkoutCounts, donationCounts, memberCounts, program
 
 /**
  * POST /front-desk/enter - Enable front desk mode
- * Volunteers, staff, and admin can enter front desk mode
+ * Any role with the frontdesk.use permission can enter front desk mode
  */
-router.post('/front-desk/enter', ensureAuthenticated, (req, res) => {
-  const role = req.session.user?.role;
-
-  if (role !== 'volunteer' && role !== 'staff' && role !== 'admin') {
-    req.session.error = 'You do not have permission to enter front desk mode.';
-    return res.redirect('/dashboard');
-  }
-
+router.post('/front-desk/enter', requirePermission('frontdesk.use'), (req, res) => {
   req.session.frontDeskMode = true;
   req.session.success = 'Front desk mode activated. Access is now limited to essential functions.';
   res.redirect('/dashboard');
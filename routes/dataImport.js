@@ -2,14 +2,48 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { ensureStaffOrAdmin } = require('./_middleware');
+const { requirePermission } = require('./_middleware');
 const {
   CSV_TEMPLATES,
+  CSV_IMPORTS,
+  IMPORT_MODES,
+  KNACK_IMPORTS,
   previewImport,
-  executeImport,
+  previewKnackImport,
+  spreadsheetToCSV,
+  queueImport,
+  cancelImport,
+  getImportProgress,
   rollbackImport
 } = require('../services/dataImport');
 const ImportHistory = require('../models/ImportHistory');
+const { XLSX_MIME_TYPE, sendWorkbook } = require('../utils/spreadsheet');
+const { csvField } = require('../services/exports');
+
+// Import types each source supports
+const SOURCE_TYPES = {
+  csv: Object.keys(CSV_TEMPLATES),
+  knack: Object.keys(KNACK_IMPORTS)
+};
+
+/**
+ * Mode and match key from a preview/execute form (CSV imports only)
+ * @param {Object} body
+ * @returns {Object} mode, matchKey
+ */
+function importOptions(body) {
+  const mode = body.source === 'knack' ? 'create' : (body.mode || 'create');
+  return { mode, matchKey: mode === 'create' ? null : body.matchKey };
+}
+
+// Match keys for each CSV import type, for the mode selector
+const MATCH_KEYS = {};
+Object.entries(CSV_IMPORTS).forEach(([type, definition]) => {
+  MATCH_KEYS[type] = {};
+  Object.entries(definition.matchKeys).forEach(([key, matchKey]) => {
+    MATCH_KEYS[type][key] = matchKey.label;
+  });
+});
 
 // Configure multer for file uploads (memory storage)
 const upload = multer({
@@ -18,19 +52,42 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    // Knack exports can also be JSON; template imports can be Excel
+    if (['text/csv', 'application/json', XLSX_MIME_TYPE].includes(file.mimetype) || /\.(csv|json|xlsx)$/i.test(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'));
+      cb(new Error('Only CSV, Excel (.xlsx) or JSON files are allowed'));
     }
   }
 });
 
+/**
+ * An upload's content as text
+ * Excel files become CSV from the chosen sheet and header row.
+ * @param {Object} req - With file and body (source, importType, sheet, headerRow)
+ * @returns {Promise<Object>} content, plus the sheet details for a spreadsheet
+ */
+async function readUpload(req) {
+  const { file, body } = req;
+  if (!/\.xlsx$/i.test(file.originalname) && file.mimetype !== XLSX_MIME_TYPE) {
+    return { content: file.buffer.toString('utf-8') };
+  }
+  if (body.source === 'knack') {
+    throw new Error('Knack exports are JSON or CSV - upload the file Knack gave you');
+  }
+
+  const { content, ...spreadsheet } = await spreadsheetToCSV(file.buffer, body.importType, {
+    sheet: body.sheet || undefined,
+    headerRow: body.headerRow || undefined
+  });
+  return { content, spreadsheet };
+}
+
 /**
  * GET /import
  * Data import dashboard
  */
-router.get('/import', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/import', requirePermission('imports.run'), async (req, res, next) => {
   try {
     const user = req.session.user;
 
@@ -44,7 +101,10 @@ router.get('/import', ensureStaffOrAdmin, async (req, res, next) => {
     res.render('dataImport', {
       user,
       recentImports,
-      importTypes: Object.keys(CSV_TEMPLATES),
+      importTypes: SOURCE_TYPES.csv,
+      knackImports: KNACK_IMPORTS,
+      importModes: IMPORT_MODES,
+      matchKeys: MATCH_KEYS,
       success: req.session.success,
       error: req.session.error
     });
@@ -58,9 +118,9 @@ router.get('/import', ensureStaffOrAdmin, async (req, res, next) => {
 
 /**
  * GET /import/template/:type
- * Download CSV template for import type
+ * Download CSV (or ?format=xlsx Excel) template for import type
  */
-router.get('/import/template/:type', ensureStaffOrAdmin, (req, res, next) => {
+router.get('/import/template/:type', requirePermission('imports.run'), async (req, res, next) => {
   try {
     const importType = req.params.type;
     const template = CSV_TEMPLATES[importType];
@@ -71,12 +131,21 @@ router.get('/import/template/:type', ensureStaffOrAdmin, (req, res, next) => {
 
     // Generate CSV header and example row
     const allColumns = [...template.required, ...template.optional];
-    const header = allColumns.join(',');
-    const exampleRow = allColumns.map(col => template.example[col] || '').join(',');
 
-    const csv = `${header}\n${exampleRow}`;
+    if (req.query.format === 'xlsx') {
+      return await sendWorkbook(res, `${importType}_template`, [{
+        name: importType,
+        columns: allColumns.map(col => ({ header: col, value: row => row[col] })),
+        rows: [template.example]
+      }]);
+    }
+
+    const header = allColumns.map(csvField).join(',');
+    const exampleRow = allColumns.map(col => csvField(template.example[col])).join(',');
 
-    res.setHeader('Content-Type', 'text/csv');
+    const csv = `${header}\r\n${exampleRow}\r\n`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     res.setHeader('Content-Disposition', `attachment; filename=${importType}_template.csv`);
     res.send(csv);
   } catch (err) {
@@ -86,24 +155,30 @@ router.get('/import/template/:type', ensureStaffOrAdmin, (req, res, next) => {
 
 /**
  * POST /import/preview
- * Preview CSV import without saving
+ * Preview CSV, Excel or Knack import without saving
  */
 router.post('/import/preview',
-  ensureStaffOrAdmin,
+  requirePermission('imports.run'),
   upload.single('csvFile'),
   async (req, res, next) => {
     try {
-      const { importType } = req.body;
+      const { importType, source = 'csv' } = req.body;
 
       if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
       }
+      if (!(SOURCE_TYPES[source] || []).includes(importType)) {
+        return res.status(400).json({ error: 'Unsupported import type' });
+      }
 
-      const csvContent = req.file.buffer.toString('utf-8');
-      const preview = previewImport(csvContent, importType);
+      const { content, spreadsheet } = await readUpload(req);
+      const preview = source === 'knack'
+        ? await previewKnackImport(content, importType)
+        : await previewImport(content, importType, importOptions(req.body));
 
       res.json({
         ...preview,
+        spreadsheet,
         fileName: req.file.originalname
       });
     } catch (err) {
@@ -114,32 +189,40 @@ router.post('/import/preview',
 
 /**
  * POST /import/execute
- * Execute CSV import
+ * Queue a CSV or Knack import; it runs in the background
  */
 router.post('/import/execute',
-  ensureStaffOrAdmin,
+  requirePermission('imports.run'),
   upload.single('csvFile'),
   async (req, res, next) => {
     try {
       const user = req.session.user;
-      const { importType } = req.body;
+      const { importType, source = 'csv' } = req.body;
 
       if (!req.file) {
         req.session.error = 'No file uploaded';
         return res.redirect('/import');
       }
+      if (!(SOURCE_TYPES[source] || []).includes(importType)) {
+        req.session.error = 'Unsupported import type';
+        return res.redirect('/import');
+      }
 
-      const csvContent = req.file.buffer.toString('utf-8');
+      const { content, spreadsheet } = await readUpload(req);
 
-      // Execute import
-      const importHistory = await executeImport(
-        csvContent,
+      const importHistory = await queueImport(
+        content,
         importType,
         user._id,
-        req.file.originalname
+        req.file.originalname,
+        {
+          source,
+          ...importOptions(req.body),
+          notes: spreadsheet && `Sheet "${spreadsheet.sheet}", column headers on row ${spreadsheet.headerRow}`
+        }
       );
 
-      req.session.success = `Import completed! ${importHistory.stats.successful} records imported successfully. ${importHistory.stats.failed} failed.`;
+      req.session.success = `Import started: ${importHistory.stats.totalRows} rows. You can leave this page - the import keeps running.`;
       res.redirect(`/import/history/${importHistory._id}`);
     } catch (err) {
       req.session.error = `Import failed: ${err.message}`;
@@ -152,7 +235,7 @@ router.post('/import/execute',
  * GET /import/history/:id
  * View import history details
  */
-router.get('/import/history/:id', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/import/history/:id', requirePermission('imports.run'), async (req, res, next) => {
   try {
     const user = req.session.user;
     const importHistory = await ImportHistory.findById(req.params.id)
@@ -166,24 +249,60 @@ router.get('/import/history/:id', ensureStaffOrAdmin, async (req, res, next) =>
     res.render('importHistory', {
       user,
       importHistory,
-      success: req.session.success
+      importModes: IMPORT_MODES,
+      matchKeyLabel: importHistory.matchKey && (MATCH_KEYS[importHistory.importType] || {})[importHistory.matchKey],
+      success: req.session.success,
+      error: req.session.error
     });
 
     delete req.session.success;
+    delete req.session.error;
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * GET /import/history/:id/progress
+ * Rows processed and errors so far, polled by the history page
+ */
+router.get('/import/history/:id/progress', requirePermission('imports.run'), async (req, res) => {
+  try {
+    const progress = await getImportProgress(req.params.id);
+    if (!progress) {
+      return res.status(404).json({ error: 'Import history not found' });
+    }
+    res.json(progress);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /import/cancel/:id
+ * Cancel a queued or running import
+ */
+router.post('/import/cancel/:id', requirePermission('imports.run'), async (req, res) => {
+  try {
+    await cancelImport(req.params.id);
+    req.session.success = 'Import cancelled. Anything it imported before stopping can be rolled back below.';
+  } catch (err) {
+    req.session.error = `Failed to cancel import: ${err.message}`;
+  }
+  res.redirect(`/import/history/${req.params.id}`);
+});
+
 /**
  * POST /import/rollback/:id
  * Rollback an import
  */
-router.post('/import/rollback/:id', ensureStaffOrAdmin, async (req, res, next) => {
+router.post('/import/rollback/:id', requirePermission('imports.run'), async (req, res, next) => {
   try {
     const results = await rollbackImport(req.params.id);
 
-    req.session.success = `Rollback completed! ${results.deleted} records deleted. ${results.errors.length} errors.`;
+    req.session.success = `Rollback completed! ${results.deleted} records deleted` +
+      (results.restored ? `, ${results.restored} restored to their previous values` : '') +
+      `. ${results.errors.length} errors.`;
     res.redirect(`/import/history/${req.params.id}`);
   } catch (err) {
     req.session.error = `Rollback failed: ${err.message}`;
@@ -195,7 +314,7 @@ router.post('/import/rollback/:id', ensureStaffOrAdmin, async (req, res, next) =
  * GET /import/history
  * View all import history
  */
-router.get('/import/history', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/import/history', requirePermission('imports.run'), async (req, res, next) => {
   try {
     const user = req.session.user;
     const page = parseInt(req.query.page) || 1;
@@ -11,7 +11,14 @@
 // 2. Member has a valid email address in their profile
 //
 // If email sending fails, the donation is still recorded successfully.
-// Emails are non-critical and failures are logged but don't block the operation.
+// Emails go through the outbound queue (services/emailQueue.js), which
+// retries failed sends - see /admin/email-logs for anything that gave up.
+//
+// 🧾 TAX RECEIPTS:
+//
+// Each thank-you email carries the donation's numbered PDF receipt (see
+// services/receipts.js). Staff can download or reprint any receipt from
+// /donations via GET /donations/:id/receipt.
 //
 // See services/mailer.js for email configuration instructions.
 //
@@ -23,16 +30,117 @@ const router    = express.Router();
 const Donation  = require('../models/Donation');
 const Member    = require('../models/Member');
 const Organization = require('../models/Organization');
-const { ensureVolunteerOrHigher, ensureAdmin } = require('./_middleware');
-const { sendDonationThankYouEmail } = require('../services/mailer');
+const { requirePermission, requireExportPermission } = require('./_middleware');
+const emailQueue = require('../services/emailQueue');
+const receipts  = require('../services/receipts');
+const auditLogger = require('../utils/auditLogger');
+const { exportFormat, columnChoices, sendExport } = require('../services/exports');
+
+/**
+ * Queue the thank-you email; the worker attaches the donation's receipt.
+ * Only the database write is awaited - nothing here ever blocks on SMTP,
+ * and a failure to queue doesn't fail the donation.
+ * @param {string} email - Recipient address
+ * @param {string} donorName - Name used in the greeting
+ * @param {Object} donation - The saved donation
+ * @param {Object} extra - Extra details for the email (e.g. isOrganization)
+ */
+async function queueThankYou(email, donorName, donation, extra = {}) {
+  try {
+    await emailQueue.enqueue('donation_thank_you', email, {
+      donorName,
+      details: {
+        numberOfBooks: donation.numberOfBooks,
+        donationType: donation.donationType,
+        valuePerBook: donation.valuePerBook,
+        totalValue: donation.totalValue,
+        donationId: donation._id.toString(),
+        ...extra
+      }
+    });
+  } catch (err) {
+    console.error('Failed to queue donation thank-you email (non-critical):', err.message);
+  }
+}
+
+// ─── Exports (services/exports.js) ───────────────────────────────────────────
+
+const personName = person => (person ? `${person.firstName} ${person.lastName}` : '');
+const donorName = d => personName(d.member) || d.organization?.name || 'Undisclosed';
+// totalValue if set, otherwise valuePerBook * numberOfBooks
+const donationValue = d => d.totalValue || (d.valuePerBook ? d.valuePerBook * d.numberOfBooks : 0);
+
+const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', value: d => d.donatedAt, type: 'date' },
+  { key: 'type', header: 'Type', value: d => d.donationType === 'new' ? 'New Books' : 'Used Books' },
+  { key: 'donorType', header: 'Donor Type', value: d => d.donorType || 'undisclosed' },
+  { key: 'donor', header: 'Member/Organization', value: donorName, width: 28 },
+  { key: 'email', header: 'Email', value: d => d.member?.email, width: 28, optional: true },
+  { key: 'books', header: 'Books', value: d => d.numberOfBooks || 0, type: 'integer' },
+  { key: 'value', header: 'Value ($)', value: donationValue, type: 'currency' },
+  { key: 'monetary', header: 'Monetary ($)', value: d => d.monetaryAmount || 0, type: 'currency' },
+  { key: 'bookDrive', header: 'Book Drive', value: d => d.isBookDrive ? (d.bookDriveName || 'Yes') : 'No' },
+  { key: 'receiptNumber', header: 'Receipt Number', value: d => d.receiptNumber, optional: true },
+  { key: 'notes', header: 'Notes', value: d => d.notes, width: 40 },
+  { key: 'recordedBy', header: 'Recorded By', value: d => personName(d.recordedBy) }
+];
+
+// Excel exports add the donations totalled per donor
+const DONOR_SUMMARY = {
+  name: 'Donors',
+  key: d => (d.member || d.organization)?._id?.toString(),
+  start: d => ({
+    name: donorName(d),
+    type: d.member ? 'Person' : 'Organization',
+    email: d.member?.email,
+    donations: 0, books: 0, value: 0, monetary: 0,
+    first: d.donatedAt, last: d.donatedAt
+  }),
+  add: (donor, d) => {
+    donor.donations++;
+    donor.books += d.numberOfBooks || 0;
+    donor.value += donationValue(d);
+    donor.monetary += d.monetaryAmount || 0;
+    // Donations are newest first
+    donor.first = d.donatedAt;
+  },
+  columns: [
+    { header: 'Donor', value: donor => donor.name, width: 28 },
+    { header: 'Type', value: donor => donor.type },
+    { header: 'Email', value: donor => donor.email, width: 28 },
+    { header: 'Donations', value: donor => donor.donations, type: 'integer' },
+    { header: 'Books', value: donor => donor.books, type: 'integer' },
+    { header: 'Value ($)', value: donor => donor.value, type: 'currency' },
+    { header: 'Monetary ($)', value: donor => donor.monetary, type: 'currency' },
+    { header: 'First Donation', value: donor => donor.first, type: 'date' },
+    { header: 'Last Donation', value: donor => donor.last, type: 'date' }
+  ]
+};
+
+/**
+ * Does a donation match the list's search (donor name, email or organization)?
+ * Done after the query, since the names are on populated records.
+ * @param {Object} d - Donation with member and organization populated
+ * @param {String} searchLower - Lowercased search text
+ * @returns {Boolean}
+ */
+function matchesSearch(d, searchLower) {
+  if (d.member) {
+    const fullName = `${d.member.firstName} ${d.member.lastName}`.toLowerCase();
+    if (fullName.includes(searchLower)) return true;
+    if (d.member.email && d.member.email.toLowerCase().includes(searchLower)) return true;
+  }
+  return Boolean(d.organization?.name?.toLowerCase().includes(searchLower));
+}
 
 // GET /donations - List all donations with pagination
-router.get('/donations', ensureVolunteerOrHigher, async (req, res) => {
+// ?format=csv|xlsx|json downloads every matching donation instead
+router.get('/donations', requirePermission('donations.read'), requireExportPermission, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
-    const format = req.query.format; // 'csv' for export
+    const format = exportFormat(req.query.format);
     const search = req.query.search || '';
     const donationType = req.query.donationType || '';
     const donorType = req.query.donorType || '';
@@ -53,81 +161,47 @@ router.get('/donations', ensureVolunteerOrHigher, async (req, res) => {
       if (dateTo) query.donatedAt.$lte = new Date(dateTo + 'T23:59:59');
     }
 
-    const totalDonations = await Donation.countDocuments(query);
-    const totalPages = Math.ceil(totalDonations / limit);
-
-    // For CSV export, get all matching records
-    const fetchLimit = format === 'csv' ? 0 : limit;
-    const fetchSkip = format === 'csv' ? 0 : skip;
-
-    let donations = await Donation.find(query)
+    const populated = () => Donation.find(query)
       .populate('member', 'firstName lastName email')
       .populate('organization', 'name')
       .populate('recordedBy', 'firstName lastName')
-      .sort({ donatedAt: -1 })
-      .skip(fetchSkip)
-      .limit(fetchLimit || undefined)
+      .sort({ donatedAt: -1 });
+
+    // Export every matching donation
+    if (format) {
+      return await sendExport(res, {
+        format,
+        fileName: 'donations',
+        rows: populated().lean(),
+        filter: search ? d => matchesSearch(d, search.toLowerCase()) : null,
+        columns: EXPORT_COLUMNS,
+        selected: req.query.columns,
+        sheet: 'Donations',
+        property: 'donations',
+        summaries: [DONOR_SUMMARY],
+        filters: { search, donationType, donorType, dateFrom, dateTo }
+      });
+    }
+
+    const totalDonations = await Donation.countDocuments(query);
+    const totalPages = Math.ceil(totalDonations / limit);
+
+    let donations = await populated()
+      .skip(skip)
+      .limit(limit)
       .lean();
 
     // Post-query filtering for name/org search
     if (search) {
-      const searchLower = search.toLowerCase();
-      donations = donations.filter(d => {
-        if (d.member) {
-          const fullName = `${d.member.firstName} ${d.member.lastName}`.toLowerCase();
-          if (fullName.includes(searchLower)) return true;
-          if (d.member.email && d.member.email.toLowerCase().includes(searchLower)) return true;
-        }
-        if (d.organization && d.organization.name && d.organization.name.toLowerCase().includes(searchLower)) {
-          return true;
-        }
-        return false;
-      });
+      donations = donations.filter(d => matchesSearch(d, search.toLowerCase()));
     }
 
     // Calculate stats for the current view
     const stats = {
       totalBooks: donations.reduce((sum, d) => sum + (d.numberOfBooks || 0), 0),
-      totalValue: donations.reduce((sum, d) => {
-        // Use totalValue if set, otherwise calculate from valuePerBook * numberOfBooks
-        const value = d.totalValue || (d.valuePerBook ? d.valuePerBook * d.numberOfBooks : 0);
-        return sum + value;
-      }, 0)
+      totalValue: donations.reduce((sum, d) => sum + donationValue(d), 0)
     };
 
-    // CSV Export
-    if (format === 'csv') {
-      const csvRows = [
-        ['Date', 'Type', 'Donor Type', 'Member/Organization', 'Books', 'Value ($)', 'Book Drive', 'Notes', 'Recorded By'].join(',')
-      ];
-      donations.forEach(d => {
-        let donorName = 'Undisclosed';
-        if (d.member) {
-          donorName = `${d.member.firstName} ${d.member.lastName}`;
-        } else if (d.organization) {
-          donorName = d.organization.name;
-        }
-        const recordedBy = d.recordedBy ? `${d.recordedBy.firstName} ${d.recordedBy.lastName}` : '';
-        // Calculate value: use totalValue if set, otherwise valuePerBook * numberOfBooks
-        const value = d.totalValue || (d.valuePerBook ? d.valuePerBook * d.numberOfBooks : 0);
-        csvRows.push([
-          d.donatedAt ? new Date(d.donatedAt).toLocaleDateString() : '',
-          d.donationType === 'new' ? 'New Books' : 'Used Books',
-          d.donorType || 'undisclosed',
-          `"${donorName}"`,
-          d.numberOfBooks || 0,
-          value.toFixed(2),
-          d.isBookDrive ? (d.bookDriveName || 'Yes') : 'No',
-          `"${(d.notes || '').replace(/"/g, '""')}"`,
-          `"${recordedBy}"`
-        ].join(','));
-      });
-
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="donations-${new Date().toISOString().split('T')[0]}.csv"`);
-      return res.send(csvRows.join('\n'));
-    }
-
     // Get flash messages
     const success = req.session.success;
     const error = req.session.error;
@@ -147,6 +221,7 @@ router.get('/donations', ensureVolunteerOrHigher, async (req, res) => {
       donorType,
       dateFrom: dateFrom || '',
       dateTo: dateTo || '',
+      exportColumns: columnChoices(EXPORT_COLUMNS),
       success,
       error
     });
@@ -157,7 +232,7 @@ router.get('/donations', ensureVolunteerOrHigher, async (req, res) => {
 });
 
 // Show form to record a donation (standalone - choose member or enter donor info)
-router.get('/donations/new', ensureVolunteerOrHigher, async (req, res) => {
+router.get('/donations/new', requirePermission('donations.create'), async (req, res) => {
   try {
     const donationType = req.query.type || 'used'; // 'used' or 'new'
     res.render('newDonationStandalone', { user: req.session.user, donationType });
@@ -168,7 +243,7 @@ router.get('/donations/new', ensureVolunteerOrHigher, async (req, res) => {
 });
 
 // Show form to record a donation for a specific member
-router.get('/members/:memberId/donations/new', ensureVolunteerOrHigher, async (req, res) => {
+router.get('/members/:memberId/donations/new', requirePermission('donations.create'), async (req, res) => {
   const member = await Member.findById(req.params.memberId).lean();
   if (!member) return res.status(404).send('Member not found');
   const donationType = req.query.type || 'used';
@@ -178,7 +253,7 @@ router.get('/members/:memberId/donations/new', ensureVolunteerOrHigher, async (r
 // Handle standalone donation submission (without pre-selected member)
 router.post(
   '/donations',
-  ensureVolunteerOrHigher,
+  requirePermission('donations.create'),
   [
     // Validation rules
     body('donationType')
@@ -263,6 +338,7 @@ router.post(
       };
 
       const donation = await Donation.create(donationData);
+      await auditLogger.logCreate('Donation', donation, req.session.user._id);
 
       // Send thank-you email (event-driven trigger)
       let emailSent = false;
@@ -271,22 +347,8 @@ router.post(
       if (memberId) {
         const member = await Member.findById(memberId).lean();
         if (member && member.email) {
-          // Fire-and-forget email - don't block the response
-          sendDonationThankYouEmail(member.email, `${member.firstName} ${member.lastName}`, {
-            numberOfBooks: donationData.numberOfBooks,
-            donationType,
-            valuePerBook: donationData.valuePerBook,
-            totalValue: calculatedTotalValue,
-            donationId: donation._id.toString()
-          }).then(result => {
-            if (result.success) {
-              console.log(`✅ Donation thank-you email sent for donation ${donation._id}`);
-            } else {
-              console.log(`ℹ️ Donation thank-you email not sent: ${result.error}`);
-            }
-          }).catch(err => {
-            console.error('Email sending failed (non-critical):', err.message);
-          });
+          // Queued - the worker sends it and retries on failure
+          await queueThankYou(member.email, `${member.firstName} ${member.lastName}`, donation);
           emailSent = true;
         }
       }
@@ -295,16 +357,7 @@ router.post(
       if (organizationId && !emailSent) {
         const org = await Organization.findById(organizationId).lean();
         if (org && org.email) {
-          sendDonationThankYouEmail(org.email, org.name, {
-            numberOfBooks: donationData.numberOfBooks,
-            donationType,
-            valuePerBook: donationData.valuePerBook,
-            totalValue: calculatedTotalValue,
-            donationId: donation._id.toString(),
-            isOrganization: true
-          }).catch(err => {
-            console.error('Org email sending failed (non-critical):', err.message);
-          });
+          await queueThankYou(org.email, org.name, donation, { isOrganization: true });
         } else if (org) {
           console.log(`ℹ️ Donation recorded for org: ${org.name} (no contact email)`);
         }
@@ -324,7 +377,7 @@ router.post(
 // Handle donation submission for a specific member
 router.post(
   '/members/:memberId/donations',
-  ensureVolunteerOrHigher,
+  requirePermission('donations.create'),
   [
     body('donationType')
       .trim()
@@ -395,27 +448,14 @@ router.post(
       };
 
       const donation = await Donation.create(donationData);
+      await auditLogger.logCreate('Donation', donation, req.session.user._id);
 
       // Fetch member details for email
       const member = await Member.findById(req.params.memberId).lean();
 
-      // Send thank-you email (event-driven trigger)
+      // Queue thank-you email (event-driven trigger)
       if (member && member.email) {
-        sendDonationThankYouEmail(member.email, `${member.firstName} ${member.lastName}`, {
-          numberOfBooks: donationData.numberOfBooks,
-          donationType,
-          valuePerBook: donationData.valuePerBook,
-          totalValue: calculatedTotalValue,
-          donationId: donation._id.toString()
-        }).then(result => {
-          if (result.success) {
-            console.log(`✅ Donation thank-you email sent for donation ${donation._id}`);
-          } else {
-            console.log(`ℹ️ Donation thank-you email not sent: ${result.error}`);
-          }
-        }).catch(err => {
-          console.error('Email sending failed (non-critical):', err.message);
-        });
+        await queueThankYou(member.email, `${member.firstName} ${member.lastName}`, donation);
       }
 
       req.session.success = 'Donation recorded';
@@ -429,8 +469,25 @@ router.post(
   }
 );
 
+// GET /donations/:id/receipt - Download or reprint the PDF tax receipt (Staff/Admin)
+// Numbers the donation on first use; reprints keep the same receipt number.
+router.get('/donations/:id/receipt', requirePermission('donations.receipts'), async (req, res) => {
+  try {
+    const receipt = await receipts.generateReceipt(req.params.id);
+    const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${receipt.filename}"`);
+    res.send(receipt.buffer);
+  } catch (err) {
+    console.error('Error generating receipt:', err);
+    req.session.error = 'Failed to generate receipt: ' + err.message;
+    res.redirect('/donations');
+  }
+});
+
 // GET /donations/:id/edit - Edit donation form (Admin only)
-router.get('/donations/:id/edit', ensureAdmin, async (req, res) => {
+router.get('/donations/:id/edit', requirePermission('donations.edit'), async (req, res) => {
   try {
     const donation = await Donation.findById(req.params.id)
       .populate('member', 'firstName lastName email')
@@ -454,7 +511,7 @@ router.get('/donations/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // POST /donations/:id/edit - Update donation (Admin only)
-router.post('/donations/:id/edit', ensureAdmin, async (req, res) => {
+router.post('/donations/:id/edit', requirePermission('donations.edit'), async (req, res) => {
   try {
     const { donationType, numberOfBooks, monetaryAmount, isBookDrive, bookDriveName, notes } = req.body;
 
@@ -479,7 +536,7 @@ router.post('/donations/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // POST /donations/:id/delete - Delete donation (Admin only)
-router.post('/donations/:id/delete', ensureAdmin, async (req, res) => {
+router.post('/donations/:id/delete', requirePermission('donations.delete'), async (req, res) => {
   try {
     await Donation.findByIdAndDelete(req.params.id);
     req.session.success = 'Donation deleted successfully';
@@ -0,0 +1,100 @@
+// routes/givingStatements.js
+const express = require('express');
+const router = express.Router();
+const givingStatements = require('../services/givingStatements');
+const { requirePermission } = require('./_middleware');
+
+/**
+ * Year from a request param/query, defaulting to last year
+ * (statements go out in January for the year just ended)
+ */
+function parseYear(value) {
+  const year = parseInt(value);
+  const currentYear = new Date().getFullYear();
+  if (!year || year < 2000 || year > currentYear) {
+    return currentYear - 1;
+  }
+  return year;
+}
+
+// 1. GET /admin/giving-statements — donors for a year with totals and send status
+router.get('/admin/giving-statements', requirePermission('donations.statements'), async (req, res) => {
+  const year = parseYear(req.query.year);
+
+  try {
+    const donors = await givingStatements.getDonorSummaries(year);
+    const lastStatus = await givingStatements.getLastSendStatus(year);
+    donors.forEach(d => {
+      d.lastEmail = lastStatus[`${d.donorType}:${d.donorId}`] || null;
+    });
+
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('adminGivingStatements', {
+      user: req.session.user,
+      year,
+      currentYear: new Date().getFullYear(),
+      donors,
+      success,
+      error
+    });
+  } catch (err) {
+    console.error('Error loading giving statements:', err);
+    req.session.error = 'Failed to load giving statements';
+    res.redirect('/dashboard');
+  }
+});
+
+// 2. GET /admin/giving-statements/:year/:donorType/:donorId — one donor's statement PDF
+router.get('/admin/giving-statements/:year/:donorType/:donorId', requirePermission('donations.statements'), async (req, res) => {
+  const year = parseYear(req.params.year);
+
+  try {
+    const { filename, buffer } = await givingStatements.generateStatement(year, req.params.donorType, req.params.donorId);
+    const disposition = req.query.download ? 'attachment' : 'inline';
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${disposition}; filename="${filename}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (err) {
+    console.error('Error generating giving statement:', err);
+    req.session.error = 'Failed to generate statement: ' + err.message;
+    res.redirect(`/admin/giving-statements?year=${year}`);
+  }
+});
+
+// 3. POST /admin/giving-statements/:year/send — email statements to every donor
+router.post('/admin/giving-statements/:year/send', requirePermission('donations.statements'), async (req, res) => {
+  const year = parseYear(req.params.year);
+
+  try {
+    const summary = await givingStatements.sendStatements(year, {
+      onlyUnsent: req.body.resend !== 'on',
+      userId: req.session.user._id
+    });
+
+    const parts = [`${summary.sent} sent`];
+    if (summary.alreadySent) parts.push(`${summary.alreadySent} already sent`);
+    if (summary.noEmail) parts.push(`${summary.noEmail} without an email address`);
+    if (summary.failed) parts.push(`${summary.failed} not sent - see Email Logs`);
+
+    if (summary.failed) {
+      req.session.error = `${year} giving statements: ${parts.join(', ')}`;
+    } else {
+      req.session.success = `${year} giving statements: ${parts.join(', ')}`;
+    }
+  } catch (err) {
+    console.error('Error sending giving statements:', err);
+    req.session.error = 'Failed to send giving statements: ' + err.message;
+  }
+
+  res.redirect(`/admin/giving-statements?year=${year}`);
+});
+
+module.exports = router;
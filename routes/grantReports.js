@@ -0,0 +1,558 @@
+// routes/grantReports.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const ReportDefinition = require('../models/ReportDefinition');
+const ReportDelivery = require('../models/ReportDelivery');
+const grantReports = require('../services/grantReports');
+const reportSchedules = require('../services/reportSchedules');
+const mailer = require('../services/mailer');
+const auditLogger = require('../utils/auditLogger');
+const { XLSX_MIME_TYPE } = require('../utils/spreadsheet');
+const { requirePermission } = require('./_middleware');
+
+// Validation rules for the report form
+const reportValidationRules = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Report name is required')
+    .isLength({ max: 200 }).withMessage('Name must be less than 200 characters'),
+
+  body('period')
+    .isIn(Object.keys(ReportDefinition.PERIODS)).withMessage('Choose a report period'),
+
+  body('startDate')
+    .if(body('period').equals('custom'))
+    .isISO8601().withMessage('Choose a start date'),
+
+  body('endDate')
+    .if(body('period').equals('custom'))
+    .isISO8601().withMessage('Choose an end date'),
+
+  body('hoursPerSession')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0.25, max: 12 }).withMessage('Session length must be between 0.25 and 12 hours')
+];
+
+/**
+ * Email addresses typed one per line or separated by commas, each once
+ */
+function splitAddresses(value) {
+  const list = [].concat(value || []).join('\n').split(/[\s,;]+/).map(email => email.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(list)];
+}
+
+// Validation rules for the email schedule form
+const scheduleValidationRules = [
+  body('frequency')
+    .isIn(Object.keys(ReportDefinition.FREQUENCIES)).withMessage('Choose how often to send the report'),
+
+  body('dayOfWeek')
+    .if(body('frequency').equals('weekly'))
+    .isInt({ min: 0, max: 6 }).withMessage('Choose a day of the week'),
+
+  body('dayOfMonth')
+    .if(body('frequency').isIn(['monthly', 'quarterly']))
+    .isInt({ min: 1, max: 28 }).withMessage('Choose a day of the month from 1 to 28'),
+
+  body('hour')
+    .isInt({ min: 0, max: 23 }).withMessage('Choose a time of day'),
+
+  body('recipients')
+    .customSanitizer(splitAddresses),
+
+  body('recipients.*')
+    .isEmail().withMessage(value => `"${value}" is not a valid email address`)
+];
+
+/**
+ * ReportDefinition.schedule fields from the schedule form
+ */
+function scheduleFromInput(data) {
+  const toNumber = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+  return {
+    frequency: data.frequency || 'none',
+    dayOfWeek: toNumber(data.dayOfWeek, 1),
+    dayOfMonth: toNumber(data.dayOfMonth, 1),
+    hour: toNumber(data.hour, 7),
+    recipients: splitAddresses(data.recipients),
+    attachments: [].concat(data.attachments || []).filter(format => ReportDefinition.ATTACHMENT_FORMATS[format])
+  };
+}
+
+/**
+ * ReportDefinition fields from the form (or the query string for unsaved runs)
+ */
+function definitionFromInput(data) {
+  const custom = data.period === 'custom';
+  return {
+    name: String(data.name || '').trim(),
+    description: String(data.description || '').trim(),
+    period: data.period || 'lastQuarter',
+    startDate: custom && data.startDate ? grantReports.startOfDay(data.startDate) : undefined,
+    endDate: custom && data.endDate ? grantReports.startOfDay(data.endDate) : undefined,
+    metrics: [].concat(data.metrics || []).filter(key => ReportDefinition.METRIC_KEYS.includes(key)),
+    hoursPerSession: data.hoursPerSession || undefined
+  };
+}
+
+/**
+ * Form values for a saved definition
+ */
+function formValues(definition) {
+  const day = date => (date ? grantReports.dayString(new Date(date)) : '');
+  return {
+    name: definition.name,
+    description: definition.description,
+    period: definition.period,
+    startDate: day(definition.startDate),
+    endDate: day(definition.endDate),
+    metrics: definition.metrics,
+    hoursPerSession: definition.hoursPerSession
+  };
+}
+
+/**
+ * An unsaved report definition from the query string, checked like a saved one
+ * @returns {{definition: Object, error: String|null}}
+ */
+function unsavedDefinition(query) {
+  const fields = definitionFromInput(query);
+  const definition = new ReportDefinition({ ...fields, name: fields.name || 'Impact report' });
+  const validationError = definition.validateSync();
+  return {
+    definition,
+    error: validationError ? Object.values(validationError.errors)[0].message : null
+  };
+}
+
+/**
+ * The query string for an unsaved report, repeating ?metrics= for each metric
+ */
+function queryString(query) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([name, value]) => {
+    [].concat(value).forEach(item => params.append(name, item));
+  });
+  return params.toString();
+}
+
+/**
+ * Render the report form
+ */
+function renderForm(req, res, { definition = null, values, error = null }) {
+  res.render('grantReportForm', {
+    user: req.session.user,
+    definition,
+    values,
+    metrics: ReportDefinition.METRICS,
+    periods: ReportDefinition.PERIODS,
+    error
+  });
+}
+
+/**
+ * Run a report and show it
+ */
+async function renderReport(req, res, definition, { saved, links }) {
+  const report = await grantReports.runReport(definition);
+
+  // Get flash messages
+  const success = req.session.success;
+  const error = req.session.error;
+  delete req.session.success;
+  delete req.session.error;
+
+  res.render('grantReport', {
+    user: req.session.user,
+    definition,
+    report,
+    saved,
+    links,
+    success,
+    error
+  });
+}
+
+/**
+ * Send a report as a PDF or Excel download
+ */
+async function sendReport(res, definition, format) {
+  const report = await grantReports.runReport(definition);
+
+  if (format === 'pdf') {
+    const buffer = await grantReports.renderReportPdf(report);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${grantReports.reportFileName(report, 'pdf')}"`,
+      'Content-Length': buffer.length
+    });
+    return res.send(buffer);
+  }
+
+  const buffer = await grantReports.buildReportWorkbook(report);
+  res.set({
+    'Content-Type': XLSX_MIME_TYPE,
+    'Content-Disposition': `attachment; filename="${grantReports.reportFileName(report, 'xlsx')}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+}
+
+const DOWNLOAD_FORMATS = ['pdf', 'xlsx'];
+
+// 1. GET /grant-reports — saved reports
+router.get('/grant-reports', requirePermission('reports.build'), async (req, res) => {
+  try {
+    const definitions = await ReportDefinition.find({ isDeleted: { $ne: true } })
+      .populate('createdBy', 'firstName lastName')
+      .sort({ name: 1 })
+      .lean();
+
+    // Get flash messages
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('grantReportsList', {
+      user: req.session.user,
+      definitions,
+      metrics: ReportDefinition.METRICS,
+      periods: ReportDefinition.PERIODS,
+      frequencies: ReportDefinition.FREQUENCIES,
+      success,
+      error
+    });
+  } catch (err) {
+    console.error('Error loading grant reports:', err);
+    req.session.error = 'Failed to load grant reports';
+    res.redirect('/dashboard');
+  }
+});
+
+// 2. GET /grant-reports/new — report builder (prefilled from an unsaved run's query string)
+router.get('/grant-reports/new', requirePermission('reports.build'), (req, res) => {
+  const values = req.query.period ? req.query : {
+    period: 'lastQuarter',
+    metrics: ReportDefinition.METRIC_KEYS,
+    hoursPerSession: 1
+  };
+  renderForm(req, res, { values });
+});
+
+// 3. GET /grant-reports/run — run the builder's choices without saving them
+router.get('/grant-reports/run', requirePermission('reports.build'), async (req, res) => {
+  const { definition, error } = unsavedDefinition(req.query);
+  if (error) {
+    return renderForm(req, res, { values: req.query, error });
+  }
+
+  try {
+    const query = queryString(req.query);
+    await renderReport(req, res, definition, {
+      saved: false,
+      links: {
+        pdf: `/grant-reports/export/pdf?${query}`,
+        xlsx: `/grant-reports/export/xlsx?${query}`,
+        edit: `/grant-reports/new?${query}`
+      }
+    });
+  } catch (err) {
+    console.error('Error running grant report:', err);
+    renderForm(req, res, { values: req.query, error: 'Failed to run report: ' + err.message });
+  }
+});
+
+// 4. GET /grant-reports/export/:format — download an unsaved report (pdf or xlsx)
+router.get('/grant-reports/export/:format', requirePermission('reports.build'), async (req, res) => {
+  if (!DOWNLOAD_FORMATS.includes(req.params.format)) {
+    return res.status(404).send('Unknown report format');
+  }
+  // Mistakes in the choices are shown on the builder by the run page
+  const { definition, error } = unsavedDefinition(req.query);
+  if (error) {
+    return res.redirect(`/grant-reports/run?${queryString(req.query)}`);
+  }
+
+  try {
+    await sendReport(res, definition, req.params.format);
+  } catch (err) {
+    console.error('Error downloading grant report:', err);
+    req.session.error = 'Failed to download report: ' + err.message;
+    res.redirect('/grant-reports');
+  }
+});
+
+// 5. POST /grant-reports — save a report definition
+router.post('/grant-reports', requirePermission('reports.build'), reportValidationRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return renderForm(req, res, { values: req.body, error: errors.array()[0].msg });
+  }
+
+  try {
+    const definition = new ReportDefinition({
+      ...definitionFromInput(req.body),
+      createdBy: req.session.user._id
+    });
+
+    const validationError = definition.validateSync();
+    if (validationError) {
+      return renderForm(req, res, { values: req.body, error: Object.values(validationError.errors)[0].message });
+    }
+
+    await definition.save();
+    await auditLogger.logCreate('ReportDefinition', definition, req.session.user._id);
+
+    req.session.success = `"${definition.name}" saved`;
+    res.redirect(`/grant-reports/${definition._id}`);
+  } catch (err) {
+    console.error('Error saving grant report:', err);
+    renderForm(req, res, { values: req.body, error: 'Failed to save report: ' + err.message });
+  }
+});
+
+// 6. GET /grant-reports/:id — run a saved report
+router.get('/grant-reports/:id', requirePermission('reports.build'), async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findOne({ _id: req.params.id, isDeleted: { $ne: true } }).lean();
+
+    if (!definition) {
+      req.session.error = 'Report not found';
+      return res.redirect('/grant-reports');
+    }
+
+    await renderReport(req, res, definition, {
+      saved: true,
+      links: {
+        pdf: `/grant-reports/${definition._id}/export/pdf`,
+        xlsx: `/grant-reports/${definition._id}/export/xlsx`,
+        edit: `/grant-reports/${definition._id}/edit`,
+        schedule: `/grant-reports/${definition._id}/schedule`
+      }
+    });
+  } catch (err) {
+    console.error('Error running grant report:', err);
+    req.session.error = 'Failed to run report: ' + err.message;
+    res.redirect('/grant-reports');
+  }
+});
+
+// 7. GET /grant-reports/:id/export/:format — download a saved report (pdf or xlsx)
+router.get('/grant-reports/:id/export/:format', requirePermission('reports.build'), async (req, res) => {
+  if (!DOWNLOAD_FORMATS.includes(req.params.format)) {
+    return res.status(404).send('Unknown report format');
+  }
+
+  try {
+    const definition = await ReportDefinition.findOne({ _id: req.params.id, isDeleted: { $ne: true } }).lean();
+
+    if (!definition) {
+      req.session.error = 'Report not found';
+      return res.redirect('/grant-reports');
+    }
+
+    await sendReport(res, definition, req.params.format);
+  } catch (err) {
+    console.error('Error downloading grant report:', err);
+    req.session.error = 'Failed to download report: ' + err.message;
+    res.redirect(`/grant-reports/${req.params.id}`);
+  }
+});
+
+// 8. GET /grant-reports/:id/edit — edit a saved report
+router.get('/grant-reports/:id/edit', requirePermission('reports.build'), async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findOne({ _id: req.params.id, isDeleted: { $ne: true } }).lean();
+
+    if (!definition) {
+      req.session.error = 'Report not found';
+      return res.redirect('/grant-reports');
+    }
+
+    renderForm(req, res, { definition, values: formValues(definition) });
+  } catch (err) {
+    console.error('Error loading grant report for edit:', err);
+    req.session.error = 'Failed to load report';
+    res.redirect('/grant-reports');
+  }
+});
+
+// 9. POST /grant-reports/:id — update a saved report
+router.post('/grant-reports/:id', requirePermission('reports.build'), reportValidationRules, async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+
+    if (!definition) {
+      req.session.error = 'Report not found';
+      return res.redirect('/grant-reports');
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return renderForm(req, res, { definition, values: req.body, error: errors.array()[0].msg });
+    }
+
+    const original = definition.toObject();
+    definition.set(definitionFromInput(req.body));
+    definition.hoursPerSession = definition.hoursPerSession || 1;
+    definition.updatedBy = req.session.user._id;
+
+    const validationError = definition.validateSync();
+    if (validationError) {
+      return renderForm(req, res, { definition, values: req.body, error: Object.values(validationError.errors)[0].message });
+    }
+
+    await definition.save();
+    await auditLogger.logUpdate('ReportDefinition', definition._id, original, definition, req.session.user._id);
+
+    req.session.success = 'Report updated';
+    res.redirect(`/grant-reports/${definition._id}`);
+  } catch (err) {
+    console.error('Error updating grant report:', err);
+    req.session.error = 'Failed to update report: ' + err.message;
+    res.redirect(`/grant-reports/${req.params.id}/edit`);
+  }
+});
+
+// 10. POST /grant-reports/:id/delete — soft delete a saved report
+router.post('/grant-reports/:id/delete', requirePermission('reports.build'), async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+
+    if (!definition) {
+      req.session.error = 'Report not found';
+      return res.redirect('/grant-reports');
+    }
+
+    definition.isDeleted = true;
+    definition.deletedAt = new Date();
+    definition.deletedBy = req.session.user._id;
+    await definition.save();
+    await auditLogger.logDelete('ReportDefinition', definition._id, req.session.user._id);
+
+    req.session.success = `"${definition.name}" deleted`;
+    res.redirect('/grant-reports');
+  } catch (err) {
+    console.error('Error deleting grant report:', err);
+    req.session.error = 'Failed to delete report: ' + err.message;
+    res.redirect(`/grant-reports/${req.params.id}`);
+  }
+});
+
+// ─── Email Schedule ─────────────────────────────────────────────────────────
+
+/**
+ * Render a saved report's schedule form and delivery history
+ */
+async function renderSchedule(req, res, definition, { values, error = null }) {
+  const deliveries = await ReportDelivery.find({ reportDefinition: definition._id })
+    .populate('requestedBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(25)
+    .lean();
+
+  // Get flash messages
+  const success = req.session.success;
+  delete req.session.success;
+  if (!error) {
+    error = req.session.error;
+  }
+  delete req.session.error;
+
+  res.render('grantReportSchedule', {
+    user: req.session.user,
+    definition,
+    values,
+    deliveries,
+    frequencies: ReportDefinition.FREQUENCIES,
+    attachmentFormats: ReportDefinition.ATTACHMENT_FORMATS,
+    scheduleLabel: reportSchedules.describeSchedule(definition.schedule),
+    formatHour: reportSchedules.formatHour,
+    emailConfigured: mailer.isEmailConfigured(),
+    success,
+    error
+  });
+}
+
+// 11. GET /grant-reports/:id/schedule — email schedule and delivery history
+router.get('/grant-reports/:id/schedule', requirePermission('reports.schedule'), async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findOne({ _id: req.params.id, isDeleted: { $ne: true } }).lean();
+
+    if (!definition) {
+      req.session.error = 'Report not found';
+      return res.redirect('/grant-reports');
+    }
+
+    const schedule = definition.schedule || {};
+    await renderSchedule(req, res, definition, {
+      values: {
+        frequency: schedule.frequency || 'none',
+        dayOfWeek: schedule.dayOfWeek != null ? schedule.dayOfWeek : 1,
+        dayOfMonth: schedule.dayOfMonth || 1,
+        hour: schedule.hour != null ? schedule.hour : 7,
+        recipients: (schedule.recipients || []).join('\n'),
+        attachments: schedule.attachments || ['pdf']
+      }
+    });
+  } catch (err) {
+    console.error('Error loading report schedule:', err);
+    req.session.error = 'Failed to load schedule';
+    res.redirect(`/grant-reports/${req.params.id}`);
+  }
+});
+
+// 12. POST /grant-reports/:id/schedule — save the email schedule
+router.post('/grant-reports/:id/schedule', requirePermission('reports.schedule'), scheduleValidationRules, async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+
+    if (!definition) {
+      req.session.error = 'Report not found';
+      return res.redirect('/grant-reports');
+    }
+
+    const values = { ...req.body, recipients: [].concat(req.body.recipients || []).join('\n') };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return renderSchedule(req, res, definition, { values, error: errors.array()[0].msg });
+    }
+
+    const original = definition.toObject();
+    reportSchedules.applySchedule(definition, scheduleFromInput(req.body));
+    definition.updatedBy = req.session.user._id;
+
+    const validationError = definition.validateSync();
+    if (validationError) {
+      return renderSchedule(req, res, original, { values, error: Object.values(validationError.errors)[0].message });
+    }
+
+    await definition.save();
+    await auditLogger.logUpdate('ReportDefinition', definition._id, original, definition, req.session.user._id);
+
+    req.session.success = definition.schedule.nextRunAt
+      ? `Schedule saved - the next email goes out ${definition.schedule.nextRunAt.toLocaleString('en-US')}`
+      : 'Schedule turned off';
+    res.redirect(`/grant-reports/${definition._id}/schedule`);
+  } catch (err) {
+    console.error('Error saving report schedule:', err);
+    req.session.error = 'Failed to save schedule: ' + err.message;
+    res.redirect(`/grant-reports/${req.params.id}/schedule`);
+  }
+});
+
+// 13. POST /grant-reports/:id/send — email the report to its recipients now
+router.post('/grant-reports/:id/send', requirePermission('reports.schedule'), async (req, res) => {
+  try {
+    await reportSchedules.sendNow(req.params.id, req.session.user._id);
+    req.session.success = 'Report is being sent - refresh to see the result below';
+  } catch (err) {
+    console.error('Error sending grant report:', err);
+    req.session.error = 'Failed to send report: ' + err.message;
+  }
+  res.redirect(`/grant-reports/${req.params.id}/schedule`);
+});
+
+module.exports = router;
@@ -0,0 +1,300 @@
+// routes/households.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const Household = require('../models/Household');
+const Member = require('../models/Member');
+const households = require('../services/households');
+const { requirePermission } = require('./_middleware');
+
+// Validation rules for households
+const householdValidationRules = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Household name is required')
+    .isLength({ min: 1, max: 200 }).withMessage('Name must be 1-200 characters'),
+
+  body('address')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Address must be less than 500 characters'),
+
+  body('zipCode')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^\d{5}(-\d{4})?$/).withMessage('Zip code must be in format 12345 or 12345-6789'),
+
+  body('phone')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 20 }).withMessage('Phone must be less than 20 characters'),
+
+  body('primaryContact')
+    .optional({ checkFalsy: true })
+    .isMongoId().withMessage('Invalid primary contact'),
+
+  body('notes')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Notes must be less than 2000 characters')
+];
+
+// 1. GET /households — list households (with pagination)
+router.get('/households', requirePermission('members.read'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 25;
+  const skip = (page - 1) * limit;
+  const search = req.query.search || '';
+
+  const filter = { isDeleted: { $ne: true } };
+  if (search) {
+    filter.$or = [
+      { name: new RegExp(search, 'i') },
+      { address: new RegExp(search, 'i') },
+      { zipCode: new RegExp(search, 'i') }
+    ];
+  }
+
+  try {
+    const totalHouseholds = await Household.countDocuments(filter);
+    const totalPages = Math.ceil(totalHouseholds / limit);
+
+    const householdList = await Household.find(filter)
+      .populate('primaryContact', 'firstName lastName')
+      .sort('name')
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    // Member counts for the current page
+    const counts = await Member.aggregate([
+      { $match: { household: { $in: householdList.map(h => h._id) }, isDeleted: { $ne: true } } },
+      { $group: { _id: '$household', count: { $sum: 1 } } }
+    ]);
+    const countMap = {};
+    counts.forEach(c => { countMap[c._id.toString()] = c.count; });
+    householdList.forEach(h => { h.memberCount = countMap[h._id.toString()] || 0; });
+
+    // Get flash messages
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('householdsList', {
+      user: req.session.user,
+      households: householdList,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalHouseholds,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      },
+      search,
+      success,
+      error
+    });
+  } catch (err) {
+    console.error('Error loading households list:', err);
+    req.session.error = 'Failed to load households';
+    res.redirect('/dashboard');
+  }
+});
+
+// 2. POST /households — create an empty household
+router.post('/households', requirePermission('households.edit'), householdValidationRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.session.error = errors.array()[0].msg;
+    return res.redirect('/households');
+  }
+
+  try {
+    const household = await households.createHousehold(req.body, [], req.session.user._id);
+    req.session.success = 'Household created - now add its members';
+    res.redirect(`/households/${household._id}`);
+  } catch (err) {
+    console.error('Error creating household:', err);
+    req.session.error = 'Failed to create household: ' + err.message;
+    res.redirect('/households');
+  }
+});
+
+// 3. POST /members/:id/household — start a household from a member and their family
+router.post('/members/:id/household', requirePermission('households.edit'), async (req, res) => {
+  try {
+    const household = await households.createHouseholdFromMember(req.params.id, req.session.user._id);
+    req.session.success = `Created ${household.name}`;
+    res.redirect(`/households/${household._id}`);
+  } catch (err) {
+    console.error('Error creating household from member:', err);
+    req.session.error = 'Failed to create household: ' + err.message;
+    res.redirect(`/members/${req.params.id}`);
+  }
+});
+
+// 4. GET /households/:id — members, guardians and combined totals
+router.get('/households/:id', requirePermission('members.read'), async (req, res) => {
+  try {
+    const household = await Household.findById(req.params.id)
+      .populate('primaryContact', 'firstName lastName')
+      .lean();
+
+    if (!household || household.isDeleted) {
+      req.session.error = 'Household not found';
+      return res.redirect('/households');
+    }
+
+    const members = await households.getHouseholdMembers(household._id);
+    const totals = await households.getHouseholdTotals(household._id);
+    members.forEach(m => { m.guardianList = households.listGuardians(m); });
+
+    // Get flash messages
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('householdDetails', {
+      user: req.session.user,
+      household,
+      members,
+      totals,
+      relationshipTypes: households.RELATIONSHIP_TYPES,
+      success,
+      error
+    });
+  } catch (err) {
+    console.error('Error loading household:', err);
+    req.session.error = 'Failed to load household';
+    res.redirect('/households');
+  }
+});
+
+// 5. POST /households/:id — update name and shared contact info
+router.post('/households/:id', requirePermission('households.edit'), householdValidationRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.session.error = errors.array()[0].msg;
+    return res.redirect(`/households/${req.params.id}`);
+  }
+
+  try {
+    await households.updateHousehold(req.params.id, req.body, req.session.user._id);
+    req.session.success = 'Household updated - shared contact info copied to all members';
+  } catch (err) {
+    console.error('Error updating household:', err);
+    req.session.error = 'Failed to update household: ' + err.message;
+  }
+  res.redirect(`/households/${req.params.id}`);
+});
+
+// 6. POST /households/:id/delete — soft delete household (admin only)
+router.post('/households/:id/delete', requirePermission('households.delete'), async (req, res) => {
+  try {
+    await households.deleteHousehold(req.params.id, req.session.user._id);
+    req.session.success = 'Household deleted - its members were kept';
+    res.redirect('/households');
+  } catch (err) {
+    console.error('Error deleting household:', err);
+    req.session.error = 'Failed to delete household: ' + err.message;
+    res.redirect(`/households/${req.params.id}`);
+  }
+});
+
+// 7. POST /households/:id/members — add a member
+router.post(
+  '/households/:id/members',
+  requirePermission('households.edit'),
+  [body('memberId').isMongoId().withMessage('Choose a member to add')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.session.error = errors.array()[0].msg;
+      return res.redirect(`/households/${req.params.id}`);
+    }
+
+    try {
+      await households.addMember(req.params.id, req.body.memberId, req.session.user._id);
+      req.session.success = 'Member added to household';
+    } catch (err) {
+      console.error('Error adding household member:', err);
+      req.session.error = 'Failed to add member: ' + err.message;
+    }
+    res.redirect(`/households/${req.params.id}`);
+  }
+);
+
+// 8. POST /households/:id/members/:memberId/remove — remove a member
+router.post('/households/:id/members/:memberId/remove', requirePermission('households.edit'), async (req, res) => {
+  try {
+    await households.removeMember(req.params.id, req.params.memberId, req.session.user._id);
+    req.session.success = 'Member removed from household';
+  } catch (err) {
+    console.error('Error removing household member:', err);
+    req.session.error = 'Failed to remove member: ' + err.message;
+  }
+  res.redirect(`/households/${req.params.id}`);
+});
+
+// 9. POST /households/:id/guardians — add or update a child's guardian
+router.post(
+  '/households/:id/guardians',
+  requirePermission('households.edit'),
+  [
+    body('childId').isMongoId().withMessage('Choose a child'),
+    body('guardianId').isMongoId().withMessage('Choose a guardian'),
+    body('relationship').isIn(Household.RELATIONSHIP_TYPES).withMessage('Invalid relationship')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.session.error = errors.array()[0].msg;
+      return res.redirect(`/households/${req.params.id}`);
+    }
+
+    const { childId, guardianId, relationship, canPickup } = req.body;
+
+    try {
+      await households.setGuardian(childId, guardianId, {
+        relationship,
+        canPickup: canPickup === 'true'
+      }, req.session.user._id);
+      req.session.success = 'Guardian saved';
+    } catch (err) {
+      console.error('Error saving guardian:', err);
+      req.session.error = 'Failed to save guardian: ' + err.message;
+    }
+    res.redirect(`/households/${req.params.id}`);
+  }
+);
+
+// 10. POST /households/:id/guardians/remove — remove a child's guardian
+router.post(
+  '/households/:id/guardians/remove',
+  requirePermission('households.edit'),
+  [
+    body('childId').isMongoId().withMessage('Invalid child'),
+    body('guardianId').isMongoId().withMessage('Invalid guardian')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.session.error = errors.array()[0].msg;
+      return res.redirect(`/households/${req.params.id}`);
+    }
+
+    try {
+      await households.removeGuardian(req.body.childId, req.body.guardianId, req.session.user._id);
+      req.session.success = 'Guardian removed';
+    } catch (err) {
+      console.error('Error removing guardian:', err);
+      req.session.error = 'Failed to remove guardian: ' + err.message;
+    }
+    res.redirect(`/households/${req.params.id}`);
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,129 @@
+// routes/lglSync.js
+// ═════════════════════════════════════════════════════════════════════════════
+// LITTLE GREEN LIGHT SYNC - push donations and donors to LGL
+// ═════════════════════════════════════════════════════════════════════════════
+//
+// The sync itself is services/lglSync.js; connection settings are in
+// config/lgl.js.
+//
+// 1. GET  /admin/lgl             — settings, donations waiting and recent syncs
+// 2. POST /admin/lgl/sync        — run a sync (or a dry run)
+// 3. GET  /admin/lgl/syncs/:id   — what one sync sent, and its errors
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const SyncHistory = require('../models/SyncHistory');
+const lglSync = require('../services/lglSync');
+const { LGL } = require('../config/lgl');
+const { requirePermission } = require('./_middleware');
+
+/**
+ * Local midnight at the start of a YYYY-MM-DD day
+ * @param {String} day
+ * @returns {Date|null}
+ */
+function startOfDay(day) {
+  if (!day) return null;
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+}
+
+// ─── 1. GET /admin/lgl ───────────────────────────────────────────────────────
+router.get('/admin/lgl', requirePermission('lgl.sync'), async (req, res, next) => {
+  try {
+    const [pending, syncs] = await Promise.all([
+      lglSync.countPending(),
+      SyncHistory.find({ target: 'lgl' })
+        .select('-pushedRecords')
+        .sort({ startedAt: -1 })
+        .limit(20)
+        .populate('runBy', 'firstName lastName')
+        .lean()
+    ]);
+
+    res.render('adminLglSync', {
+      user: req.session.user,
+      pending,
+      syncs,
+      settings: {
+        apiUrl: LGL.apiUrl,
+        configured: Boolean(LGL.apiKey),
+        cashGiftTypeId: LGL.cashGiftTypeId,
+        inKindGiftTypeId: LGL.inKindGiftTypeId,
+        fundId: LGL.fundId
+      },
+      success: req.session.success,
+      error: req.session.error
+    });
+
+    delete req.session.success;
+    delete req.session.error;
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── 2. POST /admin/lgl/sync ─────────────────────────────────────────────────
+router.post('/admin/lgl/sync',
+  requirePermission('lgl.sync'),
+  [
+    body('from').optional({ checkFalsy: true }).isISO8601().withMessage('From must be a date'),
+    body('to').optional({ checkFalsy: true }).isISO8601().withMessage('To must be a date')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.session.error = errors.array()[0].msg;
+      return res.redirect('/admin/lgl');
+    }
+
+    try {
+      const to = startOfDay(req.body.to);
+      const job = await lglSync.runSync({
+        from: startOfDay(req.body.from),
+        // The form's "to" day is included
+        to: to && new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1),
+        dryRun: req.body.dryRun === 'true',
+        userId: req.session.user._id
+      });
+
+      const { successful, failed, skipped } = job.stats;
+      req.session.success = job.dryRun
+        ? `Dry run finished: ${successful} donation(s) would be sent, ${skipped} skipped. Nothing was sent to LGL.`
+        : `Sync finished: ${successful} donation(s) sent, ${failed} failed, ${skipped} skipped.`;
+      res.redirect(`/admin/lgl/syncs/${job._id}`);
+    } catch (err) {
+      console.error('Error syncing to LGL:', err);
+      req.session.error = 'Failed to sync: ' + err.message;
+      res.redirect('/admin/lgl');
+    }
+  }
+);
+
+// ─── 3. GET /admin/lgl/syncs/:id ─────────────────────────────────────────────
+router.get('/admin/lgl/syncs/:id', requirePermission('lgl.sync'), async (req, res, next) => {
+  try {
+    const sync = await SyncHistory.findOne({ _id: req.params.id, target: 'lgl' })
+      .populate('runBy', 'firstName lastName')
+      .lean();
+
+    if (!sync) {
+      return res.status(404).send('Sync not found');
+    }
+
+    res.render('adminLglSyncDetail', {
+      user: req.session.user,
+      sync,
+      success: req.session.success
+    });
+
+    delete req.session.success;
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
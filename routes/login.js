@@ -1,6 +1,6 @@
 // routes/login.js
 // ═════════════════════════════════════════════════════════════════════════════
-// LOGIN ROUTES - Local authentication with bcrypt
+// LOGIN ROUTES - Local authentication with bcrypt, or Google sign-in
 // ═════════════════════════════════════════════════════════════════════════════
 //
 // 🔐 AUTHENTICATION FLOW:
@@ -9,27 +9,112 @@
 // 2. User submits email + password → POST /login
 // 3. Server looks up user by email in MongoDB
 // 4. Server uses bcrypt to compare submitted password with stored hash
-// 5. If valid: create session with user data → redirect to /dashboard
-// 6. If invalid: redirect back to login form with error message
+// 5. Pending (not yet approved) or rejected accounts are turned away
+// 6. If the user has two-step login on: remember them in
+//    req.session.mfaPending and ask for a code at /login/mfa (the session is
+//    only created once the code checks out - see services/mfa.js)
+// 7. If valid: create session with user data → redirect to /dashboard
+// 8. If invalid: redirect back to login form with error message
+//
+// Every attempt is logged, and too many wrong passwords or codes in a row
+// lock the account for a while (services/loginSecurity.js).
+//
+// "Sign in with Google" (/auth/google) replaces steps 2-4 with a Google
+// Workspace account check (services/googleAuth.js); from step 5 on it's the
+// same - including the two-step login code.
 //
 // Session data stored in req.session.user contains:
-// { _id, email, firstName, lastName, role }
+// { _id, email, firstName, lastName, role, mfaSetupRequired }
+//
+// mfaSetupRequired is set when the user's role must use two-step login but
+// they haven't set it up; ensureMfaEnrolled then keeps them on /account/mfa.
 //
 // This session persists in MongoDB (via connect-mongo) and survives server restarts.
+// checkSession (routes/_middleware.js) keeps the role in it current and ends
+// it early when an admin signs the user out, the password changes, or it sits
+// idle too long (services/sessions.js).
 //
 // ─────────────────────────────────────────────────────────────────────────────
 
 const express = require('express');
+const passport = require('passport');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const mfa = require('../services/mfa');
+const loginSecurity = require('../services/loginSecurity');
+const googleAuth = require('../services/googleAuth');
+const sessions = require('../services/sessions');
 const router = express.Router();
 
+// How long the code step may take, and how many wrong codes are allowed,
+// before the user has to enter their password again
+const MFA_PENDING_MS = 5 * 60 * 1000;
+const MFA_MAX_ATTEMPTS = 5;
+
+/**
+ * Message shown while an account is locked
+ * @param {Object} user - Locked user
+ * @returns {String}
+ */
+function lockedMessage(user) {
+  const minutes = loginSecurity.minutesLeft(user);
+  return `This account is locked after too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}, or reset your password to unlock it now.`;
+}
+
+/**
+ * Back to the login form with an error
+ * @param {Object} res - Express response
+ * @param {String} message
+ */
+function loginError(res, message) {
+  res.redirect(`/custom-login?error=${encodeURIComponent(message)}`);
+}
+
+/**
+ * Log the user in: create the session and go to the dashboard
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {Object} options
+ * @param {String} options.notice - Extra message for the welcome flash
+ * @param {String} options.mfaMethod - 'totp' or 'recovery' if a code was used
+ * @param {String} options.method - 'password' or 'google'
+ */
+async function completeLogin(req, res, user, { notice, mfaMethod, method = 'password' } = {}) {
+  await loginSecurity.recordSuccess(user, req, mfaMethod, method);
+
+  const mfaSetupRequired = !user.mfa.enabled && await mfa.isRequiredFor(user.role);
+
+  // A fresh session ID for every login, tracked so admins can sign it out
+  await new Promise((resolve, reject) => req.session.regenerate(err => (err ? reject(err) : resolve())));
+  req.session.user = {
+    _id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    mfaSetupRequired
+  };
+  await sessions.start(req, user, method);
+
+  if (mfaSetupRequired) {
+    req.session.error = 'Your account needs two-step login. Please set it up to continue.';
+    return res.redirect('/account/mfa');
+  }
+
+  // Set success flash message (read once in dashboard, then deleted)
+  req.session.success = `Welcome back, ${user.firstName}!${notice ? ` ${notice}` : ''}`;
+
+  // Redirect to dashboard (role-specific dashboard rendered by /dashboard route)
+  res.redirect('/dashboard');
+}
+
 // ─── GET /custom-login ───────────────────────────────────────────────────────
 // Render the login form
 // Query params: ?error=message&email=prefilled&success=message
 router.get('/custom-login', (req, res) => {
   const { error, email, success } = req.query;
-  res.render('customLogin', { error, email, success });
+  res.render('customLogin', { error, email, success, googleEnabled: googleAuth.isEnabled() });
 });
 
 // ─── POST /login ─────────────────────────────────────────────────────────────
@@ -65,36 +150,52 @@ router.post(
 
       if (!user) {
         // User not found - redirect with error
+        await loginSecurity.recordEvent(req, { email, outcome: 'unknown_user' });
         const errorMsg = encodeURIComponent('Invalid email or password.');
         const enteredEmail = encodeURIComponent(req.body.email);
         return res.redirect(`/custom-login?error=${errorMsg}&email=${enteredEmail}`);
       }
 
-      // 2. Compare password using bcrypt (via User model method)
+      // 2. Locked accounts don't get their password checked at all
+      if (loginSecurity.isLocked(user)) {
+        await loginSecurity.recordEvent(req, { user: user._id, email: user.email, outcome: 'locked' });
+        const errorMsg = encodeURIComponent(lockedMessage(user));
+        const enteredEmail = encodeURIComponent(req.body.email);
+        return res.redirect(`/custom-login?error=${errorMsg}&email=${enteredEmail}`);
+      }
+
+      // 3. Compare password using bcrypt (via User model method)
       // user.comparePassword() is defined in models/User.js
       const isPasswordValid = await user.comparePassword(password);
 
       if (!isPasswordValid) {
-        // Invalid password - redirect with error
-        const errorMsg = encodeURIComponent('Invalid email or password.');
+        // Invalid password - count it, then redirect with error
+        const failure = await loginSecurity.recordFailure(user, req);
+        const errorMsg = encodeURIComponent(failure.locked
+          ? lockedMessage({ lockedUntil: failure.lockedUntil })
+          : 'Invalid email or password.');
         const enteredEmail = encodeURIComponent(req.body.email);
         return res.redirect(`/custom-login?error=${errorMsg}&email=${enteredEmail}`);
       }
 
-      // 3. Authentication successful - create session
-      req.session.user = {
-        _id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role
-      };
+      // 4. Accounts from /custom-signup wait for an admin to approve them
+      if (user.status !== 'active') {
+        await loginSecurity.recordEvent(req, { user: user._id, email: user.email, outcome: 'not_approved' });
+        const errorMsg = encodeURIComponent(user.status === 'pending'
+          ? 'Your access request is waiting for an admin to approve it. You can log in once it\'s approved.'
+          : 'This account doesn\'t have access to the dashboard. Please contact an administrator.');
+        const enteredEmail = encodeURIComponent(req.body.email);
+        return res.redirect(`/custom-login?error=${errorMsg}&email=${enteredEmail}`);
+      }
 
-      // 4. Set success flash message (read once in dashboard, then deleted)
-      req.session.success = `Welcome back, ${user.firstName}!`;
+      // 5. Two-step login - ask for a code before creating the session
+      if (user.mfa.enabled) {
+        req.session.mfaPending = { userId: user._id.toString(), startedAt: Date.now(), attempts: 0, method: 'password' };
+        return res.redirect('/login/mfa');
+      }
 
-      // 5. Redirect to dashboard (role-specific dashboard rendered by /dashboard route)
-      res.redirect('/dashboard');
+      // 6. Authentication successful - create session
+      await completeLogin(req, res, user);
 
     } catch (err) {
       console.error('Login error:', err);
@@ -104,4 +205,155 @@ router.post(
   }
 );
 
+// ─── GET /login/mfa ──────────────────────────────────────────────────────────
+// Second login step: ask for an authenticator or recovery code
+router.get('/login/mfa', (req, res) => {
+  if (!req.session.mfaPending) {
+    return res.redirect('/custom-login');
+  }
+
+  const error = req.session.error;
+  delete req.session.error;
+  res.render('loginMfa', { error });
+});
+
+// ─── POST /login/mfa ─────────────────────────────────────────────────────────
+// Check the code and finish logging in
+router.post('/login/mfa', async (req, res) => {
+  const pending = req.session.mfaPending;
+  const restart = message => {
+    delete req.session.mfaPending;
+    res.redirect(`/custom-login?error=${encodeURIComponent(message)}`);
+  };
+
+  if (!pending) {
+    return res.redirect('/custom-login');
+  }
+  if (Date.now() - pending.startedAt > MFA_PENDING_MS) {
+    return restart('That took too long. Please log in again.');
+  }
+
+  try {
+    const user = await User.findById(pending.userId);
+    if (!user || !user.mfa.enabled) {
+      return restart('Please log in again.');
+    }
+    if (loginSecurity.isLocked(user)) {
+      return restart(lockedMessage(user));
+    }
+
+    const result = await mfa.verifyLogin(user, req.body.code);
+    if (!result) {
+      const failure = await loginSecurity.recordFailure(user, req, 'bad_mfa_code');
+      if (failure.locked) {
+        return restart(lockedMessage({ lockedUntil: failure.lockedUntil }));
+      }
+      pending.attempts += 1;
+      if (pending.attempts >= MFA_MAX_ATTEMPTS) {
+        return restart('Too many incorrect codes. Please log in again.');
+      }
+      req.session.error = 'That code didn\'t work. Try the newest code from your app.';
+      return res.redirect('/login/mfa');
+    }
+
+    delete req.session.mfaPending;
+
+    let notice;
+    if (result.method === 'recovery') {
+      notice = result.recoveryCodesLeft > 0
+        ? `You used a recovery code - ${result.recoveryCodesLeft} left.`
+        : 'You used your last recovery code. Make new ones under Two-Step Login.';
+    }
+    await completeLogin(req, res, user, { notice, mfaMethod: result.method, method: pending.method });
+
+  } catch (err) {
+    console.error('MFA login error:', err);
+    restart('An error occurred during login. Please try again.');
+  }
+});
+
+// ─── GET /auth/google ────────────────────────────────────────────────────────
+// Send the browser to Google's account picker (our Workspace domain only)
+router.get('/auth/google', (req, res, next) => {
+  if (!googleAuth.isEnabled()) {
+    return loginError(res, 'Google sign-in isn\'t set up. Please use your email and password.');
+  }
+
+  googleAuth.ensureStrategy();
+  passport.authenticate(googleAuth.STRATEGY, {
+    scope: ['profile', 'email'],
+    hd: googleAuth.getConfig().hostedDomain,
+    prompt: 'select_account',
+    session: false
+  })(req, res, next);
+});
+
+// ─── GET /auth/google/callback ───────────────────────────────────────────────
+// Google sends the browser back here. Match the Google account to a user,
+// then continue like a password login.
+router.get('/auth/google/callback', (req, res, next) => {
+  if (!googleAuth.isEnabled()) {
+    return res.redirect('/custom-login');
+  }
+
+  googleAuth.ensureStrategy();
+  passport.authenticate(googleAuth.STRATEGY, { session: false }, async (authErr, profile) => {
+    if (authErr || !profile) {
+      if (authErr) console.error('Google sign-in error:', authErr.message);
+      return loginError(res, 'Google sign-in was cancelled or didn\'t work. Please try again.');
+    }
+
+    const config = googleAuth.getConfig();
+    const attemptedEmail = profile._json?.email || profile.emails?.[0]?.value || '';
+
+    try {
+      // 1. Our domain, verified email
+      let identity;
+      try {
+        identity = googleAuth.profileIdentity(profile, config.hostedDomain);
+      } catch (err) {
+        await loginSecurity.recordEvent(req, { email: attemptedEmail, outcome: 'sso_rejected', method: 'google' });
+        return loginError(res, err.message);
+      }
+
+      // 2. Existing account (linked on first use), or a new access request
+      const { user, created } = await googleAuth.findOrCreateUser(identity, { autoProvision: config.autoProvision });
+      if (!user) {
+        await loginSecurity.recordEvent(req, { email: identity.email, outcome: 'sso_rejected', method: 'google' });
+        return loginError(res, `There's no dashboard account for ${identity.email}. Ask an admin for an invite.`);
+      }
+      if (created) {
+        await loginSecurity.recordEvent(req, { user: user._id, email: user.email, outcome: 'not_approved', method: 'google' });
+        return res.redirect(`/custom-login?success=${encodeURIComponent('Thanks! Your access request has been sent to an admin. You can sign in with Google once it\'s approved.')}`);
+      }
+
+      // 3. Same checks as a password login
+      if (loginSecurity.isLocked(user)) {
+        await loginSecurity.recordEvent(req, { user: user._id, email: user.email, outcome: 'locked', method: 'google' });
+        return loginError(res, lockedMessage(user));
+      }
+      if (user.status !== 'active') {
+        await loginSecurity.recordEvent(req, { user: user._id, email: user.email, outcome: 'not_approved', method: 'google' });
+        return loginError(res, user.status === 'pending'
+          ? 'Your access request is waiting for an admin to approve it. You can log in once it\'s approved.'
+          : 'This account doesn\'t have access to the dashboard. Please contact an administrator.');
+      }
+
+      // 4. Two-step login still applies
+      if (user.mfa.enabled) {
+        req.session.mfaPending = { userId: user._id.toString(), startedAt: Date.now(), attempts: 0, method: 'google' };
+        return res.redirect('/login/mfa');
+      }
+
+      await completeLogin(req, res, user, { method: 'google' });
+
+    } catch (err) {
+      console.error('Google sign-in error:', err);
+      loginError(res, err.message.includes('different Google account')
+        ? err.message
+        : 'An error occurred during login. Please try again.');
+    }
+  })(req, res, next);
+});
+
 module.exports = router;
@@ -7,48 +7,22 @@ const Checkout = require('../models/Checkout');
 const Donation = require('../models/Donation');
 const Visit    = require('../models/Visit');
 const auditLogger = require('../utils/auditLogger');
-
-/**
- * Middleware: only admin may proceed.
- */
-function ensureAdmin(req, res, next) {
-  const role = req.session.user?.role;
-  if (role === 'admin') {
-    return next();
-  }
-  return res.status(403).send('Forbidden: Admin access required');
-}
-
-/**
- * Middleware: only staff or admin may proceed.
- */
-function ensureStaffOrAdmin(req, res, next) {
-  const role = req.session.user?.role;
-  if (role === 'staff' || role === 'admin') {
-    return next();
-  }
-  return res.status(403).send('Forbidden');
-}
-
-/**
- * Middleware: authenticated users (volunteer, staff, or admin)
- */
-function ensureAuthenticated(req, res, next) {
-  if (req.session?.user) {
-    return next();
-  }
-  return res.status(403).send('Forbidden');
-}
+const memberMerge = require('../services/memberMerge');
+const households = require('../services/households');
+const emailQueue = require('../services/emailQueue');
+const suppression = require('../services/suppression');
+const { requirePermission, requireExportPermission } = require('./_middleware');
+const { exportFormat, columnChoices, sendExport } = require('../services/exports');
 
 // 1. GET /members/new — form to add a new member
-router.get('/members/new', ensureAuthenticated, (req, res) => {
+router.get('/members/new', requirePermission('members.create'), (req, res) => {
   res.render('newMember', { user: req.session.user });
 });
 
 // 2. POST /members — create the member
 router.post(
   '/members',
-  ensureAuthenticated,
+  requirePermission('members.create'),
   [
     // Validation rules
     body('firstName')
@@ -112,7 +86,7 @@ router.post(
 
     const {
       firstName, lastName, email, phone, address, zipCode, memberType, parent, dateOfBirth, grade, school,
-      emergencyContactName, emergencyContactPhone, emergencyContactRelationship
+      emergencyContactName, emergencyContactPhone, emergencyContactRelationship, marketingConsent
     } = req.body;
 
     try {
@@ -125,13 +99,17 @@ router.post(
         memberType: memberType || 'adult'
       };
 
+      if (email) {
+        memberData.emailConsent = Member.buildConsent(marketingConsent === 'true', 'staff');
+      }
+
       // Date of Birth - save for ALL members (used for age calculation)
       if (dateOfBirth) {
         memberData.dateOfBirth = new Date(dateOfBirth);
       }
 
-      // Only staff/admin can set full address
-      if (req.session.user.role === 'staff' || req.session.user.role === 'admin') {
+      // Only roles allowed to record addresses can set full address
+      if (req.access.permissions.has('members.address')) {
         memberData.address = address;
       }
 
@@ -159,17 +137,36 @@ router.post(
       }
 
       const newMember = await Member.create(memberData);
+      await auditLogger.logCreate('Member', newMember, req.session.user._id);
+
+      // Welcome email (only queued while the welcome template is enabled)
+      if (newMember.email) {
+        await emailQueue.enqueue('welcome_member', newMember.email, {
+          memberName: `${newMember.firstName} ${newMember.lastName}`,
+          details: { memberId: newMember._id.toString(), joinDate: newMember.joinedAt }
+        }).catch(err => console.error('Failed to queue welcome email (non-critical):', err.message));
+      }
+
+      // Record the parent as a guardian and move the child into their household
+      if (memberData.parent) {
+        try {
+          await households.linkChildToParent(newMember._id, memberData.parent, req.session.user._id);
+        } catch (linkErr) {
+          console.error('Error linking child to parent household:', linkErr);
+        }
+      }
 
       // If in front desk mode, auto-create a visitor check-in record
       if (req.session.frontDeskMode) {
         try {
-          await Visit.create({
+          const visit = await Visit.create({
             member: newMember._id,
             visitDate: new Date(),
             purpose: 'New member registration',
             notes: 'Auto-created during front desk registration',
             recordedBy: req.session.user._id
           });
+          await auditLogger.logCreate('Visit', visit, req.session.user._id);
         } catch (visitErr) {
           console.error('Error auto-creating visit record:', visitErr);
           // Don't fail the member creation if visit creation fails
@@ -186,8 +183,56 @@ router.post(
   }
 );
 
+// ─── Exports (services/exports.js) ───────────────────────────────────────────
+
+/**
+ * Age in whole years
+ * @param {Date} dateOfBirth
+ * @param {Date} today
+ * @returns {Number|null}
+ */
+function ageOn(dateOfBirth, today) {
+  if (!dateOfBirth) return null;
+  const dob = new Date(dateOfBirth);
+  let age = today.getFullYear() - dob.getFullYear();
+  const monthDiff = today.getMonth() - dob.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < dob.getDate())) {
+    age--;
+  }
+  return age;
+}
+
+const EXPORT_COLUMNS = [
+  { key: 'firstName', header: 'First Name', value: m => m.firstName },
+  { key: 'lastName', header: 'Last Name', value: m => m.lastName },
+  { key: 'memberType', header: 'Type', value: m => m.memberType || 'adult' },
+  { key: 'email', header: 'Email', value: m => m.email, width: 28 },
+  { key: 'phone', header: 'Phone', value: m => m.phone },
+  // Left out for roles without members.address
+  { key: 'address', header: 'Address', value: m => m.address, width: 32, optional: true },
+  { key: 'zipCode', header: 'ZIP Code', value: m => m.zipCode },
+  { key: 'dateOfBirth', header: 'Date of Birth', value: m => m.dateOfBirth, type: 'date' },
+  { key: 'age', header: 'Age', value: m => ageOn(m.dateOfBirth, new Date()), type: 'integer' },
+  { key: 'grade', header: 'Grade', value: m => m.grade, optional: true },
+  { key: 'school', header: 'School', value: m => m.school, optional: true },
+  { key: 'emailConsent', header: 'Email Consent', value: m => Boolean(m.emailConsent?.marketing), type: 'boolean', optional: true },
+  { key: 'joinedAt', header: 'Joined', value: m => m.joinedAt, type: 'date' },
+  { key: 'externalId', header: 'External ID', value: m => m.externalId, optional: true },
+  { key: 'notes', header: 'Notes', value: m => m.notes, width: 40, optional: true }
+];
+
+/**
+ * The export columns this user may download
+ * @param {Object} access - req.access
+ * @returns {Array<Object>}
+ */
+function exportColumnsFor(access) {
+  return EXPORT_COLUMNS.filter(column => column.key !== 'address' || access.permissions.has('members.address'));
+}
+
 // 3. GET /members — list all members (with pagination)
-router.get('/members', ensureAuthenticated, async (req, res) => {
+// ?format=csv|xlsx|json downloads every matching member instead
+router.get('/members', requirePermission('members.read'), requireExportPermission, async (req, res) => {
   // Pagination parameters
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 25; // 25 members per page
@@ -195,7 +240,7 @@ router.get('/members', ensureAuthenticated, async (req, res) => {
 
   // Search/filter parameters
   const search = req.query.search || '';
-  const showDeleted = req.query.showDeleted === 'true' && req.session.user?.role === 'admin';
+  const showDeleted = req.query.showDeleted === 'true' && req.access.permissions.has('members.delete');
 
   // Member type filter: 'all', 'adult', 'child'
   const memberTypeFilter = req.query.memberType || 'all';
@@ -268,6 +313,21 @@ router.get('/members', ensureAuthenticated, async (req, res) => {
   }
 
   try {
+    // Export every matching member
+    const format = exportFormat(req.query.format);
+    if (format) {
+      return await sendExport(res, {
+        format,
+        fileName: 'members',
+        rows: Member.find(filter).sort('lastName').lean(),
+        columns: exportColumnsFor(req.access),
+        selected: req.query.columns,
+        sheet: 'Members',
+        property: 'members',
+        filters: { search, memberType: memberTypeFilter, minAge, maxAge, agePreset, showDeleted }
+      });
+    }
+
     // Get total count for pagination
     const totalMembers = await Member.countDocuments(filter);
     const totalPages = Math.ceil(totalMembers / limit);
@@ -281,17 +341,7 @@ router.get('/members', ensureAuthenticated, async (req, res) => {
 
     // Calculate age for each member (since lean() doesn't include virtuals)
     members.forEach(m => {
-      if (m.dateOfBirth) {
-        const dob = new Date(m.dateOfBirth);
-        let age = today.getFullYear() - dob.getFullYear();
-        const monthDiff = today.getMonth() - dob.getMonth();
-        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < dob.getDate())) {
-          age--;
-        }
-        m.age = age;
-      } else {
-        m.age = null;
-      }
+      m.age = ageOn(m.dateOfBirth, today);
     });
 
     // Get flash messages
@@ -317,6 +367,7 @@ router.get('/members', ensureAuthenticated, async (req, res) => {
       maxAge,
       minAge,
       agePreset,
+      exportColumns: columnChoices(exportColumnsFor(req.access)),
       success,
       error
     });
@@ -327,16 +378,153 @@ router.get('/members', ensureAuthenticated, async (req, res) => {
   }
 });
 
+// ─── DUPLICATE DETECTION & MERGE (admin only) ────────────────────────────────
+// Defined before /members/:id so "duplicates" and "merge" aren't read as IDs.
+
+// 3a. GET /members/duplicates — list likely duplicate pairs
+router.get('/members/duplicates', requirePermission('members.merge'), async (req, res) => {
+  const threshold = parseInt(req.query.threshold) || memberMerge.DEFAULT_THRESHOLD;
+
+  try {
+    const pairs = await memberMerge.findDuplicateCandidates({ threshold });
+
+    // Get flash messages
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('memberDuplicates', {
+      user: req.session.user,
+      pairs,
+      threshold,
+      success,
+      error
+    });
+  } catch (err) {
+    console.error('Error finding duplicate members:', err);
+    req.session.error = 'Failed to search for duplicates';
+    res.redirect('/members');
+  }
+});
+
+// 3b. GET /members/merge?a=...&b=... — side-by-side comparison, pick the survivor
+router.get('/members/merge', requirePermission('members.merge'), async (req, res) => {
+  const { a, b } = req.query;
+
+  try {
+    const [memberA, memberB] = await Promise.all([
+      Member.findById(a).populate('parent', 'firstName lastName').populate('household', 'name').lean(),
+      Member.findById(b).populate('parent', 'firstName lastName').populate('household', 'name').lean()
+    ]);
+
+    if (!memberA || !memberB) {
+      req.session.error = 'Member not found';
+      return res.redirect('/members/duplicates');
+    }
+
+    const [countsA, countsB] = await Promise.all([
+      memberMerge.countMemberReferences(memberA._id),
+      memberMerge.countMemberReferences(memberB._id)
+    ]);
+
+    const error = req.session.error;
+    delete req.session.error;
+
+    res.render('memberMerge', {
+      user: req.session.user,
+      memberA,
+      memberB,
+      countsA,
+      countsB,
+      match: memberMerge.scoreMemberPair(memberA, memberB),
+      fillableFields: memberMerge.FILLABLE_FIELDS,
+      error
+    });
+  } catch (err) {
+    console.error('Error loading merge screen:', err);
+    req.session.error = 'Failed to load members for merge';
+    res.redirect('/members/duplicates');
+  }
+});
+
+// 3c. POST /members/merge — merge loserId into survivorId
+router.post(
+  '/members/merge',
+  requirePermission('members.merge'),
+  [
+    body('survivorId').isMongoId().withMessage('Choose which record to keep'),
+    body('loserId').isMongoId().withMessage('Invalid member ID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.session.error = errors.array()[0].msg;
+      return res.redirect('/members/duplicates');
+    }
+
+    const { survivorId, loserId, fillBlanks } = req.body;
+
+    try {
+      const entry = await memberMerge.mergeMembers(survivorId, loserId, req.session.user._id, {
+        fillBlanks: fillBlanks === 'true'
+      });
+
+      req.session.success = entry
+        ? 'Members merged. You can undo this from the Merge History section below.'
+        : 'Members merged, but the audit entry could not be written - this merge cannot be undone.';
+      res.redirect(`/members/${survivorId}`);
+    } catch (err) {
+      console.error('Error merging members:', err);
+      req.session.error = 'Failed to merge members: ' + err.message;
+      res.redirect(`/members/merge?a=${survivorId}&b=${loserId}`);
+    }
+  }
+);
+
+// 3d. POST /members/merge/:logId/undo — reverse a merge
+router.post('/members/merge/:logId/undo', requirePermission('members.merge'), async (req, res) => {
+  try {
+    const entry = await memberMerge.undoMerge(req.params.logId, req.session.user._id);
+    req.session.success = 'Merge undone - both members have been restored';
+    res.redirect(entry ? `/members/${entry.relatedRecordId}` : '/members');
+  } catch (err) {
+    console.error('Error undoing merge:', err);
+    req.session.error = 'Failed to undo merge: ' + err.message;
+    res.redirect('/members/duplicates');
+  }
+});
+
 // 4. GET /members/:id — show details + history
-router.get('/members/:id', ensureAuthenticated, async (req, res) => {
+router.get('/members/:id', requirePermission('members.read'), async (req, res) => {
   try {
-    const member = await Member.findById(req.params.id).populate('parent', 'firstName lastName').lean();
+    const member = await Member.findById(req.params.id)
+      .populate('parent', 'firstName lastName')
+      .populate('guardians.member', 'firstName lastName phone')
+      .populate('household')
+      .lean();
 
     if (!member) {
       req.session.error = 'Member not found';
       return res.redirect('/members');
     }
 
+    // Household members + combined totals, and the children this member looks after
+    let householdMembers = [];
+    let householdTotals = null;
+    if (member.household && !member.household.isDeleted) {
+      householdMembers = await households.getHouseholdMembers(member.household._id);
+      householdTotals = await households.getHouseholdTotals(member.household._id);
+    }
+    const guardians = households.listGuardians(member);
+    const wards = await Member.find({
+      isDeleted: { $ne: true },
+      $or: [{ parent: member._id }, { 'guardians.member': member._id }]
+    })
+      .select('firstName lastName guardians parent')
+      .sort('firstName')
+      .lean();
+
     const checkoutHistory = await Checkout.find({
       member: member._id,
       isDeleted: { $ne: true }
@@ -351,6 +539,15 @@ router.get('/members/:id', ensureAuthenticated, async (req, res) => {
       .sort('-donatedAt')
       .lean();
 
+    // Merges this member was part of (mergers only - offers undo)
+    let mergeHistory = [];
+    if (req.access.permissions.has('members.merge')) {
+      mergeHistory = await memberMerge.getMergeHistory(member._id);
+    }
+
+    // Unsubscribed or bounced address
+    const emailSuppression = member.email ? await suppression.isSuppressed(member.email, { marketing: true }) : null;
+
     // Get flash messages
     const success = req.session.success;
     const error = req.session.error;
@@ -362,6 +559,13 @@ router.get('/members/:id', ensureAuthenticated, async (req, res) => {
       member,
       checkoutHistory,
       donationHistory,
+      mergeHistory,
+      emailSuppression,
+      guardians,
+      wards,
+      householdMembers,
+      householdTotals,
+      relationshipTypes: households.RELATIONSHIP_TYPES,
       success,
       error
     });
@@ -373,7 +577,7 @@ router.get('/members/:id', ensureAuthenticated, async (req, res) => {
 });
 
 // 5. GET /members/search — JSON endpoint for autocomplete widgets
-router.get('/members/search', ensureAuthenticated, async (req, res) => {
+router.get('/members/search', requirePermission('members.read'), async (req, res) => {
   const q           = req.query.q || '';
   const memberType  = req.query.memberType;
   const regex       = new RegExp(q, 'i');
@@ -441,7 +645,7 @@ const memberValidationRules = [
 ];
 
 // 6. GET /members/:id/edit — show edit form (admin only)
-router.get('/members/:id/edit', ensureAdmin, async (req, res) => {
+router.get('/members/:id/edit', requirePermission('members.edit'), async (req, res) => {
   try {
     const member = await Member.findById(req.params.id).populate('parent', 'firstName lastName').lean();
 
@@ -474,7 +678,7 @@ router.get('/members/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // 7. POST /members/:id — update member (admin only)
-router.post('/members/:id', ensureAdmin, memberValidationRules, async (req, res) => {
+router.post('/members/:id', requirePermission('members.edit'), memberValidationRules, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     req.session.error = errors.array()[0].msg;
@@ -493,7 +697,7 @@ router.post('/members/:id', ensureAdmin, memberValidationRules, async (req, res)
     const {
       firstName, lastName, email, phone, address, zipCode, notes,
       memberType, parent, dateOfBirth, grade, school,
-      emergencyContactName, emergencyContactPhone, emergencyContactRelationship
+      emergencyContactName, emergencyContactPhone, emergencyContactRelationship, marketingConsent
     } = req.body;
 
     // Build update data
@@ -513,6 +717,12 @@ router.post('/members/:id', ensureAdmin, memberValidationRules, async (req, res)
     // Date of Birth - save for ALL members (used for age calculation)
     updateData.dateOfBirth = dateOfBirth ? new Date(dateOfBirth) : undefined;
 
+    // Only touch consent when staff changed it, so its date and source stay accurate
+    const wantsMarketing = marketingConsent === 'true';
+    if (wantsMarketing !== Boolean(originalMember.emailConsent && originalMember.emailConsent.marketing)) {
+      updateData.emailConsent = Member.buildConsent(wantsMarketing, 'staff');
+    }
+
     // Handle child-specific fields
     if (memberType === 'child') {
       updateData.parent = parent || undefined;
@@ -544,6 +754,12 @@ router.post('/members/:id', ensureAdmin, memberValidationRules, async (req, res)
     // Log the update to audit trail
     await auditLogger.logUpdate('Member', req.params.id, originalMember, updatedMember, req.session.user._id);
 
+    // A newly chosen parent should also appear in the guardians list
+    if (memberType === 'child' && parent &&
+        !(updatedMember.guardians || []).some(g => String(g.member) === String(parent))) {
+      await households.setGuardian(updatedMember._id, parent, { relationship: 'parent' }, req.session.user._id);
+    }
+
     req.session.success = 'Member updated successfully';
     res.redirect(`/members/${req.params.id}`);
   } catch (err) {
@@ -554,7 +770,7 @@ router.post('/members/:id', ensureAdmin, memberValidationRules, async (req, res)
 });
 
 // 8. POST /members/:id/delete — soft delete member (admin only)
-router.post('/members/:id/delete', ensureAdmin, async (req, res) => {
+router.post('/members/:id/delete', requirePermission('members.delete'), async (req, res) => {
   try {
     const member = await Member.findById(req.params.id);
 
@@ -583,7 +799,7 @@ router.post('/members/:id/delete', ensureAdmin, async (req, res) => {
 });
 
 // 9. POST /members/:id/restore — restore soft-deleted member (admin only)
-router.post('/members/:id/restore', ensureAdmin, async (req, res) => {
+router.post('/members/:id/restore', requirePermission('members.delete'), async (req, res) => {
   try {
     const member = await Member.findById(req.params.id);
 
@@ -612,7 +828,7 @@ router.post('/members/:id/restore', ensureAdmin, async (req, res) => {
 });
 
 // 10. GET /members/:id/history — get audit history for a member (admin only)
-router.get('/members/:id/history', ensureAdmin, async (req, res) => {
+router.get('/members/:id/history', requirePermission('audit.read'), async (req, res) => {
   try {
     const history = await auditLogger.getHistory('Member', req.params.id);
     res.json(history);
@@ -2,11 +2,11 @@ const express = require('express');
 const router = express.Router();
 const Message = require('../models/Message');
 const User = require('../models/User');
+const { requirePermission } = require('./_middleware');
 
 // POST a new message
-router.post('/messages', async (req, res) => {
+router.post('/messages', requirePermission('messages.send'), async (req, res) => {
   const user = req.session.user;
-  if (!user || !['admin', 'staff'].includes(user.role)) return res.status(403).send('Unauthorized');
 
   const { recipientId, body } = req.body;
   if (!recipientId || !body) {
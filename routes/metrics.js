@@ -4,7 +4,7 @@ const router           = express.Router();
 const MetricDef        = require('../models/MetricDefinition');
 const MetricValue      = require('../models/MetricValue');
 const Program          = require('../models/Program');
-const { ensureStaffOrAdmin } = require('./_middleware');
+const { requirePermission } = require('./_middleware');
 
 /**
  * Helper to cast a string input into the correct JS type
@@ -28,7 +28,7 @@ function castValue(raw, type) {
  * GET /metrics/overview
  * Metrics dashboard for staff and admin - view aggregated metrics across all programs
  */
-router.get('/metrics/overview', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/metrics/overview', requirePermission('metrics.read'), async (req, res, next) => {
   try {
     const user = req.session.user;
 
@@ -103,7 +103,7 @@ router.get('/metrics/overview', ensureStaffOrAdmin, async (req, res, next) => {
  */
 router.post(
   '/programs/:programId/metrics',
-  ensureStaffOrAdmin,
+  requirePermission('metrics.record'),
   async (req, res, next) => {
     try {
       const { programId } = req.params;
@@ -150,7 +150,7 @@ router.post(
  */
 router.post(
   '/programs/:programId/metrics/data',
-  ensureStaffOrAdmin,
+  requirePermission('metrics.record'),
   async (req, res, next) => {
     try {
       const { programId } = req.params;
@@ -0,0 +1,129 @@
+// routes/mfa.js
+// ═════════════════════════════════════════════════════════════════════════════
+// TWO-STEP LOGIN SETUP - Staff and admin manage their own authenticator app
+// ═════════════════════════════════════════════════════════════════════════════
+//
+// The login side (asking for a code) is in routes/login.js; the logic is in
+// services/mfa.js.
+//
+// 1. GET  /account/mfa                 — status, QR code while enrolling, new recovery codes
+// 2. POST /account/mfa/setup           — start enrollment (new secret + QR code)
+// 3. POST /account/mfa/enable          — confirm a code from the app, turn MFA on
+// 4. POST /account/mfa/recovery-codes  — replace recovery codes (needs a code)
+// 5. POST /account/mfa/disable         — turn MFA off (needs password + code)
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const mfa = require('../services/mfa');
+const { requirePermission } = require('./_middleware');
+
+// ─── 1. GET /account/mfa ─────────────────────────────────────────────────────
+router.get('/account/mfa', requirePermission('account.mfa'), async (req, res, next) => {
+  try {
+    const account = await User.findById(req.session.user._id);
+    if (!account) {
+      return res.redirect('/logout');
+    }
+
+    // Recovery codes are shown once, right after they're made
+    const recoveryCodes = req.session.mfaRecoveryCodes || null;
+    delete req.session.mfaRecoveryCodes;
+
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('accountMfa', {
+      user: req.session.user,
+      mfaStatus: {
+        enabled: account.mfa.enabled,
+        enabledAt: account.mfa.enabledAt,
+        recoveryCodesLeft: account.mfa.recoveryCodes.length
+      },
+      enrollment: mfa.getPendingEnrollment(account),
+      required: await mfa.isRequiredFor(account.role),
+      recoveryCodes,
+      success,
+      error
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── 2. POST /account/mfa/setup ──────────────────────────────────────────────
+router.post('/account/mfa/setup', requirePermission('account.mfa'), async (req, res) => {
+  try {
+    const account = await User.findById(req.session.user._id);
+    await mfa.beginEnrollment(account);
+  } catch (err) {
+    console.error('Error starting MFA setup:', err);
+    req.session.error = 'Failed to start setup: ' + err.message;
+  }
+  res.redirect('/account/mfa');
+});
+
+// ─── 3. POST /account/mfa/enable ─────────────────────────────────────────────
+router.post('/account/mfa/enable', requirePermission('account.mfa'), async (req, res) => {
+  try {
+    const account = await User.findById(req.session.user._id);
+    req.session.mfaRecoveryCodes = await mfa.confirmEnrollment(account, req.body.code);
+
+    req.session.user.mfaSetupRequired = false;
+    req.session.success = 'Two-step login is on. Save your recovery codes now - they won\'t be shown again.';
+  } catch (err) {
+    req.session.error = err.message;
+  }
+  res.redirect('/account/mfa');
+});
+
+// ─── 4. POST /account/mfa/recovery-codes ─────────────────────────────────────
+router.post('/account/mfa/recovery-codes', requirePermission('account.mfa'), async (req, res) => {
+  try {
+    const account = await User.findById(req.session.user._id);
+    if (!await mfa.verifyLogin(account, req.body.code)) {
+      req.session.error = 'That code didn\'t work. Enter the newest code from your app.';
+      return res.redirect('/account/mfa');
+    }
+
+    req.session.mfaRecoveryCodes = await mfa.regenerateRecoveryCodes(account);
+    req.session.success = 'New recovery codes made. The old ones no longer work.';
+  } catch (err) {
+    console.error('Error making recovery codes:', err);
+    req.session.error = 'Failed to make recovery codes: ' + err.message;
+  }
+  res.redirect('/account/mfa');
+});
+
+// ─── 5. POST /account/mfa/disable ────────────────────────────────────────────
+router.post('/account/mfa/disable', requirePermission('account.mfa'), async (req, res) => {
+  try {
+    const account = await User.findById(req.session.user._id);
+
+    if (await mfa.isRequiredFor(account.role)) {
+      req.session.error = 'Two-step login is required for your role and can\'t be turned off.';
+      return res.redirect('/account/mfa');
+    }
+    if (!await account.comparePassword(req.body.password || '')) {
+      req.session.error = 'Incorrect password.';
+      return res.redirect('/account/mfa');
+    }
+    if (!await mfa.verifyLogin(account, req.body.code)) {
+      req.session.error = 'That code didn\'t work. Enter the newest code from your app.';
+      return res.redirect('/account/mfa');
+    }
+
+    await mfa.disable(account._id);
+    req.session.success = 'Two-step login is off.';
+  } catch (err) {
+    console.error('Error turning off MFA:', err);
+    req.session.error = 'Failed to turn off two-step login: ' + err.message;
+  }
+  res.redirect('/account/mfa');
+});
+
+module.exports = router;
@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
+const { ensureAuthenticated, requirePermission } = require('./_middleware');
 
 // POST new announcement
-router.post('/notifications', async (req, res) => {
+router.post('/notifications', requirePermission('messages.send'), async (req, res) => {
   const user = req.session.user;
-  if (!user || !['staff', 'admin'].includes(user.role)) return res.status(403).send('Unauthorized');
 
   const { title, body } = req.body;
   let { targetRoles } = req.body;
@@ -21,7 +21,7 @@ router.post('/notifications', async (req, res) => {
     title,
     body,
     senderId: user._id,
-    senderRole: user.role,
+    senderRole: req.access.baseRole,
     targetRoles
   });
 
@@ -30,9 +30,8 @@ router.post('/notifications', async (req, res) => {
 });
 
 // Existing route to acknowledge
-router.post('/notifications/:id/acknowledge', async (req, res) => {
+router.post('/notifications/:id/acknowledge', ensureAuthenticated, async (req, res) => {
   const user = req.session.user;
-  if (!user) return res.status(403).send('Unauthorized');
 
   await Notification.findByIdAndUpdate(req.params.id, {
     $addToSet: { acknowledgedBy: user._id }
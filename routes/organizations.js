@@ -6,7 +6,8 @@ const Organization = require('../models/Organization');
 const TravelingStop = require('../models/TravelingStop');
 const Donation = require('../models/Donation');
 const auditLogger = require('../utils/auditLogger');
-const { ensureVolunteerOrHigher, ensureAdmin } = require('./_middleware');
+const { requirePermission, requireExportPermission } = require('./_middleware');
+const { exportFormat, columnChoices, sendExport } = require('../services/exports');
 
 // Validation rules for organizations
 const organizationValidationRules = [
@@ -55,8 +56,25 @@ const organizationValidationRules = [
     .isLength({ max: 2000 }).withMessage('Notes must be less than 2000 characters')
 ];
 
+// ─── Exports (services/exports.js) ───────────────────────────────────────────
+
+const EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name', value: o => o.name, width: 28 },
+  { key: 'type', header: 'Type', value: o => (o.organizationType || 'other').replace('_', ' ') },
+  { key: 'address', header: 'Address', value: o => o.address, width: 32 },
+  { key: 'zipCode', header: 'ZIP Code', value: o => o.zipCode },
+  { key: 'phone', header: 'Phone', value: o => o.phone },
+  { key: 'email', header: 'Email', value: o => o.email, width: 28 },
+  { key: 'contactName', header: 'Contact Name', value: o => o.contactName },
+  { key: 'contactMethod', header: 'Contact Method', value: o => o.contactMethod, optional: true },
+  { key: 'howHeard', header: 'How Heard About Us', value: o => o.howHeardAboutUs, optional: true },
+  { key: 'notes', header: 'Notes', value: o => o.notes, width: 40, optional: true },
+  { key: 'createdAt', header: 'Added', value: o => o.createdAt, type: 'date' }
+];
+
 // 1. GET /organizations — list all organizations (with pagination)
-router.get('/organizations', ensureVolunteerOrHigher, async (req, res) => {
+// ?format=csv|xlsx|json downloads every matching organization instead
+router.get('/organizations', requirePermission('organizations.read'), requireExportPermission, async (req, res) => {
   // Pagination parameters
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 25;
@@ -65,7 +83,7 @@ router.get('/organizations', ensureVolunteerOrHigher, async (req, res) => {
   // Search/filter parameters
   const search = req.query.search || '';
   const typeFilter = req.query.type || '';
-  const showDeleted = req.query.showDeleted === 'true' && req.session.user?.role === 'admin';
+  const showDeleted = req.query.showDeleted === 'true' && req.access.permissions.has('organizations.delete');
 
   // Base filter: exclude soft-deleted records (unless admin wants to see them)
   const baseFilter = showDeleted ? {} : { isDeleted: { $ne: true } };
@@ -86,6 +104,21 @@ router.get('/organizations', ensureVolunteerOrHigher, async (req, res) => {
   }
 
   try {
+    // Export every matching organization
+    const format = exportFormat(req.query.format);
+    if (format) {
+      return await sendExport(res, {
+        format,
+        fileName: 'organizations',
+        rows: Organization.find(searchFilter).sort('name').lean(),
+        columns: EXPORT_COLUMNS,
+        selected: req.query.columns,
+        sheet: 'Organizations',
+        property: 'organizations',
+        filters: { search, type: typeFilter, showDeleted }
+      });
+    }
+
     // Get total count for pagination
     const totalOrganizations = await Organization.countDocuments(searchFilter);
     const totalPages = Math.ceil(totalOrganizations / limit);
@@ -118,6 +151,7 @@ router.get('/organizations', ensureVolunteerOrHigher, async (req, res) => {
       typeFilter,
       showDeleted,
       organizationTypes: Organization.ORGANIZATION_TYPES,
+      exportColumns: columnChoices(EXPORT_COLUMNS),
       success,
       error
     });
@@ -129,7 +163,7 @@ router.get('/organizations', ensureVolunteerOrHigher, async (req, res) => {
 });
 
 // 2. GET /organizations/new — form to add a new organization
-router.get('/organizations/new', ensureVolunteerOrHigher, (req, res) => {
+router.get('/organizations/new', requirePermission('organizations.create'), (req, res) => {
   const error = req.session.error;
   delete req.session.error;
 
@@ -141,7 +175,7 @@ router.get('/organizations/new', ensureVolunteerOrHigher, (req, res) => {
 });
 
 // 3. POST /organizations — create the organization
-router.post('/organizations', ensureVolunteerOrHigher, organizationValidationRules, async (req, res) => {
+router.post('/organizations', requirePermission('organizations.create'), organizationValidationRules, async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -182,7 +216,7 @@ router.post('/organizations', ensureVolunteerOrHigher, organizationValidationRul
 });
 
 // 4. GET /organizations/:id — show organization details
-router.get('/organizations/:id', ensureVolunteerOrHigher, async (req, res) => {
+router.get('/organizations/:id', requirePermission('organizations.read'), async (req, res) => {
   try {
     const organization = await Organization.findById(req.params.id)
       .populate('createdBy', 'firstName lastName')
@@ -235,7 +269,7 @@ router.get('/organizations/:id', ensureVolunteerOrHigher, async (req, res) => {
 });
 
 // 5. GET /organizations/search — JSON endpoint for autocomplete widgets
-router.get('/organizations/search', ensureVolunteerOrHigher, async (req, res) => {
+router.get('/organizations/search', requirePermission('organizations.read'), async (req, res) => {
   const q = req.query.q || '';
   const regex = new RegExp(q, 'i');
 
@@ -257,7 +291,7 @@ router.get('/organizations/search', ensureVolunteerOrHigher, async (req, res) =>
 // ─── ADMIN EDIT/DELETE ROUTES ─────────────────────────────────────────────────
 
 // 6. GET /organizations/:id/edit — show edit form (admin only)
-router.get('/organizations/:id/edit', ensureAdmin, async (req, res) => {
+router.get('/organizations/:id/edit', requirePermission('organizations.edit'), async (req, res) => {
   try {
     const organization = await Organization.findById(req.params.id)
       .populate('contactPerson', 'firstName lastName email')
@@ -286,7 +320,7 @@ router.get('/organizations/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // 7. POST /organizations/:id — update organization (admin only)
-router.post('/organizations/:id', ensureAdmin, organizationValidationRules, async (req, res) => {
+router.post('/organizations/:id', requirePermission('organizations.edit'), organizationValidationRules, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     req.session.error = errors.array()[0].msg;
@@ -341,7 +375,7 @@ router.post('/organizations/:id', ensureAdmin, organizationValidationRules, asyn
 });
 
 // 8. POST /organizations/:id/delete — soft delete organization (admin only)
-router.post('/organizations/:id/delete', ensureAdmin, async (req, res) => {
+router.post('/organizations/:id/delete', requirePermission('organizations.delete'), async (req, res) => {
   try {
     const organization = await Organization.findById(req.params.id);
 
@@ -371,7 +405,7 @@ router.post('/organizations/:id/delete', ensureAdmin, async (req, res) => {
 });
 
 // 9. POST /organizations/:id/restore — restore soft-deleted organization (admin only)
-router.post('/organizations/:id/restore', ensureAdmin, async (req, res) => {
+router.post('/organizations/:id/restore', requirePermission('organizations.delete'), async (req, res) => {
   try {
     const organization = await Organization.findById(req.params.id);
 
@@ -401,7 +435,7 @@ router.post('/organizations/:id/restore', ensureAdmin, async (req, res) => {
 });
 
 // 10. GET /organizations/:id/history — get audit history for an organization (admin only)
-router.get('/organizations/:id/history', ensureAdmin, async (req, res) => {
+router.get('/organizations/:id/history', requirePermission('audit.read'), async (req, res) => {
   try {
     const history = await auditLogger.getHistory('Organization', req.params.id);
     res.json(history);
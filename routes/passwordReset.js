@@ -26,6 +26,8 @@
 //   → Server validates token again
 //   → Server updates user.password (Mongoose pre-save hook hashes it automatically)
 //   → Server clears token fields (resetToken, resetTokenExpiry)
+//   → Server unlocks the account if failed logins had locked it
+//   → Server signs the account out of every browser (services/sessions.js)
 //   → User redirected to login with success message
 //
 // 🔒 SECURITY NOTES:
@@ -49,6 +51,7 @@ const express = require('express');
 const crypto = require('crypto');
 const User = require('../models/User');
 const { sendPasswordResetEmail } = require('../services/mailer');
+const sessions = require('../services/sessions');
 const router = express.Router();
 
 // ─── GET /forgot-password ────────────────────────────────────────────────────
@@ -222,11 +225,19 @@ router.post('/reset-password', async (req, res) => {
     user.resetToken = null;
     user.resetTokenExpiry = null;
 
+    // 8. A reset also lifts any lockout from failed logins
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockedUntil = null;
+
     await user.save();
 
     console.log(`✅ Password reset successful for: ${user.email}`);
 
-    // 8. Redirect to login with success message
+    // 9. Sign the account out everywhere - whoever had the old password is out
+    await sessions.signOutEverywhere(req.sessionStore, user._id, { reason: 'password_changed' });
+
+    // 10. Redirect to login with success message
     const successMsg = encodeURIComponent('Password reset successful! Please log in with your new password.');
     res.redirect(`/custom-login?success=${successMsg}`);
 
@@ -7,13 +7,13 @@ const Attendee        = require('../models/Attendee');
 const Attendance      = require('../models/Attendance');
 const MetricDef       = require('../models/MetricDefinition');
 const MetricVal       = require('../models/MetricValue');
-const { ensureStaffOrAdmin } = require('./_middleware');
+const { requirePermission } = require('./_middleware');
 
 /**
  * GET /programs
  * List all programs
  */
-router.get('/programs', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/programs', requirePermission('programs.read'), async (req, res, next) => {
   try {
     const programs = await Program.find().lean();
     res.render('programsList', {
@@ -29,7 +29,7 @@ router.get('/programs', ensureStaffOrAdmin, async (req, res, next) => {
  * GET /programs/new
  * Form to create a new program
  */
-router.get('/programs/new', ensureStaffOrAdmin, (req, res) => {
+router.get('/programs/new', requirePermission('programs.manage'), (req, res) => {
   res.render('newProgram', {
     user: req.session.user
   });
@@ -41,7 +41,7 @@ router.get('/programs/new', ensureStaffOrAdmin, (req, res) => {
  */
 router.post(
   '/programs',
-  ensureStaffOrAdmin,
+  requirePermission('programs.manage'),
   [
     // Validation rules
     body('name')
@@ -87,7 +87,7 @@ router.post(
  * GET /programs/:id
  * Show program details, attendees, attendance & metrics definitions
  */
-router.get('/programs/:id', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/programs/:id', requirePermission('programs.read'), async (req, res, next) => {
   try {
     // 1. Flash success message (if any)
     const success = req.session.success;
@@ -1,18 +1,26 @@
 // routes/register.js
 // ═════════════════════════════════════════════════════════════════════════════
-// REGISTRATION ROUTES - Local user registration with bcrypt password hashing
+// REGISTRATION ROUTES - Access requests and invite signups
 // ═════════════════════════════════════════════════════════════════════════════
 //
-// 📝 REGISTRATION FLOW:
+// 📝 ACCESS REQUEST FLOW (no invite):
 //
-// 1. User visits /custom-signup (GET) → sees signup form
+// 1. User visits /custom-signup (GET) → sees "request access" form
 // 2. User submits firstName, lastName, email, password → POST /register
 // 3. Server validates input (express-validator)
 // 4. Server checks email doesn't already exist
-// 5. Server creates new User document with plain-text password
+// 5. Server creates new User document with plain-text password and status 'pending'
 // 6. Mongoose pre-save hook (in models/User.js) automatically hashes password with bcrypt
 // 7. User saved to MongoDB with hashed password
-// 8. User redirected to login page with success message
+// 8. User redirected to login page; they can log in once an admin approves
+//    the request on /admin/users
+//
+// ✉️  INVITE FLOW:
+//
+// 1. Admin sends an invite from /admin/users (see services/onboarding.js)
+// 2. User opens the emailed link → GET /invite/:token → sees signup form
+//    with their email and role filled in
+// 3. User submits name + password → POST /invite/:token → active account
 //
 // 🔒 SECURITY NOTES:
 //
@@ -20,7 +28,9 @@
 // - Passwords are NEVER stored in plain text
 // - Bcrypt automatically salts and hashes (10 rounds) via User model pre-save hook
 // - Email addresses are stored in lowercase and trimmed for consistency
-// - Default role is 'volunteer' (can be promoted by admin later)
+// - Requests get the 'volunteer' role and no access until approved
+//   (the admin can pick a different role when approving)
+// - Invite links are single-use and expire; only their hash is stored
 //
 // ─────────────────────────────────────────────────────────────────────────────
 
@@ -28,6 +38,30 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const User = require('../models/User');
+const onboarding = require('../services/onboarding');
+
+// Shared by the request form and the invite form
+const nameRules = [
+  body('firstName')
+    .trim()
+    .notEmpty().withMessage('First name is required')
+    .isLength({ min: 1, max: 50 }).withMessage('First name must be 1-50 characters')
+    .matches(/^[a-zA-Z\s'-]+$/).withMessage('First name can only contain letters, spaces, hyphens, and apostrophes'),
+
+  body('lastName')
+    .trim()
+    .notEmpty().withMessage('Last name is required')
+    .isLength({ min: 1, max: 50 }).withMessage('Last name must be 1-50 characters')
+    .matches(/^[a-zA-Z\s'-]+$/).withMessage('Last name can only contain letters, spaces, hyphens, and apostrophes')
+];
+
+const passwordRules = [
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
+    .matches(/[A-Za-z]/).withMessage('Password must contain at least one letter')
+    .matches(/[0-9]/).withMessage('Password must contain at least one number')
+];
 
 // ─── GET /custom-signup ──────────────────────────────────────────────────────
 // Render the custom sign-up form
@@ -37,22 +71,12 @@ router.get('/custom-signup', (req, res) => {
 });
 
 // ─── POST /register ──────────────────────────────────────────────────────────
-// Handle user registration with local authentication
+// Handle an access request: the account waits for admin approval
 router.post(
   '/register',
   [
     // Validation rules
-    body('firstName')
-      .trim()
-      .notEmpty().withMessage('First name is required')
-      .isLength({ min: 1, max: 50 }).withMessage('First name must be 1-50 characters')
-      .matches(/^[a-zA-Z\s'-]+$/).withMessage('First name can only contain letters, spaces, hyphens, and apostrophes'),
-
-    body('lastName')
-      .trim()
-      .notEmpty().withMessage('Last name is required')
-      .isLength({ min: 1, max: 50 }).withMessage('Last name must be 1-50 characters')
-      .matches(/^[a-zA-Z\s'-]+$/).withMessage('Last name can only contain letters, spaces, hyphens, and apostrophes'),
+    ...nameRules,
 
     body('email')
       .trim()
@@ -60,11 +84,12 @@ router.post(
       .isEmail().withMessage('Must be a valid email address')
       .normalizeEmail(),
 
-    body('password')
-      .notEmpty().withMessage('Password is required')
-      .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
-      .matches(/[A-Za-z]/).withMessage('Password must contain at least one letter')
-      .matches(/[0-9]/).withMessage('Password must contain at least one number')
+    ...passwordRules,
+
+    body('accessRequestNote')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Please keep your note under 500 characters')
   ],
   async (req, res) => {
     // Check for validation errors
@@ -75,7 +100,7 @@ router.post(
       return res.redirect(`/custom-signup?error=${errorMsg}`);
     }
 
-    const { firstName, lastName, email, password } = req.body;
+    const { firstName, lastName, email, password, accessRequestNote } = req.body;
 
     try {
       // 1. Check if email already exists (case-insensitive)
@@ -88,20 +113,22 @@ router.post(
         return res.redirect(`/custom-login?error=${errorMsg}&email=${encodeURIComponent(email)}`);
       }
 
-      // 2. Create new user
+      // 2. Create new user, waiting for approval
       // Password will be automatically hashed by the pre-save hook in models/User.js
       const newUser = await User.create({
         firstName: firstName.trim(),
         lastName: lastName.trim(),
         email: email.toLowerCase(),
         password: password, // Will be hashed by Mongoose pre-save hook
-        role: 'volunteer'   // Default role (can be changed by admin later)
+        role: 'volunteer',  // Admin picks the real role when approving
+        status: 'pending',
+        accessRequestNote: accessRequestNote || ''
       });
 
-      console.log(`✅ New user registered: ${newUser.email} (ID: ${newUser._id})`);
+      console.log(`✅ New access request: ${newUser.email} (ID: ${newUser._id})`);
 
       // 3. Redirect to login with success message
-      const successMsg = encodeURIComponent('Account created successfully! Please log in.');
+      const successMsg = encodeURIComponent('Thanks! Your request was sent. You can log in once an admin approves it.');
       res.redirect(`/custom-login?success=${successMsg}&email=${encodeURIComponent(email)}`);
 
     } catch (err) {
@@ -134,4 +161,51 @@ router.post(
   }
 );
 
+// ─── GET /invite/:token ──────────────────────────────────────────────────────
+// Signup form for an invite link
+router.get('/invite/:token', async (req, res, next) => {
+  try {
+    const invite = await onboarding.findOpenInvite(req.params.token);
+    res.render('acceptInvite', {
+      invite,
+      token: req.params.token,
+      error: req.query.error
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── POST /invite/:token ─────────────────────────────────────────────────────
+// Create the invited account
+router.post(
+  '/invite/:token',
+  [...nameRules, ...passwordRules],
+  async (req, res) => {
+    const token = encodeURIComponent(req.params.token);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMsg = encodeURIComponent(errors.array()[0].msg);
+      return res.redirect(`/invite/${token}?error=${errorMsg}`);
+    }
+
+    try {
+      const newUser = await onboarding.acceptInvite(req.params.token, {
+        firstName: req.body.firstName,
+        lastName: req.body.lastName,
+        password: req.body.password
+      });
+
+      console.log(`✅ Invited user registered: ${newUser.email} (ID: ${newUser._id}, role: ${newUser.role})`);
+
+      const successMsg = encodeURIComponent('Account created! Please log in.');
+      res.redirect(`/custom-login?success=${successMsg}&email=${encodeURIComponent(newUser.email)}`);
+    } catch (err) {
+      console.error('Invite signup error:', err);
+      res.redirect(`/invite/${token}?error=${encodeURIComponent(err.message)}`);
+    }
+  }
+);
+
 module.exports = router;
@@ -10,6 +10,7 @@ const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const SidewalkInventory = require('../models/SidewalkInventory');
 const SidewalkBooksWeek = require('../models/SidewalkBooksWeek'); // Legacy model
+const { requirePermission, requireExportPermission } = require('./_middleware');
 const {
   SIDEWALK_CATEGORIES,
   FORMULAS,
@@ -19,18 +20,56 @@ const {
   applyFormulas,
   synchronizeWeekData
 } = require('../config/sidewalkFormulas');
+const { exportFormat, columnChoices, sendExport } = require('../services/exports');
+
+// ─── Exports (services/exports.js) ───────────────────────────────────────────
+
+/** Round a calculated rate to one decimal place, as the list shows it */
+const oneDecimal = value => (typeof value === 'number' ? Math.round(value * 10) / 10 : value);
+
+const EXPORT_COLUMNS = [
+  { key: 'category', header: 'Category', value: r => getCategory(r.category)?.name || r.category },
+  { key: 'weekStart', header: 'Week Start', value: r => r.weekStart, type: 'date' },
+  { key: 'weekEnd', header: 'Week End', value: r => r.weekEnd, type: 'date' },
+  { key: 'location', header: 'Location', value: r => r.location, width: 28 },
+  { key: 'startCount', header: 'Start Count', value: r => r.startCount, type: 'integer' },
+  { key: 'endCount', header: 'End Count', value: r => r.endCount, type: 'integer' },
+  { key: 'change', header: 'Change', value: r => FORMULAS.calculateChange(r.startCount, r.endCount), type: 'integer' },
+  { key: 'percentChange', header: 'Change (%)', value: r => oneDecimal(FORMULAS.calculatePercentChange(r.startCount, r.endCount)), type: 'number', optional: true },
+  { key: 'distributionRate', header: 'Books per Day', value: r => oneDecimal(FORMULAS.calculateDistributionRate(r.startCount, r.endCount)), type: 'number' },
+  { key: 'targetCount', header: 'Target Count', value: r => r.targetCount, type: 'integer', optional: true },
+  { key: 'restockNeeded', header: 'Restock Needed', value: r => FORMULAS.calculateRestockNeeded(r.endCount, r.targetCount), type: 'integer' },
+  { key: 'notes', header: 'Notes', value: r => r.notes, width: 40 },
+  { key: 'recordedBy', header: 'Recorded By', value: r => (r.recordedBy ? `${r.recordedBy.firstName} ${r.recordedBy.lastName}` : '') }
+];
 
-// Middleware: staff or admin only
-function ensureStaffOrAdmin(req, res, next) {
-  const role = req.session.user?.role;
-  if (role === 'staff' || role === 'admin') return next();
-  res.status(403).send('Forbidden');
+/**
+ * Download inventory records (every category, or one)
+ * @param {Object} req - Express request (?columns=)
+ * @param {Object} res - Express response
+ * @param {String} format - csv, xlsx or json
+ * @param {String} category - Category id, or null for all
+ */
+function sendInventoryExport(req, res, format, category) {
+  return sendExport(res, {
+    format,
+    fileName: category ? `sidewalk-${category}` : 'sidewalk-inventory',
+    rows: SidewalkInventory.find(category ? { category } : {})
+      .populate('recordedBy', 'firstName lastName')
+      .sort({ weekStart: -1, category: 1 })
+      .lean(),
+    columns: EXPORT_COLUMNS,
+    selected: req.query.columns,
+    sheet: category ? getCategory(category).name : 'Sidewalk Inventory',
+    property: 'records',
+    filters: { category }
+  });
 }
 
 // ─── API ROUTES (must come before :category routes) ─────────────────────────
 
 // GET /sidewalk/api/sync - Check formula synchronization across categories
-router.get('/sidewalk/api/sync', ensureStaffOrAdmin, async (req, res) => {
+router.get('/sidewalk/api/sync', requirePermission('sidewalk.read'), async (req, res) => {
   try {
     // Get latest week records across all categories
     const latestRecords = await SidewalkInventory.getLatestByCategory();
@@ -53,8 +92,14 @@ router.get('/sidewalk/api/sync', ensureStaffOrAdmin, async (req, res) => {
 // ─── SIDEWALK DASHBOARD ──────────────────────────────────────────────────────
 
 // GET /sidewalk - Main sidewalk dashboard showing all categories
-router.get('/sidewalk', ensureStaffOrAdmin, async (req, res) => {
+// ?format=csv|xlsx|json downloads every category's records instead
+router.get('/sidewalk', requirePermission('sidewalk.read'), requireExportPermission, async (req, res) => {
   try {
+    const format = exportFormat(req.query.format);
+    if (format) {
+      return await sendInventoryExport(req, res, format, null);
+    }
+
     // Get latest record for each category
     const latestRecords = await SidewalkInventory.getLatestByCategory();
 
@@ -86,6 +131,7 @@ router.get('/sidewalk', ensureStaffOrAdmin, async (req, res) => {
     res.render('sidewalkDashboard', {
       user: req.session.user,
       categories,
+      exportColumns: columnChoices(EXPORT_COLUMNS),
       success,
       error
     });
@@ -98,7 +144,8 @@ router.get('/sidewalk', ensureStaffOrAdmin, async (req, res) => {
 // ─── CATEGORY-SPECIFIC ROUTES ────────────────────────────────────────────────
 
 // GET /sidewalk/:category - List records for a specific category
-router.get('/sidewalk/:category', ensureStaffOrAdmin, async (req, res) => {
+// ?format=csv|xlsx|json downloads all of the category's records instead
+router.get('/sidewalk/:category', requirePermission('sidewalk.read'), requireExportPermission, async (req, res) => {
   const { category } = req.params;
 
   if (!isValidCategory(category)) {
@@ -107,6 +154,11 @@ router.get('/sidewalk/:category', ensureStaffOrAdmin, async (req, res) => {
   }
 
   try {
+    const format = exportFormat(req.query.format);
+    if (format) {
+      return await sendInventoryExport(req, res, format, category);
+    }
+
     const records = await SidewalkInventory.findByCategory(category);
 
     // Apply formulas to each record
@@ -127,6 +179,7 @@ router.get('/sidewalk/:category', ensureStaffOrAdmin, async (req, res) => {
       user: req.session.user,
       category: categoryInfo,
       records,
+      exportColumns: columnChoices(EXPORT_COLUMNS.filter(column => column.key !== 'category')),
       success,
       error
     });
@@ -137,7 +190,7 @@ router.get('/sidewalk/:category', ensureStaffOrAdmin, async (req, res) => {
 });
 
 // GET /sidewalk/:category/new - Show form to add new record
-router.get('/sidewalk/:category/new', ensureStaffOrAdmin, (req, res) => {
+router.get('/sidewalk/:category/new', requirePermission('sidewalk.edit'), (req, res) => {
   const { category } = req.params;
 
   if (!isValidCategory(category)) {
@@ -170,7 +223,7 @@ router.get('/sidewalk/:category/new', ensureStaffOrAdmin, (req, res) => {
 });
 
 // GET /sidewalk/:category/:id/edit - Show form to edit existing record
-router.get('/sidewalk/:category/:id/edit', ensureStaffOrAdmin, async (req, res) => {
+router.get('/sidewalk/:category/:id/edit', requirePermission('sidewalk.edit'), async (req, res) => {
   const { category, id } = req.params;
 
   if (!isValidCategory(category)) {
@@ -243,7 +296,7 @@ const inventoryValidation = [
 ];
 
 // POST /sidewalk/:category - Create new record
-router.post('/sidewalk/:category', ensureStaffOrAdmin, inventoryValidation, async (req, res) => {
+router.post('/sidewalk/:category', requirePermission('sidewalk.edit'), inventoryValidation, async (req, res) => {
   const { category } = req.params;
 
   if (!isValidCategory(category)) {
@@ -295,7 +348,7 @@ router.post('/sidewalk/:category', ensureStaffOrAdmin, inventoryValidation, asyn
 });
 
 // POST /sidewalk/:category/:id - Update existing record
-router.post('/sidewalk/:category/:id', ensureStaffOrAdmin, inventoryValidation, async (req, res) => {
+router.post('/sidewalk/:category/:id', requirePermission('sidewalk.edit'), inventoryValidation, async (req, res) => {
   const { category, id } = req.params;
 
   if (!isValidCategory(category)) {
@@ -344,7 +397,7 @@ router.post('/sidewalk/:category/:id', ensureStaffOrAdmin, inventoryValidation,
 // Maintain backwards compatibility with old /sidewalk-books routes
 
 // GET /sidewalk-books - Redirect to new dashboard or show legacy list
-router.get('/sidewalk-books', ensureStaffOrAdmin, async (req, res) => {
+router.get('/sidewalk-books', requirePermission('sidewalk.read'), async (req, res) => {
   try {
     // Try to get records from new model first
     const newRecords = await SidewalkInventory.find().limit(1).lean();
@@ -9,7 +9,9 @@ const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const TravelingStop = require('../models/TravelingStop');
 const Organization = require('../models/Organization');
-const { ensureStaffOrAdmin } = require('./_middleware');
+const auditLogger = require('../utils/auditLogger');
+const { requirePermission } = require('./_middleware');
+const { exportFormat, columnChoices, sendExport } = require('../services/exports');
 
 // ─── Validation Rules ────────────────────────────────────────────────────────
 // Reusable validation chain for create/update operations
@@ -202,13 +204,32 @@ function formatStopType(type) {
   return formats[type] || type;
 }
 
+// Columns for exports (services/exports.js)
+const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', value: s => s.date, type: 'date' },
+  { key: 'stopName', header: 'Stop Name', value: s => s.stopName, width: 28 },
+  { key: 'stopType', header: 'Stop Type', value: s => formatStopType(s.stopType) },
+  { key: 'address', header: 'Address', value: s => s.stopAddress, width: 32 },
+  { key: 'zipCode', header: 'ZIP Code', value: s => s.stopZipCode },
+  { key: 'books', header: 'Books Distributed', value: s => s.booksDistributed, type: 'integer' },
+  { key: 'contactMethod', header: 'Contact Method', value: s => s.contactMethod },
+  { key: 'howHeard', header: 'How Heard About Us', value: s => s.howHeardAboutUs },
+  { key: 'readToThem', header: 'Did We Read To Them', value: s => Boolean(s.didWeReadToThem), type: 'boolean' },
+  { key: 'sticker', header: 'Sticker Displayed (Daycare)', value: s => Boolean(s.daycareSettings?.hasStickerDisplayed), type: 'boolean' },
+  { key: 'signage', header: 'Signage Displayed (Branch)', value: s => Boolean(s.branchSettings?.hasSignageDisplayed), type: 'boolean' },
+  { key: 'onFlyer', header: 'On Flyer (Event)', value: s => Boolean(s.communityEventSettings?.wereWeOnFlyer), type: 'boolean' },
+  { key: 'theirSocial', header: 'Their Social Media (Event)', value: s => Boolean(s.communityEventSettings?.featuredOnTheirSocialMedia), type: 'boolean' },
+  { key: 'ourSocial', header: 'Our Social Media (Event)', value: s => Boolean(s.communityEventSettings?.didWeShareOnOurSocialMedia), type: 'boolean' },
+  { key: 'notes', header: 'Notes', value: s => s.notes, width: 40 }
+];
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ORGANIZATION API ENDPOINTS
 // For organization auto-fill functionality
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // Search organizations - GET /api/organizations/search
-router.get('/api/organizations/search', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/api/organizations/search', requirePermission('organizations.read'), async (req, res, next) => {
   try {
     const q = req.query.q || '';
     const results = await Organization.search(q, 10);
@@ -230,7 +251,7 @@ router.get('/api/organizations/search', ensureStaffOrAdmin, async (req, res, nex
 });
 
 // Get organization by ID - GET /api/organizations/:id
-router.get('/api/organizations/:id', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/api/organizations/:id', requirePermission('organizations.read'), async (req, res, next) => {
   try {
     const org = await Organization.findById(req.params.id).lean();
     if (!org) {
@@ -253,7 +274,7 @@ router.get('/api/organizations/:id', ensureStaffOrAdmin, async (req, res, next)
 });
 
 // Create new organization - POST /api/organizations
-router.post('/api/organizations', ensureStaffOrAdmin, async (req, res, next) => {
+router.post('/api/organizations', requirePermission('organizations.create'), async (req, res, next) => {
   try {
     const orgData = {
       name: req.body.name,
@@ -283,7 +304,7 @@ router.post('/api/organizations', ensureStaffOrAdmin, async (req, res, next) =>
 // Analytics dashboard with charts and statistics
 // NOTE: Must be defined BEFORE /:id route to avoid route conflict
 // ═══════════════════════════════════════════════════════════════════════════════
-router.get('/traveling-treehouse/dashboard', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/traveling-treehouse/dashboard', requirePermission('traveling.read'), async (req, res, next) => {
   try {
     // Get all stops for analytics calculations
     const stops = await TravelingStop.find().lean();
@@ -359,7 +380,8 @@ router.get('/traveling-treehouse/dashboard', ensureStaffOrAdmin, async (req, res
       topZipCodes,
       overallStats,
       stopTypes: TravelingStop.STOP_TYPES,
-      formatStopType
+      formatStopType,
+      exportColumns: columnChoices(EXPORT_COLUMNS)
     });
   } catch (err) {
     next(err);
@@ -367,82 +389,30 @@ router.get('/traveling-treehouse/dashboard', ensureStaffOrAdmin, async (req, res
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// EXPORT CSV - GET /traveling-treehouse/export/csv
-// Download filtered stops as CSV file
+// EXPORT - GET /traveling-treehouse/export/:format (csv, xlsx or json)
+// Download filtered stops through services/exports.js
 // ═══════════════════════════════════════════════════════════════════════════════
-router.get('/traveling-treehouse/export/csv', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/traveling-treehouse/export/:format', requirePermission('traveling.read', 'reports.export'), async (req, res, next) => {
   try {
-    const query = buildQueryFromParams(req.query);
-    const stops = await TravelingStop.find(query).sort({ date: -1 }).lean();
-
-    // CSV headers
-    const headers = [
-      'Date',
-      'Stop Name',
-      'Stop Type',
-      'Address',
-      'ZIP Code',
-      'Books Distributed',
-      'Contact Method',
-      'How Heard About Us',
-      'Did We Read To Them',
-      'Sticker Displayed (Daycare)',
-      'Signage Displayed (Branch)',
-      'On Flyer (Event)',
-      'Their Social Media (Event)',
-      'Our Social Media (Event)',
-      'Notes'
-    ];
-
-    // Build CSV rows - escape quotes by doubling them
-    const rows = stops.map(s => [
-      s.date,
-      `"${(s.stopName || '').replace(/"/g, '""')}"`,
-      formatStopType(s.stopType),
-      `"${(s.stopAddress || '').replace(/"/g, '""')}"`,
-      s.stopZipCode,
-      s.booksDistributed,
-      `"${(s.contactMethod || '').replace(/"/g, '""')}"`,
-      `"${(s.howHeardAboutUs || '').replace(/"/g, '""')}"`,
-      s.didWeReadToThem ? 'Yes' : 'No',
-      s.daycareSettings?.hasStickerDisplayed ? 'Yes' : 'No',
-      s.branchSettings?.hasSignageDisplayed ? 'Yes' : 'No',
-      s.communityEventSettings?.wereWeOnFlyer ? 'Yes' : 'No',
-      s.communityEventSettings?.featuredOnTheirSocialMedia ? 'Yes' : 'No',
-      s.communityEventSettings?.didWeShareOnOurSocialMedia ? 'Yes' : 'No',
-      `"${(s.notes || '').replace(/"/g, '""').replace(/\n/g, ' ')}"`
-    ].join(','));
-
-    const csv = [headers.join(','), ...rows].join('\n');
-
-    // Generate filename with current date
-    const dateStr = new Date().toISOString().slice(0, 10);
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=traveling-treehouse-${dateStr}.csv`);
-    res.send(csv);
-  } catch (err) {
-    next(err);
-  }
-});
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// EXPORT JSON - GET /traveling-treehouse/export/json
-// Download filtered stops as JSON file
-// ═══════════════════════════════════════════════════════════════════════════════
-router.get('/traveling-treehouse/export/json', ensureStaffOrAdmin, async (req, res, next) => {
-  try {
-    const query = buildQueryFromParams(req.query);
-    const stops = await TravelingStop.find(query).sort({ date: -1 }).lean();
+    const format = exportFormat(req.params.format);
+    if (!format) {
+      return res.status(404).send('Unknown export format');
+    }
 
-    // Generate filename with current date
-    const dateStr = new Date().toISOString().slice(0, 10);
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename=traveling-treehouse-${dateStr}.json`);
-    res.json({
-      exportedAt: new Date().toISOString(),
-      filters: req.query,
-      count: stops.length,
-      stops
+    await sendExport(res, {
+      format,
+      fileName: 'traveling-treehouse',
+      rows: TravelingStop.find(buildQueryFromParams(req.query)).sort({ date: -1 }).lean(),
+      columns: EXPORT_COLUMNS,
+      selected: req.query.columns,
+      sheet: 'Stops',
+      property: 'stops',
+      filters: {
+        type: req.query.type,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+        zipCode: req.query.zipCode
+      }
     });
   } catch (err) {
     next(err);
@@ -453,7 +423,7 @@ router.get('/traveling-treehouse/export/json', ensureStaffOrAdmin, async (req, r
 // LIST - GET /traveling-treehouse
 // Display all stops with filtering and summary statistics
 // ═══════════════════════════════════════════════════════════════════════════════
-router.get('/traveling-treehouse', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/traveling-treehouse', requirePermission('traveling.read'), async (req, res, next) => {
   try {
     const query = buildQueryFromParams(req.query);
     const stops = await TravelingStop.find(query)
@@ -494,6 +464,7 @@ router.get('/traveling-treehouse', ensureStaffOrAdmin, async (req, res, next) =>
         endDate: req.query.endDate || ''
       },
       formatStopType,
+      exportColumns: columnChoices(EXPORT_COLUMNS),
       success,
       error
     });
@@ -506,7 +477,7 @@ router.get('/traveling-treehouse', ensureStaffOrAdmin, async (req, res, next) =>
 // NEW FORM - GET /traveling-treehouse/new
 // Display form to create a new stop
 // ═══════════════════════════════════════════════════════════════════════════════
-router.get('/traveling-treehouse/new', ensureStaffOrAdmin, (req, res) => {
+router.get('/traveling-treehouse/new', requirePermission('traveling.edit'), (req, res) => {
   const error = req.session.error;
   delete req.session.error;
 
@@ -524,7 +495,7 @@ router.get('/traveling-treehouse/new', ensureStaffOrAdmin, (req, res) => {
 // CREATE - POST /traveling-treehouse
 // Create a new stop record
 // ═══════════════════════════════════════════════════════════════════════════════
-router.post('/traveling-treehouse', ensureStaffOrAdmin, stopValidation, async (req, res, next) => {
+router.post('/traveling-treehouse', requirePermission('traveling.edit'), stopValidation, async (req, res, next) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -540,7 +511,8 @@ router.post('/traveling-treehouse', ensureStaffOrAdmin, stopValidation, async (r
     }
 
     const stopData = buildStopData(req.body, req.session.user._id);
-    await TravelingStop.create(stopData);
+    const stop = await TravelingStop.create(stopData);
+    await auditLogger.logCreate('TravelingStop', stop, req.session.user._id);
     req.session.success = 'Stop recorded successfully!';
     res.redirect('/traveling-treehouse');
   } catch (err) {
@@ -554,7 +526,7 @@ router.post('/traveling-treehouse', ensureStaffOrAdmin, stopValidation, async (r
 // DETAIL - GET /traveling-treehouse/:id
 // Display detailed view of a single stop
 // ═══════════════════════════════════════════════════════════════════════════════
-router.get('/traveling-treehouse/:id', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/traveling-treehouse/:id', requirePermission('traveling.read'), async (req, res, next) => {
   try {
     const stop = await TravelingStop.findById(req.params.id)
       .populate('createdBy', 'firstName lastName')
@@ -583,7 +555,7 @@ router.get('/traveling-treehouse/:id', ensureStaffOrAdmin, async (req, res, next
 // EDIT FORM - GET /traveling-treehouse/:id/edit
 // Display form to edit an existing stop
 // ═══════════════════════════════════════════════════════════════════════════════
-router.get('/traveling-treehouse/:id/edit', ensureStaffOrAdmin, async (req, res, next) => {
+router.get('/traveling-treehouse/:id/edit', requirePermission('traveling.edit'), async (req, res, next) => {
   try {
     const stop = await TravelingStop.findById(req.params.id).lean();
 
@@ -611,7 +583,7 @@ router.get('/traveling-treehouse/:id/edit', ensureStaffOrAdmin, async (req, res,
 // UPDATE - POST /traveling-treehouse/:id
 // Update an existing stop record
 // ═══════════════════════════════════════════════════════════════════════════════
-router.post('/traveling-treehouse/:id', ensureStaffOrAdmin, stopValidation, async (req, res, next) => {
+router.post('/traveling-treehouse/:id', requirePermission('traveling.edit'), stopValidation, async (req, res, next) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -635,7 +607,7 @@ router.post('/traveling-treehouse/:id', ensureStaffOrAdmin, stopValidation, asyn
 // DELETE - POST /traveling-treehouse/:id/delete
 // Delete a stop record
 // ═══════════════════════════════════════════════════════════════════════════════
-router.post('/traveling-treehouse/:id/delete', ensureStaffOrAdmin, async (req, res, next) => {
+router.post('/traveling-treehouse/:id/delete', requirePermission('traveling.edit'), async (req, res, next) => {
   try {
     await TravelingStop.findByIdAndDelete(req.params.id);
     req.session.success = 'Stop deleted successfully!';
@@ -0,0 +1,53 @@
+// routes/unsubscribe.js
+// ═════════════════════════════════════════════════════════════════════════════
+// UNSUBSCRIBE ROUTES - Public, no login
+// ═════════════════════════════════════════════════════════════════════════════
+//
+// Every email links to /unsubscribe/<token> (see services/suppression.js).
+//
+//   GET  shows which address will be unsubscribed and a confirm button, so
+//        link scanners that open every URL don't unsubscribe anyone
+//   POST does the unsubscribe. Mail apps with a one-click unsubscribe button
+//        POST here directly (List-Unsubscribe-Post, RFC 8058).
+//
+// Unsubscribing stops news and campaign emails only; receipts and account
+// emails still go out.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const suppression = require('../services/suppression');
+const router = express.Router();
+
+// ─── GET /unsubscribe/:token ─────────────────────────────────────────────────
+// Confirm page
+router.get('/unsubscribe/:token', (req, res) => {
+  const email = suppression.verifyUnsubscribeToken(req.params.token);
+  if (!email) {
+    return res.status(400).render('unsubscribe', { state: 'invalid', token: null, maskedEmail: null });
+  }
+
+  res.render('unsubscribe', {
+    state: 'confirm',
+    token: req.params.token,
+    maskedEmail: suppression.maskEmail(email)
+  });
+});
+
+// ─── POST /unsubscribe/:token ────────────────────────────────────────────────
+// Unsubscribe (confirm button or one-click from the mail app)
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const email = await suppression.unsubscribe(req.params.token);
+    if (!email) {
+      return res.status(400).render('unsubscribe', { state: 'invalid', token: null, maskedEmail: null });
+    }
+
+    res.render('unsubscribe', { state: 'done', token: null, maskedEmail: suppression.maskEmail(email) });
+  } catch (err) {
+    console.error('Error unsubscribing:', err);
+    res.status(500).render('unsubscribe', { state: 'error', token: req.params.token, maskedEmail: null });
+  }
+});
+
+module.exports = router;
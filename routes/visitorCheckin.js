@@ -4,22 +4,14 @@ const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const Member = require('../models/Member');
 const Visit = require('../models/Visit');
-
-// Middleware: authenticated users
-function ensureAuthenticated(req, res, next) {
-  if (req.session?.user) {
-    return next();
-  }
-  return res.status(403).send('Forbidden');
-}
-
-function ensureAdmin(req, res, next) {
-  if (req.session.user?.role === 'admin') return next();
-  res.status(403).send('Forbidden - Admin only');
-}
+const households = require('../services/households');
+const emailQueue = require('../services/emailQueue');
+const auditLogger = require('../utils/auditLogger');
+const { requirePermission, requireExportPermission } = require('./_middleware');
+const { exportFormat, columnChoices, sendExport } = require('../services/exports');
 
 // GET /visitor-checkin - Show the visitor check-in form
-router.get('/visitor-checkin', ensureAuthenticated, async (req, res) => {
+router.get('/visitor-checkin', requirePermission('visits.create'), async (req, res) => {
   // Get flash messages
   const success = req.session.success;
   const error = req.session.error;
@@ -36,7 +28,7 @@ router.get('/visitor-checkin', ensureAuthenticated, async (req, res) => {
 // POST /visitor-checkin - Process visitor check-in
 router.post(
   '/visitor-checkin',
-  ensureAuthenticated,
+  requirePermission('visits.create'),
   [
     // For existing member check-in
     body('memberId')
@@ -111,7 +103,7 @@ router.post(
 
     const {
       memberId, firstName, lastName, email, phone, address, zipCode,
-      memberType, parent, dateOfBirth, notes
+      memberType, parent, dateOfBirth, notes, marketingConsent
     } = req.body;
 
     try {
@@ -142,6 +134,12 @@ router.post(
           member = await Member.findOne({ email: email.toLowerCase() });
         }
 
+        // A returning visitor who ticks the news box opts in again
+        if (member && marketingConsent === 'true' && !(member.emailConsent && member.emailConsent.marketing)) {
+          member.emailConsent = Member.buildConsent(true, 'kiosk');
+          await member.save();
+        }
+
         if (!member) {
           // Build member data (mirrors member creation logic)
           const memberData = {
@@ -153,13 +151,17 @@ router.post(
             memberType: memberType || 'adult'
           };
 
+          if (email) {
+            memberData.emailConsent = Member.buildConsent(marketingConsent === 'true', 'kiosk');
+          }
+
           // Date of Birth - save for ALL members (used for age calculation)
           if (dateOfBirth) {
             memberData.dateOfBirth = new Date(dateOfBirth);
           }
 
-          // Only staff/admin can set full address
-          if (req.session.user.role === 'staff' || req.session.user.role === 'admin') {
+          // Only roles allowed to record addresses can set full address
+          if (req.access.permissions.has('members.address')) {
             memberData.address = address || undefined;
           }
 
@@ -172,16 +174,39 @@ router.post(
 
           // Create new member
           member = await Member.create(memberData);
+          await auditLogger.logCreate('Member', member, req.session.user._id);
+
+          // Welcome email (only queued while the welcome template is enabled)
+          if (member.email) {
+            await emailQueue.enqueue('welcome_member', member.email, {
+              memberName: `${member.firstName} ${member.lastName}`,
+              details: { memberId: member._id.toString(), joinDate: member.joinedAt }
+            }).catch(err => console.error('Failed to queue welcome email (non-critical):', err.message));
+          }
+
+          // Record the parent as a guardian and move the child into their household
+          if (memberData.parent) {
+            await households.linkChildToParent(member._id, memberData.parent, req.session.user._id);
+          }
         }
       }
 
       // Create visit record
-      await Visit.create({
+      const visit = await Visit.create({
         member: member._id,
         visitDate: new Date(),
         notes: notes || undefined,
         recordedBy: req.session.user._id
       });
+      await auditLogger.logCreate('Visit', visit, req.session.user._id);
+
+      // Check-in confirmation (only queued while the visitor template is enabled)
+      if (member.email) {
+        await emailQueue.enqueue('visitor_checkin', member.email, {
+          visitorName: member.firstName,
+          details: { memberId: member._id.toString(), visitedAt: visit.visitDate }
+        }).catch(err => console.error('Failed to queue check-in email (non-critical):', err.message));
+      }
 
       req.session.success = `Welcome, ${member.firstName}! Check-in recorded.`;
       res.redirect('/visitor-checkin');
@@ -195,7 +220,7 @@ router.post(
 );
 
 // GET /visitor-checkin/email-signup - Show email signup form for transformed members
-router.get('/visitor-checkin/email-signup', ensureAuthenticated, async (req, res) => {
+router.get('/visitor-checkin/email-signup', requirePermission('visits.create'), async (req, res) => {
   const memberId = req.session.emailPromptMemberId;
 
   if (!memberId) {
@@ -219,7 +244,7 @@ router.get('/visitor-checkin/email-signup', ensureAuthenticated, async (req, res
 // POST /visitor-checkin/email-signup - Process email signup
 router.post(
   '/visitor-checkin/email-signup',
-  ensureAuthenticated,
+  requirePermission('visits.create'),
   [
     body('email')
       .optional({ checkFalsy: true })
@@ -240,7 +265,7 @@ router.post(
       return res.redirect('/visitor-checkin/email-signup');
     }
 
-    const { email, skipEmail } = req.body;
+    const { email, skipEmail, marketingConsent } = req.body;
 
     try {
       const member = await Member.findById(memberId);
@@ -258,6 +283,7 @@ router.post(
           return res.redirect('/visitor-checkin/email-signup');
         }
         member.email = email;
+        member.emailConsent = Member.buildConsent(marketingConsent === 'true', 'signup');
       }
 
       // Clear the email prompt flag
@@ -265,12 +291,13 @@ router.post(
       await member.save();
 
       // Create visit record
-      await Visit.create({
+      const visit = await Visit.create({
         member: member._id,
         visitDate: new Date(),
         notes: 'First check-in after turning 18',
         recordedBy: req.session.user._id
       });
+      await auditLogger.logCreate('Visit', visit, req.session.user._id);
 
       // Clean up session
       delete req.session.emailPromptMemberId;
@@ -287,7 +314,7 @@ router.post(
 );
 
 // GET /api/visits/recent - Get recent visits (for dashboard widgets)
-router.get('/api/visits/recent', ensureAuthenticated, async (req, res) => {
+router.get('/api/visits/recent', requirePermission('visits.read'), async (req, res) => {
   try {
     const visits = await Visit.find()
       .populate('member', 'firstName lastName email')
@@ -302,14 +329,61 @@ router.get('/api/visits/recent', ensureAuthenticated, async (req, res) => {
   }
 });
 
+// ─── Exports (services/exports.js) ───────────────────────────────────────────
+
+const personName = person => (person ? `${person.firstName} ${person.lastName}` : '');
+
+const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', value: v => v.visitDate, type: 'datetime', width: 18 },
+  { key: 'member', header: 'Member Name', value: v => personName(v.member) || 'Unknown', width: 24 },
+  { key: 'email', header: 'Email', value: v => v.member?.email, width: 28 },
+  { key: 'purpose', header: 'Purpose', value: v => v.purpose, optional: true },
+  { key: 'notes', header: 'Notes', value: v => v.notes, width: 40 },
+  { key: 'recordedBy', header: 'Recorded By', value: v => personName(v.recordedBy) }
+];
+
+// Excel exports add the visits totalled per member
+const MEMBER_SUMMARY = {
+  name: 'Members',
+  key: v => v.member?._id?.toString(),
+  start: v => ({ name: personName(v.member), email: v.member.email, visits: 0, first: v.visitDate, last: v.visitDate }),
+  add: (member, v) => {
+    member.visits++;
+    // Visits are newest first
+    member.first = v.visitDate;
+  },
+  columns: [
+    { header: 'Member Name', value: member => member.name, width: 24 },
+    { header: 'Email', value: member => member.email, width: 28 },
+    { header: 'Visits', value: member => member.visits, type: 'integer' },
+    { header: 'First Visit', value: member => member.first, type: 'date' },
+    { header: 'Last Visit', value: member => member.last, type: 'date' }
+  ]
+};
+
+/**
+ * Does a visit's member match the list's search (name or email)?
+ * @param {Object} v - Visit with member populated
+ * @param {String} searchLower - Lowercased search text
+ * @returns {Boolean}
+ */
+function matchesSearch(v, searchLower) {
+  return Boolean(v.member && (
+    v.member.firstName?.toLowerCase().includes(searchLower) ||
+    v.member.lastName?.toLowerCase().includes(searchLower) ||
+    v.member.email?.toLowerCase().includes(searchLower)
+  ));
+}
+
 // GET /visits - List all visits with pagination
-router.get('/visits', ensureAuthenticated, async (req, res) => {
+// ?format=csv|xlsx|json downloads every matching visit instead
+router.get('/visits', requirePermission('visits.read'), requireExportPermission, async (req, res) => {
   try {
     // Pagination params
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
-    const format = req.query.format; // 'csv' for export
+    const format = exportFormat(req.query.format);
 
     // Search/filter params
     const search = req.query.search || '';
@@ -325,56 +399,40 @@ router.get('/visits', ensureAuthenticated, async (req, res) => {
       if (dateTo) query.visitDate.$lte = new Date(dateTo + 'T23:59:59');
     }
 
+    const populated = () => Visit.find(query)
+      .populate('member', 'firstName lastName email')
+      .populate('recordedBy', 'firstName lastName')
+      .sort({ visitDate: -1 });
+
+    // Export every matching visit
+    if (format) {
+      return await sendExport(res, {
+        format,
+        fileName: 'visits',
+        rows: populated().lean(),
+        filter: search ? v => matchesSearch(v, search.toLowerCase()) : null,
+        columns: EXPORT_COLUMNS,
+        selected: req.query.columns,
+        sheet: 'Visits',
+        property: 'visits',
+        summaries: [MEMBER_SUMMARY],
+        filters: { search, dateFrom, dateTo }
+      });
+    }
+
     // Get total count for pagination
     const totalVisits = await Visit.countDocuments(query);
     const totalPages = Math.ceil(totalVisits / limit);
 
-    // For CSV export, get all matching records
-    const fetchLimit = format === 'csv' ? 0 : limit;
-    const fetchSkip = format === 'csv' ? 0 : skip;
-
     // Fetch visits with pagination
-    let visits = await Visit.find(query)
-      .populate('member', 'firstName lastName email')
-      .populate('recordedBy', 'firstName lastName')
-      .sort({ visitDate: -1 })
-      .skip(fetchSkip)
-      .limit(fetchLimit || undefined)
+    let visits = await populated()
+      .skip(skip)
+      .limit(limit)
       .lean();
 
     // Filter by member name if search provided (post-query for populated fields)
     if (search) {
-      const searchLower = search.toLowerCase();
-      visits = visits.filter(v =>
-        v.member && (
-          v.member.firstName?.toLowerCase().includes(searchLower) ||
-          v.member.lastName?.toLowerCase().includes(searchLower) ||
-          v.member.email?.toLowerCase().includes(searchLower)
-        )
-      );
-    }
-
-    // CSV Export
-    if (format === 'csv') {
-      const csvRows = [
-        ['Date', 'Member Name', 'Email', 'Notes', 'Recorded By'].join(',')
-      ];
-      visits.forEach(v => {
-        const memberName = v.member ? `${v.member.firstName} ${v.member.lastName}` : 'Unknown';
-        const memberEmail = v.member?.email || '';
-        const recordedBy = v.recordedBy ? `${v.recordedBy.firstName} ${v.recordedBy.lastName}` : '';
-        csvRows.push([
-          new Date(v.visitDate).toLocaleDateString(),
-          `"${memberName}"`,
-          memberEmail,
-          `"${(v.notes || '').replace(/"/g, '""')}"`,
-          `"${recordedBy}"`
-        ].join(','));
-      });
-
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="visits-${new Date().toISOString().split('T')[0]}.csv"`);
-      return res.send(csvRows.join('\n'));
+      visits = visits.filter(v => matchesSearch(v, search.toLowerCase()));
     }
 
     res.render('visitsList', {
@@ -392,7 +450,8 @@ router.get('/visits', ensureAuthenticated, async (req, res) => {
         search,
         dateFrom,
         dateTo
-      }
+      },
+      exportColumns: columnChoices(EXPORT_COLUMNS)
     });
   } catch (err) {
     console.error('Error fetching visits:', err);
@@ -401,7 +460,7 @@ router.get('/visits', ensureAuthenticated, async (req, res) => {
 });
 
 // GET /visits/:id/edit - Edit visit form (Admin only)
-router.get('/visits/:id/edit', ensureAdmin, async (req, res) => {
+router.get('/visits/:id/edit', requirePermission('visits.edit'), async (req, res) => {
   try {
     const visit = await Visit.findById(req.params.id)
       .populate('member', 'firstName lastName email')
@@ -424,7 +483,7 @@ router.get('/visits/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // POST /visits/:id/edit - Update visit (Admin only)
-router.post('/visits/:id/edit', ensureAdmin, async (req, res) => {
+router.post('/visits/:id/edit', requirePermission('visits.edit'), async (req, res) => {
   try {
     const { visitDate, notes } = req.body;
 
@@ -448,7 +507,7 @@ router.post('/visits/:id/edit', ensureAdmin, async (req, res) => {
 });
 
 // POST /visits/:id/delete - Delete visit (Admin only)
-router.post('/visits/:id/delete', ensureAdmin, async (req, res) => {
+router.post('/visits/:id/delete', requirePermission('visits.delete'), async (req, res) => {
   try {
     await Visit.findByIdAndDelete(req.params.id);
     req.session.success = 'Visit deleted successfully';
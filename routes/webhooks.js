@@ -0,0 +1,218 @@
+// routes/webhooks.js
+// ═════════════════════════════════════════════════════════════════════════════
+// WEBHOOKS - subscriptions and the delivery log
+// ═════════════════════════════════════════════════════════════════════════════
+//
+// Admins point outside systems at record events here. Sending, signing and
+// retries live in services/webhooks.js.
+//
+// 1. GET  /admin/webhooks                            — subscriptions and recent deliveries
+// 2. POST /admin/webhooks                            — add a subscription
+// 3. POST /admin/webhooks/:id                        — change a subscription
+// 4. POST /admin/webhooks/:id/delete                 — remove a subscription
+// 5. POST /admin/webhooks/:id/secret                 — give a subscription a new secret
+// 6. POST /admin/webhooks/:id/ping                   — send a test event
+// 7. POST /admin/webhooks/deliveries/:id/redeliver   — send a delivery's event again
+//
+// A subscription's secret is shown once, on the page you're sent back to.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const webhooks = require('../services/webhooks');
+const auditLogger = require('../utils/auditLogger');
+const { requirePermission } = require('./_middleware');
+
+const DELIVERY_STATUSES = ['pending', 'processing', 'delivered', 'dead'];
+
+const subscriptionValidators = [
+  body('name').trim().isLength({ min: 2, max: 80 }).withMessage('Name must be 2-80 characters'),
+  body('url').trim().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a full web address'),
+  body('events').exists().withMessage('Pick at least one event')
+];
+
+/**
+ * What the audit log keeps for a subscription (never the secret)
+ * @param {Object} subscription
+ * @returns {Object}
+ */
+function auditSnapshot(subscription) {
+  return {
+    _id: subscription._id,
+    name: subscription.name,
+    url: subscription.url,
+    events: subscription.events,
+    active: subscription.active,
+    includeAddresses: subscription.includeAddresses
+  };
+}
+
+/**
+ * Throw the first validation message, if any
+ * @param {Object} req - Express request
+ */
+function assertValid(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new Error(errors.array().map(e => e.msg).join(', '));
+  }
+}
+
+// ─── 1. GET /admin/webhooks ──────────────────────────────────────────────────
+router.get('/admin/webhooks', requirePermission('webhooks.manage'), async (req, res, next) => {
+  try {
+    const filters = {
+      subscription: /^[a-f0-9]{24}$/i.test(req.query.subscription || '') ? req.query.subscription : '',
+      status: DELIVERY_STATUSES.includes(req.query.status) ? req.query.status : ''
+    };
+
+    const [subscriptions, deliveries, stats] = await Promise.all([
+      WebhookSubscription.find().select('-secret').sort({ name: 1 }).lean(),
+      webhooks.listDeliveries(filters),
+      webhooks.getStats()
+    ]);
+
+    const newSecret = req.session.newWebhookSecret || null;
+    const success = req.session.success;
+    const error = req.session.error;
+    delete req.session.newWebhookSecret;
+    delete req.session.success;
+    delete req.session.error;
+
+    res.render('adminWebhooks', {
+      user: req.session.user,
+      subscriptions,
+      deliveries,
+      stats,
+      filters,
+      events: webhooks.EVENTS,
+      statuses: DELIVERY_STATUSES,
+      newSecret,
+      success,
+      error
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── 2. POST /admin/webhooks ─────────────────────────────────────────────────
+router.post('/admin/webhooks', requirePermission('webhooks.manage'), subscriptionValidators, async (req, res) => {
+  try {
+    assertValid(req);
+    const subscription = await webhooks.createSubscription({
+      name: req.body.name,
+      url: req.body.url,
+      events: req.body.events,
+      includeAddresses: req.body.includeAddresses === 'true',
+      createdBy: req.session.user._id
+    });
+    await auditLogger.logCreate('WebhookSubscription', auditSnapshot(subscription), req.session.user._id);
+
+    req.session.newWebhookSecret = { name: subscription.name, secret: subscription.secret };
+    req.session.success = `Webhook "${subscription.name}" added. Copy its secret now - it won't be shown again.`;
+  } catch (err) {
+    console.error('Error creating webhook:', err);
+    req.session.error = 'Failed to add webhook: ' + err.message;
+  }
+  res.redirect('/admin/webhooks');
+});
+
+// ─── 3. POST /admin/webhooks/:id ─────────────────────────────────────────────
+router.post('/admin/webhooks/:id', requirePermission('webhooks.manage'), subscriptionValidators, async (req, res) => {
+  try {
+    assertValid(req);
+    const result = await webhooks.updateSubscription(req.params.id, {
+      name: req.body.name,
+      url: req.body.url,
+      events: req.body.events,
+      active: req.body.active === 'true',
+      includeAddresses: req.body.includeAddresses === 'true'
+    });
+    if (!result) {
+      req.session.error = 'Webhook not found';
+    } else {
+      await auditLogger.logUpdate('WebhookSubscription', req.params.id, auditSnapshot(result.before), auditSnapshot(result.after), req.session.user._id);
+      req.session.success = `Webhook "${result.after.name}" updated`;
+    }
+  } catch (err) {
+    console.error('Error updating webhook:', err);
+    req.session.error = 'Failed to update webhook: ' + err.message;
+  }
+  res.redirect('/admin/webhooks');
+});
+
+// ─── 4. POST /admin/webhooks/:id/delete ──────────────────────────────────────
+router.post('/admin/webhooks/:id/delete', requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    // Deliveries stay in the log; queued ones are marked dead when their turn comes
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id).lean();
+    if (!subscription) {
+      req.session.error = 'Webhook not found';
+    } else {
+      await auditLogger.logDelete('WebhookSubscription', subscription._id, req.session.user._id, auditSnapshot(subscription));
+      req.session.success = `Webhook "${subscription.name}" removed`;
+    }
+  } catch (err) {
+    console.error('Error deleting webhook:', err);
+    req.session.error = 'Failed to remove webhook: ' + err.message;
+  }
+  res.redirect('/admin/webhooks');
+});
+
+// ─── 5. POST /admin/webhooks/:id/secret ──────────────────────────────────────
+router.post('/admin/webhooks/:id/secret', requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await webhooks.rotateSecret(req.params.id);
+    if (!subscription) {
+      req.session.error = 'Webhook not found';
+    } else {
+      await auditLogger.logUpdate('WebhookSubscription', subscription._id, { secret: 'old' }, { secret: 'new' }, req.session.user._id);
+      req.session.newWebhookSecret = { name: subscription.name, secret: subscription.secret };
+      req.session.success = `Webhook "${subscription.name}" has a new secret. The old one no longer works.`;
+    }
+  } catch (err) {
+    console.error('Error rotating webhook secret:', err);
+    req.session.error = 'Failed to change secret: ' + err.message;
+  }
+  res.redirect('/admin/webhooks');
+});
+
+// ─── 6. POST /admin/webhooks/:id/ping ────────────────────────────────────────
+router.post('/admin/webhooks/:id/ping', requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id).lean();
+    if (!subscription) {
+      req.session.error = 'Webhook not found';
+    } else {
+      await webhooks.ping(subscription);
+      req.session.success = `Test event queued for "${subscription.name}". Its result will appear in the log below.`;
+    }
+  } catch (err) {
+    console.error('Error sending webhook ping:', err);
+    req.session.error = 'Failed to send test event: ' + err.message;
+  }
+  res.redirect(`/admin/webhooks?subscription=${encodeURIComponent(req.params.id)}`);
+});
+
+// ─── 7. POST /admin/webhooks/deliveries/:id/redeliver ────────────────────────
+router.post('/admin/webhooks/deliveries/:id/redeliver', requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const delivery = await webhooks.redeliver(req.params.id, req.session.user._id);
+    if (!delivery) {
+      req.session.error = 'Only delivered or failed deliveries can be sent again';
+    } else {
+      req.session.success = `${delivery.event} queued to send again`;
+    }
+  } catch (err) {
+    console.error('Error redelivering webhook:', err);
+    req.session.error = 'Failed to redeliver: ' + err.message;
+  }
+  res.redirect('/admin/webhooks');
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+/**
+ * Import a Knack export (members, checkouts or visits)
+ * Does the same as choosing "Knack Export" on /import: people are matched to
+ * members, records imported before are skipped, and the import is kept in
+ * the import history so it can be rolled back from /import/history.
+ *
+ * Usage:
+ *   node scripts/import-knack.js members person.json --as you@example.org
+ *   node scripts/import-knack.js checkouts bookcheckout.csv --as you@example.org
+ *   node scripts/import-knack.js visits visitorcheckin.json --as you@example.org
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const fs = require('fs');
+const User = require('../models/User');
+const { KNACK_IMPORTS, executeImport } = require('../services/dataImport');
+
+function parseArgs(argv) {
+  const args = { positional: [], as: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--as') args.as = argv[++i];
+    else args.positional.push(argv[i]);
+  }
+  const [importType, file] = args.positional;
+  return { importType, file, as: args.as };
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!KNACK_IMPORTS[args.importType] || !args.file || !args.as) {
+    console.error(`Usage: node scripts/import-knack.js <${Object.keys(KNACK_IMPORTS).join('|')}> <export.json|export.csv> --as <your login email>`);
+    process.exit(1);
+  }
+
+  const content = fs.readFileSync(args.file, 'utf8');
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log('✅ Connected to MongoDB\n');
+
+  const user = await User.findOne({ email: args.as.toLowerCase() });
+  if (!user) {
+    console.error(`❌ No user with email ${args.as}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  console.log(`📥 Importing ${args.importType} from ${args.file}...`);
+  const importHistory = await executeImport(content, args.importType, user._id, path.basename(args.file), { source: 'knack' });
+  const { stats } = importHistory;
+
+  console.log(`\n✅ Imported: ${stats.successful} of ${stats.totalRows}`);
+  console.log(`   Skipped (already imported/no books): ${stats.skipped}`);
+  console.log(`   Failed: ${stats.failed}`);
+  importHistory.errors.slice(0, 20).forEach(e => console.log(`   - Row ${e.row}: ${e.error}`));
+  if (importHistory.errors.length > 20) {
+    console.log(`   ... and ${importHistory.errors.length - 20} more`);
+  }
+  console.log(`\nℹ️  Details and rollback: /import/history/${importHistory._id}`);
+
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('❌ Error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// scripts/lglStandIn.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Local stand-in for the Little Green Light API
+//
+// Accepts the two calls services/lglSync.js makes and keeps what it receives
+// in memory, so a sync can be tried (and tested) without a real LGL account.
+// Like LGL, it rejects a second constituent or gift with the same external ID.
+//
+// Usage:
+//   node scripts/lglStandIn.js            # listens on port 4010 (LGL_STANDIN_PORT)
+//   LGL_API_URL=http://localhost:4010/api/v1 LGL_API_KEY=test-key npm start
+//
+// In tests: const { createStandIn } = require('../../scripts/lglStandIn');
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const express = require('express');
+
+/**
+ * Build a stand-in LGL API app
+ * @param {Object} options
+ * @param {String} options.apiKey - Bearer token it accepts (default 'test-key')
+ * @returns {Object} Express app, with .state = { constituents, gifts } for inspection
+ */
+function createStandIn({ apiKey = 'test-key' } = {}) {
+  const app = express();
+  const state = { constituents: [], gifts: [] };
+  let nextId = 1000;
+
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${apiKey}`) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    next();
+  });
+
+  // ─── POST /api/v1/constituents.json ─────────────────────────────────────────
+  app.post('/api/v1/constituents.json', (req, res) => {
+    const body = req.body;
+    if (!(body.is_org ? body.org_name : body.last_name)) {
+      return res.status(422).json({ errors: [body.is_org ? 'Org name can\'t be blank' : 'Last name can\'t be blank'] });
+    }
+    if (body.external_constituent_id && state.constituents.some(c => c.external_constituent_id === body.external_constituent_id)) {
+      return res.status(422).json({ errors: ['External constituent ID has already been taken'] });
+    }
+
+    const constituent = { ...body, id: nextId++ };
+    state.constituents.push(constituent);
+    res.status(201).json(constituent);
+  });
+
+  // ─── POST /api/v1/constituents/:id/gifts.json ───────────────────────────────
+  app.post('/api/v1/constituents/:id/gifts.json', (req, res) => {
+    const constituentId = Number(req.params.id);
+    if (!state.constituents.some(c => c.id === constituentId)) {
+      return res.status(404).json({ error: 'Constituent not found' });
+    }
+    const body = req.body;
+    if (!body.received_date || body.received_amount === undefined) {
+      return res.status(422).json({ errors: ['Received date and amount are required'] });
+    }
+    if (body.external_id && state.gifts.some(g => g.external_id === body.external_id)) {
+      return res.status(422).json({ errors: ['External ID has already been taken'] });
+    }
+
+    const gift = { ...body, id: nextId++, constituent_id: constituentId };
+    state.gifts.push(gift);
+    res.status(201).json(gift);
+  });
+
+  app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+  app.state = state;
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.LGL_STANDIN_PORT || 4010;
+  const apiKey = process.env.LGL_API_KEY || 'test-key';
+  createStandIn({ apiKey }).listen(port, () => {
+    console.log(`LGL stand-in listening on http://localhost:${port}/api/v1 (API key: ${apiKey})`);
+  });
+}
+
+module.exports = { createStandIn };
@@ -0,0 +1,65 @@
+/**
+ * Send year-end giving statements
+ * Totals every donor's donations for a calendar year and, with --send,
+ * emails each one their PDF statement. Donors who were already sent that
+ * year's statement are skipped unless --resend is given.
+ *
+ * Usage:
+ *   node scripts/send-giving-statements.js --year 2025            # preview totals only
+ *   node scripts/send-giving-statements.js --year 2025 --send     # email statements
+ *   node scripts/send-giving-statements.js --year 2025 --send --resend
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const { getDonorSummaries, sendStatements } = require('../services/givingStatements');
+
+function parseArgs(argv) {
+  const args = { year: new Date().getFullYear() - 1, send: false, resend: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--year') args.year = parseInt(argv[++i]);
+    else if (argv[i] === '--send') args.send = true;
+    else if (argv[i] === '--resend') args.resend = true;
+  }
+  return args;
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.year) {
+    console.error('❌ Invalid --year');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log('✅ Connected to MongoDB\n');
+
+  const donors = await getDonorSummaries(args.year);
+  console.log(`📊 ${donors.length} donors gave in ${args.year}\n`);
+
+  donors.forEach(d => {
+    const t = d.totals;
+    console.log(`   ${d.name} (${d.donorType}) - ${t.donationCount} donations, ${t.books} books, ` +
+      `$${t.inKindValue.toFixed(2)} in books, $${t.monetaryAmount.toFixed(2)} monetary` +
+      (d.email ? '' : '  ⚠️  no email'));
+  });
+
+  if (!args.send) {
+    console.log('\nℹ️  Preview only - run again with --send to email statements');
+  } else {
+    console.log('\n📧 Sending statements...');
+    const summary = await sendStatements(args.year, { onlyUnsent: !args.resend });
+    console.log(`\n✅ Sent: ${summary.sent}`);
+    console.log(`   Already sent: ${summary.alreadySent}`);
+    console.log(`   No email address: ${summary.noEmail}`);
+    console.log(`   Not sent (see email logs): ${summary.failed}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('❌ Error:', err);
+  process.exit(1);
+});
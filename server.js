@@ -141,6 +141,8 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
 // ─── 6. Session Management ───────────────────────────────────────────────────
+// Logins are also tracked per user in UserSession (services/sessions.js)
+const sessions = require('./services/sessions');
 const sessionSecret = process.env.SESSION_SECRET || 'testsecret';
 let sessionStore;
 
@@ -150,7 +152,7 @@ if (process.env.NODE_ENV === 'test') {
   sessionStore = MongoStore.create({
     mongoUrl: process.env.MONGO_URI,
     collectionName: 'sessions',
-    ttl: 14 * 24 * 60 * 60
+    ttl: sessions.SESSION_TTL_MS / 1000
   });
 }
 
@@ -173,10 +175,20 @@ app.use((req, res, next) => {
   next();
 });
 
+const { checkSession, loadPermissions, ensureFrontDeskAllowed, ensureMfaEnrolled } = require('./routes/_middleware');
+
+// Refresh the user's role; log out signed-out, idle or stale sessions
+app.use(checkSession);
+
+// What the logged-in user's role can do (req.access, and can() in views)
+app.use(loadPermissions);
+
 // Apply front desk route restrictions
-const { ensureFrontDeskAllowed } = require('./routes/_middleware');
 app.use(ensureFrontDeskAllowed);
 
+// Users who must use two-step login can't do anything else until it's set up
+app.use(ensureMfaEnrolled);
+
 // ─── 7. Views & Static Assets ───────────────────────────────────────────────
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
@@ -215,19 +227,30 @@ app.get('/healthz', (req, res) => {
 // ─── 10. Route Mounting ─────────────────────────────────────────────────────
 // API routes (must come before other routes to avoid conflicts)
 app.use('/', require('./routes/api'));
+app.use('/', require('./routes/apiV1'));         // Token-authenticated JSON API (/api/v1)
+app.use('/', require('./routes/apiDocs'));       // API reference (/api/docs)
 
 // Core flows:
 app.use('/', require('./routes/register'));
 app.use('/', require('./routes/index'));
 app.use('/', require('./routes/login'));
+app.use('/', require('./routes/mfa'));            // Two-step login setup
+app.use('/', require('./routes/apiTokens'));      // API tokens (personal and integration)
+app.use('/', require('./routes/webhooks'));       // Outbound webhook subscriptions
+app.use('/', require('./routes/lglSync'));        // Little Green Light donor sync
 app.use('/', require('./routes/passwordReset'));  // Forgot & reset password
+app.use('/', require('./routes/unsubscribe'));    // Public unsubscribe links
 app.use('/', require('./routes/dashboard'));
 app.use('/', require('./routes/admin'));         // your adminUsers logic
 app.use('/', require('./routes/notifications'));
 app.use('/', require('./routes/messages'));
 app.use('/', require('./routes/members'));
+app.use('/', require('./routes/households'));    // Households, guardians & pickup authorization
 app.use('/', require('./routes/checkouts'));
 app.use('/', require('./routes/donations'));
+app.use('/', require('./routes/givingStatements')); // Year-end giving statements
+app.use('/', require('./routes/campaigns'));     // Bulk email campaigns
+app.use('/', require('./routes/grantReports'));  // Grant & funder impact reports
 
 // Programs & Metrics (new):
 app.use('/', require('./routes/programs'));      // ← verify you've created this file
@@ -244,7 +267,12 @@ app.use('/', require('./routes/organizations'));      // Organizations managemen
 app.use('/', require('./routes/sidewalkBooks'));      // Sidewalk Books weekly inventory
 
 // ─── 11. Logout ─────────────────────────────────────────────────────────────
-app.get('/logout', (req, res) => {
+app.get('/logout', async (req, res) => {
+  try {
+    await sessions.end(req);
+  } catch (err) {
+    logger.error('Failed to record logout:', err);
+  }
   req.session.destroy(() => res.redirect('/'));
 });
 
@@ -295,6 +323,13 @@ if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`Server started on port ${PORT}`);
 
+    // Send queued emails in the background (see services/emailQueue.js)
+    require('./services/emailQueue').start();
+    require('./services/campaigns').start();
+    require('./services/webhooks').start();
+    require('./services/dataImport').start();
+    require('./services/reportSchedules').start();
+
     // Log all registered routes for debugging
     const { logRoutes } = require('./routes/_debugRoutes');
     logRoutes(app);
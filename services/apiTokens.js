@@ -0,0 +1,174 @@
+// services/apiTokens.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// API TOKENS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Tokens for the /api/v1 JSON API (routes/apiV1.js), sent as
+//   Authorization: Bearer thb_...
+//
+// A token's scopes are permission keys from API_SCOPES
+// (config/permissions.js). authenticate() turns a token into the same
+// { permissions } shape req.access has for logged-in users, so API routes
+// are guarded with requirePermission() like every other route:
+//
+//   • Integration tokens can read exactly their scopes.
+//   • Personal tokens can read their scopes that the owner's role still has -
+//     taking a permission away from a role takes it away from the role's
+//     tokens too, and tokens of inactive accounts stop working.
+//
+// Only a SHA-256 hash is stored; the token itself is shown once.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const permissions = require('./permissions');
+const { API_SCOPES } = require('../config/permissions');
+
+const TOKEN_PREFIX = 'thb_';
+
+// lastUsedAt is written at most this often
+const TOUCH_MS = 60 * 1000;
+
+/**
+ * SHA-256 of a token (what's stored in ApiToken.tokenHash)
+ * @param {String} token
+ * @returns {String}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check scopes against API_SCOPES (and what the owner may grant)
+ * @param {Array<String>|String} scopes
+ * @param {Set<String>} allowed - Permissions the token may be given
+ * @returns {Array<String>} The scopes, without duplicates
+ */
+function validateScopes(scopes, allowed) {
+  const list = [...new Set([].concat(scopes || []))];
+  if (list.length === 0) {
+    throw new Error('Pick at least one thing the token can read');
+  }
+  const unknown = list.filter(scope => !API_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope: ${unknown.join(', ')}`);
+  }
+  const notAllowed = list.filter(scope => !allowed.has(scope));
+  if (notAllowed.length > 0) {
+    throw new Error(`Your role can't read ${notAllowed.join(', ')}`);
+  }
+  return list;
+}
+
+/**
+ * Create a token
+ *
+ * @param {Object} options
+ * @param {String} options.name - What it's for
+ * @param {Array<String>} options.scopes - From API_SCOPES
+ * @param {Object} options.owner - User for a personal token (session user), or null for an integration token
+ * @param {ObjectId} options.createdBy - User creating it
+ * @param {Number} options.expiresInDays - Optional; blank = never expires
+ * @returns {Promise<{token: String, record: Object}>} token is only available now
+ */
+async function createToken({ name, scopes, owner = null, createdBy, expiresInDays = null }) {
+  const allowed = owner
+    ? (await permissions.getAccess(owner.role)).permissions
+    : new Set(API_SCOPES);
+  const validScopes = validateScopes(scopes, allowed);
+
+  const days = expiresInDays ? parseInt(expiresInDays, 10) : null;
+  if (days !== null && !(days >= 1 && days <= 730)) {
+    throw new Error('Expiry must be between 1 and 730 days');
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const record = await ApiToken.create({
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    user: owner ? owner._id : null,
+    scopes: validScopes,
+    createdBy,
+    expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+  });
+
+  return { token, record };
+}
+
+/**
+ * Look up a token and work out what it can read
+ *
+ * @param {String} token - From the Authorization header
+ * @param {Object} req - Express request (for the IP)
+ * @param {Date} now
+ * @returns {Promise<{record: Object, access: Object}|null>} null if the token doesn't work
+ */
+async function authenticate(token, req, now = new Date()) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const record = await ApiToken.findOne({ tokenHash: hashToken(token) });
+  if (!record || !record.isActive(now)) return null;
+
+  let granted = new Set(record.scopes);
+  let name = record.name;
+  if (record.user) {
+    const owner = await User.findById(record.user).select('role status firstName lastName').lean();
+    // No status (an account from before access approval) means active
+    if (!owner || (owner.status && owner.status !== 'active')) return null;
+
+    const role = await permissions.getAccess(owner.role);
+    granted = new Set(record.scopes.filter(scope => role.permissions.has(scope)));
+    name = `${record.name} (${owner.firstName} ${owner.lastName})`;
+  }
+
+  if (!record.lastUsedAt || now - record.lastUsedAt > TOUCH_MS) {
+    await ApiToken.updateOne({ _id: record._id }, { $set: { lastUsedAt: now, lastUsedIp: req.ip } });
+  }
+
+  return {
+    record,
+    access: { role: null, name, baseRole: null, permissions: granted }
+  };
+}
+
+/**
+ * Revoke a token
+ *
+ * @param {ObjectId} id - ApiToken _id
+ * @param {ObjectId} revokedBy - User revoking it
+ * @param {Object} options
+ * @param {ObjectId} options.ownerId - Only revoke it if it belongs to this user (personal page)
+ * @returns {Promise<Object|null>} The revoked token, or null if there was nothing to revoke
+ */
+function revokeToken(id, revokedBy, { ownerId = null } = {}) {
+  const filter = { _id: id, revokedAt: null };
+  if (ownerId) filter.user = ownerId;
+  return ApiToken.findOneAndUpdate(filter, { $set: { revokedAt: new Date(), revokedBy } }, { new: true });
+}
+
+/**
+ * Tokens for the token pages, newest first
+ * @param {Object} filter - { user: id } for one person's, { user: null } for integrations, {} for all
+ * @returns {Promise<Array<Object>>}
+ */
+function listTokens(filter = {}) {
+  return ApiToken.find(filter)
+    .populate('user', 'firstName lastName email')
+    .populate('createdBy', 'firstName lastName')
+    .sort({ revokedAt: 1, createdAt: -1 })
+    .lean();
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  hashToken,
+  validateScopes,
+  createToken,
+  authenticate,
+  revokeToken,
+  listTokens
+};
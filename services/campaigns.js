@@ -0,0 +1,679 @@
+// services/campaigns.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// EMAIL CAMPAIGNS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Bulk announcements to a segment of members:
+//
+//   1. A segment is a set of Member filters (type, ZIP, age, recent visits,
+//      program enrollment). Children without an email address are reached
+//      through their guardians, and each address gets one email. Only
+//      members who opted in to marketing email (emailConsent) are included.
+//   2. The email is a campaign-category EmailTemplate, either picked from
+//      earlier campaigns or composed with the campaign.
+//   3. Scheduling puts the campaign in line; a worker loop (started from
+//      server.js) claims it once its send time comes and sends through the
+//      mailer one recipient at a time, throttled to campaign.ratePerMinute.
+//   4. Every recipient gets an EmailLog row with metadata.campaignId, which
+//      is the per-recipient status. A send that was interrupted picks up
+//      where it left off - addresses with a "sent" row are skipped.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const EmailTemplate = require('../models/EmailTemplate');
+const Member = require('../models/Member');
+const Visit = require('../models/Visit');
+const Attendee = require('../models/Attendee');
+const mailer = require('./mailer');
+const templateEngine = require('../utils/templateEngine');
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// ─── Segments ───────────────────────────────────────────────────────────────
+
+/**
+ * Birth date range for an age range, as a Mongo condition on dateOfBirth
+ * @param {Number} minAge - Youngest age to include (optional)
+ * @param {Number} maxAge - Oldest age to include (optional)
+ * @param {Date} now - Reference date (default now)
+ * @returns {Object|null} Condition, or null if neither age is set
+ */
+function birthDateRange(minAge, maxAge, now = new Date()) {
+  const range = {};
+
+  if (minAge != null) {
+    const latest = new Date(now);
+    latest.setFullYear(latest.getFullYear() - minAge);
+    range.$lte = latest;
+  }
+
+  if (maxAge != null) {
+    // Someone who is maxAge stays maxAge until the day before turning maxAge + 1
+    const earliest = new Date(now);
+    earliest.setFullYear(earliest.getFullYear() - maxAge - 1);
+    range.$gt = earliest;
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+/**
+ * Member query for a segment's profile filters
+ * Visits and program enrollment live in other collections - pass the
+ * matching member IDs in as memberIds.
+ *
+ * @param {Object} segment - Campaign.segment
+ * @param {Array<ObjectId>|null} memberIds - Limit to these members (optional)
+ * @param {Date} now - Reference date for ages (default now)
+ * @returns {Object} Mongo filter
+ */
+function buildMemberFilter(segment = {}, memberIds = null, now = new Date()) {
+  const filter = { isDeleted: { $ne: true } };
+
+  if (segment.memberType) {
+    filter.memberType = segment.memberType;
+  }
+
+  const zipCodes = (segment.zipCodes || []).map(z => String(z).replace(/\D/g, '')).filter(Boolean);
+  if (zipCodes.length > 0) {
+    filter.zipCode = { $regex: `^(${zipCodes.join('|')})` };
+  }
+
+  const dateOfBirth = birthDateRange(segment.minAge, segment.maxAge, now);
+  if (dateOfBirth) {
+    filter.dateOfBirth = dateOfBirth;
+  }
+
+  if (memberIds) {
+    filter._id = { $in: memberIds };
+  }
+
+  return filter;
+}
+
+/**
+ * Members matching the segment's visit and program filters
+ * @param {Object} segment - Campaign.segment
+ * @param {Date} now - Reference date (default now)
+ * @returns {Promise<Array<ObjectId>|null>} Member IDs, or null if neither filter is set
+ */
+async function activityMemberIds(segment = {}, now = new Date()) {
+  let ids = null;
+  const intersect = list => {
+    const keys = new Set(list.filter(Boolean).map(String));
+    ids = ids === null ? keys : new Set([...ids].filter(id => keys.has(id)));
+  };
+
+  if (segment.visitedWithinDays) {
+    const since = new Date(now.getTime() - segment.visitedWithinDays * 24 * 60 * 60 * 1000);
+    intersect(await Visit.distinct('member', { visitDate: { $gte: since } }));
+  }
+
+  if (segment.programs && segment.programs.length > 0) {
+    const attendees = await Attendee.find({ program: { $in: segment.programs } })
+      .select('member parentMember')
+      .lean();
+    intersect(attendees.flatMap(a => [a.member, a.parentMember]));
+  }
+
+  return ids === null ? null : [...ids].map(id => new mongoose.Types.ObjectId(id));
+}
+
+/**
+ * "Maya", "Maya and Leo", "Maya, Leo and Sam"
+ * @param {Array<String>} names
+ * @returns {String}
+ */
+function joinNames(names) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Everyone a segment would email
+ * Members with an email get it themselves. Children without one are reached
+ * through their guardians (if segment.includeGuardians), and each address
+ * appears once. Anyone without marketing consent is left out.
+ *
+ * @param {Object} segment - Campaign.segment
+ * @returns {Promise<Array<{memberId, email, firstName, lastName, children: Array<String>}>>}
+ *   Sorted by last name
+ */
+async function resolveRecipients(segment = {}) {
+  const memberIds = await activityMemberIds(segment);
+  const matched = await Member.find(buildMemberFilter(segment, memberIds))
+    .select('firstName lastName email memberType parent guardians emailConsent')
+    .lean();
+
+  const byEmail = new Map();
+  const add = (member, childName) => {
+    const key = member.email.trim().toLowerCase();
+    if (!byEmail.has(key)) {
+      byEmail.set(key, {
+        memberId: member._id.toString(),
+        email: member.email.trim(),
+        firstName: member.firstName,
+        lastName: member.lastName,
+        children: []
+      });
+    }
+    if (childName && !byEmail.get(key).children.includes(childName)) {
+      byEmail.get(key).children.push(childName);
+    }
+  };
+
+  const childrenByGuardian = new Map();
+  for (const member of matched) {
+    if (member.email) {
+      if (member.emailConsent && member.emailConsent.marketing) add(member);
+    } else if (segment.includeGuardians !== false && member.memberType === 'child') {
+      const guardianIds = (member.guardians || []).map(g => g.member).concat(member.parent || []);
+      guardianIds.forEach(id => {
+        const key = id.toString();
+        if (!childrenByGuardian.has(key)) childrenByGuardian.set(key, []);
+        childrenByGuardian.get(key).push(member.firstName);
+      });
+    }
+  }
+
+  if (childrenByGuardian.size > 0) {
+    const guardians = await Member.find({
+      _id: { $in: [...childrenByGuardian.keys()] },
+      isDeleted: { $ne: true },
+      email: { $nin: [null, ''] },
+      'emailConsent.marketing': true
+    }).select('firstName lastName email').lean();
+
+    guardians.forEach(guardian => {
+      childrenByGuardian.get(guardian._id.toString()).forEach(name => add(guardian, name));
+    });
+  }
+
+  return [...byEmail.values()].sort((a, b) =>
+    `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`)
+  );
+}
+
+/**
+ * Placeholder values for one recipient (see EmailTemplate.CAMPAIGN_PLACEHOLDERS)
+ * @param {Object} recipient - From resolveRecipients
+ * @returns {Object}
+ */
+function recipientData(recipient) {
+  return {
+    firstName: recipient.firstName,
+    lastName: recipient.lastName,
+    fullName: `${recipient.firstName} ${recipient.lastName}`,
+    email: recipient.email,
+    childNames: joinNames(recipient.children),
+    children: recipient.children
+  };
+}
+
+/**
+ * Plain-English summary of a segment's filters, for the campaign pages
+ * @param {Object} segment - Campaign.segment
+ * @param {Object} programNames - Program ID → name
+ * @returns {Array<String>} One line per filter (empty for "everyone")
+ */
+function describeSegment(segment = {}, programNames = {}) {
+  const lines = [];
+
+  if (segment.memberType) {
+    lines.push(segment.memberType === 'child' ? 'Children' : 'Adults');
+  }
+  if (segment.zipCodes && segment.zipCodes.length > 0) {
+    lines.push(`ZIP ${segment.zipCodes.join(', ')}`);
+  }
+  if (segment.minAge != null && segment.maxAge != null) {
+    lines.push(`Ages ${segment.minAge}-${segment.maxAge}`);
+  } else if (segment.minAge != null) {
+    lines.push(`Age ${segment.minAge} and up`);
+  } else if (segment.maxAge != null) {
+    lines.push(`Age ${segment.maxAge} and under`);
+  }
+  if (segment.visitedWithinDays) {
+    lines.push(`Visited in the last ${segment.visitedWithinDays} days`);
+  }
+  if (segment.programs && segment.programs.length > 0) {
+    const names = segment.programs.map(id => programNames[id.toString()] || 'Unknown program');
+    lines.push(`Enrolled in ${names.join(' or ')}`);
+  }
+
+  return lines;
+}
+
+// ─── Templates ──────────────────────────────────────────────────────────────
+
+/**
+ * Turn a plain-text message into the HTML body of a campaign email
+ * Blank lines start a new paragraph. <, > and & are escaped so the message
+ * shows exactly as typed; placeholders and {{#if}} blocks still work.
+ *
+ * @param {String} message - Message text (may contain placeholders)
+ * @returns {String} Full HTML document
+ */
+function messageToHtml(message) {
+  const paragraphs = message
+    .replace(/\r\n/g, '\n')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(p => `      <p>${p.replace(/\n/g, '<br>\n')}</p>`);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #2d5a27; color: white; padding: 20px; text-align: center; }
+    .content { padding: 20px; background-color: #f9f9f9; }
+    .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>TreeHouse Books</h1>
+    </div>
+    <div class="content">
+${paragraphs.join('\n\n')}
+    </div>
+    <div class="footer">
+      <p>TreeHouse Books | Spreading the joy of reading</p>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Create a campaign template from a subject and plain-text message
+ * @param {Object} data
+ * @param {String} data.name - Template name (usually the campaign name)
+ * @param {String} data.subject - Subject line
+ * @param {String} data.message - Message text
+ * @param {ObjectId} userId - Staff member composing it
+ * @returns {Promise<Object>} The saved EmailTemplate
+ * @throws {Error} If the subject or message has a template syntax error
+ */
+async function composeTemplate({ name, subject, message }, userId) {
+  for (const [label, source] of [['Subject', subject], ['Message', message]]) {
+    const syntaxError = templateEngine.validate(source);
+    if (syntaxError) {
+      throw new Error(`${label}: ${syntaxError}`);
+    }
+  }
+
+  return EmailTemplate.create({
+    templateKey: `campaign_${new mongoose.Types.ObjectId()}`,
+    category: 'campaign',
+    name,
+    description: 'Written for an email campaign',
+    triggerEvent: 'Sent to a campaign segment',
+    subject,
+    htmlBody: messageToHtml(message),
+    textBody: message,
+    isActive: true,
+    availablePlaceholders: EmailTemplate.CAMPAIGN_PLACEHOLDERS,
+    lastModifiedBy: userId
+  });
+}
+
+/**
+ * Campaign templates staff can pick from, newest first
+ * @param {ObjectId} includeId - Also list this template even if disabled (optional)
+ * @returns {Promise<Array<Object>>}
+ */
+function getCampaignTemplates(includeId = null) {
+  const active = includeId ? { $or: [{ isActive: true }, { _id: includeId }] } : { isActive: true };
+  return EmailTemplate.find({ category: 'campaign', ...active })
+    .select('name subject createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+// ─── Preview & Status ───────────────────────────────────────────────────────
+
+/**
+ * Who a campaign would reach and what the first recipient would receive
+ * @param {Object} campaign - Campaign document (template populated or ID)
+ * @param {Number} sampleSize - Recipients to list (default 25)
+ * @returns {Promise<{recipientCount: Number, sample: Array<Object>, rendered: Object|null, renderError: String|null}>}
+ */
+async function previewCampaign(campaign, sampleSize = 25) {
+  const recipients = await resolveRecipients(campaign.segment);
+  const template = campaign.template && campaign.template.htmlBody
+    ? campaign.template
+    : await EmailTemplate.findById(campaign.template).lean();
+
+  let rendered = null;
+  let renderError = null;
+  if (template) {
+    const data = recipients.length > 0
+      ? recipientData(recipients[0])
+      : EmailTemplate.getSampleData(template.templateKey);
+    try {
+      rendered = mailer.renderTemplate(template, data);
+    } catch (err) {
+      renderError = err.message;
+    }
+  }
+
+  return {
+    recipientCount: recipients.length,
+    sample: recipients.slice(0, sampleSize),
+    rendered,
+    renderError
+  };
+}
+
+/**
+ * Per-recipient send counts from EmailLog
+ * @param {ObjectId} campaignId
+ * @returns {Promise<{sent: Number, failed: Number, skipped: Number}>}
+ */
+async function getCampaignStats(campaignId) {
+  const counts = await mailer.EmailLog.aggregate([
+    { $match: { 'metadata.campaignId': campaignId.toString() } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const stats = { sent: 0, failed: 0, skipped: 0 };
+  counts.forEach(c => { stats[c._id] = c.count; });
+  return stats;
+}
+
+/**
+ * EmailLog rows for a campaign, newest first
+ * @param {ObjectId} campaignId
+ * @param {Object} options
+ * @param {String} options.status - Only this status (optional)
+ * @param {Number} options.limit - Max rows (default 500)
+ * @returns {Promise<Array<Object>>}
+ */
+function getRecipientLog(campaignId, options = {}) {
+  const query = { 'metadata.campaignId': campaignId.toString() };
+  if (options.status) query.status = options.status;
+
+  return mailer.EmailLog.find(query)
+    .sort({ sentAt: -1 })
+    .limit(options.limit || 500)
+    .lean();
+}
+
+// ─── Scheduling ─────────────────────────────────────────────────────────────
+
+/**
+ * Load a campaign that hasn't been deleted
+ */
+async function findCampaign(campaignId) {
+  const campaign = await Campaign.findOne({ _id: campaignId, isDeleted: { $ne: true } });
+  if (!campaign) {
+    throw new Error('Campaign not found');
+  }
+  return campaign;
+}
+
+/**
+ * Schedule a draft campaign to send
+ * @param {ObjectId} campaignId
+ * @param {Date|null} sendAt - When to send (default now)
+ * @param {ObjectId} userId - Staff member scheduling it
+ * @returns {Promise<Object>} The updated campaign
+ */
+async function scheduleCampaign(campaignId, sendAt, userId) {
+  const campaign = await findCampaign(campaignId);
+
+  if (!campaign.isEditable()) {
+    throw new Error('This campaign has already been sent');
+  }
+
+  const template = await EmailTemplate.findById(campaign.template);
+  if (!template || !template.isActive) {
+    throw new Error('The campaign\'s email template is missing or disabled');
+  }
+
+  campaign.status = 'scheduled';
+  campaign.scheduledAt = sendAt || new Date();
+  campaign.updatedBy = userId;
+  await campaign.save();
+
+  if (campaign.scheduledAt <= new Date()) kick();
+  return campaign;
+}
+
+/**
+ * Stop a campaign
+ * A scheduled campaign goes back to draft; one that is sending stops after
+ * the current email and is marked cancelled.
+ *
+ * @param {ObjectId} campaignId
+ * @param {ObjectId} userId - Staff member cancelling it
+ * @returns {Promise<Object>} The updated campaign
+ */
+async function cancelCampaign(campaignId, userId) {
+  const campaign = await findCampaign(campaignId);
+
+  if (campaign.status === 'scheduled') {
+    campaign.status = 'draft';
+    campaign.scheduledAt = undefined;
+  } else if (campaign.status === 'sending') {
+    campaign.status = 'cancelled';
+    campaign.completedAt = new Date();
+  } else {
+    throw new Error('Only scheduled or sending campaigns can be cancelled');
+  }
+
+  campaign.updatedBy = userId;
+  await campaign.save();
+  return campaign;
+}
+
+// ─── Sending ────────────────────────────────────────────────────────────────
+
+/**
+ * Atomically claim the next campaign that is due
+ * Also reclaims campaigns whose worker stopped sending a heartbeat.
+ * @returns {Promise<Object|null>}
+ */
+function claimNext() {
+  const now = new Date();
+  return Campaign.findOneAndUpdate(
+    {
+      isDeleted: { $ne: true },
+      $or: [
+        { status: 'scheduled', scheduledAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { scheduledAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Send a claimed campaign to every recipient that hasn't had it yet
+ * @param {Object} campaign - Campaign in "sending" status
+ * @param {Object} options
+ * @param {Function} options.sleep - Wait between emails (injectable for tests)
+ * @returns {Promise<String>} The campaign's final status
+ */
+async function sendCampaign(campaign, options = {}) {
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const campaignId = campaign._id.toString();
+
+  const finish = async (status, lastError) => {
+    const stats = await getCampaignStats(campaignId);
+    await Campaign.updateOne({ _id: campaign._id }, {
+      $set: {
+        status,
+        lastError: lastError || null,
+        completedAt: new Date(),
+        lockedAt: null,
+        sentCount: stats.sent,
+        failedCount: stats.failed
+      }
+    });
+    return status;
+  };
+
+  const template = await EmailTemplate.findById(campaign.template);
+  if (!template || !template.isActive) {
+    return finish('failed', 'The email template is missing or disabled');
+  }
+
+  const recipients = await resolveRecipients(campaign.segment);
+  const alreadySent = new Set(
+    (await mailer.EmailLog.distinct('recipient', { 'metadata.campaignId': campaignId, status: 'sent' }))
+      .map(email => email.toLowerCase())
+  );
+
+  await Campaign.updateOne({ _id: campaign._id }, {
+    $set: { recipientCount: recipients.length, startedAt: campaign.startedAt || new Date() }
+  });
+
+  const delayMs = Math.ceil(60 * 1000 / (campaign.ratePerMinute || 30));
+  let sent = 0;
+
+  for (const recipient of recipients) {
+    if (alreadySent.has(recipient.email.toLowerCase())) continue;
+
+    if (sent > 0) await sleep(delayMs);
+
+    // Heartbeat - also how a cancel from the UI is noticed
+    const stillSending = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'sending' },
+      { $set: { lockedAt: new Date() } }
+    );
+    if (!stillSending) {
+      return finish('cancelled');
+    }
+
+    const result = await mailer.sendTemplatedEmail(
+      template.templateKey,
+      recipient.email,
+      recipientData(recipient),
+      { campaignId, memberId: recipient.memberId }
+    );
+
+    // Unsubscribed or bounced - logged as skipped, move on
+    if (result.suppressed) continue;
+    if (result.skipped) {
+      return finish('failed', 'The email template was disabled during the send');
+    }
+    sent++;
+  }
+
+  return finish('sent');
+}
+
+/**
+ * Send every campaign that is due
+ * @returns {Promise<Number>} Campaigns processed
+ */
+async function processDue() {
+  let processed = 0;
+  let campaign;
+  while ((campaign = await claimNext())) {
+    try {
+      await sendCampaign(campaign);
+    } catch (err) {
+      console.error(`❌ Campaign ${campaign._id} stopped:`, err.message);
+      await Campaign.updateOne({ _id: campaign._id }, {
+        $set: { status: 'failed', lastError: err.message, lockedAt: null }
+      });
+    }
+    processed++;
+  }
+  return processed;
+}
+
+// ─── Worker Loop ────────────────────────────────────────────────────────────
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass of the worker unless one is already running
+ */
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await processDue();
+  } catch (err) {
+    console.error('Campaign worker error:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start due campaigns straight away instead of waiting for the next poll
+ */
+function kick() {
+  if (timer) setImmediate(tick);
+}
+
+/**
+ * Start the worker loop
+ * Does nothing if email isn't configured - scheduled campaigns wait.
+ * @param {Object} options
+ * @param {Number} options.intervalMs - Poll interval (default 60s)
+ * @returns {Boolean} Whether the worker started
+ */
+function start(options = {}) {
+  if (timer) return true;
+
+  if (!mailer.isEmailConfigured()) {
+    console.warn('⚠️  Campaign worker not started - email service not configured. Scheduled campaigns will wait.');
+    return false;
+  }
+
+  timer = setInterval(tick, options.intervalMs || POLL_INTERVAL_MS);
+  timer.unref();
+  setImmediate(tick);
+  console.log('📣 Campaign worker started');
+  return true;
+}
+
+/**
+ * Stop the worker loop
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  birthDateRange,
+  buildMemberFilter,
+  activityMemberIds,
+  joinNames,
+  describeSegment,
+  resolveRecipients,
+  recipientData,
+  messageToHtml,
+  composeTemplate,
+  getCampaignTemplates,
+  previewCampaign,
+  getCampaignStats,
+  getRecipientLog,
+  scheduleCampaign,
+  cancelCampaign,
+  claimNext,
+  sendCampaign,
+  processDue,
+  start,
+  stop
+};
@@ -109,6 +109,9 @@ async function syncAttendeeToMember(attendee, parentMemberId = null) {
       if (parentMemberId && !existingMember.parent) {
         existingMember.parent = parentMemberId;
       }
+      if (parentMemberId && !existingMember.guardians.some(g => String(g.member) === String(parentMemberId))) {
+        existingMember.guardians.push({ member: parentMemberId, relationship: 'parent', canPickup: true });
+      }
 
       await existingMember.save();
       return existingMember;
@@ -129,7 +132,8 @@ async function syncAttendeeToMember(attendee, parentMemberId = null) {
     dateOfBirth: attendee.dateOfBirth,
     grade: attendee.grade,
     school: attendee.school,
-    parent: parentMemberId
+    parent: parentMemberId,
+    guardians: parentMemberId ? [{ member: parentMemberId, relationship: 'parent', canPickup: true }] : []
   };
 
   const member = await Member.create(memberData);
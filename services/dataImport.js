@@ -7,6 +7,19 @@
 // Handles bulk data imports from CSV files and external platforms (Knack).
 // Supports validation, preview, error handling, and rollback.
 //
+// CSV imports run in one of three modes: create only, update existing, or
+// create-or-update. The update modes find each row's existing record by a
+// match key (email, name + date of birth, external ID, ...) and change only
+// the fields that differ; the old values are kept so a rollback restores
+// them rather than deleting the record.
+//
+// Imports run in the background, in batches - see "Import jobs" below.
+//
+// Knack exports (JSON from the API or CSV from the builder) are read with
+// the field map in KNACK_IMPORTS. People on visits and checkouts are matched
+// to members by email, then by exact first + last name; records that were
+// already imported are skipped, so the same export can be imported twice.
+//
 // ═══════════════════════════════════════════════════════════════════════════
 
 const { parse } = require('csv-parse/sync');
@@ -15,8 +28,11 @@ const Checkout = require('../models/Checkout');
 const Donation = require('../models/Donation');
 const Program = require('../models/Program');
 const Attendee = require('../models/Attendee');
+const Visit = require('../models/Visit');
 const MetricValue = require('../models/MetricValue');
 const ImportHistory = require('../models/ImportHistory');
+const spreadsheet = require('../utils/spreadsheet');
+const { csvField } = require('./exports');
 
 /**
  * CSV Template definitions for each import type
@@ -25,7 +41,7 @@ const ImportHistory = require('../models/ImportHistory');
 const CSV_TEMPLATES = {
   members: {
     required: ['firstName', 'lastName', 'email'],
-    optional: ['phone', 'address', 'memberType', 'dateOfBirth', 'grade', 'school', 'parentEmail', 'notes'],
+    optional: ['phone', 'address', 'memberType', 'dateOfBirth', 'grade', 'school', 'parentEmail', 'notes', 'emailConsent', 'externalId'],
     example: {
       firstName: 'John',
       lastName: 'Doe',
@@ -37,44 +53,49 @@ const CSV_TEMPLATES = {
       grade: '5',
       school: 'Lincoln Elementary',
       parentEmail: 'parent@example.com',
-      notes: 'Allergic to peanuts'
+      notes: 'Allergic to peanuts',
+      emailConsent: 'yes',
+      externalId: 'M-1001'
     }
   },
   checkouts: {
     required: ['memberEmail', 'checkoutDate', 'numberOfBooks'],
-    optional: ['genres', 'weight'],
+    optional: ['genres', 'weight', 'externalId'],
     example: {
       memberEmail: 'john.doe@example.com',
       checkoutDate: '2024-01-15',
       numberOfBooks: '5',
       genres: 'Fiction,Science',
-      weight: '2.5'
+      weight: '2.5',
+      externalId: 'C-1001'
     }
   },
   donations: {
     required: ['memberEmail', 'donatedAt', 'numberOfBooks'],
-    optional: ['condition', 'genres'],
+    optional: ['condition', 'genres', 'externalId'],
     example: {
       memberEmail: 'jane.smith@example.com',
       donatedAt: '2024-01-10',
       numberOfBooks: '10',
       condition: 'Good',
-      genres: 'Mystery,Biography'
+      genres: 'Mystery,Biography',
+      externalId: 'D-1001'
     }
   },
   programs: {
     required: ['name'],
-    optional: ['description', 'templateType', 'active'],
+    optional: ['description', 'templateType', 'active', 'externalId'],
     example: {
       name: 'Summer Reading Program',
       description: 'Summer reading program for grades K-5',
       templateType: 'classroom',
-      active: 'true'
+      active: 'true',
+      externalId: 'P-1001'
     }
   },
   attendees: {
     required: ['programName', 'firstName', 'lastName'],
-    optional: ['grade', 'dateOfBirth', 'school', 'email', 'phone', 'parentEmail'],
+    optional: ['grade', 'dateOfBirth', 'school', 'email', 'phone', 'parentEmail', 'externalId'],
     example: {
       programName: 'After-School Reading',
       firstName: 'Sarah',
@@ -84,11 +105,66 @@ const CSV_TEMPLATES = {
       school: 'Washington Elementary',
       email: 'sarah.j@example.com',
       phone: '555-5678',
-      parentEmail: 'parent@example.com'
+      parentEmail: 'parent@example.com',
+      externalId: 'A-1001'
     }
   }
 };
 
+/**
+ * Knack export definitions for each import type
+ * Each field is its Knack field key and the column header Knack gives it in
+ * CSV exports. JSON records are read by key (the `field_N_raw` value first);
+ * CSV rows by either the key or the header.
+ */
+const KNACK_IMPORTS = {
+  members: {
+    table: 'Person',
+    fields: {
+      firstName: { key: 'field_10', label: 'First Name' },
+      lastName: { key: 'field_11', label: 'Last Name' },
+      email: { key: 'field_4', label: 'Email' },
+      phone: { key: 'field_3', label: 'Phone' },
+      street: { key: 'field_77', label: 'Street' },
+      address: { key: 'field_75', label: 'Address' },
+      zipCode: { key: 'field_81', label: 'Zip Code' },
+      altZipCode: { key: 'field_379', label: 'Zip' },
+      notes: { key: 'field_265', label: 'Notes' },
+      joinedAt: { key: 'field_358', label: 'Date Joined' },
+      altJoinedAt: { key: 'field_380', label: 'Signup Date' }
+    }
+  },
+  checkouts: {
+    table: 'Book Checkout',
+    fields: {
+      person: { key: 'field_23', label: 'Person' },
+      checkoutDate: { key: 'field_21', label: 'Date' },
+      blackAuthorAdult: { key: 'field_25', label: 'Black Author Adult' },
+      adult: { key: 'field_26', label: 'Adult' },
+      blackAuthorKids: { key: 'field_27', label: 'Black Author Kids' },
+      kids: { key: 'field_28', label: 'Kids' },
+      boardBooks: { key: 'field_377', label: 'Board Books' },
+      totalBooks: { key: 'field_91', label: 'Total Books' },
+      totalWeight: { key: 'field_574', label: 'Total Weight' }
+    }
+  },
+  visits: {
+    table: 'Visitor Check-in',
+    fields: {
+      person: { key: 'field_244', label: 'Person' },
+      visitDate: { key: 'field_242', label: 'Date' },
+      visitTime: { key: 'field_243', label: 'Time' }
+    }
+  }
+};
+
+// Columns that may hold a member's birthdate in a Knack person export
+const KNACK_BIRTHDATE_COLUMNS = [
+  'Birthdate', 'birthdate', 'Birth Date', 'birth_date',
+  'DOB', 'dob', 'Date of Birth', 'date_of_birth',
+  'Birthdate_raw', 'birthdate_raw', 'Birth Date_raw', 'DOB_raw'
+];
+
 /**
  * Parse CSV file content
  * @param {String} csvContent - Raw CSV content
@@ -110,13 +186,57 @@ function parseCSV(csvContent, options = {}) {
   }
 }
 
+/**
+ * Parse CSV file content, keeping each row's line number
+ * Blank lines are skipped but still counted, so errors point at the line
+ * (or, for a converted spreadsheet, the sheet row) the row is on.
+ * @param {String} csvContent - Raw CSV content
+ * @returns {Array<{row: Number, data: Object}>}
+ */
+function parseNumberedCSV(csvContent) {
+  return parseCSV(csvContent, { info: true }).map(({ record, info }) => ({ row: info.lines, data: record }));
+}
+
+/**
+ * Turn one sheet of an .xlsx upload into CSV for a template import
+ * Leading and blank rows stay as empty lines, so CSV line numbers are the
+ * sheet's row numbers.
+ * @param {Buffer} buffer - .xlsx file
+ * @param {String} importType - Template the columns are matched to
+ * @param {Object} options - sheet, headerRow (see readSheet in utils/spreadsheet.js)
+ * @returns {Promise<Object>} content (CSV), sheets, sheet, headerRow
+ */
+async function spreadsheetToCSV(buffer, importType, options = {}) {
+  const template = CSV_TEMPLATES[importType];
+  if (!template) {
+    throw new Error('Unsupported import type');
+  }
+
+  const table = await spreadsheet.readSheet(buffer, {
+    ...options,
+    columns: [...template.required, ...template.optional]
+  });
+
+  const line = cells => cells.map(csvField).join(',');
+  const content = [
+    ...new Array(table.headerRow - 1).fill(''),
+    line(table.headers),
+    ...table.rows.map(row => (row.cells.some(Boolean) ? line(row.cells) : ''))
+  ].join('\n');
+
+  return { content, sheets: table.sheets, sheet: table.sheet, headerRow: table.headerRow };
+}
+
 /**
  * Validate CSV row against template
+ * In update mode only the match key's columns are required, since a row
+ * only has to carry the fields it changes; create-or-update needs both.
  * @param {Object} row - CSV row data
  * @param {String} importType - Type of import
+ * @param {Object} options - mode, matchKey
  * @returns {Object} Validation result
  */
-function validateRow(row, importType) {
+function validateRow(row, importType, { mode = 'create', matchKey } = {}) {
   const template = CSV_TEMPLATES[importType];
   if (!template) {
     return { valid: false, errors: ['Unknown import type'] };
@@ -124,8 +244,11 @@ function validateRow(row, importType) {
 
   const errors = [];
 
+  const keyColumns = mode === 'create' ? [] : CSV_IMPORTS[importType].matchKeys[matchKey].columns;
+  const required = mode === 'update' ? keyColumns : [...new Set([...template.required, ...keyColumns])];
+
   // Check required fields
-  template.required.forEach(field => {
+  required.forEach(field => {
     if (!row[field] || row[field].trim() === '') {
       errors.push(`Missing required field: ${field}`);
     }
@@ -169,32 +292,38 @@ function validateRow(row, importType) {
 
 /**
  * Preview CSV import
- * Parses and validates without saving to database
+ * Parses and validates without saving to database. In the update modes each
+ * row is also matched, and the preview lists the field changes it would make.
  * @param {String} csvContent - Raw CSV content
  * @param {String} importType - Type of import
- * @returns {Object} Preview results
+ * @param {Object} options - mode (create, update, upsert), matchKey
+ * @returns {Promise<Object>} Preview results
  */
-function previewImport(csvContent, importType) {
-  const rows = parseCSV(csvContent);
+async function previewImport(csvContent, importType, options = {}) {
+  const rows = parseNumberedCSV(csvContent);
+  if ((options.mode || 'create') !== 'create') {
+    return previewUpdates(rows, importType, options);
+  }
+
   const preview = {
     totalRows: rows.length,
     validRows: 0,
     invalidRows: 0,
     errors: [],
-    sample: rows.slice(0, 5), // First 5 rows
-    columns: rows.length > 0 ? Object.keys(rows[0]) : []
+    sample: rows.slice(0, 5).map(row => row.data), // First 5 rows
+    columns: rows.length > 0 ? Object.keys(rows[0].data) : []
   };
 
-  rows.forEach((row, index) => {
-    const validation = validateRow(row, importType);
+  rows.forEach(({ row, data }) => {
+    const validation = validateRow(data, importType);
     if (validation.valid) {
       preview.validRows++;
     } else {
       preview.invalidRows++;
       preview.errors.push({
-        row: index + 2, // +2 because of 0-index and header row
+        row,
         errors: validation.errors,
-        data: row
+        data
       });
     }
   });
@@ -203,273 +332,1230 @@ function previewImport(csvContent, importType) {
 }
 
 /**
- * Import members from CSV
- * @param {Array} rows - Parsed CSV rows
- * @param {ObjectId} userId - User performing import
- * @returns {Object} Import results
+ * Preview an update or create-or-update import
+ * @param {Array} rows - From parseNumberedCSV
+ * @param {String} importType - Type of import
+ * @param {Object} options - mode, matchKey
+ * @returns {Promise<Object>} Preview results with per-row changes
  */
-async function importMembers(rows, userId) {
-  const results = { successful: 0, failed: 0, errors: [], importedRecords: [] };
+async function previewUpdates(rows, importType, options) {
+  resolveMatchKey(importType, options);
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
+  const preview = {
+    mode: options.mode,
+    totalRows: rows.length,
+    validRows: 0,
+    invalidRows: 0,
+    skippedRows: 0,
+    toCreate: 0,
+    toUpdate: 0,
+    errors: [],
+    skipped: [],
+    changes: [],
+    sample: rows.slice(0, 5).map(row => row.data),
+    columns: rows.length > 0 ? Object.keys(rows[0].data) : []
+  };
 
-    try {
-      // Validate row
-      const validation = validateRow(row, 'members');
-      if (!validation.valid) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: validation.errors.join(', ') });
-        continue;
-      }
+  for (const { row, data } of rows) {
+    const plan = await planRow(data, importType, options);
 
-      // Check if member already exists
-      const existing = await Member.findOne({ email: row.email.toLowerCase() });
-      if (existing) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: 'Member with this email already exists' });
-        continue;
+    if (plan.action === 'error') {
+      preview.invalidRows++;
+      preview.errors.push({ row, errors: plan.errors, data });
+    } else if (plan.action === 'skip' || plan.action === 'unchanged') {
+      preview.skippedRows++;
+      preview.skipped.push({
+        row,
+        reason: plan.action === 'skip' ? plan.reason : `No changes to ${describeRecord(plan.existing)}`,
+        data
+      });
+    } else {
+      preview.validRows++;
+      if (plan.action === 'create') {
+        preview.toCreate++;
+        preview.changes.push({ row, action: 'create', record: describeRecord(plan.data), fields: [] });
+      } else {
+        preview.toUpdate++;
+        preview.changes.push({
+          row,
+          action: 'update',
+          record: describeRecord(plan.existing),
+          fields: plan.changes.map(change => ({
+            field: change.field,
+            from: displayValue(change.from),
+            to: displayValue(change.to)
+          }))
+        });
       }
+    }
+  }
+
+  return preview;
+}
+
+// ─── CSV imports ────────────────────────────────────────────────────────────
+
+/**
+ * Import modes: what to do when a row matches an existing record
+ */
+const IMPORT_MODES = {
+  create: 'Create only',
+  update: 'Update existing',
+  upsert: 'Create or update'
+};
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Case-insensitive exact match
+const exactly = value => new RegExp(`^${escapeRegex(String(value))}$`, 'i');
+
+// Dates from CSVs are UTC midnight; match anything on that calendar day
+const onDay = date => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  return { $gte: start, $lt: new Date(start.getTime() + DAY_MS) };
+};
+
+const EXTERNAL_ID = {
+  label: 'External ID',
+  columns: ['externalId'],
+  query: data => ({ externalId: data.externalId })
+};
+
+/**
+ * Look up the member a row refers to by email
+ * @param {String} email
+ * @returns {Promise<Object>} Member
+ */
+async function requireMember(email) {
+  const member = await Member.findOne({ email: email.toLowerCase() });
+  if (!member) {
+    throw new Error(`Member not found: ${email}`);
+  }
+  return member;
+}
+
+/**
+ * How each CSV import type becomes records
+ *
+ * - build(row): the record fields from a row. Only columns with a value are
+ *   included, so an update never blanks a field the file left empty. Throws
+ *   when a referenced record (member, program) can't be found.
+ * - defaults: fields set only when creating
+ * - duplicate: create-only check for a record that already exists
+ * - matchKeys: ways to find the existing record in update modes; columns
+ *   are required in those modes
+ * - compare: field comparisons that can't be done by value
+ * - afterCreate(record): follow-up work for a new record
+ * - provides(data) / needs(row): keys of records a row writes and looks up,
+ *   so a child isn't written in the same batch as the parent it points to
+ */
+const CSV_IMPORTS = {
+  members: {
+    model: Member,
+    defaults: { memberType: 'adult' },
+    duplicate: {
+      query: data => ({ email: data.email }),
+      message: 'Member with this email already exists'
+    },
+    matchKeys: {
+      email: { label: 'Email', columns: ['email'], query: data => ({ email: data.email }) },
+      nameDob: {
+        label: 'Name + date of birth',
+        columns: ['firstName', 'lastName', 'dateOfBirth'],
+        query: data => ({
+          firstName: exactly(data.firstName),
+          lastName: exactly(data.lastName),
+          dateOfBirth: onDay(data.dateOfBirth)
+        })
+      },
+      externalId: EXTERNAL_ID
+    },
+    compare: {
+      emailConsent: (a, b) => Boolean(a && a.marketing) === Boolean(b && b.marketing)
+    },
+    provides: data => [data.email && `email:${data.email}`],
+    needs: row => [row.parentEmail && `email:${row.parentEmail.trim().toLowerCase()}`],
+    async build(row) {
       // Find parent if parentEmail provided
-      let parent = null;
-      if (row.parentEmail && row.parentEmail !== '') {
-        parent = await Member.findOne({ email: row.parentEmail.toLowerCase() });
+      const parent = row.parentEmail ? await Member.findOne({ email: row.parentEmail.toLowerCase() }) : null;
+
+      const data = {
+        firstName: row.firstName && row.firstName.trim(),
+        lastName: row.lastName && row.lastName.trim(),
+        email: row.email && row.email.trim().toLowerCase(),
+        phone: row.phone,
+        address: row.address,
+        memberType: row.memberType,
+        dateOfBirth: row.dateOfBirth ? new Date(row.dateOfBirth) : undefined,
+        grade: row.grade,
+        school: row.school,
+        parent: parent?._id,
+        notes: row.notes,
+        externalId: row.externalId
+      };
+
+      // Marketing email opt-in, only when the file says either way
+      if (row.emailConsent) {
+        const consent = ['yes', 'y', 'true', '1'].includes(row.emailConsent.trim().toLowerCase());
+        data.emailConsent = Member.buildConsent(consent, 'import');
       }
 
-      // Create member
-      const memberData = {
-        firstName: row.firstName.trim(),
-        lastName: row.lastName.trim(),
-        email: row.email.trim().toLowerCase(),
-        phone: row.phone || undefined,
-        address: row.address || undefined,
-        memberType: row.memberType || 'adult',
+      return data;
+    }
+  },
+
+  checkouts: {
+    model: Checkout,
+    matchKeys: { externalId: EXTERNAL_ID },
+    async build(row) {
+      return {
+        member: row.memberEmail ? (await requireMember(row.memberEmail))._id : undefined,
+        checkoutDate: row.checkoutDate ? new Date(row.checkoutDate) : undefined,
+        numberOfBooks: row.numberOfBooks ? parseInt(row.numberOfBooks) : undefined,
+        genres: row.genres ? row.genres.split(',').map(g => g.trim()) : undefined,
+        weight: row.weight ? parseFloat(row.weight) : undefined,
+        externalId: row.externalId
+      };
+    }
+  },
+
+  donations: {
+    model: Donation,
+    matchKeys: { externalId: EXTERNAL_ID },
+    async build(row) {
+      return {
+        member: row.memberEmail ? (await requireMember(row.memberEmail))._id : undefined,
+        donatedAt: row.donatedAt ? new Date(row.donatedAt) : undefined,
+        numberOfBooks: row.numberOfBooks ? parseInt(row.numberOfBooks) : undefined,
+        condition: row.condition,
+        genres: row.genres ? row.genres.split(',').map(g => g.trim()) : undefined,
+        externalId: row.externalId
+      };
+    }
+  },
+
+  programs: {
+    model: Program,
+    defaults: { templateType: 'custom', active: false },
+    duplicate: {
+      query: data => ({ name: data.name }),
+      message: 'Program with this name already exists'
+    },
+    matchKeys: {
+      name: { label: 'Program name', columns: ['name'], query: data => ({ name: data.name }) },
+      externalId: EXTERNAL_ID
+    },
+    async build(row) {
+      return {
+        name: row.name && row.name.trim(),
+        description: row.description,
+        templateType: row.templateType,
+        active: row.active ? ['true', '1', 'yes'].includes(row.active) : undefined,
+        externalId: row.externalId
+      };
+    }
+  },
+
+  attendees: {
+    model: Attendee,
+    matchKeys: {
+      nameDob: {
+        label: 'Program + name + date of birth',
+        columns: ['programName', 'firstName', 'lastName', 'dateOfBirth'],
+        query: data => ({
+          program: data.program,
+          firstName: exactly(data.firstName),
+          lastName: exactly(data.lastName),
+          dateOfBirth: onDay(data.dateOfBirth)
+        })
+      },
+      email: {
+        label: 'Program + email',
+        columns: ['programName', 'email'],
+        query: data => ({ program: data.program, email: exactly(data.email) })
+      },
+      externalId: EXTERNAL_ID
+    },
+    async build(row) {
+      let program;
+      if (row.programName) {
+        program = await Program.findOne({ name: row.programName });
+        if (!program) {
+          throw new Error(`Program not found: ${row.programName}`);
+        }
+      }
+
+      // Find parent if provided
+      const parent = row.parentEmail ? await Member.findOne({ email: row.parentEmail.toLowerCase() }) : null;
+
+      return {
+        program: program?._id,
+        firstName: row.firstName && row.firstName.trim(),
+        lastName: row.lastName && row.lastName.trim(),
+        grade: row.grade,
         dateOfBirth: row.dateOfBirth ? new Date(row.dateOfBirth) : undefined,
-        grade: row.grade || undefined,
-        school: row.school || undefined,
-        parent: parent?._id || undefined,
-        notes: row.notes || undefined
+        school: row.school,
+        email: row.email,
+        phone: row.phone,
+        parentMember: parent?._id,
+        externalId: row.externalId
       };
+    },
+    async afterCreate(attendee) {
+      // Auto-sync to member if program is classroom type
+      const program = await Program.findById(attendee.program);
+      if (program && program.templateType === 'classroom' && program.classroomSettings?.autoSyncAttendees) {
+        const { syncAttendeeToMember } = require('./classroomTemplates');
+        await syncAttendeeToMember(attendee, attendee.parentMember);
+      }
+    }
+  }
+};
 
-      const member = await Member.create(memberData);
+/**
+ * Check an import mode and match key before running
+ * @param {String} importType
+ * @param {Object} options - mode, matchKey
+ * @returns {Object} The match key definition (null in create mode)
+ */
+function resolveMatchKey(importType, { mode = 'create', matchKey } = {}) {
+  if (!IMPORT_MODES[mode]) {
+    throw new Error(`Unknown import mode: ${mode}`);
+  }
+  if (mode === 'create') return null;
 
-      results.successful++;
-      results.importedRecords.push({ model: 'Member', recordId: member._id });
-    } catch (err) {
-      results.failed++;
-      results.errors.push({ row: i + 2, data: row, error: err.message });
+  const key = CSV_IMPORTS[importType] && CSV_IMPORTS[importType].matchKeys[matchKey];
+  if (!key) {
+    throw new Error(`${importType} can't be matched by ${matchKey || 'nothing'}`);
+  }
+  return key;
+}
+
+/**
+ * Drop fields without a value
+ * @param {Object} data
+ * @returns {Object}
+ */
+function withValues(data) {
+  const result = {};
+  Object.entries(data).forEach(([field, value]) => {
+    if (value !== undefined && value !== null && value !== '') result[field] = value;
+  });
+  return result;
+}
+
+/**
+ * Whether a stored value and an imported one are the same
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean}
+ */
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(Array.from(a || [], String)) === JSON.stringify(Array.from(b || [], String));
+  }
+  return String(a ?? '') === String(b ?? '');
+}
+
+/**
+ * A field value as text for the preview and history
+ * @param {*} value
+ * @returns {String}
+ */
+function displayValue(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (Array.isArray(value)) return Array.from(value, String).join(', ');
+  if (typeof value === 'object' && 'marketing' in value) return value.marketing ? 'yes' : 'no';
+  return String(value);
+}
+
+/**
+ * What importing one CSV row would do
+ *
+ * @param {Object} row - CSV row
+ * @param {String} importType
+ * @param {Object} options - mode, matchKey
+ * @returns {Promise<Object>} action ('create', 'update', 'unchanged', 'skip'
+ *   or 'error') with data, the existing record, changes, or errors; plus the
+ *   key of the record it writes
+ */
+async function planRow(row, importType, options = {}) {
+  const definition = CSV_IMPORTS[importType];
+  const mode = options.mode || 'create';
+  const matchKey = resolveMatchKey(importType, options);
+
+  const validation = validateRow(row, importType, options);
+  if (!validation.valid) {
+    return { action: 'error', errors: validation.errors };
+  }
+
+  let data;
+  try {
+    data = withValues(await definition.build(row));
+  } catch (err) {
+    return { action: 'error', errors: [err.message] };
+  }
+
+  if (mode === 'create') {
+    if (!definition.duplicate) {
+      return { action: 'create', data: { ...definition.defaults, ...data } };
+    }
+    const query = definition.duplicate.query(data);
+    if (await definition.model.findOne(query)) {
+      return { action: 'error', errors: [definition.duplicate.message] };
     }
+    return { action: 'create', data: { ...definition.defaults, ...data }, key: recordKey(query) };
   }
 
-  return results;
+  const query = matchKey.query(data);
+  const key = recordKey(query);
+  if (definition.model.schema.path('isDeleted')) {
+    query.isDeleted = { $ne: true };
+  }
+  const matches = await definition.model.find(query).limit(2);
+  if (matches.length > 1) {
+    return { action: 'error', errors: [`More than one existing record matches this ${matchKey.label.toLowerCase()}`] };
+  }
+
+  const existing = matches[0];
+  if (!existing) {
+    return mode === 'upsert'
+      ? { action: 'create', data: { ...definition.defaults, ...data }, key }
+      : { action: 'skip', reason: 'No existing record matches' };
+  }
+
+  const compare = definition.compare || {};
+  const changes = Object.keys(data)
+    .filter(field => !(compare[field] || sameValue)(existing.get(field), data[field]))
+    .map(field => ({ field, from: existing.get(field), to: data[field] }));
+
+  return changes.length > 0
+    ? { action: 'update', existing, changes, key }
+    : { action: 'unchanged', existing };
 }
 
 /**
- * Import checkouts from CSV
- * @param {Array} rows - Parsed CSV rows
- * @param {ObjectId} userId - User performing import
- * @returns {Object} Import results
+ * A match or duplicate query as text, so two rows that would write the same
+ * record can be told apart from the rest of a batch
+ * @param {Object} query
+ * @returns {String}
  */
-async function importCheckouts(rows, userId) {
-  const results = { successful: 0, failed: 0, errors: [], importedRecords: [] };
+function recordKey(query) {
+  return JSON.stringify(query, (field, value) => (value instanceof RegExp ? String(value) : value)).toLowerCase();
+}
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
+/**
+ * Short description of a matched record for the preview
+ * @param {Object} record
+ * @returns {String}
+ */
+function describeRecord(record) {
+  const name = record.name || [record.firstName, record.lastName].filter(Boolean).join(' ');
+  return name || String(record._id);
+}
 
-    try {
-      const validation = validateRow(row, 'checkouts');
-      if (!validation.valid) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: validation.errors.join(', ') });
-        continue;
-      }
+/**
+ * Plan one CSV row of a running import
+ * @param {Object} row - CSV row
+ * @param {Number} rowNumber - Spreadsheet row number
+ * @param {String} importType
+ * @param {Object} options - mode, matchKey
+ * @returns {Promise<ImportStep>}
+ */
+async function planCsvStep(row, rowNumber, importType, options) {
+  const definition = CSV_IMPORTS[importType];
+  const step = { row: rowNumber, data: row, model: definition.model, keys: [], needs: [] };
 
-      // Find member
-      const member = await Member.findOne({ email: row.memberEmail.toLowerCase() });
-      if (!member) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: `Member not found: ${row.memberEmail}` });
-        continue;
-      }
+  let plan;
+  try {
+    plan = await planRow(row, importType, options);
+  } catch (err) {
+    return { ...step, action: 'error', error: err.message };
+  }
 
-      // Create checkout
-      const checkoutData = {
-        member: member._id,
-        checkoutDate: new Date(row.checkoutDate),
-        numberOfBooks: parseInt(row.numberOfBooks),
-        genres: row.genres ? row.genres.split(',').map(g => g.trim()) : [],
-        weight: row.weight ? parseFloat(row.weight) : undefined
-      };
+  if (plan.action === 'error') {
+    return { ...step, action: 'error', error: plan.errors.join(', ') };
+  }
+  if (plan.action === 'skip' || plan.action === 'unchanged') {
+    return { ...step, action: 'skip' };
+  }
+
+  const written = plan.action === 'create'
+    ? plan.data
+    : Object.fromEntries(plan.changes.map(change => [change.field, change.to]));
+  return {
+    ...step,
+    action: plan.action,
+    values: plan.data,
+    existing: plan.existing,
+    changes: plan.changes,
+    afterCreate: definition.afterCreate,
+    keys: [plan.key, ...(definition.provides ? definition.provides(written) : [])].filter(Boolean),
+    needs: definition.needs ? definition.needs(row).filter(Boolean) : []
+  };
+}
+
+// ─── Knack ──────────────────────────────────────────────────────────────────
+
+const KNACK_MODELS = { Member, Checkout, Visit };
 
-      const checkout = await Checkout.create(checkoutData);
+/**
+ * Escape special regex characters
+ * @param {String} str
+ * @returns {String}
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a Knack connection identifier into a name and email
+ * Formats:
+ * - "FirstName LastName email@example.com"
+ * - "FirstName LastName "
+ * - "FirstName LastName MM/DD/YYYY" (child with DOB)
+ * @param {String} identifier
+ * @returns {Object|null} firstName, lastName, email, isChild
+ */
+function parseIdentifier(identifier) {
+  if (!identifier) return null;
+
+  const trimmed = identifier.trim();
+  if (!trimmed) return null;
+
+  const splitName = namePart => {
+    const nameParts = namePart.trim().split(/\s+/);
+    return { firstName: nameParts[0] || '', lastName: nameParts.slice(1).join(' ') || '' };
+  };
+
+  // Check for email pattern at the end
+  const emailMatch = trimmed.match(/^(.+?)\s+(\S+@\S+\.\S+)$/);
+  if (emailMatch) {
+    return { ...splitName(emailMatch[1]), email: emailMatch[2].toLowerCase() };
+  }
+
+  // Check for date pattern at the end (MM/DD/YYYY) - indicates child
+  const dateMatch = trimmed.match(/^(.+?)\s+(\d{2}\/\d{2}\/\d{4})$/);
+  if (dateMatch) {
+    return { ...splitName(dateMatch[1]), email: null, isChild: true };
+  }
+
+  // Just name, no email
+  return { ...splitName(trimmed), email: null };
+}
 
-      results.successful++;
-      results.importedRecords.push({ model: 'Checkout', recordId: checkout._id });
+/**
+ * Find the member a parsed identifier refers to
+ * Email match first (most reliable), then exact first + last name
+ * @param {Object} parsed - From parseIdentifier
+ * @returns {Promise<Object|null>} Member
+ */
+async function findMember(parsed) {
+  if (!parsed) return null;
+
+  if (parsed.email) {
+    const byEmail = await Member.findOne({
+      email: parsed.email,
+      isDeleted: { $ne: true }
+    });
+    if (byEmail) return byEmail;
+  }
+
+  if (parsed.firstName && parsed.lastName) {
+    const byName = await Member.findOne({
+      firstName: { $regex: new RegExp(`^${escapeRegex(parsed.firstName)}$`, 'i') },
+      lastName: { $regex: new RegExp(`^${escapeRegex(parsed.lastName)}$`, 'i') },
+      isDeleted: { $ne: true }
+    });
+    if (byName) return byName;
+  }
+
+  return null;
+}
+
+/**
+ * Read a field from a Knack JSON record or CSV row
+ * @param {Object} record
+ * @param {Object} field - { key, label } from KNACK_IMPORTS
+ * @returns {*} Raw value, formatted value, or CSV cell
+ */
+function knackValue(record, field) {
+  const raw = record[`${field.key}_raw`];
+  if (raw !== undefined && raw !== null && raw !== '') return raw;
+  if (record[field.key] !== undefined && record[field.key] !== '') return record[field.key];
+  return record[field.label];
+}
+
+/**
+ * Plain text from a Knack value (strips the HTML Knack puts in formatted values)
+ * @param {*} value
+ * @returns {String}
+ */
+function knackText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string') {
+    return value.replace(/<br\s*\/?>/gi, ', ').replace(/<[^>]*>/g, '').trim();
+  }
+  if (Array.isArray(value)) return value.map(knackText).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    return knackText(value.identifier || value.email || value.formatted || value.full || '');
+  }
+  return '';
+}
+
+/**
+ * Safe number parser
+ * @param {*} val
+ * @param {Number} defaultVal
+ * @returns {Number}
+ */
+function safeNumber(val, defaultVal = 0) {
+  if (val === null || val === undefined || val === '') return defaultVal;
+  const num = parseFloat(val);
+  return isNaN(num) ? defaultVal : num;
+}
+
+/**
+ * 24-hour clock hour from a 12-hour one
+ * @param {Number} hours
+ * @param {String} amPm - 'AM', 'PM', or empty for 24-hour input
+ * @returns {Number}
+ */
+function hour24(hours, amPm) {
+  const isPM = /^pm$/i.test(amPm || '');
+  const isAM = /^am$/i.test(amPm || '');
+  if (isPM && hours !== 12) return hours + 12;
+  if (isAM && hours === 12) return 0;
+  return hours;
+}
+
+/**
+ * Date from a Knack date value
+ * Accepts the raw object (iso_timestamp or date) or MM/DD/YYYY text with an
+ * optional time, as in CSV exports
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function knackDate(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (value.iso_timestamp) return new Date(value.iso_timestamp);
+    value = value.date || value.formatted;
+  }
+
+  const text = knackText(value);
+  if (!text) return null;
+
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})\s*([ap]m)?)?/i);
+  const date = us
+    ? new Date(+us[3], us[1] - 1, +us[2], us[4] ? hour24(+us[4], us[6]) : 0, us[5] ? +us[5] : 0)
+    : new Date(text);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Time of day from a Knack time value ({hours, minutes, am_pm} or "2:30pm")
+ * @param {*} value
+ * @returns {{hours: Number, minutes: Number}|null}
+ */
+function knackTime(value) {
+  if (value && typeof value === 'object' && value.hours !== undefined) {
+    return {
+      hours: hour24(parseInt(value.hours) || 0, value.am_pm),
+      minutes: parseInt(value.minutes) || 0
+    };
+  }
+
+  const match = knackText(value).match(/^(\d{1,2}):(\d{2})\s*([ap]m)?$/i);
+  return match ? { hours: hour24(+match[1], match[3]), minutes: +match[2] } : null;
+}
+
+/**
+ * Birthdate from a Knack person record - checks the usual column names
+ * @param {Object} record
+ * @returns {Date|null}
+ */
+function extractBirthdate(record) {
+  for (const column of KNACK_BIRTHDATE_COLUMNS) {
+    const date = knackDate(record[column]);
+    // Sanity check: birthdate should be in the past and reasonable (not before 1900)
+    if (date && date < new Date() && date.getFullYear() > 1900) {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Member fields from a Knack person record
+ * Names are left empty when missing so the caller can decide what to do
+ * @param {Object} record
+ * @returns {Object} Member data
+ */
+function mapKnackMember(record) {
+  const { fields } = KNACK_IMPORTS.members;
+  const text = name => knackText(knackValue(record, fields[name]));
+
+  const joinedAt = knackDate(knackValue(record, fields.joinedAt)) ||
+                   knackDate(knackValue(record, fields.altJoinedAt));
+  const dateOfBirth = extractBirthdate(record);
+
+  // Determine member type based on age
+  let memberType = 'adult';
+  if (dateOfBirth) {
+    const age = Math.floor((new Date() - dateOfBirth) / (365.25 * 24 * 60 * 60 * 1000));
+    if (age < 18) {
+      memberType = 'child';
+    }
+  }
+
+  return {
+    firstName: text('firstName'),
+    lastName: text('lastName'),
+    email: text('email').toLowerCase() || undefined, // undefined so mongoose won't set empty string
+    phone: text('phone') || undefined,
+    // Prefer the street-only field, fall back to the full address
+    address: text('street') || text('address') || undefined,
+    zipCode: text('zipCode') || text('altZipCode') || undefined,
+    notes: text('notes') || undefined,
+    joinedAt: joinedAt || new Date(),
+    dateOfBirth: dateOfBirth || undefined,
+    memberType
+  };
+}
+
+/**
+ * Parse a Knack export: JSON ({records: [...]} or an array) or CSV
+ * @param {String} content - File content
+ * @returns {{format: String, records: Array}}
+ */
+function parseKnackExport(content) {
+  const text = content.replace(/^\uFEFF/, '').trim();
+
+  if (text.startsWith('{') || text.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(text);
     } catch (err) {
-      results.failed++;
-      results.errors.push({ row: i + 2, data: row, error: err.message });
+      throw new Error(`JSON parsing failed: ${err.message}`);
     }
+    const records = Array.isArray(data) ? data : data.records;
+    if (!Array.isArray(records)) {
+      throw new Error('No records found in the Knack export');
+    }
+    return { format: 'json', records };
   }
 
-  return results;
+  return { format: 'csv', records: parseCSV(text) };
 }
 
 /**
- * Import donations from CSV
- * @param {Array} rows - Parsed CSV rows
- * @param {ObjectId} userId - User performing import
- * @returns {Object} Import results
+ * Start and end of the day a date falls on, as a query
+ * @param {Date} date
+ * @returns {Object}
  */
-async function importDonations(rows, userId) {
-  const results = { successful: 0, failed: 0, errors: [], importedRecords: [] };
+function sameDay(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return { $gte: start, $lte: end };
+}
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
+/**
+ * Match the person on a Knack visit or checkout to a member
+ * @param {*} value - Connection field value
+ * @param {Object} context - members (identifier → member cache for this run)
+ * @returns {Promise<{identifier: String, member: Object|null, error: String|null}>}
+ */
+async function matchPerson(value, context) {
+  // A connection can list several records; the first is the person
+  const identifier = knackText(Array.isArray(value) ? value[0] : value);
+  const parsed = parseIdentifier(identifier);
+  if (!parsed || !parsed.firstName) {
+    return { identifier, member: null, error: 'No person on this record' };
+  }
 
-    try {
-      const validation = validateRow(row, 'donations');
-      if (!validation.valid) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: validation.errors.join(', ') });
-        continue;
-      }
+  if (!context.members.has(identifier)) {
+    context.members.set(identifier, await findMember(parsed));
+  }
+  const member = context.members.get(identifier);
+  return { identifier, member, error: member ? null : `No member matches "${identifier}"` };
+}
 
-      const member = await Member.findOne({ email: row.memberEmail.toLowerCase() });
-      if (!member) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: `Member not found: ${row.memberEmail}` });
-        continue;
-      }
+/**
+ * What importing one Knack record would do
+ * Every plan has a display row; plus errors (invalid), skip (reason it won't
+ * be imported) or model + data (the record to create).
+ * @typedef {Object} KnackPlan
+ */
 
-      const donationData = {
-        member: member._id,
-        donatedAt: new Date(row.donatedAt),
-        numberOfBooks: parseInt(row.numberOfBooks),
-        condition: row.condition || undefined,
-        genres: row.genres ? row.genres.split(',').map(g => g.trim()) : []
-      };
+/**
+ * Plan a Knack person record
+ * @param {Object} record
+ * @param {Object} context - seen (keys planned earlier in this run)
+ * @returns {Promise<KnackPlan>}
+ */
+async function planKnackMember(record, context) {
+  const data = mapKnackMember(record);
+  const display = {
+    name: `${data.firstName} ${data.lastName}`.trim(),
+    email: data.email || '',
+    memberType: data.memberType,
+    joinedAt: data.joinedAt.toLocaleDateString()
+  };
 
-      const donation = await Donation.create(donationData);
+  const errors = [];
+  if (!data.firstName && !data.lastName) errors.push('Missing first and last name');
+  if (data.email && !isValidEmail(data.email)) errors.push('Invalid email format');
+  if (errors.length > 0) return { display, errors };
 
-      results.successful++;
-      results.importedRecords.push({ model: 'Donation', recordId: donation._id });
-    } catch (err) {
-      results.failed++;
-      results.errors.push({ row: i + 2, data: row, error: err.message });
+  if (data.email) {
+    if (context.seen.has(data.email) || await Member.findOne({ email: data.email })) {
+      return { display, skip: 'A member with this email already exists' };
     }
+    context.seen.add(data.email);
   }
 
-  return results;
+  data.firstName = data.firstName || 'Unknown';
+  data.lastName = data.lastName || 'Unknown';
+  return { display, model: 'Member', data };
 }
 
 /**
- * Import programs from CSV
- * @param {Array} rows - Parsed CSV rows
- * @param {ObjectId} userId - User performing import
- * @returns {Object} Import results
+ * Plan a Knack book checkout record
+ * @param {Object} record
+ * @param {Object} context - members, seen
+ * @returns {Promise<KnackPlan>}
  */
-async function importPrograms(rows, userId) {
-  const results = { successful: 0, failed: 0, errors: [], importedRecords: [] };
+async function planKnackCheckout(record, context) {
+  const { fields } = KNACK_IMPORTS.checkouts;
+  const number = name => safeNumber(knackText(knackValue(record, fields[name])));
+
+  const person = await matchPerson(knackValue(record, fields.person), context);
+  const checkoutDate = knackDate(knackValue(record, fields.checkoutDate));
+  const bookCategories = {};
+  ['blackAuthorAdult', 'adult', 'blackAuthorKids', 'kids', 'boardBooks'].forEach(category => {
+    bookCategories[category] = { quantity: number(category) };
+  });
+  const numberOfBooks = number('totalBooks') ||
+    Object.values(bookCategories).reduce((sum, category) => sum + category.quantity, 0);
+
+  const display = {
+    person: person.identifier,
+    member: person.member ? `${person.member.firstName} ${person.member.lastName}` : '',
+    checkoutDate: checkoutDate ? checkoutDate.toLocaleDateString() : '',
+    numberOfBooks,
+    totalWeight: number('totalWeight')
+  };
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
+  const errors = [];
+  if (person.error) errors.push(person.error);
+  if (!checkoutDate) errors.push('Missing or invalid date');
+  if (errors.length > 0) return { display, errors };
 
-    try {
-      const validation = validateRow(row, 'programs');
-      if (!validation.valid) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: validation.errors.join(', ') });
-        continue;
-      }
+  if (numberOfBooks === 0) {
+    return { display, skip: 'No books' };
+  }
 
-      // Check if program already exists
-      const existing = await Program.findOne({ name: row.name });
-      if (existing) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: 'Program with this name already exists' });
-        continue;
-      }
+  // Same member, same day, same book count means it was imported before
+  const key = `checkout:${person.member._id}:${checkoutDate.toDateString()}:${numberOfBooks}`;
+  if (context.seen.has(key) || await Checkout.findOne({
+    member: person.member._id,
+    checkoutDate: sameDay(checkoutDate),
+    numberOfBooks
+  })) {
+    return { display, skip: 'Already imported' };
+  }
+  context.seen.add(key);
 
-      const programData = {
-        name: row.name.trim(),
-        description: row.description || undefined,
-        templateType: row.templateType || 'custom',
-        active: row.active === 'true' || row.active === '1' || row.active === 'yes'
-      };
+  return {
+    display,
+    model: 'Checkout',
+    data: {
+      member: person.member._id,
+      checkoutDate,
+      bookCategories,
+      totalWeight: number('totalWeight'),
+      numberOfBooks,
+      notes: record.id ? `Imported from Knack (ID: ${record.id})` : 'Imported from Knack'
+    }
+  };
+}
 
-      const program = await Program.create(programData);
+/**
+ * Plan a Knack visitor check-in record
+ * @param {Object} record
+ * @param {Object} context - members, seen
+ * @returns {Promise<KnackPlan>}
+ */
+async function planKnackVisit(record, context) {
+  const { fields } = KNACK_IMPORTS.visits;
+
+  const person = await matchPerson(knackValue(record, fields.person), context);
+  const visitDate = knackDate(knackValue(record, fields.visitDate));
+  const time = knackTime(knackValue(record, fields.visitTime));
+  if (visitDate && time) {
+    visitDate.setHours(time.hours, time.minutes, 0, 0);
+  }
 
-      results.successful++;
-      results.importedRecords.push({ model: 'Program', recordId: program._id });
-    } catch (err) {
-      results.failed++;
-      results.errors.push({ row: i + 2, data: row, error: err.message });
+  const display = {
+    person: person.identifier,
+    member: person.member ? `${person.member.firstName} ${person.member.lastName}` : '',
+    visitDate: visitDate ? visitDate.toLocaleString() : ''
+  };
+
+  const errors = [];
+  if (person.error) errors.push(person.error);
+  if (!visitDate) errors.push('Missing or invalid date');
+  if (errors.length > 0) return { display, errors };
+
+  // One visit per member per day
+  const key = `visit:${person.member._id}:${visitDate.toDateString()}`;
+  if (context.seen.has(key) || await Visit.findOne({
+    member: person.member._id,
+    visitDate: sameDay(visitDate)
+  })) {
+    return { display, skip: 'Already has a visit that day' };
+  }
+  context.seen.add(key);
+
+  return {
+    display,
+    model: 'Visit',
+    data: {
+      member: person.member._id,
+      visitDate,
+      purpose: 'Library Visit',
+      notes: record.id ? `Imported from Knack (ID: ${record.id})` : 'Imported from Knack'
     }
+  };
+}
+
+const KNACK_PLANNERS = {
+  members: planKnackMember,
+  checkouts: planKnackCheckout,
+  visits: planKnackVisit
+};
+
+/**
+ * Plan every record in a Knack export
+ * @param {String} content - File content
+ * @param {String} importType - members, checkouts or visits
+ * @returns {Promise<Array<KnackPlan>>} Plans, each with its row number
+ */
+async function planKnackImport(content, importType) {
+  const planner = KNACK_PLANNERS[importType];
+  if (!planner) {
+    throw new Error('Unsupported Knack import type');
   }
 
-  return results;
+  const { format, records } = parseKnackExport(content);
+  const context = { members: new Map(), seen: new Set() };
+  const plans = [];
+
+  for (let i = 0; i < records.length; i++) {
+    plans.push(await planKnackRecord(planner, records, i, format, context));
+  }
+
+  return plans;
 }
 
 /**
- * Import attendees from CSV
- * @param {Array} rows - Parsed CSV rows
- * @param {ObjectId} userId - User performing import
- * @returns {Object} Import results
+ * Plan one record of a Knack export
+ * CSV rows are numbered as in a spreadsheet (header is row 1), JSON
+ * records from 1.
+ * @param {Function} planner - From KNACK_PLANNERS
+ * @param {Array} records - Every record in the export
+ * @param {Number} index
+ * @param {String} format - json or csv
+ * @param {Object} context - Shared by the whole run
+ * @returns {Promise<KnackPlan>} Plan with its row number
  */
-async function importAttendees(rows, userId) {
-  const results = { successful: 0, failed: 0, errors: [], importedRecords: [] };
+async function planKnackRecord(planner, records, index, format, context) {
+  const row = format === 'csv' ? index + 2 : index + 1;
+  try {
+    return { row, ...await planner(records[index], context) };
+  } catch (err) {
+    return { row, display: { id: records[index].id || '' }, errors: [err.message] };
+  }
+}
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
+/**
+ * Preview a Knack import
+ * Matches people and checks for earlier imports without saving anything
+ * @param {String} content - Knack JSON or CSV export
+ * @param {String} importType - members, checkouts or visits
+ * @returns {Promise<Object>} Preview results (same shape as previewImport, plus skipped rows)
+ */
+async function previewKnackImport(content, importType) {
+  const plans = await planKnackImport(content, importType);
+  const preview = {
+    totalRows: plans.length,
+    validRows: 0,
+    invalidRows: 0,
+    skippedRows: 0,
+    errors: [],
+    skipped: [],
+    sample: [],
+    columns: plans.length > 0 ? Object.keys(plans[0].display) : []
+  };
 
-    try {
-      const validation = validateRow(row, 'attendees');
-      if (!validation.valid) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: validation.errors.join(', ') });
-        continue;
+  plans.forEach(plan => {
+    if (plan.errors) {
+      preview.invalidRows++;
+      preview.errors.push({ row: plan.row, errors: plan.errors, data: plan.display });
+    } else if (plan.skip) {
+      preview.skippedRows++;
+      preview.skipped.push({ row: plan.row, reason: plan.skip, data: plan.display });
+    } else {
+      preview.validRows++;
+      if (preview.sample.length < 5) preview.sample.push(plan.display);
+    }
+  });
+
+  return preview;
+}
+
+// ─── Import jobs ────────────────────────────────────────────────────────────
+//
+// An upload is saved on its ImportHistory (status "pending") and a worker
+// loop started from server.js runs it, so a large file doesn't have to
+// finish inside the request:
+//
+//   1. The worker claims the next pending import (atomic findOneAndUpdate)
+//   2. Rows are planned and written BATCH_SIZE at a time - new records with
+//      one insertMany per batch. Each record is noted on the history before
+//      it is written, and processedRows moves on once the batch is done.
+//   3. Between batches the worker sends a heartbeat (lockedAt). A cancel
+//      from the history page is noticed there: the import stops after the
+//      current batch and what it wrote so far can still be rolled back.
+//   4. An import whose worker stopped (e.g. the server restarted) is claimed
+//      again once its lock is older than STALE_LOCK_MS. The batch it was in
+//      the middle of is undone and the import carries on from processedRows.
+
+const BATCH_SIZE = 200;
+const POLL_INTERVAL_MS = 30 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * What one row of a running import does, whatever its source
+ * @typedef {Object} ImportStep
+ * @property {Number} row - Row number shown to staff
+ * @property {Object} data - The row, kept with its error
+ * @property {String} action - create, update, skip or error
+ * @property {Object} model - Model the row writes
+ * @property {Object} values - New record's fields (create)
+ * @property {Object} existing - Matched record (update)
+ * @property {Array} changes - Field changes (update)
+ * @property {String} error - Why the row failed (error)
+ * @property {Array<String>} keys - Records the row writes
+ * @property {Array<String>} needs - Records the row looks up
+ */
+
+/**
+ * Read an import's file and get ready to plan its rows in order
+ * Throws if the file can't be read, before anything is written.
+ * @param {Object} importHistory - source, importType, mode, matchKey, fileContent
+ * @returns {{totalRows: Number, rowNumber: Function, plan: Function}}
+ *   rowNumber(index) and plan(index) → Promise<ImportStep>
+ */
+function openImport(importHistory) {
+  const { importType, fileContent } = importHistory;
+
+  if (importHistory.source === 'knack') {
+    const planner = KNACK_PLANNERS[importType];
+    if (!planner) {
+      throw new Error('Unsupported Knack import type');
+    }
+    const { format, records } = parseKnackExport(fileContent);
+    const context = { members: new Map(), seen: new Set() };
+
+    return {
+      totalRows: records.length,
+      rowNumber: index => (format === 'csv' ? index + 2 : index + 1),
+      async plan(index) {
+        const plan = await planKnackRecord(planner, records, index, format, context);
+        const step = { row: plan.row, data: plan.display, keys: [], needs: [] };
+        if (plan.errors) return { ...step, action: 'error', error: plan.errors.join(', ') };
+        if (plan.skip) return { ...step, action: 'skip' };
+        return { ...step, action: 'create', model: KNACK_MODELS[plan.model], values: plan.data };
       }
+    };
+  }
+
+  if (!CSV_IMPORTS[importType]) {
+    throw new Error('Unsupported import type');
+  }
+  const options = { mode: importHistory.mode || 'create', matchKey: importHistory.matchKey };
+  resolveMatchKey(importType, options);
+  const rows = parseNumberedCSV(fileContent);
+
+  return {
+    totalRows: rows.length,
+    rowNumber: index => (index < rows.length ? rows[index].row : Infinity),
+    plan: index => planCsvStep(rows[index].data, rows[index].row, importType, options)
+  };
+}
+
+/**
+ * Plan the next batch of rows
+ * A row that writes or looks up a record an earlier row in the batch writes
+ * ends the batch, so it's planned again once that row is saved.
+ * @param {Object} reader - From openImport
+ * @param {Number} start - Index of the first row
+ * @param {Number} batchSize
+ * @returns {Promise<Array<ImportStep>>} At least one step
+ */
+async function planBatch(reader, start, batchSize) {
+  const steps = [];
+  const keys = new Set();
+
+  for (let index = start; index < reader.totalRows && steps.length < batchSize; index++) {
+    const step = await reader.plan(index);
+    if (steps.length > 0 && [...step.keys, ...step.needs].some(key => keys.has(key))) break;
+    step.keys.forEach(key => keys.add(key));
+    steps.push(step);
+  }
+
+  return steps;
+}
+
+/**
+ * Insert new records in one round trip
+ * @param {Object} Model
+ * @param {Array<Object>} docs - Unsaved documents
+ * @returns {Promise<Array<String|null>>} Each document's error, or null if it was saved
+ */
+async function insertAll(Model, docs) {
+  try {
+    await Model.insertMany(docs, { ordered: false, throwOnValidationError: true });
+    return docs.map(() => null);
+  } catch (err) {
+    // Anything but a per-document failure (e.g. lost connection) stops the import
+    if (!Array.isArray(err.results)) throw err;
+
+    return err.results.map((result, i) => {
+      if (result === docs[i]) return null;
+      if (result instanceof Error) return result.message;
+      return (result.err && result.err.errmsg) || result.errmsg || 'Insert failed';
+    });
+  }
+}
+
+/**
+ * Write one batch and count it on the import's stats
+ * @param {Object} importHistory - ImportHistory document
+ * @param {Array<ImportStep>} steps
+ */
+async function writeBatch(importHistory, steps) {
+  const { stats } = importHistory;
+  const creates = steps.filter(step => step.action === 'create');
+  const updates = steps.filter(step => step.action === 'update');
+
+  // Note every record before it's written, so a restart mid-batch can undo it
+  creates.forEach(step => {
+    step.doc = new step.model(step.values);
+    importHistory.importedRecords.push({ row: step.row, model: step.model.modelName, recordId: step.doc._id, action: 'created' });
+    step.record = importHistory.importedRecords[importHistory.importedRecords.length - 1];
+  });
+  updates.forEach(step => {
+    // Keep the old values so a rollback can put them back
+    const previous = {};
+    step.changes.forEach(change => {
+      const from = change.from && typeof change.from.toObject === 'function' ? change.from.toObject() : change.from;
+      previous[change.field] = from === undefined ? null : from;
+    });
+    importHistory.importedRecords.push({ row: step.row, model: step.model.modelName, recordId: step.existing._id, action: 'updated', previous });
+    step.record = importHistory.importedRecords[importHistory.importedRecords.length - 1];
+  });
+  if (creates.length > 0 || updates.length > 0) {
+    await importHistory.save();
+  }
+
+  const fail = (step, error) => {
+    stats.failed++;
+    importHistory.errors.push({ row: step.row, data: step.data, error });
+  };
+  const forget = step => importHistory.importedRecords.pull(step.record._id);
+
+  steps.forEach(step => {
+    if (step.action === 'error') fail(step, step.error);
+    if (step.action === 'skip') stats.skipped++;
+  });
 
-      // Find program
-      const program = await Program.findOne({ name: row.programName });
-      if (!program) {
-        results.failed++;
-        results.errors.push({ row: i + 2, data: row, error: `Program not found: ${row.programName}` });
+  const byModel = new Map();
+  creates.forEach(step => byModel.set(step.model, [...(byModel.get(step.model) || []), step]));
+  for (const [Model, group] of byModel) {
+    const errors = await insertAll(Model, group.map(step => step.doc));
+    for (let i = 0; i < group.length; i++) {
+      const step = group[i];
+      if (errors[i]) {
+        forget(step);
+        fail(step, errors[i]);
         continue;
       }
 
-      // Find parent if provided
-      let parent = null;
-      if (row.parentEmail && row.parentEmail !== '') {
-        parent = await Member.findOne({ email: row.parentEmail.toLowerCase() });
+      try {
+        if (step.afterCreate) {
+          await step.afterCreate(step.doc);
+        }
+        stats.successful++;
+        stats.created++;
+      } catch (err) {
+        // The record was saved, so it stays on the import for rollback
+        fail(step, err.message);
       }
+    }
+  }
 
-      const attendeeData = {
-        program: program._id,
-        firstName: row.firstName.trim(),
-        lastName: row.lastName.trim(),
-        grade: row.grade || undefined,
-        dateOfBirth: row.dateOfBirth ? new Date(row.dateOfBirth) : undefined,
-        school: row.school || undefined,
-        email: row.email || undefined,
-        phone: row.phone || undefined,
-        parentMember: parent?._id || undefined
-      };
+  for (const step of updates) {
+    try {
+      step.changes.forEach(change => step.existing.set(change.field, change.to));
+      await step.existing.save();
+      stats.successful++;
+      stats.updated++;
+    } catch (err) {
+      forget(step);
+      fail(step, err.message);
+    }
+  }
+}
 
-      const attendee = await Attendee.create(attendeeData);
+/**
+ * Delete or restore imported records
+ * Goes newest first, so a record a file touched twice ends up as it was
+ * before the import.
+ * @param {Array<Object>} records - importedRecords entries
+ * @returns {Promise<Object>} deleted, restored, errors
+ */
+async function undoRecords(records) {
+  const results = { deleted: 0, restored: 0, errors: [] };
 
-      // Auto-sync to member if program is classroom type
-      if (program.templateType === 'classroom' && program.classroomSettings?.autoSyncAttendees) {
-        const { syncAttendeeToMember } = require('./classroomTemplates');
-        await syncAttendeeToMember(attendee, parent?._id);
-      }
+  for (const record of [...records].reverse()) {
+    try {
+      const Model = require(`../models/${record.model}`);
 
-      results.successful++;
-      results.importedRecords.push({ model: 'Attendee', recordId: attendee._id });
+      if (record.action === 'updated') {
+        const doc = await Model.findById(record.recordId);
+        if (!doc) {
+          throw new Error('Record no longer exists');
+        }
+        Object.entries(record.previous || {}).forEach(([field, value]) => {
+          doc.set(field, value === null ? undefined : value);
+        });
+        await doc.save();
+        results.restored++;
+      } else if (await Model.findByIdAndDelete(record.recordId)) {
+        results.deleted++;
+      }
     } catch (err) {
-      results.failed++;
-      results.errors.push({ row: i + 2, data: row, error: err.message });
+      results.errors.push({ model: record.model, recordId: record.recordId, error: err.message });
     }
   }
 
@@ -477,74 +1563,195 @@ async function importAttendees(rows, userId) {
 }
 
 /**
- * Execute full import
- * @param {String} csvContent - Raw CSV content
- * @param {String} importType - Type of import
- * @param {ObjectId} userId - User performing import
- * @param {String} fileName - Original filename
- * @returns {Object} Import history document
+ * Undo the batch an import was in the middle of when its worker stopped
+ * Its records were noted but its progress wasn't saved, so the batch runs
+ * again from the start.
+ * @param {Object} importHistory - ImportHistory document
+ * @param {Number} firstRow - Row number of the first unprocessed row
+ */
+async function undoInterruptedBatch(importHistory, firstRow) {
+  const interrupted = importHistory.importedRecords.filter(record => record.row >= firstRow);
+  if (interrupted.length === 0) return;
+
+  const results = await undoRecords(interrupted);
+  if (results.errors.length > 0) {
+    throw new Error(`Couldn't undo the interrupted batch: ${results.errors[0].error}`);
+  }
+
+  interrupted.forEach(record => importHistory.importedRecords.pull(record._id));
+  await importHistory.save();
+}
+
+/**
+ * Run a claimed import to the end, or until it is cancelled
+ * @param {Object} importHistory - ImportHistory in "processing" status, with fileContent
+ * @param {Object} options
+ * @param {Number} options.batchSize - Rows per batch (default 200)
+ * @returns {Promise<Object>} Import history document
  */
-async function executeImport(csvContent, importType, userId, fileName = 'upload.csv') {
-  // Create import history record
-  const importHistory = await ImportHistory.create({
+async function runImport(importHistory, options = {}) {
+  const batchSize = options.batchSize || BATCH_SIZE;
+  const reader = openImport(importHistory);
+  importHistory.stats.totalRows = reader.totalRows;
+
+  const done = async status => {
+    importHistory.status = status;
+    importHistory.completedAt = importHistory.completedAt || new Date();
+    importHistory.lockedAt = undefined;
+    importHistory.fileContent = undefined;
+    await importHistory.save();
+    return importHistory;
+  };
+
+  let index = importHistory.processedRows || 0;
+  await undoInterruptedBatch(importHistory, reader.rowNumber(index));
+
+  while (index < reader.totalRows) {
+    // Heartbeat - also how a cancel from the history page is noticed
+    const stillRunning = await ImportHistory.findOneAndUpdate(
+      { _id: importHistory._id, status: 'processing' },
+      { $set: { lockedAt: new Date() } }
+    );
+    if (!stillRunning) {
+      return done('cancelled');
+    }
+
+    const steps = await planBatch(reader, index, batchSize);
+    await writeBatch(importHistory, steps);
+
+    index += steps.length;
+    importHistory.processedRows = index;
+    await importHistory.save();
+  }
+
+  return done('completed');
+}
+
+/**
+ * Mark an import failed
+ * Records it wrote before failing stay on it, for rollback.
+ * @param {ObjectId} importHistoryId
+ * @param {Error} err
+ */
+async function failImport(importHistoryId, err) {
+  await ImportHistory.updateOne({ _id: importHistoryId }, {
+    $set: { status: 'failed', completedAt: new Date() },
+    $unset: { lockedAt: 1, fileContent: 1 },
+    $push: { errors: { row: 0, error: err.message } }
+  });
+}
+
+/**
+ * Create an import's history with its file
+ * Reads the file first, so one that can't be imported is rejected straight away.
+ * @param {String} content - File content
+ * @param {String} importType
+ * @param {ObjectId} userId
+ * @param {String} fileName
+ * @param {Object} options - source, mode, matchKey, notes
+ * @param {String} status - pending (queued) or processing (run by the caller)
+ * @returns {Promise<Object>} Import history document
+ */
+async function createImport(content, importType, userId, fileName, { source = 'csv', mode = 'create', matchKey = null, notes }, status) {
+  const settings = {
     importType,
+    source,
+    mode: source === 'csv' ? mode : 'create',
+    matchKey: source === 'csv' && mode !== 'create' ? matchKey : undefined
+  };
+  const { totalRows } = openImport({ ...settings, fileContent: content });
+
+  return ImportHistory.create({
+    ...settings,
     importedBy: userId,
-    source: 'csv',
     fileName,
-    status: 'processing'
+    fileContent: content,
+    notes,
+    stats: { totalRows },
+    status,
+    lockedAt: status === 'processing' ? new Date() : undefined
   });
+}
 
-  try {
-    // Parse CSV
-    const rows = parseCSV(csvContent);
-    importHistory.stats.totalRows = rows.length;
-
-    // Execute import based on type
-    let results;
-    switch (importType) {
-      case 'members':
-        results = await importMembers(rows, userId);
-        break;
-      case 'checkouts':
-        results = await importCheckouts(rows, userId);
-        break;
-      case 'donations':
-        results = await importDonations(rows, userId);
-        break;
-      case 'programs':
-        results = await importPrograms(rows, userId);
-        break;
-      case 'attendees':
-        results = await importAttendees(rows, userId);
-        break;
-      default:
-        throw new Error('Unsupported import type');
-    }
-
-    // Update import history
-    importHistory.stats.successful = results.successful;
-    importHistory.stats.failed = results.failed;
-    importHistory.errors = results.errors;
-    importHistory.importedRecords = results.importedRecords;
-    importHistory.status = 'completed';
-    importHistory.completedAt = new Date();
+/**
+ * Queue an import for the worker
+ * @param {String} content - Raw CSV content (or a Knack JSON/CSV export)
+ * @param {String} importType - Type of import
+ * @param {ObjectId} userId - User performing import
+ * @param {String} fileName - Original filename
+ * @param {Object} options
+ * @param {String} options.source - 'csv' (our templates) or 'knack'
+ * @param {String} options.mode - CSV only: create, update or upsert
+ * @param {String} options.matchKey - CSV only: how rows find existing records in the update modes
+ * @param {String} options.notes - Shown on the import's history page
+ * @returns {Promise<Object>} Import history document, status "pending"
+ */
+async function queueImport(content, importType, userId, fileName = 'upload.csv', options = {}) {
+  const importHistory = await createImport(content, importType, userId, fileName, options, 'pending');
+  kick();
+  return importHistory;
+}
 
-    await importHistory.save();
+/**
+ * Run an import right away, without the worker (scripts)
+ * Same arguments as queueImport.
+ * @returns {Promise<Object>} Import history document
+ */
+async function executeImport(content, importType, userId, fileName = 'upload.csv', options = {}) {
+  const importHistory = await createImport(content, importType, userId, fileName, options, 'processing');
 
-    return importHistory;
+  try {
+    return await runImport(importHistory);
   } catch (err) {
-    importHistory.status = 'failed';
-    importHistory.errors.push({ row: 0, error: err.message });
-    importHistory.completedAt = new Date();
-    await importHistory.save();
-
+    await failImport(importHistory._id, err);
     throw err;
   }
 }
 
+/**
+ * Cancel a queued or running import
+ * A running import stops after its current batch.
+ * @param {ObjectId} importHistoryId
+ * @returns {Promise<Object>} The updated import history
+ */
+async function cancelImport(importHistoryId) {
+  const importHistory = await ImportHistory.findOneAndUpdate(
+    { _id: importHistoryId, status: { $in: ['pending', 'processing'] } },
+    { $set: { status: 'cancelled', completedAt: new Date() } },
+    { new: true }
+  );
+  if (!importHistory) {
+    throw new Error('Only queued or running imports can be cancelled');
+  }
+  return importHistory;
+}
+
+/**
+ * How far along an import is, for the progress bar
+ * @param {ObjectId} importHistoryId
+ * @returns {Promise<Object|null>} status, totalRows, processedRows, stats and the latest errors
+ */
+async function getImportProgress(importHistoryId) {
+  const importHistory = await ImportHistory.findById(importHistoryId)
+    .select('status stats processedRows completedAt')
+    .slice('errors', -5)
+    .lean();
+  if (!importHistory) return null;
+
+  return {
+    status: importHistory.status,
+    totalRows: importHistory.stats.totalRows,
+    processedRows: importHistory.processedRows || 0,
+    stats: importHistory.stats,
+    recentErrors: (importHistory.errors || []).map(err => ({ row: err.row, error: err.error })),
+    completedAt: importHistory.completedAt
+  };
+}
+
 /**
  * Rollback an import
- * Deletes all records created during the import
+ * Deletes the records the import created and puts back the old values of
+ * the ones it updated.
  * @param {ObjectId} importHistoryId - Import history ID
  * @returns {Object} Rollback results
  */
@@ -557,23 +1764,107 @@ async function rollbackImport(importHistoryId) {
   if (importHistory.status === 'rolled_back') {
     throw new Error('Import already rolled back');
   }
+  if (['pending', 'processing'].includes(importHistory.status)) {
+    throw new Error('Cancel the import before rolling it back');
+  }
 
-  const results = { deleted: 0, errors: [] };
+  const results = await undoRecords(importHistory.importedRecords);
 
-  for (const record of importHistory.importedRecords) {
+  importHistory.status = 'rolled_back';
+  await importHistory.save();
+
+  return results;
+}
+
+/**
+ * Atomically claim the next queued import
+ * Also reclaims imports whose worker stopped sending a heartbeat.
+ * @returns {Promise<Object|null>} With its fileContent
+ */
+function claimNext() {
+  const now = new Date();
+  return ImportHistory.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', lockedAt: now } },
+    { sort: { startedAt: 1 }, new: true }
+  ).select('+fileContent');
+}
+
+/**
+ * Run every queued import
+ * @returns {Promise<Number>} Imports processed
+ */
+async function processDue() {
+  let processed = 0;
+  let importHistory;
+  while ((importHistory = await claimNext())) {
     try {
-      const Model = require(`../models/${record.model}`);
-      await Model.findByIdAndDelete(record.recordId);
-      results.deleted++;
+      await runImport(importHistory);
     } catch (err) {
-      results.errors.push({ model: record.model, recordId: record.recordId, error: err.message });
+      console.error(`❌ Import ${importHistory._id} failed:`, err.message);
+      await failImport(importHistory._id, err);
     }
+    processed++;
   }
+  return processed;
+}
 
-  importHistory.status = 'rolled_back';
-  await importHistory.save();
+// ─── Worker Loop ────────────────────────────────────────────────────────────
 
-  return results;
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass of the worker unless one is already running
+ */
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await processDue();
+  } catch (err) {
+    console.error('Import worker error:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start queued imports straight away instead of waiting for the next poll
+ */
+function kick() {
+  if (timer) setImmediate(tick);
+}
+
+/**
+ * Start the worker loop
+ * @param {Object} options
+ * @param {Number} options.intervalMs - Poll interval (default 30s)
+ * @returns {Boolean} Whether the worker started
+ */
+function start(options = {}) {
+  if (timer) return true;
+
+  timer = setInterval(tick, options.intervalMs || POLL_INTERVAL_MS);
+  timer.unref();
+  setImmediate(tick);
+  console.log('📥 Import worker started');
+  return true;
+}
+
+/**
+ * Stop the worker loop
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
 }
 
 // Helper functions
@@ -589,14 +1880,27 @@ function isValidDate(dateString) {
 
 module.exports = {
   CSV_TEMPLATES,
+  KNACK_IMPORTS,
   parseCSV,
+  spreadsheetToCSV,
   validateRow,
   previewImport,
+  parseIdentifier,
+  findMember,
+  mapKnackMember,
+  parseKnackExport,
+  previewKnackImport,
+  IMPORT_MODES,
+  CSV_IMPORTS,
+  planRow,
+  runImport,
+  queueImport,
   executeImport,
+  cancelImport,
+  getImportProgress,
   rollbackImport,
-  importMembers,
-  importCheckouts,
-  importDonations,
-  importPrograms,
-  importAttendees
+  claimNext,
+  processDue,
+  start,
+  stop
 };
@@ -0,0 +1,325 @@
+// services/emailQueue.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// OUTBOUND EMAIL QUEUE
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Route handlers used to fire thank-you emails as un-awaited promises, so an
+// SMTP hiccup or a restart lost the email for good. Now they enqueue an
+// EmailJob instead, and a worker loop (started from server.js) sends it:
+//
+//   1. enqueue() saves the job and nudges the worker so it goes out right away
+//   2. The worker claims due jobs one at a time (atomic findOneAndUpdate, so
+//      two app instances never send the same job)
+//   3. A failed send is rescheduled with exponential backoff:
+//      1 min, 2 min, 4 min, 8 min ... capped at 6 hours
+//   4. After maxAttempts the job is "dead" until an admin retries it from
+//      /admin/email-logs
+//
+// Jobs claimed by a process that died mid-send are picked up again once
+// their lock is older than STALE_LOCK_MS.
+//
+// Optional emails (welcome, visitor check-in) are only queued while their
+// template is enabled.
+//
+// Every attempt still writes an EmailLog row; its metadata.emailJobId links
+// the row back to the job.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const EmailJob = require('../models/EmailJob');
+const EmailTemplate = require('../models/EmailTemplate');
+const mailer = require('./mailer');
+const receipts = require('./receipts');
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const POLL_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+
+// Job kinds that are only sent while their template is enabled
+const OPTIONAL_KINDS = ['welcome_member', 'visitor_checkin'];
+
+// ─── Handlers ───────────────────────────────────────────────────────────────
+// One per job kind. Each returns the mailer's {success, error} result.
+
+const HANDLERS = {
+  checkout_thank_you: job => mailer.sendCheckoutThankYouEmail(job.recipient, job.payload.firstName, {
+    ...job.payload.details,
+    emailJobId: job._id.toString()
+  }),
+
+  // The receipt PDF is generated at send time rather than stored on the job.
+  // If it can't be generated the thank-you still goes out without it.
+  donation_thank_you: async job => {
+    const { donorName, details } = job.payload;
+
+    const receipt = await receipts.generateReceipt(details.donationId).catch(err => {
+      console.error('Receipt generation failed (non-critical):', err.message);
+      return null;
+    });
+
+    return mailer.sendDonationThankYouEmail(job.recipient, donorName, {
+      ...details,
+      receiptNumber: receipt ? receipt.donation.receiptNumber : undefined,
+      attachments: receipt
+        ? [{ filename: receipt.filename, content: receipt.buffer, contentType: 'application/pdf' }]
+        : [],
+      emailJobId: job._id.toString()
+    });
+  },
+
+  welcome_member: job => mailer.sendWelcomeEmail(job.recipient, job.payload.memberName, {
+    ...job.payload.details,
+    emailJobId: job._id.toString()
+  }),
+
+  visitor_checkin: job => mailer.sendVisitorCheckinEmail(job.recipient, job.payload.visitorName, {
+    ...job.payload.details,
+    emailJobId: job._id.toString()
+  }),
+
+  templated: job => {
+    const { templateKey, placeholderData, metadata, fallback } = job.payload;
+    return mailer.sendTemplatedEmail(
+      templateKey,
+      job.recipient,
+      placeholderData,
+      { ...metadata, emailJobId: job._id.toString() },
+      fallback
+    );
+  }
+};
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * How long to wait before the next attempt
+ * @param {Number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {Number} Delay in milliseconds
+ */
+function backoffDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_MS);
+}
+
+// ─── Queue API ──────────────────────────────────────────────────────────────
+
+/**
+ * Queue an email to be sent by the worker
+ * @param {String} kind - Job kind (a key of HANDLERS)
+ * @param {String} recipient - Recipient email address
+ * @param {Object} payload - Plain-JSON arguments for the handler
+ * @param {Object} options
+ * @param {Number} options.maxAttempts - Attempts before the job is dead (default 5)
+ * @returns {Promise<Object|null>} The saved EmailJob, or null if the template is disabled
+ */
+async function enqueue(kind, recipient, payload, options = {}) {
+  if (!HANDLERS[kind]) {
+    throw new Error(`Unknown email job kind: ${kind}`);
+  }
+
+  if (OPTIONAL_KINDS.includes(kind) && !(await EmailTemplate.getByKey(kind))) {
+    return null;
+  }
+
+  const job = await EmailJob.create({
+    kind,
+    recipient,
+    payload,
+    ...(options.maxAttempts ? { maxAttempts: options.maxAttempts } : {})
+  });
+
+  kick();
+  return job;
+}
+
+/**
+ * Atomically claim the next due job
+ * @returns {Promise<Object|null>} The claimed job, or null if none are due
+ */
+function claimNext() {
+  const now = new Date();
+  return EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Send one claimed job and record the outcome
+ * @param {Object} job - Claimed EmailJob document
+ * @returns {Promise<String>} The job's new status
+ */
+async function processJob(job) {
+  let result;
+  try {
+    result = await HANDLERS[job.kind](job);
+  } catch (err) {
+    result = { success: false, error: err.message };
+  }
+
+  const now = new Date();
+  const update = { lockedAt: null, updatedAt: now };
+
+  if (result && result.success) {
+    update.status = 'sent';
+    update.sentAt = now;
+    update.lastError = null;
+  } else if (result && result.skipped) {
+    // Template was disabled after the job was queued - retrying won't help
+    update.status = 'skipped';
+    update.lastError = result.error;
+  } else {
+    update.lastError = (result && result.error) || 'Unknown error';
+    if (job.attempts >= job.maxAttempts) {
+      update.status = 'dead';
+      console.error(`❌ Email job ${job._id} (${job.kind} to ${job.recipient}) gave up after ${job.attempts} attempts: ${update.lastError}`);
+    } else {
+      update.status = 'pending';
+      update.nextAttemptAt = new Date(now.getTime() + backoffDelay(job.attempts));
+    }
+  }
+
+  await EmailJob.updateOne({ _id: job._id }, { $set: update });
+  return update.status;
+}
+
+/**
+ * Send every job that is due, up to a batch limit
+ * @param {Number} limit - Max jobs to process (default BATCH_SIZE)
+ * @returns {Promise<Number>} Jobs processed
+ */
+async function processDue(limit = BATCH_SIZE) {
+  let processed = 0;
+  while (processed < limit) {
+    const job = await claimNext();
+    if (!job) break;
+    await processJob(job);
+    processed++;
+  }
+  return processed;
+}
+
+/**
+ * Put a dead (or pending) job back in line to send now, with fresh attempts
+ * @param {ObjectId} jobId - EmailJob ID
+ * @returns {Promise<Object|null>} The updated job, or null if it can't be retried
+ */
+async function retryJob(jobId) {
+  const job = await EmailJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['dead', 'pending'] } },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+  if (job) kick();
+  return job;
+}
+
+/**
+ * Retry every dead job
+ * @returns {Promise<Number>} Jobs requeued
+ */
+async function retryAllFailed() {
+  const result = await EmailJob.updateMany(
+    { status: 'dead' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) kick();
+  return result.modifiedCount;
+}
+
+/**
+ * Job counts by status
+ * @returns {Promise<{pending: Number, processing: Number, sent: Number, skipped: Number, dead: Number}>}
+ */
+async function getQueueStats() {
+  const counts = await EmailJob.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const stats = { pending: 0, processing: 0, sent: 0, skipped: 0, dead: 0 };
+  counts.forEach(c => { stats[c._id] = c.count; });
+  return stats;
+}
+
+// ─── Worker Loop ────────────────────────────────────────────────────────────
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass of the worker unless one is already running
+ */
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await processDue();
+  } catch (err) {
+    console.error('Email queue worker error:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Process new jobs straight away instead of waiting for the next poll
+ */
+function kick() {
+  if (timer) setImmediate(tick);
+}
+
+/**
+ * Start the worker loop
+ * Does nothing if email isn't configured - jobs stay pending until it is.
+ * @param {Object} options
+ * @param {Number} options.intervalMs - Poll interval (default 30s)
+ * @returns {Boolean} Whether the worker started
+ */
+function start(options = {}) {
+  if (timer) return true;
+
+  if (!mailer.isEmailConfigured()) {
+    console.warn('⚠️  Email queue worker not started - email service not configured. Queued emails will wait.');
+    return false;
+  }
+
+  timer = setInterval(tick, options.intervalMs || POLL_INTERVAL_MS);
+  timer.unref();
+  setImmediate(tick);
+  console.log('📬 Email queue worker started');
+  return true;
+}
+
+/**
+ * Stop the worker loop
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  HANDLERS,
+  backoffDelay,
+  enqueue,
+  claimNext,
+  processJob,
+  processDue,
+  retryJob,
+  retryAllFailed,
+  getQueueStats,
+  start,
+  stop
+};
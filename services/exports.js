@@ -0,0 +1,276 @@
+// services/exports.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// LIST EXPORTS - CSV, JSON and Excel downloads of the list pages
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Every list page (donations, checkouts, visits, members, distributions,
+// organizations, traveling stops, sidewalk inventory) exports through here.
+// The route builds its usual query and hands it over with the list's column
+// definitions:
+//
+//   { key, header, value(row), type, width, optional }
+//
+// type is text (the default), date, datetime, number, integer, currency or
+// boolean; optional columns are left out unless asked for. Staff can pick
+// which columns to download (?columns=date,donor,books), and the same
+// definitions drive all three formats:
+//
+//   csv  - RFC 4180: CRLF line ends, fields with commas, quotes or line
+//          breaks quoted and quotes doubled, with a UTF-8 byte order mark so
+//          Excel opens names like "José" correctly
+//   json - { exportedAt, filters, <property>: [...], count }, one object per
+//          row keyed by column key
+//   xlsx - typed Excel columns (see utils/spreadsheet.js), plus any summary
+//          sheets the list defines, e.g. donations totalled per donor
+//
+// Rows are read through a database cursor and written as they arrive, so a
+// large export never sits in memory as a whole.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { once } = require('events');
+const spreadsheet = require('../utils/spreadsheet');
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: spreadsheet.XLSX_MIME_TYPE }
+};
+
+const BOM = '\uFEFF';
+
+// ─── Formatting ─────────────────────────────────────────────────────────────
+
+/**
+ * Quote a CSV field if it needs it (RFC 4180)
+ * @param {*} value
+ * @returns {String}
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A date as YYYY-MM-DD, or YYYY-MM-DD HH:MM for datetime columns
+ * Uses the calendar day and time here, like the Excel export.
+ * @param {Date} date - As returned by spreadsheet.typedValue
+ * @param {String} type - date or datetime
+ * @returns {String}
+ */
+function dateText(date, type) {
+  const iso = date.toISOString();
+  return type === 'date' ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * A value as CSV text
+ * @param {*} value
+ * @param {String} type - Column type
+ * @returns {String}
+ */
+function csvValue(value, type) {
+  const typed = spreadsheet.typedValue(value, type);
+  if (typed === null) return '';
+  if (typed instanceof Date) return dateText(typed, type);
+  if (type === 'currency' && typeof typed === 'number') return typed.toFixed(2);
+  return String(typed);
+}
+
+/**
+ * A value for a JSON export
+ * @param {*} value
+ * @param {String} type - Column type
+ * @returns {*}
+ */
+function jsonValue(value, type) {
+  if (type === 'boolean') return value === null || value === undefined ? null : Boolean(value);
+  const typed = spreadsheet.typedValue(value, type);
+  if (typed instanceof Date) return type === 'date' ? dateText(typed, type) : new Date(value).toISOString();
+  return typed;
+}
+
+// ─── Columns ────────────────────────────────────────────────────────────────
+
+/**
+ * The export format asked for, if it's one we make
+ * @param {String} format - e.g. req.query.format
+ * @returns {String|null} csv, json or xlsx
+ */
+function exportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(FORMATS, format) ? format : null;
+}
+
+/**
+ * The column keys asked for
+ * @param {String|Array<String>} requested - ?columns=a,b or ?columns=a&columns=b
+ * @returns {Array<String>}
+ */
+function requestedKeys(requested) {
+  if (!requested) return [];
+  return [].concat(requested).flatMap(keys => String(keys).split(',')).map(key => key.trim()).filter(Boolean);
+}
+
+/**
+ * Pick the columns to export, in the list's own order
+ * Unknown keys are ignored; with none asked for (or none known), the
+ * list's default columns are used.
+ * @param {Array<Object>} columns - Column definitions
+ * @param {String|Array<String>} requested - Column keys
+ * @returns {Array<Object>}
+ */
+function selectColumns(columns, requested) {
+  const keys = new Set(requestedKeys(requested));
+  const selected = columns.filter(column => keys.has(column.key));
+  return selected.length > 0 ? selected : columns.filter(column => !column.optional);
+}
+
+/**
+ * Columns for the export menu's checkboxes
+ * @param {Array<Object>} columns - Column definitions
+ * @param {String|Array<String>} requested - Column keys currently chosen
+ * @returns {Array<{key: String, header: String, selected: Boolean}>}
+ */
+function columnChoices(columns, requested) {
+  const selected = new Set(selectColumns(columns, requested).map(column => column.key));
+  return columns.map(column => ({ key: column.key, header: column.header, selected: selected.has(column.key) }));
+}
+
+// ─── Writing ────────────────────────────────────────────────────────────────
+
+/**
+ * Write to the response, waiting while its buffer is full
+ * @param {Object} res - Express response
+ * @param {String} chunk
+ */
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+}
+
+/**
+ * Rows from a Mongoose query (through a cursor), an array or any iterable
+ * @param {Object|Array} rows
+ * @returns {AsyncIterable<Object>}
+ */
+function iterate(rows) {
+  return typeof rows.cursor === 'function' ? rows.cursor() : rows;
+}
+
+/**
+ * Start a summary sheet's running totals
+ * @param {Object} summary - {name, columns, key(row), start(row), add(group, row)}
+ * @returns {Object} {summary, groups}
+ */
+function startSummary(summary) {
+  return { summary, groups: new Map() };
+}
+
+/**
+ * Add a row to a summary sheet's totals (rows without a key are left out)
+ * @param {Object} totals - From startSummary
+ * @param {Object} row
+ */
+function addToSummary({ summary, groups }, row) {
+  const key = summary.key(row);
+  if (!key) return;
+  if (!groups.has(key)) groups.set(key, summary.start(row));
+  summary.add(groups.get(key), row);
+}
+
+/**
+ * Stream a list as CSV, JSON or Excel
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {String} options.format - csv, json or xlsx
+ * @param {String} options.fileName - Without the date or extension
+ * @param {Object|Array} options.rows - Mongoose query (read by cursor) or rows
+ * @param {Array<Object>} options.columns - Column definitions
+ * @param {String|Array<String>} options.selected - Column keys to export
+ * @param {Function} options.filter - row → Boolean, for filters the query can't express
+ * @param {String} options.sheet - Excel sheet name for the rows
+ * @param {String} options.property - JSON property name for the rows
+ * @param {Array<Object>} options.summaries - Extra Excel sheets totalling the rows
+ * @param {Object} options.filters - Filters used, repeated in the JSON export
+ * @returns {Promise<Number>} Rows exported
+ */
+async function sendExport(res, options) {
+  const { format, fileName, rows, filter, sheet = 'Rows', property = 'rows', summaries = [], filters = {} } = options;
+  if (!exportFormat(format)) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const columns = selectColumns(options.columns, options.selected);
+
+  const dateStr = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${dateStr}.${FORMATS[format].extension}"`);
+
+  let count = 0;
+  try {
+    if (format === 'xlsx') {
+      const workbook = spreadsheet.createWorkbookWriter(res);
+      const worksheet = spreadsheet.addSheet(workbook, sheet, columns);
+      const totals = summaries.map(startSummary);
+
+      for await (const row of iterate(rows)) {
+        if (filter && !filter(row)) continue;
+        worksheet.addRow(spreadsheet.sheetRow(columns, row)).commit();
+        totals.forEach(summary => addToSummary(summary, row));
+        count++;
+      }
+      worksheet.commit();
+
+      totals.forEach(({ summary, groups }) => {
+        const summarySheet = spreadsheet.addSheet(workbook, summary.name, summary.columns);
+        groups.forEach(group => summarySheet.addRow(spreadsheet.sheetRow(summary.columns, group)).commit());
+        summarySheet.commit();
+      });
+      await workbook.commit();
+      return count;
+    }
+
+    if (format === 'csv') {
+      await write(res, BOM + columns.map(column => csvField(column.header)).join(',') + '\r\n');
+    } else {
+      const head = JSON.stringify({ exportedAt: new Date().toISOString(), filters });
+      await write(res, `${head.slice(0, -1)},${JSON.stringify(property)}:[`);
+    }
+
+    for await (const row of iterate(rows)) {
+      if (filter && !filter(row)) continue;
+      if (format === 'csv') {
+        await write(res, columns.map(column => csvField(csvValue(column.value(row), column.type))).join(',') + '\r\n');
+      } else {
+        const record = Object.fromEntries(columns.map(column => [column.key, jsonValue(column.value(row), column.type)]));
+        await write(res, (count > 0 ? ',' : '') + JSON.stringify(record));
+      }
+      count++;
+    }
+
+    res.end(format === 'json' ? `],"count":${count}}` : undefined);
+    return count;
+  } catch (err) {
+    // Once the download has started the only way to fail is to cut it short
+    if (!res.headersSent) {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      throw err;
+    }
+    console.error(`Export of ${fileName} failed after ${count} rows:`, err.message);
+    res.destroy(err);
+    return count;
+  }
+}
+
+module.exports = {
+  FORMATS,
+  csvField,
+  csvValue,
+  jsonValue,
+  exportFormat,
+  selectColumns,
+  columnChoices,
+  sendExport
+};
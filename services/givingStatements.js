@@ -0,0 +1,433 @@
+// services/givingStatements.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// YEAR-END GIVING STATEMENTS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Donors and partner organizations ask every January for one summary of
+// everything they gave the previous year. This service:
+//
+//   1. Collects all non-deleted donations for a calendar year and groups
+//      them by member or organization (anonymous donations are left out)
+//   2. Renders one PDF statement per donor, using the same letterhead and
+//      signature as the single-donation receipts
+//   3. Optionally emails each statement with the annual_giving_statement
+//      template; every attempt is recorded in EmailLog with the year and
+//      donor in its metadata, so a batch can be re-run without resending
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PDFDocument = require('pdfkit');
+const Donation = require('../models/Donation');
+const { sendTemplatedEmail, logEmailSend, EmailLog } = require('./mailer');
+const {
+  formatCurrency,
+  formatDate,
+  bookValue,
+  donorDetails,
+  drawLetterhead,
+  drawSignature,
+  toBuffer
+} = require('./receipts');
+const { ORGANIZATION, TAX_STATEMENT, STATEMENT_QUID_PRO_QUO } = require('../config/organization');
+
+const TEMPLATE_KEY = 'annual_giving_statement';
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Date range covering a calendar year
+ * @param {Number} year - Calendar year
+ * @returns {{start: Date, end: Date}} end is exclusive
+ */
+function yearRange(year) {
+  return {
+    start: new Date(year, 0, 1),
+    end: new Date(year + 1, 0, 1)
+  };
+}
+
+/**
+ * Populate options shared by every donation query here
+ * @param {Query} query - Mongoose query for donations
+ * @returns {Query}
+ */
+function populateDonors(query) {
+  return query
+    .populate('member', 'firstName lastName email address zipCode')
+    .populate('organization', 'name email address zipCode')
+    .sort({ donatedAt: 1 })
+    .lean();
+}
+
+/**
+ * Group a year's donations by donor and total them up
+ * Donations without a member or organization (or whose donor record is
+ * gone) are anonymous and can't be sent a statement, so they are skipped.
+ *
+ * @param {Array<Object>} donations - Donations with member/organization populated
+ * @returns {Array<Object>} One entry per donor, sorted by name
+ */
+function groupDonationsByDonor(donations) {
+  const groups = new Map();
+
+  donations.forEach(donation => {
+    const donorType = donation.member ? 'member' : donation.organization ? 'organization' : null;
+    if (!donorType) return;
+
+    const donor = donation[donorType];
+    const donorId = String(donor._id);
+    const key = `${donorType}:${donorId}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        donorType,
+        donorId,
+        donor,
+        name: donorDetails(donation).name,
+        email: donor.email || null,
+        donations: [],
+        totals: {
+          donationCount: 0,
+          books: 0,
+          inKindValue: 0,
+          monetaryAmount: 0,
+          bookDriveBooks: 0,
+          bookDrives: []
+        }
+      });
+    }
+
+    const group = groups.get(key);
+    const totals = group.totals;
+    group.donations.push(donation);
+
+    totals.donationCount += 1;
+    totals.books += donation.numberOfBooks || 0;
+    totals.inKindValue += bookValue(donation);
+    totals.monetaryAmount += donation.monetaryAmount || 0;
+    if (donation.isBookDrive) {
+      totals.bookDriveBooks += donation.numberOfBooks || 0;
+      if (donation.bookDriveName && !totals.bookDrives.includes(donation.bookDriveName)) {
+        totals.bookDrives.push(donation.bookDriveName);
+      }
+    }
+  });
+
+  return Array.from(groups.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ─── Statement Data ─────────────────────────────────────────────────────────
+
+/**
+ * Everything printed on a statement, independent of the PDF layout
+ * @param {Number} year - Calendar year
+ * @param {Object} group - One entry from groupDonationsByDonor()
+ * @returns {Object} Statement data
+ */
+function buildStatementData(year, group) {
+  const lines = group.donations.map(donation => {
+    let description = `${donation.numberOfBooks} ${donation.donationType === 'new' ? 'new' : 'used'} book${donation.numberOfBooks === 1 ? '' : 's'}`;
+    if (donation.isBookDrive) {
+      description += ` (book drive${donation.bookDriveName ? ': ' + donation.bookDriveName : ''})`;
+    }
+
+    return {
+      date: donation.donatedAt,
+      description,
+      receiptNumber: donation.receiptNumber || null,
+      inKindValue: bookValue(donation),
+      monetaryAmount: donation.monetaryAmount || 0
+    };
+  });
+
+  return {
+    year,
+    issuedAt: new Date(),
+    donor: donorDetails(group.donations[0]),
+    lines,
+    totals: group.totals,
+    organization: ORGANIZATION,
+    taxStatement: TAX_STATEMENT,
+    quidProQuoStatement: STATEMENT_QUID_PRO_QUO,
+    inKindNote: `The value of donated books is as stated by the donor. ${ORGANIZATION.legalName} does not assign a value to in-kind gifts.`
+  };
+}
+
+/**
+ * File name for a donor's statement
+ * @param {Number} year - Calendar year
+ * @param {Object} group - One entry from groupDonationsByDonor()
+ * @returns {String} e.g. "giving-statement-2025-ana-rivera.pdf"
+ */
+function statementFilename(year, group) {
+  const slug = group.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || group.donorId;
+  return `giving-statement-${year}-${slug}.pdf`;
+}
+
+// ─── PDF Rendering ──────────────────────────────────────────────────────────
+
+/**
+ * Render statement data to a PDF
+ * @param {Object} data - Output of buildStatementData()
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderStatementPdf(data) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 54,
+    info: {
+      Title: `${data.year} Giving Statement - ${data.donor.name}`,
+      Author: data.organization.legalName
+    }
+  });
+
+  drawLetterhead(doc, data.organization);
+
+  doc.font('Helvetica-Bold').fontSize(16).text(`${data.year} Giving Statement`, { align: 'center' });
+  doc.moveDown(1);
+
+  doc.font('Helvetica').fontSize(10);
+  doc.text(`Statement Date: ${formatDate(data.issuedAt)}`);
+  doc.text(`Period: January 1 - December 31, ${data.year}`);
+  doc.moveDown(1);
+
+  doc.font('Helvetica-Bold').text('Prepared For:');
+  doc.font('Helvetica').text(data.donor.name);
+  data.donor.addressLines.forEach(line => doc.text(line));
+  doc.moveDown(1);
+
+  // Contribution table
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const dateWidth = 90;
+  const amountWidth = 90;
+  const descriptionWidth = right - left - dateWidth - amountWidth * 2;
+  const columns = {
+    date: left,
+    description: left + dateWidth,
+    inKind: right - amountWidth * 2,
+    cash: right - amountWidth
+  };
+
+  const drawRow = (cells, font) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+    }
+    doc.font(font);
+    const y = doc.y;
+    doc.text(cells[0], columns.date, y, { width: dateWidth - 10 });
+    doc.text(cells[1], columns.description, y, { width: descriptionWidth - 10 });
+    const afterDescription = doc.y;
+    doc.text(cells[2], columns.inKind, y, { width: amountWidth, align: 'right' });
+    doc.text(cells[3], columns.cash, y, { width: amountWidth, align: 'right' });
+    doc.y = Math.max(afterDescription, doc.y);
+    doc.moveDown(0.3);
+  };
+
+  drawRow(['Date', 'Description', 'Books (non-cash)', 'Monetary'], 'Helvetica-Bold');
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor('#999999').stroke();
+  doc.moveDown(0.3);
+
+  data.lines.forEach(line => {
+    drawRow([
+      formatDate(line.date),
+      line.receiptNumber ? `${line.description}\nReceipt ${line.receiptNumber}` : line.description,
+      line.inKindValue ? formatCurrency(line.inKindValue) : 'No value stated',
+      line.monetaryAmount ? formatCurrency(line.monetaryAmount) : '-'
+    ], 'Helvetica');
+  });
+
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor('#999999').stroke();
+  doc.moveDown(0.3);
+  drawRow([
+    'Total',
+    `${data.totals.donationCount} donation${data.totals.donationCount === 1 ? '' : 's'}, ${data.totals.books} book${data.totals.books === 1 ? '' : 's'}`,
+    formatCurrency(data.totals.inKindValue),
+    formatCurrency(data.totals.monetaryAmount)
+  ], 'Helvetica-Bold');
+
+  if (data.totals.bookDriveBooks > 0) {
+    doc.font('Helvetica').fontSize(9).fillColor('#444444');
+    const drives = data.totals.bookDrives.length > 0 ? ` (${data.totals.bookDrives.join(', ')})` : '';
+    doc.text(`Includes ${data.totals.bookDriveBooks} books collected through book drives${drives}.`, left, doc.y);
+    doc.fillColor('black').fontSize(10);
+  }
+
+  doc.x = left;
+  doc.moveDown(1.5);
+
+  // Required statements
+  doc.font('Helvetica-Bold').fontSize(10).text(data.quidProQuoStatement);
+  doc.moveDown(0.5);
+  doc.font('Helvetica').text(data.taxStatement);
+  doc.moveDown(0.5);
+  doc.fontSize(9).fillColor('#444444').text(data.inKindNote).fillColor('black').fontSize(10);
+  doc.moveDown(0.5);
+  doc.text('Please keep this statement for your tax records.');
+
+  drawSignature(doc, data.organization);
+
+  return toBuffer(doc);
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * All donors who gave during a year, with their totals
+ * @param {Number} year - Calendar year
+ * @returns {Promise<Array<Object>>} Output of groupDonationsByDonor()
+ */
+async function getDonorSummaries(year) {
+  const { start, end } = yearRange(year);
+  const donations = await populateDonors(Donation.find({
+    isDeleted: { $ne: true },
+    donatedAt: { $gte: start, $lt: end },
+    $or: [{ member: { $ne: null } }, { organization: { $ne: null } }]
+  }));
+
+  return groupDonationsByDonor(donations);
+}
+
+/**
+ * Most recent statement email attempt per donor for a year
+ * @param {Number} year - Calendar year
+ * @returns {Promise<Object>} Map of "donorType:donorId" to EmailLog entry
+ */
+async function getLastSendStatus(year) {
+  const logs = await EmailLog.find({ templateKey: TEMPLATE_KEY, 'metadata.year': year })
+    .sort({ sentAt: -1 })
+    .lean();
+
+  const byDonor = {};
+  logs.forEach(log => {
+    const key = `${log.metadata.donorType}:${log.metadata.donorId}`;
+    if (!byDonor[key]) byDonor[key] = log;
+  });
+  return byDonor;
+}
+
+/**
+ * Generate the statement PDF for one donor
+ * @param {Number} year - Calendar year
+ * @param {String} donorType - 'member' or 'organization'
+ * @param {ObjectId} donorId - Member or Organization ID
+ * @returns {Promise<{group: Object, filename: String, buffer: Buffer}>}
+ */
+async function generateStatement(year, donorType, donorId) {
+  if (!['member', 'organization'].includes(donorType)) {
+    throw new Error('Invalid donor type');
+  }
+
+  const { start, end } = yearRange(year);
+  const donations = await populateDonors(Donation.find({
+    isDeleted: { $ne: true },
+    donatedAt: { $gte: start, $lt: end },
+    [donorType]: donorId
+  }));
+
+  const [group] = groupDonationsByDonor(donations);
+  if (!group) {
+    throw new Error(`No donations found for this donor in ${year}`);
+  }
+
+  const buffer = await renderStatementPdf(buildStatementData(year, group));
+
+  return { group, filename: statementFilename(year, group), buffer };
+}
+
+/**
+ * Email every donor their statement for a year
+ * Donors without an email address are logged as skipped. With onlyUnsent
+ * (the default), donors who were already sent this year's statement are
+ * left alone, so the batch is safe to re-run after fixing failures.
+ *
+ * @param {Number} year - Calendar year
+ * @param {Object} options
+ * @param {Boolean} options.onlyUnsent - Skip donors already sent a statement (default true)
+ * @param {ObjectId} options.userId - User who started the batch (for logging)
+ * @returns {Promise<{total: Number, sent: Number, failed: Number, noEmail: Number, alreadySent: Number}>}
+ */
+async function sendStatements(year, options = {}) {
+  const { onlyUnsent = true, userId = null } = options;
+
+  if (!ORGANIZATION.ein) {
+    console.warn('⚠️  ORG_EIN is not set - giving statements are missing the organization EIN');
+  }
+
+  const groups = await getDonorSummaries(year);
+  const lastStatus = onlyUnsent ? await getLastSendStatus(year) : {};
+  const summary = { total: groups.length, sent: 0, failed: 0, noEmail: 0, alreadySent: 0 };
+
+  for (const group of groups) {
+    const metadata = { year, donorType: group.donorType, donorId: group.donorId, donorName: group.name, sentBy: userId };
+    const previous = lastStatus[`${group.donorType}:${group.donorId}`];
+
+    if (previous && previous.status === 'sent') {
+      summary.alreadySent++;
+      continue;
+    }
+
+    if (!group.email) {
+      await logEmailSend({
+        templateKey: TEMPLATE_KEY,
+        recipient: '(no email on file)',
+        status: 'skipped',
+        error: 'Donor has no email address',
+        metadata
+      });
+      summary.noEmail++;
+      continue;
+    }
+
+    try {
+      const buffer = await renderStatementPdf(buildStatementData(year, group));
+      const result = await sendTemplatedEmail(
+        TEMPLATE_KEY,
+        group.email,
+        {
+          donorName: group.name,
+          year: String(year),
+          donationCount: String(group.totals.donationCount),
+          totalBooks: String(group.totals.books),
+          inKindValue: formatCurrency(group.totals.inKindValue),
+          monetaryAmount: group.totals.monetaryAmount > 0 ? formatCurrency(group.totals.monetaryAmount) : ''
+        },
+        metadata,
+        null,
+        [{ filename: statementFilename(year, group), content: buffer, contentType: 'application/pdf' }]
+      );
+
+      if (result.success) {
+        summary.sent++;
+      } else {
+        summary.failed++;
+      }
+    } catch (err) {
+      console.error(`❌ Error preparing giving statement for ${group.name}:`, err.message);
+      await logEmailSend({
+        templateKey: TEMPLATE_KEY,
+        recipient: group.email,
+        status: 'failed',
+        error: err.message,
+        metadata
+      });
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  TEMPLATE_KEY,
+  yearRange,
+  groupDonationsByDonor,
+  buildStatementData,
+  statementFilename,
+  renderStatementPdf,
+  getDonorSummaries,
+  getLastSendStatus,
+  generateStatement,
+  sendStatements
+};
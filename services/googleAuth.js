@@ -0,0 +1,172 @@
+// services/googleAuth.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// GOOGLE WORKSPACE SIGN-IN
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// "Sign in with Google" on /custom-login, next to the email + password form.
+// Only accounts in our Google Workspace domain are accepted:
+//
+//   1. /auth/google sends the browser to Google (hd= narrows the account
+//      picker to our domain, but that's only a hint).
+//   2. Google sends it back to /auth/google/callback with the profile. The
+//      hosted domain and verified email are checked here, because anyone can
+//      edit the hd= parameter.
+//   3. The profile is matched to a User by Google ID, then by email - the
+//      first Google sign-in links the Google ID to the existing account.
+//   4. Nobody with that email? With GOOGLE_AUTO_PROVISION=true a pending
+//      volunteer account is created and shows up as an access request on
+//      /admin/users; otherwise the sign-in is refused.
+//
+// The rest is the same as a password login (routes/login.js): pending or
+// locked accounts are turned away, two-step login still asks for a code, and
+// the attempt is written to the login log.
+//
+// ─── SETUP ───────────────────────────────────────────────────────────────────
+//
+// Google Cloud console → APIs & Services → Credentials → OAuth client ID
+// (Web application), authorized redirect URI:
+//   https://<your host>/auth/google/callback
+//
+//   GOOGLE_CLIENT_ID=...
+//   GOOGLE_CLIENT_SECRET=...
+//   GOOGLE_HOSTED_DOMAIN=treehousebooks.org
+//   GOOGLE_CALLBACK_URL=...          (optional, defaults to APP_BASE_URL + /auth/google/callback)
+//   GOOGLE_AUTO_PROVISION=true       (optional, default off)
+//
+// The button only shows when the ID, secret and domain are all set.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const passport = require('passport');
+const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
+const User = require('../models/User');
+
+const STRATEGY = 'google';
+
+let registered = false;
+
+/**
+ * Google sign-in settings from the environment
+ * @returns {{clientID: String, clientSecret: String, hostedDomain: String, callbackURL: String, autoProvision: Boolean}}
+ */
+function getConfig() {
+  return {
+    clientID: process.env.GOOGLE_CLIENT_ID || '',
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET || '',
+    hostedDomain: (process.env.GOOGLE_HOSTED_DOMAIN || '').trim().toLowerCase(),
+    callbackURL: process.env.GOOGLE_CALLBACK_URL
+      || `${process.env.APP_BASE_URL || 'http://localhost:3000'}/auth/google/callback`,
+    autoProvision: process.env.GOOGLE_AUTO_PROVISION === 'true'
+  };
+}
+
+/**
+ * Whether Google sign-in is set up (a hosted domain is required)
+ * @returns {Boolean}
+ */
+function isEnabled() {
+  const config = getConfig();
+  return Boolean(config.clientID && config.clientSecret && config.hostedDomain);
+}
+
+/**
+ * Register the passport strategy the first time it's needed. The verify step
+ * just hands the profile on - matching it to a user happens in the route.
+ */
+function ensureStrategy() {
+  if (registered) return;
+
+  const config = getConfig();
+  passport.use(STRATEGY, new GoogleStrategy({
+    clientID: config.clientID,
+    clientSecret: config.clientSecret,
+    callbackURL: config.callbackURL,
+    // Random state kept in the session, so a callback can't be forged
+    state: true
+  }, (accessToken, refreshToken, profile, done) => done(null, profile)));
+
+  registered = true;
+}
+
+/**
+ * Check a Google profile is a verified account in our domain
+ *
+ * @param {Object} profile - passport-google-oauth20 profile
+ * @param {String} hostedDomain - e.g. 'treehousebooks.org'
+ * @returns {{googleId: String, email: String, firstName: String, lastName: String}}
+ * @throws {Error} With a message that can be shown on the login page
+ */
+function profileIdentity(profile, hostedDomain) {
+  const info = profile._json || {};
+  const email = String(info.email || profile.emails?.[0]?.value || '').trim().toLowerCase();
+
+  if (!email || info.email_verified !== true) {
+    throw new Error('Your Google account\'s email address isn\'t verified.');
+  }
+  if (String(info.hd || '').toLowerCase() !== hostedDomain || !email.endsWith(`@${hostedDomain}`)) {
+    throw new Error(`Please sign in with your @${hostedDomain} Google account.`);
+  }
+
+  return {
+    googleId: profile.id,
+    email,
+    firstName: info.given_name || profile.name?.givenName || email.split('@')[0],
+    lastName: info.family_name || profile.name?.familyName || '-'
+  };
+}
+
+/**
+ * Find the User for a Google identity, linking the Google ID on first use.
+ * Creates a pending volunteer if nobody has that email and auto-provisioning
+ * is on.
+ *
+ * @param {Object} identity - From profileIdentity()
+ * @param {Object} options
+ * @param {Boolean} options.autoProvision
+ * @returns {Promise<{user: Object|null, created: Boolean}>}
+ */
+async function findOrCreateUser(identity, { autoProvision }) {
+  let user = await User.findOne({ googleId: identity.googleId });
+  if (user) {
+    return { user, created: false };
+  }
+
+  user = await User.findOne({ email: identity.email });
+  if (user) {
+    if (user.googleId && user.googleId !== identity.googleId) {
+      throw new Error('This account is linked to a different Google account. Please contact an administrator.');
+    }
+    await User.updateOne({ _id: user._id }, { $set: { googleId: identity.googleId } });
+    user.googleId = identity.googleId;
+    return { user, created: false };
+  }
+
+  if (!autoProvision) {
+    return { user: null, created: false };
+  }
+
+  // Nobody knows this password - they can set one with "Forgot password?"
+  // if they ever want to log in without Google
+  user = await User.create({
+    email: identity.email,
+    password: crypto.randomBytes(32).toString('hex'),
+    firstName: identity.firstName,
+    lastName: identity.lastName,
+    role: 'volunteer',
+    status: 'pending',
+    googleId: identity.googleId,
+    accessRequestNote: 'Signed in with Google'
+  });
+  return { user, created: true };
+}
+
+module.exports = {
+  STRATEGY,
+  getConfig,
+  isEnabled,
+  ensureStrategy,
+  profileIdentity,
+  findOrCreateUser
+};
@@ -0,0 +1,646 @@
+// services/grantReports.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// GRANT & FUNDER IMPACT REPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Works out the numbers grant writers ask for - books distributed, children
+// served, Black-author share, ZIP codes reached, program hours - for a date
+// range, and renders them as a PDF or an Excel workbook (both with bar
+// charts) or a CSV file.
+// Report definitions are saved in the ReportDefinition model; the numbers
+// are always worked out fresh from the records.
+//
+// Where the numbers come from:
+//
+//   Books distributed  - Checkout.numberOfBooks, BookDistribution.totalBooks,
+//                        TravelingStop.booksDistributed, and for Sidewalk Books
+//                        the drop in count over each week (start - end)
+//   Children served    - members who are children (member type, or under 18
+//                        on the last day) with a visit, checkout, distribution
+//                        or program attendance; each child counted once
+//   Black-author share - blackAuthorAdult + blackAuthorKids as a share of all
+//                        categorized books on checkouts and distributions
+//   ZIP codes reached  - stops, members served and organizations given books
+//   Attendance hours   - attendance records x the program's scheduled session
+//                        length (or the report's hoursPerSession if it has no
+//                        schedule)
+//
+// A record counts when its own date falls in the range: checkoutDate,
+// eventDate, visitDate, the stop's date, the attendance day, and the start
+// of the Sidewalk Books week.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PDFDocument = require('pdfkit');
+const Attendance = require('../models/Attendance');
+const BookDistribution = require('../models/BookDistribution');
+const Checkout = require('../models/Checkout');
+const Member = require('../models/Member');
+const Organization = require('../models/Organization');
+const Program = require('../models/Program');
+const ReportDefinition = require('../models/ReportDefinition');
+const SidewalkInventory = require('../models/SidewalkInventory');
+const TravelingStop = require('../models/TravelingStop');
+const Visit = require('../models/Visit');
+const { ORGANIZATION } = require('../config/organization');
+const { drawLetterhead, toBuffer } = require('./receipts');
+const { buildWorkbook } = require('../utils/spreadsheet');
+const { csvField } = require('./exports');
+
+const BOOK_CATEGORIES = {
+  blackAuthorAdult: 'Black author (adult)',
+  blackAuthorKids: 'Black author (kids)',
+  adult: 'Adult',
+  kids: 'Kids',
+  boardBooks: 'Board books'
+};
+const BLACK_AUTHOR_CATEGORIES = ['blackAuthorAdult', 'blackAuthorKids'];
+
+// Bars drawn per chart in the PDF - the workbook lists and charts every row
+const CHART_ROWS = 12;
+const CHART_COLORS = ['#2B7A78', '#3AAFA9', '#F4A259', '#8CB369', '#5B8E7D', '#BC4B51'];
+
+// ─── Periods ────────────────────────────────────────────────────────────────
+
+/**
+ * A local date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {String}
+ */
+function dayString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Midnight at the start of a day
+ * @param {Date|String} value - Date, or YYYY-MM-DD
+ * @returns {Date}
+ */
+function startOfDay(value) {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * The first and last day a report covers
+ * @param {Object} definition - {period, startDate, endDate}
+ * @param {Date} today
+ * @returns {{start: Date, end: Date, label: String}} Both days included
+ */
+function resolvePeriod(definition, today = new Date()) {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  let start;
+  let end;
+
+  switch (definition.period) {
+    case 'custom':
+      start = startOfDay(definition.startDate);
+      end = startOfDay(definition.endDate);
+      break;
+    case 'lastWeek': {
+      // Monday to Sunday of the week before this one
+      const sinceMonday = (today.getDay() + 6) % 7;
+      start = new Date(year, month, today.getDate() - sinceMonday - 7);
+      end = new Date(year, month, today.getDate() - sinceMonday - 1);
+      break;
+    }
+    case 'lastMonth':
+      start = new Date(year, month - 1, 1);
+      end = new Date(year, month, 0);
+      break;
+    case 'yearToDate':
+      start = new Date(year, 0, 1);
+      end = startOfDay(today);
+      break;
+    case 'lastYear':
+      start = new Date(year - 1, 0, 1);
+      end = new Date(year - 1, 11, 31);
+      break;
+    case 'last12Months':
+      start = new Date(year - 1, month, today.getDate() + 1);
+      end = startOfDay(today);
+      break;
+    case 'lastQuarter':
+    default: {
+      const quarterStart = month - (month % 3);
+      start = new Date(year, quarterStart - 3, 1);
+      end = new Date(year, quarterStart, 0);
+    }
+  }
+
+  if (isNaN(start) || isNaN(end)) {
+    throw new Error('The report needs a valid start and end date');
+  }
+
+  const format = date => date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  return { start, end, label: `${format(start)} – ${format(end)}` };
+}
+
+/**
+ * Query conditions for a report period
+ * @param {Object} period - From resolvePeriod
+ * @returns {{dates: Object, days: Object}} For Date fields, and for YYYY-MM-DD string fields
+ */
+function periodFilters(period) {
+  const dayAfter = new Date(period.end.getFullYear(), period.end.getMonth(), period.end.getDate() + 1);
+  return {
+    dates: { $gte: period.start, $lt: dayAfter },
+    days: { $gte: dayString(period.start), $lte: dayString(period.end) }
+  };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Total a numeric field over matching records
+ * @param {Object} Model - Mongoose model
+ * @param {Object} match - $match conditions
+ * @param {String} field - Field path, e.g. '$totalBooks'
+ * @returns {Promise<Number>}
+ */
+async function sumOf(Model, match, field) {
+  const [row] = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: { $ifNull: [field, 0] } } } }
+  ]);
+  return row ? row.total : 0;
+}
+
+/**
+ * Book category totals over matching records
+ * @param {Object} Model - Checkout or BookDistribution
+ * @param {Object} match - $match conditions
+ * @returns {Promise<Object>} Category key → books
+ */
+async function categoryTotals(Model, match) {
+  const group = { _id: null };
+  Object.keys(BOOK_CATEGORIES).forEach(key => {
+    group[key] = { $sum: { $ifNull: [`$bookCategories.${key}.quantity`, 0] } };
+  });
+  const [row] = await Model.aggregate([{ $match: match }, { $group: group }]);
+  return Object.fromEntries(Object.keys(BOOK_CATEGORIES).map(key => [key, row ? row[key] : 0]));
+}
+
+/**
+ * Hours in one session from a program's schedule
+ * @param {Object} schedule - Program.classroomSettings.schedule ({startTime, endTime} as HH:MM)
+ * @returns {Number|null} null when the schedule has no usable times
+ */
+function sessionHours(schedule) {
+  const minutes = time => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  };
+  const start = minutes(schedule && schedule.startTime);
+  const end = minutes(schedule && schedule.endTime);
+  if (start === null || end === null || end <= start) return null;
+  return (end - start) / 60;
+}
+
+/**
+ * First five digits of a ZIP code
+ * @param {String} zipCode
+ * @returns {String|null}
+ */
+function zip5(zipCode) {
+  const match = /^\s*(\d{5})/.exec(String(zipCode || ''));
+  return match ? match[1] : null;
+}
+
+/**
+ * Round to one decimal place
+ * @param {Number} value
+ * @returns {Number}
+ */
+function oneDecimal(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// ─── Metrics ────────────────────────────────────────────────────────────────
+// Each calculator gets the period's filters and a shared context, and
+// returns {value, unit, breakdown: {label, valueLabel, rows: [{label, value}]}, note}.
+// unit is count, percent or hours.
+
+/**
+ * Member IDs served by each activity, worked out once per report
+ * @param {Object} context - {filters, cache}
+ * @returns {Promise<Object>} Activity name → Array of member ID strings
+ */
+async function membersServed(context) {
+  if (!context.cache.membersServed) {
+    const { dates, days } = context.filters;
+    context.cache.membersServed = Promise.all([
+      Visit.distinct('member', { visitDate: dates }),
+      Checkout.distinct('member', { checkoutDate: dates, isDeleted: { $ne: true } }),
+      BookDistribution.distinct('member', { eventDate: dates, recipientType: 'member' }),
+      Attendance.distinct('member', { date: days })
+    ]).then(([visits, checkouts, distributions, programs]) => {
+      const ids = list => list.filter(Boolean).map(String);
+      return {
+        Visits: ids(visits),
+        Checkouts: ids(checkouts),
+        'Book distributions': ids(distributions),
+        Programs: ids(programs)
+      };
+    });
+  }
+  return context.cache.membersServed;
+}
+
+const CALCULATORS = {
+  async booksDistributed(context) {
+    const { dates, days } = context.filters;
+    const [checkouts, distributions, stops, weeks] = await Promise.all([
+      sumOf(Checkout, { checkoutDate: dates, isDeleted: { $ne: true } }, '$numberOfBooks'),
+      sumOf(BookDistribution, { eventDate: dates }, '$totalBooks'),
+      sumOf(TravelingStop, { date: days }, '$booksDistributed'),
+      SidewalkInventory.find({ weekStart: dates }).select('startCount endCount').lean()
+    ]);
+    // A week's drop in count is what was taken; restocks happen between weeks
+    const sidewalk = weeks.reduce((sum, week) => sum + Math.max(0, (week.startCount || 0) - (week.endCount || 0)), 0);
+
+    return {
+      value: checkouts + distributions + stops + sidewalk,
+      unit: 'count',
+      breakdown: {
+        label: 'Program',
+        valueLabel: 'Books',
+        rows: [
+          { label: 'Checkouts', value: checkouts },
+          { label: 'Book distributions', value: distributions },
+          { label: 'Traveling Tree House', value: stops },
+          { label: 'Sidewalk Books', value: sidewalk }
+        ]
+      }
+    };
+  },
+
+  async childrenServed(context) {
+    const served = await membersServed(context);
+    const everyone = [...new Set(Object.values(served).flat())];
+
+    const { end } = context.period;
+    const eighteenYearsAgo = new Date(end.getFullYear() - 18, end.getMonth(), end.getDate());
+    const children = everyone.length === 0 ? [] : await Member.distinct('_id', {
+      _id: { $in: everyone },
+      isDeleted: { $ne: true },
+      $or: [{ memberType: 'child' }, { dateOfBirth: { $gt: eighteenYearsAgo } }]
+    });
+    const childIds = new Set(children.map(String));
+
+    return {
+      value: childIds.size,
+      unit: 'count',
+      breakdown: {
+        label: 'Served through',
+        valueLabel: 'Children',
+        rows: Object.entries(served).map(([label, ids]) => ({
+          label,
+          value: ids.filter(id => childIds.has(id)).length
+        }))
+      },
+      note: 'A child served in more than one way is counted once in the total.'
+    };
+  },
+
+  async blackAuthorShare(context) {
+    const { dates } = context.filters;
+    const [checkouts, distributions] = await Promise.all([
+      categoryTotals(Checkout, { checkoutDate: dates, isDeleted: { $ne: true } }),
+      categoryTotals(BookDistribution, { eventDate: dates })
+    ]);
+    const rows = Object.entries(BOOK_CATEGORIES).map(([key, label]) => ({
+      label,
+      value: checkouts[key] + distributions[key]
+    }));
+    const categorized = rows.reduce((sum, row) => sum + row.value, 0);
+    const blackAuthor = BLACK_AUTHOR_CATEGORIES.reduce((sum, key) => sum + checkouts[key] + distributions[key], 0);
+
+    return {
+      value: categorized > 0 ? oneDecimal((blackAuthor / categorized) * 100) : null,
+      unit: 'percent',
+      breakdown: { label: 'Category', valueLabel: 'Books', rows },
+      note: categorized > 0
+        ? `${blackAuthor.toLocaleString('en-US')} of ${categorized.toLocaleString('en-US')} books with a recorded category.`
+        : 'No checkouts or distributions in this period have book categories recorded.'
+    };
+  },
+
+  async zipCodesReached(context) {
+    const { dates, days } = context.filters;
+    const served = await membersServed(context);
+    const memberIds = [...new Set(Object.values(served).flat())];
+
+    const [members, stops, organizationIds] = await Promise.all([
+      memberIds.length === 0 ? [] : Member.find({ _id: { $in: memberIds } }).select('zipCode').lean(),
+      TravelingStop.find({ date: days }).select('stopZipCode').lean(),
+      BookDistribution.distinct('organization', { eventDate: dates, recipientType: 'organization' })
+    ]);
+    const organizations = organizationIds.length === 0
+      ? []
+      : await Organization.find({ _id: { $in: organizationIds } }).select('zipCode').lean();
+
+    const counts = new Map();
+    [
+      ...members.map(m => m.zipCode),
+      ...stops.map(s => s.stopZipCode),
+      ...organizations.map(o => o.zipCode)
+    ].map(zip5).filter(Boolean).forEach(zip => counts.set(zip, (counts.get(zip) || 0) + 1));
+
+    const rows = [...counts.entries()]
+      .map(([label, value]) => ({ label, value }))
+      .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+
+    return {
+      value: rows.length,
+      unit: 'count',
+      breakdown: { label: 'ZIP Code', valueLabel: 'Members, stops & organizations', rows }
+    };
+  },
+
+  async attendanceHours(context) {
+    const { days } = context.filters;
+    const sessions = await Attendance.aggregate([
+      { $match: { date: days } },
+      { $group: { _id: '$program', attended: { $sum: 1 } } }
+    ]);
+    const programs = sessions.length === 0
+      ? []
+      : await Program.find({ _id: { $in: sessions.map(s => s._id) } }).select('name classroomSettings.schedule').lean();
+    const byId = new Map(programs.map(p => [String(p._id), p]));
+
+    const rows = sessions.map(session => {
+      const program = byId.get(String(session._id));
+      const hours = sessionHours(program && program.classroomSettings && program.classroomSettings.schedule);
+      return {
+        label: program ? program.name : 'Deleted program',
+        value: oneDecimal(session.attended * (hours || context.hoursPerSession))
+      };
+    }).sort((a, b) => b.value - a.value);
+
+    return {
+      value: oneDecimal(rows.reduce((sum, row) => sum + row.value, 0)),
+      unit: 'hours',
+      breakdown: { label: 'Program', valueLabel: 'Hours', rows },
+      note: `Programs without a schedule count ${context.hoursPerSession} hour${context.hoursPerSession === 1 ? '' : 's'} per attendance.`
+    };
+  }
+};
+
+/**
+ * A metric's value for display
+ * @param {Object} metric - From runReport
+ * @returns {String} e.g. "1,204", "38.5%", "96 hours"
+ */
+function formatMetric(metric) {
+  if (metric.value === null || metric.value === undefined) return '—';
+  const number = metric.value.toLocaleString('en-US');
+  if (metric.unit === 'percent') return `${metric.value.toFixed(1)}%`;
+  if (metric.unit === 'hours') return `${number} hour${metric.value === 1 ? '' : 's'}`;
+  return number;
+}
+
+// ─── Running Reports ────────────────────────────────────────────────────────
+
+/**
+ * Work out a report
+ * @param {Object} definition - ReportDefinition (saved or not)
+ * @param {Object} options
+ * @param {Date} options.today - For relative periods (default now)
+ * @returns {Promise<Object>} {name, description, period, generatedAt, metrics: [...]}
+ */
+async function runReport(definition, { today = new Date() } = {}) {
+  const period = resolvePeriod(definition, today);
+  const context = {
+    period,
+    filters: periodFilters(period),
+    hoursPerSession: definition.hoursPerSession || 1,
+    cache: {}
+  };
+
+  const selected = ReportDefinition.METRICS.filter(m => (definition.metrics || []).includes(m.key));
+  if (selected.length === 0) {
+    throw new Error('Choose at least one metric');
+  }
+
+  const metrics = await Promise.all(selected.map(async metric => {
+    const result = await CALCULATORS[metric.key](context);
+    const full = { ...metric, ...result };
+    return { ...full, display: formatMetric(full) };
+  }));
+
+  return {
+    name: definition.name || 'Impact report',
+    description: definition.description || '',
+    period,
+    generatedAt: new Date(),
+    metrics
+  };
+}
+
+/**
+ * File name for a report download
+ * @param {Object} report - From runReport
+ * @param {String} extension - pdf, xlsx or csv
+ * @returns {String} e.g. "spring-literacy-grant-2025-01-01-to-2025-03-31.pdf"
+ */
+function reportFileName(report, extension) {
+  const slug = report.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'impact-report';
+  return `${slug}-${dayString(report.period.start)}-to-${dayString(report.period.end)}.${extension}`;
+}
+
+// ─── PDF ────────────────────────────────────────────────────────────────────
+
+/**
+ * Draw a horizontal bar chart at the current position
+ * @param {PDFDocument} doc - Open PDF document
+ * @param {Array<{label: String, value: Number}>} rows
+ * @param {Function} valueText - value → label printed after the bar
+ */
+function drawBarChart(doc, rows, valueText) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const labelWidth = 150;
+  const valueWidth = 60;
+  const barArea = width - labelWidth - valueWidth;
+  const barHeight = 14;
+  const rowHeight = barHeight + 6;
+
+  const shown = rows.slice(0, CHART_ROWS);
+  if (doc.y + shown.length * rowHeight > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  const max = Math.max(0, ...shown.map(row => row.value || 0));
+  doc.font('Helvetica').fontSize(9);
+
+  shown.forEach((row, index) => {
+    const y = top + index * rowHeight;
+    const barWidth = max > 0 ? (barArea * (row.value || 0)) / max : 0;
+
+    doc.fillColor('#333333').text(row.label, left, y + 3, { width: labelWidth - 8, lineBreak: false, ellipsis: true });
+    if (barWidth > 0) {
+      doc.rect(left + labelWidth, y, barWidth, barHeight).fill(CHART_COLORS[index % CHART_COLORS.length]);
+    }
+    doc.fillColor('#333333').text(valueText(row.value), left + labelWidth + barWidth + 6, y + 3, { lineBreak: false });
+  });
+
+  doc.x = left;
+  doc.y = top + shown.length * rowHeight + 4;
+  if (rows.length > shown.length) {
+    doc.fontSize(8).fillColor('#666666')
+      .text(`Top ${shown.length} of ${rows.length} shown - the Excel download lists them all.`);
+  }
+  doc.fillColor('black');
+}
+
+/**
+ * Render a report as a PDF with a chart per metric
+ * @param {Object} report - From runReport
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderReportPdf(report) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 54,
+    info: {
+      Title: report.name,
+      Author: ORGANIZATION.legalName
+    }
+  });
+
+  drawLetterhead(doc, ORGANIZATION);
+
+  doc.font('Helvetica-Bold').fontSize(16).text(report.name);
+  doc.font('Helvetica').fontSize(10).fillColor('#444444').text(report.period.label);
+  if (report.description) {
+    doc.moveDown(0.3).text(report.description);
+  }
+  doc.fillColor('black').moveDown(1);
+
+  // Summary table
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const valueWidth = 140;
+  report.metrics.forEach(metric => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(11).text(metric.label, left, y, { width: right - left - valueWidth });
+    doc.font('Helvetica-Bold').text(metric.display, right - valueWidth, y, { width: valueWidth, align: 'right' });
+    doc.moveDown(0.4);
+  });
+
+  // A chart per metric
+  report.metrics.forEach(metric => {
+    if (!metric.breakdown || metric.breakdown.rows.length === 0) return;
+
+    doc.moveDown(1);
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+      doc.addPage();
+    }
+    doc.x = left;
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#2B7A78')
+      .text(`${metric.label}: ${metric.display}`);
+    doc.font('Helvetica').fontSize(9).fillColor('#666666').text(metric.description);
+    if (metric.note) {
+      doc.text(metric.note);
+    }
+    doc.fillColor('black').moveDown(0.5);
+
+    const valueText = value => (metric.unit === 'hours' ? `${value.toLocaleString('en-US')} h` : value.toLocaleString('en-US'));
+    drawBarChart(doc, metric.breakdown.rows, valueText);
+  });
+
+  doc.moveDown(2);
+  doc.x = left;
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text(`Generated ${report.generatedAt.toLocaleString('en-US')} from ${ORGANIZATION.legalName} records.`);
+
+  return toBuffer(doc);
+}
+
+// ─── Excel ──────────────────────────────────────────────────────────────────
+
+/**
+ * Render a report as a workbook: a summary sheet and a sheet per breakdown
+ * Each breakdown sheet has a bar chart beside its table, and data bars on
+ * the value column.
+ * @param {Object} report - From runReport
+ * @returns {Promise<Buffer>} .xlsx file
+ */
+function buildReportWorkbook(report) {
+  const unitLabels = { percent: '%', hours: 'hours', count: '' };
+
+  const summary = {
+    name: 'Summary',
+    rows: report.metrics,
+    columns: [
+      { header: 'Metric', value: m => m.label, width: 28 },
+      { header: 'Value', value: m => m.value, type: 'number' },
+      { header: 'Unit', value: m => unitLabels[m.unit] },
+      { header: 'From', value: () => report.period.start, type: 'date' },
+      { header: 'To', value: () => report.period.end, type: 'date' },
+      { header: 'About', value: m => [m.description, m.note].filter(Boolean).join(' '), width: 60 }
+    ]
+  };
+
+  const breakdowns = report.metrics
+    .filter(metric => metric.breakdown && metric.breakdown.rows.length > 0)
+    .map(metric => ({
+      name: metric.label,
+      rows: metric.breakdown.rows,
+      columns: [
+        { header: metric.breakdown.label, value: row => row.label, width: 28 },
+        { header: metric.breakdown.valueLabel, value: row => row.value, type: 'number', width: 20, dataBar: true }
+      ],
+      chart: { title: metric.label }
+    }));
+
+  return buildWorkbook([summary, ...breakdowns]);
+}
+
+// ─── CSV ────────────────────────────────────────────────────────────────────
+
+/**
+ * Render a report as one CSV table
+ * Each metric's headline number comes first with a blank Item, followed by
+ * its breakdown rows. Same conventions as the list exports (BOM, CRLF).
+ * @param {Object} report - From runReport
+ * @returns {Buffer} .csv file
+ */
+function renderReportCsv(report) {
+  const unitLabels = { percent: '%', hours: 'hours', count: '' };
+  const rows = [['Metric', 'Item', 'Value', 'Unit', 'From', 'To']];
+  const from = dayString(report.period.start);
+  const to = dayString(report.period.end);
+
+  report.metrics.forEach(metric => {
+    rows.push([metric.label, '', metric.value, unitLabels[metric.unit], from, to]);
+    (metric.breakdown ? metric.breakdown.rows : []).forEach(row => {
+      rows.push([metric.label, row.label, row.value, metric.breakdown.valueLabel, from, to]);
+    });
+  });
+
+  const lines = rows.map(row => row.map(csvField).join(',') + '\r\n');
+  return Buffer.from('\uFEFF' + lines.join(''), 'utf8');
+}
+
+module.exports = {
+  BOOK_CATEGORIES,
+  dayString,
+  startOfDay,
+  resolvePeriod,
+  periodFilters,
+  sessionHours,
+  formatMetric,
+  runReport,
+  reportFileName,
+  renderReportPdf,
+  buildReportWorkbook,
+  renderReportCsv
+};
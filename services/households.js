@@ -0,0 +1,439 @@
+// services/households.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// HOUSEHOLDS & GUARDIANS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// A Household groups the members who live together and owns their shared
+// address, ZIP code and phone. Those values are still copied onto each
+// member, since ZIP reports, exports and check-in all read Member directly.
+//
+// Guardianship is stored on the child (Member.guardians) so a child can have
+// several guardians with different relationships and pickup permissions.
+// The legacy single Member.parent is kept pointing at the primary guardian.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Household = require('../models/Household');
+const Member = require('../models/Member');
+const Checkout = require('../models/Checkout');
+const Donation = require('../models/Donation');
+const Visit = require('../models/Visit');
+const auditLogger = require('../utils/auditLogger');
+
+// Contact fields owned by the household
+const SHARED_FIELDS = ['address', 'zipCode', 'phone'];
+
+// ─── Shared Contact ─────────────────────────────────────────────────────────
+
+/**
+ * Copy the household's shared contact info onto its members
+ *
+ * Address and ZIP always follow the household. Phone only replaces a blank
+ * member phone or one that matched the previous household phone, so adults
+ * keep their own cell numbers.
+ *
+ * @param {Object} household - Household document
+ * @param {String} previousPhone - Household phone before the change
+ * @param {ObjectId} memberId - Limit to one member (optional)
+ */
+async function applySharedContact(household, previousPhone, memberId) {
+  const scope = memberId ? { _id: memberId } : { household: household._id };
+
+  const set = {};
+  if (household.address) set.address = household.address;
+  if (household.zipCode) set.zipCode = household.zipCode;
+  if (Object.keys(set).length > 0) {
+    await Member.updateMany(scope, { $set: set });
+  }
+
+  if (household.phone) {
+    const replaceable = [null, ''];
+    if (previousPhone) replaceable.push(previousPhone);
+    await Member.updateMany(
+      { ...scope, phone: { $in: replaceable } },
+      { $set: { phone: household.phone } }
+    );
+  }
+}
+
+// ─── Household CRUD ─────────────────────────────────────────────────────────
+
+/**
+ * Create a household and add members to it
+ * @param {Object} data - name, address, zipCode, phone, notes, primaryContact
+ * @param {Array<ObjectId>} memberIds - Members to add (optional)
+ * @param {ObjectId} userId - User creating the household
+ * @returns {Promise<Object>} The new household
+ */
+async function createHousehold(data, memberIds, userId) {
+  const household = await Household.create({
+    name: data.name,
+    address: data.address || undefined,
+    zipCode: data.zipCode || undefined,
+    phone: data.phone || undefined,
+    notes: data.notes || undefined,
+    primaryContact: data.primaryContact || undefined,
+    createdBy: userId
+  });
+
+  await auditLogger.logCreate('Household', household, userId);
+
+  for (const memberId of memberIds || []) {
+    await addMember(household._id, memberId, userId);
+  }
+
+  return household;
+}
+
+/**
+ * Start a household from one member, pulling in their guardians and children
+ *
+ * Relatives who already belong to another household are left where they are.
+ *
+ * @param {ObjectId} memberId - Member to build the household around
+ * @param {ObjectId} userId - User creating the household
+ * @returns {Promise<Object>} The new household
+ */
+async function createHouseholdFromMember(memberId, userId) {
+  const member = await Member.findById(memberId).lean();
+  if (!member) {
+    throw new Error('Member not found');
+  }
+  if (member.household) {
+    throw new Error('This member already belongs to a household');
+  }
+
+  // Guardians of this member, and children this member is guardian of
+  const guardianIds = (member.guardians || []).map(g => g.member);
+  if (member.parent) guardianIds.push(member.parent);
+
+  const relatives = await Member.find({
+    isDeleted: { $ne: true },
+    household: { $exists: false },
+    $or: [
+      { _id: { $in: guardianIds } },
+      { parent: member._id },
+      { 'guardians.member': member._id }
+    ]
+  }).lean();
+
+  // Shared contact comes from the member, or the first adult relative that has it
+  const contactSource = [member, ...relatives.filter(r => r.memberType === 'adult')];
+  const pick = field => (contactSource.find(m => m[field]) || {})[field];
+
+  const primary = member.memberType === 'adult'
+    ? member
+    : relatives.find(r => r.memberType === 'adult');
+
+  return createHousehold({
+    name: `${member.lastName} Household`,
+    address: pick('address'),
+    zipCode: pick('zipCode'),
+    phone: pick('phone'),
+    primaryContact: primary ? primary._id : undefined
+  }, [member._id, ...relatives.map(r => r._id)], userId);
+}
+
+/**
+ * Update a household's details and push shared contact changes to its members
+ * @param {ObjectId} householdId - Household to update
+ * @param {Object} data - name, address, zipCode, phone, notes, primaryContact
+ * @param {ObjectId} userId - User making the change
+ * @returns {Promise<Object>} The updated household
+ */
+async function updateHousehold(householdId, data, userId) {
+  const household = await Household.findById(householdId);
+  if (!household || household.isDeleted) {
+    throw new Error('Household not found');
+  }
+
+  const oldValues = household.toObject();
+
+  household.name = data.name;
+  for (const field of [...SHARED_FIELDS, 'notes', 'primaryContact']) {
+    household[field] = data[field] || undefined;
+  }
+  household.updatedBy = userId;
+  await household.save();
+
+  await applySharedContact(household, oldValues.phone);
+  await auditLogger.logUpdate('Household', household._id, oldValues, household.toObject(), userId);
+
+  return household;
+}
+
+/**
+ * Soft delete a household and unlink its members
+ * Members keep their copy of the shared contact info.
+ * @param {ObjectId} householdId - Household to delete
+ * @param {ObjectId} userId - User deleting the household
+ */
+async function deleteHousehold(householdId, userId) {
+  const household = await Household.findById(householdId);
+  if (!household || household.isDeleted) {
+    throw new Error('Household not found');
+  }
+
+  household.isDeleted = true;
+  household.deletedAt = new Date();
+  household.deletedBy = userId;
+  await household.save();
+
+  await Member.updateMany({ household: household._id }, { $unset: { household: 1 } });
+  await auditLogger.logDelete('Household', household._id, userId);
+}
+
+// ─── Membership ─────────────────────────────────────────────────────────────
+
+/**
+ * Add a member to a household and give them the shared contact info
+ * @param {ObjectId} householdId - Household to join
+ * @param {ObjectId} memberId - Member to add
+ * @param {ObjectId} userId - User making the change
+ */
+async function addMember(householdId, memberId, userId) {
+  const household = await Household.findById(householdId);
+  if (!household || household.isDeleted) {
+    throw new Error('Household not found');
+  }
+
+  const member = await Member.findById(memberId);
+  if (!member || member.isDeleted) {
+    throw new Error('Member not found');
+  }
+  if (member.household && String(member.household) !== String(household._id)) {
+    throw new Error(`${member.firstName} ${member.lastName} already belongs to another household`);
+  }
+
+  const oldValues = member.toObject();
+
+  await Member.updateOne(
+    { _id: member._id },
+    { $set: { household: household._id, updatedBy: userId, updatedAt: new Date() } }
+  );
+  await applySharedContact(household, null, member._id);
+
+  const updated = await Member.findById(member._id).lean();
+  await auditLogger.logUpdate('Member', member._id, oldValues, updated, userId);
+}
+
+/**
+ * Remove a member from their household
+ * @param {ObjectId} householdId - Household to leave
+ * @param {ObjectId} memberId - Member to remove
+ * @param {ObjectId} userId - User making the change
+ */
+async function removeMember(householdId, memberId, userId) {
+  const result = await Member.updateOne(
+    { _id: memberId, household: householdId },
+    { $unset: { household: 1 }, $set: { updatedBy: userId, updatedAt: new Date() } }
+  );
+  if (result.matchedCount === 0) {
+    throw new Error('Member is not in this household');
+  }
+
+  // Don't leave the household pointing at someone who no longer lives there
+  await Household.updateOne(
+    { _id: householdId, primaryContact: memberId },
+    { $unset: { primaryContact: 1 } }
+  );
+
+  await auditLogger.logUpdate('Member', memberId, { household: householdId }, { household: null }, userId);
+}
+
+/**
+ * Get a household's active members, adults first
+ * @param {ObjectId} householdId - Household ID
+ * @returns {Promise<Array>} Members
+ */
+async function getHouseholdMembers(householdId) {
+  return Member.find({ household: householdId, isDeleted: { $ne: true } })
+    .populate('guardians.member', 'firstName lastName')
+    .populate('parent', 'firstName lastName')
+    .sort({ memberType: 1, lastName: 1, firstName: 1 })
+    .lean();
+}
+
+/**
+ * Checkout, donation and visit totals across everyone in a household
+ * @param {ObjectId} householdId - Household ID
+ * @returns {Promise<Object>} { members, checkouts, booksCheckedOut, donations, booksDonated, monetaryDonated, visits }
+ */
+async function getHouseholdTotals(householdId) {
+  const members = await Member.find({ household: householdId, isDeleted: { $ne: true } }).select('_id').lean();
+  const memberIds = members.map(m => m._id);
+
+  const [checkoutStats, donationStats, visits] = await Promise.all([
+    Checkout.aggregate([
+      { $match: { member: { $in: memberIds }, isDeleted: { $ne: true } } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          books: { $sum: { $ifNull: ['$numberOfBooks', 0] } }
+        }
+      }
+    ]),
+    Donation.aggregate([
+      { $match: { member: { $in: memberIds }, isDeleted: { $ne: true } } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          books: { $sum: { $ifNull: ['$numberOfBooks', 0] } },
+          monetary: { $sum: { $ifNull: ['$monetaryAmount', 0] } }
+        }
+      }
+    ]),
+    Visit.countDocuments({ member: { $in: memberIds } })
+  ]);
+
+  const checkouts = checkoutStats[0] || { count: 0, books: 0 };
+  const donations = donationStats[0] || { count: 0, books: 0, monetary: 0 };
+
+  return {
+    members: memberIds.length,
+    checkouts: checkouts.count,
+    booksCheckedOut: checkouts.books,
+    donations: donations.count,
+    booksDonated: donations.books,
+    monetaryDonated: donations.monetary,
+    visits
+  };
+}
+
+// ─── Guardians ──────────────────────────────────────────────────────────────
+
+/**
+ * Add or update a guardian for a child
+ *
+ * The first guardian also becomes the child's legacy `parent`.
+ *
+ * @param {ObjectId} childId - Child member
+ * @param {ObjectId} guardianId - Guardian member
+ * @param {Object} options - { relationship, canPickup }
+ * @param {ObjectId} userId - User making the change
+ */
+async function setGuardian(childId, guardianId, options, userId) {
+  if (String(childId) === String(guardianId)) {
+    throw new Error('A member cannot be their own guardian');
+  }
+
+  const [child, guardian] = await Promise.all([
+    Member.findById(childId),
+    Member.findById(guardianId)
+  ]);
+  if (!child || child.isDeleted || !guardian || guardian.isDeleted) {
+    throw new Error('Member not found');
+  }
+
+  const oldValues = { guardians: child.toObject().guardians, parent: child.parent };
+  const entry = {
+    member: guardian._id,
+    relationship: options.relationship || 'parent',
+    canPickup: options.canPickup !== false
+  };
+
+  const guardians = (child.guardians || []).map(g => g.toObject());
+  const index = guardians.findIndex(g => String(g.member) === String(guardian._id));
+  if (index === -1) {
+    guardians.push(entry);
+  } else {
+    guardians[index] = entry;
+  }
+
+  const set = { guardians, updatedBy: userId, updatedAt: new Date() };
+  if (!child.parent) set.parent = guardian._id;
+
+  await Member.updateOne({ _id: child._id }, { $set: set });
+  await auditLogger.logUpdate('Member', child._id, oldValues, { guardians, parent: set.parent || child.parent }, userId);
+}
+
+/**
+ * Remove a guardian from a child
+ *
+ * If they were the legacy `parent`, the next guardian takes their place.
+ *
+ * @param {ObjectId} childId - Child member
+ * @param {ObjectId} guardianId - Guardian member to remove
+ * @param {ObjectId} userId - User making the change
+ */
+async function removeGuardian(childId, guardianId, userId) {
+  const child = await Member.findById(childId);
+  if (!child) {
+    throw new Error('Member not found');
+  }
+
+  const oldValues = { guardians: child.toObject().guardians, parent: child.parent };
+  const guardians = (child.guardians || [])
+    .map(g => g.toObject())
+    .filter(g => String(g.member) !== String(guardianId));
+
+  const update = { $set: { guardians, updatedBy: userId, updatedAt: new Date() } };
+  let parent = child.parent;
+  if (child.parent && String(child.parent) === String(guardianId)) {
+    if (guardians.length > 0) {
+      parent = guardians[0].member;
+      update.$set.parent = parent;
+    } else {
+      parent = null;
+      update.$unset = { parent: 1 };
+    }
+  }
+
+  await Member.updateOne({ _id: child._id }, update);
+  await auditLogger.logUpdate('Member', child._id, oldValues, { guardians, parent }, userId);
+}
+
+/**
+ * A child's guardians, populated
+ *
+ * Children created before guardians existed only have `parent`; that parent
+ * is reported as a guardian who may pick up.
+ *
+ * @param {Object} member - Member with guardians populated (lean)
+ * @returns {Array} [{ member, relationship, canPickup }]
+ */
+function listGuardians(member) {
+  const guardians = (member.guardians || []).filter(g => g.member);
+  if (guardians.length === 0 && member.parent) {
+    return [{ member: member.parent, relationship: 'parent', canPickup: true }];
+  }
+  return guardians;
+}
+
+/**
+ * Link a newly created child to a parent: guardian entry plus the parent's household
+ * @param {ObjectId} childId - Child member
+ * @param {ObjectId} parentId - Parent member
+ * @param {ObjectId} userId - User making the change
+ */
+async function linkChildToParent(childId, parentId, userId) {
+  await setGuardian(childId, parentId, { relationship: 'parent', canPickup: true }, userId);
+
+  const [child, parent] = await Promise.all([
+    Member.findById(childId).select('household').lean(),
+    Member.findById(parentId).select('household').lean()
+  ]);
+  if (parent && parent.household && !child.household) {
+    await addMember(parent.household, childId, userId);
+  }
+}
+
+module.exports = {
+  SHARED_FIELDS,
+  RELATIONSHIP_TYPES: Household.RELATIONSHIP_TYPES,
+  createHousehold,
+  createHouseholdFromMember,
+  updateHousehold,
+  deleteHousehold,
+  addMember,
+  removeMember,
+  getHouseholdMembers,
+  getHouseholdTotals,
+  setGuardian,
+  removeGuardian,
+  listGuardians,
+  linkChildToParent
+};
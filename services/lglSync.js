@@ -0,0 +1,322 @@
+// services/lglSync.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// LITTLE GREEN LIGHT SYNC
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// The development team keeps donors in Little Green Light (LGL). This pushes
+// our donations there, through LGL's API:
+//
+//   1. Picks non-deleted donations in a date range that haven't been fully
+//      synced yet (Donation.lgl.syncedAt is empty)
+//   2. Makes sure each donor (Member or Organization) is an LGL constituent,
+//      creating it the first time and keeping its ID in donor.lgl
+//   3. Sends the books as an in-kind gift and any money as a cash gift, and
+//      keeps each gift's ID in donation.lgl
+//
+// IDs are saved as soon as LGL returns them, so re-running a sync after a
+// failure only sends what's missing. Anonymous donations are skipped. A dry
+// run records what would be sent without calling LGL. Every run is kept as a
+// SyncHistory with per-row errors.
+//
+// Changes made to a donation or donor after it was synced are not re-sent.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const axios = require('axios');
+const Donation = require('../models/Donation');
+const Member = require('../models/Member');
+const Organization = require('../models/Organization');
+const SyncHistory = require('../models/SyncHistory');
+const { bookValue } = require('./receipts');
+const { LGL } = require('../config/lgl');
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const DONOR_MODELS = { Member, Organization };
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * A date as YYYY-MM-DD in server time
+ * @param {Date} date
+ * @returns {String}
+ */
+function isoDate(date) {
+  const d = new Date(date);
+  return [
+    d.getFullYear(),
+    String(d.getMonth() + 1).padStart(2, '0'),
+    String(d.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Best error message from an LGL error response
+ * @param {*} data - Response body
+ * @returns {String}
+ */
+function describeError(data) {
+  if (data && Array.isArray(data.errors)) return data.errors.join(', ');
+  if (data && data.error) return data.error;
+  if (typeof data === 'string' && data) return data.slice(0, 200);
+  return 'no details';
+}
+
+/**
+ * LGL API client
+ *
+ * @param {Object} options
+ * @param {String} options.apiUrl - Defaults to LGL_API_URL
+ * @param {String} options.apiKey - Defaults to LGL_API_KEY
+ * @returns {{createConstituent: Function, createGift: Function}}
+ */
+function createClient({ apiUrl = LGL.apiUrl, apiKey = LGL.apiKey } = {}) {
+  if (!apiKey) {
+    throw new Error('LGL_API_KEY is not set');
+  }
+
+  async function post(path, body) {
+    const response = await axios.post(apiUrl + path, body, {
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: () => true
+    });
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`LGL answered ${response.status}: ${describeError(response.data)}`);
+    }
+    return response.data;
+  }
+
+  return {
+    createConstituent: body => post('/constituents.json', body),
+    createGift: (constituentId, body) => post(`/constituents/${encodeURIComponent(constituentId)}/gifts.json`, body)
+  };
+}
+
+// ─── Payloads ───────────────────────────────────────────────────────────────
+
+/**
+ * LGL constituent for a donor
+ * @param {Object} donor - Member or Organization
+ * @param {String} model - 'Member' or 'Organization'
+ * @returns {Object}
+ */
+function constituentPayload(donor, model) {
+  const payload = model === 'Organization'
+    ? { is_org: true, org_name: donor.name }
+    : { first_name: donor.firstName, last_name: donor.lastName };
+
+  payload.external_constituent_id = `${model.toLowerCase()}-${donor._id}`;
+  payload.email_addresses = donor.email ? [{ address: donor.email }] : [];
+  payload.phone_numbers = donor.phone ? [{ number: donor.phone }] : [];
+  payload.street_addresses = donor.address || donor.zipCode
+    ? [{ street: donor.address || '', postal_code: donor.zipCode || '' }]
+    : [];
+  return payload;
+}
+
+/**
+ * LGL gifts for a donation: books as in-kind, money as cash
+ * @param {Object} donation
+ * @returns {Array<{field: String, payload: Object}>} field is where the gift's ID is kept in donation.lgl
+ */
+function giftPayloads(donation) {
+  const gifts = [];
+  const common = {
+    received_date: isoDate(donation.donatedAt),
+    ...(LGL.fundId && { fund_id: LGL.fundId })
+  };
+
+  if (donation.numberOfBooks > 0) {
+    const value = bookValue(donation);
+    let note = `${donation.numberOfBooks} ${donation.donationType === 'new' ? 'new' : 'used'} book${donation.numberOfBooks === 1 ? '' : 's'}`;
+    if (donation.isBookDrive) {
+      note += ` (book drive${donation.bookDriveName ? ': ' + donation.bookDriveName : ''})`;
+    }
+    gifts.push({
+      field: 'inKindGiftId',
+      payload: {
+        ...common,
+        external_id: `donation-${donation._id}-books`,
+        received_amount: value,
+        deductible_amount: value,
+        note,
+        ...(LGL.inKindGiftTypeId && { gift_type_id: LGL.inKindGiftTypeId })
+      }
+    });
+  }
+
+  if (donation.monetaryAmount > 0) {
+    gifts.push({
+      field: 'cashGiftId',
+      payload: {
+        ...common,
+        external_id: `donation-${donation._id}-cash`,
+        received_amount: donation.monetaryAmount,
+        deductible_amount: donation.monetaryAmount,
+        note: 'Monetary donation',
+        ...(LGL.cashGiftTypeId && { gift_type_id: LGL.cashGiftTypeId })
+      }
+    });
+  }
+
+  return gifts;
+}
+
+// ─── Sync ───────────────────────────────────────────────────────────────────
+
+/**
+ * Query for donations still to be synced
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} range.to - Exclusive
+ * @returns {Object} Mongo filter
+ */
+function pendingFilter({ from, to } = {}) {
+  const filter = {
+    isDeleted: { $ne: true },
+    'lgl.syncedAt': null,
+    $or: [{ member: { $ne: null } }, { organization: { $ne: null } }]
+  };
+  if (from || to) {
+    filter.donatedAt = {};
+    if (from) filter.donatedAt.$gte = from;
+    if (to) filter.donatedAt.$lt = to;
+  }
+  return filter;
+}
+
+/**
+ * How many donations a sync would pick up (anonymous ones aren't counted)
+ * @param {Object} range - from, to
+ * @returns {Promise<Number>}
+ */
+function countPending(range) {
+  return Donation.countDocuments(pendingFilter(range));
+}
+
+/**
+ * Push one donation and, if needed, its donor
+ * @param {Object} donation - Lean donation with member/organization populated
+ * @param {Number} row - Row number for the sync history
+ * @param {Object} context - job, client, dryRun, constituentIds (donor key → LGL ID for this run)
+ */
+async function syncDonation(donation, row, { job, client, dryRun, constituentIds }) {
+  const model = donation.member ? 'Member' : 'Organization';
+  const donor = donation.member || donation.organization;
+  const key = `${model}:${donor._id}`;
+
+  let constituentId = (donor.lgl && donor.lgl.constituentId) || constituentIds.get(key);
+  if (!constituentId) {
+    const payload = constituentPayload(donor, model);
+    if (dryRun) {
+      constituentId = 'dry-run';
+    } else {
+      const created = await client.createConstituent(payload);
+      constituentId = String(created.id);
+      await DONOR_MODELS[model].updateOne(
+        { _id: donor._id },
+        { $set: { 'lgl.constituentId': constituentId, 'lgl.syncedAt': new Date() } }
+      );
+    }
+    constituentIds.set(key, constituentId);
+    job.pushedRecords.push({ row, model, recordId: donor._id, externalId: dryRun ? null : constituentId, payload });
+    job.stats.constituentsCreated++;
+  }
+
+  const existing = donation.lgl || {};
+  for (const gift of giftPayloads(donation)) {
+    if (existing[gift.field]) continue;
+
+    let giftId = null;
+    if (!dryRun) {
+      const created = await client.createGift(constituentId, gift.payload);
+      giftId = String(created.id);
+      await Donation.updateOne({ _id: donation._id }, { $set: { [`lgl.${gift.field}`]: giftId } });
+    }
+    job.pushedRecords.push({ row, model: 'Donation', recordId: donation._id, externalId: giftId, payload: gift.payload });
+    job.stats.giftsCreated++;
+  }
+
+  if (!dryRun) {
+    await Donation.updateOne({ _id: donation._id }, { $set: { 'lgl.syncedAt': new Date() } });
+  }
+}
+
+/**
+ * Sync donations (and their donors) to LGL
+ *
+ * @param {Object} options
+ * @param {Date} options.from - Earliest donation date (optional)
+ * @param {Date} options.to - Exclusive end date (optional)
+ * @param {Boolean} options.dryRun - Only record what would be sent
+ * @param {ObjectId} options.userId - User running the sync
+ * @param {Object} options.client - LGL client (defaults to createClient())
+ * @returns {Promise<Object>} SyncHistory document
+ */
+async function runSync({ from = null, to = null, dryRun = false, userId, client = null }) {
+  const job = await SyncHistory.create({
+    target: 'lgl',
+    runBy: userId,
+    dryRun,
+    options: { from, to },
+    status: 'processing'
+  });
+
+  try {
+    const context = {
+      job,
+      dryRun,
+      client: dryRun ? null : (client || createClient()),
+      constituentIds: new Map()
+    };
+
+    const donations = await Donation.find(pendingFilter({ from, to }))
+      .populate('member', 'firstName lastName email phone address zipCode lgl')
+      .populate('organization', 'name email phone address zipCode lgl')
+      .sort({ donatedAt: 1 })
+      .lean();
+    job.stats.totalRows = donations.length;
+
+    for (let i = 0; i < donations.length; i++) {
+      const donation = donations[i];
+      const row = i + 1;
+
+      // Donor record deleted since the donation was recorded
+      if (!donation.member && !donation.organization) {
+        job.stats.skipped++;
+        continue;
+      }
+
+      try {
+        await syncDonation(donation, row, context);
+        job.stats.successful++;
+      } catch (err) {
+        job.stats.failed++;
+        job.rowErrors.push({ row, model: 'Donation', recordId: donation._id, error: err.message });
+      }
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    await job.save();
+
+    return job;
+  } catch (err) {
+    job.status = 'failed';
+    job.rowErrors.push({ row: 0, error: err.message });
+    job.completedAt = new Date();
+    await job.save();
+
+    throw err;
+  }
+}
+
+module.exports = {
+  createClient,
+  constituentPayload,
+  giftPayloads,
+  pendingFilter,
+  countPending,
+  runSync
+};
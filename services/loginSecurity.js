@@ -0,0 +1,181 @@
+// services/loginSecurity.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// LOGIN ATTEMPTS & ACCOUNT LOCKOUT
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Slows down password guessing on a single account (the global rate limit in
+// server.js only limits requests per IP):
+//
+//   • Every login attempt is written to LoginEvent with the IP and browser.
+//   • Wrong passwords (and wrong two-step codes) count up
+//     User.failedLoginAttempts. Reaching the limit from /admin/security locks
+//     the account - the password isn't even checked while it's locked.
+//   • Each lockout lasts twice as long as the one before (15 min, 30 min,
+//     1 hour... up to a day) until the user logs in successfully.
+//   • The account owner gets an email when their account is locked.
+//   • A password reset or an admin on /admin/users unlocks it early.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const SecuritySettings = require('../models/SecuritySettings');
+const mailer = require('./mailer');
+
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * IP address and browser of a request, for the login log
+ * @param {Object} req - Express request
+ * @returns {{ipAddress: String, userAgent: String}}
+ */
+function clientInfo(req) {
+  return {
+    ipAddress: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 500)
+  };
+}
+
+/**
+ * Whether an account is locked right now
+ * @param {Object} user - User
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+function isLocked(user, now = new Date()) {
+  return Boolean(user.lockedUntil && user.lockedUntil > now);
+}
+
+/**
+ * Minutes until a locked account opens again (at least 1)
+ * @param {Object} user - Locked user
+ * @param {Date} now
+ * @returns {Number}
+ */
+function minutesLeft(user, now = new Date()) {
+  return Math.max(1, Math.ceil((user.lockedUntil - now) / 60000));
+}
+
+/**
+ * How long a lockout lasts: the base length, doubled for each earlier lockout
+ * @param {Number} lockoutCount - Which lockout this is (1 for the first)
+ * @param {Object} settings - SecuritySettings
+ * @returns {Number} Milliseconds
+ */
+function lockoutDuration(lockoutCount, settings) {
+  const base = settings.lockoutMinutes * 60 * 1000;
+  return Math.min(base * 2 ** Math.max(0, lockoutCount - 1), MAX_LOCKOUT_MS);
+}
+
+/**
+ * Write a LoginEvent (failures here never block a login)
+ * @param {Object} req - Express request
+ * @param {Object} fields - user, email, outcome, method, mfaMethod, causedLockout
+ */
+async function recordEvent(req, fields) {
+  try {
+    await LoginEvent.create({ ...clientInfo(req), ...fields });
+  } catch (err) {
+    console.error('Failed to record login event:', err.message);
+  }
+}
+
+/**
+ * Count a failed attempt, locking the account when it reaches the limit
+ *
+ * @param {Object} user - User whose password (or code) was wrong
+ * @param {Object} req - Express request
+ * @param {String} outcome - 'bad_password' or 'bad_mfa_code'
+ * @returns {Promise<{locked: Boolean, lockedUntil?: Date}>} Whether this attempt locked it
+ */
+async function recordFailure(user, req, outcome = 'bad_password') {
+  const settings = await SecuritySettings.getSettings();
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  let lockedUntil = null;
+  if (counted && counted.failedLoginAttempts >= settings.lockoutThreshold) {
+    const lockoutCount = (counted.lockoutCount || 0) + 1;
+    const until = new Date(Date.now() + lockoutDuration(lockoutCount, settings));
+
+    // Conditional, so two attempts arriving together only lock (and email) once
+    const locked = await User.findOneAndUpdate(
+      { _id: user._id, failedLoginAttempts: counted.failedLoginAttempts },
+      { $set: { failedLoginAttempts: 0, lockoutCount, lockedUntil: until } },
+      { new: true }
+    );
+
+    if (locked) {
+      lockedUntil = until;
+      mailer.sendAccountLockedEmail(user.email, user.firstName, {
+        failedAttempts: counted.failedLoginAttempts,
+        lockedUntil: until,
+        ...clientInfo(req),
+        userId: user._id.toString()
+      }).catch(err => console.error('Failed to send account locked email:', err.message));
+    }
+  }
+
+  await recordEvent(req, { user: user._id, email: user.email, outcome, causedLockout: Boolean(lockedUntil) });
+  return lockedUntil ? { locked: true, lockedUntil } : { locked: false };
+}
+
+/**
+ * Record a successful login and clear the failure count
+ * @param {Object} user - User who logged in
+ * @param {Object} req - Express request
+ * @param {String} mfaMethod - 'totp' or 'recovery' if a second step was used
+ * @param {String} method - 'password' or 'google'
+ */
+async function recordSuccess(user, req, mfaMethod = null, method = 'password') {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null, lastLoginAt: new Date() } }
+  );
+  await recordEvent(req, { user: user._id, email: user.email, outcome: 'success', method, mfaMethod });
+}
+
+/**
+ * Lift a lockout early (password reset or admin)
+ * @param {ObjectId} userId
+ * @returns {Promise<Object|null>} The updated user
+ */
+function unlock(userId) {
+  return User.findByIdAndUpdate(
+    userId,
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null } },
+    { new: true }
+  );
+}
+
+/**
+ * Latest login events for each of several users, for /admin/users
+ * @param {Array<ObjectId>} userIds
+ * @param {Number} limit - Events per user
+ * @returns {Promise<Object>} User ID → events, newest first
+ */
+async function getRecentEventsByUser(userIds, limit = 10) {
+  const lists = await Promise.all(userIds.map(userId =>
+    LoginEvent.find({ user: userId }).sort({ createdAt: -1 }).limit(limit).lean()
+  ));
+
+  const byUser = {};
+  userIds.forEach((userId, i) => { byUser[userId.toString()] = lists[i]; });
+  return byUser;
+}
+
+module.exports = {
+  clientInfo,
+  isLocked,
+  minutesLeft,
+  lockoutDuration,
+  recordEvent,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  getRecentEventsByUser
+};
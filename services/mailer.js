@@ -8,6 +8,18 @@
 // - Thank-you emails for book checkouts/donations
 // - Admin notifications
 //
+// Every email's wording comes from an admin-editable EmailTemplate (see
+// models/EmailTemplate.js and /admin/email-templates), rendered with
+// utils/templateEngine.js.
+//
+// Before every send the recipient is checked against the suppression list
+// (services/suppression.js), and every email except password resets gets a
+// signed one-click unsubscribe link.
+//
+// Thank-you emails are not sent from route handlers directly - they are
+// queued with services/emailQueue.js, which calls these functions and
+// retries failed sends.
+//
 // ─────────────────────────────────────────────────────────────────────────────
 // 🔧 CONFIGURATION INSTRUCTIONS (for Google Workspace / Gmail)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -49,6 +61,12 @@
 
 const nodemailer = require('nodemailer');
 const mongoose = require('mongoose');
+const templateEngine = require('../utils/templateEngine');
+const suppression = require('./suppression');
+
+// Account and staff emails that shouldn't carry an unsubscribe link - it
+// only stops campaigns, so it would be no use to them
+const NO_UNSUBSCRIBE_LINK = ['password_reset', 'account_locked', 'user_invite', 'scheduled_report'];
 
 // ─── Email Log Model (inline to avoid circular dependencies) ────────────────
 const emailLogSchema = new mongoose.Schema({
@@ -62,6 +80,9 @@ const emailLogSchema = new mongoose.Schema({
   sentAt: { type: Date, default: Date.now }
 });
 
+// Per-recipient status for bulk campaigns (services/campaigns.js)
+emailLogSchema.index({ 'metadata.campaignId': 1, sentAt: -1 }, { sparse: true });
+
 // Only create the model if it doesn't already exist
 const EmailLog = mongoose.models.EmailLog || mongoose.model('EmailLog', emailLogSchema);
 
@@ -95,203 +116,69 @@ function createTransporter() {
 // Initialize transporter on module load
 transporter = createTransporter();
 
-// ─── Send Password Reset Email ───────────────────────────────────────────────
+// ─── Helper: Is Email Configured ────────────────────────────────────────────
 /**
- * Send a password reset email with a unique token link
- *
- * @param {string} email - Recipient email address
- * @param {string} resetToken - Unique reset token (stored in User.resetToken)
- * @param {string} firstName - User's first name for personalization
- * @returns {Promise<void>}
+ * Whether SMTP credentials are set, so emails can actually be sent
+ * @returns {boolean}
  */
-async function sendPasswordResetEmail(email, resetToken, firstName) {
-  if (!transporter) {
-    console.error('❌ Cannot send password reset email: Email service not configured');
-    throw new Error('Email service is not configured. Please contact an administrator.');
-  }
-
-  const resetUrl = `${process.env.APP_BASE_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
-
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || '"TreeHouse Books" <noreply@treehousebooks.org>',
-    to: email,
-    subject: 'Password Reset Request - TreeHouse Books',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #2c5f2d;">Password Reset Request</h2>
-        <p>Hi ${firstName},</p>
-        <p>You requested a password reset for your TreeHouse Books account.</p>
-        <p>Click the button below to reset your password:</p>
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${resetUrl}"
-             style="background-color: #2c5f2d; color: white; padding: 12px 24px;
-                    text-decoration: none; border-radius: 4px; display: inline-block;">
-            Reset Password
-          </a>
-        </div>
-        <p style="color: #666; font-size: 14px;">
-          Or copy and paste this link into your browser:<br>
-          <a href="${resetUrl}">${resetUrl}</a>
-        </p>
-        <p style="color: #666; font-size: 14px;">
-          <strong>This link expires in 1 hour.</strong>
-        </p>
-        <p style="color: #666; font-size: 14px;">
-          If you didn't request this reset, please ignore this email. Your password will remain unchanged.
-        </p>
-        <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
-        <p style="color: #999; font-size: 12px; text-align: center;">
-          TreeHouse Books Dashboard<br>
-          This is an automated message, please do not reply.
-        </p>
-      </div>
-    `,
-    text: `
-      Hi ${firstName},
-
-      You requested a password reset for your TreeHouse Books account.
-
-      Click this link to reset your password:
-      ${resetUrl}
-
-      This link expires in 1 hour.
-
-      If you didn't request this reset, please ignore this email. Your password will remain unchanged.
-
-      TreeHouse Books Dashboard
-    `
-  };
+function isEmailConfigured() {
+  return transporter !== null;
+}
 
-  try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`✅ Password reset email sent to ${email}: ${info.messageId}`);
-    return info;
-  } catch (error) {
-    console.error('❌ Error sending password reset email:', error);
-    throw new Error('Failed to send password reset email. Please try again later.');
-  }
+// ─── Helper: Format Date ────────────────────────────────────────────────────
+/**
+ * Format a date for an email body
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. "March 4, 2025"
+ */
+function formatEmailDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
 }
 
-// ─── Send Checkout Thank You Email ──────────────────────────────────────────
+// ─── Helper: Render Template ────────────────────────────────────────────────
 /**
- * Send a thank-you email after book checkout
+ * Fill in a template's subject and bodies
+ * Placeholder values are HTML-escaped in the HTML body only.
+ * See utils/templateEngine.js for the template syntax.
  *
- * @param {string} email - Member email address
- * @param {string} firstName - Member's first name
- * @param {object} details - Checkout details
- * @param {number} details.numberOfBooks - Number of books checked out
- * @param {string[]} details.genres - Array of genres (optional)
- * @param {number} details.weight - Total weight in lbs (optional)
- * @returns {Promise<void>}
+ * @param {object} template - Object with subject, htmlBody and textBody
+ * @param {object} data - Placeholder values
+ * @returns {{subject: string, htmlBody: string, textBody: string}}
+ * @throws {TemplateSyntaxError} If the template is invalid
  */
-async function sendCheckoutThankYouEmail(email, firstName, details) {
-  if (!transporter) {
-    console.warn('⚠️  Email service not configured. Thank-you email not sent.');
-    return; // Fail silently for thank-you emails (non-critical)
-  }
-
-  const { numberOfBooks, genres, weight } = details;
-  const genreList = genres && genres.length > 0
-    ? genres.join(', ')
-    : 'various genres';
-
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || '"TreeHouse Books" <noreply@treehousebooks.org>',
-    to: email,
-    subject: 'Thank You for Visiting TreeHouse Books!',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="text-align: center; margin-bottom: 30px;">
-          <h1 style="color: #2c5f2d; margin: 0;">📚 Thank You!</h1>
-        </div>
-
-        <p style="font-size: 16px;">Hi ${firstName},</p>
-
-        <p style="font-size: 16px;">
-          Thank you for visiting TreeHouse Books! We're delighted you found books to enjoy.
-        </p>
-
-        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="color: #2c5f2d; margin-top: 0;">Your Checkout Summary:</h3>
-          <ul style="font-size: 15px; line-height: 1.8;">
-            <li><strong>Books checked out:</strong> ${numberOfBooks}</li>
-            ${genres && genres.length > 0 ? `<li><strong>Genres:</strong> ${genreList}</li>` : ''}
-            ${weight ? `<li><strong>Weight:</strong> ${weight} lbs</li>` : ''}
-          </ul>
-        </div>
-
-        <p style="font-size: 16px;">
-          Happy reading! We hope you enjoy your selections.
-        </p>
-
-        <p style="font-size: 16px;">
-          Please remember to return or renew your books when you're finished.
-          Feel free to visit us again anytime!
-        </p>
-
-        <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
-
-        <p style="color: #666; font-size: 13px; text-align: center;">
-          <strong>TreeHouse Books</strong><br>
-          Building community through books 📖<br>
-          <em>This is an automated message. Please do not reply.</em>
-        </p>
-      </div>
-    `,
-    text: `
-Hi ${firstName},
-
-Thank you for visiting TreeHouse Books! We're delighted you found books to enjoy.
-
-Your Checkout Summary:
-- Books checked out: ${numberOfBooks}
-${genres && genres.length > 0 ? `- Genres: ${genreList}` : ''}
-${weight ? `- Weight: ${weight} lbs` : ''}
-
-Happy reading! We hope you enjoy your selections.
-
-Please remember to return or renew your books when you're finished.
-Feel free to visit us again anytime!
-
----
-TreeHouse Books
-Building community through books
-    `
+function renderTemplate(template, data) {
+  return {
+    subject: templateEngine.render(template.subject, data).replace(/\s+/g, ' ').trim(),
+    htmlBody: templateEngine.render(template.htmlBody, data, { escape: true }),
+    textBody: templateEngine.render(template.textBody, data)
   };
-
-  try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`✅ Checkout thank-you email sent to ${email}: ${info.messageId}`);
-    return info;
-  } catch (error) {
-    console.error('❌ Error sending checkout thank-you email:', error);
-    // Don't throw - thank-you emails are non-critical
-  }
 }
 
-// ─── Helper: Replace Placeholders in Template ──────────────────────────────
+// ─── Helper: Unsubscribe Footer ─────────────────────────────────────────────
 /**
- * Replace {{placeholder}} tokens in a template string with actual values
- * @param {string} template - Template string with {{placeholders}}
- * @param {object} data - Key-value pairs for replacement
- * @returns {string} - Template with placeholders replaced
+ * Add an unsubscribe link to rendered bodies, unless the template already
+ * placed {{unsubscribeUrl}} itself
+ *
+ * @param {object} template - The template that was rendered
+ * @param {{htmlBody: string, textBody: string}} rendered - Rendered bodies
+ * @param {string} url - Unsubscribe URL
+ * @returns {{htmlBody: string, textBody: string}}
  */
-function replacePlaceholders(template, data) {
-  if (!template) return '';
-
-  let result = template;
-
-  for (const [key, value] of Object.entries(data)) {
-    const placeholder = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-    result = result.replace(placeholder, value || '');
+function addUnsubscribeFooter(template, rendered, url) {
+  let { htmlBody, textBody } = rendered;
+
+  if (!(template.htmlBody || '').includes('unsubscribeUrl')) {
+    const footer = `<p style="font-size: 12px; color: #666; text-align: center;">Don't want news and announcements from TreeHouse Books? <a href="${templateEngine.escapeHtml(url)}">Unsubscribe</a></p>`;
+    htmlBody = /<\/body>/i.test(htmlBody)
+      ? htmlBody.replace(/<\/body>/i, `${footer}\n</body>`)
+      : `${htmlBody}\n${footer}`;
   }
 
-  // Handle conditional blocks {{#if field}}...{{/if}}
-  result = result.replace(/\{\{#if (\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, field, content) => {
-    return data[field] ? content : '';
-  });
+  if (textBody && !(template.textBody || '').includes('unsubscribeUrl')) {
+    textBody = `${textBody}\n\n---\nUnsubscribe from news and announcements: ${url}`;
+  }
 
-  return result;
+  return { htmlBody, textBody };
 }
 
 // ─── Log Email Send Attempt ─────────────────────────────────────────────────
@@ -310,16 +197,23 @@ async function logEmailSend(logData) {
 // ─── Send Email Using Database Template ─────────────────────────────────────
 /**
  * Send an email using a database-stored template
- * Falls back to provided defaults if template not found or inactive
+ *
+ * If the template is disabled or missing, templates listed in
+ * EmailTemplate.ALWAYS_SENT fall back to their built-in default (or the
+ * fallback passed in); any other template is simply not sent.
+ *
+ * Suppressed addresses are logged as skipped instead of emailed. Campaign
+ * templates count as marketing, so unsubscribed addresses are skipped too.
  *
  * @param {string} templateKey - Template identifier (e.g., 'donation_thank_you')
  * @param {string} recipientEmail - Recipient email address
  * @param {object} placeholderData - Data to replace placeholders
  * @param {object} metadata - Additional context for logging (e.g., donationId)
  * @param {object} fallback - Fallback template if database template not found
- * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ * @param {Array} attachments - Nodemailer attachments (optional)
+ * @returns {Promise<{success: boolean, skipped?: boolean, suppressed?: boolean, messageId?: string, error?: string}>}
  */
-async function sendTemplatedEmail(templateKey, recipientEmail, placeholderData, metadata = {}, fallback = null) {
+async function sendTemplatedEmail(templateKey, recipientEmail, placeholderData, metadata = {}, fallback = null, attachments = []) {
   // Check if email service is configured
   if (!transporter) {
     console.warn(`⚠️  Email service not configured. ${templateKey} email not sent to ${recipientEmail}`);
@@ -333,38 +227,69 @@ async function sendTemplatedEmail(templateKey, recipientEmail, placeholderData,
     return { success: false, error: 'Email service not configured' };
   }
 
+  const EmailTemplate = require('../models/EmailTemplate');
   let template = null;
-  let subject, htmlBody, textBody;
 
   // Try to get template from database
   try {
-    const EmailTemplate = require('../models/EmailTemplate');
     template = await EmailTemplate.getByKey(templateKey);
   } catch (err) {
     console.warn(`⚠️  Could not fetch email template "${templateKey}":`, err.message);
   }
 
-  if (template) {
-    // Use database template
-    subject = replacePlaceholders(template.subject, placeholderData);
-    htmlBody = replacePlaceholders(template.htmlBody, placeholderData);
-    textBody = replacePlaceholders(template.textBody, placeholderData);
-  } else if (fallback) {
-    // Use provided fallback template
-    subject = replacePlaceholders(fallback.subject, placeholderData);
-    htmlBody = replacePlaceholders(fallback.htmlBody, placeholderData);
-    textBody = replacePlaceholders(fallback.textBody, placeholderData);
-    console.log(`ℹ️  Using fallback template for "${templateKey}"`);
-  } else {
-    console.warn(`⚠️  No template found for "${templateKey}" and no fallback provided. Email not sent.`);
+  if (!template) {
+    template = fallback || (EmailTemplate.ALWAYS_SENT.includes(templateKey) ? EmailTemplate.getDefault(templateKey) : null);
+    if (template) {
+      console.log(`ℹ️  Using built-in template for "${templateKey}"`);
+    }
+  }
+
+  if (!template) {
+    // Disabled on purpose by an admin - not a failed send, so not logged
+    return { success: false, skipped: true, error: 'Template is not active' };
+  }
+
+  const suppressed = await suppression.isSuppressed(recipientEmail, { marketing: template.category === 'campaign' });
+  if (suppressed) {
+    const reason = `Address is on the suppression list (${suppressed.reason})`;
+    console.log(`ℹ️  ${templateKey} email to ${recipientEmail} skipped: ${reason}`);
     await logEmailSend({
       templateKey,
       recipient: recipientEmail,
       status: 'skipped',
-      error: 'No template available',
+      error: reason,
       metadata
     });
-    return { success: false, error: 'No template available' };
+    return { success: false, skipped: true, suppressed: true, error: reason };
+  }
+
+  const unsubscribeUrl = NO_UNSUBSCRIBE_LINK.includes(templateKey) ? null : suppression.unsubscribeUrl(recipientEmail);
+  const data = unsubscribeUrl ? { unsubscribeUrl, ...placeholderData } : placeholderData;
+
+  let subject, htmlBody, textBody;
+  try {
+    ({ subject, htmlBody, textBody } = renderTemplate(template, data));
+  } catch (err) {
+    // A broken saved template shouldn't stop an email that must go out
+    const builtIn = EmailTemplate.ALWAYS_SENT.includes(templateKey) ? EmailTemplate.getDefault(templateKey) : null;
+    if (!builtIn || template === builtIn) {
+      console.error(`❌ Template "${templateKey}" could not be rendered:`, err.message);
+      await logEmailSend({
+        templateKey,
+        recipient: recipientEmail,
+        status: 'failed',
+        error: `Template error: ${err.message}`,
+        metadata
+      });
+      return { success: false, error: err.message };
+    }
+    console.error(`❌ Template "${templateKey}" could not be rendered (${err.message}) - using built-in version`);
+    template = builtIn;
+    ({ subject, htmlBody, textBody } = renderTemplate(builtIn, data));
+  }
+
+  if (unsubscribeUrl) {
+    ({ htmlBody, textBody } = addUnsubscribeFooter(template, { htmlBody, textBody }, unsubscribeUrl));
   }
 
   const mailOptions = {
@@ -374,6 +299,16 @@ async function sendTemplatedEmail(templateKey, recipientEmail, placeholderData,
     html: htmlBody,
     text: textBody
   };
+  if (attachments && attachments.length > 0) {
+    mailOptions.attachments = attachments;
+  }
+  if (unsubscribeUrl) {
+    // One-click unsubscribe button in Gmail, Apple Mail etc. (RFC 8058)
+    mailOptions.headers = {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
 
   try {
     const info = await transporter.sendMail(mailOptions);
@@ -401,14 +336,134 @@ async function sendTemplatedEmail(templateKey, recipientEmail, placeholderData,
       metadata
     });
 
+    // The server rejected the address itself - don't try it again
+    if (suppression.isPermanentBounce(error)) {
+      await suppression.suppress(recipientEmail, 'bounced', { source: 'smtp', detail: error.response || error.message })
+        .catch(err => console.error('Failed to record bounced address:', err.message));
+    }
+
     return { success: false, error: error.message };
   }
 }
 
+// ─── Send Password Reset Email ───────────────────────────────────────────────
+/**
+ * Send a password reset email with a unique token link
+ *
+ * @param {string} email - Recipient email address
+ * @param {string} resetToken - Unique reset token (stored in User.resetToken)
+ * @param {string} firstName - User's first name for personalization
+ * @returns {Promise<void>}
+ * @throws {Error} If email isn't configured or the send fails
+ */
+async function sendPasswordResetEmail(email, resetToken, firstName) {
+  if (!transporter) {
+    console.error('❌ Cannot send password reset email: Email service not configured');
+    throw new Error('Email service is not configured. Please contact an administrator.');
+  }
+
+  const resetUrl = `${process.env.APP_BASE_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+
+  // The token is deliberately kept out of the log metadata
+  const result = await sendTemplatedEmail('password_reset', email, {
+    firstName,
+    resetUrl,
+    expiresIn: '1 hour'
+  });
+
+  if (!result.success) {
+    throw new Error('Failed to send password reset email. Please try again later.');
+  }
+}
+
+// ─── Send Account Locked Alert ──────────────────────────────────────────────
+/**
+ * Tell a user their account was locked after failed logins
+ * Uses the account_locked template.
+ *
+ * @param {string} email - User's email address
+ * @param {string} firstName - User's first name
+ * @param {object} details
+ * @param {number} details.failedAttempts - Failed attempts that caused the lock
+ * @param {Date} details.lockedUntil - When the lock ends
+ * @param {string} details.ipAddress - IP of the last attempt
+ * @param {string} details.userAgent - Browser of the last attempt
+ * @param {string} details.userId - User record ID (for logging)
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+async function sendAccountLockedEmail(email, firstName, details) {
+  const { failedAttempts, lockedUntil, ipAddress, userAgent, userId } = details;
+
+  return sendTemplatedEmail('account_locked', email, {
+    firstName,
+    failedAttempts,
+    lockedUntil: lockedUntil.toLocaleString('en-US', {
+      month: 'long', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    }),
+    ipAddress: ipAddress || 'unknown',
+    userAgent: userAgent || '',
+    resetUrl: `${process.env.APP_BASE_URL || 'http://localhost:3000'}/forgot-password`
+  }, { userId });
+}
+
+// ─── Send User Invite ───────────────────────────────────────────────────────
+/**
+ * Email someone an invite link to create a dashboard account
+ * Uses the user_invite template.
+ *
+ * @param {string} email - Invitee's email address
+ * @param {object} details
+ * @param {string} details.role - Role the account will have
+ * @param {string} details.inviteUrl - Single-use signup link
+ * @param {Date} details.expiresAt - When the link stops working
+ * @param {string} details.invitedByName - Admin who sent it
+ * @param {string} details.inviteId - Invite record ID (for logging)
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+async function sendInviteEmail(email, details) {
+  const { role, inviteUrl, expiresAt, invitedByName, inviteId } = details;
+
+  // Only the invite ID goes in the log - the link works as a password until used
+  return sendTemplatedEmail('user_invite', email, {
+    role,
+    inviteUrl,
+    invitedByName,
+    expiresAt: expiresAt.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
+  }, { inviteId });
+}
+
+// ─── Send Checkout Thank You Email ──────────────────────────────────────────
+/**
+ * Send a thank-you email after book checkout
+ * Uses the checkout_receipt template.
+ *
+ * @param {string} email - Member email address
+ * @param {string} firstName - Member's first name
+ * @param {object} details - Checkout details
+ * @param {number} details.numberOfBooks - Number of books checked out
+ * @param {string[]} details.genres - Array of genres (optional)
+ * @param {number} details.weight - Total weight in lbs (optional)
+ * @param {string} details.memberId - Member record ID (for logging)
+ * @param {string} details.emailJobId - Queue job that triggered this send (for logging)
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+async function sendCheckoutThankYouEmail(email, firstName, details) {
+  const { numberOfBooks, genres = [], weight, memberId, emailJobId } = details;
+
+  return sendTemplatedEmail('checkout_receipt', email, {
+    memberName: firstName,
+    bookCount: numberOfBooks,
+    checkoutDate: formatEmailDate(new Date()),
+    categories: genres.join(', '),
+    genres,
+    weight
+  }, { memberId, numberOfBooks, emailJobId });
+}
+
 // ─── Send Donation Thank You Email ──────────────────────────────────────────
 /**
  * Send a thank-you email after book donation
- * ALWAYS uses the hardcoded template below (not database) to ensure consistency
+ * Uses the donation_thank_you template.
  *
  * @param {string} email - Member email address
  * @param {string} donorName - Donor's name
@@ -418,27 +473,15 @@ async function sendTemplatedEmail(templateKey, recipientEmail, placeholderData,
  * @param {number} details.valuePerBook - Value per book for used donations
  * @param {number} details.totalValue - Total value for new book donations
  * @param {string} details.donationId - Donation record ID (for logging)
+ * @param {Array} details.attachments - Nodemailer attachments, e.g. the PDF tax receipt (optional)
+ * @param {string} details.emailJobId - Queue job that triggered this send (for logging)
  * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
  */
 async function sendDonationThankYouEmail(email, donorName, details) {
-  const { numberOfBooks, donationType, valuePerBook, totalValue, donationId, isOrganization } = details;
+  const { numberOfBooks, donationType, valuePerBook, totalValue, donationId, isOrganization, attachments, receiptNumber, emailJobId } = details;
 
-  // Check if email service is configured
-  if (!transporter) {
-    console.warn(`⚠️  Email service not configured. Donation thank-you email not sent to ${email}`);
-    await logEmailSend({
-      templateKey: 'donation_thank_you',
-      recipient: email,
-      status: 'skipped',
-      error: 'Email service not configured',
-      metadata: { donationId, donorName, numberOfBooks }
-    });
-    return { success: false, error: 'Email service not configured' };
-  }
-
-  // Build value description based on donation type
-  // Used books: "that you valued $1 per book" or "that you valued $2 per book"
-  // New books: "Valued at $X.XX"
+  // Kept for templates written before conditionals were available:
+  // "that you valued $1 per book" (used) or "Valued at $50.00" (new)
   let valueDescription = '';
   if (donationType === 'used' && valuePerBook) {
     valueDescription = `that you valued $${valuePerBook} per book`;
@@ -446,119 +489,67 @@ async function sendDonationThankYouEmail(email, donorName, details) {
     valueDescription = `Valued at $${Number(totalValue).toFixed(2)}`;
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  // HARDCODED TEMPLATE - This is the official Tree House Books donation email
-  // DO NOT modify without approval. This template is used for ALL donations.
-  // ═══════════════════════════════════════════════════════════════════════════
-  const subject = 'Thank you for supporting Tree House Books!';
-
-  const htmlBody = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-      <p style="font-size: 16px;">Dear ${donorName},</p>
-
-      <p style="font-size: 16px;">
-        Thank you so much for supporting Tree House Books and our Books in Every Home campaign
-        with your donation of ${numberOfBooks} books ${valueDescription}.
-      </p>
-
-      <p style="font-size: 16px;">
-        Without you we truly could not fulfill our goal of creating and sustaining a community of readers,
-        writers, and thinkers. The books that you have so generously donated will find their way into the
-        homes of families and children, changing lives through reading and mitigating the Philadelphia
-        literacy crisis.
-      </p>
-
-      <p style="font-size: 16px;">
-        It is our hope that you continue to walk with us to promote lifelong readership and access to
-        high-quality books for every child. We have many ways that you can continue to stay involved
-        with Tree House Books: volunteer, serve on a committee, or become a donor!
-      </p>
-
-      <p style="font-size: 16px;">
-        Thanks again, ${donorName}! We hope to hear from you again soon. As always, do not hesitate
-        to reach out to <a href="mailto:emma@treehousebooks.org">emma@treehousebooks.org</a> with any questions!
-      </p>
-
-      <div style="margin-top: 30px;">
-        <p style="font-size: 16px; margin: 0;">Best,<br>
-        <strong>Emma Goldstein</strong><br>
-        Giving Library Manager<br>
-        Tree House Books<br>
-        1430 W. Susquehanna Avenue<br>
-        Philadelphia, PA 19121<br>
-        (215) 236-1760 - office<br>
-        <a href="https://www.treehousebooks.org">Tree House Books Online</a><br>
-        <em>Growing and sustaining a community of readers, writers, and thinkers</em></p>
-      </div>
-
-      <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
-
-      <p style="color: #666; font-size: 12px;">
-        Tree House Books is a 501(c)(3) charitable organization, and your gift is fully tax-deductible. No services were provided or benefits received for this contribution.
-      </p>
-    </div>
-  `;
-
-  const textBody = `Dear ${donorName},
-
-Thank you so much for supporting Tree House Books and our Books in Every Home campaign with your donation of ${numberOfBooks} books ${valueDescription}.
-
-Without you we truly could not fulfill our goal of creating and sustaining a community of readers, writers, and thinkers. The books that you have so generously donated will find their way into the homes of families and children, changing lives through reading and mitigating the Philadelphia literacy crisis.
-
-It is our hope that you continue to walk with us to promote lifelong readership and access to high-quality books for every child. We have many ways that you can continue to stay involved with Tree House Books: volunteer, serve on a committee, or become a donor!
-
-Thanks again, ${donorName}! We hope to hear from you again soon. As always, do not hesitate to reach out to emma@treehousebooks.org with any questions!
-
-Best,
-Emma Goldstein
-Giving Library Manager
-Tree House Books
-1430 W. Susquehanna Avenue
-Philadelphia, PA 19121
-(215) 236-1760 - office
-Tree House Books Online
-Growing and sustaining a community of readers, writers, and thinkers
-
-Tree House Books is a 501(c)(3) charitable organization, and your gift is fully tax-deductible. No services were provided or benefits received for this contribution.
-  `;
-  // ═══════════════════════════════════════════════════════════════════════════
-
-  const mailOptions = {
-    from: process.env.EMAIL_FROM || '"TreeHouse Books" <noreply@treehousebooks.org>',
-    to: email,
-    subject,
-    html: htmlBody,
-    text: textBody
-  };
-
-  try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`✅ Donation thank-you email sent to ${email}: ${info.messageId}`);
-
-    await logEmailSend({
-      templateKey: 'donation_thank_you',
-      recipient: email,
-      subject,
-      status: 'sent',
-      messageId: info.messageId,
-      metadata: { donationId, donorName, numberOfBooks, donationType, valueDescription }
-    });
-
-    return { success: true, messageId: info.messageId };
-  } catch (error) {
-    console.error(`❌ Error sending donation thank-you email to ${email}:`, error.message);
+  return sendTemplatedEmail('donation_thank_you', email, {
+    donorName,
+    bookCount: numberOfBooks,
+    donationType,
+    isUsed: donationType === 'used',
+    isOrganization: Boolean(isOrganization),
+    valuePerBook: valuePerBook ? `$${valuePerBook}` : '',
+    totalValue: totalValue ? `$${Number(totalValue).toFixed(2)}` : '',
+    valueDescription,
+    receiptNumber,
+    donationDate: formatEmailDate(new Date())
+  }, {
+    donationId, donorName, numberOfBooks, donationType, valueDescription, receiptNumber, emailJobId
+  }, null, attachments);
+}
 
-    await logEmailSend({
-      templateKey: 'donation_thank_you',
-      recipient: email,
-      subject,
-      status: 'failed',
-      error: error.message,
-      metadata: { donationId, donorName, numberOfBooks }
-    });
+// ─── Send Welcome Email ─────────────────────────────────────────────────────
+/**
+ * Welcome a newly registered member
+ * Only sent while the welcome_member template is enabled.
+ *
+ * @param {string} email - Member email address
+ * @param {string} memberName - Member's full name
+ * @param {object} details
+ * @param {string} details.memberId - Member record ID (for logging)
+ * @param {Date} details.joinDate - When they joined
+ * @param {string} details.emailJobId - Queue job that triggered this send (for logging)
+ * @returns {Promise<{success: boolean, skipped?: boolean, messageId?: string, error?: string}>}
+ */
+async function sendWelcomeEmail(email, memberName, details = {}) {
+  const { memberId, joinDate, emailJobId } = details;
+
+  return sendTemplatedEmail('welcome_member', email, {
+    memberName,
+    memberEmail: email,
+    joinDate: formatEmailDate(joinDate || new Date())
+  }, { memberId, emailJobId });
+}
 
-    return { success: false, error: error.message };
-  }
+// ─── Send Visitor Check-In Email ────────────────────────────────────────────
+/**
+ * Thank a visitor for checking in
+ * Only sent while the visitor_checkin template is enabled.
+ *
+ * @param {string} email - Visitor email address
+ * @param {string} visitorName - Visitor's name
+ * @param {object} details
+ * @param {string} details.memberId - Member record ID (for logging)
+ * @param {Date} details.visitedAt - Check-in time
+ * @param {string} details.emailJobId - Queue job that triggered this send (for logging)
+ * @returns {Promise<{success: boolean, skipped?: boolean, messageId?: string, error?: string}>}
+ */
+async function sendVisitorCheckinEmail(email, visitorName, details = {}) {
+  const { memberId, visitedAt, emailJobId } = details;
+  const when = visitedAt ? new Date(visitedAt) : new Date();
+
+  return sendTemplatedEmail('visitor_checkin', email, {
+    visitorName,
+    visitDate: when.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }),
+    visitTime: when.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+  }, { memberId, emailJobId });
 }
 
 // ─── Get Email Logs ─────────────────────────────────────────────────────────
@@ -588,10 +579,10 @@ async function getEmailLogs(options = {}) {
  * Seed default email templates to database
  * Called on server startup or manually by admin
  */
-async function seedEmailTemplates() {
+async function seedEmailTemplates(options = {}) {
   try {
     const EmailTemplate = require('../models/EmailTemplate');
-    await EmailTemplate.seedDefaults();
+    await EmailTemplate.seedDefaults(options);
     return { success: true };
   } catch (err) {
     console.error('Failed to seed email templates:', err.message);
@@ -603,9 +594,16 @@ async function seedEmailTemplates() {
 
 module.exports = {
   sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendInviteEmail,
   sendCheckoutThankYouEmail,
   sendDonationThankYouEmail,
+  sendWelcomeEmail,
+  sendVisitorCheckinEmail,
   sendTemplatedEmail,
+  renderTemplate,
+  logEmailSend,
+  isEmailConfigured,
   getEmailLogs,
   seedEmailTemplates,
   EmailLog
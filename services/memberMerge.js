@@ -0,0 +1,523 @@
+// services/memberMerge.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// DUPLICATE MEMBER DETECTION & MERGE
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// The same family often ends up entered twice: once at /visitor-checkin as a
+// "new visitor" without an email, and once via /members/new. Member only
+// dedupes on the sparse unique email, so this service finds likely duplicates
+// using fuzzy name matching plus DOB, phone and ZIP, and merges a pair by
+// re-pointing every reference onto the surviving record.
+//
+// Every merge writes a 'merge' AuditLog entry holding exactly what was moved,
+// so it can be reversed later with undoMerge().
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Member = require('../models/Member');
+const AuditLog = require('../models/AuditLog');
+const auditLogger = require('../utils/auditLogger');
+
+/**
+ * Every place a Member is referenced from another record.
+ * `uniqueWith` lists the other fields of a unique index that includes the
+ * member field - moving those records can collide with one the survivor
+ * already has, in which case the loser's copy is removed (and kept for undo).
+ */
+const MEMBER_REFERENCES = [
+  { model: 'Checkout',         field: 'member' },
+  { model: 'Donation',         field: 'member' },
+  { model: 'Visit',            field: 'member' },
+  { model: 'Attendance',       field: 'member', uniqueWith: ['program', 'date'] },
+  { model: 'MetricValue',      field: 'member', uniqueWith: ['program', 'definition', 'date'] },
+  { model: 'Attendee',         field: 'member' },
+  { model: 'Attendee',         field: 'parentMember' },
+  { model: 'BookDistribution', field: 'member' },
+  { model: 'Organization',     field: 'contactPerson' },
+  { model: 'Household',        field: 'primaryContact' },
+  { model: 'Member',           field: 'parent' },
+  { model: 'Member',           field: 'guardians.member' }
+];
+
+/**
+ * Fields copied from the merged-away record onto the survivor when the
+ * survivor has no value of its own.
+ */
+const FILLABLE_FIELDS = ['email', 'phone', 'address', 'zipCode', 'household', 'dateOfBirth', 'grade', 'school', 'notes', 'emergencyContact'];
+
+// Default score (0-100) a pair needs to be listed as a possible duplicate
+const DEFAULT_THRESHOLD = 60;
+
+// ─── Normalization Helpers ──────────────────────────────────────────────────
+
+/**
+ * Lowercase a name and strip everything but letters
+ * @param {String} name - Raw name
+ * @returns {String} Normalized name
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Reduce a phone number to its last 10 digits
+ * @param {String} phone - Raw phone
+ * @returns {String} Digits only ('' if fewer than 7 digits)
+ */
+function normalizePhone(phone) {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+/**
+ * Format a date as YYYY-MM-DD (UTC) for comparison
+ * @param {Date|String} date - Date value
+ * @returns {String} Date key ('' if missing/invalid)
+ */
+function dateKey(date) {
+  if (!date) return '';
+  const d = new Date(date);
+  return isNaN(d) ? '' : d.toISOString().split('T')[0];
+}
+
+/**
+ * Whether a member field value counts as empty
+ * @param {*} value - Field value
+ * @returns {Boolean}
+ */
+function isBlank(value) {
+  if (value === undefined || value === null || value === '') return true;
+  // emergencyContact is a nested object that is blank without a name or phone
+  if (typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+    return !value.name && !value.phone;
+  }
+  return false;
+}
+
+/**
+ * Similarity of two strings based on Levenshtein distance
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number} 0 (nothing alike) to 1 (identical)
+ */
+function nameSimilarity(a, b) {
+  a = normalizeName(a);
+  b = normalizeName(b);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  // Treat a name that starts with the other as a strong match (Liz / Lizzie)
+  if (a.startsWith(b) || b.startsWith(a)) {
+    return Math.max(0.85, 1 - Math.abs(a.length - b.length) / Math.max(a.length, b.length));
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// ─── Scoring ────────────────────────────────────────────────────────────────
+
+/**
+ * Score how likely two members are the same person
+ * @param {Object} a - Member (plain object)
+ * @param {Object} b - Member (plain object)
+ * @returns {Object} { score: 0-100, reasons: [String] }
+ */
+function scoreMemberPair(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  const firstSim = nameSimilarity(a.firstName, b.firstName);
+  const lastSim = nameSimilarity(a.lastName, b.lastName);
+
+  if (lastSim >= 0.75) {
+    score += Math.round(30 * lastSim);
+    reasons.push(lastSim === 1 ? 'Same last name' : 'Similar last name');
+  }
+  if (firstSim >= 0.75) {
+    score += Math.round(25 * firstSim);
+    reasons.push(firstSim === 1 ? 'Same first name' : 'Similar first name');
+  }
+
+  const dobA = dateKey(a.dateOfBirth);
+  const dobB = dateKey(b.dateOfBirth);
+  if (dobA && dobB) {
+    if (dobA === dobB) {
+      score += 25;
+      reasons.push('Same date of birth');
+    } else {
+      // Different birthdays almost always means different people (e.g. parent & child "Jr.")
+      score -= 30;
+    }
+  }
+
+  const phoneA = normalizePhone(a.phone);
+  if (phoneA && phoneA === normalizePhone(b.phone)) {
+    score += 15;
+    reasons.push('Same phone');
+  }
+
+  if (a.email && b.email && a.email.toLowerCase() === b.email.toLowerCase()) {
+    score += 25;
+    reasons.push('Same email');
+  }
+
+  if (a.zipCode && b.zipCode && a.zipCode.slice(0, 5) === b.zipCode.slice(0, 5)) {
+    score += 5;
+    reasons.push('Same ZIP');
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), reasons };
+}
+
+/**
+ * Blocking keys used to limit comparisons to members that share something,
+ * instead of comparing every member against every other member.
+ * @param {Object} member - Member (plain object)
+ * @returns {Array<String>} Keys
+ */
+function blockingKeys(member) {
+  const keys = [];
+  const last = normalizeName(member.lastName);
+  const first = normalizeName(member.firstName);
+
+  if (last) keys.push(`last:${last.slice(0, 3)}`);
+  if (first) keys.push(`first:${first.slice(0, 3)}`);
+
+  const dob = dateKey(member.dateOfBirth);
+  if (dob) keys.push(`dob:${dob}`);
+
+  const phone = normalizePhone(member.phone);
+  if (phone) keys.push(`phone:${phone}`);
+
+  return keys;
+}
+
+/**
+ * Find likely duplicate member pairs
+ * @param {Object} options - Search options
+ * @param {Number} options.threshold - Minimum score (default 60)
+ * @param {Number} options.limit - Max pairs to return (default 200)
+ * @returns {Promise<Array>} Pairs sorted by score: [{ a, b, score, reasons }]
+ */
+async function findDuplicateCandidates(options = {}) {
+  const threshold = options.threshold || DEFAULT_THRESHOLD;
+  const limit = options.limit || 200;
+
+  const members = await Member.find({ isDeleted: { $ne: true } })
+    .select('firstName lastName email phone zipCode dateOfBirth memberType joinedAt')
+    .lean();
+
+  // Group members into blocks
+  const blocks = new Map();
+  members.forEach((member, index) => {
+    blockingKeys(member).forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    });
+  });
+
+  // Compare each pair within a block once
+  const seen = new Set();
+  const pairs = [];
+
+  for (const indexes of blocks.values()) {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const pairKey = indexes[i] < indexes[j] ? `${indexes[i]}:${indexes[j]}` : `${indexes[j]}:${indexes[i]}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const a = members[indexes[i]];
+        const b = members[indexes[j]];
+        const { score, reasons } = scoreMemberPair(a, b);
+        if (score >= threshold) {
+          pairs.push({ a, b, score, reasons });
+        }
+      }
+    }
+  }
+
+  return pairs
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit);
+}
+
+// ─── Merge ──────────────────────────────────────────────────────────────────
+
+/**
+ * Count records referencing a member (shown on the merge screen)
+ * @param {ObjectId} memberId - Member ID
+ * @returns {Promise<Object>} e.g. { 'Checkout.member': 3, 'Visit.member': 5 }
+ */
+async function countMemberReferences(memberId) {
+  const counts = {};
+  for (const ref of MEMBER_REFERENCES) {
+    const Model = require(`../models/${ref.model}`);
+    counts[`${ref.model}.${ref.field}`] = await Model.countDocuments({ [ref.field]: memberId });
+  }
+  return counts;
+}
+
+/**
+ * Point a reference field on the given records from one member to another
+ * Handles fields inside arrays (e.g. 'guardians.member') via arrayFilters.
+ * @param {Model} Model - Mongoose model
+ * @param {Array<ObjectId>} ids - Records to update
+ * @param {String} field - Reference field path
+ * @param {ObjectId} fromId - Member currently referenced
+ * @param {ObjectId} toId - Member to reference instead
+ */
+async function repointReference(Model, ids, field, fromId, toId) {
+  const [arrayPath, subField] = field.split('.');
+
+  if (!subField) {
+    return Model.updateMany(
+      { _id: { $in: ids }, [field]: fromId },
+      { $set: { [field]: toId } }
+    );
+  }
+
+  return Model.updateMany(
+    { _id: { $in: ids }, [field]: fromId },
+    { $set: { [`${arrayPath}.$[ref].${subField}`]: toId } },
+    { arrayFilters: [{ [`ref.${subField}`]: fromId }] }
+  );
+}
+
+/**
+ * Merge one member into another
+ *
+ * Re-points every reference from the loser onto the survivor, fills the
+ * survivor's blank fields from the loser, soft-deletes the loser and writes
+ * a reversible 'merge' audit entry.
+ *
+ * @param {ObjectId} survivorId - Member that remains
+ * @param {ObjectId} loserId - Member that is merged away
+ * @param {ObjectId} userId - User performing the merge
+ * @param {Object} options - Merge options
+ * @param {Boolean} options.fillBlanks - Copy loser values into blank survivor fields (default true)
+ * @returns {Promise<Object>} The merge AuditLog entry
+ */
+async function mergeMembers(survivorId, loserId, userId, options = {}) {
+  const fillBlanks = options.fillBlanks !== false;
+
+  if (String(survivorId) === String(loserId)) {
+    throw new Error('Cannot merge a member into itself');
+  }
+
+  const survivor = await Member.findById(survivorId);
+  const loser = await Member.findById(loserId);
+
+  if (!survivor || !loser) {
+    throw new Error('Member not found');
+  }
+  if (survivor.isDeleted || loser.isDeleted) {
+    throw new Error('Deleted members cannot be merged');
+  }
+
+  const details = {
+    loserId: loser._id,
+    moved: [],      // [{ model, field, ids }]
+    removed: [],    // [{ model, doc }] - loser records that collided with a survivor record
+    survivorPrevious: {},
+    loserEmail: null
+  };
+
+  // 1. Re-point references
+  for (const ref of MEMBER_REFERENCES) {
+    const Model = require(`../models/${ref.model}`);
+    const filter = { [ref.field]: loser._id };
+
+    // The survivor must never become its own parent
+    if (ref.model === 'Member') {
+      filter._id = { $ne: survivor._id };
+    }
+
+    const docs = await Model.find(filter).lean();
+    if (docs.length === 0) continue;
+
+    const movedIds = [];
+
+    for (const doc of docs) {
+      if (ref.uniqueWith) {
+        const conflictQuery = { [ref.field]: survivor._id };
+        ref.uniqueWith.forEach(key => { conflictQuery[key] = doc[key]; });
+
+        if (await Model.exists(conflictQuery)) {
+          await Model.deleteOne({ _id: doc._id });
+          details.removed.push({ model: ref.model, doc });
+          continue;
+        }
+      }
+      movedIds.push(doc._id);
+    }
+
+    if (movedIds.length > 0) {
+      await repointReference(Model, movedIds, ref.field, loser._id, survivor._id);
+      details.moved.push({ model: ref.model, field: ref.field, ids: movedIds });
+    }
+  }
+
+  // 2. Work out which blank survivor fields to fill from the loser
+  const survivorObj = survivor.toObject();
+  const loserObj = loser.toObject();
+  const survivorSet = {};
+  const survivorUnset = {};
+
+  if (fillBlanks) {
+    for (const field of FILLABLE_FIELDS) {
+      if (isBlank(survivorObj[field]) && !isBlank(loserObj[field])) {
+        details.survivorPrevious[field] = survivorObj[field] === undefined ? null : survivorObj[field];
+        survivorSet[field] = loserObj[field];
+      }
+    }
+  }
+
+  // A loser that was the survivor's parent would leave a dangling reference
+  if (survivorObj.parent && String(survivorObj.parent) === String(loser._id)) {
+    details.survivorPrevious.parent = survivorObj.parent;
+    survivorUnset.parent = 1;
+  }
+
+  // 3. Soft-delete the loser (releasing its email first if it moves to the survivor)
+  const loserUpdate = {
+    $set: {
+      isDeleted: true,
+      deletedAt: new Date(),
+      deletedBy: userId,
+      mergedInto: survivor._id,
+      mergedAt: new Date()
+    }
+  };
+  if (survivorSet.email) {
+    details.loserEmail = loser.email;
+    loserUpdate.$unset = { email: 1 };
+  }
+  await Member.updateOne({ _id: loser._id }, loserUpdate);
+
+  // 4. Update the survivor
+  if (Object.keys(survivorSet).length > 0 || Object.keys(survivorUnset).length > 0) {
+    const update = { $set: { ...survivorSet, updatedBy: userId, updatedAt: new Date() } };
+    if (Object.keys(survivorUnset).length > 0) update.$unset = survivorUnset;
+    await Member.updateOne({ _id: survivor._id }, update);
+  }
+
+  const movedCount = details.moved.reduce((sum, m) => sum + m.ids.length, 0);
+  const summary = `Merged ${loser.firstName} ${loser.lastName} (${loser._id}) into this record: ` +
+    `${movedCount} reference(s) moved, ${details.removed.length} duplicate record(s) removed`;
+
+  return auditLogger.logMerge('Member', survivor._id, loser._id, details, userId, summary);
+}
+
+/**
+ * Reverse a merge using its audit entry
+ * @param {ObjectId} auditLogId - ID of the 'merge' AuditLog entry
+ * @param {ObjectId} userId - User performing the undo
+ * @returns {Promise<Object>} The 'unmerge' AuditLog entry
+ */
+async function undoMerge(auditLogId, userId) {
+  const entry = await AuditLog.findById(auditLogId);
+
+  if (!entry || entry.action !== 'merge') {
+    throw new Error('Merge record not found');
+  }
+  if (entry.reversedAt) {
+    throw new Error('This merge has already been undone');
+  }
+
+  const details = entry.details || {};
+  const survivorId = entry.recordId;
+  const loserId = details.loserId;
+
+  const loser = await Member.findById(loserId);
+  if (!loser || String(loser.mergedInto) !== String(survivorId)) {
+    throw new Error('The merged-away member no longer matches this merge');
+  }
+
+  // 1. Restore the survivor's previous values
+  const survivorPrevious = details.survivorPrevious || {};
+  const survivorSet = {};
+  const survivorUnset = {};
+  for (const [field, value] of Object.entries(survivorPrevious)) {
+    if (value === null || value === undefined) {
+      survivorUnset[field] = 1;
+    } else {
+      survivorSet[field] = value;
+    }
+  }
+  if (Object.keys(survivorSet).length > 0 || Object.keys(survivorUnset).length > 0) {
+    const update = {};
+    if (Object.keys(survivorSet).length > 0) update.$set = survivorSet;
+    if (Object.keys(survivorUnset).length > 0) update.$unset = survivorUnset;
+    await Member.updateOne({ _id: survivorId }, update);
+  }
+
+  // 2. Restore the loser
+  const loserSet = { isDeleted: false };
+  if (details.loserEmail) loserSet.email = details.loserEmail;
+  await Member.updateOne(
+    { _id: loserId },
+    { $set: loserSet, $unset: { deletedAt: 1, deletedBy: 1, mergedInto: 1, mergedAt: 1 } }
+  );
+
+  // 3. Point moved references back at the loser
+  for (const moved of details.moved || []) {
+    const Model = require(`../models/${moved.model}`);
+    await repointReference(Model, moved.ids, moved.field, survivorId, loserId);
+  }
+
+  // 4. Put back records removed because they collided with the survivor's
+  for (const removed of details.removed || []) {
+    const Model = require(`../models/${removed.model}`);
+    if (!(await Model.exists({ _id: removed.doc._id }))) {
+      await Model.collection.insertOne(removed.doc);
+    }
+  }
+
+  entry.reversedAt = new Date();
+  entry.reversedBy = userId;
+  await entry.save();
+
+  return auditLogger.logUnmerge('Member', survivorId, loserId, userId, entry._id);
+}
+
+/**
+ * Get merge entries for a member (as survivor or as the merged-away record)
+ * @param {ObjectId} memberId - Member ID
+ * @returns {Promise<Array>} AuditLog entries
+ */
+async function getMergeHistory(memberId) {
+  return AuditLog.find({
+    action: 'merge',
+    $or: [{ recordId: memberId }, { relatedRecordId: memberId }]
+  })
+    .sort({ timestamp: -1 })
+    .populate('performedBy', 'firstName lastName email')
+    .lean();
+}
+
+module.exports = {
+  MEMBER_REFERENCES,
+  FILLABLE_FIELDS,
+  DEFAULT_THRESHOLD,
+  normalizeName,
+  normalizePhone,
+  nameSimilarity,
+  scoreMemberPair,
+  findDuplicateCandidates,
+  countMemberReferences,
+  mergeMembers,
+  undoMerge,
+  getMergeHistory
+};
@@ -0,0 +1,252 @@
+// services/mfa.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// TWO-STEP LOGIN (MFA)
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Staff and admin accounts can add an authenticator app as a second login
+// step:
+//
+//   1. Enrollment - /account/mfa creates a secret (kept as pendingSecret)
+//      and shows it as a QR code. Scanning it and typing back a code turns
+//      MFA on and shows 10 one-time recovery codes.
+//   2. Login - after the password checks out, routes/login.js asks for a
+//      code (or a recovery code) before the session is created.
+//   3. Enforcement - admins can require MFA per role at /admin/security.
+//      Users in a required role who haven't enrolled are sent to
+//      /account/mfa after logging in and can't go anywhere else until they
+//      finish (ensureMfaEnrolled in routes/_middleware.js).
+//
+// Secrets are stored AES-256-GCM encrypted with MFA_ENCRYPTION_KEY (falls
+// back to SESSION_SECRET - changing it means everyone has to enroll again).
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const SecuritySettings = require('../models/SecuritySettings');
+const permissions = require('./permissions');
+const totp = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// ─── Secret Encryption ──────────────────────────────────────────────────────
+
+function encryptionKey() {
+  const source = process.env.MFA_ENCRYPTION_KEY || process.env.SESSION_SECRET || 'testsecret';
+  return crypto.createHash('sha256').update(source).digest();
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {String} secret - Base32 secret
+ * @returns {String} "iv.tag.ciphertext", base64url
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {String} stored - From encryptSecret()
+ * @returns {String} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored || '').split('.').map(part => Buffer.from(part, 'base64url'));
+  if (!iv || !tag || !encrypted) {
+    throw new Error('Stored MFA secret is unreadable');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// ─── Recovery Codes ─────────────────────────────────────────────────────────
+
+/**
+ * Fresh one-time recovery codes
+ * @param {Number} count
+ * @returns {Array<String>} Codes like "k7m2p-x9q4t"
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const code = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/**
+ * How a recovery code is stored (case, spaces and dashes don't matter)
+ * @param {String} code
+ * @returns {String} SHA-256 hex
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// ─── Settings ───────────────────────────────────────────────────────────────
+
+/**
+ * Whether a role must use two-step login. Custom roles follow their base
+ * role's setting, but only if they're allowed to use two-step login at all.
+ * @param {String} role - User role
+ * @returns {Promise<Boolean>}
+ */
+async function isRequiredFor(role) {
+  const access = await permissions.getAccess(role);
+  if (!access.permissions.has('account.mfa')) return false;
+  if (!SecuritySettings.MFA_ROLES.includes(access.baseRole)) return false;
+  const settings = await SecuritySettings.getSettings();
+  return settings.requireMfaForRoles.includes(access.baseRole);
+}
+
+// ─── Enrollment ─────────────────────────────────────────────────────────────
+
+/**
+ * Start (or restart) enrollment with a new secret
+ * @param {Object} user - User document
+ * @returns {Promise<{secret: String, otpauthUrl: String}>}
+ */
+async function beginEnrollment(user) {
+  if (user.mfa && user.mfa.enabled) {
+    throw new Error('Two-step login is already turned on');
+  }
+
+  const secret = totp.generateSecret();
+  user.mfa.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  return { secret, otpauthUrl: totp.otpauthUrl(secret, user.email) };
+}
+
+/**
+ * The enrollment in progress, for showing the QR code again
+ * @param {Object} user - User document
+ * @returns {{secret: String, otpauthUrl: String}|null}
+ */
+function getPendingEnrollment(user) {
+  if (!user.mfa || user.mfa.enabled || !user.mfa.pendingSecret) return null;
+  const secret = decryptSecret(user.mfa.pendingSecret);
+  return { secret, otpauthUrl: totp.otpauthUrl(secret, user.email) };
+}
+
+/**
+ * Finish enrollment with a code from the app
+ * @param {Object} user - User document
+ * @param {String} code - 6-digit code
+ * @returns {Promise<Array<String>>} Recovery codes, to show once
+ */
+async function confirmEnrollment(user, code) {
+  const pending = getPendingEnrollment(user);
+  if (!pending) {
+    throw new Error('Start setup again - no enrollment in progress');
+  }
+
+  const step = totp.verifyCode(pending.secret, code);
+  if (step === null) {
+    throw new Error('That code didn\'t match. Check the time on your phone and try the newest code.');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.mfa = {
+    enabled: true,
+    secret: user.mfa.pendingSecret,
+    pendingSecret: null,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    lastUsedStep: step,
+    enabledAt: new Date()
+  };
+  await user.save();
+
+  return recoveryCodes;
+}
+
+// ─── Verification ───────────────────────────────────────────────────────────
+
+/**
+ * Check a second-step code: an authenticator code or a recovery code
+ * Both are single-use; the update is conditional so two requests can't
+ * spend the same code.
+ *
+ * @param {Object} user - User document with MFA enabled
+ * @param {String} code - What the user typed
+ * @returns {Promise<{method: String, recoveryCodesLeft: Number}|null>}
+ *   null if the code is wrong or already used
+ */
+async function verifyLogin(user, code) {
+  if (!user.mfa || !user.mfa.enabled) return null;
+  const typed = String(code || '').trim();
+
+  if (/^\d{3}\s?\d{3}$/.test(typed)) {
+    const step = totp.verifyCode(decryptSecret(user.mfa.secret), typed, { lastUsedStep: user.mfa.lastUsedStep });
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }] },
+      { $set: { 'mfa.lastUsedStep': step } }
+    );
+    if (result.modifiedCount === 0) return null;
+    return { method: 'totp', recoveryCodesLeft: user.mfa.recoveryCodes.length };
+  }
+
+  const hash = hashRecoveryCode(typed);
+  const result = await User.updateOne(
+    { _id: user._id, 'mfa.recoveryCodes': hash },
+    { $pull: { 'mfa.recoveryCodes': hash } }
+  );
+  if (result.modifiedCount === 0) return null;
+  return { method: 'recovery', recoveryCodesLeft: user.mfa.recoveryCodes.length - 1 };
+}
+
+/**
+ * Replace all recovery codes (the old ones stop working)
+ * @param {Object} user - User document with MFA enabled
+ * @returns {Promise<Array<String>>} New codes, to show once
+ */
+async function regenerateRecoveryCodes(user) {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'mfa.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+}
+
+/**
+ * Turn two-step login off (by the user, or by an admin for a lost phone)
+ * @param {ObjectId} userId
+ * @returns {Promise<Object|null>} The updated user
+ */
+function disable(userId) {
+  return User.findByIdAndUpdate(userId, {
+    $set: {
+      mfa: {
+        enabled: false,
+        secret: null,
+        pendingSecret: null,
+        recoveryCodes: [],
+        lastUsedStep: null,
+        enabledAt: null
+      }
+    }
+  }, { new: true });
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isRequiredFor,
+  beginEnrollment,
+  getPendingEnrollment,
+  confirmEnrollment,
+  verifyLogin,
+  regenerateRecoveryCodes,
+  disable
+};
@@ -0,0 +1,220 @@
+// services/onboarding.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// USER ONBOARDING - Invites and access requests
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Nobody gets into the dashboard without an admin saying so:
+//
+//   • Invites: an admin on /admin/users enters an email and role. The person
+//     gets a single-use link (/invite/:token) that expires after
+//     INVITE_DAYS and creates an active account with that role.
+//   • Access requests: anyone can fill in /custom-signup, but the account is
+//     created 'pending' and can't log in until an admin approves it (and
+//     picks its role) or rejects it.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Invite = require('../models/Invite');
+const mailer = require('./mailer');
+const permissions = require('./permissions');
+
+const INVITE_DAYS = 7;
+
+/**
+ * SHA-256 of an invite token (what's stored in Invite.tokenHash)
+ * @param {String} token
+ * @returns {String}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Signup link for an invite token
+ * @param {String} token
+ * @returns {String}
+ */
+function inviteUrl(token) {
+  return `${process.env.APP_BASE_URL || 'http://localhost:3000'}/invite/${token}`;
+}
+
+/**
+ * Create an invite and email the link
+ *
+ * Any earlier open invite for the same address is cancelled, so only the
+ * newest link works.
+ *
+ * @param {Object} options
+ * @param {String} options.email - Who it's for
+ * @param {String} options.role - Role the account will get
+ * @param {Object} options.invitedBy - Admin sending it (User or session user)
+ * @returns {Promise<{invite: Object, url: String, emailed: Boolean}>}
+ */
+async function createInvite({ email, role, invitedBy }) {
+  const address = String(email || '').trim().toLowerCase();
+  if (!await permissions.roleExists(role)) {
+    throw new Error('Invalid role');
+  }
+  if (await User.exists({ email: address })) {
+    throw new Error(`${address} already has an account`);
+  }
+
+  await Invite.updateMany(
+    { email: address, usedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invite = await Invite.create({
+    email: address,
+    role,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITE_DAYS * 24 * 60 * 60 * 1000),
+    createdBy: invitedBy._id
+  });
+
+  const url = inviteUrl(token);
+  const result = await mailer.sendInviteEmail(address, {
+    role,
+    inviteUrl: url,
+    expiresAt: invite.expiresAt,
+    invitedByName: `${invitedBy.firstName} ${invitedBy.lastName}`.trim(),
+    inviteId: invite._id.toString()
+  });
+
+  return { invite, url, emailed: Boolean(result && result.success) };
+}
+
+/**
+ * Look up an invite that can still be used
+ * @param {String} token - From the link
+ * @returns {Promise<Object|null>}
+ */
+async function findOpenInvite(token) {
+  const invite = await Invite.findOne({ tokenHash: hashToken(token) });
+  return invite && invite.isOpen() ? invite : null;
+}
+
+/**
+ * Create the account for an invite and use up the link
+ *
+ * @param {String} token - From the link
+ * @param {Object} fields - firstName, lastName, password
+ * @returns {Promise<Object>} The new user
+ */
+async function acceptInvite(token, { firstName, lastName, password }) {
+  const invite = await findOpenInvite(token);
+  if (!invite) {
+    throw new Error('This invite link is invalid, expired or already used');
+  }
+  if (await User.exists({ email: invite.email })) {
+    throw new Error('An account with this email already exists. Please log in instead.');
+  }
+
+  // Claim the invite first, so the same link can't create two accounts
+  const claimed = await Invite.findOneAndUpdate(
+    { _id: invite._id, usedAt: null, revokedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new Error('This invite link is invalid, expired or already used');
+  }
+
+  try {
+    const user = await User.create({
+      firstName,
+      lastName,
+      email: invite.email,
+      password,
+      role: invite.role,
+      status: 'active',
+      invitedBy: invite.createdBy
+    });
+    await Invite.updateOne({ _id: invite._id }, { $set: { usedBy: user._id } });
+    return user;
+  } catch (err) {
+    // Give the link back if the account couldn't be created
+    await Invite.updateOne({ _id: invite._id }, { $set: { usedAt: null } });
+    throw err;
+  }
+}
+
+/**
+ * Cancel an unused invite
+ * @param {ObjectId} inviteId
+ * @returns {Promise<Object|null>} The invite, or null if already used/cancelled
+ */
+function revokeInvite(inviteId) {
+  return Invite.findOneAndUpdate(
+    { _id: inviteId, usedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Invites that haven't been used, cancelled or expired
+ * @returns {Promise<Array>}
+ */
+function getOpenInvites() {
+  return Invite.find({ usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .populate('createdBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * Access requests waiting for an admin
+ * @returns {Promise<Array>}
+ */
+function getPendingRequests() {
+  return User.find({ status: 'pending' }).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Approve or reject a pending access request
+ *
+ * @param {ObjectId} userId - Pending user
+ * @param {Boolean} approved
+ * @param {Object} options
+ * @param {String} options.role - Role to give them if approved
+ * @param {ObjectId} options.reviewedBy - Admin deciding
+ * @returns {Promise<Object>} The updated user
+ */
+async function reviewRequest(userId, approved, { role = 'volunteer', reviewedBy }) {
+  if (approved && !await permissions.roleExists(role)) {
+    throw new Error('Invalid role');
+  }
+
+  const changes = { status: approved ? 'active' : 'rejected', reviewedBy, reviewedAt: new Date() };
+  if (approved) {
+    changes.role = role;
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, status: 'pending' },
+    { $set: changes },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error('Request not found or already reviewed');
+  }
+  return user;
+}
+
+module.exports = {
+  INVITE_DAYS,
+  hashToken,
+  inviteUrl,
+  createInvite,
+  findOpenInvite,
+  acceptInvite,
+  revokeInvite,
+  getOpenInvites,
+  getPendingRequests,
+  reviewRequest
+};
@@ -0,0 +1,257 @@
+// services/permissions.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// ROLES & PERMISSIONS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Works out what a role can do. The registry of permissions is in
+// config/permissions.js; role → permission mappings are in the Role
+// collection, falling back to the registry defaults for built-in roles that
+// were never edited.
+//
+// Roles are cached for CACHE_MS so each request doesn't hit the database;
+// edits made through this service clear the cache straight away (other
+// server processes pick them up when their cache runs out).
+//
+// Used by requirePermission() and loadPermissions in routes/_middleware.js.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { BUILT_IN_ROLES, PERMISSION_KEYS, defaultPermissionsFor } = require('../config/permissions');
+
+const CACHE_MS = 30 * 1000;
+
+let cache = null;
+
+/**
+ * A built-in role as it is before anyone edits it
+ * @param {String} key - 'volunteer', 'staff' or 'admin'
+ * @returns {Object}
+ */
+function builtInDefault(key) {
+  return {
+    key,
+    ...BUILT_IN_ROLES[key],
+    baseRole: key,
+    permissions: defaultPermissionsFor(key),
+    builtIn: true
+  };
+}
+
+/**
+ * Forget cached roles (after an edit)
+ */
+function clearCache() {
+  cache = null;
+}
+
+/**
+ * All roles, built-in first, keyed by role key
+ * @returns {Promise<Map<String, Object>>}
+ */
+async function loadRoles() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_MS) {
+    return cache.roles;
+  }
+
+  const roles = new Map();
+  Object.keys(BUILT_IN_ROLES).forEach(key => roles.set(key, builtInDefault(key)));
+
+  const saved = await Role.find().sort({ name: 1 }).lean();
+  saved.forEach(role => {
+    const builtIn = Boolean(BUILT_IN_ROLES[role.key]);
+    roles.set(role.key, {
+      ...role,
+      baseRole: builtIn ? role.key : role.baseRole,
+      builtIn
+    });
+  });
+
+  // Admins can always do everything
+  roles.get('admin').permissions = [...PERMISSION_KEYS];
+
+  cache = { roles, loadedAt: Date.now() };
+  return roles;
+}
+
+/**
+ * All roles as a list, for role pickers and /admin/roles
+ * @returns {Promise<Array<Object>>}
+ */
+async function getRoles() {
+  return [...(await loadRoles()).values()];
+}
+
+/**
+ * One role
+ * @param {String} key
+ * @returns {Promise<Object|null>}
+ */
+async function getRole(key) {
+  return (await loadRoles()).get(key) || null;
+}
+
+/**
+ * Whether a role key exists (for role pickers)
+ * @param {String} key
+ * @returns {Promise<Boolean>}
+ */
+async function roleExists(key) {
+  return Boolean(await getRole(key));
+}
+
+/**
+ * What a role can do. Unknown roles can do nothing.
+ * @param {String} roleKey - User.role
+ * @returns {Promise<{role: String, name: String, baseRole: String|null, permissions: Set<String>}>}
+ */
+async function getAccess(roleKey) {
+  const role = await getRole(roleKey);
+  if (!role) {
+    return { role: roleKey, name: roleKey, baseRole: null, permissions: new Set() };
+  }
+  return { role: role.key, name: role.name, baseRole: role.baseRole, permissions: new Set(role.permissions) };
+}
+
+/**
+ * Check that every key is in the registry
+ * @param {Array<String>} permissions
+ * @returns {Array<String>} The keys, without duplicates
+ */
+function validatePermissions(permissions) {
+  const list = [...new Set([].concat(permissions || []))];
+  const unknown = list.filter(key => !PERMISSION_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+  return list;
+}
+
+/**
+ * Role key made from a display name ("Program Lead" → 'program_lead')
+ * @param {String} name
+ * @returns {String}
+ */
+function keyFromName(name) {
+  const key = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+  return /^[a-z]/.test(key) ? key : `role_${key}`.slice(0, 40);
+}
+
+/**
+ * Create a custom role, starting with its base role's permissions
+ *
+ * @param {Object} fields - name, description, baseRole
+ * @param {ObjectId} userId - Admin creating it
+ * @returns {Promise<Object>} The new role
+ */
+async function createRole({ name, description, baseRole }, userId) {
+  const key = keyFromName(name);
+  if (!BUILT_IN_ROLES[baseRole]) {
+    throw new Error('Pick a base role');
+  }
+  if (await roleExists(key)) {
+    throw new Error(`A role called "${name}" already exists`);
+  }
+
+  const base = await getRole(baseRole);
+  const role = await Role.create({
+    key,
+    name,
+    description,
+    baseRole,
+    permissions: base.permissions,
+    updatedBy: userId
+  });
+
+  clearCache();
+  return role;
+}
+
+/**
+ * Change a role's permissions (and name/description/base role for custom roles)
+ *
+ * @param {String} key - Role key
+ * @param {Object} changes - permissions, name, description, baseRole
+ * @param {ObjectId} userId - Admin saving
+ * @returns {Promise<Object>} The saved role
+ */
+async function updateRole(key, changes, userId) {
+  if (key === 'admin') {
+    throw new Error('The admin role always has every permission');
+  }
+  const existing = await getRole(key);
+  if (!existing) {
+    throw new Error('Role not found');
+  }
+
+  const set = { permissions: validatePermissions(changes.permissions), updatedBy: userId };
+  if (existing.builtIn) {
+    // Built-in roles keep their name and are their own base role
+    Object.assign(set, { name: existing.name, description: existing.description, baseRole: key, builtIn: true });
+  } else {
+    if (!BUILT_IN_ROLES[changes.baseRole]) {
+      throw new Error('Pick a base role');
+    }
+    Object.assign(set, { name: changes.name, description: changes.description, baseRole: changes.baseRole });
+  }
+
+  const role = await Role.findOneAndUpdate(
+    { key },
+    { $set: set },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  clearCache();
+  return role;
+}
+
+/**
+ * Delete a custom role nobody has
+ * @param {String} key
+ * @returns {Promise<Object>} The deleted role
+ */
+async function deleteRole(key) {
+  if (BUILT_IN_ROLES[key]) {
+    throw new Error('Built-in roles can\'t be deleted');
+  }
+  const inUse = await User.countDocuments({ role: key });
+  if (inUse > 0) {
+    throw new Error(`${inUse} user${inUse === 1 ? ' still has' : 's still have'} this role - give them another role first`);
+  }
+
+  const role = await Role.findOneAndDelete({ key });
+  if (!role) {
+    throw new Error('Role not found');
+  }
+
+  clearCache();
+  return role;
+}
+
+/**
+ * How many users have each role
+ * @returns {Promise<Object>} Role key → count
+ */
+async function countUsersByRole() {
+  const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+  const byRole = {};
+  counts.forEach(c => { byRole[c._id] = c.count; });
+  return byRole;
+}
+
+module.exports = {
+  CACHE_MS,
+  clearCache,
+  getRoles,
+  getRole,
+  roleExists,
+  getAccess,
+  validatePermissions,
+  keyFromName,
+  createRole,
+  updateRole,
+  deleteRole,
+  countUsersByRole
+};
@@ -0,0 +1,338 @@
+// services/receipts.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// DONATION TAX RECEIPTS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Renders a numbered, signed PDF receipt for a single donation. The receipt
+// number is assigned the first time a receipt is generated and stored on the
+// Donation, so reprints always carry the same number.
+//
+// Receipt numbers look like THB-2025-00042: prefix, year of the donation,
+// then a per-year sequence from the Counter model.
+//
+// Book gifts are non-cash contributions - the receipt describes them and
+// repeats the value the donor stated, but makes clear the value is the
+// donor's own, as the IRS expects for in-kind gifts.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const Donation = require('../models/Donation');
+const Counter = require('../models/Counter');
+const { ORGANIZATION, TAX_STATEMENT, QUID_PRO_QUO_STATEMENT } = require('../config/organization');
+
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || 'THB';
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Format a dollar amount
+ * @param {Number} amount - Amount in dollars
+ * @returns {String} e.g. "$1,234.50"
+ */
+function formatCurrency(amount) {
+  return '$' + Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Format a date for printing on a receipt
+ * @param {Date} date - Date to format
+ * @returns {String} e.g. "March 4, 2025"
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Build a receipt number from its parts
+ * @param {Number} year - Donation year
+ * @param {Number} seq - Sequence within the year
+ * @returns {String} e.g. "THB-2025-00042"
+ */
+function formatReceiptNumber(year, seq) {
+  return `${RECEIPT_PREFIX}-${year}-${String(seq).padStart(5, '0')}`;
+}
+
+/**
+ * The in-kind value the donor stated for the books, if any
+ * @param {Object} donation - Donation record
+ * @returns {Number} Value in dollars (0 if none)
+ */
+function bookValue(donation) {
+  return donation.totalValue || (donation.valuePerBook ? donation.valuePerBook * donation.numberOfBooks : 0);
+}
+
+/**
+ * Name and mailing address of whoever made the donation
+ * @param {Object} donation - Donation with member/organization populated
+ * @returns {{name: String, addressLines: Array<String>}}
+ */
+function donorDetails(donation) {
+  const donor = donation.member || donation.organization;
+  if (!donor) {
+    return { name: donation.donorName || 'Anonymous Donor', addressLines: [] };
+  }
+
+  const name = donation.member ? `${donor.firstName} ${donor.lastName}` : donor.name;
+  const addressLines = [];
+  if (donor.address) addressLines.push(donor.address);
+  if (donor.zipCode && !(donor.address || '').includes(donor.zipCode)) addressLines.push(donor.zipCode);
+
+  return { name, addressLines };
+}
+
+// ─── Receipt Data ───────────────────────────────────────────────────────────
+
+/**
+ * Everything printed on a receipt, independent of the PDF layout
+ * @param {Object} donation - Donation with member/organization populated and a receiptNumber
+ * @returns {Object} Receipt data
+ */
+function buildReceiptData(donation) {
+  const donor = donorDetails(donation);
+  const items = [];
+
+  const booksValue = bookValue(donation);
+  let bookDescription = `${donation.numberOfBooks} ${donation.donationType === 'new' ? 'new' : 'used'} book${donation.numberOfBooks === 1 ? '' : 's'}`;
+  if (donation.isBookDrive) {
+    bookDescription += ` (book drive${donation.bookDriveName ? ': ' + donation.bookDriveName : ''})`;
+  }
+  if (donation.donationType === 'used' && donation.valuePerBook) {
+    bookDescription += ` - donor-stated value ${formatCurrency(donation.valuePerBook)} per book`;
+  }
+  items.push({
+    description: bookDescription,
+    kind: 'in-kind',
+    amount: booksValue || null
+  });
+
+  if (donation.monetaryAmount > 0) {
+    items.push({
+      description: 'Monetary contribution',
+      kind: 'cash',
+      amount: donation.monetaryAmount
+    });
+  }
+
+  return {
+    receiptNumber: donation.receiptNumber,
+    issuedAt: donation.receiptIssuedAt || new Date(),
+    donatedAt: donation.donatedAt,
+    donor,
+    items,
+    inKindValue: booksValue,
+    monetaryAmount: donation.monetaryAmount || 0,
+    organization: ORGANIZATION,
+    taxStatement: TAX_STATEMENT,
+    quidProQuoStatement: QUID_PRO_QUO_STATEMENT,
+    inKindNote: `The value of donated books is as stated by the donor. ${ORGANIZATION.legalName} does not assign a value to in-kind gifts.`
+  };
+}
+
+// ─── PDF Rendering ──────────────────────────────────────────────────────────
+
+/**
+ * Draw the letterhead shared by receipts and statements
+ * @param {PDFDocument} doc - Open PDF document
+ * @param {Object} org - Organization details
+ */
+function drawLetterhead(doc, org) {
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#2B7A78').text(org.legalName);
+  doc.font('Helvetica').fontSize(9).fillColor('#444444');
+  org.addressLines.forEach(line => doc.text(line));
+  doc.text([org.phone, org.website, org.email].filter(Boolean).join('  |  '));
+  if (org.ein) {
+    doc.text(`EIN: ${org.ein}`);
+  }
+  doc.moveDown(0.5);
+  doc.moveTo(doc.page.margins.left, doc.y)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .strokeColor('#2B7A78')
+    .stroke();
+  doc.fillColor('black').moveDown(1);
+}
+
+/**
+ * Draw the signature block
+ * @param {PDFDocument} doc - Open PDF document
+ * @param {Object} org - Organization details
+ */
+function drawSignature(doc, org) {
+  doc.moveDown(2);
+  if (org.signatureImage && fs.existsSync(org.signatureImage)) {
+    doc.image(org.signatureImage, { height: 40 });
+  } else {
+    doc.font('Helvetica-Oblique').fontSize(16).text(org.signerName);
+  }
+  doc.font('Helvetica').fontSize(10)
+    .text('______________________________')
+    .text(org.signerName)
+    .text(`${org.signerTitle}, ${org.legalName}`);
+}
+
+/**
+ * Collect a finished PDF document into a Buffer
+ * @param {PDFDocument} doc - Document that has not been ended yet
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * Render receipt data to a PDF
+ * @param {Object} data - Output of buildReceiptData()
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderReceiptPdf(data) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 54,
+    info: {
+      Title: `Donation Receipt ${data.receiptNumber}`,
+      Author: data.organization.legalName
+    }
+  });
+
+  drawLetterhead(doc, data.organization);
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Donation Receipt', { align: 'center' });
+  doc.moveDown(1);
+
+  doc.font('Helvetica').fontSize(10);
+  doc.text(`Receipt No.: ${data.receiptNumber}`);
+  doc.text(`Date Issued: ${formatDate(data.issuedAt)}`);
+  doc.text(`Date of Contribution: ${formatDate(data.donatedAt)}`);
+  doc.moveDown(1);
+
+  doc.font('Helvetica-Bold').text('Received From:');
+  doc.font('Helvetica').text(data.donor.name);
+  data.donor.addressLines.forEach(line => doc.text(line));
+  doc.moveDown(1);
+
+  // Contribution table
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const amountWidth = 110;
+
+  doc.font('Helvetica-Bold');
+  let y = doc.y;
+  doc.text('Description', left, y, { width: right - left - amountWidth });
+  doc.text('Amount', right - amountWidth, y, { width: amountWidth, align: 'right' });
+  doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).strokeColor('#999999').stroke();
+  doc.moveDown(0.5);
+
+  doc.font('Helvetica');
+  data.items.forEach(item => {
+    y = doc.y;
+    const label = item.kind === 'in-kind' ? `${item.description} (non-cash)` : item.description;
+    doc.text(label, left, y, { width: right - left - amountWidth - 10 });
+    const afterDescription = doc.y;
+    doc.text(item.amount ? formatCurrency(item.amount) : 'No value stated', right - amountWidth, y, { width: amountWidth, align: 'right' });
+    doc.y = Math.max(afterDescription, doc.y);
+    doc.moveDown(0.3);
+  });
+
+  doc.x = left;
+  doc.moveDown(1.5);
+
+  // Required statements
+  doc.font('Helvetica-Bold').fontSize(10).text(data.quidProQuoStatement);
+  doc.moveDown(0.5);
+  doc.font('Helvetica').text(data.taxStatement);
+  if (data.inKindValue > 0 || data.items.some(i => i.kind === 'in-kind')) {
+    doc.moveDown(0.5);
+    doc.fontSize(9).fillColor('#444444').text(data.inKindNote).fillColor('black').fontSize(10);
+  }
+  doc.moveDown(0.5);
+  doc.text('Please keep this receipt for your tax records.');
+
+  drawSignature(doc, data.organization);
+
+  return toBuffer(doc);
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Give a donation a receipt number if it doesn't have one yet
+ * @param {Object} donation - Donation document or lean object
+ * @returns {Promise<{receiptNumber: String, receiptIssuedAt: Date}>}
+ */
+async function assignReceiptNumber(donation) {
+  if (donation.receiptNumber) {
+    return { receiptNumber: donation.receiptNumber, receiptIssuedAt: donation.receiptIssuedAt };
+  }
+
+  const year = new Date(donation.donatedAt || Date.now()).getFullYear();
+  const seq = await Counter.next(`donationReceipt-${year}`);
+  const receiptNumber = formatReceiptNumber(year, seq);
+  const receiptIssuedAt = new Date();
+
+  // Only set it if nobody else numbered this donation in the meantime
+  const updated = await Donation.findOneAndUpdate(
+    { _id: donation._id, receiptNumber: { $exists: false } },
+    { $set: { receiptNumber, receiptIssuedAt } },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    const current = await Donation.findById(donation._id).select('receiptNumber receiptIssuedAt').lean();
+    return { receiptNumber: current.receiptNumber, receiptIssuedAt: current.receiptIssuedAt };
+  }
+
+  return { receiptNumber, receiptIssuedAt };
+}
+
+/**
+ * Generate (or regenerate) the receipt PDF for a donation
+ * @param {ObjectId} donationId - Donation ID
+ * @returns {Promise<{donation: Object, filename: String, buffer: Buffer}>}
+ */
+async function generateReceipt(donationId) {
+  const donation = await Donation.findById(donationId)
+    .populate('member', 'firstName lastName address zipCode')
+    .populate('organization', 'name address zipCode')
+    .lean();
+
+  if (!donation || donation.isDeleted) {
+    throw new Error('Donation not found');
+  }
+
+  if (!ORGANIZATION.ein) {
+    console.warn('⚠️  ORG_EIN is not set - donation receipts are missing the organization EIN');
+  }
+
+  Object.assign(donation, await assignReceiptNumber(donation));
+
+  const buffer = await renderReceiptPdf(buildReceiptData(donation));
+
+  return {
+    donation,
+    filename: `receipt-${donation.receiptNumber}.pdf`,
+    buffer
+  };
+}
+
+module.exports = {
+  formatCurrency,
+  formatDate,
+  formatReceiptNumber,
+  bookValue,
+  donorDetails,
+  buildReceiptData,
+  renderReceiptPdf,
+  drawLetterhead,
+  drawSignature,
+  toBuffer,
+  assignReceiptNumber,
+  generateReceipt
+};
@@ -0,0 +1,413 @@
+// services/reportSchedules.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEDULED GRANT REPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Emails saved grant reports (see services/grantReports.js) to a list of
+// addresses - e.g. a summary for leadership every Monday morning:
+//
+//   1. A report's schedule (ReportDefinition.schedule) says how often, when
+//      and to whom, and which files to attach (PDF, CSV, Excel). Saving it
+//      works out schedule.nextRunAt.
+//   2. A worker loop (started from server.js) turns every schedule whose
+//      nextRunAt has passed into a queued ReportDelivery and moves nextRunAt
+//      on. "Send now" queues a delivery straight away.
+//   3. The worker claims queued deliveries, runs the report fresh, and sends
+//      it through the mailer's scheduled_report template, recording each
+//      recipient's result on the delivery (the delivery history).
+//
+// Everything lives in the database, so a restart loses nothing: schedules
+// that came due while the server was down are sent once on start-up (not
+// once per missed slot), and a send that was interrupted is picked up again
+// without emailing anyone twice.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ReportDefinition = require('../models/ReportDefinition');
+const ReportDelivery = require('../models/ReportDelivery');
+const grantReports = require('./grantReports');
+const mailer = require('./mailer');
+const { XLSX_MIME_TYPE } = require('../utils/spreadsheet');
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ATTACHMENTS = {
+  pdf: { contentType: 'application/pdf', render: report => grantReports.renderReportPdf(report) },
+  csv: { contentType: 'text/csv; charset=utf-8', render: report => grantReports.renderReportCsv(report) },
+  xlsx: { contentType: XLSX_MIME_TYPE, render: report => grantReports.buildReportWorkbook(report) }
+};
+
+// ─── Schedules ──────────────────────────────────────────────────────────────
+
+/**
+ * "7:00 AM", "12:00 PM"
+ * @param {Number} hour - 0-23
+ * @returns {String}
+ */
+function formatHour(hour) {
+  return `${hour % 12 || 12}:00 ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * When a schedule next sends, after a given moment
+ * @param {Object} schedule - ReportDefinition.schedule
+ * @param {Date} after - Reference time (default now)
+ * @returns {Date|null} Null if the report isn't scheduled
+ */
+function nextRunAt(schedule, after = new Date()) {
+  if (!schedule || !['weekly', 'monthly', 'quarterly'].includes(schedule.frequency)) {
+    return null;
+  }
+
+  if (schedule.frequency === 'weekly') {
+    const days = (schedule.dayOfWeek - after.getDay() + 7) % 7;
+    const next = new Date(after.getFullYear(), after.getMonth(), after.getDate() + days, schedule.hour);
+    if (next <= after) next.setDate(next.getDate() + 7);
+    return next;
+  }
+
+  const step = schedule.frequency === 'quarterly' ? 3 : 1;
+  let month = after.getMonth() - (after.getMonth() % step);
+  let next = new Date(after.getFullYear(), month, schedule.dayOfMonth, schedule.hour);
+  while (next <= after) {
+    month += step;
+    next = new Date(after.getFullYear(), month, schedule.dayOfMonth, schedule.hour);
+  }
+  return next;
+}
+
+/**
+ * "Every Monday at 7:00 AM", "Quarterly on day 1 at 7:00 AM"
+ * @param {Object} schedule - ReportDefinition.schedule
+ * @returns {String}
+ */
+function describeSchedule(schedule) {
+  if (!schedule || !['weekly', 'monthly', 'quarterly'].includes(schedule.frequency)) {
+    return 'Not scheduled';
+  }
+
+  const at = formatHour(schedule.hour);
+  if (schedule.frequency === 'weekly') {
+    return `Every ${DAY_NAMES[schedule.dayOfWeek]} at ${at}`;
+  }
+  if (schedule.frequency === 'monthly') {
+    return `Monthly on day ${schedule.dayOfMonth} at ${at}`;
+  }
+  return `Quarterly (Jan, Apr, Jul, Oct) on day ${schedule.dayOfMonth} at ${at}`;
+}
+
+/**
+ * Set a report's schedule and work out when it next sends
+ * Doesn't save - validate and save the definition afterwards.
+ * @param {Object} definition - ReportDefinition document
+ * @param {Object} fields - frequency, dayOfWeek, dayOfMonth, hour, recipients, attachments
+ * @param {Date} now - Reference time (default now)
+ * @returns {Object} The definition
+ */
+function applySchedule(definition, fields, now = new Date()) {
+  const previous = definition.schedule || {};
+  const schedule = { ...fields, lastRunAt: previous.lastRunAt };
+  schedule.nextRunAt = nextRunAt(schedule, now) || undefined;
+  definition.set('schedule', schedule);
+  return definition;
+}
+
+// ─── Queueing ───────────────────────────────────────────────────────────────
+
+/**
+ * Queue a delivery of a report to its schedule's recipients
+ * @param {Object} definition - ReportDefinition
+ * @param {Object} options
+ * @param {String} options.trigger - 'schedule' or 'manual'
+ * @param {Date} options.scheduledFor - The schedule slot (scheduled deliveries only)
+ * @param {ObjectId} options.userId - Staff member who clicked "Send now"
+ * @returns {Promise<Object>} The ReportDelivery
+ */
+function queueDelivery(definition, { trigger = 'schedule', scheduledFor, userId } = {}) {
+  return ReportDelivery.create({
+    reportDefinition: definition._id,
+    trigger,
+    scheduledFor,
+    recipients: definition.schedule.recipients.map(email => ({ email })),
+    attachments: definition.schedule.attachments,
+    requestedBy: userId
+  });
+}
+
+/**
+ * Email a report to its recipients now
+ * @param {ObjectId} definitionId
+ * @param {ObjectId} userId - Staff member sending it
+ * @returns {Promise<Object>} The queued ReportDelivery
+ */
+async function sendNow(definitionId, userId) {
+  const definition = await ReportDefinition.findOne({ _id: definitionId, isDeleted: { $ne: true } }).lean();
+  if (!definition) {
+    throw new Error('Report not found');
+  }
+  if (!definition.schedule || !definition.schedule.recipients || definition.schedule.recipients.length === 0) {
+    throw new Error('Add at least one email address to send the report to');
+  }
+  if (!mailer.isEmailConfigured()) {
+    throw new Error('Email is not set up on this server');
+  }
+
+  const delivery = await queueDelivery(definition, { trigger: 'manual', userId });
+  kick();
+  return delivery;
+}
+
+/**
+ * Queue a delivery for every schedule that has come due and move it on
+ * A schedule that missed several slots while the server was down gets one
+ * delivery, then carries on from now.
+ * @param {Date} now - Reference time (default now)
+ * @returns {Promise<Number>} Deliveries queued
+ */
+async function queueDueSchedules(now = new Date()) {
+  const due = await ReportDefinition.find({
+    isDeleted: { $ne: true },
+    'schedule.frequency': { $in: ['weekly', 'monthly', 'quarterly'] },
+    'schedule.nextRunAt': { $lte: now }
+  }).lean();
+
+  let queued = 0;
+  for (const definition of due) {
+    const slot = definition.schedule.nextRunAt;
+    try {
+      await queueDelivery(definition, { trigger: 'schedule', scheduledFor: slot });
+      queued++;
+    } catch (err) {
+      // Already queued before a restart - just move the schedule on
+      if (err.code !== 11000) throw err;
+    }
+
+    await ReportDefinition.updateOne(
+      { _id: definition._id, 'schedule.nextRunAt': slot },
+      { $set: { 'schedule.nextRunAt': nextRunAt(definition.schedule, now), 'schedule.lastRunAt': now } }
+    );
+  }
+  return queued;
+}
+
+// ─── Sending ────────────────────────────────────────────────────────────────
+
+/**
+ * Render the files a delivery attaches
+ * @param {Object} report - From grantReports.runReport
+ * @param {Array<String>} formats - pdf, csv, xlsx
+ * @returns {Promise<Array>} Nodemailer attachments
+ */
+function buildAttachments(report, formats = []) {
+  return Promise.all(formats.filter(format => ATTACHMENTS[format]).map(async format => ({
+    filename: grantReports.reportFileName(report, format),
+    content: await ATTACHMENTS[format].render(report),
+    contentType: ATTACHMENTS[format].contentType
+  })));
+}
+
+/**
+ * Placeholder values for the scheduled_report email template
+ * @param {Object} report - From grantReports.runReport
+ * @param {Object} definition - ReportDefinition
+ * @param {Array} attachments - From buildAttachments
+ * @returns {Object}
+ */
+function emailData(report, definition, attachments) {
+  return {
+    reportName: report.name,
+    description: report.description,
+    periodLabel: report.period.label,
+    metrics: report.metrics.map(metric => ({ label: metric.label, display: metric.display, note: metric.note || '' })),
+    attachmentNames: attachments.map(attachment => attachment.filename).join(', '),
+    reportUrl: `${process.env.APP_BASE_URL || 'http://localhost:3000'}/grant-reports/${definition._id}`,
+    scheduleLabel: describeSchedule(definition.schedule)
+  };
+}
+
+/**
+ * Atomically claim the next queued delivery
+ * Also reclaims deliveries whose worker stopped sending a heartbeat.
+ * @returns {Promise<Object|null>}
+ */
+function claimNext() {
+  const now = new Date();
+  return ReportDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Run a claimed delivery's report and email it to every recipient who
+ * hasn't had it yet
+ * @param {Object} delivery - ReportDelivery in "sending" status
+ * @returns {Promise<String>} The delivery's final status
+ */
+async function sendDelivery(delivery) {
+  const finish = async (status, lastError) => {
+    await ReportDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status, lastError: lastError || null, completedAt: new Date(), lockedAt: null }
+    });
+    return status;
+  };
+
+  const definition = await ReportDefinition.findOne({ _id: delivery.reportDefinition, isDeleted: { $ne: true } }).lean();
+  if (!definition) {
+    return finish('failed', 'The report was deleted');
+  }
+
+  const report = await grantReports.runReport(definition);
+  const attachments = await buildAttachments(report, delivery.attachments);
+  const data = emailData(report, definition, attachments);
+
+  await ReportDelivery.updateOne({ _id: delivery._id }, {
+    $set: { periodLabel: report.period.label, startedAt: delivery.startedAt || new Date() }
+  });
+
+  const results = [];
+  for (const recipient of delivery.recipients) {
+    if (recipient.status === 'sent' || recipient.status === 'skipped') {
+      results.push(recipient.status);
+      continue;
+    }
+
+    const result = await mailer.sendTemplatedEmail(
+      'scheduled_report',
+      recipient.email,
+      data,
+      { reportDeliveryId: delivery._id.toString(), reportDefinitionId: definition._id.toString() },
+      null,
+      attachments
+    );
+
+    // Suppressed addresses are logged as skipped, not failed
+    const status = result.success ? 'sent' : (result.skipped ? 'skipped' : 'failed');
+    results.push(status);
+
+    await ReportDelivery.updateOne({ _id: delivery._id, 'recipients.email': recipient.email }, {
+      $set: {
+        'recipients.$.status': status,
+        'recipients.$.error': result.error || null,
+        'recipients.$.sentAt': result.success ? new Date() : null,
+        lockedAt: new Date()
+      }
+    });
+  }
+
+  const failed = results.filter(status => status === 'failed').length;
+  if (failed === 0) {
+    return finish('sent');
+  }
+  const lastError = `${failed} of ${results.length} emails failed`;
+  return finish(failed === results.length ? 'failed' : 'partial', lastError);
+}
+
+/**
+ * Queue due schedules and send every queued delivery
+ * @returns {Promise<Number>} Deliveries processed
+ */
+async function processDue() {
+  await queueDueSchedules();
+
+  let processed = 0;
+  let delivery;
+  while ((delivery = await claimNext())) {
+    try {
+      await sendDelivery(delivery);
+    } catch (err) {
+      console.error(`❌ Report delivery ${delivery._id} stopped:`, err.message);
+      await ReportDelivery.updateOne({ _id: delivery._id }, {
+        $set: { status: 'failed', lastError: err.message, completedAt: new Date(), lockedAt: null }
+      });
+    }
+    processed++;
+  }
+  return processed;
+}
+
+// ─── Worker Loop ────────────────────────────────────────────────────────────
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass of the worker unless one is already running
+ */
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await processDue();
+  } catch (err) {
+    console.error('Report schedule worker error:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Send queued deliveries straight away instead of waiting for the next poll
+ */
+function kick() {
+  if (timer) setImmediate(tick);
+}
+
+/**
+ * Start the worker loop
+ * Does nothing if email isn't configured - due reports wait.
+ * @param {Object} options
+ * @param {Number} options.intervalMs - Poll interval (default 60s)
+ * @returns {Boolean} Whether the worker started
+ */
+function start(options = {}) {
+  if (timer) return true;
+
+  if (!mailer.isEmailConfigured()) {
+    console.warn('⚠️  Report schedule worker not started - email service not configured. Scheduled reports will wait.');
+    return false;
+  }
+
+  timer = setInterval(tick, options.intervalMs || POLL_INTERVAL_MS);
+  timer.unref();
+  setImmediate(tick);
+  console.log('📊 Report schedule worker started');
+  return true;
+}
+
+/**
+ * Stop the worker loop
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  formatHour,
+  nextRunAt,
+  describeSchedule,
+  applySchedule,
+  queueDelivery,
+  sendNow,
+  queueDueSchedules,
+  buildAttachments,
+  emailData,
+  claimNext,
+  sendDelivery,
+  processDue,
+  start,
+  stop
+};
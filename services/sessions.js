@@ -0,0 +1,283 @@
+// services/sessions.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// SESSIONS & SIGN-OUT
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Logins last up to SESSION_TTL_MS in the connect-mongo `sessions` store, and
+// req.session.user is a copy of the user made at login. To keep that copy
+// honest, checkSession (routes/_middleware.js) calls check() on every
+// request from a logged-in browser:
+//
+//   • Role, name and email are refreshed from the User, so a role change on
+//     /admin/users applies on the user's next click.
+//   • The session ends if the account is gone or no longer active, if the
+//     password changed after the session started (User.passwordChangedAt),
+//     if an admin signed it out, or if it sat idle longer than the idle
+//     timeout on /admin/security.
+//
+// Each session also has a UserSession row (browser, IP, last seen) so admins
+// can see where someone is signed in and "Sign out everywhere". Signing out
+// marks the row ended and deletes the session from the store; the row is
+// what check() trusts, in case a request still in flight saves the session
+// again.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const SecuritySettings = require('../models/SecuritySettings');
+const mfa = require('./mfa');
+
+// How long an unused login lasts in the session store (see server.js)
+const SESSION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+// lastSeenAt is written at most this often
+const TOUCH_MS = 60 * 1000;
+
+// The idle timeout setting is re-read this often
+const SETTINGS_CACHE_MS = 30 * 1000;
+
+// Shown on the login page after a session ends
+const END_MESSAGES = {
+  signed_out: 'You were signed out. Please log in again.',
+  idle: 'You were signed out after a period of inactivity. Please log in again.',
+  password_changed: 'Your password was changed. Please log in again with the new password.',
+  account_closed: 'This account doesn\'t have access to the dashboard anymore.'
+};
+
+let settingsCache = null;
+
+/**
+ * Idle timeout in minutes from /admin/security (0 = never)
+ * @returns {Promise<Number>}
+ */
+async function getIdleMinutes() {
+  if (settingsCache && Date.now() - settingsCache.loadedAt < SETTINGS_CACHE_MS) {
+    return settingsCache.idleMinutes;
+  }
+  const settings = await SecuritySettings.getSettings();
+  settingsCache = { idleMinutes: settings.sessionIdleMinutes || 0, loadedAt: Date.now() };
+  return settingsCache.idleMinutes;
+}
+
+/**
+ * Forget the cached idle timeout (after /admin/security is saved)
+ */
+function clearCache() {
+  settingsCache = null;
+}
+
+/**
+ * Short browser description from a user agent, e.g. "Chrome on Windows"
+ * @param {String} userAgent
+ * @returns {String}
+ */
+function describeDevice(userAgent) {
+  const ua = userAgent || '';
+  if (!ua) return 'Unknown device';
+
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['CrOS', 'ChromeOS'],
+    ['Windows', 'Windows'], ['Mac OS X', 'Mac'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([token]) => ua.includes(token));
+  const system = systems.find(([token]) => ua.includes(token));
+  if (!browser && !system) return 'Unknown device';
+  return [browser?.[1] || 'Browser', system?.[1]].filter(Boolean).join(' on ');
+}
+
+/**
+ * Start tracking the session a user just logged in with
+ * @param {Object} req - Express request (after req.session.user is set)
+ * @param {Object} user - User
+ * @param {String} method - 'password' or 'google'
+ * @returns {Promise<Object>} The UserSession
+ */
+function start(req, user, method = 'password') {
+  const now = new Date();
+  return UserSession.findOneAndUpdate(
+    { sessionId: req.sessionID },
+    {
+      $set: {
+        user: user._id,
+        method,
+        ipAddress: req.ip,
+        userAgent: (req.get('user-agent') || '').slice(0, 500),
+        createdAt: now,
+        lastSeenAt: now,
+        endedAt: null,
+        endReason: null,
+        endedBy: null
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Check a logged-in request's session, refreshing req.session.user.
+ *
+ * @param {Object} req - Express request with req.session.user
+ * @param {Date} now
+ * @returns {Promise<{ended: Boolean, reason: String|null}>} ended = log the browser out
+ */
+async function check(req, now = new Date()) {
+  const [user, record, idleMinutes] = await Promise.all([
+    User.findById(req.session.user._id).select('email firstName lastName role status passwordChangedAt mfa.enabled').lean(),
+    UserSession.findOne({ sessionId: req.sessionID }).lean(),
+    getIdleMinutes()
+  ]);
+
+  let reason = null;
+  // Lean reads skip the schema default - accounts from before access
+  // approval have no status and are active
+  if (!user || (user.status && user.status !== 'active')) {
+    reason = 'account_closed';
+  } else if (record?.endedAt) {
+    reason = record.endReason === 'logout' ? 'signed_out' : record.endReason;
+  } else if (record && user.passwordChangedAt && user.passwordChangedAt > record.createdAt) {
+    reason = 'password_changed';
+  } else if (record && idleMinutes > 0 && now - record.lastSeenAt > idleMinutes * 60 * 1000) {
+    reason = 'idle';
+  }
+
+  if (reason) {
+    if (record && !record.endedAt) {
+      await UserSession.updateOne({ _id: record._id }, { $set: { endedAt: now, endReason: reason } });
+    }
+    return { ended: true, reason };
+  }
+
+  // Logged in before sessions were tracked - start now
+  if (!record) {
+    await start(req, user);
+  } else if (now - record.lastSeenAt > TOUCH_MS) {
+    await UserSession.updateOne({ _id: record._id }, { $set: { lastSeenAt: now, ipAddress: req.ip } });
+  }
+
+  // Pick up changes an admin made since login
+  const sessionUser = req.session.user;
+  if (sessionUser.role !== user.role) {
+    sessionUser.mfaSetupRequired = !user.mfa?.enabled && await mfa.isRequiredFor(user.role);
+  }
+  Object.assign(sessionUser, {
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role
+  });
+
+  return { ended: false, reason: null };
+}
+
+/**
+ * Mark the current session as logged out (before req.session.destroy)
+ * @param {Object} req - Express request
+ * @returns {Promise}
+ */
+function end(req) {
+  return UserSession.updateOne(
+    { sessionId: req.sessionID, endedAt: null },
+    { $set: { endedAt: new Date(), endReason: 'logout' } }
+  );
+}
+
+/**
+ * End sessions: mark them ended and delete them from the session store
+ *
+ * @param {Object} store - Session store (req.sessionStore)
+ * @param {Object} filter - Which UserSession rows
+ * @param {String} reason - A UserSession end reason
+ * @param {ObjectId} endedBy - Admin signing them out, if any
+ * @returns {Promise<Number>} How many were ended
+ */
+async function endSessions(store, filter, reason, endedBy = null) {
+  const open = await UserSession.find({ ...filter, endedAt: null }).select('sessionId').lean();
+  if (open.length === 0) return 0;
+
+  await UserSession.updateMany(
+    { _id: { $in: open.map(s => s._id) } },
+    { $set: { endedAt: new Date(), endReason: reason, endedBy } }
+  );
+
+  await Promise.all(open.map(s => new Promise(resolve => {
+    store.destroy(s.sessionId, err => {
+      if (err) console.error('Failed to remove session from store:', err.message);
+      resolve();
+    });
+  })));
+
+  return open.length;
+}
+
+/**
+ * Sign a user out of every browser
+ *
+ * @param {Object} store - Session store (req.sessionStore)
+ * @param {ObjectId} userId
+ * @param {Object} options
+ * @param {String} options.reason - Default 'signed_out'
+ * @param {ObjectId} options.endedBy - Admin signing them out
+ * @param {String} options.exceptSessionId - Keep this session (your own browser)
+ * @returns {Promise<Number>} How many sessions were ended
+ */
+function signOutEverywhere(store, userId, { reason = 'signed_out', endedBy = null, exceptSessionId = null } = {}) {
+  const filter = { user: userId };
+  if (exceptSessionId) filter.sessionId = { $ne: exceptSessionId };
+  return endSessions(store, filter, reason, endedBy);
+}
+
+/**
+ * Sign out one session of a user
+ *
+ * @param {Object} store - Session store (req.sessionStore)
+ * @param {ObjectId} userId
+ * @param {ObjectId} id - UserSession _id
+ * @param {ObjectId} endedBy - Admin signing it out
+ * @returns {Promise<Number>} 1 if it was signed out, 0 if it had already ended
+ */
+function signOutSession(store, userId, id, endedBy = null) {
+  return endSessions(store, { _id: id, user: userId }, 'signed_out', endedBy);
+}
+
+/**
+ * Open sessions for each of several users, for /admin/users
+ * @param {Array<ObjectId>} userIds
+ * @param {Date} now
+ * @returns {Promise<Object>} User ID → sessions (with a `device` description), most recent first
+ */
+async function getActiveSessionsByUser(userIds, now = new Date()) {
+  const idleMinutes = await getIdleMinutes();
+  const oldest = Math.max(
+    now - SESSION_TTL_MS,
+    idleMinutes > 0 ? now - idleMinutes * 60 * 1000 : 0
+  );
+
+  const open = await UserSession.find({
+    user: { $in: userIds },
+    endedAt: null,
+    lastSeenAt: { $gt: new Date(oldest) }
+  }).sort({ lastSeenAt: -1 }).lean();
+
+  const byUser = {};
+  open.forEach(s => {
+    const key = s.user.toString();
+    (byUser[key] = byUser[key] || []).push({ ...s, device: describeDevice(s.userAgent) });
+  });
+  return byUser;
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  END_MESSAGES,
+  getIdleMinutes,
+  clearCache,
+  describeDevice,
+  start,
+  check,
+  end,
+  signOutEverywhere,
+  signOutSession,
+  getActiveSessionsByUser
+};
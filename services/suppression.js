@@ -0,0 +1,219 @@
+// services/suppression.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// EMAIL CONSENT & SUPPRESSION
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Keeps us from emailing people who asked us not to, or whose address is
+// bad:
+//
+//   • Every email carries a signed unsubscribe link (/unsubscribe/:token).
+//     The token is an HMAC of the address, so it can't be forged or used to
+//     unsubscribe someone else, and it never expires.
+//   • Unsubscribing adds the address to the EmailSuppression list and turns
+//     off marketing consent on every member with that address.
+//   • Addresses the mail server permanently rejects are added as "bounced".
+//   • sendTemplatedEmail() asks isSuppressed() before every send.
+//
+// Set UNSUBSCRIBE_SECRET in production; it falls back to SESSION_SECRET.
+// Changing it invalidates links in emails already sent.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const EmailSuppression = require('../models/EmailSuppression');
+const Member = require('../models/Member');
+
+// ─── Unsubscribe Tokens ─────────────────────────────────────────────────────
+
+function secret() {
+  return process.env.UNSUBSCRIBE_SECRET || process.env.SESSION_SECRET || 'testsecret';
+}
+
+function normalize(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function sign(email) {
+  return crypto.createHmac('sha256', secret()).update(`unsubscribe:${email}`).digest('base64url');
+}
+
+/**
+ * Signed token identifying an email address
+ * @param {String} email - Recipient address
+ * @returns {String} URL-safe token
+ */
+function createUnsubscribeToken(email) {
+  const address = normalize(email);
+  return `${Buffer.from(address).toString('base64url')}.${sign(address)}`;
+}
+
+/**
+ * Check a token's signature
+ * @param {String} token - From an unsubscribe link
+ * @returns {String|null} The email address, or null if the token is invalid
+ */
+function verifyUnsubscribeToken(token) {
+  const [encoded, signature] = String(token || '').split('.');
+  if (!encoded || !signature) return null;
+
+  const address = Buffer.from(encoded, 'base64url').toString('utf8');
+  const expected = Buffer.from(sign(address));
+  const actual = Buffer.from(signature);
+
+  if (!address || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  return address;
+}
+
+/**
+ * Full unsubscribe URL for an address
+ * @param {String} email - Recipient address
+ * @returns {String}
+ */
+function unsubscribeUrl(email) {
+  return `${process.env.APP_BASE_URL || 'http://localhost:3000'}/unsubscribe/${createUnsubscribeToken(email)}`;
+}
+
+/**
+ * Show just enough of an address for someone to recognize it
+ * @param {String} email
+ * @returns {String} e.g. "ja***@example.com"
+ */
+function maskEmail(email) {
+  const [local, domain] = normalize(email).split('@');
+  if (!domain) return '***';
+  return `${local.slice(0, 2)}***@${domain}`;
+}
+
+// ─── Suppression List ───────────────────────────────────────────────────────
+
+/**
+ * Whether an address must not receive an email
+ * @param {String} email - Recipient address
+ * @param {Object} options
+ * @param {Boolean} options.marketing - The email is marketing (a campaign)
+ * @returns {Promise<Object|null>} The suppression entry that applies, or null
+ */
+async function isSuppressed(email, options = {}) {
+  const entry = await EmailSuppression.findOne({ email: normalize(email) }).lean();
+  if (!entry) return null;
+  if (entry.scope === 'marketing' && !options.marketing) return null;
+  return entry;
+}
+
+/**
+ * Add an address to the suppression list
+ * An address already blocked for everything isn't narrowed to marketing
+ * only (a bounced address that unsubscribes stays bounced).
+ *
+ * @param {String} email - Address to suppress
+ * @param {String} reason - unsubscribed | bounced | complained | manual
+ * @param {Object} details
+ * @param {String} details.source - How it was added
+ * @param {String} details.detail - Bounce message or note
+ * @param {ObjectId} details.userId - Staff member adding it
+ * @returns {Promise<Object>} The suppression entry
+ */
+async function suppress(email, reason, details = {}) {
+  const address = normalize(email);
+  const scope = EmailSuppression.REASON_SCOPES[reason];
+  if (!scope) {
+    throw new Error(`Unknown suppression reason: ${reason}`);
+  }
+
+  const existing = await EmailSuppression.findOne({ email: address });
+  if (existing && existing.scope === 'all' && scope === 'marketing') {
+    return existing;
+  }
+
+  return EmailSuppression.findOneAndUpdate(
+    { email: address },
+    {
+      $set: {
+        reason,
+        scope,
+        source: details.source,
+        detail: details.detail,
+        createdBy: details.userId
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Suppression entries for the admin page, newest first
+ * @param {Object} options
+ * @param {String} options.search - Part of an address
+ * @param {String} options.reason - Only this reason
+ * @param {Number} options.limit - Max entries (default 200)
+ * @returns {Promise<Array>}
+ */
+function getSuppressions(options = {}) {
+  const filter = {};
+  if (options.search) {
+    filter.email = new RegExp(options.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+  if (options.reason) filter.reason = options.reason;
+
+  return EmailSuppression.find(filter)
+    .populate('createdBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(options.limit || 200)
+    .lean();
+}
+
+/**
+ * Take an address off the suppression list
+ * Marketing consent is not turned back on - that needs a fresh opt-in.
+ * @param {ObjectId} suppressionId
+ * @returns {Promise<Object|null>} The removed entry
+ */
+function removeSuppression(suppressionId) {
+  return EmailSuppression.findByIdAndDelete(suppressionId);
+}
+
+/**
+ * Handle an unsubscribe link
+ * @param {String} token - From the link
+ * @returns {Promise<String|null>} The address, or null if the token is invalid
+ */
+async function unsubscribe(token) {
+  const email = verifyUnsubscribeToken(token);
+  if (!email) return null;
+
+  await suppress(email, 'unsubscribed', { source: 'unsubscribe_link' });
+
+  const escaped = email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  await Member.updateMany(
+    { email: new RegExp(`^${escaped}$`, 'i'), 'emailConsent.marketing': { $ne: false } },
+    { $set: { emailConsent: Member.buildConsent(false, 'unsubscribe') } }
+  );
+
+  return email;
+}
+
+/**
+ * Whether a send error means the address itself is bad
+ * (a permanent 5xx rejection of the recipient, not a connection problem)
+ * @param {Error} error - Nodemailer error
+ * @returns {Boolean}
+ */
+function isPermanentBounce(error) {
+  return Boolean(error && error.command === 'RCPT TO' && error.responseCode >= 500 && error.responseCode < 600);
+}
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl,
+  maskEmail,
+  isSuppressed,
+  suppress,
+  getSuppressions,
+  removeSuppression,
+  unsubscribe,
+  isPermanentBounce
+};
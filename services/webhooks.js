@@ -0,0 +1,472 @@
+// services/webhooks.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// OUTBOUND WEBHOOKS
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Tells outside systems (newsletter tool, CRM) about new records. Admins
+// subscribe a URL to events on /admin/webhooks (WebhookSubscription.EVENTS).
+//
+//   1. auditLogger.logCreate() calls recordCreated() for every new record;
+//      records with an event become one WebhookDelivery per subscription
+//   2. A worker loop (started from server.js) POSTs due deliveries, claiming
+//      them atomically like the email queue does
+//   3. Anything but a 2xx answer is retried with exponential backoff:
+//      1 min, 2 min, 4 min ... capped at 6 hours, maxAttempts times
+//   4. Dead deliveries wait for an admin to redeliver them
+//
+// Every request is JSON:
+//
+//   POST <url>
+//   X-TreeHouse-Event: donation.created
+//   X-TreeHouse-Delivery: <delivery id>
+//   X-TreeHouse-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+//
+//   { "id": "<event id>", "event": "donation.created", "createdAt": "...", "data": { ...the record's shared fields } }
+//
+// Receivers should check the signature with their secret, reject old
+// timestamps, and ignore event ids they've already seen (a redelivery sends
+// the same id again).
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const { EVENTS } = WebhookSubscription;
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const POLL_INTERVAL_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const BATCH_SIZE = 20;
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * How long to wait before the next attempt
+ * @param {Number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {Number} Delay in milliseconds
+ */
+function backoffDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_MS);
+}
+
+/**
+ * A new signing secret
+ * @returns {String}
+ */
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * X-TreeHouse-Signature value for a request body
+ * @param {String} secret - The subscription's secret
+ * @param {String} body - The exact JSON sent
+ * @param {Date} now
+ * @returns {String} "t=<unix seconds>,v1=<hex>"
+ */
+function signatureHeader(secret, body, now = new Date()) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a URL can be sent to: https, or http outside production (for testing
+ * against a local receiver)
+ * @param {String} url
+ * @returns {String} The URL
+ */
+function validateUrl(url) {
+  if (!URL.canParse(url)) {
+    throw new Error('URL must be a full web address, e.g. https://example.org/hooks/treehouse');
+  }
+  const parsed = new URL(url);
+  const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!allowed.includes(parsed.protocol)) {
+    throw new Error('URL must start with https://');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Check events against WebhookSubscription.EVENTS
+ * @param {Array<String>|String} events
+ * @returns {Array<String>} The events, without duplicates
+ */
+function validateEvents(events) {
+  const list = [...new Set([].concat(events || []))];
+  if (list.length === 0) {
+    throw new Error('Pick at least one event');
+  }
+  const unknown = list.filter(event => !EVENTS[event]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event: ${unknown.join(', ')}`);
+  }
+  return list;
+}
+
+/**
+ * A record as plain JSON for a payload
+ * Only the event's listed fields are sent (WebhookSubscription.EVENTS), so
+ * phone numbers, birthdays, guardians and notes never leave the app.
+ * @param {String} event - Key of WebhookSubscription.EVENTS
+ * @param {Object} record - Mongoose document or plain object
+ * @param {Object} options
+ * @param {Boolean} options.includeAddresses - Add the event's address fields
+ * @returns {Object}
+ */
+function serializeRecord(event, record, { includeAddresses = false } = {}) {
+  const { fields, addressFields = [] } = EVENTS[event];
+  const source = record.toObject ? record.toObject() : record;
+
+  const data = {};
+  fields.concat(includeAddresses ? addressFields : []).forEach(field => {
+    if (source[field] !== undefined) data[field] = source[field];
+  });
+  return JSON.parse(JSON.stringify(data));
+}
+
+// ─── Subscriptions ──────────────────────────────────────────────────────────
+
+/**
+ * Create a subscription
+ *
+ * @param {Object} options
+ * @param {String} options.name
+ * @param {String} options.url
+ * @param {Array<String>} options.events
+ * @param {Boolean} options.includeAddresses
+ * @param {ObjectId} options.createdBy
+ * @returns {Promise<Object>} The subscription, with its secret
+ */
+function createSubscription({ name, url, events, includeAddresses = false, createdBy }) {
+  return WebhookSubscription.create({
+    name,
+    url: validateUrl(url),
+    events: validateEvents(events),
+    includeAddresses: Boolean(includeAddresses),
+    secret: generateSecret(),
+    createdBy
+  });
+}
+
+/**
+ * Update a subscription's settings
+ *
+ * @param {ObjectId} id
+ * @param {Object} fields - name, url, events, active, includeAddresses
+ * @returns {Promise<{before: Object, after: Object}|null>} null if it doesn't exist
+ */
+async function updateSubscription(id, { name, url, events, active, includeAddresses }) {
+  const subscription = await WebhookSubscription.findById(id);
+  if (!subscription) return null;
+
+  const before = subscription.toObject();
+  subscription.name = name;
+  subscription.url = validateUrl(url);
+  subscription.events = validateEvents(events);
+  subscription.active = Boolean(active);
+  subscription.includeAddresses = Boolean(includeAddresses);
+  await subscription.save();
+
+  return { before, after: subscription.toObject() };
+}
+
+/**
+ * Give a subscription a new secret (the old one stops working at once)
+ * @param {ObjectId} id
+ * @returns {Promise<Object|null>} The subscription, with its new secret
+ */
+function rotateSecret(id) {
+  return WebhookSubscription.findByIdAndUpdate(id, { $set: { secret: generateSecret() } }, { new: true });
+}
+
+// ─── Events ─────────────────────────────────────────────────────────────────
+
+/**
+ * Queue an event for every active subscription to it
+ *
+ * @param {String} event - Key of WebhookSubscription.EVENTS
+ * @param {Object} record - The new record
+ * @returns {Promise<Number>} Deliveries queued
+ */
+async function emit(event, record) {
+  const subscriptions = await WebhookSubscription.find({ active: true, events: event }).lean();
+  if (subscriptions.length === 0) return 0;
+
+  const eventId = crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+
+  await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+    subscription: subscription._id,
+    event,
+    eventId,
+    payload: { id: eventId, event, createdAt, data: serializeRecord(event, record, subscription) }
+  })));
+
+  kick();
+  return subscriptions.length;
+}
+
+/**
+ * Send the event for a newly created record, if it has one
+ * (called by auditLogger.logCreate)
+ *
+ * @param {String} modelName - e.g. 'Donation'
+ * @param {Object} record
+ * @returns {Promise<Number>} Deliveries queued
+ */
+function recordCreated(modelName, record) {
+  const event = Object.keys(EVENTS).find(key => EVENTS[key].model === modelName);
+  return event ? emit(event, record) : Promise.resolve(0);
+}
+
+/**
+ * Queue a test event for one subscription (active or not)
+ * @param {Object} subscription
+ * @returns {Promise<Object>} The delivery
+ */
+async function ping(subscription) {
+  const eventId = crypto.randomUUID();
+  const delivery = await WebhookDelivery.create({
+    subscription: subscription._id,
+    event: 'ping',
+    eventId,
+    maxAttempts: 1,
+    payload: {
+      id: eventId,
+      event: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { subscription: subscription.name, events: subscription.events }
+    }
+  });
+  kick();
+  return delivery;
+}
+
+// ─── Delivery ───────────────────────────────────────────────────────────────
+
+/**
+ * Atomically claim the next due delivery
+ * @returns {Promise<Object|null>} The claimed delivery, or null if none are due
+ */
+function claimNext() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * POST one claimed delivery and record the outcome
+ * @param {Object} delivery - Claimed WebhookDelivery document
+ * @returns {Promise<String>} The delivery's new status
+ */
+async function processDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).lean();
+  const update = { lockedAt: null };
+  const started = Date.now();
+
+  if (!subscription) {
+    update.lastError = 'The subscription was deleted';
+  } else if (!subscription.active && delivery.event !== 'ping') {
+    update.lastError = 'The subscription is paused';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TreeHouseBooks-Webhooks/1.0',
+          'X-TreeHouse-Event': delivery.event,
+          'X-TreeHouse-Delivery': delivery._id.toString(),
+          'X-TreeHouse-Signature': signatureHeader(subscription.secret, body)
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
+      });
+      update.responseStatus = response.status;
+      update.responseBody = String(response.data || '').slice(0, 1000);
+      update.lastError = response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`;
+    } catch (err) {
+      update.responseStatus = null;
+      update.responseBody = null;
+      update.lastError = err.code === 'ECONNABORTED' ? 'Timed out' : err.message;
+    }
+    update.durationMs = Date.now() - started;
+  }
+
+  const now = new Date();
+  if (update.lastError === null) {
+    update.status = 'delivered';
+    update.deliveredAt = now;
+  } else if (!subscription || delivery.attempts >= delivery.maxAttempts || !subscription.active) {
+    update.status = 'dead';
+  } else {
+    update.status = 'pending';
+    update.nextAttemptAt = new Date(now.getTime() + backoffDelay(delivery.attempts));
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+  return update.status;
+}
+
+/**
+ * Send every delivery that is due, up to a batch limit
+ * @param {Number} limit - Max deliveries to process (default BATCH_SIZE)
+ * @returns {Promise<Number>} Deliveries processed
+ */
+async function processDue(limit = BATCH_SIZE) {
+  let processed = 0;
+  while (processed < limit) {
+    const delivery = await claimNext();
+    if (!delivery) break;
+    await processDelivery(delivery);
+    processed++;
+  }
+  return processed;
+}
+
+/**
+ * Send a delivery's event again, as a new delivery (the old one stays in the log)
+ * @param {ObjectId} deliveryId
+ * @param {ObjectId} userId - Admin asking for it
+ * @returns {Promise<Object|null>} The new delivery, or null if there's nothing to redeliver
+ */
+async function redeliver(deliveryId, userId) {
+  const original = await WebhookDelivery.findOne({ _id: deliveryId, status: { $in: ['delivered', 'dead'] } }).lean();
+  if (!original) return null;
+
+  const delivery = await WebhookDelivery.create({
+    subscription: original.subscription,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    maxAttempts: 1,
+    redeliveryOf: original._id,
+    redeliveredBy: userId
+  });
+  kick();
+  return delivery;
+}
+
+/**
+ * Recent deliveries for the log, newest first
+ * @param {Object} filters
+ * @param {ObjectId} filters.subscription
+ * @param {String} filters.status
+ * @param {Number} filters.limit
+ * @returns {Promise<Array<Object>>}
+ */
+function listDeliveries({ subscription, status, limit = 100 } = {}) {
+  const query = {};
+  if (subscription) query.subscription = subscription;
+  if (status) query.status = status;
+  return WebhookDelivery.find(query)
+    .populate('subscription', 'name url')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Delivery counts by status
+ * @returns {Promise<{pending: Number, processing: Number, delivered: Number, dead: Number}>}
+ */
+async function getStats() {
+  const counts = await WebhookDelivery.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const stats = { pending: 0, processing: 0, delivered: 0, dead: 0 };
+  counts.forEach(c => { stats[c._id] = c.count; });
+  return stats;
+}
+
+// ─── Worker Loop ────────────────────────────────────────────────────────────
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass of the worker unless one is already running
+ */
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await processDue();
+  } catch (err) {
+    console.error('Webhook worker error:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Send new deliveries straight away instead of waiting for the next poll
+ */
+function kick() {
+  if (timer) setImmediate(tick);
+}
+
+/**
+ * Start the worker loop
+ * @param {Object} options
+ * @param {Number} options.intervalMs - Poll interval (default 30s)
+ */
+function start(options = {}) {
+  if (timer) return;
+  timer = setInterval(tick, options.intervalMs || POLL_INTERVAL_MS);
+  timer.unref();
+  setImmediate(tick);
+  console.log('🔔 Webhook worker started');
+}
+
+/**
+ * Stop the worker loop
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  EVENTS,
+  backoffDelay,
+  signatureHeader,
+  validateUrl,
+  validateEvents,
+  serializeRecord,
+  createSubscription,
+  updateSubscription,
+  rotateSecret,
+  emit,
+  recordCreated,
+  ping,
+  claimNext,
+  processDelivery,
+  processDue,
+  redeliver,
+  listDeliveries,
+  getStats,
+  start,
+  stop
+};
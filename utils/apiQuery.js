@@ -0,0 +1,169 @@
+// utils/apiQuery.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// API LIST QUERIES - pagination, filtering and sorting for /api/v1
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Turns query string parameters into a MongoDB filter, sort and page, using
+// the resource definitions in routes/apiV1.js. Only fields a resource lists
+// can be filtered or sorted on, and every value is cast to its field type,
+// so nothing from the query string reaches MongoDB as an operator.
+//
+//   ?page=2&limit=100          Page through results (limit 1-200, default 50)
+//   ?sort=-donatedAt           Sort field; a leading "-" sorts newest/largest first
+//   ?from=2025-01-01&to=...    Date range on the resource's main date (inclusive)
+//   ?memberType=child          Exact match on a filterable field
+//   ?q=smith                   Text search, where the resource supports it
+//
+// Bad values throw an Error with status 400 and a message for the caller.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error for a bad query parameter (400)
+ * @param {String} message
+ * @returns {Error}
+ */
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Cast one query value to a field type
+ *
+ * @param {String} name - Parameter name (for error messages)
+ * @param {*} value - From req.query
+ * @param {String} type - 'string', 'id', 'boolean', 'number' or 'day'
+ * @returns {*}
+ */
+function castValue(name, value, type) {
+  if (typeof value !== 'string') {
+    throw badRequest(`${name} must be a single value`);
+  }
+
+  switch (type) {
+    case 'id':
+      if (!mongoose.isValidObjectId(value)) throw badRequest(`${name} must be an ID`);
+      return new mongoose.Types.ObjectId(value);
+    case 'boolean':
+      if (value !== 'true' && value !== 'false') throw badRequest(`${name} must be true or false`);
+      return value === 'true';
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) throw badRequest(`${name} must be a number`);
+      return number;
+    }
+    case 'day':
+      if (!DAY_PATTERN.test(value)) throw badRequest(`${name} must be a date like 2025-01-31`);
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Date range for ?from= / ?to= (YYYY-MM-DD, both inclusive)
+ *
+ * @param {Object} query - req.query
+ * @param {String} dateType - 'date' for Date fields, 'day' for "YYYY-MM-DD" string fields
+ * @returns {Object|null} MongoDB condition, or null without from/to
+ */
+function dateRange(query, dateType) {
+  const range = {};
+  ['from', 'to'].forEach(key => {
+    if (query[key] === undefined) return;
+    const day = castValue(key, query[key], 'day');
+    if (dateType === 'day') {
+      range[key === 'from' ? '$gte' : '$lte'] = day;
+      return;
+    }
+    const date = new Date(`${day}T00:00:00.000Z`);
+    if (Number.isNaN(date.getTime())) throw badRequest(`${key} isn't a real date`);
+    if (key === 'from') {
+      range.$gte = date;
+    } else {
+      range.$lt = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+    }
+  });
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+/**
+ * Build a list query for a resource
+ *
+ * @param {Object} query - req.query
+ * @param {Object} resource - Definition from routes/apiV1.js
+ * @param {Object} resource.filters - Field → type for exact-match filters
+ * @param {String} resource.dateField - Field ?from/?to apply to
+ * @param {String} resource.dateType - 'date' (default) or 'day'
+ * @param {Array<String>} resource.sortable - Fields ?sort accepts
+ * @param {String} resource.defaultSort - e.g. '-donatedAt'
+ * @param {Array<String>} resource.search - Fields ?q searches (optional)
+ * @returns {{filter: Object, sort: Object, page: Number, limit: Number, skip: Number}}
+ */
+function parseListQuery(query, resource) {
+  const filter = {};
+
+  Object.entries(resource.filters || {}).forEach(([field, type]) => {
+    if (query[field] !== undefined) {
+      filter[field] = castValue(field, query[field], type);
+    }
+  });
+
+  if (resource.dateField) {
+    const range = dateRange(query, resource.dateType || 'date');
+    if (range) filter[resource.dateField] = range;
+  }
+
+  if (query.q !== undefined) {
+    if (!resource.search) throw badRequest('q isn\'t supported here');
+    const text = castValue('q', query.q, 'string').trim();
+    if (text) {
+      const pattern = new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = resource.search.map(field => ({ [field]: pattern }));
+    }
+  }
+
+  const sortParam = query.sort === undefined ? resource.defaultSort : castValue('sort', query.sort, 'string');
+  const sortField = sortParam.replace(/^-/, '');
+  if (!resource.sortable.includes(sortField)) {
+    throw badRequest(`sort must be one of: ${resource.sortable.join(', ')}`);
+  }
+  const sort = { [sortField]: sortParam.startsWith('-') ? -1 : 1 };
+  if (sortField !== '_id') sort._id = 1; // Stable order across pages
+
+  const page = query.page === undefined ? 1 : castValue('page', query.page, 'number');
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : castValue('limit', query.limit, 'number');
+  if (!Number.isInteger(page) || page < 1) throw badRequest('page must be 1 or more');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw badRequest(`limit must be between 1 and ${MAX_LIMIT}`);
+
+  return { filter, sort, page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Pagination block for a list response
+ * @param {Number} page
+ * @param {Number} limit
+ * @param {Number} total - Matching records
+ * @returns {{page: Number, limit: Number, total: Number, pages: Number}}
+ */
+function pagination(page, limit, total) {
+  return { page, limit, total, pages: Math.ceil(total / limit) };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  badRequest,
+  parseListQuery,
+  pagination
+};
@@ -1,5 +1,6 @@
 // utils/auditLogger.js
 const AuditLog = require('../models/AuditLog');
+const webhooks = require('../services/webhooks');
 
 /**
  * Audit Logger Utility
@@ -7,7 +8,7 @@ const AuditLog = require('../models/AuditLog');
  */
 
 /**
- * Log a record creation
+ * Log a record creation, and queue webhooks for it (see services/webhooks.js)
  * @param {string} modelName - The model name (e.g., 'Member', 'Donation')
  * @param {Object} record - The created record
  * @param {string} userId - The ID of the user who created the record
@@ -27,6 +28,12 @@ async function logCreate(modelName, record, userId) {
   } catch (err) {
     console.error('Audit log error (create):', err.message);
   }
+
+  try {
+    await webhooks.recordCreated(modelName, record);
+  } catch (err) {
+    console.error('Webhook error (create):', err.message);
+  }
 }
 
 /**
@@ -130,6 +137,66 @@ async function logRestore(modelName, recordId, userId) {
   }
 }
 
+/**
+ * Log a merge of one record into another
+ * Unlike the other helpers this returns the created entry, since the merge
+ * can only be reversed through it.
+ * @param {string} modelName - The model name
+ * @param {string} recordId - The surviving record's ID
+ * @param {string} relatedRecordId - The merged-away record's ID
+ * @param {Object} details - What was moved (kept as-is for undo)
+ * @param {string} userId - The ID of the user who performed the merge
+ * @param {string} summary - Human-readable summary
+ * @returns {Object|null} The created audit entry
+ */
+async function logMerge(modelName, recordId, relatedRecordId, details, userId, summary) {
+  try {
+    return await AuditLog.create({
+      modelName,
+      recordId,
+      relatedRecordId,
+      action: 'merge',
+      performedBy: userId,
+      changedFields: Object.keys(details.survivorPrevious || {}),
+      previousValues: sanitizeValues(details.survivorPrevious || {}),
+      newValues: { mergedFrom: relatedRecordId.toString() },
+      details,
+      summary
+    });
+  } catch (err) {
+    console.error('Audit log error (merge):', err.message);
+    return null;
+  }
+}
+
+/**
+ * Log the reversal of a merge
+ * @param {string} modelName - The model name
+ * @param {string} recordId - The surviving record's ID
+ * @param {string} relatedRecordId - The restored record's ID
+ * @param {string} userId - The ID of the user who undid the merge
+ * @param {string} mergeEntryId - The ID of the merge entry being reversed
+ * @returns {Object|null} The created audit entry
+ */
+async function logUnmerge(modelName, recordId, relatedRecordId, userId, mergeEntryId) {
+  try {
+    return await AuditLog.create({
+      modelName,
+      recordId,
+      relatedRecordId,
+      action: 'unmerge',
+      performedBy: userId,
+      changedFields: [],
+      previousValues: { mergeEntry: mergeEntryId.toString() },
+      newValues: { restored: relatedRecordId.toString() },
+      summary: `Undid merge of ${modelName} ${relatedRecordId}`
+    });
+  } catch (err) {
+    console.error('Audit log error (unmerge):', err.message);
+    return null;
+  }
+}
+
 /**
  * Get the audit history for a specific record
  * @param {string} modelName - The model name
@@ -201,7 +268,7 @@ function sanitizeValues(obj) {
     if (key.startsWith('_') || key === '__v') continue;
 
     // Skip sensitive fields
-    if (['password', 'passwordHash', 'resetToken'].includes(key)) continue;
+    if (['password', 'passwordHash', 'resetToken', 'secret'].includes(key)) continue;
 
     // Handle dates
     if (value instanceof Date) {
@@ -235,6 +302,8 @@ module.exports = {
   logUpdate,
   logDelete,
   logRestore,
+  logMerge,
+  logUnmerge,
   getHistory,
   getRecentActivity,
   getUserActivity
@@ -0,0 +1,597 @@
+// utils/openapi.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// API REFERENCE - an OpenAPI 3 document built from the mounted routes
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Walks the Express app and describes every route it finds:
+//
+//   • path parameters             from the route path (:id → {id})
+//   • query and body fields       from the route's express-validator chains
+//   • who can call it             from requirePermission() / ensureAuthenticated
+//   • /api/v1 filters and records from RESOURCES in routes/apiV1.js and the
+//                                 Mongoose models behind them
+//
+// Groups and summaries come from routes/_routeMap.js. Routes missing from the
+// route map are left out of the document (and listed by undocumentedRoutes(),
+// which __tests__/routes/routeMap.test.js checks is empty).
+//
+// Every router is mounted at '/' in server.js with full paths, so a route's
+// path is the URL.
+//
+// Served at /api/docs (routes/apiDocs.js).
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { ensureAuthenticated } = require('../routes/_middleware');
+const { API_SCOPES } = require('../config/permissions');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./apiQuery');
+const { version } = require('../package.json');
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+const ERROR_RESPONSE = {
+  description: 'Error',
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+};
+
+/**
+ * Every route on the app, in the order Express matches them
+ * @param {Object} app - Express app
+ * @returns {Array<{method: String, path: String, handlers: Array<Function>}>}
+ */
+function collectRoutes(app) {
+  const routes = [];
+  const visit = stack => stack.forEach(layer => {
+    if (layer.route && typeof layer.route.path === 'string') {
+      Object.keys(layer.route.methods).filter(method => method !== '_all').forEach(method => {
+        routes.push({ method, path: layer.route.path, handlers: layer.route.stack.map(l => l.handle) });
+      });
+    } else if (layer.name === 'router') {
+      visit(layer.handle.stack);
+    }
+  });
+  visit(app._router.stack);
+  return routes;
+}
+
+/**
+ * Route map key for a route, e.g. 'GET /members/:id'
+ * @param {String} method - Lowercase, as Express stores it
+ * @param {String} path
+ * @returns {String}
+ */
+function routeKey(method, path) {
+  return `${method.toUpperCase()} ${path}`;
+}
+
+/**
+ * Route map entries by key: { summary, tag }
+ * @param {Object} routeMap - routes/_routeMap.js
+ * @returns {Map<String, Object>}
+ */
+function indexRouteMap(routeMap) {
+  const index = new Map();
+  Object.entries(routeMap).forEach(([tag, routes]) => {
+    Object.entries(routes).forEach(([key, summary]) => index.set(key, { summary, tag }));
+  });
+  return index;
+}
+
+/**
+ * Mounted routes the route map doesn't describe
+ * @param {Object} app - Express app
+ * @param {Object} routeMap - routes/_routeMap.js
+ * @returns {Array<String>} Route keys
+ */
+function undocumentedRoutes(app, routeMap = require('../routes/_routeMap')) {
+  const index = indexRouteMap(routeMap);
+  return collectRoutes(app).map(r => routeKey(r.method, r.path)).filter(key => !index.has(key));
+}
+
+/**
+ * Route map entries that aren't mounted (renamed or removed routes)
+ * @param {Object} app - Express app
+ * @param {Object} routeMap - routes/_routeMap.js
+ * @returns {Array<String>} Route keys
+ */
+function staleRouteMapEntries(app, routeMap = require('../routes/_routeMap')) {
+  const mounted = new Set(collectRoutes(app).map(r => routeKey(r.method, r.path)));
+  return [...indexRouteMap(routeMap).keys()].filter(key => !mounted.has(key));
+}
+
+/**
+ * Add a field to an object schema. Dotted names nest ('address.street'),
+ * and '*' is an array item ('guardians.*.name').
+ *
+ * @param {Object} node - Schema to add to
+ * @param {Array<String>} parts - Field name split on '.'
+ * @param {Object} field - Schema for the field
+ * @param {Boolean} required
+ */
+function addField(node, parts, field, required) {
+  if (parts.length === 0) {
+    Object.assign(node, field);
+    return;
+  }
+
+  const [part, ...rest] = parts;
+  if (part === '*') {
+    node.type = 'array';
+    node.items = node.items || {};
+    addField(node.items, rest, field, required);
+    return;
+  }
+
+  node.type = node.type || 'object';
+  node.properties = node.properties || {};
+  node.properties[part] = node.properties[part] || {};
+  if (required && rest.length === 0) {
+    node.required = [...new Set([...(node.required || []), part])];
+  }
+  addField(node.properties[part], rest, field, required);
+}
+
+/**
+ * Describe one express-validator chain's field
+ *
+ * @param {Object} context - chain.builder.build()
+ * @returns {{schema: Object, required: Boolean}}
+ */
+function describeValidation(context) {
+  const schema = {};
+  const messages = [];
+  let validated = false;
+
+  context.stack.forEach(item => {
+    if (typeof item.validator !== 'function') return; // sanitizers
+    validated = true;
+    if (typeof item.message === 'string') messages.push(item.message);
+    if (item.negated) return; // .not().isEmpty() and the like only make it required
+
+    const [options = {}] = item.options || [];
+    switch (item.validator.name) {
+      case 'isInt':
+        schema.type = 'integer';
+        if (options.min !== undefined) schema.minimum = options.min;
+        if (options.max !== undefined) schema.maximum = options.max;
+        break;
+      case 'isFloat':
+      case 'isNumeric':
+      case 'isDecimal':
+        schema.type = 'number';
+        if (options.min !== undefined) schema.minimum = options.min;
+        if (options.max !== undefined) schema.maximum = options.max;
+        break;
+      case 'isBoolean':
+        schema.type = 'boolean';
+        break;
+      case 'isEmail':
+        schema.type = 'string';
+        schema.format = 'email';
+        break;
+      case 'isISO8601':
+      case 'isDate':
+        schema.type = 'string';
+        schema.format = 'date';
+        break;
+      case 'isURL':
+        schema.type = 'string';
+        schema.format = 'uri';
+        break;
+      case 'isMongoId':
+        Object.assign(schema, OBJECT_ID);
+        break;
+      case 'isIn':
+        if (Array.isArray(options)) schema.enum = options;
+        break;
+      case 'isLength':
+        schema.type = schema.type || 'string';
+        if (options.min !== undefined) schema.minLength = options.min;
+        if (options.max !== undefined) schema.maxLength = options.max;
+        break;
+      case 'matches':
+        if (options instanceof RegExp) schema.pattern = options.source;
+        else if (typeof options === 'string') schema.pattern = options;
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (!schema.type && !schema.enum) schema.type = 'string';
+  if (messages.length > 0) schema.description = [...new Set(messages)].join('. ');
+
+  return { schema, required: validated && !context.optional };
+}
+
+/**
+ * Query, path and body fields from a route's express-validator chains
+ *
+ * @param {Array<Function>} handlers - The route's middleware
+ * @param {String} method
+ * @returns {{query: Object, params: Object, body: Object|null}}
+ */
+function describeValidators(handlers, method) {
+  const query = {};
+  const params = {};
+  let body = null;
+
+  handlers.filter(handler => handler.builder).forEach(chain => {
+    const context = chain.builder.build();
+    const { schema, required } = describeValidation(context);
+
+    // check() looks everywhere: treat it as the query for GETs, else the body
+    const location = context.locations.length === 1
+      ? context.locations[0]
+      : (method === 'get' ? 'query' : 'body');
+
+    context.fields.filter(Boolean).forEach(field => {
+      if (location === 'query') {
+        query[field] = { ...query[field], schema: { ...(query[field] || {}).schema, ...schema }, required };
+      } else if (location === 'params') {
+        params[field] = { ...params[field], ...schema };
+      } else if (location === 'body') {
+        body = body || { type: 'object' };
+        addField(body, field.split('.'), schema, required);
+      }
+    });
+  });
+
+  return { query, params, body };
+}
+
+/**
+ * Who can call a route, from its guard middleware
+ * @param {Array<Function>} handlers
+ * @returns {{permissions: Array<String>, loggedIn: Boolean}}
+ */
+function describeAccess(handlers) {
+  const permissions = handlers.filter(h => Array.isArray(h.permissions)).flatMap(h => h.permissions);
+  const loggedIn = permissions.length > 0 || handlers.includes(ensureAuthenticated);
+  return { permissions, loggedIn };
+}
+
+/**
+ * JSON schema for one Mongoose path
+ * @param {Object} type - Mongoose SchemaType
+ * @returns {Object}
+ */
+function describeSchemaType(type) {
+  switch (type.instance) {
+    case 'String':
+      return type.enumValues && type.enumValues.length > 0
+        ? { type: 'string', enum: type.enumValues }
+        : { type: 'string' };
+    case 'Number':
+    case 'Decimal128':
+      return { type: 'number' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'ObjectID':
+    case 'ObjectId':
+      return type.options.ref
+        ? { ...OBJECT_ID, description: `${type.options.ref} ID` }
+        : { ...OBJECT_ID };
+    case 'Array':
+      if (type.schema) return { type: 'array', items: describeModelSchema(type.schema, []) };
+      return { type: 'array', items: type.caster ? describeSchemaType(type.caster) : {} };
+    case 'Embedded':
+      return describeModelSchema(type.schema, []);
+    default:
+      return { type: 'object' }; // Mixed, Map
+  }
+}
+
+/**
+ * JSON schema for a Mongoose schema
+ * @param {Object} schema - Mongoose Schema
+ * @param {Array<String>} hidden - Top-level fields the API never sends
+ * @returns {Object}
+ */
+function describeModelSchema(schema, hidden) {
+  const result = { type: 'object', properties: {} };
+  schema.eachPath((path, type) => {
+    if (hidden.includes(path.split('.')[0])) return;
+    addField(result, path.split('.'), describeSchemaType(type), false);
+  });
+  return result;
+}
+
+/**
+ * Record schema for an /api/v1 resource. Fields only some tokens see
+ * (resource.hidden) say which scope they need.
+ *
+ * @param {Object} resource - From RESOURCES in routes/apiV1.js
+ * @param {Array<String>} alwaysHidden
+ * @returns {Object}
+ */
+function describeResource(resource, alwaysHidden) {
+  const schema = describeModelSchema(resource.model.schema, alwaysHidden);
+  if (!resource.hidden) return schema;
+
+  resource.hidden({ permissions: new Set() }).forEach(field => {
+    const scopes = API_SCOPES.filter(scope => !resource.hidden({ permissions: new Set([scope]) }).includes(field));
+    if (schema.properties[field] && scopes.length > 0) {
+      schema.properties[field].description = `Only included for tokens with ${scopes.join(' or ')}`;
+    }
+  });
+  return schema;
+}
+
+/**
+ * Query parameters for an /api/v1 list (see utils/apiQuery.js)
+ * @param {Object} resource - From RESOURCES in routes/apiV1.js
+ * @returns {Array<Object>}
+ */
+function listParameters(resource) {
+  const types = {
+    string: { type: 'string' },
+    id: OBJECT_ID,
+    boolean: { type: 'boolean' },
+    number: { type: 'number' },
+    day: { type: 'string', format: 'date' }
+  };
+
+  const parameters = [
+    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT } },
+    {
+      name: 'sort',
+      in: 'query',
+      description: 'A leading "-" sorts newest/largest first',
+      schema: {
+        type: 'string',
+        enum: resource.sortable.flatMap(field => [field, `-${field}`]),
+        default: resource.defaultSort
+      }
+    }
+  ];
+
+  if (resource.dateField) {
+    parameters.push(
+      { name: 'from', in: 'query', description: `Earliest ${resource.dateField} (inclusive)`, schema: types.day },
+      { name: 'to', in: 'query', description: `Latest ${resource.dateField} (inclusive)`, schema: types.day }
+    );
+  }
+  if (resource.search) {
+    parameters.push({ name: 'q', in: 'query', description: `Searches ${resource.search.join(', ')}`, schema: types.string });
+  }
+  Object.entries(resource.filters || {}).forEach(([field, type]) => {
+    parameters.push({ name: field, in: 'query', description: 'Exact match', schema: types[type] });
+  });
+
+  return parameters;
+}
+
+/**
+ * Responses for an /api/v1 route
+ * @param {String} path
+ * @param {Object} resources - RESOURCES from routes/apiV1.js
+ * @returns {{responses: Object, parameters: Array<Object>, scope: String|null}}
+ */
+function describeApiV1(path, resources) {
+  const [, , , name, id] = path.split('/');
+  const resource = resources[name];
+  const errors = { 401: ERROR_RESPONSE, 403: ERROR_RESPONSE };
+
+  if (!resource) {
+    return {
+      scope: null,
+      parameters: [],
+      responses: {
+        200: {
+          description: 'The token and what it can read',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/TokenInfo' } } }
+        },
+        401: ERROR_RESPONSE
+      }
+    };
+  }
+
+  const record = { $ref: `#/components/schemas/${resource.model.modelName}` };
+  if (id) {
+    return {
+      scope: resource.permission,
+      parameters: [],
+      responses: {
+        200: {
+          description: 'The record',
+          content: { 'application/json': { schema: { type: 'object', properties: { data: record } } } }
+        },
+        ...errors,
+        404: ERROR_RESPONSE
+      }
+    };
+  }
+
+  return {
+    scope: resource.permission,
+    parameters: listParameters(resource),
+    responses: {
+      200: {
+        description: 'A page of records',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                data: { type: 'array', items: record },
+                pagination: { $ref: '#/components/schemas/Pagination' }
+              }
+            }
+          }
+        }
+      },
+      400: ERROR_RESPONSE,
+      ...errors
+    }
+  };
+}
+
+/**
+ * operationId from the method and path, e.g. getMembersIdEdit
+ * @param {String} method
+ * @param {String} path
+ * @returns {String}
+ */
+function operationId(method, path) {
+  const words = path.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  return method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Describe one route
+ * @param {Object} route - From collectRoutes()
+ * @param {Object} entry - Its route map entry: { summary, tag }
+ * @param {Object} v1 - { resources, alwaysHidden } from routes/apiV1.js
+ * @returns {Object} OpenAPI operation
+ */
+function describeOperation(route, entry, v1) {
+  const { method, path, handlers } = route;
+  const validators = describeValidators(handlers, method);
+  const access = describeAccess(handlers);
+
+  const operation = {
+    tags: [entry.tag],
+    summary: entry.summary,
+    operationId: operationId(method, path),
+    parameters: []
+  };
+
+  // Path parameters (:id, and :id? for optional ones - OpenAPI has no
+  // optional path parameters, so those are documented as required too)
+  (path.match(/:\w+/g) || []).forEach(token => {
+    const name = token.slice(1);
+    operation.parameters.push({ name, in: 'path', required: true, schema: validators.params[name] || { type: 'string' } });
+  });
+  Object.entries(validators.query).forEach(([name, { schema, required }]) => {
+    operation.parameters.push({ name, in: 'query', required, schema });
+  });
+
+  if (validators.body) {
+    operation.requestBody = {
+      content: {
+        'application/x-www-form-urlencoded': { schema: validators.body },
+        'application/json': { schema: validators.body }
+      }
+    };
+  } else if (handlers.some(handler => handler.name === 'multerMiddleware')) {
+    operation.requestBody = {
+      content: { 'multipart/form-data': { schema: { type: 'object', description: 'File upload' } } }
+    };
+  }
+
+  if (path === '/api/v1' || path.startsWith('/api/v1/')) {
+    const api = describeApiV1(path, v1.resources);
+    operation.security = [{ apiToken: [] }];
+    operation.parameters.push(...api.parameters);
+    operation.responses = api.responses;
+    if (api.scope) operation.description = `Token scope: \`${api.scope}\``;
+  } else {
+    const json = path.startsWith('/api/');
+    operation.responses = method === 'get' || json
+      ? { 200: { description: json ? 'JSON' : 'HTML page' } }
+      : { 302: { description: 'Redirects back, with a message on the next page' } };
+
+    if (access.loggedIn) {
+      operation.security = [{ session: [] }];
+      operation.responses[403] = { description: 'Not allowed for your role' };
+    }
+    if (access.permissions.length > 0) {
+      operation.description = `Permission: ${access.permissions.map(key => `\`${key}\``).join(', ')}`;
+      operation['x-permissions'] = access.permissions;
+    }
+  }
+
+  if (operation.parameters.length === 0) delete operation.parameters;
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document for the app
+ *
+ * @param {Object} app - Express app
+ * @param {Object} options
+ * @param {String} options.baseUrl - Server URL for "Try it out"
+ * @param {Object} options.routeMap - Defaults to routes/_routeMap.js
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildSpec(app, {
+  baseUrl = process.env.APP_BASE_URL || 'http://localhost:3000',
+  routeMap = require('../routes/_routeMap')
+} = {}) {
+  const index = indexRouteMap(routeMap);
+  const apiV1 = require('../routes/apiV1');
+  const v1 = { resources: apiV1.RESOURCES, alwaysHidden: apiV1.ALWAYS_HIDDEN };
+
+  const paths = {};
+  collectRoutes(app).forEach(route => {
+    const entry = index.get(routeKey(route.method, route.path));
+    if (!entry) return;
+
+    const openApiPath = route.path.replace(/:(\w+)\??/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] || {};
+    // Express uses the first matching route, so a later duplicate is never reached
+    if (!paths[openApiPath][route.method]) {
+      paths[openApiPath][route.method] = describeOperation(route, entry, v1);
+    }
+  });
+
+  const schemas = {
+    Error: { type: 'object', properties: { error: { type: 'string' } } },
+    Pagination: {
+      type: 'object',
+      properties: {
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        total: { type: 'integer' },
+        pages: { type: 'integer' }
+      }
+    },
+    TokenInfo: {
+      type: 'object',
+      properties: {
+        token: {
+          type: 'object',
+          properties: { name: { type: 'string' }, scopes: { type: 'array', items: { type: 'string' } } }
+        },
+        resources: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  };
+  Object.values(v1.resources).forEach(resource => {
+    schemas[resource.model.modelName] = describeResource(resource, v1.alwaysHidden);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'TreeHouseBooks Dashboard',
+      version,
+      description: 'Every route in the dashboard. `/api/v1` is the read-only JSON API for spreadsheets and ' +
+        'partner tools and needs an API token (`Authorization: Bearer thb_...`); everything else uses the ' +
+        'login session cookie, and most pages answer with HTML or a redirect rather than JSON.'
+    },
+    servers: [{ url: baseUrl }],
+    tags: Object.keys(routeMap).map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        session: { type: 'apiKey', in: 'cookie', name: 'connect.sid' },
+        apiToken: { type: 'http', scheme: 'bearer' }
+      },
+      schemas
+    }
+  };
+}
+
+module.exports = {
+  collectRoutes,
+  undocumentedRoutes,
+  staleRouteMapEntries,
+  describeValidation,
+  buildSpec
+};
@@ -0,0 +1,495 @@
+// utils/spreadsheet.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// SPREADSHEETS (.xlsx) - reading uploads and writing list exports
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Reading: volunteers' tally sheets often have a title or notes above the
+// column headers, so the header row is found rather than assumed to be row
+// 1 - the row that names the most expected columns, or failing that the
+// first row as wide as the widest one near the top. Headers that match an
+// expected column apart from case, spaces and punctuation ("First Name" for
+// firstName) are renamed to it.
+//
+// Writing: each sheet is a list of columns ({header, value(row), type}) and
+// the rows to put through them. Typed columns become real Excel dates and
+// numbers, so the sheet can be sorted and summed as it is. Long list exports
+// stream row by row through a workbook writer instead (services/exports.js).
+//
+// Charts: ExcelJS can't write charts, so a sheet asking for one gets a bar
+// chart added to the finished file - a DrawingML chart part pointing at the
+// sheet's own cells, with the values cached so viewers that don't
+// recalculate (Google Sheets, previews) draw it too.
+//
+// Google Sheets opens these files directly (File → Import), and a Google
+// Sheet can be imported after File → Download → Microsoft Excel (.xlsx).
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// How far down a sheet to look for its header row
+const HEADER_SEARCH_ROWS = 20;
+
+// Excel number formats for typed columns
+const NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm',
+  number: '#,##0.##',
+  integer: '0',
+  currency: '"$"#,##0.00'
+};
+
+// Package relationship and content types for chart parts
+const RELATIONSHIP_TYPES = {
+  drawing: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+  chart: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart'
+};
+const CONTENT_TYPES = {
+  drawing: 'application/vnd.openxmlformats-officedocument.drawing+xml',
+  chart: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml'
+};
+
+// Brand teal, as used for the data bars
+const CHART_COLOR = '3AAFA9';
+
+// ─── Reading ────────────────────────────────────────────────────────────────
+
+/**
+ * A cell's value without formulas, rich text or hyperlinks
+ * @param {*} value - ExcelJS cell value
+ * @returns {String|Number|Boolean|Date|null}
+ */
+function plainValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if ('result' in value) return plainValue(value.result);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('text' in value) return plainValue(value.text);
+  return null;
+}
+
+/**
+ * A cell as text, the way it would appear in a CSV file
+ * Dates are written YYYY-MM-DD (plus the time if there is one).
+ * @param {*} value - ExcelJS cell value
+ * @returns {String}
+ */
+function cellText(value) {
+  const plain = plainValue(value);
+  if (plain === null) return '';
+  if (plain instanceof Date) {
+    // Excel dates have no time zone; ExcelJS reads them as UTC
+    const iso = plain.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+  }
+  return String(plain).trim();
+}
+
+/**
+ * A column name reduced for matching ("First Name" → "firstname")
+ * @param {String} name
+ * @returns {String}
+ */
+function normalizeHeader(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the header row of a sheet
+ * @param {Array<{number: Number, cells: Array<String>}>} table - Non-empty rows
+ * @param {Array<String>} columns - Expected column names (optional)
+ * @returns {Number|null} Sheet row number
+ */
+function detectHeaderRow(table, columns = []) {
+  const candidates = table.slice(0, HEADER_SEARCH_ROWS);
+  if (candidates.length === 0) return null;
+
+  const expected = new Set(columns.map(normalizeHeader));
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach(row => {
+    const score = row.cells.filter(cell => cell && expected.has(normalizeHeader(cell))).length;
+    if (score > bestScore) {
+      best = row;
+      bestScore = score;
+    }
+  });
+  if (best) return best.number;
+
+  // No expected names: the first row of text as wide as the widest row
+  const width = row => row.cells.filter(Boolean).length;
+  const widest = Math.max(...candidates.map(width));
+  const header = candidates.find(row => width(row) === widest && row.cells.every(cell => !cell || isNaN(cell)));
+  return (header || candidates[0]).number;
+}
+
+/**
+ * Open an uploaded workbook
+ * @param {Buffer} buffer - .xlsx file
+ * @returns {Promise<Object>} ExcelJS workbook
+ */
+async function loadWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new Error(`Couldn't read the spreadsheet: ${err.message}`);
+  }
+  return workbook;
+}
+
+/**
+ * Read one sheet of an uploaded workbook as a table
+ * @param {Buffer} buffer - .xlsx file
+ * @param {Object} options
+ * @param {String} options.sheet - Sheet name (default: the first with data)
+ * @param {Number} options.headerRow - Header row number (default: detected)
+ * @param {Array<String>} options.columns - Expected column names
+ * @returns {Promise<Object>} sheets (every sheet name), sheet, headerRow,
+ *   headers, and rows ({number, cells}) below the header, blank ones included
+ */
+async function readSheet(buffer, { sheet, headerRow, columns = [] } = {}) {
+  const workbook = await loadWorkbook(buffer);
+  const sheets = workbook.worksheets.map(worksheet => worksheet.name);
+  if (sheets.length === 0) {
+    throw new Error('The spreadsheet has no sheets');
+  }
+
+  const worksheet = sheet
+    ? workbook.getWorksheet(sheet)
+    : workbook.worksheets.find(ws => ws.actualRowCount > 0) || workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error(`The spreadsheet has no sheet called "${sheet}"`);
+  }
+
+  const table = [];
+  worksheet.eachRow((row, number) => {
+    // row.values is 1-based and sparse
+    const cells = Array.from(row.values).slice(1).map(cellText);
+    if (cells.some(Boolean)) table.push({ number, cells });
+  });
+  if (table.length === 0) {
+    throw new Error(`The "${worksheet.name}" sheet is empty`);
+  }
+
+  const headerNumber = headerRow ? parseInt(headerRow) : detectHeaderRow(table, columns);
+  const header = table.find(row => row.number === headerNumber);
+  if (!header) {
+    throw new Error(`Row ${headerRow} of the "${worksheet.name}" sheet is empty`);
+  }
+
+  const byName = new Map(columns.map(column => [normalizeHeader(column), column]));
+  const headers = header.cells.map(cell => byName.get(normalizeHeader(cell)) || cell);
+
+  const rows = [];
+  const last = table[table.length - 1].number;
+  const byNumber = new Map(table.map(row => [row.number, row.cells]));
+  for (let number = headerNumber + 1; number <= last; number++) {
+    rows.push({ number, cells: byNumber.get(number) || [] });
+  }
+
+  return { sheets, sheet: worksheet.name, headerRow: headerNumber, headers, rows };
+}
+
+// ─── Writing ────────────────────────────────────────────────────────────────
+
+/**
+ * A value ready for a typed cell
+ * Dates keep the calendar day (and time) they have here, since Excel dates
+ * have no time zone.
+ * @param {*} value
+ * @param {String} type - date, datetime, number, integer, currency, boolean or text
+ * @returns {*}
+ */
+function typedValue(value, type) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (type === 'boolean') return value ? 'Yes' : 'No';
+
+  if (type === 'date' || type === 'datetime') {
+    // YYYY-MM-DD strings are already a calendar day
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(`${value}T00:00:00`)
+      : new Date(value);
+    if (isNaN(date)) return String(value);
+    return type === 'date'
+      ? new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+      : new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes()));
+  }
+  if (type === 'number' || type === 'integer' || type === 'currency') {
+    const number = Number(value);
+    return isNaN(number) ? String(value) : number;
+  }
+  return String(value);
+}
+
+/**
+ * One row of a sheet
+ * @param {Array<Object>} columns - See buildWorkbook
+ * @param {Object} row
+ * @returns {Array}
+ */
+function sheetRow(columns, row) {
+  return columns.map(column => typedValue(column.value(row), column.type));
+}
+
+/**
+ * Add a sheet with a bold, frozen, filterable header row
+ * Works for both in-memory workbooks and streaming workbook writers.
+ * @param {Object} workbook - ExcelJS workbook or workbook writer
+ * @param {String} name
+ * @param {Array<Object>} columns - See buildWorkbook
+ * @returns {Object} ExcelJS worksheet
+ */
+function addSheet(workbook, name, columns) {
+  // Sheet names are limited to 31 characters and can't contain []:*?/\
+  const worksheet = workbook.addWorksheet(name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    width: column.width || Math.max(12, column.header.length + 2),
+    style: NUMBER_FORMATS[column.type] ? { numFmt: NUMBER_FORMATS[column.type] } : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  return worksheet;
+}
+
+/**
+ * Build a workbook
+ * Columns with dataBar: true get in-cell bars scaled to the column's values.
+ * A sheet with a chart ({title, label, value} - column indexes, default 0
+ * and 1) gets a bar chart of those columns to the right of its table.
+ * @param {Array<Object>} sheets - Each {name, columns: [{header, value(row), type, width, dataBar}], rows, chart}
+ * @returns {Promise<Buffer>} .xlsx file
+ */
+async function buildWorkbook(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'TreeHouseBooks';
+  workbook.created = new Date();
+  const charts = [];
+
+  sheets.forEach(({ name, columns, rows, chart }, sheetIndex) => {
+    const worksheet = addSheet(workbook, name, columns);
+    const cells = rows.map(row => sheetRow(columns, row));
+    cells.forEach(row => worksheet.addRow(row));
+
+    columns.forEach((column, index) => {
+      if (!column.dataBar || rows.length === 0) return;
+      const letter = worksheet.getColumn(index + 1).letter;
+      worksheet.addConditionalFormatting({
+        ref: `${letter}2:${letter}${rows.length + 1}`,
+        rules: [{ type: 'dataBar', cfvo: [{ type: 'num', value: 0 }, { type: 'max' }], color: { argb: 'FF3AAFA9' } }]
+      });
+    });
+
+    if (chart && rows.length > 0) {
+      const { label = 0, value = 1 } = chart;
+      charts.push({
+        sheetNumber: sheetIndex + 1,
+        sheetName: worksheet.name,
+        title: chart.title || name,
+        labelLetter: worksheet.getColumn(label + 1).letter,
+        valueLetter: worksheet.getColumn(value + 1).letter,
+        labels: cells.map(row => (row[label] === null ? '' : String(row[label]))),
+        values: cells.map(row => Number(row[value]) || 0),
+        fromColumn: columns.length + 1
+      });
+    }
+  });
+
+  return addCharts(Buffer.from(await workbook.xlsx.writeBuffer()), charts);
+}
+
+/**
+ * Start a workbook that streams to a response as rows are committed
+ * @param {Object} stream - Writable (an Express response)
+ * @returns {Object} ExcelJS workbook writer - add sheets with addSheet, then commit()
+ */
+function createWorkbookWriter(stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  workbook.creator = 'TreeHouseBooks';
+  workbook.created = new Date();
+  return workbook;
+}
+
+/**
+ * Send a workbook as a download
+ * @param {Object} res - Express response
+ * @param {String} fileName - Without the extension
+ * @param {Array<Object>} sheets - See buildWorkbook
+ */
+async function sendWorkbook(res, fileName, sheets) {
+  const buffer = await buildWorkbook(sheets);
+  res.setHeader('Content-Type', XLSX_MIME_TYPE);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+  res.send(buffer);
+}
+
+// ─── Charts ─────────────────────────────────────────────────────────────────
+
+/**
+ * Escape text for XML
+ * @param {*} value
+ * @returns {String}
+ */
+function xmlText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * An absolute cell range on a sheet, as a chart formula ('My sheet'!$B$2:$B$9)
+ * @param {String} sheetName
+ * @param {String} letter - Column letter
+ * @param {Number} rowCount - Data rows below the header
+ * @returns {String}
+ */
+function sheetRange(sheetName, letter, rowCount) {
+  return `'${sheetName.replace(/'/g, "''")}'!$${letter}$2:$${letter}$${rowCount + 1}`;
+}
+
+/**
+ * Chart part for a horizontal bar chart of one column against another
+ * @param {Object} chart - {title, sheetName, labelLetter, valueLetter, labels, values}
+ * @returns {String} xl/charts/chartN.xml
+ */
+function chartXml({ title, sheetName, labelLetter, valueLetter, labels, values }) {
+  const points = (list, render) => list.map((value, index) => `<c:pt idx="${index}"><c:v>${render(value)}</c:v></c:pt>`).join('');
+  const heading = `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:pPr><a:defRPr sz="1200" b="1"/></a:pPr><a:r><a:t>${xmlText(title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>`;
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<c:roundedCorners val="0"/>' +
+    `<c:chart>${heading}<c:autoTitleDeleted val="0"/><c:plotArea><c:layout/>` +
+    '<c:barChart><c:barDir val="bar"/><c:grouping val="clustered"/><c:varyColors val="0"/>' +
+    '<c:ser><c:idx val="0"/><c:order val="0"/>' +
+    `<c:spPr><a:solidFill><a:srgbClr val="${CHART_COLOR}"/></a:solidFill></c:spPr>` +
+    '<c:invertIfNegative val="0"/>' +
+    `<c:cat><c:strRef><c:f>${xmlText(sheetRange(sheetName, labelLetter, labels.length))}</c:f>` +
+    `<c:strCache><c:ptCount val="${labels.length}"/>${points(labels, xmlText)}</c:strCache></c:strRef></c:cat>` +
+    `<c:val><c:numRef><c:f>${xmlText(sheetRange(sheetName, valueLetter, values.length))}</c:f>` +
+    `<c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${values.length}"/>${points(values, Number)}</c:numCache></c:numRef></c:val>` +
+    '</c:ser>' +
+    '<c:gapWidth val="60"/><c:axId val="1"/><c:axId val="2"/></c:barChart>' +
+    // Categories top to bottom in sheet order
+    '<c:catAx><c:axId val="1"/><c:scaling><c:orientation val="maxMin"/></c:scaling><c:delete val="0"/>' +
+    '<c:axPos val="l"/><c:numFmt formatCode="General" sourceLinked="0"/><c:tickLblPos val="nextTo"/>' +
+    '<c:crossAx val="2"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/></c:catAx>' +
+    '<c:valAx><c:axId val="2"/><c:scaling><c:orientation val="minMax"/><c:min val="0"/></c:scaling><c:delete val="0"/>' +
+    '<c:axPos val="t"/><c:majorGridlines/><c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/>' +
+    '<c:crossAx val="1"/><c:crosses val="max"/><c:crossBetween val="between"/></c:valAx>' +
+    '</c:plotArea><c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart></c:chartSpace>';
+}
+
+/**
+ * Drawing part placing a chart on a sheet
+ * @param {Number} fromColumn - Zero-based column the chart starts in
+ * @param {Number} rowCount - Data rows, to size the chart to the list
+ * @returns {String} xl/drawings/drawingN.xml
+ */
+function drawingXml(fromColumn, rowCount) {
+  const height = Math.min(Math.max(rowCount * 2 + 4, 16), 40);
+  const marker = (column, row) => `<xdr:col>${column}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${row}</xdr:row><xdr:rowOff>0</xdr:rowOff>`;
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+    `<xdr:twoCellAnchor><xdr:from>${marker(fromColumn, 1)}</xdr:from><xdr:to>${marker(fromColumn + 8, 1 + height)}</xdr:to>` +
+    '<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="2" name="Chart 1"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>' +
+    '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+    '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">' +
+    '<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:id="rId1"/>' +
+    '</a:graphicData></a:graphic></xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor></xdr:wsDr>';
+}
+
+/**
+ * Add a relationship to a .rels part, creating it if needed
+ * @param {Object} zip - JSZip
+ * @param {String} path - Path of the .rels part
+ * @param {String} type - Relationship type URI
+ * @param {String} target - Relative target
+ * @returns {Promise<String>} The new relationship's id
+ */
+async function addRelationship(zip, path, type, target) {
+  const file = zip.file(path);
+  let rels = file
+    ? await file.async('string')
+    : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+
+  const used = [...rels.matchAll(/Id="rId(\d+)"/g)].map(match => Number(match[1]));
+  const id = `rId${Math.max(0, ...used) + 1}`;
+  rels = rels.replace('</Relationships>', `<Relationship Id="${id}" Type="${type}" Target="${target}"/></Relationships>`);
+  zip.file(path, rels);
+  return id;
+}
+
+/**
+ * Add bar charts to a finished workbook
+ * Sheet n of the workbook is xl/worksheets/sheetn.xml in ExcelJS's output.
+ * @param {Buffer} buffer - .xlsx file from ExcelJS
+ * @param {Array<Object>} charts - Each {sheetNumber, sheetName, title, labelLetter, valueLetter, labels, values, fromColumn}
+ * @returns {Promise<Buffer>} .xlsx file with the charts
+ */
+async function addCharts(buffer, charts) {
+  if (charts.length === 0) return buffer;
+
+  const zip = await JSZip.loadAsync(buffer);
+  let contentTypes = await zip.file('[Content_Types].xml').async('string');
+
+  for (const [index, chart] of charts.entries()) {
+    const number = index + 1;
+    const sheetPath = `xl/worksheets/sheet${chart.sheetNumber}.xml`;
+
+    zip.file(`xl/charts/chart${number}.xml`, chartXml(chart));
+    zip.file(`xl/drawings/drawing${number}.xml`, drawingXml(chart.fromColumn, chart.values.length));
+    await addRelationship(zip, `xl/drawings/_rels/drawing${number}.xml.rels`, RELATIONSHIP_TYPES.chart, `../charts/chart${number}.xml`);
+    const drawingId = await addRelationship(
+      zip, `xl/worksheets/_rels/sheet${chart.sheetNumber}.xml.rels`, RELATIONSHIP_TYPES.drawing, `../drawings/drawing${number}.xml`
+    );
+
+    // <drawing> goes after the page setup and before any extensions
+    let sheet = await zip.file(sheetPath).async('string');
+    const before = ['<legacyDrawing', '<tableParts', '<extLst', '</worksheet>']
+      .map(tag => sheet.indexOf(tag))
+      .filter(position => position !== -1);
+    const at = Math.min(...before);
+    sheet = `${sheet.slice(0, at)}<drawing r:id="${drawingId}"/>${sheet.slice(at)}`;
+    zip.file(sheetPath, sheet);
+
+    contentTypes = contentTypes.replace('</Types>',
+      `<Override PartName="/xl/drawings/drawing${number}.xml" ContentType="${CONTENT_TYPES.drawing}"/>` +
+      `<Override PartName="/xl/charts/chart${number}.xml" ContentType="${CONTENT_TYPES.chart}"/></Types>`);
+  }
+
+  zip.file('[Content_Types].xml', contentTypes);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+  XLSX_MIME_TYPE,
+  cellText,
+  normalizeHeader,
+  detectHeaderRow,
+  readSheet,
+  typedValue,
+  sheetRow,
+  addSheet,
+  buildWorkbook,
+  createWorkbookWriter,
+  sendWorkbook
+};
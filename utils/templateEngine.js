@@ -0,0 +1,317 @@
+// utils/templateEngine.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+// EMAIL TEMPLATE ENGINE
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// A small, logic-less template language for the admin-editable email
+// templates. It never evaluates code: templates can only read values out of
+// the data object they are given.
+//
+// ─── SYNTAX ──────────────────────────────────────────────────────────────────
+//
+//   {{donorName}}              Value, HTML-escaped in HTML bodies
+//   {{{signatureHtml}}}        Value, never escaped (only for trusted HTML)
+//   {{donor.name}}             Nested value
+//
+//   {{#if isUsed}} ... {{else}} ... {{/if}}
+//   {{#if donationType == "used"}} ... {{/if}}     also !=, numbers, true/false
+//   {{#unless receiptNumber}} ... {{/unless}}
+//
+//   {{#each genres}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+//   {{#each books}}{{title}} by {{author}}{{else}}No books{{/each}}
+//     Inside a loop: {{this}}, {{@index}}, {{@first}}, {{@last}}; other
+//     names are looked up on the current item first, then outside the loop
+//
+//   {{! a comment - not included in the email }}
+//
+// Missing values render as an empty string. Empty strings, 0, false, null
+// and empty arrays are all "false" for #if / #unless.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PATH_PATTERN = /^(?:this|@index|@first|@last|[A-Za-z_]\w*)(?:\.[A-Za-z_]\w*)*$/;
+const CONDITION_PATTERN = /^(\S+)\s*(==|!=)\s*("(?:[^"]*)"|'(?:[^']*)'|-?\d+(?:\.\d+)?|true|false)$/;
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+class TemplateSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateSyntaxError';
+    this.line = line;
+  }
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param {*} value - Any value
+ * @returns {String} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Line number of a character offset, for error messages
+ */
+function lineAt(source, offset) {
+  return source.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Check a value path and split it into segments
+ */
+function parsePath(path, line) {
+  if (!PATH_PATTERN.test(path)) {
+    throw new TemplateSyntaxError(`Invalid placeholder "{{${path}}}"`, line);
+  }
+  const segments = path.split('.');
+  if (segments.some(s => FORBIDDEN_SEGMENTS.includes(s))) {
+    throw new TemplateSyntaxError(`Invalid placeholder "{{${path}}}"`, line);
+  }
+  return segments;
+}
+
+/**
+ * Parse the expression after #if / #unless
+ */
+function parseCondition(expression, line) {
+  const comparison = expression.match(CONDITION_PATTERN);
+  if (!comparison) {
+    return { path: parsePath(expression, line) };
+  }
+
+  const literal = comparison[3];
+  let value;
+  if (literal === 'true' || literal === 'false') {
+    value = literal === 'true';
+  } else if (literal[0] === '"' || literal[0] === "'") {
+    value = literal.slice(1, -1);
+  } else {
+    value = Number(literal);
+  }
+
+  return { path: parsePath(comparison[1], line), operator: comparison[2], value };
+}
+
+// ─── Parser ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a template into a tree of nodes
+ * @param {String} source - Template text
+ * @returns {Array<Object>} Nodes
+ * @throws {TemplateSyntaxError} On unknown tags or unbalanced blocks
+ */
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const line = lineAt(source, match.index);
+    const raw = match[1] !== undefined;
+    const tag = raw ? match[1] : match[2];
+
+    if (raw) {
+      current.push({ type: 'value', path: parsePath(tag, line), raw: true });
+      continue;
+    }
+
+    if (tag.startsWith('!')) {
+      continue;
+    }
+
+    if (tag.startsWith('#')) {
+      const [, keyword, expression = ''] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+      if (!['if', 'unless', 'each'].includes(keyword)) {
+        throw new TemplateSyntaxError(`Unknown block "{{${tag}}}"`, line);
+      }
+      if (!expression) {
+        throw new TemplateSyntaxError(`"{{#${keyword}}}" needs a placeholder name`, line);
+      }
+
+      const node = keyword === 'each'
+        ? { type: 'each', path: parsePath(expression, line), children: [], elseChildren: null }
+        : { type: 'if', condition: parseCondition(expression, line), negate: keyword === 'unless', children: [], elseChildren: null };
+      node.keyword = keyword;
+      node.line = line;
+
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+      continue;
+    }
+
+    if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.elseChildren) {
+        throw new TemplateSyntaxError('"{{else}}" without a matching block', line);
+      }
+      block.elseChildren = [];
+      current = block.elseChildren;
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      const keyword = tag.slice(1).trim();
+      const block = stack[stack.length - 1];
+      if (block === root || block.keyword !== keyword) {
+        throw new TemplateSyntaxError(`Unexpected "{{/${keyword}}}"`, line);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.elseChildren || parent.children;
+      continue;
+    }
+
+    current.push({ type: 'value', path: parsePath(tag, line), raw: false });
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`"{{#${open.keyword}}}" is never closed`, open.line);
+  }
+
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+// ─── Renderer ───────────────────────────────────────────────────────────────
+
+/**
+ * Look up a path in the current scopes (innermost first)
+ */
+function lookup(segments, scopes) {
+  const [first, ...rest] = segments;
+  let value;
+
+  if (first === 'this' || first.startsWith('@')) {
+    const scope = scopes[scopes.length - 1];
+    value = first === 'this' ? scope.item : scope.meta[first];
+  } else {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const item = scopes[i].item;
+      if (item !== null && typeof item === 'object' && Object.prototype.hasOwnProperty.call(item, first)) {
+        value = item[first];
+        break;
+      }
+    }
+  }
+
+  for (const segment of rest) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+
+  return value;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+function renderNodes(nodes, scopes, escape) {
+  let out = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+    } else if (node.type === 'value') {
+      const text = toText(lookup(node.path, scopes));
+      out += escape && !node.raw ? escapeHtml(text) : text;
+    } else if (node.type === 'if') {
+      const value = lookup(node.condition.path, scopes);
+      let result;
+      if (node.condition.operator) {
+        // Compare as strings so {{#if count == 1}} works whether count is 1 or "1"
+        const equal = toText(value) === toText(node.condition.value);
+        result = node.condition.operator === '==' ? equal : !equal;
+      } else {
+        result = isTruthy(value);
+      }
+      if (node.negate) result = !result;
+
+      const branch = result ? node.children : node.elseChildren;
+      if (branch) out += renderNodes(branch, scopes, escape);
+    } else if (node.type === 'each') {
+      const list = lookup(node.path, scopes);
+      if (Array.isArray(list) && list.length > 0) {
+        list.forEach((item, index) => {
+          const meta = { '@index': index, '@first': index === 0, '@last': index === list.length - 1 };
+          out += renderNodes(node.children, scopes.concat({ item, meta }), escape);
+        });
+      } else if (node.elseChildren) {
+        out += renderNodes(node.elseChildren, scopes, escape);
+      }
+    }
+  }
+
+  return out;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Render a template with data
+ * @param {String} source - Template text
+ * @param {Object} data - Values for placeholders
+ * @param {Object} options
+ * @param {Boolean} options.escape - HTML-escape values (use for HTML bodies)
+ * @returns {String} Rendered text
+ * @throws {TemplateSyntaxError} If the template is invalid
+ */
+function render(source, data = {}, options = {}) {
+  if (!source) return '';
+  return renderNodes(parse(source), [{ item: data, meta: {} }], Boolean(options.escape));
+}
+
+/**
+ * Check a template for syntax errors without rendering it
+ * @param {String} source - Template text
+ * @returns {String|null} Error message, or null if the template is valid
+ */
+function validate(source) {
+  try {
+    parse(source || '');
+    return null;
+  } catch (err) {
+    if (err instanceof TemplateSyntaxError) return err.message;
+    throw err;
+  }
+}
+
+module.exports = {
+  TemplateSyntaxError,
+  escapeHtml,
+  parse,
+  render,
+  validate
+};
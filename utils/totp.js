@@ -0,0 +1,172 @@
+// utils/totp.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// Time-based one-time passwords (RFC 6238) for authenticator apps
+// (Google Authenticator, Microsoft Authenticator, 1Password, Authy...).
+//
+// Secrets are base32 strings, the format authenticator apps expect. Codes are
+// 6 digits, change every 30 seconds, and are HMAC-SHA1 - the only combination
+// every authenticator app supports.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret (160 bits, as RFC 4226 recommends)
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step a moment falls in
+ * @param {number} now - Milliseconds since epoch
+ * @returns {number}
+ */
+function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Code for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Current code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {number} now - Milliseconds since epoch (default: now)
+ * @returns {string}
+ */
+function generateCode(secret, now = Date.now()) {
+  return codeForStep(secret, timeStep(now));
+}
+
+/**
+ * Check a code from the user
+ * Accepts the codes either side of the current one, since phone clocks drift.
+ * A code whose step is not after options.lastUsedStep is refused, so a code
+ * can't be used twice.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - What the user typed (spaces are ignored)
+ * @param {object} options
+ * @param {number} options.window - Steps either side to accept (default 1)
+ * @param {number} options.lastUsedStep - Step of the last code accepted
+ * @param {number} options.now - Milliseconds since epoch (default: now)
+ * @returns {number|null} The matching time step, or null
+ */
+function verifyCode(secret, code, options = {}) {
+  const typed = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(typed)) return null;
+
+  const window = options.window === undefined ? 1 : options.window;
+  const current = timeStep(options.now);
+
+  for (let step = current - window; step <= current + window; step++) {
+    if (options.lastUsedStep != null && step <= options.lastUsedStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(typed))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps read from the enrollment QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} issuer - Shown as the account's name in the app
+ * @returns {string}
+ */
+function otpauthUrl(secret, accountName, issuer = 'TreeHouse Books') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  otpauthUrl
+};